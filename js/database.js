@@ -12,6 +12,13 @@ function genUid() {
     return 'uid-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
 }
 
+// Erreur destinée à l'utilisateur. Le message reste en français (console,
+// tests) ; `code` + `params` permettent à l'UI de l'afficher dans la langue
+// courante (clés `error.<code>`, cf. errorText dans proto/data.jsx).
+function codedError(code, message, params) {
+    return Object.assign(new Error(message), { code, params: params || {} });
+}
+
 // Forme canonique d'un nom de catégorie : trim + normalisation Unicode NFC.
 // DOIT rester identique à `canonicalCat` (proto/shared.jsx). Toute recherche /
 // cascade de catégorie dans ce fichier matche canoniquement : deux chaînes qui
@@ -23,6 +30,494 @@ function canonicalName(name) {
     return String(name == null ? '' : name).trim().normalize('NFC');
 }
 
+// Clé « de contenu » d'une boisson, pour reconnaître la même consommation
+// entre deux jeux de données quand le uid manque (exports / snapshots
+// antérieurs à v5) : nom canonique + date + heure + quantité.
+function drinkContentKey(d) {
+    return [canonicalName(d && d.name).toLowerCase(), d && d.date, d && d.time, d && d.quantity].join('|');
+}
+
+// Apparie deux listes de boissons : d'abord par uid, puis par clé de contenu
+// pour ce qui reste. Chaque ligne n'est appariée qu'une fois (deux bières
+// identiques à la même heure restent deux lignes). Renvoie les paires
+// [gauche, droite] + les lignes sans vis-à-vis de chaque côté.
+function matchDrinks(left, right) {
+    const rightByUid = new Map();
+    const rightByKey = new Map();
+    for (const d of right) {
+        if (d && d.uid) rightByUid.set(d.uid, d);
+        const k = drinkContentKey(d);
+        if (!rightByKey.has(k)) rightByKey.set(k, []);
+        rightByKey.get(k).push(d);
+    }
+    const used = new Set();
+    const pairs = [];
+    const take = (l, r) => {
+        used.add(r);
+        pairs.push([l, r]);
+        const bucket = rightByKey.get(drinkContentKey(r));
+        if (bucket) bucket.splice(bucket.indexOf(r), 1);
+    };
+    const pending = [];
+    for (const d of left) {
+        const hit = d && d.uid ? rightByUid.get(d.uid) : null;
+        if (hit && !used.has(hit)) take(d, hit); else pending.push(d);
+    }
+    const onlyLeft = [];
+    for (const d of pending) {
+        const bucket = rightByKey.get(drinkContentKey(d));
+        if (bucket && bucket.length) take(d, bucket[0]); else onlyLeft.push(d);
+    }
+    return { pairs, onlyLeft, onlyRight: right.filter(d => !used.has(d)) };
+}
+
+// Horodatage comparable d'une ligne (Date en base, chaîne ISO dans un
+// export JSON) ; 0 si absent ou invalide.
+function rowTime(value) {
+    const t = value ? new Date(value).getTime() : 0;
+    return Number.isFinite(t) ? t : 0;
+}
+
+// ── Format d'export versionné ────────────────────────────────────────────
+// Format des fichiers exportés ET des snapshots `backups`. `version` est un
+// entier incrémenté quand la forme d'une ligne existante change de façon
+// incompatible (champ devenu obligatoire, renommé ou re-typé) : un upgrader
+// le rétablit alors pour les fichiers plus anciens. Une table ou un champ
+// FACULTATIF ajouté (mesures d'éthylotest, unités, `food`, `shared`…) ne
+// change pas la version : absent d'un fichier antérieur, il garde sa valeur
+// par défaut. Un import lit toutes les versions antérieures via
+// EXPORT_UPGRADERS, puis valide la forme courante (EXPORT_SCHEMA) AVANT tout
+// snapshot ou écriture.
+//   1 — '1.0' historique (chaîne figée quel que soit le schéma DB).
+//   2 — schéma DB v5 : uid obligatoire, prix / provenance du prix, lieu objet.
+const EXPORT_FORMAT = 'alconote-export';
+const EXPORT_VERSION = 2;
+
+function exportEnvelope(tables, reason) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportDate: new Date().toISOString(),
+        ...(reason ? { reason } : {}),
+        ...tables
+    };
+}
+
+// Ligne de la table `backups` : l'enveloppe sérialisée, plus sa raison et
+// son nombre de lignes par table, relus par listBackups sans décoder le JSON.
+const BACKUP_COUNTED_TABLES = ['categories', 'drinks', 'settings', 'drinkRatings'];
+
+function backupRow(label, envelope) {
+    const counts = {};
+    for (const k of BACKUP_COUNTED_TABLES) counts[k] = Array.isArray(envelope[k]) ? envelope[k].length : 0;
+    return {
+        createdAt: new Date(),
+        label,
+        reason: envelope.reason || null,
+        counts,
+        json: JSON.stringify(envelope)
+    };
+}
+
+// Chaque upgrader passe de la version N à N+1. Les lignes qui ne sont pas des
+// objets sont laissées telles quelles : le validateur les signalera.
+const EXPORT_UPGRADERS = {
+    1: (data) => ({
+        ...data,
+        version: 2,
+        drinks: Array.isArray(data.drinks) ? data.drinks.map(d => {
+            if (!d || typeof d !== 'object') return d;
+            return {
+                ...d,
+                // Sans uid, le moteur de partage ignore la ligne pour toujours.
+                uid: d.uid || genUid(),
+                price: d.price != null ? d.price : null,
+                priceIsCustom: d.priceIsCustom === true,
+                // Très anciennes versions : lieu = adresse en texte brut.
+                location: typeof d.location === 'string'
+                    ? (d.location.trim() ? { address: d.location.trim() } : null)
+                    : (d.location || null)
+            };
+        }) : data.drinks
+    })
+};
+
+// Forme attendue de chaque table (version courante). `unique` : champs dont
+// un doublon ferait échouer le bulkAdd en cours de route.
+const EXPORT_SCHEMA = {
+    categories: {
+        required: true,
+        unique: ['id'],
+        fields: {
+            id: { type: 'number' },
+            name: { type: 'string', required: true, nonEmpty: true },
+            drinkCount: { type: 'number', min: 0 }
+        }
+    },
+    drinks: {
+        required: true,
+        unique: ['id', 'uid'],
+        fields: {
+            id: { type: 'number' },
+            uid: { type: 'string', required: true, nonEmpty: true },
+            name: { type: 'string', required: true, nonEmpty: true },
+            category: { type: 'string', required: true },
+            quantity: { type: 'number', required: true, min: 0 },
+            unit: { type: 'string', required: true },
+            alcoholContent: { type: 'number', min: 0, max: 100 },
+            date: { type: 'string', required: true, pattern: /^\d{4}-\d{2}-\d{2}$/, format: 'date' },
+            time: { type: 'string', required: true, pattern: /^\d{2}:\d{2}(:\d{2})?$/, format: 'time' },
+            price: { type: 'number', nullable: true, min: 0 },
+            priceIsCustom: { type: 'boolean' },
+            location: { type: 'object', nullable: true },
+            barcode: { type: 'string', nullable: true },
+            food: { type: 'string', nullable: true },
+            shared: { type: 'object', nullable: true }
+        }
+    },
+    settings: {
+        unique: ['key'],
+        fields: {
+            key: { type: 'string', required: true, nonEmpty: true }
+        }
+    },
+    drinkRatings: {
+        unique: ['drinkName'],
+        fields: {
+            drinkName: { type: 'string', required: true, nonEmpty: true },
+            rating: { type: 'number', required: true, min: 0, max: 5 }
+        }
+    },
+    bacReadings: {
+        unique: ['id'],
+        fields: {
+            id: { type: 'number' },
+            ts: { type: 'number', required: true, min: 0 },
+            bac: { type: 'number', required: true, min: 0 },
+            value: { type: 'number', min: 0 },
+            unit: { type: 'string' }
+        }
+    },
+    assessments: {
+        unique: ['id'],
+        fields: {
+            id: { type: 'number' },
+            ts: { type: 'number', required: true, min: 0 },
+            kind: { type: 'string', required: true, nonEmpty: true },
+            answers: { type: 'array', required: true },
+            score: { type: 'number', required: true, min: 0, max: 40 }
+        }
+    },
+    rounds: {
+        unique: ['id'],
+        fields: {
+            id: { type: 'number' },
+            name: { type: 'string', required: true, nonEmpty: true },
+            items: { type: 'array', required: true }
+        }
+    },
+    units: {
+        unique: ['id', 'name'],
+        fields: {
+            id: { type: 'number' },
+            name: { type: 'string', required: true, nonEmpty: true },
+            cl: { type: 'number', required: true, min: 0 },
+            icon: { type: 'string', nullable: true },
+            hidden: { type: 'boolean' },
+            builtin: { type: 'boolean' },
+            defaultFor: { type: 'string', nullable: true }
+        }
+    },
+    products: {
+        unique: ['barcode'],
+        fields: {
+            barcode: { type: 'string', required: true, nonEmpty: true },
+            name: { type: 'string', required: true, nonEmpty: true },
+            brand: { type: 'string', nullable: true },
+            category: { type: 'string', nullable: true },
+            alcoholContent: { type: 'number', nullable: true, min: 0, max: 100 },
+            quantity: { type: 'number', nullable: true, min: 0 },
+            unit: { type: 'string', nullable: true },
+            source: { type: 'string', nullable: true }
+        }
+    }
+};
+
+// ── Unités de contenant ──────────────────────────────────────────────────
+// Registre `units` : { name, cl (équivalent en cL), icon (clé de GLYPHS ou
+// null), hidden (absente du sélecteur d'unité), builtin (non supprimable,
+// équivalent figé), defaultFor (catégorie dont c'est la portion par défaut
+// au scan) }. Les boissons référencent une unité par son NOM, comparé sans
+// casse. Graines — MUST mirror `DEFAULT_UNITS` (shared.jsx).
+const SEED_UNITS = [
+    { name: 'cL', cl: 1, icon: null, hidden: false, builtin: true, defaultFor: null },
+    { name: 'L', cl: 100, icon: null, hidden: false, builtin: true, defaultFor: null },
+    { name: 'EcoCup', cl: 25, icon: 'Pinte', hidden: false, builtin: false, defaultFor: 'Bière' },
+    { name: 'mL', cl: 0.1, icon: null, hidden: true, builtin: true, defaultFor: null }
+];
+
+// ── Catalogue local des produits ─────────────────────────────────────────
+// Table `products` (clé : code-barres) : la réponse locale, faisant foi, à un
+// scan — consultée avant tout appel réseau (ProductLookup.lookup). Apprise de
+// chaque boisson enregistrée avec un code-barres, APRÈS les corrections de
+// l'utilisateur (nom, degré, catégorie, portion). `source` : 'learned'
+// (appris d'une boisson) | 'manual' (modifié dans le catalogue).
+function productFromDrink(d, prev) {
+    return {
+        barcode: String(d.barcode),
+        name: d.name,
+        brand: (prev && prev.brand) || null,
+        category: d.category || null,
+        alcoholContent: d.alcoholContent != null ? Number(d.alcoholContent) : null,
+        quantity: d.quantity != null ? Number(d.quantity) : null,
+        unit: d.unit || null,
+        source: 'learned'
+    };
+}
+
+// Lignes `units` à créer pour que chaque boisson ait son unité : toutes les
+// graines sur un registre vide, sinon les seules unités intégrées absentes ;
+// puis les unités inconnues portées par des boissons. L'équivalent de ces
+// dernières est déduit du quantityInCL stocké (à défaut 1, l'ancien repli
+// « déjà en cL ») : aucune entrée existante ne change de volume.
+function missingUnitRows(units, drinks) {
+    const known = new Set(units.map(u => String(u.name).toLowerCase()));
+    const out = [];
+    const add = (row) => { known.add(row.name.toLowerCase()); out.push(row); };
+    for (const seed of SEED_UNITS) {
+        if ((units.length === 0 || seed.builtin) && !known.has(seed.name.toLowerCase())) add({ ...seed });
+    }
+    for (const d of drinks) {
+        const name = String((d && d.unit) || '').trim();
+        if (!name || known.has(name.toLowerCase())) continue;
+        const q = Number(d.quantity), c = Number(d.quantityInCL);
+        const cl = q > 0 && c > 0 ? Math.round((c / q) * 1000) / 1000 : 1;
+        add({ name, cl, icon: null, hidden: false, builtin: false, defaultFor: null });
+    }
+    return out;
+}
+
+const EXPORT_TYPE_LABELS = { string: 'texte', number: 'nombre', boolean: 'booléen', object: 'objet', array: 'tableau' };
+const EXPORT_FORMAT_HINTS = { date: 'AAAA-MM-JJ', time: 'HH:MM' };
+
+// Raisons du validateur : texte français + code/params pour l'UI
+// (clés `error.reason.<code>`).
+const EXPORT_REASONS = {
+    json: () => 'objet JSON attendu',
+    tableMissing: () => 'table manquante',
+    tableType: () => 'tableau attendu',
+    rowType: () => 'objet attendu',
+    required: () => 'champ obligatoire manquant',
+    null: () => 'valeur nulle interdite',
+    type: ({ type }) => `${EXPORT_TYPE_LABELS[type]} attendu`,
+    empty: () => 'ne doit pas être vide',
+    min: ({ min }) => `doit être ≥ ${min}`,
+    max: ({ max }) => `doit être ≤ ${max}`,
+    format: ({ format }) => `format ${EXPORT_FORMAT_HINTS[format]} attendu`,
+    duplicate: ({ value }) => `doublon (${value})`
+};
+
+function exportProblem(table, row, field, code, params = {}) {
+    return { table, row, field, reason: EXPORT_REASONS[code](params), code, params };
+}
+
+// Valide `data` (version courante) contre EXPORT_SCHEMA. Renvoie la liste
+// des problèmes { table, row, field, reason, code, params } — vide si le
+// fichier est sain. `row` = index dans le tableau (null pour une erreur de
+// table).
+function validateExportData(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return [exportProblem(null, null, null, 'json')];
+    }
+    for (const [table, spec] of Object.entries(EXPORT_SCHEMA)) {
+        const rows = data[table];
+        if (rows === undefined && !spec.required) continue;
+        if (!Array.isArray(rows)) {
+            errors.push(exportProblem(table, null, null, rows === undefined ? 'tableMissing' : 'tableType'));
+            continue;
+        }
+        const seen = Object.fromEntries((spec.unique || []).map(f => [f, new Set()]));
+        rows.forEach((row, i) => {
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                errors.push(exportProblem(table, i, null, 'rowType'));
+                return;
+            }
+            for (const [field, rule] of Object.entries(spec.fields)) {
+                const v = row[field];
+                const fail = (code, params) => errors.push(exportProblem(table, i, field, code, params));
+                if (v === undefined) {
+                    if (rule.required) fail('required');
+                    continue;
+                }
+                if (v === null) {
+                    if (!rule.nullable) fail('null');
+                    continue;
+                }
+                const ok = rule.type === 'number' ? Number.isFinite(v)
+                    : rule.type === 'object' ? typeof v === 'object' && !Array.isArray(v)
+                    : rule.type === 'array' ? Array.isArray(v)
+                    : typeof v === rule.type;
+                if (!ok) { fail('type', { type: rule.type }); continue; }
+                if (rule.nonEmpty && !v.trim()) fail('empty');
+                if (rule.min != null && v < rule.min) fail('min', { min: rule.min });
+                if (rule.max != null && v > rule.max) fail('max', { max: rule.max });
+                if (rule.pattern && !rule.pattern.test(v)) fail('format', { format: rule.format });
+            }
+            for (const f of (spec.unique || [])) {
+                const v = row[f];
+                if (v == null) continue;
+                if (seen[f].has(v)) errors.push(exportProblem(table, i, f, 'duplicate', { value: v }));
+                seen[f].add(v);
+            }
+        });
+    }
+    return errors;
+}
+
+// Lit un export de n'importe quelle version connue et le ramène à la forme
+// courante, validée. Lève AVANT toute écriture ; l'erreur porte `details`
+// (liste complète des problèmes) pour l'UI.
+function parseExportData(jsonData) {
+    let data;
+    try {
+        data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+    } catch (e) {
+        throw codedError('import.unreadable', 'Format de données invalide : JSON illisible');
+    }
+    if (!data || typeof data !== 'object' || data.version == null) {
+        throw codedError('import.noVersion', 'Format de données invalide : version manquante');
+    }
+    let version = data.version === '1.0' ? 1 : Number(data.version);
+    if (!Number.isInteger(version) || version < 1) {
+        throw codedError('import.unknownVersion', `Format de données invalide : version « ${data.version} » inconnue`,
+            { version: data.version });
+    }
+    if (version > EXPORT_VERSION) {
+        throw codedError('import.tooNew', `Export en version ${version}, cette app lit jusqu'à la version ${EXPORT_VERSION} : mettez-la à jour`,
+            { version, max: EXPORT_VERSION });
+    }
+    while (version < EXPORT_VERSION) {
+        data = EXPORT_UPGRADERS[version](data);
+        version++;
+    }
+    const errors = validateExportData(data);
+    if (errors.length) {
+        const where = (e) => [e.table && (e.row != null ? `${e.table}[${e.row}]` : e.table), e.field].filter(Boolean).join('.');
+        const first = errors.slice(0, 3).map(e => `${where(e)} : ${e.reason}`).join(' ; ');
+        const more = errors.length > 3 ? ` (+${errors.length - 3} autre${errors.length - 3 > 1 ? 's' : ''})` : '';
+        const err = codedError('import.invalid', `Format de données invalide — ${first}${more}`);
+        err.details = errors;
+        throw err;
+    }
+    return data;
+}
+
+// ── Enveloppe chiffrée (phrase de passe) ─────────────────────────────────
+// Un export contient historique de consommation, GPS, poids et sexe : des
+// données de santé. Chiffrement optionnel par phrase de passe, WebCrypto
+// uniquement : clé dérivée par PBKDF2-SHA-256 (sel aléatoire, itérations
+// stockées dans l'enveloppe pour pouvoir les relever plus tard), contenu
+// chiffré et authentifié en AES-GCM 256. `payload` (nature du contenu) est
+// lié au chiffré comme donnée additionnelle : une clé de récupération ne
+// peut pas être rejouée comme export de données, et inversement.
+// Utilisée pour les exports (extension ENCRYPTED_EXPORT_EXT) et pour la clé
+// de récupération du partage (shareEngine.exportRecoveryFile).
+const ENCRYPTED_FORMAT = 'alconote-encrypted';
+const ENCRYPTED_EXPORT_EXT = '.alconote';
+const PBKDF2_ITERATIONS = 600000;
+// Bornes acceptées à la relecture : le nombre d'itérations vient du fichier,
+// un fichier forgé ne doit ni geler l'onglet ni affaiblir la dérivation.
+const PBKDF2_MIN_ITERATIONS = 100000;
+const PBKDF2_MAX_ITERATIONS = 2000000;
+
+function bytesToBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin);
+}
+
+function base64ToBytes(b64) {
+    const bin = atob(b64);
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+}
+
+async function deriveEnvelopeKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+// Texte (ou objet JSON) déjà parsé → est-ce une enveloppe chiffrée ?
+function isEncryptedEnvelope(value) {
+    let v = value;
+    if (typeof v === 'string') {
+        try { v = JSON.parse(v); } catch (e) { return false; }
+    }
+    return !!v && typeof v === 'object' && v.format === ENCRYPTED_FORMAT;
+}
+
+// Clé dérivée réutilisable : { key (CryptoKey non extractible), salt,
+// iterations }. Sert à l'export planifié, qui chiffre sans redemander la
+// phrase de passe (la clé vit dans `deviceStore`, la phrase nulle part).
+async function deriveEnvelopeKeyRecord(passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+    if (!passphrase) throw codedError('crypto.passphraseRequired', 'Phrase de passe requise');
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveEnvelopeKey(passphrase, salt, iterations);
+    return { key, salt: bytesToBase64(salt), iterations };
+}
+
+async function encryptWithKeyRecord(plaintext, { key, salt, iterations }, payload) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const aad = new TextEncoder().encode(`${ENCRYPTED_FORMAT}:${payload}`);
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: aad }, key, new TextEncoder().encode(plaintext));
+    return JSON.stringify({
+        format: ENCRYPTED_FORMAT,
+        version: 1,
+        payload,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        data: bytesToBase64(new Uint8Array(data))
+    });
+}
+
+async function encryptEnvelope(plaintext, passphrase, payload, options) {
+    return encryptWithKeyRecord(plaintext, await deriveEnvelopeKeyRecord(passphrase, options), payload);
+}
+
+// Déchiffre une enveloppe (texte ou objet) et renvoie le texte clair. Lève
+// si l'enveloppe n'est pas du type `payload` attendu, ou si la phrase de
+// passe est fausse / le fichier altéré (AES-GCM ne distingue pas les deux).
+async function decryptEnvelope(envelope, passphrase, payload) {
+    const env = typeof envelope === 'string' ? JSON.parse(envelope) : envelope;
+    if (!isEncryptedEnvelope(env) || env.version !== 1 || !env.kdf || !env.cipher) {
+        throw codedError('crypto.unreadable', 'Fichier chiffré illisible');
+    }
+    if (env.payload !== payload) {
+        throw codedError('crypto.wrongPayload', 'Ce fichier chiffré ne contient pas le type de données attendu');
+    }
+    const iterations = env.kdf.iterations;
+    if (!Number.isInteger(iterations) || iterations < PBKDF2_MIN_ITERATIONS || iterations > PBKDF2_MAX_ITERATIONS) {
+        throw codedError('crypto.unreadable', 'Fichier chiffré illisible');
+    }
+    if (!passphrase) throw codedError('crypto.passphraseRequired', 'Phrase de passe requise');
+    try {
+        const key = await deriveEnvelopeKey(passphrase, base64ToBytes(env.kdf.salt), iterations);
+        const aad = new TextEncoder().encode(`${ENCRYPTED_FORMAT}:${payload}`);
+        const clear = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(env.cipher.iv), additionalData: aad },
+            key, base64ToBytes(env.data));
+        return new TextDecoder().decode(clear);
+    } catch (e) {
+        throw codedError('crypto.wrongPassphrase', 'Phrase de passe incorrecte ou fichier altéré');
+    }
+}
+
 class AlcoNoteDB extends Dexie {
     constructor() {
         super('AlcoNoteDB');
@@ -84,17 +579,8 @@ class AlcoNoteDB extends Dexie {
                     tx.table('settings').toArray(),
                     tx.table('drinkRatings').toArray()
                 ]);
-                const snapshot = {
-                    version: '1.0',
-                    exportDate: new Date().toISOString(),
-                    reason: 'pre-v5-migration',
-                    categories, drinks, settings, drinkRatings
-                };
-                await tx.table('backups').add({
-                    createdAt: new Date(),
-                    label: 'pre-v5',
-                    json: JSON.stringify(snapshot)
-                });
+                const snapshot = exportEnvelope({ categories, drinks, settings, drinkRatings }, 'pre-v5-migration');
+                await tx.table('backups').add(backupRow('pre-v5', snapshot));
                 // 2) Backfill a stable uid on every existing drink (idempotent).
                 await tx.table('drinks').toCollection().modify((d) => {
                     if (!d.uid) d.uid = genUid();
@@ -107,23 +593,104 @@ class AlcoNoteDB extends Dexie {
             }
         });
 
-        // Add hooks for automatic timestamps
+        // Version 6 — `deviceStore` : valeurs propres à CET appareil, qui ne
+        // passent pas en JSON et ne doivent jamais sortir dans un export
+        // (handle du dossier d'export planifié, clé WebCrypto dérivée).
+        // Purement additive.
+        this.version(6).stores({
+            deviceStore: 'key'
+        });
+
+        // Version 7 — `bacReadings` : mesures d'éthylotest saisies par
+        // l'utilisateur (calibrage du modèle BAC). `bac` = taux sang
+        // normalisé en mg/L ; `value` / `unit` gardent la saisie d'origine.
+        // Purement additive.
+        this.version(7).stores({
+            bacReadings: '++id, ts'
+        });
+
+        // Version 8 — `assessments` : questionnaires AUDIT-C / AUDIT remplis
+        // par l'utilisateur (`answers` = points par question, `score` total).
+        // Purement additive.
+        this.version(8).stores({
+            assessments: '++id, ts'
+        });
+
+        // Version 9 — `journal` : historique des modifications (annuler /
+        // rétablir persistants). Chaque ligne porte l'état avant/après des
+        // lignes touchées par UNE mutation (cf. DatabaseManager.journaled).
+        // Purement additive.
+        this.version(9).stores({
+            journal: '++id, ts'
+        });
+
+        // Version 10 — `rounds` : tournées (modèles de plusieurs boissons
+        // ajoutées d'un geste). `items` = [{ name, category, quantity, unit,
+        // alcoholContent, count, share, price }] ; `share` = part bue par
+        // l'utilisateur (1 = tout). Purement additive.
+        this.version(10).stores({
+            rounds: '++id, name'
+        });
+
+        // Version 11 — `units` : registre des unités de contenant (cf.
+        // SEED_UNITS). La migration crée les graines et une unité par nom
+        // inconnu déjà porté par une boisson, à l'équivalent déduit de son
+        // quantityInCL : les entrées existantes gardent leurs valeurs.
+        this.version(11).stores({
+            units: '++id, &name'
+        }).upgrade(async (tx) => {
+            const drinks = await tx.table('drinks').toArray();
+            const now = new Date();
+            await tx.table('units').bulkAdd(missingUnitRows([], drinks)
+                .map(u => ({ ...u, createdAt: now, updatedAt: now })));
+        });
+
+        // Version 12 — `products` : catalogue local des codes-barres (cf.
+        // productFromDrink). Amorcé avec la boisson la plus récente de
+        // chaque code déjà scanné.
+        this.version(12).stores({
+            products: '&barcode, name, updatedAt'
+        }).upgrade(async (tx) => {
+            const latest = new Map();
+            for (const d of await tx.table('drinks').toArray()) {
+                if (!d.barcode || !d.name) continue;
+                const at = `${d.date || ''} ${d.time || ''}`;
+                const prev = latest.get(d.barcode);
+                if (!prev || at >= prev.at) latest.set(d.barcode, { d, at });
+            }
+            const now = new Date();
+            await tx.table('products').bulkAdd([...latest.values()]
+                .map(({ d }) => ({ ...productFromDrink(d), createdAt: now, updatedAt: now })));
+        });
+
+        // Add hooks for automatic timestamps. Un hook « updating » n'agit que
+        // par sa valeur de retour (modifications ajoutées) : muter
+        // `modifications` n'écrit rien.
         this.categories.hook('creating', function (primKey, obj, trans) {
             obj.createdAt = new Date();
             obj.updatedAt = new Date();
         });
 
         this.categories.hook('updating', function (modifications, primKey, obj, trans) {
-            modifications.updatedAt = new Date();
+            return { updatedAt: new Date() };
         });
 
+        // Une fusion d'import (`keepTimestamps` posé sur sa transaction, cf.
+        // `_applyMerge`) écrit les dates du fichier telles quelles, boissons
+        // et notes : la règle « le plus récent gagne » de la fusion suivante
+        // en dépend.
         this.drinks.hook('creating', function (primKey, obj, trans) {
+            if (trans && trans.keepTimestamps && obj.updatedAt) {
+                if (!obj.createdAt) obj.createdAt = obj.updatedAt;
+                return;
+            }
             obj.createdAt = new Date();
             obj.updatedAt = new Date();
         });
 
         this.drinks.hook('updating', function (modifications, primKey, obj, trans) {
-            modifications.updatedAt = new Date();
+            if (trans && trans.keepTimestamps && modifications.updatedAt) return;
+            return { updatedAt: new Date() };
         });
 
         this.settings.hook('creating', function (primKey, obj, trans) {
@@ -131,15 +698,17 @@ class AlcoNoteDB extends Dexie {
         });
 
         this.settings.hook('updating', function (modifications, primKey, obj, trans) {
-            modifications.updatedAt = new Date();
+            return { updatedAt: new Date() };
         });
 
         this.drinkRatings.hook('creating', function (primKey, obj, trans) {
+            if (trans && trans.keepTimestamps && obj.updatedAt) return;
             obj.updatedAt = new Date();
         });
 
         this.drinkRatings.hook('updating', function (modifications, primKey, obj, trans) {
-            modifications.updatedAt = new Date();
+            if (trans && trans.keepTimestamps && modifications.updatedAt) return;
+            return { updatedAt: new Date() };
         });
     }
 }
@@ -147,10 +716,60 @@ class AlcoNoteDB extends Dexie {
 // Initialize database
 const db = new AlcoNoteDB();
 
+// ── Journal des modifications ─────────────────────────────────────────
+// Tables suivies, avec leur clé primaire. Les lignes sont comparées sans
+// leurs horodatages ni les champs dérivés : une catégorie dont seul
+// `drinkCount` a bougé n'est pas une modification (il est recalculé après
+// chaque annulation / rétablissement).
+const JOURNAL_TABLES = { drinks: 'id', categories: 'id', drinkRatings: 'drinkName', settings: 'key' };
+// Seuls les réglages qui décrivent les données sont journalisés (icône et
+// couleur d'une catégorie, prix de référence d'une famille, cf. data.jsx) :
+// pas les drapeaux de migration, l'étalonnage ni l'horodatage des sauvegardes.
+const JOURNAL_SETTING_PREFIXES = ['cat.icon.id.', 'cat.color.id.', 'price.ref.'];
+const JOURNAL_IGNORED_FIELDS = ['createdAt', 'updatedAt', 'drinkCount', 'quantityInCL'];
+// Nombre d'entrées conservées : au-delà, les plus anciennes sortent.
+const JOURNAL_MAX = 100;
+
+function _journalComparable(row) {
+    if (!row) return null;
+    const out = {};
+    Object.keys(row).sort().forEach((k) => {
+        if (!JOURNAL_IGNORED_FIELDS.includes(k)) out[k] = row[k];
+    });
+    return JSON.stringify(out);
+}
+
+// Différence entre deux instantanés { table → lignes } :
+// [{ table, key, before, after }] — `before`/`after` null = ligne absente.
+function diffJournalSnapshots(before, after) {
+    const changes = [];
+    for (const [table, pk] of Object.entries(JOURNAL_TABLES)) {
+        const prev = new Map((before[table] || []).map(r => [r[pk], r]));
+        const next = new Map((after[table] || []).map(r => [r[pk], r]));
+        for (const key of new Set([...prev.keys(), ...next.keys()])) {
+            const a = prev.get(key) || null;
+            const b = next.get(key) || null;
+            if (_journalComparable(a) !== _journalComparable(b)) {
+                changes.push({ table, key, before: a, after: b });
+            }
+        }
+    }
+    return changes;
+}
+
 // Database operations class
 class DatabaseManager {
     constructor() {
         this.db = db;
+        // File des mutations journalisées (cf. journaled).
+        this._journalChain = Promise.resolve();
+        // Lignes touchées par l'entrée ouverte : table → Map(clé → ligne avant).
+        this._journalTouched = null;
+        this._installJournalHooks();
+        // Équivalents cL du registre `units` (nom en minuscules → cL), lus
+        // de façon synchrone par _newDrinkRow / updateDrink. Graines d'ici
+        // la première lecture de la table (ensureUnits).
+        this._unitCl = new Map(SEED_UNITS.map(u => [u.name.toLowerCase(), u.cl]));
         this.initializeDefaultData();
         // Best-effort, sans invite dans la plupart des navigateurs : marquer
         // l'origine comme persistante protège IndexedDB de l'éviction.
@@ -193,26 +812,14 @@ class DatabaseManager {
         try {
             const last = Number(await this.getSetting('backup.lastAutoAt')) || 0;
             if (Date.now() - last < intervalMs) return false;
-            const [categories, drinks, settings, drinkRatings] = await Promise.all([
-                this.db.categories.toArray(),
-                this.db.drinks.toArray(),
-                this.db.settings.toArray(),
-                this.db.drinkRatings.toArray()
-            ]);
-            if (drinks.length === 0 && categories.length === 0) {
+            // Mêmes tables qu'un snapshot manuel : restaurer un « auto » ne
+            // doit laisser aucune table perso dans son état courant.
+            const tables = await this._readPersonalTables();
+            if (tables.drinks.length === 0 && tables.categories.length === 0) {
                 await this.setSetting('backup.lastAutoAt', Date.now());
                 return false;
             }
-            await this.db.backups.add({
-                createdAt: new Date(),
-                label: 'auto',
-                json: JSON.stringify({
-                    version: '1.0',
-                    exportDate: new Date().toISOString(),
-                    reason: 'auto-backup',
-                    categories, drinks, settings, drinkRatings
-                })
-            });
+            await this.db.backups.add(backupRow('auto', exportEnvelope(tables, 'auto-backup')));
             const all = await this.db.backups.toArray();
             const autos = all.filter(b => b.label === 'auto').sort((a, b) => a.id - b.id);
             if (autos.length > keep) {
@@ -234,6 +841,8 @@ class DatabaseManager {
             if (settings.length === 0) {
                 await this.initializeDefaultSettings();
             }
+            // Base neuve (aucune migration v11 jouée) : graines du registre.
+            await this.ensureUnits();
         } catch (error) {
             console.error('Error initializing default data:', error);
         }
@@ -299,11 +908,11 @@ class DatabaseManager {
             // treated as distinct rows (renameCategory already trims).
             const name = (categoryData.name || '').trim();
             if (!name) {
-                throw new Error('Le nom de catégorie est invalide');
+                throw codedError('category.invalidName', 'Le nom de catégorie est invalide');
             }
             const existingCategory = await this.getCategoryByName(name);
             if (existingCategory) {
-                throw new Error('Une catégorie avec ce nom existe déjà');
+                throw codedError('category.exists', 'Une catégorie avec ce nom existe déjà');
             }
 
             const categoryToAdd = {
@@ -334,14 +943,14 @@ class DatabaseManager {
             // Get category name first
             const category = await this.getCategoryById(id);
             if (!category) {
-                throw new Error('Catégorie non trouvée');
+                throw codedError('category.notFound', 'Catégorie non trouvée');
             }
 
             // Check if category has drinks (canonical match on the name)
             const key = canonicalName(category.name);
             const drinksInCategory = await this.db.drinks.filter(d => canonicalName(d.category) === key).count();
             if (drinksInCategory > 0) {
-                throw new Error('Impossible de supprimer une catégorie qui contient des boissons');
+                throw codedError('category.notEmpty', 'Impossible de supprimer une catégorie qui contient des boissons');
             }
 
             await this.db.categories.delete(id);
@@ -372,21 +981,21 @@ class DatabaseManager {
             const trimmedOld = (oldName || '').trim();
             const trimmedNew = (newName || '').trim();
             if (!trimmedNew) {
-                throw new Error('Le nouveau nom de catégorie est invalide');
+                throw codedError('category.invalidNewName', 'Le nouveau nom de catégorie est invalide');
             }
             if (trimmedOld === trimmedNew) {
                 return true;
             }
             const category = await this.getCategoryByName(trimmedOld);
             if (!category) {
-                throw new Error('Catégorie non trouvée');
+                throw codedError('category.notFound', 'Catégorie non trouvée');
             }
             // Renommer « Bière  » en « Bière » (même ligne, à la casse ou la
             // normalisation près) est légitime — seul un VRAI doublon (une
             // AUTRE ligne portant déjà ce nom) bloque le renommage.
             const existing = await this.getCategoryByName(trimmedNew);
             if (existing && existing.id !== category.id) {
-                throw new Error('Une catégorie avec ce nom existe déjà');
+                throw codedError('category.exists', 'Une catégorie avec ce nom existe déjà');
             }
 
             // Transaction : renomme la ligne et cascade sur les boissons par
@@ -440,6 +1049,16 @@ class DatabaseManager {
         }
     }
 
+    // Boissons datées de `from` à `to` inclus ('YYYY-MM-DD'), par l'index `date`.
+    async getDrinksBetweenDates(from, to) {
+        try {
+            return await this.db.drinks.where('date').between(from, to, true, true).toArray();
+        } catch (error) {
+            console.error('Error getting drinks by date range:', error);
+            return [];
+        }
+    }
+
     async getDrinksByName(name) {
         try {
             return await this.db.drinks.where('name').equals(name).toArray();
@@ -449,50 +1068,55 @@ class DatabaseManager {
         }
     }
 
+    // Ligne `drinks` prête à insérer (uid, quantityInCL, valeurs par défaut).
+    // Partagée par addDrink et addDrinksBatch.
+    _newDrinkRow(drinkData) {
+        // Les stats recalculent via `toCl`, mais ce champ stocké est
+        // exporté/partagé : il doit dire la même chose (cf. _quantityInCl).
+        const quantityInCL = this._quantityInCl(drinkData.quantity, drinkData.unit);
+
+        return {
+            uid: drinkData.uid || genUid(),
+            name: drinkData.name,
+            category: drinkData.category,
+            quantity: drinkData.quantity,
+            unit: drinkData.unit,
+            quantityInCL: quantityInCL,
+            alcoholContent: drinkData.alcoholContent || 0,
+            date: drinkData.date,
+            time: drinkData.time,
+            location: drinkData.location || null,
+            barcode: drinkData.barcode || null,
+            // Prix payé pour CETTE entrée (€). null = inconnu. La référence
+            // de famille vit en settings (price.ref.*), pas ici.
+            price: drinkData.price != null ? drinkData.price : null,
+            // Provenance du prix : true = prix personnalisé (jamais écrasé
+            // par un changement de prix de référence) ; false/absent = au
+            // prix de référence de la famille (suit les cascades de réf.).
+            priceIsCustom: drinkData.priceIsCustom === true,
+            // État d'estomac pour le modèle BAC ('light' | 'full').
+            // null = à jeun (absorption historique).
+            food: drinkData.food || null,
+            // Contenant partagé (pichet, bouteille…) : { total, share,
+            // windowMin } — volume du contenant (dans `unit`), ma part (0–1]
+            // et durée de consommation en minutes. `quantity` est déjà MA
+            // part ; windowMin étale l'absorption dans le modèle BAC.
+            shared: drinkData.shared || null
+        };
+    }
+
     async addDrink(drinkData) {
         try {
-            // Convert quantity based on unit — MUST mirror `toCl` (shared.jsx):
-            // EcoCup ×25, L ×100, mL ÷10, sinon déjà en cL. Comparaison
-            // insensible à la casse comme `toCl` (les stats recalculent via
-            // `toCl`, mais ce champ stocké est exporté/partagé : il doit dire
-            // la même chose).
-            const unitLc = String(drinkData.unit || '').toLowerCase();
-            let quantityInCL = drinkData.quantity;
-            if (unitLc === 'ecocup') {
-                quantityInCL = drinkData.quantity * 25; // EcoCup = 25cL each
-            } else if (unitLc === 'l') {
-                quantityInCL = drinkData.quantity * 100; // Convert L to cL
-            } else if (unitLc === 'ml') {
-                quantityInCL = drinkData.quantity / 10; // Convert mL to cL
-            }
-
-            const drinkToAdd = {
-                uid: drinkData.uid || genUid(),
-                name: drinkData.name,
-                category: drinkData.category,
-                quantity: drinkData.quantity,
-                unit: drinkData.unit,
-                quantityInCL: quantityInCL,
-                alcoholContent: drinkData.alcoholContent || 0,
-                date: drinkData.date,
-                time: drinkData.time,
-                location: drinkData.location || null,
-                barcode: drinkData.barcode || null,
-                // Prix payé pour CETTE entrée (€). null = inconnu. La référence
-                // de famille vit en settings (price.ref.*), pas ici.
-                price: drinkData.price != null ? drinkData.price : null,
-                // Provenance du prix : true = prix personnalisé (jamais écrasé
-                // par un changement de prix de référence) ; false/absent = au
-                // prix de référence de la famille (suit les cascades de réf.).
-                priceIsCustom: drinkData.priceIsCustom === true
-            };
+            const drinkToAdd = this._newDrinkRow(drinkData);
 
             const id = await this.db.drinks.add(drinkToAdd);
 
             // Update category drink count
             await this.updateCategoryDrinkCount(drinkData.category);
 
-            return await this.getDrinkById(id);
+            const row = await this.getDrinkById(id);
+            await this._learnProducts([row]);
+            return row;
         } catch (error) {
             console.error('Error adding drink:', error);
             throw error;
@@ -503,7 +1127,7 @@ class DatabaseManager {
         try {
             const oldDrink = await this.getDrinkById(id);
             if (!oldDrink) {
-                throw new Error('Boisson non trouvée');
+                throw codedError('drink.notFound', 'Boisson non trouvée');
             }
 
             // Convert quantity based on unit if quantity or unit is being updated
@@ -512,16 +1136,7 @@ class DatabaseManager {
                 const unit = updates.unit !== undefined ? updates.unit : oldDrink.unit;
 
                 // Même conversion que addDrink / `toCl` (shared.jsx).
-                const unitLc = String(unit || '').toLowerCase();
-                let quantityInCL = quantity;
-                if (unitLc === 'ecocup') {
-                    quantityInCL = quantity * 25;
-                } else if (unitLc === 'l') {
-                    quantityInCL = quantity * 100;
-                } else if (unitLc === 'ml') {
-                    quantityInCL = quantity / 10;
-                }
-                updates.quantityInCL = quantityInCL;
+                updates.quantityInCL = this._quantityInCl(quantity, unit);
             }
 
             await this.db.drinks.update(id, updates);
@@ -532,7 +1147,12 @@ class DatabaseManager {
                 await this.updateCategoryDrinkCount(updates.category);
             }
 
-            return await this.getDrinkById(id);
+            const row = await this.getDrinkById(id);
+            // Correction d'une boisson scannée : le catalogue suit.
+            if (['name', 'category', 'alcoholContent', 'quantity', 'unit', 'barcode'].some(k => updates[k] !== undefined)) {
+                await this._learnProducts([row]);
+            }
+            return row;
         } catch (error) {
             console.error('Error updating drink:', error);
             throw error;
@@ -543,7 +1163,7 @@ class DatabaseManager {
         try {
             const drink = await this.getDrinkById(id);
             if (!drink) {
-                throw new Error('Boisson non trouvée');
+                throw codedError('drink.notFound', 'Boisson non trouvée');
             }
 
             await this.db.drinks.delete(id);
@@ -558,6 +1178,81 @@ class DatabaseManager {
         }
     }
 
+    // Lot d'éditions (sélection multiple de l'Historique) : UNE transaction
+    // sur drinks + categories, pour qu'un lecteur concurrent (le `reconcile`
+    // du partage) ne voie jamais un lot à moitié appliqué. `changesFor(row)`
+    // calcule les champs à écrire pour chaque ligne lue dans la transaction
+    // (null = ligne inchangée). Retourne les lignes AVANT modification, dans
+    // l'ordre de `ids` — c'est l'instantané de l'annulation.
+    async updateDrinksBatch(ids, changesFor) {
+        try {
+            const before = [];
+            await this.db.transaction('rw', this.db.drinks, this.db.categories, async () => {
+                const touched = new Set();
+                for (const id of ids) {
+                    const row = await this.db.drinks.get(id);
+                    if (!row) throw codedError('drink.notFound', 'Boisson non trouvée');
+                    const changes = changesFor(row);
+                    if (!changes) continue;
+                    before.push(row);
+                    await this.db.drinks.update(id, changes);
+                    if (changes.category !== undefined && changes.category !== row.category) {
+                        touched.add(row.category);
+                        touched.add(changes.category);
+                    }
+                }
+                for (const name of touched) await this.updateCategoryDrinkCount(name);
+            });
+            return before;
+        } catch (error) {
+            console.error('Error updating drinks batch:', error);
+            throw error;
+        }
+    }
+
+    // Suppression d'un lot dans une seule transaction ; retourne les lignes
+    // supprimées (à repasser telles quelles à `restoreDrinks` pour annuler).
+    async deleteDrinksBatch(ids) {
+        try {
+            const rows = [];
+            await this.db.transaction('rw', this.db.drinks, this.db.categories, async () => {
+                for (const id of ids) {
+                    const row = await this.db.drinks.get(id);
+                    if (!row) throw codedError('drink.notFound', 'Boisson non trouvée');
+                    rows.push(row);
+                }
+                await this.db.drinks.bulkDelete(ids);
+                for (const name of new Set(rows.map(r => r.category))) {
+                    await this.updateCategoryDrinkCount(name);
+                }
+            });
+            return rows;
+        } catch (error) {
+            console.error('Error deleting drinks batch:', error);
+            throw error;
+        }
+    }
+
+    // Ajout d'un lot (tournée) dans UNE transaction : toutes les boissons ou
+    // aucune. Retourne les lignes créées, dans l'ordre de `drinks`.
+    async addDrinksBatch(drinks) {
+        try {
+            let ids = [];
+            await this.db.transaction('rw', this.db.drinks, this.db.categories, async () => {
+                ids = await this.db.drinks.bulkAdd(drinks.map(d => this._newDrinkRow(d)), { allKeys: true });
+                for (const name of new Set(drinks.map(d => d.category))) {
+                    await this.updateCategoryDrinkCount(name);
+                }
+            });
+            const rows = await this.db.drinks.bulkGet(ids);
+            await this._learnProducts(rows);
+            return rows;
+        } catch (error) {
+            console.error('Error adding drinks batch:', error);
+            throw error;
+        }
+    }
+
     // Settings operations
     async getSetting(key) {
         try {
@@ -583,6 +1278,328 @@ class DatabaseManager {
         }
     }
 
+    // ── Valeurs locales à l'appareil (deviceStore) ───────────────────────
+    // Objets clonables mais non sérialisables (FileSystemDirectoryHandle,
+    // CryptoKey) : stockés tels quels, hors settings donc hors exports.
+    async getDeviceValue(key) {
+        try {
+            const row = await this.db.deviceStore.get(key);
+            return row ? row.value : null;
+        } catch (error) {
+            console.error('Error getting device value:', error);
+            return null;
+        }
+    }
+
+    async setDeviceValue(key, value) {
+        try {
+            if (value === null || value === undefined) {
+                await this.db.deviceStore.delete(key);
+            } else {
+                await this.db.deviceStore.put({ key, value });
+            }
+            return true;
+        } catch (error) {
+            console.error('Error setting device value:', error);
+            throw error;
+        }
+    }
+
+    // ── Mesures d'éthylotest (bacReadings) ───────────────────────────────
+    async addBacReading(reading) {
+        try {
+            const id = await this.db.bacReadings.add({ ...reading, createdAt: new Date() });
+            return await this.db.bacReadings.get(id);
+        } catch (error) {
+            console.error('Error adding BAC reading:', error);
+            throw error;
+        }
+    }
+
+    async getAllBacReadings() {
+        try {
+            return await this.db.bacReadings.orderBy('ts').toArray();
+        } catch (error) {
+            console.error('Error getting BAC readings:', error);
+            return [];
+        }
+    }
+
+    async deleteBacReading(id) {
+        try {
+            await this.db.bacReadings.delete(id);
+            return true;
+        } catch (error) {
+            console.error('Error deleting BAC reading:', error);
+            throw error;
+        }
+    }
+
+    // ── Auto-évaluations (AUDIT-C / AUDIT) ───────────────────────────────
+    async addAssessment(assessment) {
+        try {
+            const id = await this.db.assessments.add({ ...assessment, createdAt: new Date() });
+            return await this.db.assessments.get(id);
+        } catch (error) {
+            console.error('Error adding assessment:', error);
+            throw error;
+        }
+    }
+
+    async getAllAssessments() {
+        try {
+            return await this.db.assessments.orderBy('ts').toArray();
+        } catch (error) {
+            console.error('Error getting assessments:', error);
+            return [];
+        }
+    }
+
+    async deleteAssessment(id) {
+        try {
+            await this.db.assessments.delete(id);
+            return true;
+        } catch (error) {
+            console.error('Error deleting assessment:', error);
+            throw error;
+        }
+    }
+
+    // ── Tournées (modèles de plusieurs boissons) ──────────────────────────
+    async addRound(round) {
+        try {
+            const now = new Date();
+            const id = await this.db.rounds.add({ ...round, createdAt: now, updatedAt: now });
+            return await this.db.rounds.get(id);
+        } catch (error) {
+            console.error('Error adding round:', error);
+            throw error;
+        }
+    }
+
+    async getAllRounds() {
+        try {
+            return await this.db.rounds.orderBy('name').toArray();
+        } catch (error) {
+            console.error('Error getting rounds:', error);
+            return [];
+        }
+    }
+
+    async updateRound(id, updates) {
+        try {
+            const n = await this.db.rounds.update(id, { ...updates, updatedAt: new Date() });
+            if (!n) throw codedError('round.notFound', 'Tournée non trouvée');
+            return await this.db.rounds.get(id);
+        } catch (error) {
+            console.error('Error updating round:', error);
+            throw error;
+        }
+    }
+
+    async deleteRound(id) {
+        try {
+            await this.db.rounds.delete(id);
+            return true;
+        } catch (error) {
+            console.error('Error deleting round:', error);
+            throw error;
+        }
+    }
+
+    // ── Unités de contenant (registre `units`, cf. SEED_UNITS) ──────────
+    // Conversion — MUST mirror `toCl` (shared.jsx) : facteur du registre,
+    // nom comparé sans casse, unité inconnue = déjà en cL. Arrondi au
+    // milliardième pour qu'un facteur décimal (mL = 0,1) redonne un compte
+    // rond (250 mL → 25 cL, pas 25.000000000000004).
+    _quantityInCl(quantity, unit) {
+        const f = this._unitCl.get(String(unit || '').toLowerCase());
+        if (!(f > 0) || f === 1) return quantity;
+        return Math.round(quantity * f * 1e9) / 1e9;
+    }
+
+    async _refreshUnitCache() {
+        const rows = await this.db.units.toArray();
+        this._unitCl = new Map(rows.map(u => [String(u.name).toLowerCase(), Number(u.cl)]));
+        return rows;
+    }
+
+    // Complète le registre (graines, unités des boissons — cf.
+    // missingUnitRows) puis rafraîchit le cache. Idempotent : appelé au
+    // démarrage, après un import et après « Tout effacer ».
+    async ensureUnits() {
+        try {
+            await this.db.transaction('rw', this.db.units, this.db.drinks, async () => {
+                const [units, drinks] = await Promise.all([this.db.units.toArray(), this.db.drinks.toArray()]);
+                const now = new Date();
+                const rows = missingUnitRows(units, drinks).map(u => ({ ...u, createdAt: now, updatedAt: now }));
+                if (rows.length) await this.db.units.bulkAdd(rows);
+            });
+            return await this._refreshUnitCache();
+        } catch (error) {
+            console.error('Error ensuring units:', error);
+            return [];
+        }
+    }
+
+    // Ordre de création : les graines d'abord, comme dans le sélecteur.
+    async getAllUnits() {
+        try {
+            return await this.db.units.toArray();
+        } catch (error) {
+            console.error('Error getting units:', error);
+            return [];
+        }
+    }
+
+    async addUnit(unit) {
+        try {
+            const name = String(unit.name || '').trim();
+            const all = await this.db.units.toArray();
+            if (all.some(u => String(u.name).toLowerCase() === name.toLowerCase())) {
+                throw codedError('unit.exists', 'Cette unité existe déjà');
+            }
+            const now = new Date();
+            const id = await this.db.units.add({
+                icon: null, hidden: false, defaultFor: null, ...unit,
+                name, builtin: false, createdAt: now, updatedAt: now
+            });
+            await this._refreshUnitCache();
+            return await this.db.units.get(id);
+        } catch (error) {
+            console.error('Error adding unit:', error);
+            throw error;
+        }
+    }
+
+    // `name` et `builtin` ne changent jamais : les boissons référencent
+    // l'unité par son nom. Un nouvel équivalent recalcule le quantityInCL
+    // des boissons concernées, dans la même transaction.
+    async updateUnit(id, updates) {
+        try {
+            const { id: _id, name, builtin, createdAt, ...fields } = updates;
+            let out;
+            await this.db.transaction('rw', this.db.units, this.db.drinks, async () => {
+                const unit = await this.db.units.get(id);
+                if (!unit) throw codedError('unit.notFound', 'Unité non trouvée');
+                const clChanged = fields.cl !== undefined && fields.cl !== unit.cl;
+                if (clChanged && unit.builtin) throw codedError('unit.builtinCl', 'Unité intégrée : équivalent non modifiable');
+                await this.db.units.update(id, { ...fields, updatedAt: new Date() });
+                out = await this.db.units.get(id);
+                if (clChanged) {
+                    const key = String(unit.name).toLowerCase();
+                    await this.db.drinks
+                        .filter(d => String(d.unit || '').toLowerCase() === key)
+                        .modify((d) => { d.quantityInCL = Math.round(d.quantity * out.cl * 1e9) / 1e9; });
+                }
+            });
+            await this._refreshUnitCache();
+            return out;
+        } catch (error) {
+            console.error('Error updating unit:', error);
+            throw error;
+        }
+    }
+
+    // Refusée pour une unité intégrée ou encore portée par des boissons
+    // (leur volume deviendrait faux).
+    async deleteUnit(id) {
+        try {
+            const unit = await this.db.units.get(id);
+            if (!unit) return;
+            if (unit.builtin) throw codedError('unit.builtinDelete', 'Unité intégrée : suppression impossible');
+            const key = String(unit.name).toLowerCase();
+            const used = await this.db.drinks.filter(d => String(d.unit || '').toLowerCase() === key).count();
+            if (used > 0) throw codedError('unit.inUse', `Unité utilisée par ${used} boisson${used > 1 ? 's' : ''}`, { count: used });
+            await this.db.units.delete(id);
+            await this._refreshUnitCache();
+        } catch (error) {
+            console.error('Error deleting unit:', error);
+            throw error;
+        }
+    }
+
+    // ── Catalogue local des produits (table `products`) ─────────────────
+    // Apprentissage depuis des boissons enregistrées : la dernière écrite
+    // fait foi pour son code-barres. Best-effort — un échec n'annule jamais
+    // l'enregistrement de la boisson.
+    async _learnProducts(drinks) {
+        const rows = (drinks || []).filter(d => d && d.barcode && String(d.name || '').trim());
+        if (!rows.length) return;
+        try {
+            await this.db.transaction('rw', this.db.products, async () => {
+                const now = new Date();
+                for (const d of rows) {
+                    const prev = await this.db.products.get(String(d.barcode));
+                    await this.db.products.put({
+                        ...productFromDrink(d, prev),
+                        createdAt: (prev && prev.createdAt) || now,
+                        updatedAt: now
+                    });
+                }
+            });
+        } catch (error) {
+            console.warn('Error learning products:', error);
+        }
+    }
+
+    async getProduct(barcode) {
+        try {
+            return barcode ? await this.db.products.get(String(barcode)) : undefined;
+        } catch (error) {
+            console.error('Error getting product:', error);
+            return undefined;
+        }
+    }
+
+    // Du plus récemment appris / modifié au plus ancien.
+    async getAllProducts() {
+        try {
+            return await this.db.products.orderBy('updatedAt').reverse().toArray();
+        } catch (error) {
+            console.error('Error getting products:', error);
+            return [];
+        }
+    }
+
+    // Modification depuis le catalogue : la fiche passe en 'manual'. Le
+    // code-barres (clé) ne change pas.
+    async updateProduct(barcode, updates) {
+        try {
+            const { barcode: _b, createdAt, ...fields } = updates;
+            const prev = await this.db.products.get(String(barcode));
+            if (!prev) throw codedError('product.notFound', 'Produit non trouvé');
+            await this.db.products.update(prev.barcode, { ...fields, source: 'manual', updatedAt: new Date() });
+            return await this.db.products.get(prev.barcode);
+        } catch (error) {
+            console.error('Error updating product:', error);
+            throw error;
+        }
+    }
+
+    async deleteProduct(barcode) {
+        try {
+            await this.db.products.delete(String(barcode));
+        } catch (error) {
+            console.error('Error deleting product:', error);
+            throw error;
+        }
+    }
+
+    // Fiches partagées par le groupe (opt-in des auteurs, cf. share.jsx) :
+    // la boisson d'un ami la plus récente pour ce code-barres.
+    async findSharedByBarcode(barcode) {
+        try {
+            const code = String(barcode || '');
+            if (!code) return undefined;
+            const hits = await this.db.sharedPool.filter(r => !r.deleted && r.barcode === code).toArray();
+            return hits.sort((a, b) => (b.tsUtc || 0) - (a.tsUtc || 0))[0];
+        } catch (error) {
+            console.error('Error finding shared product:', error);
+            return undefined;
+        }
+    }
+
     async getAllSettings() {
         try {
             const settings = await this.db.settings.toArray();
@@ -718,6 +1735,88 @@ class DatabaseManager {
         }
     }
 
+    // ── Navigateur de sauvegardes ─────────────────────────────────────────
+    // Liste des snapshots `backups`, du plus récent au plus ancien, SANS le
+    // JSON complet (potentiellement lourd) : { id, createdAt, label, reason,
+    // counts }. Raison et compteurs sont ceux enregistrés avec le snapshot
+    // (backupRow) ; seuls les snapshots plus anciens sont encore décodés. Un
+    // snapshot illisible reste listé avec `counts: null` plutôt que de
+    // masquer les autres.
+    async listBackups() {
+        try {
+            const rows = await this.db.backups.orderBy('id').reverse().toArray();
+            return rows.map(b => {
+                if (b.counts) {
+                    return { id: b.id, createdAt: b.createdAt, label: b.label, reason: b.reason || null, counts: b.counts };
+                }
+                let data = null;
+                try { data = JSON.parse(b.json); } catch (e) { /* illisible */ }
+                const count = (k) => (data && Array.isArray(data[k]) ? data[k].length : 0);
+                const counts = {};
+                for (const k of BACKUP_COUNTED_TABLES) counts[k] = count(k);
+                return {
+                    id: b.id,
+                    createdAt: b.createdAt,
+                    label: b.label,
+                    reason: data ? data.reason || null : null,
+                    counts: data ? counts : null
+                };
+            });
+        } catch (error) {
+            console.error('Error listing backups:', error);
+            return [];
+        }
+    }
+
+    // Contenu décodé d'un snapshot, ou null (introuvable / JSON corrompu).
+    async getBackupData(id) {
+        try {
+            const row = await this.db.backups.get(id);
+            if (!row) return null;
+            return JSON.parse(row.json);
+        } catch (error) {
+            console.error('Error reading backup:', error);
+            return null;
+        }
+    }
+
+    // Aperçu avant restauration : boissons qui DISPARAÎTRAIENT (`added` —
+    // saisies depuis le snapshot) et qui REVIENDRAIENT (`removed` —
+    // supprimées depuis). Appariement uid puis clé de contenu, cf.
+    // `matchDrinks`. Null si le snapshot est illisible.
+    async diffBackup(id) {
+        try {
+            const data = await this.getBackupData(id);
+            if (!data || !Array.isArray(data.drinks)) return null;
+            const current = await this.db.drinks.toArray();
+            const { pairs, onlyLeft, onlyRight } = matchDrinks(current, data.drinks);
+            return { added: onlyLeft, removed: onlyRight, unchanged: pairs.length };
+        } catch (error) {
+            console.error('Error diffing backup:', error);
+            return null;
+        }
+    }
+
+    // Restauration à un instant T. L'état courant est d'abord lui-même
+    // snapshoté ('pre-restore') : une restauration malheureuse se défait en
+    // restaurant ce snapshot. Seules les tables présentes dans le snapshot
+    // sont remplacées — 'pre-normalize-categories' ne contient ni réglages
+    // ni notes, qui restent alors intacts.
+    async restoreBackup(id) {
+        try {
+            const data = await this.getBackupData(id);
+            if (!data || !Array.isArray(data.categories) || !Array.isArray(data.drinks)) {
+                throw codedError('backup.unreadable', 'Sauvegarde introuvable ou illisible');
+            }
+            await this._snapshotPersonalTables('pre-restore');
+            await this._replacePersonalTables(data, { partial: true });
+            return true;
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            throw error;
+        }
+    }
+
     // ── Normalisation one-time des noms de catégorie ─────────────────────────
     // Réécrit en forme canonique (trim + NFC) le nom de chaque ligne
     // `categories` et la chaîne `category` de chaque boisson, et FUSIONNE les
@@ -756,17 +1855,8 @@ class DatabaseManager {
             }
 
             // Snapshot AVANT toute écriture (règle d'or « zéro perte »).
-            await this.db.backups.add({
-                createdAt: new Date(),
-                label: 'pre-normalize-categories',
-                json: JSON.stringify({
-                    version: '1.0',
-                    exportDate: new Date().toISOString(),
-                    reason: 'pre-normalize-categories',
-                    categories: cats,
-                    drinks
-                })
-            });
+            await this.db.backups.add(backupRow('pre-normalize-categories',
+                exportEnvelope({ categories: cats, drinks }, 'pre-normalize-categories')));
 
             await this.db.transaction('rw', this.db.categories, this.db.drinks, this.db.settings, async () => {
                 for (const f of catFixes) {
@@ -801,91 +1891,498 @@ class DatabaseManager {
         }
     }
 
+    // ── Journal des modifications (annuler / rétablir) ────────────────────
+    // `journaled(label, fn)` lance `fn` puis enregistre, pour chaque ligne
+    // qu'il a écrite dans JOURNAL_TABLES, l'état avant (inverse implicite) et
+    // l'état après. Les lignes sont repérées par les hooks de _installJournalHooks
+    // pendant `fn`, sans relire les tables entières. Les appels journalisés
+    // sont sérialisés entre eux — `fn` ne doit donc pas rappeler `journaled`
+    // (il attendrait sa propre fin) ; une écriture NON journalisée qui toucherait
+    // pendant ce temps les mêmes lignes serait en revanche capturée aussi (les
+    // réglages hors JOURNAL_SETTING_PREFIXES sont ignorés, et seules les
+    // mutations journalisées écrivent les autres tables suivies). Une mutation
+    // qui échoue à mi-chemin est journalisée quand même : ce qu'elle a écrit
+    // reste annulable. `label` peut être une fonction du résultat de `fn`.
+    _journalQueue(task) {
+        const p = this._journalChain.then(task, task);
+        this._journalChain = p.catch(() => {});
+        return p;
+    }
+
+    // Première écriture d'une clé pendant l'entrée ouverte : on garde la
+    // ligne d'origine (null = créée par `fn`). Les hooks Dexie sont
+    // synchrones, d'où la copie immédiate.
+    _installJournalHooks() {
+        const manager = this;
+        for (const table of Object.keys(JOURNAL_TABLES)) {
+            const touch = (key, row) => {
+                const touched = manager._journalTouched;
+                if (!touched || key === undefined) return;
+                if (table === 'settings' && !JOURNAL_SETTING_PREFIXES.some(p => String(key).startsWith(p))) return;
+                const seen = touched[table];
+                if (!seen.has(key)) seen.set(key, row ? Dexie.deepClone(row) : null);
+            };
+            this.db[table].hook('creating', function (primKey) {
+                if (primKey !== undefined) touch(primKey, null);
+                else this.onsuccess = (key) => touch(key, null);
+            });
+            this.db[table].hook('updating', function (modifications, primKey, obj) {
+                touch(primKey, obj);
+            });
+            this.db[table].hook('deleting', function (primKey, obj) {
+                touch(primKey, obj);
+            });
+        }
+    }
+
+    async journaled(label, fn) {
+        return this._journalQueue(async () => {
+            const touched = Object.fromEntries(Object.keys(JOURNAL_TABLES).map(t => [t, new Map()]));
+            this._journalTouched = touched;
+            let result, failed = false;
+            try {
+                result = await fn();
+            } catch (error) {
+                failed = true;
+                throw error;
+            } finally {
+                this._journalTouched = null;
+                try {
+                    const before = {}, after = {};
+                    for (const [table, seen] of Object.entries(touched)) {
+                        before[table] = [...seen.values()].filter(Boolean);
+                        after[table] = (await this.db[table].bulkGet([...seen.keys()])).filter(Boolean);
+                    }
+                    const changes = diffJournalSnapshots(before, after);
+                    if (changes.length) {
+                        const text = typeof label === 'function' ? label(failed ? null : result) : label;
+                        await this._pushJournal({ ts: Date.now(), label: text || 'Modification', changes, undone: false });
+                    }
+                } catch (error) {
+                    console.error('Error recording journal entry:', error);
+                }
+            }
+            return result;
+        });
+    }
+
+    // Une nouvelle entrée invalide la branche « rétablir » (entrées annulées)
+    // puis la liste est bornée à JOURNAL_MAX.
+    async _pushJournal(entry) {
+        await this.db.transaction('rw', this.db.journal, async () => {
+            await this.db.journal.filter(e => e.undone).delete();
+            await this.db.journal.add(entry);
+            const n = await this.db.journal.count();
+            if (n > JOURNAL_MAX) {
+                const old = await this.db.journal.orderBy('id').limit(n - JOURNAL_MAX).primaryKeys();
+                await this.db.journal.bulkDelete(old);
+            }
+        });
+    }
+
+    // Résumés, du plus récent au plus ancien (sans les lignes, comme
+    // listBackups) : { id, ts, label, undone, count }.
+    async listJournal() {
+        try {
+            const rows = await this.db.journal.orderBy('id').reverse().toArray();
+            return rows.map(e => ({ id: e.id, ts: e.ts, label: e.label, undone: !!e.undone, count: e.changes.length }));
+        } catch (error) {
+            console.error('Error listing journal:', error);
+            return [];
+        }
+    }
+
+    // Réécrit chaque ligne touchée dans l'état `side` ('before' pour annuler,
+    // 'after' pour rétablir), en une transaction avec la bascule `undone`.
+    async _applyJournal(entry, side) {
+        const tables = Object.keys(JOURNAL_TABLES).map(t => this.db[t]);
+        await this.db.transaction('rw', [...tables, this.db.journal], async () => {
+            const changes = side === 'before' ? [...entry.changes].reverse() : entry.changes;
+            for (const c of changes) {
+                const row = c[side];
+                if (row) await this.db[c.table].put(row);
+                else await this.db[c.table].delete(c.key);
+            }
+            // Compteurs des seules catégories concernées : celles des boissons
+            // touchées (avant et après) et les catégories elles-mêmes réécrites.
+            const names = new Set();
+            for (const c of entry.changes) {
+                const field = c.table === 'drinks' ? 'category' : c.table === 'categories' ? 'name' : null;
+                if (!field) continue;
+                if (c.before && c.before[field]) names.add(c.before[field]);
+                if (c.after && c.after[field]) names.add(c.after[field]);
+            }
+            for (const name of names) await this.updateCategoryDrinkCount(name);
+            await this.db.journal.update(entry.id, { undone: side === 'before' });
+        });
+    }
+
+    // Annule la dernière entrée active ; null s'il n'y a rien à annuler.
+    async undoJournal() {
+        return this._journalQueue(async () => {
+            const entry = await this.db.journal.orderBy('id').reverse().filter(e => !e.undone).first();
+            if (!entry) return null;
+            await this._applyJournal(entry, 'before');
+            return { id: entry.id, label: entry.label };
+        });
+    }
+
+    // Rétablit la plus ancienne entrée annulée (les annulées forment
+    // toujours la fin de la liste, cf. _pushJournal).
+    async redoJournal() {
+        return this._journalQueue(async () => {
+            const entry = await this.db.journal.orderBy('id').filter(e => e.undone).first();
+            if (!entry) return null;
+            await this._applyJournal(entry, 'after');
+            return { id: entry.id, label: entry.label };
+        });
+    }
+
+    async clearJournal() {
+        try {
+            await this.db.journal.clear();
+        } catch (error) {
+            console.error('Error clearing journal:', error);
+        }
+    }
+
     // Data export/import
-    async exportData() {
+    // `passphrase` : export chiffré (enveloppe ENCRYPTED_FORMAT) au lieu du
+    // JSON en clair ; `keyRecord` : idem avec une clé déjà dérivée
+    // (cf. deriveEnvelopeKeyRecord, export planifié). `annotate(tables)` :
+    // champs informatifs ajoutés à l'enveloppe (colonnes dérivées calculées
+    // côté UI) — l'import ne lit que les tables d'EXPORT_SCHEMA.
+    async exportData({ passphrase, keyRecord, annotate } = {}) {
         try {
             const categories = await this.db.categories.toArray();
             const drinks = await this.db.drinks.toArray();
             const settings = await this.db.settings.toArray();
             const drinkRatings = await this.db.drinkRatings.toArray();
-
-            const exportData = {
-                version: '1.0',
-                exportDate: new Date().toISOString(),
-                categories,
-                drinks,
-                settings,
-                drinkRatings
-            };
-
-            return JSON.stringify(exportData, null, 2);
+            const bacReadings = await this.db.bacReadings.toArray();
+            const assessments = await this.db.assessments.toArray();
+            const rounds = await this.db.rounds.toArray();
+            const units = await this.db.units.toArray();
+            const products = await this.db.products.toArray();
+
+            const tables = { categories, drinks, settings, drinkRatings, bacReadings, assessments, rounds, units, products };
+            const extra = annotate ? annotate(tables) : null;
+            const json = JSON.stringify({ ...exportEnvelope(tables), ...extra }, null, 2);
+            if (keyRecord) return await encryptWithKeyRecord(json, keyRecord, EXPORT_FORMAT);
+            return passphrase ? await encryptEnvelope(json, passphrase, EXPORT_FORMAT) : json;
         } catch (error) {
             console.error('Error exporting data:', error);
             throw error;
         }
     }
 
+    // Les 9 tables perso, telles qu'un snapshot les contient.
+    async _readPersonalTables() {
+        const [categories, drinks, settings, drinkRatings, bacReadings, assessments, rounds, units, products] = await Promise.all([
+            this.db.categories.toArray(),
+            this.db.drinks.toArray(),
+            this.db.settings.toArray(),
+            this.db.drinkRatings.toArray(),
+            this.db.bacReadings.toArray(),
+            this.db.assessments.toArray(),
+            this.db.rounds.toArray(),
+            this.db.units.toArray(),
+            this.db.products.toArray()
+        ]);
+        return { categories, drinks, settings, drinkRatings, bacReadings, assessments, rounds, units, products };
+    }
+
     // Snapshot des tables perso dans `backups`, best-effort. Appelé AVANT
     // toute étape destructive (import qui écrase tout, « Tout effacer ») —
     // règle d'or « zéro perte » : même une action volontaire reste
     // récupérable au niveau DB. N'échoue jamais l'opération appelante.
     async _snapshotPersonalTables(label) {
         try {
-            const [categories, drinks, settings, drinkRatings] = await Promise.all([
-                this.db.categories.toArray(),
-                this.db.drinks.toArray(),
-                this.db.settings.toArray(),
-                this.db.drinkRatings.toArray()
-            ]);
-            if (categories.length === 0 && drinks.length === 0) return; // rien à protéger
-            await this.db.backups.add({
-                createdAt: new Date(),
-                label,
-                json: JSON.stringify({
-                    version: '1.0',
-                    exportDate: new Date().toISOString(),
-                    reason: label,
-                    categories, drinks, settings, drinkRatings
-                })
-            });
+            const tables = await this._readPersonalTables();
+            if (tables.categories.length === 0 && tables.drinks.length === 0) return; // rien à protéger
+            await this.db.backups.add(backupRow(label, exportEnvelope(tables, label)));
         } catch (error) {
             console.error('Error snapshotting before destructive step:', error);
         }
     }
 
-    async importData(jsonData) {
-        try {
-            const data = JSON.parse(jsonData);
+    // Remplace les tables perso par `data` dans UNE transaction (rollback
+    // intégral si échec). `partial` : une table absente de `data` est
+    // conservée au lieu d'être vidée (restauration d'un snapshot partiel).
+    // Le registre d'unités n'est remplacé que si `data` en porte un (un
+    // export d'avant les unités ne supprime pas celles de l'appareil), puis
+    // complété pour les unités des boissons importées. Même règle pour le
+    // catalogue des produits.
+    async _replacePersonalTables(data, { partial = false } = {}) {
+        // Backfill a stable uid on drinks coming from a pre-v5 export:
+        // without one the sharing engine silently skips the row forever
+        // (reconcile ignores drinks lacking a uid).
+        const drinks = data.drinks.map(d => (d && !d.uid) ? { ...d, uid: genUid() } : d);
+
+        await this.db.transaction('rw', [this.db.categories, this.db.drinks, this.db.settings, this.db.drinkRatings, this.db.bacReadings, this.db.assessments, this.db.rounds, this.db.units, this.db.products], async () => {
+            await this.db.categories.clear();
+            await this.db.drinks.clear();
+            if (!partial || data.settings) await this.db.settings.clear();
+            if (!partial || data.drinkRatings) await this.db.drinkRatings.clear();
+            if (!partial || data.bacReadings) await this.db.bacReadings.clear();
+            if (!partial || data.assessments) await this.db.assessments.clear();
+            if (!partial || data.rounds) await this.db.rounds.clear();
+
+            await this.db.categories.bulkAdd(data.categories);
+            await this.db.drinks.bulkAdd(drinks);
+            if (data.settings) {
+                await this.db.settings.bulkAdd(data.settings);
+            }
+            if (data.drinkRatings) {
+                await this.db.drinkRatings.bulkAdd(data.drinkRatings);
+            }
+            if (data.bacReadings) {
+                await this.db.bacReadings.bulkAdd(data.bacReadings);
+            }
+            if (data.assessments) {
+                await this.db.assessments.bulkAdd(data.assessments);
+            }
+            if (data.rounds) {
+                await this.db.rounds.bulkAdd(data.rounds);
+            }
+            if (data.units) {
+                await this.db.units.clear();
+                await this.db.units.bulkAdd(data.units);
+            }
+            if (data.products) {
+                await this.db.products.clear();
+                await this.db.products.bulkAdd(data.products);
+            }
+        });
+        await this.ensureUnits();
+        // Le journal décrit des lignes qui viennent d'être remplacées : ses
+        // annulations écraseraient les données importées / restaurées.
+        await this.clearJournal();
+    }
 
-            if (!data.version || !data.categories || !data.drinks) {
-                throw new Error('Format de données invalide');
+    // ── Import en mode fusion ─────────────────────────────────────────────
+    // Plan de fusion de `data` dans la base, SANS écrire : sert à la fois à
+    // l'aperçu (`previewImport`) et à l'application (`_applyMerge`).
+    // - boissons : appariées par uid puis par nom+date+heure+quantité
+    //   (`matchDrinks`). Paire → la ligne au `updatedAt` le plus récent
+    //   gagne (à égalité, la locale reste) ; sans vis-à-vis → ajout.
+    // - catégories : union canonique (`canonicalName`), y compris celles que
+    //   seules les boissons importées référencent.
+    // - notes : même règle « plus récent gagne », clé = nom de boisson.
+    // - mesures d'éthylotest et auto-évaluations : union, une ligne au même
+    //   instant (`ts`) qu'une ligne locale est ignorée.
+    // - tournées : union, une tournée du même nom (canonique, sans casse)
+    //   qu'une locale est ignorée.
+    // - unités : union, une unité du même nom (sans casse) garde son
+    //   équivalent local.
+    // - produits : union par code-barres, la fiche locale fait foi.
+    // - réglages : JAMAIS importés — ils décrivent CET appareil (poids, sexe,
+    //   thème) ; fusionner le profil d'un ami fausserait l'alcoolémie.
+    async _planMerge(data) {
+        const [cats, drinks, ratings, readings, assessments, rounds, units, products] = await Promise.all([
+            this.db.categories.toArray(),
+            this.db.drinks.toArray(),
+            this.db.drinkRatings.toArray(),
+            this.db.bacReadings.toArray(),
+            this.db.assessments.toArray(),
+            this.db.rounds.toArray(),
+            this.db.units.toArray(),
+            this.db.products.toArray()
+        ]);
+
+        const catNames = new Map(cats.map(c => [canonicalName(c.name), c.name]));
+        const catAdds = [];
+        const addCat = (row) => {
+            const name = canonicalName(row.name);
+            if (!name || catNames.has(name)) return false;
+            const { id, drinkCount, ...rest } = row;
+            const now = new Date();
+            catAdds.push({ createdAt: now, updatedAt: now, ...rest, name, drinkCount: 0 });
+            catNames.set(name, name);
+            return true;
+        };
+        let catSkipped = 0;
+        for (const c of data.categories) {
+            if (!addCat(c || {})) catSkipped++;
+        }
+
+        const incoming = data.drinks.filter(Boolean).map(d => {
+            const category = canonicalName(d.category);
+            addCat({ name: category });
+            return { ...d, category: catNames.get(category) || category };
+        });
+        const { pairs, onlyLeft } = matchDrinks(incoming, drinks);
+        const drinkAdds = onlyLeft.map(({ id, ...d }) => ({ ...d, uid: d.uid || genUid() }));
+        const drinkUpdates = [];
+        // Catégories dont le compteur bouge (y compris celle qu'une boisson
+        // mise à jour QUITTE).
+        const touched = new Set([...catAdds.map(c => c.name), ...drinkAdds.map(d => d.category)]);
+        for (const [inc, local] of pairs) {
+            if (rowTime(inc.updatedAt) > rowTime(local.updatedAt)) {
+                const { id, ...fields } = inc;
+                drinkUpdates.push({ ...fields, id: local.id, uid: local.uid || inc.uid || genUid() });
+                touched.add(inc.category);
+                touched.add(local.category);
             }
+        }
 
-            // Un import ÉCRASE tout : snapshot de l'état courant d'abord.
-            await this._snapshotPersonalTables('pre-import');
+        const ratingByName = new Map(ratings.map(r => [r.drinkName, r]));
+        const ratingPuts = [];
+        let ratingAdded = 0;
+        let ratingSkipped = 0;
+        for (const r of (data.drinkRatings || [])) {
+            if (!r || !r.drinkName) continue;
+            const local = ratingByName.get(r.drinkName);
+            if (!local) ratingAdded++;
+            else if (rowTime(r.updatedAt) <= rowTime(local.updatedAt)) { ratingSkipped++; continue; }
+            ratingPuts.push(r);
+        }
 
-            // Backfill a stable uid on drinks coming from a pre-v5 export:
-            // without one the sharing engine silently skips the row forever
-            // (reconcile ignores drinks lacking a uid).
-            const drinks = data.drinks.map(d => (d && !d.uid) ? { ...d, uid: genUid() } : d);
+        const readingTs = new Set(readings.map(r => r.ts));
+        const readingAdds = [];
+        for (const r of (data.bacReadings || [])) {
+            if (!r || readingTs.has(r.ts)) continue;
+            const { id, ...fields } = r;
+            readingAdds.push(fields);
+            readingTs.add(r.ts);
+        }
 
-            // Clear existing data
-            await this.db.transaction('rw', this.db.categories, this.db.drinks, this.db.settings, this.db.drinkRatings, async () => {
-                await this.db.categories.clear();
-                await this.db.drinks.clear();
-                await this.db.settings.clear();
-                await this.db.drinkRatings.clear();
+        const assessmentTs = new Set(assessments.map(a => a.ts));
+        const assessmentAdds = [];
+        for (const a of (data.assessments || [])) {
+            if (!a || assessmentTs.has(a.ts)) continue;
+            const { id, ...fields } = a;
+            assessmentAdds.push(fields);
+            assessmentTs.add(a.ts);
+        }
 
-                // Import data
-                await this.db.categories.bulkAdd(data.categories);
-                await this.db.drinks.bulkAdd(drinks);
-                if (data.settings) {
-                    await this.db.settings.bulkAdd(data.settings);
-                }
-                if (data.drinkRatings) {
-                    await this.db.drinkRatings.bulkAdd(data.drinkRatings);
+        const roundKey = (r) => canonicalName(r.name).toLowerCase();
+        const roundNames = new Set(rounds.map(roundKey));
+        const roundAdds = [];
+        for (const r of (data.rounds || [])) {
+            if (!r || roundNames.has(roundKey(r))) continue;
+            const { id, ...fields } = r;
+            roundAdds.push(fields);
+            roundNames.add(roundKey(r));
+        }
+
+        const unitNames = new Set(units.map(u => String(u.name).toLowerCase()));
+        const unitAdds = [];
+        for (const u of (data.units || [])) {
+            const key = u && String(u.name || '').trim().toLowerCase();
+            if (!key || unitNames.has(key)) continue;
+            const { id, ...fields } = u;
+            unitAdds.push(fields);
+            unitNames.add(key);
+        }
+
+        const barcodes = new Set(products.map(p => p.barcode));
+        const productAdds = [];
+        for (const p of (data.products || [])) {
+            if (!p || barcodes.has(p.barcode)) continue;
+            productAdds.push(p);
+            barcodes.add(p.barcode);
+        }
+
+        return {
+            catAdds, drinkAdds, drinkUpdates, ratingPuts, readingAdds, assessmentAdds, roundAdds, unitAdds, productAdds, touched,
+            report: {
+                drinks: {
+                    added: drinkAdds.length,
+                    updated: drinkUpdates.length,
+                    skipped: pairs.length - drinkUpdates.length
+                },
+                categories: { added: catAdds.length, skipped: catSkipped },
+                ratings: {
+                    added: ratingAdded,
+                    updated: ratingPuts.length - ratingAdded,
+                    skipped: ratingSkipped
                 }
-            });
+            }
+        };
+    }
+
+    async _applyMerge(plan) {
+        await this.db.transaction('rw', [this.db.categories, this.db.drinks, this.db.drinkRatings, this.db.bacReadings, this.db.assessments, this.db.rounds, this.db.units, this.db.products], async (tx) => {
+            tx.keepTimestamps = true;
+            if (plan.catAdds.length) await this.db.categories.bulkAdd(plan.catAdds);
+            if (plan.drinkAdds.length) await this.db.drinks.bulkAdd(plan.drinkAdds);
+            if (plan.drinkUpdates.length) await this.db.drinks.bulkPut(plan.drinkUpdates);
+            if (plan.ratingPuts.length) await this.db.drinkRatings.bulkPut(plan.ratingPuts);
+            if (plan.readingAdds.length) await this.db.bacReadings.bulkAdd(plan.readingAdds);
+            if (plan.assessmentAdds.length) await this.db.assessments.bulkAdd(plan.assessmentAdds);
+            if (plan.roundAdds.length) await this.db.rounds.bulkAdd(plan.roundAdds);
+            if (plan.unitAdds.length) await this.db.units.bulkAdd(plan.unitAdds);
+            if (plan.productAdds.length) await this.db.products.bulkAdd(plan.productAdds);
+        });
+        await this.ensureUnits();
+        // Recompte les compteurs de boissons après coup (best-effort).
+        for (const name of plan.touched) {
+            try { await this.updateCategoryDrinkCount(name); } catch (e) { /* best-effort */ }
+        }
+    }
+
+    // Fichier d'import → données validées. Un export chiffré est détecté et
+    // déchiffré ici ; sans phrase de passe, l'erreur porte
+    // `needsPassphrase` pour que l'UI la demande puis réessaie.
+    async _decodeImport(jsonData, passphrase) {
+        if (isEncryptedEnvelope(jsonData)) {
+            if (!passphrase) {
+                const err = codedError('import.passphraseRequired', 'Fichier chiffré : phrase de passe requise');
+                err.needsPassphrase = true;
+                throw err;
+            }
+            return parseExportData(await decryptEnvelope(jsonData, passphrase, EXPORT_FORMAT));
+        }
+        return parseExportData(jsonData);
+    }
+
+    // Aperçu d'un fichier avant import : contenu du fichier, état actuel et
+    // rapport de fusion (ce que `importData(json, { mode: 'merge' })`
+    // ferait). Lève si le fichier est invalide.
+    async previewImport(jsonData, { passphrase } = {}) {
+        try {
+            const data = await this._decodeImport(jsonData, passphrase);
+            const [categories, drinks] = await Promise.all([
+                this.db.categories.count(),
+                this.db.drinks.count()
+            ]);
+            const plan = await this._planMerge(data);
+            return {
+                file: {
+                    exportDate: data.exportDate || null,
+                    categories: data.categories.length,
+                    drinks: data.drinks.length
+                },
+                current: { categories, drinks },
+                merge: plan.report
+            };
+        } catch (error) {
+            console.error('Error previewing import:', error);
+            throw error;
+        }
+    }
+
+    // `mode: 'replace'` (défaut) ÉCRASE les tables perso et renvoie true ;
+    // `passphrase` : requise pour un export chiffré (cf. `_decodeImport`) ;
+    // `mode: 'merge'` fusionne (cf. `_planMerge`) et renvoie le rapport
+    // { drinks, categories, ratings } → { added, updated, skipped }.
+    async importData(jsonData, { mode = 'replace', passphrase } = {}) {
+        try {
+            const data = await this._decodeImport(jsonData, passphrase);
+
+            if (mode === 'merge') {
+                const plan = await this._planMerge(data);
+                // Une fusion peut réécrire des boissons (version importée plus
+                // récente) : même filet qu'un import complet.
+                await this._snapshotPersonalTables('pre-merge');
+                await this._applyMerge(plan);
+                return plan.report;
+            }
+
+            // Un import ÉCRASE tout : snapshot de l'état courant d'abord.
+            await this._snapshotPersonalTables('pre-import');
+
+            await this._replacePersonalTables(data);
 
             return true;
         } catch (error) {
@@ -903,15 +2400,25 @@ class DatabaseManager {
             // Include drinkRatings in the wipe — leaving them behind orphaned
             // every star rating in the DB after a "Tout effacer", which then
             // resurrected onto any drink the user re-added with the same name.
-            await this.db.transaction('rw', this.db.categories, this.db.drinks, this.db.settings, this.db.drinkRatings, async () => {
+            await this.db.transaction('rw', [this.db.categories, this.db.drinks, this.db.settings, this.db.drinkRatings, this.db.bacReadings, this.db.assessments, this.db.rounds, this.db.units, this.db.products], async () => {
                 await this.db.categories.clear();
                 await this.db.drinks.clear();
                 await this.db.settings.clear();
                 await this.db.drinkRatings.clear();
+                await this.db.bacReadings.clear();
+                await this.db.assessments.clear();
+                await this.db.rounds.clear();
+                await this.db.units.clear();
+                await this.db.products.clear();
             });
+            await this.clearJournal();
+            // Dossier et clé de l'export planifié : ses réglages viennent
+            // d'être effacés avec `settings`, rien ne doit rester armé.
+            await this.db.deviceStore.clear();
 
-            // Reinitialize default settings only
+            // Reinitialize default settings and the unit seeds
             await this.initializeDefaultSettings();
+            await this.ensureUnits();
 
             return true;
         } catch (error) {
@@ -927,3 +2434,11 @@ const dbManager = new DatabaseManager();
 // Export for use in other modules
 window.dbManager = dbManager;
 window.genUid = genUid;
+window.diffJournalSnapshots = diffJournalSnapshots;
+window.exportEnvelope = exportEnvelope;
+window.parseExportData = parseExportData;
+window.encryptEnvelope = encryptEnvelope;
+window.deriveEnvelopeKeyRecord = deriveEnvelopeKeyRecord;
+window.decryptEnvelope = decryptEnvelope;
+window.isEncryptedEnvelope = isEncryptedEnvelope;
+window.ENCRYPTED_EXPORT_EXT = ENCRYPTED_EXPORT_EXT;
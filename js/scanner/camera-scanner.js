@@ -1,18 +1,276 @@
-// Camera scanner module — Quagga lifecycle, camera management, debounced detection
-// Uses QuaggaJS for barcode reading from the device camera
+// Camera scanner module — backend selection, camera management, debounced detection
+// Uses the native BarcodeDetector API when the browser ships it, QuaggaJS otherwise
 
 // Quagga (~200 KB) is loaded lazily (see _ensureQuagga) the first time the
-// scanner opens, instead of blocking the initial page load. Keep this URL
-// identical to the one precached by the service worker so the on-demand
-// fetch is served from cache and the scanner still works offline.
+// scanner opens on a browser without BarcodeDetector, instead of blocking
+// the initial page load. Keep this URL identical to the one precached by
+// the service worker so the on-demand fetch is served from cache and the
+// scanner still works offline.
 const QUAGGA_URL = 'https://cdn.jsdelivr.net/npm/quagga@0.12.1/dist/quagga.min.js';
 
+// Formats per scan mode, in BarcodeDetector vocabulary. 'product' covers the
+// retail symbologies found on bottles and cans; 'invite' is the group invite
+// QR code (see proto/share.jsx › parseInviteQr). The first format of each
+// list is the one a backend must support to be picked for that mode.
+const SCAN_FORMATS = {
+    product: ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128'],
+    invite: ['qr_code']
+};
+
+// Wider net once nothing was read for a while (mirrors Quagga's broadReaders).
+const BROAD_PRODUCT_FORMATS = [...SCAN_FORMATS.product, 'code_39', 'codabar', 'itf'];
+
+// Quagga has no QR reader. `code` lets the UI translate the message (see
+// errorText in proto/data.jsx).
+function qrUnsupportedError() {
+    return Object.assign(new Error('Lecture des QR codes non prise en charge par ce navigateur'),
+        { code: 'scanner.qrUnsupported', params: {} });
+}
+
+// --- Backends ---
+//
+// A backend owns the camera stream and its decoding loop, and reports every
+// raw read through `onRead(code)` (and a fatal runtime failure through
+// `onFailure(err)`). Everything else is shared by CameraScanner whatever the
+// backend: the confirmation debounce, the inactivity timeout, the status line
+// and the consumer callbacks.
+//
+//   { id, start(target, options), stop(), widen?() }
+
+class NativeScannerBackend {
+    constructor(scanner) {
+        this.id = 'native';
+        this.scanner = scanner;
+        this.detector = null;
+        this.stream = null;
+        this.video = null;
+        this.timer = null;
+        // Delay between two detect() calls (~10 fps): plenty for a
+        // hand-held label, and leaves the main thread breathing.
+        this.interval = 100;
+        // Bumped by every start() and stop(): a start() that finds it changed
+        // after an await was cancelled meanwhile.
+        this._run = 0;
+        this.onRead = null;
+        this.onFailure = null;
+    }
+
+    // Subset of `formats` this browser decodes natively (empty when the API
+    // is missing — e.g. desktop Firefox, iOS Safari).
+    static async supportedFormats(formats) {
+        if (typeof window.BarcodeDetector !== 'function' ||
+            typeof window.BarcodeDetector.getSupportedFormats !== 'function') return [];
+        try {
+            const supported = await window.BarcodeDetector.getSupportedFormats();
+            return formats.filter(f => supported.includes(f));
+        } catch (_) {
+            return [];
+        }
+    }
+
+    async start(target, { formats, constraints }) {
+        const run = ++this._run;
+        this.detector = new window.BarcodeDetector({ formats });
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: false,
+            video: {
+                facingMode: constraints.facingMode,
+                width: { ideal: constraints.width },
+                height: { ideal: constraints.height }
+            }
+        });
+        // stop() ran while the permission prompt was open: hand the camera
+        // back at once instead of leaving it on behind a closed sheet.
+        if (run !== this._run) {
+            NativeScannerBackend._stopTracks(stream);
+            return;
+        }
+        this.stream = stream;
+        const video = document.createElement('video');
+        video.setAttribute('playsinline', '');
+        video.muted = true;
+        video.style.cssText = 'width:100%;height:100%;object-fit:cover';
+        video.srcObject = this.stream;
+        target.appendChild(video);
+        this.video = video;
+        await video.play();
+        if (run === this._run) this._schedule();
+    }
+
+    static _stopTracks(stream) {
+        stream.getTracks().forEach(track => {
+            try { track.stop(); } catch (_) { }
+        });
+    }
+
+    _schedule() {
+        this.timer = setTimeout(() => this._tick(), this.interval);
+    }
+
+    async _tick() {
+        const video = this.video;
+        if (!video) return;
+        try {
+            // HAVE_CURRENT_DATA: detect() rejects on a video without a frame.
+            if (video.readyState >= 2) {
+                const found = await this.detector.detect(video);
+                if (this.video !== video) return;
+                (found || []).forEach(b => {
+                    if (b && b.rawValue && this.onRead) this.onRead(b.rawValue);
+                });
+            }
+        } catch (e) {
+            console.warn('BarcodeDetector.detect() failed:', e);
+        }
+        if (this.video === video) this._schedule();
+    }
+
+    async widen() {
+        const formats = await NativeScannerBackend.supportedFormats(BROAD_PRODUCT_FORMATS);
+        if (formats.length && this.video) this.detector = new window.BarcodeDetector({ formats });
+    }
+
+    stop() {
+        this._run++;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.stream) NativeScannerBackend._stopTracks(this.stream);
+        if (this.video) {
+            this.video.srcObject = null;
+            try { this.video.remove(); } catch (_) { }
+        }
+        this.stream = null;
+        this.video = null;
+        this.detector = null;
+    }
+}
+
+class QuaggaScannerBackend {
+    constructor(scanner) {
+        this.id = 'quagga';
+        this.scanner = scanner;
+        this.running = false;
+        this.onRead = null;
+        this.onFailure = null;
+        this._onDetected = null;
+        this._onProcessed = null;
+    }
+
+    async start(target) {
+        await this.scanner._ensureQuagga();
+        if (typeof Quagga === 'undefined') throw new Error('QuaggaJS not loaded');
+        const config = this.scanner.config;
+        config.inputStream.target = target;
+        await new Promise((resolve, reject) => {
+            Quagga.init(config, (err) => {
+                if (err) {
+                    console.error('Scanner initialization failed:', err);
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+        this._subscribe();
+        Quagga.start();
+        this.running = true;
+    }
+
+    // Handlers are kept so stop() can detach them: Quagga keeps its
+    // subscriptions across stop()/init(), so a second scan in the same
+    // session would otherwise report every read twice.
+    _subscribe() {
+        this._onDetected = (result) => {
+            if (this.running && this.onRead && result && result.codeResult) {
+                this.onRead(result.codeResult.code);
+            }
+        };
+        this._onProcessed = (result) => this._drawOverlay(result);
+        Quagga.onDetected(this._onDetected);
+        Quagga.onProcessed(this._onProcessed);
+    }
+
+    _unsubscribe() {
+        if (typeof Quagga === 'undefined') return;
+        if (this._onDetected && Quagga.offDetected) Quagga.offDetected(this._onDetected);
+        if (this._onProcessed && Quagga.offProcessed) Quagga.offProcessed(this._onProcessed);
+        this._onDetected = null;
+        this._onProcessed = null;
+    }
+
+    _drawOverlay(result) {
+        // Quagga.canvas only exists while Quagga is running. A trailing
+        // onProcessed can fire during stop()/reconfigure when it's already
+        // torn down — reading `.ctx`/`.dom` then throws. Bail early.
+        if (!this.running || !Quagga.canvas || !Quagga.canvas.ctx || !Quagga.canvas.dom) return;
+        const drawingCtx = Quagga.canvas.ctx.overlay;
+        const drawingCanvas = Quagga.canvas.dom.overlay;
+        if (!drawingCtx || !drawingCanvas) return;
+
+        if (result) {
+            if (result.boxes) {
+                drawingCtx.clearRect(0, 0,
+                    parseInt(drawingCanvas.getAttribute("width")),
+                    parseInt(drawingCanvas.getAttribute("height")));
+                result.boxes.filter(box => box !== result.box).forEach(box => {
+                    Quagga.ImageDebug.drawPath(box, { x: 0, y: 1 }, drawingCtx, { color: "green", lineWidth: 2 });
+                });
+            }
+            if (result.box) {
+                Quagga.ImageDebug.drawPath(result.box, { x: 0, y: 1 }, drawingCtx, { color: "#00F", lineWidth: 2 });
+            }
+            if (result.codeResult && result.codeResult.code) {
+                Quagga.ImageDebug.drawPath(result.line, { x: 'x', y: 'y' }, drawingCtx, { color: 'red', lineWidth: 3 });
+            }
+        }
+    }
+
+    // Restart Quagga with the broader reader set. On failure the backend
+    // reports through onFailure so the scanner ends up fully stopped
+    // instead of a frozen viewport still holding the camera.
+    widen() {
+        const fail = (err) => {
+            this.running = false;
+            if (this.onFailure) this.onFailure(err);
+        };
+        try {
+            Quagga.stop();
+            this.scanner.config.decoder.readers = this.scanner.broadReaders;
+            Quagga.init(this.scanner.config, (err) => {
+                if (err) {
+                    console.error('Reconfiguration failed:', err);
+                    fail(err);
+                    return;
+                }
+                Quagga.start();
+            });
+        } catch (e) {
+            console.error('Error reconfiguring readers:', e);
+            fail(e);
+        }
+    }
+
+    stop() {
+        this.running = false;
+        try {
+            if (typeof Quagga !== 'undefined') Quagga.stop();
+        } catch (e) {
+            console.warn('Quagga.stop() failed:', e);
+        }
+        this._unsubscribe();
+    }
+}
+
 class CameraScanner {
     constructor() {
         this.isInitialized = false;
         this.isScanning = false;
         this.isStarting = false;
         this.stream = null;
+        // Active backend (NativeScannerBackend / QuaggaScannerBackend) and
+        // the scan mode it was started for ('product' | 'invite').
+        this.backend = null;
+        this.mode = 'product';
         // Memoised promise for the on-demand Quagga script load so that
         // concurrent start() calls share a single network request.
         this._quaggaPromise = null;
@@ -111,62 +369,66 @@ class CameraScanner {
         return this._quaggaPromise;
     }
 
-    async init() {
-        await this._ensureQuagga();
-        return new Promise((resolve, reject) => {
-            if (this.isInitialized) {
-                resolve();
-                return;
-            }
-
-            if (typeof Quagga === 'undefined') {
-                reject(new Error('QuaggaJS not loaded'));
-                return;
-            }
-
-            const targetEl = document.getElementById('scanner-viewport');
-            if (!targetEl) {
-                reject(new Error('Scanner viewport element not found in DOM'));
-                return;
-            }
-
-            this.config.inputStream.target = targetEl;
-
-            Quagga.init(this.config, (err) => {
-                if (err) {
-                    console.error('Scanner initialization failed:', err);
-                    reject(err);
-                    return;
-                }
+    // BarcodeDetector when it reads the mode's main format, Quagga
+    // otherwise. Quagga has no QR reader: invite scanning needs the
+    // native API.
+    async _selectBackend(mode) {
+        const wanted = SCAN_FORMATS[mode] || SCAN_FORMATS.product;
+        const formats = await NativeScannerBackend.supportedFormats(wanted);
+        if (formats.includes(wanted[0])) {
+            return { backend: new NativeScannerBackend(this), formats };
+        }
+        if (mode === 'invite') {
+            throw qrUnsupportedError();
+        }
+        return { backend: new QuaggaScannerBackend(this), formats: wanted };
+    }
 
-                this.isInitialized = true;
-                this._setupEventListeners();
-                resolve();
-            });
-        });
+    // Whether `mode` can be scanned at all here ('product' always can,
+    // through Quagga) — lets the UI explain instead of failing on start.
+    async supportsMode(mode) {
+        if (mode !== 'invite') return true;
+        const wanted = SCAN_FORMATS.invite;
+        return (await NativeScannerBackend.supportedFormats(wanted)).includes(wanted[0]);
     }
 
-    async start() {
+    /**
+     * Open the camera and start decoding. `mode` picks the formats:
+     * 'product' (EAN/UPC…, default) or 'invite' (group invite QR code).
+     */
+    async start({ mode = 'product' } = {}) {
         try {
             if (this.isStarting || this.isScanning) return;
             this.isStarting = true;
+            this.mode = mode;
 
-            if (!this.isInitialized) {
-                await this.init();
+            const targetEl = document.getElementById('scanner-viewport');
+            if (!targetEl) {
+                throw new Error('Scanner viewport element not found in DOM');
             }
 
-            Quagga.start();
+            const { backend, formats } = await this._selectBackend(mode);
+            if (!this.isStarting) return; // stop() while probing the formats
+            backend.onRead = (code) => this._onRead(code);
+            backend.onFailure = (err) => this._onBackendFailure(err);
+            this.backend = backend;
+            await backend.start(targetEl, { formats, constraints: this.config.inputStream.constraints });
+            // stop() during the start: the backend has already been released.
+            if (this.backend !== backend) return;
+
+            this.isInitialized = true;
             this.isScanning = true;
             this._isProcessing = false;
             this._detectionBuffer = {};
             this._scheduleFallbackProfile();
 
-            this.updateStatus('Recherche de code-barres...');
+            this.updateStatus(mode === 'invite' ? 'Recherche de QR code...' : 'Recherche de code-barres...');
             this._startInactivityTimer();
             this.isStarting = false;
         } catch (error) {
             console.error('Failed to start scanner:', error);
             this.updateStatus('Erreur lors du démarrage du scanner');
+            this._releaseBackend();
             if (this.onError) this.onError(error);
             this.isStarting = false;
             this.isInitialized = false;
@@ -175,11 +437,7 @@ class CameraScanner {
 
     stop() {
         try {
-            if (this.isInitialized) {
-                try { Quagga.stop(); } catch (e) {
-                    console.warn('Quagga.stop() failed:', e);
-                }
-            }
+            this._releaseBackend();
         } finally {
             this.isScanning = false;
             this.isStarting = false;
@@ -193,6 +451,15 @@ class CameraScanner {
         }
     }
 
+    _releaseBackend() {
+        const backend = this.backend;
+        this.backend = null;
+        if (!backend) return;
+        try { backend.stop(); } catch (e) {
+            console.warn(`Scanner backend "${backend.id}" failed to stop:`, e);
+        }
+    }
+
     /**
      * Allow the handler to unlock processing after it's done,
      * so the scanner can detect new barcodes if restarted.
@@ -234,64 +501,115 @@ class CameraScanner {
         }
     }
 
+    // Runtime failure of the backend (e.g. Quagga reconfiguration): leave the
+    // scanner in a clean, fully-stopped state and surface the error so the
+    // wrapping sheet can react.
+    _onBackendFailure(err) {
+        this._releaseBackend();
+        this.isScanning = false;
+        this.isInitialized = false;
+        this._clearInactivityTimer();
+        this._stopCameraStream();
+        this.updateStatus('Erreur lors du redémarrage du scanner');
+        if (this.onError) { try { this.onError(err); } catch {} }
+    }
+
     // --- Detection with debounce ---
 
-    _setupEventListeners() {
-        Quagga.onDetected((result) => {
-            if (!this.isScanning || this._isProcessing) return;
+    // Raw read from the backend. Confirmed only after `_confirmThreshold`
+    // reads of the same code within `_bufferMaxAge`, whatever the backend.
+    _onRead(code) {
+        if (!this.isScanning || this._isProcessing || !code) return;
 
-            const code = result.codeResult.code;
-            const now = Date.now();
+        const now = Date.now();
 
-            // Clean stale buffer entries
-            for (const key in this._detectionBuffer) {
-                if (now - this._detectionBuffer[key].firstSeen > this._bufferMaxAge) {
-                    delete this._detectionBuffer[key];
-                }
+        // Clean stale buffer entries
+        for (const key in this._detectionBuffer) {
+            if (now - this._detectionBuffer[key].firstSeen > this._bufferMaxAge) {
+                delete this._detectionBuffer[key];
             }
+        }
 
-            if (!this._detectionBuffer[code]) {
-                this._detectionBuffer[code] = { count: 0, firstSeen: now };
+        if (!this._detectionBuffer[code]) {
+            this._detectionBuffer[code] = { count: 0, firstSeen: now };
+        }
+        this._detectionBuffer[code].count++;
+
+        // Only confirm after threshold consecutive reads
+        if (this._detectionBuffer[code].count >= this._confirmThreshold) {
+            this._isProcessing = true;
+            this._detectionBuffer = {};
+            this.hasDetected = true;
+            this._resetInactivityTimer();
+            if (this.onBarcodeConfirmed) {
+                this.onBarcodeConfirmed(code);
             }
-            this._detectionBuffer[code].count++;
-
-            // Only confirm after threshold consecutive reads
-            if (this._detectionBuffer[code].count >= this._confirmThreshold) {
-                this._isProcessing = true;
-                this._detectionBuffer = {};
-                this.hasDetected = true;
-                this._resetInactivityTimer();
-                if (this.onBarcodeConfirmed) {
-                    this.onBarcodeConfirmed(code);
-                }
+        }
+    }
+
+    // --- Still images (file picker, paste, share target) ---
+
+    /**
+     * Decode a barcode from a still image (File/Blob) and hand it to
+     * onBarcodeConfirmed, exactly like a confirmed live detection. A
+     * single clean read is trusted (no debounce: the frame can't drift).
+     * Resolves with the code, or null when nothing readable was found.
+     */
+    async decodeImage(image, { mode = 'product' } = {}) {
+        if (!image) return null;
+        const wanted = SCAN_FORMATS[mode] || SCAN_FORMATS.product;
+        const formats = await NativeScannerBackend.supportedFormats(wanted);
+        let code = null;
+        if (formats.length) {
+            try {
+                code = await this._detectInImage(image, formats);
+            } catch (e) {
+                console.warn('BarcodeDetector failed, falling back to Quagga:', e);
             }
+        }
+        if (!code && mode === 'invite' && !formats.includes(wanted[0])) {
+            throw qrUnsupportedError();
+        }
+        if (!code && mode !== 'invite') code = await this._decodeSingle(image);
+        if (!code) return null;
+        this.hasDetected = true;
+        if (this.onBarcodeConfirmed) this.onBarcodeConfirmed(code);
+        return code;
+    }
+
+    // BarcodeDetector.detect() accepts a Blob directly (ImageBitmapSource).
+    async _detectInImage(image, formats) {
+        const detector = new window.BarcodeDetector({ formats });
+        const found = await detector.detect(image);
+        const hit = (found || []).find(b => b && b.rawValue);
+        return hit ? hit.rawValue : null;
+    }
+
+    async _decodeSingle(image) {
+        await this._ensureQuagga();
+        const src = await this._readAsDataURL(image);
+        return new Promise((resolve) => {
+            Quagga.decodeSingle({
+                src,
+                numOfWorkers: 0,
+                inputStream: { size: 800 },
+                locator: { patchSize: 'medium', halfSample: true },
+                decoder: { readers: this.broadReaders, multiple: false },
+                locate: true
+            }, (result) => {
+                resolve(result && result.codeResult ? result.codeResult.code || null : null);
+            });
         });
+    }
 
-        Quagga.onProcessed((result) => {
-            // Quagga.canvas only exists while Quagga is running. A trailing
-            // onProcessed can fire during stop()/reconfigure when it's already
-            // torn down — reading `.ctx`/`.dom` then throws. Bail early.
-            if (!this.isScanning || !Quagga.canvas || !Quagga.canvas.ctx || !Quagga.canvas.dom) return;
-            const drawingCtx = Quagga.canvas.ctx.overlay;
-            const drawingCanvas = Quagga.canvas.dom.overlay;
-            if (!drawingCtx || !drawingCanvas) return;
-
-            if (result) {
-                if (result.boxes) {
-                    drawingCtx.clearRect(0, 0,
-                        parseInt(drawingCanvas.getAttribute("width")),
-                        parseInt(drawingCanvas.getAttribute("height")));
-                    result.boxes.filter(box => box !== result.box).forEach(box => {
-                        Quagga.ImageDebug.drawPath(box, { x: 0, y: 1 }, drawingCtx, { color: "green", lineWidth: 2 });
-                    });
-                }
-                if (result.box) {
-                    Quagga.ImageDebug.drawPath(result.box, { x: 0, y: 1 }, drawingCtx, { color: "#00F", lineWidth: 2 });
-                }
-                if (result.codeResult && result.codeResult.code) {
-                    Quagga.ImageDebug.drawPath(result.line, { x: 'x', y: 'y' }, drawingCtx, { color: 'red', lineWidth: 3 });
-                }
-            }
+    // A data: URL rather than an object URL: no revoke bookkeeping, and the
+    // CSP already allows data: images.
+    _readAsDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('Image illisible'));
+            reader.readAsDataURL(blob);
         });
     }
 
@@ -306,7 +624,7 @@ class CameraScanner {
     // ouvrir de flux (Permissions API). L'ancienne version faisait un
     // getUserMedia complet « pour vérifier » : cela affichait l'invite
     // navigateur une fois de trop ET allumait brièvement la caméra. La SEULE
-    // demande de permission part désormais de Quagga.init() (via start()),
+    // demande de permission part désormais du backend (via start()),
     // c'est-à-dire uniquement quand l'utilisateur ouvre volontairement le
     // scanner — le navigateur mémorise ensuite l'accord (HTTPS/PWA installée)
     // et ne re-demande plus.
@@ -340,8 +658,9 @@ class CameraScanner {
         const current = this.config.inputStream.constraints.facingMode;
         this.config.inputStream.constraints.facingMode = current === 'environment' ? 'user' : 'environment';
         if (this.isScanning) {
+            const mode = this.mode;
             this.stop();
-            await this.start();
+            await this.start({ mode });
         }
     }
 
@@ -350,9 +669,10 @@ class CameraScanner {
     _scheduleFallbackProfile(timeoutMs = 10000) {
         this._clearFallbackTimer();
         this.hasDetected = false;
+        if (this.mode !== 'product') return;
         this.fallbackTimer = setTimeout(() => {
-            if (this.isScanning && !this.hasDetected) {
-                this._reconfigureReaders(this.broadReaders);
+            if (this.isScanning && !this.hasDetected && this.backend && this.backend.widen) {
+                this.backend.widen();
                 this._notify('Recherche de codes élargie pour une meilleure détection');
             }
         }, timeoutMs);
@@ -373,36 +693,6 @@ class CameraScanner {
         }
     }
 
-    _reconfigureReaders(readers) {
-        // Leave the scanner in a clean, fully-stopped state on failure
-        // instead of a frozen viewport with isScanning/isInitialized still
-        // true (no detection, camera possibly still held). Surface the error
-        // so the wrapping sheet can react.
-        const failClean = (err) => {
-            this.isScanning = false;
-            this.isInitialized = false;
-            this._clearInactivityTimer();
-            this._stopCameraStream();
-            this.updateStatus('Erreur lors du redémarrage du scanner');
-            if (this.onError) { try { this.onError(err); } catch {} }
-        };
-        try {
-            Quagga.stop();
-            this.config.decoder.readers = readers;
-            Quagga.init(this.config, (err) => {
-                if (err) {
-                    console.error('Reconfiguration failed:', err);
-                    failClean(err);
-                    return;
-                }
-                Quagga.start();
-            });
-        } catch (e) {
-            console.error('Error reconfiguring readers:', e);
-            failClean(e);
-        }
-    }
-
     // --- Inactivity timer ---
 
     _startInactivityTimer() {
@@ -434,6 +724,10 @@ class CameraScanner {
     }
 }
 
+CameraScanner.formats = SCAN_FORMATS;
+CameraScanner.backends = { native: NativeScannerBackend, quagga: QuaggaScannerBackend };
+
 // Export global instance
 const cameraScanner = new CameraScanner();
+window.CameraScanner = CameraScanner;
 window.cameraScanner = cameraScanner;
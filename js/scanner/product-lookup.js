@@ -1,135 +1,44 @@
 // Product lookup service for barcode scanning
-// Handles API calls and normalizes product data into a consistent schema
-
-class ProductLookup {
-    /**
-     * Look up a barcode and return a NormalizedProduct.
-     * Tries OpenFoodFacts first, then UPC Database, then returns a fallback.
-     */
-    async lookup(barcode) {
-        try {
-            let product = await this._getFromOpenFoodFacts(barcode);
-            if (product) return product;
-
-            product = await this._getFromUPCDatabase(barcode);
-            if (product) return product;
-
-            return this._buildFallback(barcode);
-        } catch (error) {
-            console.error('Error looking up product:', error);
-            return this._buildFallback(barcode);
-        }
-    }
-
-    // --- API integrations ---
-
-    async _getFromOpenFoodFacts(barcode) {
-        try {
-            const response = await fetch(`https://world.openfoodfacts.org/api/v0/product/${barcode}.json`);
-            if (!response.ok) return null;
-
-            const data = await response.json();
-            if (data.status === 0) return null;
-
-            const product = data.product;
-            const category = this._mapCategory(product.categories);
-            const serving = this._computeServingDefaults(category);
-            const alcoholContent = this._extractAlcoholContent(product)
-                ?? this._defaultAlcoholContent(category);
-            const rawName = product.product_name || product.product_name_fr || `Produit ${barcode}`;
-
-            return {
-                barcode,
-                name: this._cleanProductName(rawName, product.brands),
-                brand: product.brands || null,
-                source: 'openfoodfacts',
-                category,
-                alcoholContent,
-                packageSize: product.quantity || null,
-                servingQuantity: serving.servingQuantity,
-                servingUnit: serving.servingUnit,
-                image: product.image_url || null,
-                ingredients: product.ingredients_text || null
-            };
-        } catch (error) {
-            console.error('OpenFoodFacts API error:', error);
-            return null;
-        }
-    }
-
-    async _getFromUPCDatabase(barcode) {
-        try {
-            const response = await fetch(`https://api.upcitemdb.com/prod/trial/lookup?upc=${barcode}`);
-            if (!response.ok) return null;
-
-            const data = await response.json();
-            if (!data.items || data.items.length === 0) return null;
-
-            const item = data.items[0];
-            const category = this._mapCategoryFromTitle(item.title);
-            const serving = this._computeServingDefaults(category);
-            const alcoholContent = this._extractAlcoholFromTitle(item.title)
-                ?? this._defaultAlcoholContent(category);
-
-            return {
-                barcode,
-                name: this._cleanProductName(item.title || `Produit ${barcode}`, item.brand),
-                brand: item.brand || null,
-                source: 'upcitemdb',
-                category,
-                alcoholContent,
-                packageSize: null,
-                servingQuantity: serving.servingQuantity,
-                servingUnit: serving.servingUnit,
-                image: null,
-                ingredients: null
-            };
-        } catch (error) {
-            console.error('UPC Database API error:', error);
-            return null;
-        }
-    }
-
-    // --- Normalization helpers ---
-
-    _buildFallback(barcode) {
-        const serving = this._computeServingDefaults('Autre');
-        return {
-            barcode,
-            name: `Produit ${barcode}`,
-            brand: null,
-            source: 'unknown',
-            category: 'Autre',
-            alcoholContent: null,
-            packageSize: null,
-            servingQuantity: serving.servingQuantity,
-            servingUnit: serving.servingUnit,
-            image: null,
-            ingredients: null
-        };
-    }
-
-    /**
-     * Compute default serving quantity and unit based on drink category.
-     * This replaces the old isBeer()/getDefaultQuantity()/getDefaultUnit() methods.
-     */
-    _computeServingDefaults(category) {
-        switch (category) {
-            case 'Bière':
-                return { servingQuantity: 1, servingUnit: 'EcoCup' };
-            case 'Vin':
-                return { servingQuantity: 15, servingUnit: 'cL' };
-            case 'Spiritueux':
-                return { servingQuantity: 4, servingUnit: 'cL' };
-            case 'Cocktail':
-                return { servingQuantity: 25, servingUnit: 'cL' };
-            default:
-                return { servingQuantity: 25, servingUnit: 'cL' };
-        }
-    }
-
-    _mapCategory(categories) {
-        if (!categories) return 'Autre';
+// Runs a chain of pluggable providers and merges their answers into a
+// NormalizedProduct.
+//
+// Provider contract — a plain object:
+//   {
+//     id: 'openfoodfacts',          // unique, becomes `source` on the result
+//     label: 'Open Food Facts',     // shown in the UI
+//     timeoutMs: 6000,              // optional; a slow provider is skipped
+//     authoritative: false,         // true → its answer ends the chain
+//     network: true,                // needs the network (offline reporting)
+//     async lookup(barcode, { signal }) → partial product | null
+//   }
+// A partial product carries the NormalizedProduct fields the provider
+// actually knows — anything unknown is left null so a later provider can
+// fill it (brand or ABV from one source, name from the next). The chain
+// goes on until the key fields (LOOKUP_KEY_FIELDS) are all known or an
+// authoritative provider answered; category-based defaults ('Autre', ABV,
+// serving) are applied once, after merging. A provider that throws or
+// times out counts as "no answer"; the chain goes on.
+//
+// A network provider that could not be reached (offline, service worker's
+// 503 fallback, network error, timeout) is reported: when nothing answered
+// at all, the fallback carries `offline: true` so the scan can be queued
+// and looked up again later (cf. queuePendingLookup in proto/data.jsx).
+
+const LOOKUP_DEFAULT_TIMEOUT_MS = 6000;
+
+// Fields merged across providers, first non-null answer wins.
+const LOOKUP_FIELDS = [
+    'name', 'brand', 'category', 'alcoholContent', 'packageSize',
+    'servingQuantity', 'servingUnit', 'image', 'ingredients'
+];
+
+// Once these are merged, later providers are not asked.
+const LOOKUP_KEY_FIELDS = ['name', 'alcoholContent', 'category'];
+
+// Mapping heuristics shared by the network providers.
+const PRODUCT_HEURISTICS = {
+    mapCategory(categories) {
+        if (!categories) return null;
 
         const s = categories.toLowerCase();
 
@@ -139,11 +48,11 @@ class ProductLookup {
             s.includes('vodka') || s.includes('rum') || s.includes('gin')) return 'Spiritueux';
         if (s.includes('cocktail') || s.includes('mixed drink')) return 'Cocktail';
 
-        return 'Autre';
-    }
+        return null;
+    },
 
-    _mapCategoryFromTitle(title) {
-        if (!title) return 'Autre';
+    mapCategoryFromTitle(title) {
+        if (!title) return null;
 
         const s = title.toLowerCase();
 
@@ -156,10 +65,10 @@ class ProductLookup {
             s.includes('brandy') || s.includes('tequila') || s.includes('liqueur')) return 'Spiritueux';
         if (s.includes('cocktail') || s.includes('mojito') || s.includes('martini')) return 'Cocktail';
 
-        return 'Autre';
-    }
+        return null;
+    },
 
-    _extractAlcoholContent(product) {
+    extractAlcoholContent(product) {
         // OpenFoodFacts stores ABV under `nutriments` — the real keys are
         // alcohol_100g / alcohol_value / alcohol_serving (occasionally a root
         // alcohol_by_volume). The old code only checked `alcohol_by_volume`
@@ -184,37 +93,23 @@ class ProductLookup {
         }
 
         return null;
-    }
+    },
 
-    _extractAlcoholFromTitle(title) {
+    extractAlcoholFromTitle(title) {
         if (!title) return null;
 
         const match = title.match(/(\d+(?:\.\d+)?)\s*%/);
         if (match) return parseFloat(match[1]);
 
         return null;
-    }
-
-    /**
-     * Return a sensible default alcohol % based on drink category.
-     * Used when APIs don't provide a value.
-     */
-    _defaultAlcoholContent(category) {
-        switch (category) {
-            case 'Bière':      return 5.0;
-            case 'Vin':        return 12.0;
-            case 'Spiritueux': return 40.0;
-            case 'Cocktail':   return 8.0;
-            default:           return null;
-        }
-    }
+    },
 
     /**
      * Strip metadata from the product name: brand prefix, volume/weight,
      * alcohol percentage, and trailing noise so the field shows only the
      * human-readable product name.
      */
-    _cleanProductName(rawName, brand) {
+    cleanProductName(rawName, brand) {
         if (!rawName) return rawName;
 
         let name = rawName.trim();
@@ -240,8 +135,375 @@ class ProductLookup {
 
         return name || rawName.trim();
     }
+};
+
+// Thrown by network providers when the request never reached the API.
+function lookupOfflineError(provider) {
+    const error = new Error(`${provider} unreachable`);
+    error.offline = true;
+    return error;
+}
+
+// Saved product rows (local catalog, friends' shared drinks, product file)
+// all use the drink vocabulary: quantity / unit is the serving.
+function productFromEntry(p) {
+    const num = (v) => (v == null || v === '' ? null : Number(v));
+    const quantity = num(p.quantity);
+    const alcoholContent = num(p.alcoholContent ?? p.abv);
+    return {
+        name: p.name || null,
+        brand: p.brand || null,
+        category: p.category || null,
+        alcoholContent: Number.isFinite(alcoholContent) ? alcoholContent : null,
+        servingQuantity: quantity > 0 && p.unit ? quantity : null,
+        servingUnit: quantity > 0 && p.unit ? p.unit : null
+    };
 }
 
+// --- Built-in providers ---
+
+// What the user saved for this code wins over any API (local catalog,
+// IndexedDB, no network).
+const localCatalogProvider = {
+    id: 'local',
+    label: 'Mon catalogue',
+    authoritative: true,
+    async lookup(barcode) {
+        const db = window.dbManager;
+        const p = db && db.getProduct ? await db.getProduct(barcode) : null;
+        return p ? productFromEntry(p) : null;
+    }
+};
+
+// Friends' drinks carry their barcode only when the author opted in
+// (« Partager mon catalogue », share.jsx).
+const groupCatalogProvider = {
+    id: 'group',
+    label: 'Catalogue du groupe',
+    authoritative: true,
+    async lookup(barcode) {
+        const db = window.dbManager;
+        const r = db && db.findSharedByBarcode ? await db.findSharedByBarcode(barcode) : null;
+        return r ? productFromEntry(r) : null;
+    }
+};
+
+const openFoodFactsProvider = {
+    id: 'openfoodfacts',
+    label: 'Open Food Facts',
+    timeoutMs: LOOKUP_DEFAULT_TIMEOUT_MS,
+    network: true,
+    async lookup(barcode, { signal } = {}) {
+        const response = await fetch(`https://world.openfoodfacts.org/api/v0/product/${barcode}.json`, { signal });
+        // sw.js answers 503 {error: 'offline'} when neither the network nor
+        // its cache could serve the request.
+        if (response.status === 503) throw lookupOfflineError('openfoodfacts');
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        if (data.status === 0 || !data.product) return null;
+
+        const product = data.product;
+        const rawName = product.product_name || product.product_name_fr || null;
+
+        return {
+            name: rawName ? PRODUCT_HEURISTICS.cleanProductName(rawName, product.brands) : null,
+            brand: product.brands || null,
+            category: PRODUCT_HEURISTICS.mapCategory(product.categories),
+            alcoholContent: PRODUCT_HEURISTICS.extractAlcoholContent(product),
+            packageSize: product.quantity || null,
+            image: product.image_url || null,
+            ingredients: product.ingredients_text || null
+        };
+    }
+};
+
+const upcItemDbProvider = {
+    id: 'upcitemdb',
+    label: 'UPCitemdb',
+    timeoutMs: LOOKUP_DEFAULT_TIMEOUT_MS,
+    network: true,
+    async lookup(barcode, { signal } = {}) {
+        const response = await fetch(`https://api.upcitemdb.com/prod/trial/lookup?upc=${barcode}`, { signal });
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        if (!data.items || data.items.length === 0) return null;
+
+        const item = data.items[0];
+        return {
+            name: item.title ? PRODUCT_HEURISTICS.cleanProductName(item.title, item.brand) : null,
+            brand: item.brand || null,
+            category: PRODUCT_HEURISTICS.mapCategoryFromTitle(item.title),
+            alcoholContent: PRODUCT_HEURISTICS.extractAlcoholFromTitle(item.title)
+        };
+    }
+};
+
+/**
+ * Provider backed by a user-supplied JSON product file: either an array of
+ * products (each with its `barcode`) or an object keyed by barcode. Product
+ * fields use the drink vocabulary (name, brand, category, alcoholContent or
+ * abv, quantity + unit for the serving).
+ */
+function createJsonFileProvider(data, { id = 'file', label = 'Fichier de produits', authoritative = false } = {}) {
+    const byCode = new Map();
+    const rows = Array.isArray(data)
+        ? data
+        : Object.entries(data || {}).map(([barcode, p]) => ({ ...p, barcode: (p && p.barcode) || barcode }));
+    for (const p of rows) {
+        if (p && p.barcode != null && p.barcode !== '') byCode.set(String(p.barcode), p);
+    }
+    return {
+        id, label, authoritative,
+        size: byCode.size,
+        async lookup(barcode) {
+            const p = byCode.get(String(barcode));
+            return p ? productFromEntry(p) : null;
+        }
+    };
+}
+
+/**
+ * Fixture-backed stub for tests and demos: answers from `fixtures`
+ * (barcode → partial product, already in NormalizedProduct vocabulary),
+ * optionally after `delayMs`, and records every barcode asked in `calls`.
+ * A fixture that is an Error instance is thrown; `'offline'` throws an
+ * unreachable-network error.
+ */
+function createFixtureProvider(fixtures, { id = 'fixture', label = 'Fixtures', delayMs = 0, timeoutMs, authoritative = false, network = false } = {}) {
+    const calls = [];
+    return {
+        id, label, timeoutMs, authoritative, network, calls,
+        async lookup(barcode) {
+            calls.push(String(barcode));
+            if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+            const hit = fixtures[String(barcode)];
+            if (hit instanceof Error) throw hit;
+            if (hit === 'offline') throw lookupOfflineError(id);
+            return hit ? { ...hit } : null;
+        }
+    };
+}
+
+class ProductLookup {
+    constructor(providers = [localCatalogProvider, groupCatalogProvider, openFoodFactsProvider, upcItemDbProvider]) {
+        this.providers = [];
+        for (const p of providers) this.register(p);
+    }
+
+    // --- Provider registry ---
+
+    /**
+     * Add a provider (or replace the one with the same id, keeping its
+     * place). Inserted before / after the provider with the given id, at
+     * the end otherwise.
+     */
+    register(provider, { before, after } = {}) {
+        if (!provider || !provider.id || typeof provider.lookup !== 'function') {
+            throw new Error('Invalid product provider: id and lookup(barcode) are required');
+        }
+        const current = this.providers.findIndex(p => p.id === provider.id);
+        if (current !== -1 && before == null && after == null) {
+            this.providers[current] = provider;
+            return provider;
+        }
+        if (current !== -1) this.providers.splice(current, 1);
+        const anchor = this.providers.findIndex(p => p.id === (before ?? after));
+        if (anchor === -1) this.providers.push(provider);
+        else this.providers.splice(before != null ? anchor : anchor + 1, 0, provider);
+        return provider;
+    }
+
+    unregister(id) {
+        const i = this.providers.findIndex(p => p.id === id);
+        if (i === -1) return false;
+        this.providers.splice(i, 1);
+        return true;
+    }
+
+    // Reorder by id; providers not listed keep their relative order, after.
+    setOrder(ids) {
+        const rank = (p) => {
+            const i = ids.indexOf(p.id);
+            return i === -1 ? ids.length : i;
+        };
+        this.providers = this.providers
+            .map((p, i) => ({ p, i }))
+            .sort((a, b) => (rank(a.p) - rank(b.p)) || (a.i - b.i))
+            .map(({ p }) => p);
+    }
+
+    getProviders() {
+        return this.providers.slice();
+    }
+
+    /**
+     * Look up a barcode and return a NormalizedProduct.
+     * Providers are asked in order (by default: local catalog — what the
+     * user saved wins over any API —, the friends group's shared catalog,
+     * OpenFoodFacts, UPC Database). An authoritative answer ends the chain,
+     * and so does a merge where name, ABV and category are all known;
+     * otherwise the next providers fill the gaps, each bounded by its own
+     * timeout.
+     * `source` is the first provider that answered, `sources` maps
+     * each merged field to its provider. Nothing found → a fallback,
+     * flagged `offline` when a network provider could not be reached.
+     * `exclude` skips providers by id (e.g. re-resolving a queued scan
+     * without the placeholder the local catalog learned meanwhile).
+     */
+    async lookup(barcode, { exclude = [] } = {}) {
+        const merged = {};
+        const sources = {};
+        const unreachable = [];
+        let source = null;
+        try {
+            for (const provider of this.providers) {
+                if (exclude.includes(provider.id)) continue;
+                const hit = await this._ask(provider, barcode, unreachable);
+                if (!hit) continue;
+                source = source || provider.id;
+                for (const field of LOOKUP_FIELDS) {
+                    if (merged[field] == null && hit[field] != null && hit[field] !== '') {
+                        merged[field] = hit[field];
+                        sources[field] = provider.id;
+                    }
+                }
+                if (provider.authoritative || LOOKUP_KEY_FIELDS.every(f => merged[f] != null)) break;
+            }
+        } catch (error) {
+            console.error('Error looking up product:', error);
+        }
+        if (!source) {
+            const fallback = this._buildFallback(barcode);
+            if (unreachable.length) fallback.offline = true;
+            return fallback;
+        }
+        return this._finalize(barcode, merged, source, sources);
+    }
+
+    // One provider, bounded by its timeout; errors and timeouts → null.
+    // Network providers that could not be reached are pushed to
+    // `unreachable`. They are asked even when the browser says offline:
+    // the service worker may still answer from its cache.
+    async _ask(provider, barcode, unreachable = []) {
+        const ms = provider.timeoutMs;
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        let timer = null;
+        try {
+            const answer = Promise.resolve(provider.lookup(barcode, { signal: controller ? controller.signal : undefined }));
+            if (!ms) return await answer;
+            // A late rejection (aborted fetch) after the timeout won is expected.
+            answer.catch(() => {});
+            const timeout = new Promise(resolve => {
+                timer = setTimeout(() => {
+                    console.warn(`Product provider ${provider.id} timed out after ${ms} ms`);
+                    if (provider.network) unreachable.push(provider.id);
+                    if (controller) controller.abort();
+                    resolve(null);
+                }, ms);
+            });
+            return await Promise.race([answer, timeout]);
+        } catch (error) {
+            // fetch() rejects with a TypeError when the request never left.
+            if (provider.network && (error.offline || error.name === 'TypeError' || error.name === 'AbortError')) {
+                if (!unreachable.includes(provider.id)) unreachable.push(provider.id);
+                console.warn(`Product provider ${provider.id} unreachable:`, error.message);
+            } else {
+                console.error(`Product provider ${provider.id} error:`, error);
+            }
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    _finalize(barcode, merged, source, sources) {
+        const category = merged.category || 'Autre';
+        const serving = merged.servingQuantity > 0 && merged.servingUnit
+            ? { servingQuantity: merged.servingQuantity, servingUnit: merged.servingUnit }
+            : this._computeServingDefaults(category);
+        return {
+            barcode,
+            name: merged.name || `Produit ${barcode}`,
+            brand: merged.brand || null,
+            source,
+            sources,
+            category,
+            alcoholContent: merged.alcoholContent ?? this._defaultAlcoholContent(category),
+            packageSize: merged.packageSize || null,
+            servingQuantity: serving.servingQuantity,
+            servingUnit: serving.servingUnit,
+            image: merged.image || null,
+            ingredients: merged.ingredients || null
+        };
+    }
+
+    // --- Normalization helpers ---
+
+    _buildFallback(barcode) {
+        const serving = this._computeServingDefaults('Autre');
+        return {
+            barcode,
+            name: `Produit ${barcode}`,
+            brand: null,
+            source: 'unknown',
+            sources: {},
+            category: 'Autre',
+            alcoholContent: null,
+            packageSize: null,
+            servingQuantity: serving.servingQuantity,
+            servingUnit: serving.servingUnit,
+            image: null,
+            ingredients: null
+        };
+    }
+
+    /**
+     * Compute default serving quantity and unit based on drink category.
+     * This replaces the old isBeer()/getDefaultQuantity()/getDefaultUnit() methods.
+     * A unit of the user's registry marked as the category default (`defaultFor`,
+     * cf. Réglages → Unités) wins: 1 × that unit. Otherwise the fixed portions,
+     * beer keeping its historical 1 EcoCup (25 cL).
+     */
+    _computeServingDefaults(category, units = (window.getUnits ? window.getUnits() : [])) {
+        const preferred = units.find(u => !u.hidden && u.defaultFor === category);
+        if (preferred) return { servingQuantity: 1, servingUnit: preferred.name };
+        switch (category) {
+            case 'Bière':
+                return { servingQuantity: 1, servingUnit: 'EcoCup' };
+            case 'Vin':
+                return { servingQuantity: 15, servingUnit: 'cL' };
+            case 'Spiritueux':
+                return { servingQuantity: 4, servingUnit: 'cL' };
+            case 'Cocktail':
+                return { servingQuantity: 25, servingUnit: 'cL' };
+            default:
+                return { servingQuantity: 25, servingUnit: 'cL' };
+        }
+    }
+
+    /**
+     * Return a sensible default alcohol % based on drink category.
+     * Used when no provider knows the value.
+     */
+    _defaultAlcoholContent(category) {
+        switch (category) {
+            case 'Bière':      return 5.0;
+            case 'Vin':        return 12.0;
+            case 'Spiritueux': return 40.0;
+            case 'Cocktail':   return 8.0;
+            default:           return null;
+        }
+    }
+}
+
+ProductLookup.heuristics = PRODUCT_HEURISTICS;
+ProductLookup.providers = { localCatalogProvider, groupCatalogProvider, openFoodFactsProvider, upcItemDbProvider };
+ProductLookup.jsonFileProvider = createJsonFileProvider;
+ProductLookup.fixtureProvider = createFixtureProvider;
+
 // Export global instance
 const productLookup = new ProductLookup();
+window.ProductLookup = ProductLookup;
 window.productLookup = productLookup;
@@ -23,14 +23,14 @@ class AppErrorBoundary extends React.Component {
         <div style={{ maxWidth: 360, textAlign: 'center' }}>
           <div style={{
             fontFamily: '"Instrument Serif", serif', fontStyle: 'italic',
-            fontSize: remSize(28), letterSpacing: tracking(28), marginBottom: 12 }}>Une erreur est survenue</div>
+            fontSize: remSize(28), letterSpacing: tracking(28), marginBottom: 12 }}>{t('app.crash.title')}</div>
           <div style={{ fontSize: remSize(13), letterSpacing: tracking(13), opacity: 0.7, marginBottom: 18, lineHeight: 1.5 }}>
-            L'application a rencontré un problème. Vos données restent intactes.
+            {t('app.crash.body')}
           </div>
           <button type="button" onClick={() => location.reload()} style={{
             padding: '12px 22px', borderRadius: 12, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 600,
             background: T.accent, color: T.accentInk,
-            border: 'none', cursor: 'pointer', fontFamily: 'inherit' }}>Recharger</button>
+            border: 'none', cursor: 'pointer', fontFamily: 'inherit' }}>{t('app.crash.reload')}</button>
         </div>
       </div>
     );
@@ -46,6 +46,8 @@ const TOAST_SHADOW = '0 10px 30px rgba(0,0,0,0.3)';
 // IndexedDB round-trip on every dataBus.bump.
 function AppShell() {
   const themeName = useTheme();
+  // Re-rendu du shell au changement de langue (cf. i18n.jsx › applyLocale).
+  useLocale();
   const reducedMotion = useReducedMotion();
   // Sync the <html>/<body> theme hooks only when the theme actually
   // changes — without a dep array this fired on every AppShell render
@@ -114,6 +116,11 @@ function AppShell() {
         if (window.dbManager && typeof window.dbManager.maybeAutoBackup === 'function') {
           window.dbManager.maybeAutoBackup();
         }
+        // Export hors appareil (opt-in) : écriture dans le dossier choisi ou
+        // rappel avec téléchargement, cf. data.jsx › maybeScheduledExport.
+        maybeScheduledExport();
+        // Bilan des périodes d'objectifs terminées depuis le dernier lancement.
+        syncGoalHistory().catch(() => {});
       } catch (e) {}
     };
     const ric = typeof window.requestIdleCallback === 'function' ? window.requestIdleCallback : null;
@@ -124,8 +131,55 @@ function AppShell() {
     };
   }, []);
 
+  // Scans faits hors ligne : relancés au retour du réseau (`online`, ou
+  // message du service worker après sa Background Sync) et une fois en idle
+  // au lancement ; les fiches retrouvées sont proposées à la revue.
+  const [reviewingLookups, setReviewingLookups] = React.useState(false);
+  React.useEffect(() => {
+    const run = async () => {
+      try {
+        const n = await resolvePendingLookups();
+        if (n) {
+          Toast.show(t('app.lookupsFound', { count: n }),
+            { action: { label: t('app.lookupsReview'), run: () => setReviewingLookups(true) } });
+        }
+      } catch (e) {}
+    };
+    const onMessage = (e) => { if (e.data && e.data.type === 'LOOKUPS_READY') run(); };
+    const sw = navigator.serviceWorker;
+    window.addEventListener('online', run);
+    if (sw) sw.addEventListener('message', onMessage);
+    const handle = setTimeout(run, 5000);
+    return () => {
+      window.removeEventListener('online', run);
+      if (sw) sw.removeEventListener('message', onMessage);
+      clearTimeout(handle);
+    };
+  }, []);
+
   const [adding, setAdding] = React.useState(false);
+  const [pickingRound, setPickingRound] = React.useState(false);
   const [prefill, setPrefill] = React.useState(null);
+  // Photo d'étiquette partagée depuis une autre app (share target) : ouvre
+  // l'ajout directement sur le scanner. Le paramètre est retiré de l'URL
+  // pour qu'un rechargement ne rejoue pas le partage.
+  const [scanImage, setScanImage] = React.useState(null);
+  React.useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('share-target') !== 'scan') return;
+    params.delete('share-target');
+    const rest = params.toString();
+    try {
+      window.history.replaceState(window.history.state, '',
+        window.location.pathname + (rest ? `?${rest}` : '') + window.location.hash);
+    } catch {}
+    takeSharedImage().then((blob) => {
+      if (!blob) { Toast.show(t('app.sharedImageMissing')); return; }
+      setPrefill(null);
+      setScanImage(blob);
+      setAdding(true);
+    });
+  }, []);
   const [settings, setSettings] = React.useState(false);
   const [openFamily, setOpenFamily] = React.useState(null);
   const [openEntry, setOpenEntry] = React.useState(null);
@@ -165,8 +219,8 @@ function AppShell() {
       clearTimeout(window.__aToast);
       clearTimeout(window.__aToastOut);
       setToast({ msg, opts: opts || null, leaving: false });
-      // Undo toasts stay visible longer so the user has time to react.
-      const ttl = opts && typeof opts.undo === 'function' ? 5000 : 1800;
+      // Undo / action toasts stay visible longer so the user has time to react.
+      const ttl = opts && (typeof opts.undo === 'function' || opts.action) ? 5000 : 1800;
       // Sortie en deux temps : phase `leaving` (animation toastOut) puis
       // démontage — le toast s'efface au lieu de disparaître brutalement.
       window.__aToast = setTimeout(() => {
@@ -210,12 +264,12 @@ function AppShell() {
         date: localDate(n),
         time: localTime(n),
       });
-      Toast.show(`« ${family.name} » ajoutée`);
+      Toast.show(t('toast.drinkAdded', { name: family.name }));
       // Capture de lieu fiable et non bloquante (centralisée dans data.jsx :
       // survit à la fermeture, reverse-geocode borné + retry).
       if (created && created.id != null) attachLocationToDrink(created.id);
     } catch (e) {
-      Toast.show('Erreur lors de l\'ajout');
+      Toast.show(t('toast.addError'));
     }
   }, []);
 
@@ -296,12 +350,17 @@ function AppShell() {
         )}
       </main>
 
-      <Fab onClick={() => { setPrefill(null); setAdding(true); }} />
+      <Fab onClick={() => { setPrefill(null); setAdding(true); }}
+        onLongPress={() => setPickingRound(true)} />
       <BottomNav tab={tab} onChange={setTab}
         onReorder={() => statsReorderRef.current && statsReorderRef.current()} />
 
-      <AddDrinkSheet open={adding} prefill={prefill}
-        onClose={() => { setAdding(false); setPrefill(null); }} />
+      <AddDrinkSheet open={adding} prefill={prefill} scanImage={scanImage}
+        onClose={() => { setAdding(false); setPrefill(null); setScanImage(null); }} />
+      {pickingRound && (
+        <RoundPickerSheet onClose={() => setPickingRound(false)}
+          onSingle={() => { setPrefill(null); setAdding(true); }} />
+      )}
       <SettingsDrawer open={settings} onClose={() => setSettings(false)} />
       {openFamily && (
         <DrinkDetailSheet key={openFamily.id} family={openFamily}
@@ -320,6 +379,7 @@ function AppShell() {
       {editFamily && (
         <EditFamilySheet key={editFamily.id} family={editFamily} onClose={() => setEditFamily(null)} />
       )}
+      {reviewingLookups && <PendingLookupsSheet onClose={() => setReviewingLookups(false)} />}
       {openFriend && (
         <FriendStatsView key={openFriend.userId} friend={openFriend} onClose={() => setOpenFriend(null)} />
       )}
@@ -345,10 +405,10 @@ function AppShell() {
           <span style={{ minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
             {toast.msg}
           </span>
-          {toast.opts && typeof toast.opts.undo === 'function' && (
+          {toast.opts && (typeof toast.opts.undo === 'function' || toast.opts.action) && (
             <button type="button" className="alco-press"
               onClick={() => {
-                const fn = toast.opts.undo;
+                const fn = toast.opts.undo || toast.opts.action.run;
                 clearTimeout(window.__aToast);
                 clearTimeout(window.__aToastOut);
                 setToast(null);
@@ -362,7 +422,8 @@ function AppShell() {
                 marginLeft: 4, padding: '6px 12px', borderRadius: 99,
                 background: T.accent, color: T.accentInk,
                 border: 'none', fontSize: remSize(12), letterSpacing: tracking(12), fontWeight: 600,
-                fontFamily: 'inherit', cursor: 'pointer', flexShrink: 0 }}>Annuler</button>
+                fontFamily: 'inherit', cursor: 'pointer', flexShrink: 0 }}>
+              {toast.opts.undo ? t('toast.undo') : toast.opts.action.label}</button>
           )}
         </div>
       )}
@@ -381,6 +442,7 @@ function App() {
           <DrinksProvider>
             <CategoryIconsProvider>
               <BacProvider>
+                <BacNotifier />
                 <AppShell />
               </BacProvider>
             </CategoryIconsProvider>
@@ -392,14 +454,10 @@ function App() {
 }
 
 function AppHeader({ tab, onMenu }) {
-  const titles = {
-    categories: 'Catégories',
-    history: 'Historique',
-    stats: 'Statistiques',
-    friends: 'Amis',
-  };
-  const today = new Date();
-  const dateStr = `${FR_DAYS_LONG[today.getDay()]} ${today.getDate()} ${FR_MONTHS_LONG[today.getMonth()]}`;
+  const dateStr = fmtDateLong(new Date());
+  // Export automatique activé mais plus vieux que son intervalle : pastille
+  // sur le bouton menu, qui mène au réglage (cf. OffsiteBackupSection).
+  const backupOverdue = offsiteBackupOverdue(useSettings());
 
   return (
     <header style={{
@@ -408,16 +466,23 @@ function AppHeader({ tab, onMenu }) {
       justifyContent: 'space-between', gap: 12,
       flexShrink: 0 }}>
       <button type="button" className="alco-press" onClick={onMenu}
-        aria-label="Ouvrir les paramètres" style={{
+        aria-label={t(backupOverdue ? 'header.openSettingsOverdue' : 'header.openSettings')}
+        title={backupOverdue ? t('header.backupOverdue') : undefined} style={{
+          position: 'relative',
           width: 38, height: 38, borderRadius: 12, background: T.surface2,
           display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
           border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit',
           touchAction: 'manipulation' }}>
         <SvgIcon icon={Ic.menu} size={18} />
+        {backupOverdue && (
+          <span aria-hidden="true" style={{
+            position: 'absolute', top: -3, right: -3, width: 10, height: 10,
+            borderRadius: 99, background: T.accent2, border: `2px solid ${T.bg}` }} />
+        )}
       </button>
       <div style={{ flex: 1, textAlign: 'center', minWidth: 0 }}>
         <h1 style={{
-          ...TYPE.title, color: T.ink, lineHeight: 1, margin: 0 }}>{titles[tab]}</h1>
+          ...TYPE.title, color: T.ink, lineHeight: 1, margin: 0 }}>{t(`tab.${tab}`)}</h1>
         <div style={{
           ...TYPE.label, color: T.muted, marginTop: 3,
           whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{dateStr}</div>
@@ -491,10 +556,10 @@ function NavIndicator({ index, count, reduced }) {
 function BottomNav({ tab, onChange, onReorder }) {
   const reduced = useReducedMotion();
   const items = [
-    { id: 'categories', label: 'Catégories', icon: Ic.grid },
-    { id: 'history',    label: 'Historique', icon: Ic.clockArrow },
-    { id: 'stats',      label: 'Stats',      icon: Ic.bars },
-    { id: 'friends',    label: 'Amis',       icon: Ic.users },
+    { id: 'categories', label: t('nav.categories'), icon: Ic.grid },
+    { id: 'history',    label: t('nav.history'),    icon: Ic.clockArrow },
+    { id: 'stats',      label: t('nav.stats'),      icon: Ic.bars },
+    { id: 'friends',    label: t('nav.friends'),    icon: Ic.users },
   ];
   const activeIdx = Math.max(0, items.findIndex(it => it.id === tab));
   return (
@@ -510,16 +575,16 @@ function BottomNav({ tab, onChange, onReorder }) {
       {tab === 'stats' && onReorder && (
         <div style={{ display: 'flex', justifyContent: 'center', paddingBottom: 4 }}>
           <button type="button" onClick={onReorder} className="alco-press"
-            aria-label="Réorganiser les sections"
+            aria-label={t('nav.reorderAria')}
             style={{
               ...ghostButton, display: 'flex', alignItems: 'center', gap: 5,
               color: T.muted, ...TYPE.label, padding: '2px 8px',
               touchAction: 'manipulation' }}>
-            <SvgIcon icon={Ic.grip} size={12} /> Réorganiser
+            <SvgIcon icon={Ic.grip} size={12} /> {t('nav.reorder')}
           </button>
         </div>
       )}
-      <div role="tablist" aria-label="Navigation principale"
+      <div role="tablist" aria-label={t('nav.main')}
         style={{ display: 'flex', justifyContent: 'space-around', paddingBottom: 2, position: 'relative' }}>
         {/* Indicateur actif unique : glisse d'un onglet à l'autre au lieu
             d'apparaître. Hors flux (absolute) pour ne pas pousser les boutons.
@@ -534,13 +599,26 @@ function BottomNav({ tab, onChange, onReorder }) {
     </nav>
   );
 }
-function Fab({ onClick }) {
+// Appui long → choix d'une tournée (rounds.jsx) ; le click qui suit est
+// avalé pour ne pas ouvrir aussi la feuille d'ajout.
+function Fab({ onClick, onLongPress }) {
   const reduced = useReducedMotion();
   const press = usePressScale();
+  const long = useLongPress(onLongPress);
+  const both = (a, b) => (e) => { a && a(e); b && b(e); };
   return (
-    <button type="button" aria-label="Ajouter une boisson"
-      onClick={(e) => { haptic('select'); onClick && onClick(e); }}
-      {...press.handlers} style={{
+    <button type="button" aria-label={t('fab.add')}
+      onClick={(e) => {
+        if (long.consumeClick()) return;
+        haptic('select'); onClick && onClick(e);
+      }}
+      {...press.handlers}
+      onPointerDown={both(press.handlers.onPointerDown, long.handlers.onPointerDown)}
+      onPointerMove={long.handlers.onPointerMove}
+      onPointerUp={both(press.handlers.onPointerUp, long.handlers.onPointerUp)}
+      onPointerCancel={both(press.handlers.onPointerCancel, long.handlers.onPointerCancel)}
+      onPointerLeave={both(press.handlers.onPointerLeave, long.handlers.onPointerLeave)}
+      onContextMenu={long.handlers.onContextMenu} style={{
       position: 'absolute',
       bottom: 'calc(78px + env(safe-area-inset-bottom))',
       right: 14, zIndex: 30,
@@ -568,6 +646,26 @@ async function mountAlcoNote() {
       applyTheme(stored);
     }
   } catch {}
+  // Même chose pour la langue (réglage `language`, cf. i18n.jsx).
+  try {
+    const lang = await window.dbManager.getSetting('language');
+    if (lang && LOCALES[lang] && !localStorage.getItem('alconote.lang')) setLocale(lang);
+  } catch {}
+  // Et pour le profil de conduite / l'unité BAC (setting `bacDisplay`, cf. shared.jsx).
+  try {
+    const bacDisplay = await window.dbManager.getSetting('bacDisplay');
+    if (bacDisplay && !localStorage.getItem('alconote.bacDisplay')) applyBacDisplay(normalizeBacDisplay(bacDisplay), { persist: false });
+  } catch {}
+  // Et pour le verre standard (setting `standardDrink`, cf. shared.jsx).
+  try {
+    const std = await window.dbManager.getSetting('standardDrink');
+    if (std && !localStorage.getItem('alconote.standardDrink')) applyStandardDrink(std, { persist: false });
+  } catch {}
+  // Le registre d'unités vit en base (table `units`) : la copie locale ne
+  // sert qu'au premier rendu, on la remplace toujours.
+  try { applyUnits(await window.dbManager.ensureUnits()); } catch {}
+  // Fichier de produits de l'appareil : fournisseur de recherche au scan.
+  try { await loadProductFile(); } catch {}
 
   // Normalise les noms de catégorie hérités (NFC + trim, fusion des
   // doublons — snapshot + transaction côté DB) AVANT la migration d'icônes
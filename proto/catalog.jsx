@@ -0,0 +1,456 @@
+// catalog.jsx — Catalogue local des produits : la fiche que l'utilisateur a
+// enregistrée pour chaque code-barres scanné (Réglages → Catalogue des
+// produits).
+//
+// Table `products` (schéma v12, cf. productFromDrink dans js/database.js) :
+// { barcode, name, brand, category, alcoholContent, quantity, unit, source }.
+// Apprise de chaque boisson enregistrée avec un code-barres, consultée avant
+// tout appel réseau au scan (ProductLookup.lookup). Exportée avec les
+// données ; partagée au groupe sur option (« Partager mon catalogue »,
+// share.jsx). Un fichier de produits JSON propre à l'appareil peut compléter
+// la recherche (ProductFileSection, cf. setProductFile dans data.jsx).
+// Les scans faits hors ligne attendent le réseau puis passent en revue
+// (PendingLookupsSheet, cf. queuePendingLookup dans data.jsx).
+
+// Origine de la fiche → clé du libellé.
+const PRODUCT_SOURCES = { learned: 'catalog.source.learned', manual: 'catalog.source.manual' };
+
+// Fiche prête à enregistrer. Lève une Error au message affichable tel quel
+// (déjà traduit).
+function normalizeProduct(p) {
+  const name = String((p && p.name) || '').trim();
+  if (!name) throw new Error(t('catalog.error.name'));
+  const num = (v) => (v == null || v === '' ? null : typeof v === 'string' ? parseDecimal(v) : Number(v));
+  const alcoholContent = num(p.alcoholContent);
+  if (alcoholContent != null && !(alcoholContent >= 0 && alcoholContent <= 100)) throw new Error(t('catalog.error.abv'));
+  const quantity = num(p.quantity);
+  if (quantity != null && !(quantity > 0)) throw new Error(t('catalog.error.quantity'));
+  return {
+    name,
+    brand: String(p.brand || '').trim() || null,
+    category: p.category || null,
+    alcoholContent,
+    quantity,
+    unit: quantity != null ? (p.unit || 'cL') : null,
+  };
+}
+
+// « Brasserie · Bière · 6,5° · 33 cL ».
+function productSummary(p) {
+  return [
+    p.brand,
+    p.category,
+    p.alcoholContent != null ? `${fmtNumber(p.alcoholContent, 1)}°` : null,
+    p.quantity != null ? `${fmtNumber(p.quantity, 2)} ${p.unit || 'cL'}` : null,
+  ].filter(Boolean).join(' · ');
+}
+
+// Les fournisseurs intégrés portent un libellé français (product-lookup.js) :
+// traduit par identifiant ; les autres (fichier, API) gardent leur nom.
+function _providerLabel(p) {
+  return p.id === 'local' || p.id === 'group' ? t(`catalog.provider.${p.id}`) : p.label;
+}
+
+function CatalogSheet({ onClose }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const products = useProducts();
+  const pending = usePendingLookups();
+  const [query, setQuery] = React.useState('');
+  const [editing, setEditing] = React.useState(null);
+  const [reviewing, setReviewing] = React.useState(false);
+  const pendingCount = pending ? pending.waiting.length + pending.review.length : 0;
+  const list = React.useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const all = products || [];
+    return q ? all.filter(p => [p.name, p.brand, p.barcode].some(v => String(v || '').toLowerCase().includes(q))) : all;
+  }, [products, query]);
+
+  return (
+    <>
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('catalog.title')}>
+      <div className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', maxHeight: '92dvh',
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{
+          padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}`,
+          display: 'flex', alignItems: 'flex-start', gap: 12 }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>{t('catalog.title')}</div>
+            <div style={{ color: T.muted, ...TYPE.label, marginTop: 6 }}>
+              {t('catalog.sub', { barcodes: products ? t('catalog.barcodes', { count: products.length }) : '…' })}
+            </div>
+          </div>
+          <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
+            width: 32, height: 32, borderRadius: 99, background: T.surface2,
+            display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
+            border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit', flexShrink: 0,
+            touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
+        </div>
+        </SheetGrabber>
+
+        <div style={{ overflow: 'auto', padding: '14px 22px calc(18px + env(safe-area-inset-bottom))' }}>
+          {pendingCount > 0 && (
+            <button type="button" className="alco-press" onClick={() => setReviewing(true)} style={{
+              display: 'flex', alignItems: 'center', gap: 10, width: '100%', textAlign: 'left',
+              marginBottom: 12, padding: '11px 14px', borderRadius: 14, cursor: 'pointer',
+              background: T.accentSoft, border: `1px solid ${T.rule}`, fontFamily: 'inherit', color: T.ink }}>
+              <span style={{ flex: 1, ...type(12.5, { weight: 500 }) }}>
+                {pending.review.length > 0
+                  ? t('catalog.pendingReview', { count: pending.review.length })
+                  : t('catalog.pendingWaiting', { count: pendingCount })}
+              </span>
+              <SvgIcon icon={Ic.chevR} size={14} />
+            </button>
+          )}
+          <SearchInput value={query} onChange={setQuery} placeholder={t('catalog.searchPh')} />
+          {products && products.length === 0 && (
+            <div style={{ color: T.muted, ...type(12.5), marginTop: 14, lineHeight: 1.5 }}>
+              {t('catalog.empty')}
+            </div>
+          )}
+          {products && products.length > 0 && list.length === 0 && (
+            <div style={{ color: T.muted, ...type(12.5), marginTop: 14 }}>{t('catalog.noMatch')}</div>
+          )}
+          {list.length > 0 && (
+            <div role="list" aria-label={t('catalog.listAria')} style={{
+              marginTop: 12, background: T.surface, border: `1px solid ${T.rule}`, borderRadius: 14, overflow: 'hidden' }}>
+              {list.map((p, i) => (
+                <button key={p.barcode} type="button" role="listitem" className="alco-press" onClick={() => setEditing(p)}
+                  aria-label={t('catalog.editAria', { name: p.name, barcode: p.barcode })} style={{
+                    display: 'flex', alignItems: 'center', gap: 10, width: '100%', textAlign: 'left',
+                    padding: '11px 14px', background: 'transparent', border: 'none', cursor: 'pointer',
+                    borderBottom: i === list.length - 1 ? 'none' : `1px solid ${T.rule}`,
+                    fontFamily: 'inherit', color: T.ink }}>
+                  <span aria-hidden="true" style={{ width: 22, display: 'grid', placeItems: 'center', color: T.ink2 }}>
+                    <CategoryGlyph name={p.category || 'Autre'} size={18} />
+                  </span>
+                  <span style={{ flex: 1, minWidth: 0 }}>
+                    <span style={{ display: 'block', ...type(13.5, { weight: 500 }),
+                      whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{p.name}</span>
+                    <span style={{ display: 'block', color: T.muted, ...type(11) }}>{productSummary(p) || '—'}</span>
+                  </span>
+                  <span style={{ textAlign: 'right', flexShrink: 0 }}>
+                    <span style={{ display: 'block', color: T.ink2, ...type(11), ...TYPE.num }}>{p.barcode}</span>
+                    <span style={{ display: 'block', color: T.muted, ...type(10) }}>{PRODUCT_SOURCES[p.source] ? t(PRODUCT_SOURCES[p.source]) : ''}</span>
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+          <ProductFileSection />
+        </div>
+      </div>
+    </SheetOverlay>
+    {editing && <ProductEditorSheet product={editing} onClose={() => setEditing(null)} />}
+    {reviewing && <PendingLookupsSheet onClose={() => setReviewing(false)} />}
+    </>
+  );
+}
+
+// Fichier de produits JSON (tableau de fiches avec `barcode`, ou objet
+// indexé par code) + ordre de recherche des fournisseurs au scan.
+function ProductFileSection() {
+  const file = useProductFile();
+  const inputRef = React.useRef(null);
+  const providers = window.productLookup ? window.productLookup.getProviders() : [];
+
+  const onFile = async (ev) => {
+    const f = ev.target.files && ev.target.files[0];
+    ev.target.value = '';
+    if (!f) return;
+    try {
+      const count = await setProductFile({ name: f.name, data: parseProductFile(await f.text()) });
+      Toast.show(t('catalog.file.loaded', { count }));
+    } catch (err) {
+      Toast.show(errorText(err, 'catalog.file.unreadable'));
+    }
+  };
+  const remove = async () => {
+    try {
+      await setProductFile(null);
+      Toast.show(t('catalog.file.removed'));
+    } catch {
+      Toast.show(t('catalog.deleteError'));
+    }
+  };
+
+  return (
+    <div style={{ marginTop: 22 }}>
+      <div style={{ color: T.muted, ...TYPE.label, marginBottom: 8 }}>{t('catalog.file.title')}</div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10,
+        background: T.surface, border: `1px solid ${T.rule}`, borderRadius: 14, padding: '11px 14px' }}>
+        <div style={{ flex: 1, minWidth: 0, color: file ? T.ink : T.muted, ...type(12.5) }}>
+          {file ? `${file.name} · ${t('catalog.barcodes', { count: file.count })}` : t('catalog.file.none')}
+        </div>
+        {file && <button type="button" onClick={remove} style={{ ...ghostButton, color: T.accent2, ...type(12) }}>{t('catalog.file.remove')}</button>}
+        <button type="button" onClick={() => inputRef.current && inputRef.current.click()}
+          style={{ ...ghostButton, color: T.ink, ...type(12, { weight: 600 }) }}>{t(file ? 'catalog.file.replace' : 'catalog.file.load')}</button>
+      </div>
+      <input ref={inputRef} type="file" accept=".json,application/json" aria-label={t('catalog.file.title')}
+        style={{ display: 'none' }} onChange={onFile} />
+      <div style={{ color: T.muted, ...type(11), marginTop: 8, lineHeight: 1.5 }}>
+        {t('catalog.file.order', { providers: providers.map(_providerLabel).join(' → ') })}
+      </div>
+    </div>
+  );
+}
+
+const PENDING_FIELD_LABELS = { name: 'catalog.field.name', category: 'catalog.field.category', alcoholContent: 'catalog.field.abv' };
+
+function fmtPendingValue(field, v) {
+  if (field === 'alcoholContent') return v != null ? `${fmtNumber(v, 1)} %` : '—';
+  return v || '—';
+}
+
+// Revue des fiches retrouvées pour les scans faits hors ligne : par code,
+// les familles concernées et chaque champ corrigé, décochable. « Appliquer »
+// passe par updateFamily (journalisé, annulable).
+function PendingLookupsSheet({ onClose }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const pending = usePendingLookups();
+  // Champs décochés : `${barcode}|${index de famille}|${champ}`.
+  const [off, setOff] = React.useState(() => new Set());
+  const [busy, setBusy] = React.useState(false);
+  const labelOf = (id) => {
+    const p = window.productLookup && window.productLookup.getProviders().find(x => x.id === id);
+    return p ? _providerLabel(p) : id;
+  };
+  const toggle = (key) => setOff(prev => {
+    const next = new Set(prev);
+    if (next.has(key)) next.delete(key); else next.add(key);
+    return next;
+  });
+
+  const apply = async (item) => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      const changes = item.changes.map((c, i) => ({
+        family: c.family,
+        updates: Object.fromEntries(Object.entries(c.updates).filter(([f]) => !off.has(`${item.barcode}|${i}|${f}`))),
+      }));
+      await applyPendingLookup(item.barcode, changes);
+      Toast.show(t('catalog.pending.applied'));
+    } catch (err) {
+      Toast.show(errorText(err, 'catalog.pending.applyError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const dismiss = async (item) => {
+    try { await dismissPendingLookup(item.barcode); }
+    catch { Toast.show(t('catalog.deleteError')); }
+  };
+  const retry = async () => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      const n = await resolvePendingLookups();
+      Toast.show(n ? t('catalog.pending.found', { count: n }) : t('catalog.pending.notFound'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const review = pending ? pending.review : [];
+  const waiting = pending ? pending.waiting : [];
+
+  return (
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('catalog.pending.title')}>
+      <div className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', maxHeight: '92dvh',
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{
+          padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}`,
+          display: 'flex', alignItems: 'flex-start', gap: 12 }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>{t('catalog.pending.title')}</div>
+            <div style={{ color: T.muted, ...TYPE.label, marginTop: 6 }}>{t('catalog.pending.sub')}</div>
+          </div>
+          <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
+            width: 32, height: 32, borderRadius: 99, background: T.surface2,
+            display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
+            border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit', flexShrink: 0,
+            touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
+        </div>
+        </SheetGrabber>
+
+        <div style={{ overflow: 'auto', padding: '14px 22px calc(18px + env(safe-area-inset-bottom))' }}>
+          {pending && review.length === 0 && waiting.length === 0 && (
+            <div style={{ color: T.muted, ...type(12.5) }}>{t('catalog.pending.empty')}</div>
+          )}
+          {review.map(item => (
+            <div key={item.barcode} role="group" aria-label={t('catalog.code', { barcode: item.barcode })} style={{
+              marginBottom: 14, background: T.surface, border: `1px solid ${T.rule}`, borderRadius: 14, padding: '12px 14px' }}>
+              <div style={{ color: T.ink, ...type(13.5, { weight: 500 }) }}>{item.proposal.name}</div>
+              <div style={{ color: T.muted, ...type(11), ...TYPE.num, marginTop: 2 }}>
+                {t('catalog.code', { barcode: item.barcode })} · {labelOf(item.proposal.source)}
+              </div>
+              {item.changes.map((c, i) => (
+                <div key={i} style={{ marginTop: 10 }}>
+                  <div style={{ color: T.ink2, ...type(11.5) }}>
+                    {t('catalog.pending.family', { count: c.count, name: c.family.name })}
+                  </div>
+                  {Object.entries(c.updates).map(([field, value]) => {
+                    const key = `${item.barcode}|${i}|${field}`;
+                    const on = !off.has(key);
+                    const before = field === 'alcoholContent' ? c.family.alcohol : c.family[field];
+                    return (
+                      <button key={field} type="button" role="checkbox" aria-checked={on} onClick={() => toggle(key)}
+                        aria-label={t('catalog.pending.change', { field: t(PENDING_FIELD_LABELS[field]), before: fmtPendingValue(field, before), after: fmtPendingValue(field, value) })}
+                        style={{
+                          display: 'flex', alignItems: 'center', gap: 8, width: '100%', textAlign: 'left',
+                          marginTop: 6, padding: '7px 10px', borderRadius: 10, cursor: 'pointer',
+                          background: on ? T.accentSoft : 'transparent', border: `1px solid ${T.rule}`,
+                          fontFamily: 'inherit', color: on ? T.ink : T.muted, ...type(12) }}>
+                        <span aria-hidden="true" style={{ width: 14, display: 'grid', placeItems: 'center' }}>
+                          {on ? <SvgIcon icon={Ic.check} size={12} /> : null}
+                        </span>
+                        <span style={{ flex: 1, minWidth: 0 }}>
+                          {t('catalog.pending.field', { field: t(PENDING_FIELD_LABELS[field]) })} <span style={{ textDecoration: 'line-through' }}>{fmtPendingValue(field, before)}</span> → {fmtPendingValue(field, value)}
+                        </span>
+                      </button>
+                    );
+                  })}
+                </div>
+              ))}
+              <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+                <button type="button" onClick={() => dismiss(item)} style={{ ...ghostButton, color: T.ink2, ...type(12) }}>{t('catalog.pending.dismiss')}</button>
+                <div style={{ flex: 1 }} />
+                <button type="button" onClick={() => apply(item)} disabled={busy} style={{
+                  border: 'none', fontFamily: 'inherit', cursor: busy ? 'default' : 'pointer',
+                  background: T.accent, color: T.accentInk, ...type(12, { weight: 600 }),
+                  padding: '8px 13px', borderRadius: 10, opacity: busy ? 0.5 : 1 }}>{t('catalog.pending.apply')}</button>
+              </div>
+            </div>
+          ))}
+          {waiting.length > 0 && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 10, color: T.muted, ...type(12) }}>
+              <span style={{ flex: 1, minWidth: 0, ...TYPE.num }}>
+                {t('catalog.pending.waiting', { barcodes: waiting.map(p => p.barcode).join(', ') })}
+              </span>
+              <button type="button" onClick={retry} disabled={busy}
+                style={{ ...ghostButton, color: T.ink, ...type(12, { weight: 600 }) }}>{t('catalog.pending.retry')}</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </SheetOverlay>
+  );
+}
+
+function ProductEditorSheet({ product, onClose }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const { categories } = useCategories();
+  const [name, setName] = React.useState(product.name || '');
+  const [brand, setBrand] = React.useState(product.brand || '');
+  const [cat, setCat] = React.useState(product.category || '');
+  const [alc, setAlc] = React.useState(product.alcoholContent != null ? String(product.alcoholContent).replace('.', ',') : '');
+  const [qty, setQty] = React.useState(product.quantity != null ? String(product.quantity).replace('.', ',') : '');
+  const [unit, setUnit] = React.useState(product.unit || 'cL');
+  const [busy, setBusy] = React.useState(false);
+
+  const save = async () => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      await saveProduct(product.barcode, { name, brand, category: cat || null, alcoholContent: alc, quantity: qty, unit });
+      Toast.show(t('catalog.saved'));
+      close();
+    } catch (err) {
+      Toast.show(errorText(err, 'catalog.saveError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const remove = async () => {
+    const ok = await Confirm.ask({
+      title: t('catalog.forget.title', { name: product.name }),
+      message: t('catalog.forget.message'),
+      confirmText: t('catalog.forget'), danger: true,
+    });
+    if (!ok) return;
+    try {
+      await deleteProduct(product.barcode);
+      Toast.show(t('catalog.forgotten'));
+      close();
+    } catch {
+      Toast.show(t('catalog.deleteError'));
+    }
+  };
+
+  return (
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('catalog.editorAria', { barcode: product.barcode })}>
+      <div className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', maxHeight: '92dvh',
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{
+          padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}`,
+          display: 'flex', alignItems: 'flex-start', gap: 12 }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>{t('catalog.editorTitle')}</div>
+            <div style={{ color: T.muted, ...TYPE.label, ...TYPE.num, marginTop: 6 }}>{t('catalog.code', { barcode: product.barcode })}</div>
+          </div>
+          <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
+            width: 32, height: 32, borderRadius: 99, background: T.surface2,
+            display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
+            border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit', flexShrink: 0,
+            touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
+        </div>
+        </SheetGrabber>
+
+        <div style={{ overflow: 'auto', padding: '14px 22px 2px' }}>
+          <FieldGroup label={t('catalog.field.name')}>
+            <input value={name} onChange={(e) => setName(e.target.value)} aria-label={t('catalog.nameAria')}
+              autoComplete="off" style={inputBaseStyle()} />
+          </FieldGroup>
+          <FieldGroup label={t('catalog.brand')}>
+            <input value={brand} onChange={(e) => setBrand(e.target.value)} aria-label={t('catalog.brandAria')}
+              placeholder="—" autoComplete="off" style={inputBaseStyle()} />
+          </FieldGroup>
+          <FieldGroup label={t('catalog.field.category')}>
+            <CategoryChips categories={categories} value={cat} onChange={setCat} />
+          </FieldGroup>
+          <FieldGroup label={t('catalog.field.abv')}>
+            <NumberField value={alc} onChange={setAlc} suffix="%" ariaLabel={t('catalog.abvAria')} placeholder="5" />
+          </FieldGroup>
+          <FieldGroup label={t('catalog.serving')}>
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+              <NumberField value={qty} onChange={setQty} ariaLabel={t('catalog.servingAria')} placeholder="33" style={{ width: 96 }} />
+              <div style={{ flex: 1, minWidth: 0 }}><UnitToggle value={unit} onChange={setUnit} /></div>
+            </div>
+          </FieldGroup>
+        </div>
+
+        <div style={{
+          display: 'flex', alignItems: 'center', gap: 8, borderTop: `1px solid ${T.rule}`,
+          padding: '12px 22px calc(14px + env(safe-area-inset-bottom))' }}>
+          <button type="button" onClick={remove} style={{ ...ghostButton, color: T.accent2, ...type(12) }}>{t('catalog.forget')}</button>
+          <div style={{ flex: 1 }} />
+          <button type="button" onClick={close} style={{ ...ghostButton, color: T.ink2, ...type(12) }}>{t('common.cancel')}</button>
+          <button type="button" onClick={save} disabled={busy} style={{
+            border: 'none', fontFamily: 'inherit', cursor: busy ? 'default' : 'pointer',
+            background: T.accent, color: T.accentInk, ...type(12, { weight: 600 }),
+            padding: '9px 14px', borderRadius: 10, opacity: busy ? 0.5 : 1 }}>{t('common.save')}</button>
+        </div>
+      </div>
+    </SheetOverlay>
+  );
+}
+
+Object.assign(window, {
+  PRODUCT_SOURCES, normalizeProduct, productSummary,
+  CatalogSheet, ProductFileSection, PendingLookupsSheet, ProductEditorSheet,
+});
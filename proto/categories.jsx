@@ -65,9 +65,10 @@ function CategoriesTab({ onOpenFamily, onDirectAdd, onEditFamily, query, setQuer
     <div style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
       <div style={{ padding: '4px 18px 14px' }}>
         <SearchInput value={query || ''} onChange={setQuery}
-          placeholder={openCat ? `Rechercher dans ${openCat}…` : 'Rechercher boisson ou catégorie…'} />
+          placeholder={openCat ? t('categories.searchIn', { category: openCat }) : t('categories.searchPh')} />
       </div>
 
+      {!openCat && <GoalsBadge />}
       {!openCat ? (
         <CategoryGrid cats={cats} families={families} query={query} onOpen={setOpenCat}
           onOpenFamily={onOpenFamily} onEditCat={setEditCat} onDirectAdd={onDirectAdd}
@@ -108,7 +109,8 @@ function CategoryGrid({ cats, families, query, onOpen, onOpenFamily, onEditCat,
     <div style={{ flex: 1, overflow: 'auto', padding: '0 18px 120px' }}>
       {!q && (
         <>
-          <SectionHead>Vos catégories</SectionHead>
+          <RoundsSection />
+          <SectionHead>{t('categories.yours')}</SectionHead>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginTop: 10 }}>
             {cats.map((c, i) => <CategoryCard key={c.id || c.name} cat={c} index={i}
               onOpen={onOpen}
@@ -116,22 +118,22 @@ function CategoryGrid({ cats, families, query, onOpen, onOpenFamily, onEditCat,
           </div>
           {cats.length === 0 && (
             <div style={{
-              color: T.muted, fontSize: remSize(13), letterSpacing: tracking(13), padding: '40px 0 16px', textAlign: 'center' }}>Aucune catégorie pour le moment.</div>
+              color: T.muted, fontSize: remSize(13), letterSpacing: tracking(13), padding: '40px 0 16px', textAlign: 'center' }}>{t('categories.none')}</div>
           )}
           <button type="button" onClick={onAddCategory}
-            aria-label="Créer une nouvelle catégorie" style={{
+            aria-label={t('categories.createAria')} style={{
               width: '100%', marginTop: 12, padding: '12px', borderRadius: 14,
               background: T.surface, border: `1px dashed ${T.rule}`, color: T.ink2,
               display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8,
               cursor: 'pointer', fontFamily: 'inherit', fontSize: remSize(13), letterSpacing: tracking(13) }}>
-            <SvgIcon icon={Ic.plus} size={15} /> Nouvelle catégorie
+            <SvgIcon icon={Ic.plus} size={15} /> {t('categories.new')}
           </button>
         </>
       )}
 
       {q && (
         <>
-          <SectionHead>{matchedFams.length} résultat{matchedFams.length > 1 ? 's' : ''}</SectionHead>
+          <SectionHead>{t('categories.results', { count: matchedFams.length })}</SectionHead>
           <div style={{ marginTop: 10 }}>
             {matchedFams.map((f, i) => (
               <FamilyRow key={f.id} family={f} index={i} onOpen={onOpenFamily}
@@ -139,7 +141,7 @@ function CategoryGrid({ cats, families, query, onOpen, onOpenFamily, onEditCat,
             ))}
             {matchedFams.length === 0 && (
               <div style={{
-                color: T.muted, fontSize: remSize(13), letterSpacing: tracking(13), padding: '40px 0', textAlign: 'center' }}>Aucun résultat pour « {query} »</div>
+                color: T.muted, fontSize: remSize(13), letterSpacing: tracking(13), padding: '40px 0', textAlign: 'center' }}>{t('categories.noResultFor', { query })}</div>
             )}
           </div>
         </>
@@ -168,7 +170,9 @@ const CategoryCard = React.memo(function CategoryCard({ cat, onOpen, onEdit, ind
     <div style={{ position: 'relative', ...staggerStyle(index, { reduced: reduced || !stagger }) }}>
       <button type="button"
         onClick={() => onOpen && onOpen(cat.name)}
-        aria-label={`Ouvrir la catégorie ${cat.name} — ${cat.entries} entrée${cat.entries !== 1 ? 's' : ''}, ${cat.families} type${cat.families !== 1 ? 's' : ''}`}
+        aria-label={t('categories.openAria', {
+          name: cat.name, entries: t('categories.entries', { count: cat.entries }),
+          types: t('categories.types', { count: cat.families }) })}
         {...press.handlers} style={{
           width: '100%', textAlign: 'left', fontFamily: 'inherit',
           background: T.surface, borderRadius: 18, padding: 14,
@@ -191,15 +195,15 @@ const CategoryCard = React.memo(function CategoryCard({ cat, onOpen, onEdit, ind
           <div style={{
             color: T.muted, fontSize: remSize(11), letterSpacing: tracking(11), display: 'flex', alignItems: 'center', gap: 6 }}>
             <span style={{ color }}>●</span>
-            {cat.entries} entrée{cat.entries !== 1 ? 's' : ''}
+            {t('categories.entries', { count: cat.entries })}
             <span style={{ opacity: 0.4 }}>·</span>
-            {cat.families} type{cat.families !== 1 ? 's' : ''}
+            {t('categories.types', { count: cat.families })}
           </div>
         </div>
       </button>
       <button type="button"
         onClick={() => onEdit && onEdit(cat.name)}
-        aria-label={`Modifier ${cat.name}`}
+        aria-label={t('categories.editShortAria', { name: cat.name })}
         className="alco-press"
         style={{
           position: 'absolute', top: 10, right: 10, width: 26, height: 26,
@@ -260,28 +264,28 @@ function FamilyList({ category, families, onBack, onOpen, onDirectAdd, onEditCat
       <div style={{
         display: 'flex', alignItems: 'center', gap: 10, marginBottom: 14,
         justifyContent: 'space-between' }}>
-        <button type="button" onClick={onBack} aria-label="Retour aux catégories" style={{
+        <button type="button" onClick={onBack} aria-label={t('categories.back')} style={{
           ...ghostButton,
           color: T.ink2, display: 'flex', alignItems: 'center', gap: 6,
           fontSize: remSize(13), letterSpacing: tracking(13), cursor: 'pointer' }}>
           <SvgIcon icon={Ic.chevL} size={16} />
-          <span>Catégories</span>
+          <span>{t('tab.categories')}</span>
         </button>
-        <button type="button" onClick={onEditCat} aria-label={`Modifier la catégorie ${category}`} style={{
+        <button type="button" onClick={onEditCat} aria-label={t('categories.editAria', { name: category })} style={{
           ...ghostButton,
           display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer',
           padding: '6px 10px', borderRadius: 10, background: T.surface2,
           border: `1px solid ${T.rule}`, color: T.ink2, fontSize: remSize(11), letterSpacing: tracking(11) }}>
           <SvgIcon icon={Ic.edit} size={11} />
-          <span>Modifier</span>
+          <span>{t('common.edit')}</span>
         </button>
       </div>
       <div style={{
         fontFamily: fontSerif, fontSize: remSize(36), letterSpacing: tracking(36), color: T.ink,
         lineHeight: 1, marginBottom: 4 }}>{category}</div>
       <div style={{ color: T.muted, fontSize: remSize(12), letterSpacing: tracking(12), marginBottom: 18 }}>
-        {sortedLen} variante{sortedLen !== 1 ? 's' : ''} ·
-        {' '}{entriesTotal} entrées au total
+        {t('categories.variants', { count: sortedLen })} ·
+        {' '}{t('categories.entriesTotal', { count: entriesTotal })}
       </div>
 
       {rows.map(({ f, idx, total }, i) => (
@@ -292,7 +296,7 @@ function FamilyList({ category, families, onBack, onOpen, onDirectAdd, onEditCat
 
       {rows.length === 0 && (
         <div style={{ color: T.muted, fontSize: remSize(13), letterSpacing: tracking(13), padding: '40px 0', textAlign: 'center' }}>
-          Aucun résultat
+          {t('categories.noResult')}
         </div>
       )}
     </div>
@@ -310,7 +314,7 @@ const FamilyRow = React.memo(function FamilyRow({ family: f, variantIndex = 0, v
   const reduced = useReducedMotion();
   const press = usePressScale();
   return (
-    <div {...clickable(() => onOpen && onOpen(f), `Voir les détails de ${f.name}`)}
+    <div {...clickable(() => onOpen && onOpen(f), t('categories.familyAria', { name: f.name }))}
       {...press.handlers} style={{
       display: 'flex', alignItems: 'center', gap: 14,
       padding: '14px 14px', background: T.surface,
@@ -345,13 +349,13 @@ const FamilyRow = React.memo(function FamilyRow({ family: f, variantIndex = 0, v
           <span>{f.alcohol}°</span>
         </div>
       </div>
-      <div title={`${totalEntries} entrée${totalEntries > 1 ? 's' : ''}`} style={{
+      <div title={t('categories.entries', { count: totalEntries })} style={{
         fontFamily: fontNum, fontSize: remSize(14), letterSpacing: tracking(14), fontWeight: 600,
         color: T.ink2, lineHeight: 1,
         fontVariantNumeric: 'tabular-nums', marginRight: 6, flexShrink: 0 }}>×{totalEntries}</div>
       <QuickAddButton
         onAdd={() => onDirectAdd && onDirectAdd(f)}
-        label={`Ajouter ${f.name} (${f.quantity} ${f.unit}, ${f.alcohol}°) à nouveau`}
+        label={t('categories.addAgain', { name: f.name, quantity: f.quantity, unit: f.unit, abv: f.alcohol })}
       />
     </div>
   );
@@ -434,13 +438,13 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
     if (savingRef.current) return;
     setErr('');
     const trimmed = (name || '').trim();
-    if (!trimmed) { setErr('Le nom ne peut pas être vide'); return; }
+    if (!trimmed) { setErr(t('categories.error.emptyName')); return; }
 
     // ── Create mode: add a brand-new category (+ optional icon) ──────
     if (isCreate) {
       const dup = categories.some(c =>
         canonicalCat(c.name).toLowerCase() === canonicalCat(trimmed).toLowerCase());
-      if (dup) { setErr('Une catégorie avec ce nom existe déjà'); return; }
+      if (dup) { setErr(t('categories.error.duplicate')); return; }
       savingRef.current = true;
       setBusy(true);
       try {
@@ -451,10 +455,10 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
         if (row && row.id != null && userTouchedColorRef.current && hue != null) {
           await setCategoryColor(row.id, hue);
         }
-        Toast.show(`Catégorie « ${trimmed} » créée`);
+        Toast.show(t('categories.created', { name: trimmed }));
         onClose && onClose();
       } catch (e) {
-        setErr(e && e.message ? e.message : 'Erreur lors de la création');
+        setErr(errorText(e, 'categories.error.create'));
       } finally {
         setBusy(false);
         savingRef.current = false;
@@ -484,7 +488,7 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
       const dup = categories.some(c =>
         canonicalCat(c.name).toLowerCase() === canonicalCat(trimmed).toLowerCase() &&
         canonicalCat(c.name) !== canonicalCat(category));
-      if (dup) { setErr('Une catégorie avec ce nom existe déjà'); return; }
+      if (dup) { setErr(t('categories.error.duplicate')); return; }
     }
     savingRef.current = true;
     setBusy(true);
@@ -510,7 +514,7 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
         // touching the icon; the sheet stays open with the error. Sans ligne
         // résolue on THROW : jamais de toast « mise à jour » sur un rename
         // silencieusement sauté (bug historique).
-        if (!row) throw new Error('Catégorie introuvable — ferme et rouvre la fiche');
+        if (!row) throw new Error(t('categories.error.rowMissing'));
         await renameCategory(row.name, trimmed);
         finalName = trimmed;
         // Let the parent re-point its name-keyed state (open drill-down,
@@ -527,7 +531,7 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
         // Skip the write when the user picked Reset on a category that had
         // no override to begin with — nothing to delete.
         if (next || (glyph === '__reset__' && hadOverride)) {
-          if (!row) throw new Error('Catégorie introuvable pour enregistrer l\'icône');
+          if (!row) throw new Error(t('categories.error.iconRowMissing'));
           await setCategoryIcon(row.id, next);
         }
       }
@@ -535,14 +539,14 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
         // `hue === null` = « Auto » → supprime la surcharge (repli défaut).
         // Skip si Auto sur une catégorie sans surcharge (rien à supprimer).
         if (hue != null || hadColorOverride) {
-          if (!row) throw new Error('Catégorie introuvable pour enregistrer la couleur');
+          if (!row) throw new Error(t('categories.error.colorRowMissing'));
           await setCategoryColor(row.id, hue);
         }
       }
-      Toast.show(`Catégorie « ${finalName} » mise à jour`);
+      Toast.show(t('categories.updated', { name: finalName }));
       close();
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Erreur lors de l\'enregistrement');
+      setErr(errorText(e, 'categories.error.save'));
     } finally {
       setBusy(false);
       savingRef.current = false;
@@ -559,7 +563,7 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
     // of silently no-op'ing.
     const fresh = categories.find(c => canonicalCat(c.name) === canonicalCat(category));
     if (!fresh) {
-      setErr('Catégorie introuvable — elle a peut-être déjà été supprimée.');
+      setErr(t('categories.error.gone'));
       return;
     }
     // `catObj.drinkCount` is a cached counter on the row and can drift
@@ -571,11 +575,11 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
     let realCount = 0;
     try {
       const db = await waitForDb();
-      if (!db) throw new Error('Base de données indisponible');
+      if (!db) throw new Error(t('categories.error.db'));
       const drinksOfCat = await db.getDrinksByCategory(category);
       realCount = drinksOfCat.length;
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Impossible de lire les boissons.');
+      setErr(errorText(e, 'categories.error.readDrinks'));
       return;
     }
     let reassignTo = null;
@@ -583,22 +587,22 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
       const others = categories.filter(c => canonicalCat(c.name) !== canonicalCat(category));
       const fallback = others.find(c => canonicalCat(c.name) === canonicalCat('Autre')) || others[0];
       if (!fallback) {
-        setErr('Impossible : créez d\'abord une autre catégorie pour y déplacer les boissons.');
+        setErr(t('categories.error.noFallback'));
         return;
       }
       const ok = await Confirm.ask({
-        title: `Supprimer « ${category} » ?`,
-        message: `${realCount} boisson${realCount > 1 ? 's' : ''} sera${realCount > 1 ? 'ont' : ''} déplacée${realCount > 1 ? 's' : ''} dans « ${fallback.name} ». Cette action est irréversible.`,
-        confirmText: 'Supprimer',
+        title: t('categories.delete.title', { name: category }),
+        message: t('categories.delete.move', { count: realCount, target: fallback.name }),
+        confirmText: t('common.delete'),
         danger: true,
       });
       if (!ok) return;
       reassignTo = fallback.name;
     } else {
       const ok = await Confirm.ask({
-        title: `Supprimer « ${category} » ?`,
-        message: 'Cette action est irréversible.',
-        confirmText: 'Supprimer',
+        title: t('categories.delete.title', { name: category }),
+        message: t('categories.delete.message'),
+        confirmText: t('common.delete'),
         danger: true,
       });
       if (!ok) return;
@@ -607,10 +611,10 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
     setBusy(true);
     try {
       await deleteCategory(fresh.id, { reassignTo, name: category });
-      Toast.show(`Catégorie supprimée`);
+      Toast.show(t('categories.deleted'));
       close();
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Erreur lors de la suppression');
+      setErr(errorText(e, 'toast.deleteError'));
     } finally {
       setBusy(false);
       removingRef.current = false;
@@ -660,7 +664,7 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
   };
 
   return (
-    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={isCreate ? 'Nouvelle catégorie' : 'Modifier la catégorie'}>
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t(isCreate ? 'categories.new' : 'categories.editTitle')}>
       <div className="alco-material-sheet alco-material-edge" style={{
         borderRadius: '22px 22px 0 0',
         padding: '8px 20px 28px',
@@ -672,12 +676,12 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
         <SheetGrabber>
           <div style={{
             ...type(22, { family: fontSerif, italic: true }), color: T.ink,
-            marginBottom: 18, textAlign: 'center' }}>{isCreate ? 'Nouvelle catégorie' : 'Modifier la catégorie'}</div>
+            marginBottom: 18, textAlign: 'center' }}>{t(isCreate ? 'categories.new' : 'categories.editTitle')}</div>
         </SheetGrabber>
 
         <div style={{
-          color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10, { caps: true }), textTransform: 'uppercase', marginBottom: 8 }}>Nom</div>
-        <input value={name} onChange={(e) => setName(e.target.value)} aria-label="Nom de la catégorie" style={{
+          color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10, { caps: true }), textTransform: 'uppercase', marginBottom: 8 }}>{t('categories.name')}</div>
+        <input value={name} onChange={(e) => setName(e.target.value)} aria-label={t('categories.nameAria')} style={{
           width: '100%', background: T.surface2, border: `1px solid ${T.rule}`,
           borderRadius: 12, padding: '12px 14px', color: T.ink,
           fontFamily: fontSans, fontSize: remSize(14), letterSpacing: tracking(14), outline: 'none',
@@ -685,14 +689,14 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
         }}/>
 
         <div style={{
-          color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10, { caps: true }), textTransform: 'uppercase', marginBottom: 8 }}>Icône</div>
-        <div role="radiogroup" aria-label="Icône de catégorie"
+          color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10, { caps: true }), textTransform: 'uppercase', marginBottom: 8 }}>{t('categories.icon')}</div>
+        <div role="radiogroup" aria-label={t('categories.iconAria')}
           style={{ display: 'flex', gap: 10, marginBottom: 22, flexWrap: 'wrap' }}>
           {GLYPH_OPTIONS.map(g => {
             const selected = displayedGlyph === g && glyph !== '__reset__';
             return (
               <button key={g} type="button" role="radio" aria-checked={selected}
-                aria-label={`Icône ${g}`}
+                aria-label={t('categories.iconOption', { glyph: g })}
                 onClick={() => setGlyph(g)} style={{
                 width: 52, height: 52, borderRadius: 12,
                 background: selected ? catBg(g) : T.surface2,
@@ -709,9 +713,9 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
           {showResetTile && (
             <button type="button" role="radio"
               aria-checked={glyph === '__reset__'}
-              aria-label="Réinitialiser l'icône"
+              aria-label={t('categories.iconReset')}
               onClick={() => setGlyph('__reset__')}
-              title="Revenir à l'icône par défaut"
+              title={t('categories.iconResetTitle')}
               style={{
                 width: 52, height: 52, borderRadius: 12,
                 background: glyph === '__reset__' ? T.surface3 : T.surface2,
@@ -729,11 +733,11 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
           display: 'flex', alignItems: 'center', justifyContent: 'space-between',
           marginBottom: 8 }}>
           <div style={{
-            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10, { caps: true }), textTransform: 'uppercase' }}>Couleur</div>
+            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10, { caps: true }), textTransform: 'uppercase' }}>{t('categories.color')}</div>
           <button type="button" onClick={() => setHue(null)}
-            aria-label="Couleur automatique"
+            aria-label={t('categories.colorAuto')}
             aria-pressed={isAuto}
-            title="Revenir à la couleur par défaut"
+            title={t('categories.colorAutoTitle')}
             style={{
               ...ghostButton, display: 'inline-flex', alignItems: 'center', gap: 5,
               padding: '3px 9px', borderRadius: 99, cursor: 'pointer',
@@ -741,7 +745,7 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
               background: isAuto ? T.accentSoft : 'transparent',
               color: isAuto ? T.accent : T.muted,
               fontSize: remSize(10), letterSpacing: tracking(10, { caps: true }), textTransform: 'uppercase' }}>
-            <SvgIcon icon={Ic.refresh} size={11} /> Auto
+            <SvgIcon icon={Ic.refresh} size={11} /> {t('categories.auto')}
           </button>
         </div>
         <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 22 }}>
@@ -758,11 +762,11 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
               ref={trackRef}
               role="slider"
               tabIndex={0}
-              aria-label="Teinte de la catégorie"
+              aria-label={t('categories.hueAria')}
               aria-valuemin={0}
               aria-valuemax={359}
               aria-valuenow={effHue}
-              aria-valuetext={isAuto ? `Auto (${effHue})` : String(effHue)}
+              aria-valuetext={isAuto ? t('categories.hueAutoValue', { hue: effHue }) : String(effHue)}
               onKeyDown={onTrackKey}
               onPointerDown={(e) => {
                 if (e.currentTarget.setPointerCapture) {
@@ -791,7 +795,7 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
               }} />
             </div>
             <div style={{
-              color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginTop: 6, fontFamily: fontNum }}>{isAuto ? `Auto · teinte ${effHue}°` : `Teinte ${effHue}°`}</div>
+              color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginTop: 6, fontFamily: fontNum }}>{t(isAuto ? 'categories.hueAuto' : 'categories.hue', { hue: effHue })}</div>
           </div>
         </div>
 
@@ -808,7 +812,7 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
           background: T.accent, color: T.accentInk,
           fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 600, cursor: busy ? 'wait' : 'pointer',
           opacity: busy ? 0.5 : 1, border: 'none', fontFamily: 'inherit',
-          boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}` }}>{busy ? (isCreate ? 'Création…' : 'Enregistrement…') : (isCreate ? 'Créer la catégorie' : 'Enregistrer')}</button>
+          boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}` }}>{busy ? t(isCreate ? 'categories.creating' : 'categories.saving') : t(isCreate ? 'categories.create' : 'common.save')}</button>
 
         {!isCreate && (
           <button type="button" onClick={busy ? undefined : remove} disabled={busy} style={{
@@ -822,7 +826,7 @@ function EditCategorySheet({ category, onClose, mode = 'edit', onRenamed }) {
             alignItems: 'center', justifyContent: 'center', gap: 6,
             fontFamily: 'inherit' }}>
             <SvgIcon icon={Ic.trash} size={13} />
-            Supprimer la catégorie
+            {t('categories.delete')}
           </button>
         )}
       </div>
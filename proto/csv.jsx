@@ -0,0 +1,243 @@
+// csv.jsx — Export / import CSV du journal de boissons.
+//
+// Une ligne par boisson, pensé pour un tableur FR : séparateur `;` et
+// virgule décimale (Excel / LibreOffice en locale française l'ouvrent tels
+// quels). Les chiffres dérivés (cL, grammes d'alcool, verres standard, lieu)
+// passent par les MÊMES helpers que l'onglet Stats (`toCl`,
+// `drinkAlcoholGrams`, `toStdDrinks`, `drinkPlaceLabel`) : le tableur et
+// l'app affichent la même chose.
+//
+// L'import est en deux temps : `parseCsv` + `guessCsvMapping` proposent une
+// correspondance colonnes → champs que l'utilisateur peut corriger, puis
+// `csvRowsToDrinks` valide SANS rien écrire (rapport ligne par ligne). Seules
+// les lignes valides sont ensuite fusionnées (dbManager.importData, mode
+// 'merge') : réimporter le même fichier ne duplique rien.
+
+// Champs du journal, dans l'ordre des colonnes exportées. `aliases` : en-têtes
+// reconnus à l'import (comparés sans accents ni casse). `derived` : colonne
+// informative à l'export, ignorée à l'import quand le champ source existe.
+const CSV_FIELDS = [
+  { key: 'date',     header: 'date',       aliases: ['date', 'jour', 'day'] },
+  { key: 'time',     header: 'heure',      aliases: ['heure', 'time', 'hour'] },
+  { key: 'name',     header: 'nom',        aliases: ['nom', 'name', 'boisson', 'drink'] },
+  { key: 'category', header: 'catégorie',  aliases: ['categorie', 'category', 'type'] },
+  { key: 'quantity', header: 'quantité',   aliases: ['quantite', 'quantity', 'qty', 'qte'] },
+  { key: 'unit',     header: 'unité',      aliases: ['unite', 'unit'] },
+  { key: 'cl',       header: 'cL',         aliases: ['cl', 'volume (cl)', 'volume'], derived: true },
+  { key: 'abv',      header: 'degré (%)',  aliases: ['degre (%)', 'degre', 'abv', 'alcool (%)', '% vol', 'alcoholcontent'] },
+  { key: 'grams',    header: 'alcool (g)', aliases: ['alcool (g)', 'grammes', 'grams'], derived: true },
+  { key: 'std',      header: 'verres std', aliases: ['verres std', 'verres standard', 'unites', 'standard drinks'], derived: true },
+  { key: 'price',    header: 'prix (€)',   aliases: ['prix (€)', 'prix', 'price'] },
+  { key: 'rating',   header: 'note',       aliases: ['note', 'rating'] },
+  { key: 'place',    header: 'lieu',       aliases: ['lieu', 'place', 'location'] },
+];
+
+const CSV_DELIMITER = ';';
+
+function csvHeaderKey(s) {
+  return String(s || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Nombre → texte tableur FR : arrondi à `digits`, sans zéros inutiles,
+// virgule décimale. null / NaN → cellule vide.
+function csvNumber(n, digits = 2) {
+  if (n == null || n === '' || !Number.isFinite(Number(n))) return '';
+  const f = 10 ** digits;
+  return String(Math.round(Number(n) * f) / f).replace('.', ',');
+}
+
+function csvCell(v) {
+  const s = v == null ? '' : String(v);
+  return /[";\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// `ratings` : map clé canonique (`ratingKey`) → note, comme RatingsContext.
+// `sd` : verre standard de la colonne « verres std », dont l'en-tête porte
+// la taille (« verres std (10 g) »).
+function drinksToCsv(drinks, ratings = {}, sd = getStandardDrink()) {
+  const header = (f) => f.key === 'std' ? `${f.header} (${csvNumber(sd.grams)} g)` : f.header;
+  const lines = [CSV_FIELDS.map(f => csvCell(header(f))).join(CSV_DELIMITER)];
+  const sorted = [...(drinks || [])].sort((a, b) =>
+    `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+  for (const d of sorted) {
+    const rating = ratings[ratingKey(d.name)];
+    const row = {
+      date: d.date, time: d.time, name: d.name, category: d.category,
+      quantity: csvNumber(d.quantity), unit: d.unit,
+      cl: csvNumber(drinkCl(d)),
+      abv: csvNumber(d.alcoholContent, 1),
+      grams: csvNumber(drinkAlcoholGrams(d), 1),
+      std: csvNumber(toStdDrinks(drinkAlcoholGrams(d), sd), 1),
+      price: csvNumber(d.price),
+      rating: rating ? rating : '',
+      place: drinkPlaceLabel(d) || '',
+    };
+    lines.push(CSV_FIELDS.map(f => csvCell(row[f.key])).join(CSV_DELIMITER));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Parseur CSV RFC 4180 (guillemets, `""`, retours à la ligne dans une
+// cellule). Le séparateur est détecté sur la première ligne (`;`, `,` ou
+// tabulation). Renvoie { delimiter, headers, rows } — lignes vides ignorées.
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0] || '';
+  const [best] = [';', ',', '\t']
+    .map(c => [c, firstLine.split(c).length - 1])
+    .sort((a, b) => b[1] - a[1]);
+  const delimiter = best[1] > 0 ? best[0] : CSV_DELIMITER;
+
+  const out = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(cell); cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      out.push(row); row = [];
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || row.length) { row.push(cell); out.push(row); }
+  const rows = out.filter(r => r.some(c => c.trim() !== ''));
+  return { delimiter, headers: (rows[0] || []).map(h => h.trim()), rows: rows.slice(1) };
+}
+
+// Correspondance proposée champ → index de colonne (-1 = non mappé).
+function guessCsvMapping(headers) {
+  const keys = (headers || []).map(csvHeaderKey);
+  const mapping = {};
+  for (const f of CSV_FIELDS) {
+    mapping[f.key] = keys.findIndex(k => f.aliases.includes(k));
+  }
+  return mapping;
+}
+
+// Dates acceptées : AAAA-MM-JJ, JJ/MM/AAAA, JJ/MM/AA, JJ.MM.AAAA, JJ-MM-AAAA.
+function parseCsvDate(s) {
+  const v = String(s || '').trim();
+  let y, m, d;
+  let r = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(v);
+  if (r) { [, y, m, d] = r; }
+  else if ((r = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(v))) {
+    [, d, m, y] = r;
+    if (y.length === 2) y = `20${y}`;
+  } else return null;
+  const dt = new Date(Number(y), Number(m) - 1, Number(d));
+  if (dt.getFullYear() !== Number(y) || dt.getMonth() !== Number(m) - 1 || dt.getDate() !== Number(d)) return null;
+  return localDate(dt);
+}
+
+// Heures acceptées : 21:30, 21h30, 21h, 21:30:15.
+function parseCsvTime(s) {
+  const r = /^(\d{1,2})\s*[:hH]\s*(\d{2})?(?::\d{2})?$/.exec(String(s || '').trim());
+  if (!r) return null;
+  const h = Number(r[1]);
+  const min = Number(r[2] || 0);
+  if (h > 23 || min > 59) return null;
+  return `${String(h).padStart(2, '0')}:${String(min).padStart(2, '0')}`;
+}
+
+// Nombre saisi dans un tableur : virgule décimale (`parseDecimal`), espaces
+// de milliers et symboles (€, %) tolérés. Cellule vide → null.
+function parseCsvNumber(s) {
+  const v = String(s == null ? '' : s).replace(/[\s €%]/g, '');
+  if (v === '') return null;
+  const n = parseDecimal(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// Validation à blanc : lignes → boissons prêtes à fusionner, sans rien
+// écrire. `errors` : [{ line, field, reason }] (line = numéro de ligne du
+// fichier, en-tête = 1, lignes vides non comptées) ; une ligne en erreur est
+// exclue de l'import.
+// `ratings` : [{ drinkName, rating }] pour les notes renseignées.
+function csvRowsToDrinks(rows, mapping) {
+  const drinks = [];
+  const ratings = new Map();
+  const errors = [];
+  const cell = (row, key) => (mapping[key] >= 0 ? String(row[mapping[key]] == null ? '' : row[mapping[key]]).trim() : '');
+
+  (rows || []).forEach((row, i) => {
+    const line = i + 2;
+    const fail = (field, reason) => errors.push({ line, field, reason });
+    const before = errors.length;
+
+    const name = cell(row, 'name');
+    if (!name) fail('name', t('csv.error.name'));
+    const date = parseCsvDate(cell(row, 'date'));
+    if (!date) fail('date', cell(row, 'date') ? t('csv.error.date', { value: cell(row, 'date') }) : t('csv.error.noDate'));
+    let time = '12:00';
+    if (cell(row, 'time')) {
+      time = parseCsvTime(cell(row, 'time'));
+      if (!time) fail('time', t('csv.error.time', { value: cell(row, 'time') }));
+    }
+
+    // Volume : quantité + unité, sinon la colonne cL seule.
+    let quantity = parseCsvNumber(cell(row, 'quantity'));
+    // Unités reconnues : celles du registre (Réglages → Unités), remises
+    // dans leur graphie canonique.
+    const unitRow = findUnit(cell(row, 'unit'));
+    let unit = unitRow ? unitRow.name : null;
+    if (cell(row, 'unit') && !unit) fail('unit', t('csv.error.unit', { value: cell(row, 'unit') }));
+    if (quantity == null) {
+      quantity = parseCsvNumber(cell(row, 'cl'));
+      unit = 'cL';
+    }
+    if (quantity == null) fail('quantity', t('csv.error.noQuantity'));
+    else if (!(quantity > 0)) fail('quantity', t('csv.error.quantity'));
+
+    const abv = parseCsvNumber(cell(row, 'abv'));
+    if (abv != null && !(abv >= 0 && abv <= 100)) fail('abv', t('csv.error.abv'));
+    const price = parseCsvNumber(cell(row, 'price'));
+    if (price != null && !(price >= 0)) fail('price', t('csv.error.price'));
+    const rating = parseCsvNumber(cell(row, 'rating'));
+    if (rating != null && !(Number.isInteger(rating) && rating >= 0 && rating <= 5)) fail('rating', t('csv.error.rating'));
+
+    if (errors.length > before) return;
+    const place = cell(row, 'place');
+    drinks.push({
+      name,
+      category: canonicalCat(cell(row, 'category')) || 'Autre',
+      quantity, unit: unit || 'cL',
+      quantityInCL: toCl(quantity, unit || 'cL'),
+      alcoholContent: abv == null ? 0 : abv,
+      date, time,
+      price: price == null ? null : price,
+      priceIsCustom: price != null,
+      location: place ? { label: place } : null,
+      barcode: null,
+    });
+    if (rating) ratings.set(ratingKey(name), { drinkName: ratingKey(name), rating });
+  });
+
+  return { drinks, ratings: Array.from(ratings.values()), errors };
+}
+
+// Données au format d'export (cf. `exportEnvelope`, js/database.js), prêtes
+// pour `importData(…, { mode: 'merge' })`. Chaque boisson reçoit un uid neuf :
+// le dédoublonnage se fait alors sur le contenu (nom + date + heure + quantité).
+function csvImportPayload({ drinks, ratings }) {
+  return JSON.stringify(exportEnvelope({
+    categories: [],
+    drinks: drinks.map(d => ({ ...d, uid: genUid() })),
+    drinkRatings: ratings,
+  }, 'csv-import'));
+}
+
+Object.assign(window, {
+  CSV_FIELDS, drinksToCsv, parseCsv, guessCsvMapping, csvRowsToDrinks,
+  csvImportPayload, parseCsvDate, parseCsvTime,
+});
@@ -50,7 +50,7 @@ class AppErrorBoundary extends React.Component {
         letterSpacing: tracking(28),
         marginBottom: 12
       }
-    }, "Une erreur est survenue"), /*#__PURE__*/React.createElement("div", {
+    }, t('app.crash.title')), /*#__PURE__*/React.createElement("div", {
       style: {
         fontSize: remSize(13),
         letterSpacing: tracking(13),
@@ -58,7 +58,7 @@ class AppErrorBoundary extends React.Component {
         marginBottom: 18,
         lineHeight: 1.5
       }
-    }, "L'application a rencontr\xE9 un probl\xE8me. Vos donn\xE9es restent intactes."), /*#__PURE__*/React.createElement("button", {
+    }, t('app.crash.body')), /*#__PURE__*/React.createElement("button", {
       type: "button",
       onClick: () => location.reload(),
       style: {
@@ -73,7 +73,7 @@ class AppErrorBoundary extends React.Component {
         cursor: 'pointer',
         fontFamily: 'inherit'
       }
-    }, "Recharger")));
+    }, t('app.crash.reload'))));
   }
 }
 
@@ -86,6 +86,8 @@ const TOAST_SHADOW = '0 10px 30px rgba(0,0,0,0.3)';
 // IndexedDB round-trip on every dataBus.bump.
 function AppShell() {
   const themeName = useTheme();
+  // Re-rendu du shell au changement de langue (cf. i18n.jsx › applyLocale).
+  useLocale();
   const reducedMotion = useReducedMotion();
   // Sync the <html>/<body> theme hooks only when the theme actually
   // changes — without a dep array this fired on every AppShell render
@@ -163,6 +165,11 @@ function AppShell() {
         if (window.dbManager && typeof window.dbManager.maybeAutoBackup === 'function') {
           window.dbManager.maybeAutoBackup();
         }
+        // Export hors appareil (opt-in) : écriture dans le dossier choisi ou
+        // rappel avec téléchargement, cf. data.jsx › maybeScheduledExport.
+        maybeScheduledExport();
+        // Bilan des périodes d'objectifs terminées depuis le dernier lancement.
+        syncGoalHistory().catch(() => {});
       } catch (e) {}
     };
     const ric = typeof window.requestIdleCallback === 'function' ? window.requestIdleCallback : null;
@@ -173,8 +180,65 @@ function AppShell() {
       if (ric && typeof window.cancelIdleCallback === 'function') window.cancelIdleCallback(handle);else clearTimeout(handle);
     };
   }, []);
+
+  // Scans faits hors ligne : relancés au retour du réseau (`online`, ou
+  // message du service worker après sa Background Sync) et une fois en idle
+  // au lancement ; les fiches retrouvées sont proposées à la revue.
+  const [reviewingLookups, setReviewingLookups] = React.useState(false);
+  React.useEffect(() => {
+    const run = async () => {
+      try {
+        const n = await resolvePendingLookups();
+        if (n) {
+          Toast.show(t('app.lookupsFound', {
+            count: n
+          }), {
+            action: {
+              label: t('app.lookupsReview'),
+              run: () => setReviewingLookups(true)
+            }
+          });
+        }
+      } catch (e) {}
+    };
+    const onMessage = e => {
+      if (e.data && e.data.type === 'LOOKUPS_READY') run();
+    };
+    const sw = navigator.serviceWorker;
+    window.addEventListener('online', run);
+    if (sw) sw.addEventListener('message', onMessage);
+    const handle = setTimeout(run, 5000);
+    return () => {
+      window.removeEventListener('online', run);
+      if (sw) sw.removeEventListener('message', onMessage);
+      clearTimeout(handle);
+    };
+  }, []);
   const [adding, setAdding] = React.useState(false);
+  const [pickingRound, setPickingRound] = React.useState(false);
   const [prefill, setPrefill] = React.useState(null);
+  // Photo d'étiquette partagée depuis une autre app (share target) : ouvre
+  // l'ajout directement sur le scanner. Le paramètre est retiré de l'URL
+  // pour qu'un rechargement ne rejoue pas le partage.
+  const [scanImage, setScanImage] = React.useState(null);
+  React.useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('share-target') !== 'scan') return;
+    params.delete('share-target');
+    const rest = params.toString();
+    try {
+      window.history.replaceState(window.history.state, '', window.location.pathname + (rest ? `?${rest}` : '') + window.location.hash);
+    } catch {}
+    takeSharedImage().then(blob => {
+      if (!blob) {
+        Toast.show(t('app.sharedImageMissing'));
+        return;
+      }
+      setPrefill(null);
+      setScanImage(blob);
+      setAdding(true);
+    });
+  }, []);
   const [settings, setSettings] = React.useState(false);
   const [openFamily, setOpenFamily] = React.useState(null);
   const [openEntry, setOpenEntry] = React.useState(null);
@@ -215,8 +279,8 @@ function AppShell() {
         opts: opts || null,
         leaving: false
       });
-      // Undo toasts stay visible longer so the user has time to react.
-      const ttl = opts && typeof opts.undo === 'function' ? 5000 : 1800;
+      // Undo / action toasts stay visible longer so the user has time to react.
+      const ttl = opts && (typeof opts.undo === 'function' || opts.action) ? 5000 : 1800;
       // Sortie en deux temps : phase `leaving` (animation toastOut) puis
       // démontage — le toast s'efface au lieu de disparaître brutalement.
       window.__aToast = setTimeout(() => {
@@ -263,12 +327,14 @@ function AppShell() {
         date: localDate(n),
         time: localTime(n)
       });
-      Toast.show(`« ${family.name} » ajoutée`);
+      Toast.show(t('toast.drinkAdded', {
+        name: family.name
+      }));
       // Capture de lieu fiable et non bloquante (centralisée dans data.jsx :
       // survit à la fermeture, reverse-geocode borné + retry).
       if (created && created.id != null) attachLocationToDrink(created.id);
     } catch (e) {
-      Toast.show('Erreur lors de l\'ajout');
+      Toast.show(t('toast.addError'));
     }
   }, []);
   const onAddAgain = React.useCallback(f => {
@@ -358,7 +424,8 @@ function AppShell() {
     onClick: () => {
       setPrefill(null);
       setAdding(true);
-    }
+    },
+    onLongPress: () => setPickingRound(true)
   }), /*#__PURE__*/React.createElement(BottomNav, {
     tab: tab,
     onChange: setTab,
@@ -366,9 +433,17 @@ function AppShell() {
   }), /*#__PURE__*/React.createElement(AddDrinkSheet, {
     open: adding,
     prefill: prefill,
+    scanImage: scanImage,
     onClose: () => {
       setAdding(false);
       setPrefill(null);
+      setScanImage(null);
+    }
+  }), pickingRound && /*#__PURE__*/React.createElement(RoundPickerSheet, {
+    onClose: () => setPickingRound(false),
+    onSingle: () => {
+      setPrefill(null);
+      setAdding(true);
     }
   }), /*#__PURE__*/React.createElement(SettingsDrawer, {
     open: settings,
@@ -389,6 +464,8 @@ function AppShell() {
     key: editFamily.id,
     family: editFamily,
     onClose: () => setEditFamily(null)
+  }), reviewingLookups && /*#__PURE__*/React.createElement(PendingLookupsSheet, {
+    onClose: () => setReviewingLookups(false)
   }), openFriend && /*#__PURE__*/React.createElement(FriendStatsView, {
     key: openFriend.userId,
     friend: openFriend,
@@ -431,11 +508,11 @@ function AppShell() {
       textOverflow: 'ellipsis',
       whiteSpace: 'nowrap'
     }
-  }, toast.msg), toast.opts && typeof toast.opts.undo === 'function' && /*#__PURE__*/React.createElement("button", {
+  }, toast.msg), toast.opts && (typeof toast.opts.undo === 'function' || toast.opts.action) && /*#__PURE__*/React.createElement("button", {
     type: "button",
     className: "alco-press",
     onClick: () => {
-      const fn = toast.opts.undo;
+      const fn = toast.opts.undo || toast.opts.action.run;
       clearTimeout(window.__aToast);
       clearTimeout(window.__aToastOut);
       setToast(null);
@@ -462,26 +539,22 @@ function AppShell() {
       cursor: 'pointer',
       flexShrink: 0
     }
-  }, "Annuler"))));
+  }, toast.opts.undo ? t('toast.undo') : toast.opts.action.label))));
 }
 
 // Outer App: hosts the data providers so AppShell's hooks read from
 // a single subscription rather than N parallel ones.
 function App() {
-  return /*#__PURE__*/React.createElement(SettingsProvider, null, /*#__PURE__*/React.createElement(CategoriesProvider, null, /*#__PURE__*/React.createElement(RatingsProvider, null, /*#__PURE__*/React.createElement(DrinksProvider, null, /*#__PURE__*/React.createElement(CategoryIconsProvider, null, /*#__PURE__*/React.createElement(BacProvider, null, /*#__PURE__*/React.createElement(AppShell, null)))))));
+  return /*#__PURE__*/React.createElement(SettingsProvider, null, /*#__PURE__*/React.createElement(CategoriesProvider, null, /*#__PURE__*/React.createElement(RatingsProvider, null, /*#__PURE__*/React.createElement(DrinksProvider, null, /*#__PURE__*/React.createElement(CategoryIconsProvider, null, /*#__PURE__*/React.createElement(BacProvider, null, /*#__PURE__*/React.createElement(BacNotifier, null), /*#__PURE__*/React.createElement(AppShell, null)))))));
 }
 function AppHeader({
   tab,
   onMenu
 }) {
-  const titles = {
-    categories: 'Catégories',
-    history: 'Historique',
-    stats: 'Statistiques',
-    friends: 'Amis'
-  };
-  const today = new Date();
-  const dateStr = `${FR_DAYS_LONG[today.getDay()]} ${today.getDate()} ${FR_MONTHS_LONG[today.getMonth()]}`;
+  const dateStr = fmtDateLong(new Date());
+  // Export automatique activé mais plus vieux que son intervalle : pastille
+  // sur le bouton menu, qui mène au réglage (cf. OffsiteBackupSection).
+  const backupOverdue = offsiteBackupOverdue(useSettings());
   return /*#__PURE__*/React.createElement("header", {
     style: {
       padding: 'calc(env(safe-area-inset-top) + 14px) 18px 14px',
@@ -495,8 +568,10 @@ function AppHeader({
     type: "button",
     className: "alco-press",
     onClick: onMenu,
-    "aria-label": "Ouvrir les param\xE8tres",
+    "aria-label": t(backupOverdue ? 'header.openSettingsOverdue' : 'header.openSettings'),
+    title: backupOverdue ? t('header.backupOverdue') : undefined,
     style: {
+      position: 'relative',
       width: 38,
       height: 38,
       borderRadius: 12,
@@ -513,6 +588,18 @@ function AppHeader({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.menu,
     size: 18
+  }), backupOverdue && /*#__PURE__*/React.createElement("span", {
+    "aria-hidden": "true",
+    style: {
+      position: 'absolute',
+      top: -3,
+      right: -3,
+      width: 10,
+      height: 10,
+      borderRadius: 99,
+      background: T.accent2,
+      border: `2px solid ${T.bg}`
+    }
   })), /*#__PURE__*/React.createElement("div", {
     style: {
       flex: 1,
@@ -526,7 +613,7 @@ function AppHeader({
       lineHeight: 1,
       margin: 0
     }
-  }, titles[tab]), /*#__PURE__*/React.createElement("div", {
+  }, t(`tab.${tab}`)), /*#__PURE__*/React.createElement("div", {
     style: {
       ...TYPE.label,
       color: T.muted,
@@ -646,19 +733,19 @@ function BottomNav({
   const reduced = useReducedMotion();
   const items = [{
     id: 'categories',
-    label: 'Catégories',
+    label: t('nav.categories'),
     icon: Ic.grid
   }, {
     id: 'history',
-    label: 'Historique',
+    label: t('nav.history'),
     icon: Ic.clockArrow
   }, {
     id: 'stats',
-    label: 'Stats',
+    label: t('nav.stats'),
     icon: Ic.bars
   }, {
     id: 'friends',
-    label: 'Amis',
+    label: t('nav.friends'),
     icon: Ic.users
   }];
   const activeIdx = Math.max(0, items.findIndex(it => it.id === tab));
@@ -690,7 +777,7 @@ function BottomNav({
       type: "button",
       onClick: onReorder,
       className: "alco-press",
-      "aria-label": "R\xE9organiser les sections",
+      "aria-label": t('nav.reorderAria'),
       style: {
         ...ghostButton,
         display: 'flex',
@@ -704,9 +791,9 @@ function BottomNav({
     }, /*#__PURE__*/React.createElement(SvgIcon, {
       icon: Ic.grip,
       size: 12
-    }), " R\xE9organiser")), /*#__PURE__*/React.createElement("div", {
+    }), " ", t('nav.reorder'))), /*#__PURE__*/React.createElement("div", {
       role: "tablist",
-      "aria-label": "Navigation principale",
+      "aria-label": t('nav.main'),
       style: {
         display: 'flex',
         justifyContent: 'space-around',
@@ -725,19 +812,34 @@ function BottomNav({
     }))))
   );
 }
+// Appui long → choix d'une tournée (rounds.jsx) ; le click qui suit est
+// avalé pour ne pas ouvrir aussi la feuille d'ajout.
 function Fab({
-  onClick
+  onClick,
+  onLongPress
 }) {
   const reduced = useReducedMotion();
   const press = usePressScale();
+  const long = useLongPress(onLongPress);
+  const both = (a, b) => e => {
+    a && a(e);
+    b && b(e);
+  };
   return /*#__PURE__*/React.createElement("button", _extends({
     type: "button",
-    "aria-label": "Ajouter une boisson",
+    "aria-label": t('fab.add'),
     onClick: e => {
+      if (long.consumeClick()) return;
       haptic('select');
       onClick && onClick(e);
     }
   }, press.handlers, {
+    onPointerDown: both(press.handlers.onPointerDown, long.handlers.onPointerDown),
+    onPointerMove: long.handlers.onPointerMove,
+    onPointerUp: both(press.handlers.onPointerUp, long.handlers.onPointerUp),
+    onPointerCancel: both(press.handlers.onPointerCancel, long.handlers.onPointerCancel),
+    onPointerLeave: both(press.handlers.onPointerLeave, long.handlers.onPointerLeave),
+    onContextMenu: long.handlers.onContextMenu,
     style: {
       position: 'absolute',
       bottom: 'calc(78px + env(safe-area-inset-bottom))',
@@ -778,6 +880,34 @@ async function mountAlcoNote() {
       applyTheme(stored);
     }
   } catch {}
+  // Même chose pour la langue (réglage `language`, cf. i18n.jsx).
+  try {
+    const lang = await window.dbManager.getSetting('language');
+    if (lang && LOCALES[lang] && !localStorage.getItem('alconote.lang')) setLocale(lang);
+  } catch {}
+  // Et pour le profil de conduite / l'unité BAC (setting `bacDisplay`, cf. shared.jsx).
+  try {
+    const bacDisplay = await window.dbManager.getSetting('bacDisplay');
+    if (bacDisplay && !localStorage.getItem('alconote.bacDisplay')) applyBacDisplay(normalizeBacDisplay(bacDisplay), {
+      persist: false
+    });
+  } catch {}
+  // Et pour le verre standard (setting `standardDrink`, cf. shared.jsx).
+  try {
+    const std = await window.dbManager.getSetting('standardDrink');
+    if (std && !localStorage.getItem('alconote.standardDrink')) applyStandardDrink(std, {
+      persist: false
+    });
+  } catch {}
+  // Le registre d'unités vit en base (table `units`) : la copie locale ne
+  // sert qu'au premier rendu, on la remplace toujours.
+  try {
+    applyUnits(await window.dbManager.ensureUnits());
+  } catch {}
+  // Fichier de produits de l'appareil : fournisseur de recherche au scan.
+  try {
+    await loadProductFile();
+  } catch {}
 
   // Normalise les noms de catégorie hérités (NFC + trim, fusion des
   // doublons — snapshot + transaction côté DB) AVANT la migration d'icônes
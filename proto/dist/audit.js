@@ -0,0 +1,625 @@
+/* AUTO-GENERATED from proto/audit.jsx — do not edit by hand. */
+// audit.jsx — Auto-évaluation AUDIT-C / AUDIT (questionnaire de l'OMS) :
+// sheet de saisie pré-rempli depuis l'historique, et section Stats
+// « Auto-évaluation » (dernier score, zone de risque, évolution).
+//
+// AUDIT-C = les 3 premières questions (0–12) ; l'AUDIT complet en compte 10
+// (0–40). Q1 à Q8 valent 0 à 4 points, Q9 et Q10 valent 0, 2 ou 4.
+// Pré-remplissage (Q1–Q3 seulement, à confirmer) à partir des sessions de
+// computeBACSessions (stats.jsx, résolu à l'appel) sur les 12 derniers mois :
+//   Q1 fréquence      : sessions par mois / par semaine
+//   Q2 quantité       : médiane des verres standard par session
+//   Q3 ≥ 6 verres std : fréquence des sessions à 6 verres standard ou plus
+//
+// Table `assessments` (schéma v8) : { ts, kind: 'auditc'|'audit',
+// answers: [points par question], score, auditC }. `auditC` (sous-score des
+// Q1–Q3) est présent sur les deux types : c'est lui que trace la courbe.
+
+const AUDIT_WINDOW_DAYS = 365;
+const AUDIT_MIN_WINDOW_DAYS = 31; // au moins un mois : pas d'extrapolation d'une seule soirée
+const AUDIT_BINGE_STD = 6;
+
+// Énoncé : `audit.q.<id>` ; `options` : clé du tableau des réponses dans
+// les catalogues i18n (mêmes index que `points`).
+const AUDIT_QUESTIONS = [{
+  id: 'freq',
+  options: 'audit.opt.freqQ1',
+  points: [0, 1, 2, 3, 4]
+}, {
+  id: 'qty',
+  options: 'audit.opt.qty',
+  points: [0, 1, 2, 3, 4]
+}, {
+  id: 'binge',
+  options: 'audit.opt.freq',
+  points: [0, 1, 2, 3, 4]
+}, {
+  id: 'control',
+  options: 'audit.opt.freq',
+  points: [0, 1, 2, 3, 4]
+}, {
+  id: 'duty',
+  options: 'audit.opt.freq',
+  points: [0, 1, 2, 3, 4]
+}, {
+  id: 'morning',
+  options: 'audit.opt.freq',
+  points: [0, 1, 2, 3, 4]
+}, {
+  id: 'guilt',
+  options: 'audit.opt.freq',
+  points: [0, 1, 2, 3, 4]
+}, {
+  id: 'memory',
+  options: 'audit.opt.freq',
+  points: [0, 1, 2, 3, 4]
+}, {
+  id: 'injury',
+  options: 'audit.opt.yesNo',
+  points: [0, 2, 4]
+}, {
+  id: 'concern',
+  options: 'audit.opt.yesNo',
+  points: [0, 2, 4]
+}];
+const AUDIT_KINDS = {
+  auditc: {
+    id: 'auditc',
+    label: 'AUDIT-C',
+    count: 3,
+    max: 12
+  },
+  audit: {
+    id: 'audit',
+    label: 'AUDIT',
+    count: 10,
+    max: 40
+  }
+};
+
+// Seuils AUDIT-C : ≥ 4 chez l'homme, ≥ 3 chez la femme ; ≥ 8 : risque élevé.
+// AUDIT complet : les quatre zones de l'OMS (0–7, 8–15, 16–19, 20–40).
+// Libellé : `audit.band.<id>`.
+const AUDIT_BANDS = {
+  low: {
+    id: 'low',
+    color: () => T.good
+  },
+  risk: {
+    id: 'risk',
+    color: () => T.accent
+  },
+  high: {
+    id: 'high',
+    color: () => T.accent2
+  },
+  harmful: {
+    id: 'harmful',
+    color: () => T.accent2
+  },
+  dependent: {
+    id: 'dependent',
+    color: () => T.accent2
+  }
+};
+function auditCBand(score, gender) {
+  if (score >= 8) return AUDIT_BANDS.high;
+  return score >= (gender === 'female' ? 3 : 4) ? AUDIT_BANDS.risk : AUDIT_BANDS.low;
+}
+function auditBand(score) {
+  if (score >= 20) return AUDIT_BANDS.dependent;
+  if (score >= 16) return AUDIT_BANDS.harmful;
+  return score >= 8 ? AUDIT_BANDS.risk : AUDIT_BANDS.low;
+}
+function assessmentBand(a, gender) {
+  return a.kind === 'audit' ? auditBand(a.score) : auditCBand(a.score, gender);
+}
+
+// Points par question → ligne prête pour la table. Lève une Error si le
+// questionnaire est incomplet ou une réponse hors barème.
+function scoreAssessment(kind, answers) {
+  const k = AUDIT_KINDS[kind];
+  if (!k || !Array.isArray(answers) || answers.length !== k.count) throw new Error(t('audit.incomplete'));
+  answers.forEach((p, i) => {
+    if (!AUDIT_QUESTIONS[i].points.includes(p)) throw new Error(t('audit.incomplete'));
+  });
+  const sum = list => list.reduce((s, p) => s + p, 0);
+  return {
+    kind,
+    answers: answers.slice(),
+    score: sum(answers),
+    auditC: sum(answers.slice(0, 3))
+  };
+}
+
+// Index d'option (Q1–Q3) déduits de l'historique ; null sans aucun verre.
+// `basis` résume les chiffres utilisés, affichés sous les questions.
+function auditPrefill(drinks, {
+  model,
+  now = Date.now(),
+  sd = getStandardDrink()
+} = {}) {
+  const since = now - AUDIT_WINDOW_DAYS * 86400000;
+  const recent = (drinks || []).filter(d => {
+    const at = new Date(`${d.date}T${d.time || '00:00'}`).getTime();
+    return at >= since && at <= now;
+  });
+  if (!recent.length) return null;
+  const sessions = computeBACSessions(recent, model);
+  if (!sessions.length) return null;
+  const first = Math.min(...sessions.map(s => s.startTs));
+  const days = Math.max(AUDIT_MIN_WINDOW_DAYS, Math.min(AUDIT_WINDOW_DAYS, (now - first) / 86400000));
+  const months = days / 30.44;
+  const weeks = days / 7;
+  const perMonth = sessions.length / months;
+  const freq = perMonth <= 1 ? 1 : perMonth <= 4 ? 2 : sessions.length / weeks < 4 ? 3 : 4;
+  const std = sessions.map(s => toStdDrinks(s.grams, sd)).sort((a, b) => a - b);
+  const mid = Math.floor(std.length / 2);
+  const median = std.length % 2 ? std[mid] : (std[mid - 1] + std[mid]) / 2;
+  const m = Math.round(median);
+  const qty = m <= 2 ? 0 : m <= 4 ? 1 : m <= 6 ? 2 : m <= 9 ? 3 : 4;
+  const binges = std.filter(n => n >= AUDIT_BINGE_STD - 0.05).length;
+  const bingePerMonth = binges / months;
+  const binge = !binges ? 0 : bingePerMonth < 1 ? 1 : bingePerMonth < 3 ? 2 : binges / weeks < 4 ? 3 : 4;
+  return {
+    answers: [freq, qty, binge],
+    basis: {
+      sessions: sessions.length,
+      days: Math.round(days),
+      median,
+      binges
+    }
+  };
+}
+const _auditSessions = n => t('audit.sessions', {
+  count: n
+});
+const _auditBandLabel = band => t(`audit.band.${band.id}`);
+function _auditBasisLine(i, basis) {
+  if (i === 0) return t('audit.basis.freq', {
+    sessions: _auditSessions(basis.sessions),
+    days: basis.days
+  });
+  if (i === 1) {
+    return t('audit.basis.qty', {
+      median: fmtNumber(Math.round(basis.median * 10) / 10, 1),
+      unit: stdDrinkUnitLabel(basis.median, {
+        long: true
+      })
+    });
+  }
+  return t('audit.basis.binge', {
+    sessions: _auditSessions(basis.binges),
+    n: AUDIT_BINGE_STD
+  });
+}
+
+// ── UI ────────────────────────────────────────────────────────────
+function AuditSheet({
+  kind,
+  drinks,
+  model,
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const k = AUDIT_KINDS[kind];
+  const prefill = React.useMemo(() => auditPrefill(drinks, {
+    model
+  }), [drinks, model]);
+  const [picks, setPicks] = React.useState(() => {
+    const init = new Array(k.count).fill(null);
+    if (prefill) prefill.answers.forEach((a, i) => {
+      init[i] = a;
+    });
+    return init;
+  });
+  const [busy, setBusy] = React.useState(false);
+  const complete = picks.every(p => p != null);
+  const points = picks.map((p, i) => p == null ? 0 : AUDIT_QUESTIONS[i].points[p]);
+  const total = points.reduce((s, p) => s + p, 0);
+  const pick = (qi, oi) => setPicks(prev => prev.map((p, i) => i === qi ? oi : p));
+  const save = async () => {
+    if (!complete || busy) return;
+    setBusy(true);
+    try {
+      await addAssessment({
+        kind,
+        answers: points
+      });
+      Toast.show(t('audit.saved'));
+      close();
+    } catch (e) {
+      Toast.show(t('audit.saveError'));
+      setBusy(false);
+    }
+  };
+  return /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: t('audit.sheetTitle', {
+      kind: k.label
+    })
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '92dvh',
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`,
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: 12
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
+      color: T.ink
+    }
+  }, t('audit.sheetTitle', {
+    kind: k.label
+  })), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginTop: 6
+    }
+  }, t('audit.sheetSub', {
+    count: k.count,
+    state: t(prefill ? 'audit.prefilled' : 'audit.toFill')
+  }))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: close,
+    "aria-label": t('common.close'),
+    style: {
+      width: 32,
+      height: 32,
+      borderRadius: 99,
+      background: T.surface2,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink,
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      padding: 0,
+      fontFamily: 'inherit',
+      flexShrink: 0,
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.close,
+    size: 14
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      overflow: 'auto',
+      padding: '14px 22px 16px'
+    }
+  }, AUDIT_QUESTIONS.slice(0, k.count).map((q, qi) => /*#__PURE__*/React.createElement("div", {
+    key: q.id,
+    style: {
+      marginBottom: 18
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    id: `audit-q-${q.id}`,
+    style: {
+      color: T.ink,
+      ...type(13, {
+        weight: 500
+      }),
+      lineHeight: 1.4
+    }
+  }, qi + 1, ". ", t(`audit.q.${q.id}`)), prefill && qi < 3 && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(11),
+      marginTop: 3
+    }
+  }, t('audit.basis', {
+    line: _auditBasisLine(qi, prefill.basis)
+  })), /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-labelledby": `audit-q-${q.id}`,
+    style: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: 6,
+      marginTop: 8
+    }
+  }, t(q.options).map((label, oi) => {
+    const on = picks[qi] === oi;
+    return /*#__PURE__*/React.createElement("button", {
+      key: oi,
+      type: "button",
+      role: "radio",
+      "aria-checked": on,
+      onClick: () => pick(qi, oi),
+      style: {
+        padding: '6px 10px',
+        borderRadius: 99,
+        cursor: 'pointer',
+        fontFamily: 'inherit',
+        textAlign: 'left',
+        ...type(11.5, {
+          weight: on ? 600 : 400
+        }),
+        background: on ? T.ink : T.surface3,
+        color: on ? T.bg : T.ink2,
+        border: `1px solid ${on ? T.ink : T.rule}`
+      }
+    }, label);
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(11),
+      lineHeight: 1.5
+    }
+  }, t('audit.disclaimer', {
+    grams: fmtNumber(getStandardDrink().grams, 2)
+  }))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 8,
+      borderTop: `1px solid ${T.rule}`,
+      padding: '12px 22px calc(14px + env(safe-area-inset-bottom))'
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      color: T.ink2,
+      ...type(12),
+      ...TYPE.num
+    },
+    "aria-live": "polite"
+  }, complete ? t('audit.score', {
+    score: total,
+    max: k.max
+  }) : t('audit.answered', {
+    done: picks.filter(p => p != null).length,
+    count: k.count
+  })), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: close,
+    style: {
+      ...ghostButton,
+      color: T.ink2,
+      ...type(12)
+    }
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: save,
+    disabled: !complete || busy,
+    style: {
+      border: 'none',
+      fontFamily: 'inherit',
+      cursor: 'pointer',
+      background: T.accent,
+      color: T.accentInk,
+      ...type(12, {
+        weight: 600
+      }),
+      padding: '9px 14px',
+      borderRadius: 10,
+      opacity: !complete || busy ? 0.5 : 1
+    }
+  }, t('common.save')))));
+}
+const _auditShortDate = ts => fmtDateMedium(localDate(new Date(ts)));
+
+// Section Stats « Auto-évaluation » : indépendante de la période affichée.
+// Masquée dans la vue d'un ami (les questionnaires restent personnels).
+function AuditSection({
+  allDrinks,
+  unfilteredDrinks,
+  bacModel,
+  gender,
+  readOnly,
+  collapsed,
+  toggleSection
+}) {
+  const list = useAssessments();
+  const [sheet, setSheet] = React.useState(null); // 'auditc' | 'audit' | null
+  if (readOnly) return null;
+  const last = list[list.length - 1];
+  const band = last && assessmentBand(last, gender);
+  const onDelete = async a => {
+    const ok = await Confirm.ask({
+      title: t('audit.delete.title'),
+      message: t('audit.delete.message', {
+        kind: AUDIT_KINDS[a.kind].label,
+        date: _auditShortDate(a.ts),
+        score: a.score
+      }),
+      confirmText: t('common.delete'),
+      danger: true
+    });
+    if (ok) await deleteAssessment(a.id);
+  };
+  const startButton = (kind, label) => /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: () => setSheet(kind),
+    style: {
+      flex: 1,
+      border: `1px solid ${T.rule}`,
+      fontFamily: 'inherit',
+      cursor: 'pointer',
+      background: kind === 'auditc' ? T.accent : T.surface2,
+      color: kind === 'auditc' ? T.accentInk : T.ink,
+      ...type(12, {
+        weight: 600
+      }),
+      padding: '9px 12px',
+      borderRadius: 10
+    }
+  }, label);
+  return /*#__PURE__*/React.createElement(StatSection, {
+    id: "audit",
+    title: t('audit.title'),
+    collapsed: collapsed,
+    toggleSection: toggleSection,
+    sub: last ? t('audit.lastOn', {
+      date: _auditShortDate(last.ts)
+    }) : t('audit.sub')
+  }, last && /*#__PURE__*/React.createElement(Card, {
+    style: {
+      marginBottom: 10
+    },
+    "aria-label": t('audit.lastScore')
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'baseline',
+      gap: 8
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink,
+      ...type(28, {
+        weight: 500
+      }),
+      ...TYPE.num
+    }
+  }, last.score), /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.muted,
+      ...type(12),
+      ...TYPE.num
+    }
+  }, "/ ", AUDIT_KINDS[last.kind].max, " \xB7 ", AUDIT_KINDS[last.kind].label)), /*#__PURE__*/React.createElement("div", {
+    role: "status",
+    style: {
+      color: band.color(),
+      ...type(12, {
+        weight: 600
+      }),
+      marginTop: 4
+    }
+  }, _auditBandLabel(band)), last.kind === 'audit' && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(11),
+      marginTop: 2
+    }
+  }, t('audit.auditCPart', {
+    score: last.auditC,
+    band: _auditBandLabel(auditCBand(last.auditC, gender)).toLowerCase()
+  }))), list.length >= 2 && /*#__PURE__*/React.createElement(Card, {
+    style: {
+      marginBottom: 10
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink,
+      ...type(12.5, {
+        weight: 500
+      }),
+      marginBottom: 10
+    }
+  }, t('audit.chartTitle')), /*#__PURE__*/React.createElement(ChartAutoWidth, {
+    minHeight: 150
+  }, w => /*#__PURE__*/React.createElement(SvgLineChart, {
+    labels: list.map(a => _auditShortDate(a.ts)),
+    series: [{
+      data: list.map(a => a.auditC)
+    }],
+    tooltipUnits: ['/ 12'],
+    ariaLabel: t('audit.chartAria'),
+    width: w,
+    height: 150
+  }))), list.length > 0 && /*#__PURE__*/React.createElement(Card, {
+    style: {
+      marginBottom: 10,
+      padding: 0
+    }
+  }, list.slice().reverse().slice(0, 8).map((a, i, arr) => /*#__PURE__*/React.createElement("div", {
+    key: a.id,
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 10,
+      padding: '10px 14px',
+      borderBottom: i === arr.length - 1 ? 'none' : `1px solid ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink2,
+      ...type(12),
+      ...TYPE.num,
+      minWidth: 52
+    }
+  }, _auditShortDate(a.ts)), /*#__PURE__*/React.createElement("span", {
+    style: {
+      flex: 1,
+      minWidth: 0,
+      color: T.ink,
+      ...type(12)
+    }
+  }, AUDIT_KINDS[a.kind].label, " \xB7 ", a.score, /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: assessmentBand(a, gender).color()
+    }
+  }, " \xB7 ", _auditBandLabel(assessmentBand(a, gender)))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    "aria-label": t('audit.delete.aria'),
+    onClick: () => onDelete(a),
+    style: {
+      ...ghostButton,
+      padding: 4,
+      display: 'flex'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.trash,
+    size: 13,
+    color: T.muted
+  }))))), !list.length && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(12),
+      textAlign: 'center',
+      padding: '4px 0 12px',
+      lineHeight: 1.5
+    }
+  }, t('audit.empty')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 8
+    }
+  }, startButton('auditc', t('audit.startC')), startButton('audit', t('audit.startFull'))), sheet && /*#__PURE__*/React.createElement(AuditSheet, {
+    kind: sheet,
+    drinks: unfilteredDrinks || allDrinks,
+    model: bacModel,
+    onClose: () => setSheet(null)
+  }));
+}
+Object.assign(window, {
+  AUDIT_QUESTIONS,
+  AUDIT_KINDS,
+  AUDIT_BANDS,
+  AUDIT_WINDOW_DAYS,
+  auditCBand,
+  auditBand,
+  assessmentBand,
+  scoreAssessment,
+  auditPrefill,
+  AuditSheet,
+  AuditSection
+});
\ No newline at end of file
@@ -0,0 +1,928 @@
+/* AUTO-GENERATED from proto/catalog.jsx — do not edit by hand. */
+// catalog.jsx — Catalogue local des produits : la fiche que l'utilisateur a
+// enregistrée pour chaque code-barres scanné (Réglages → Catalogue des
+// produits).
+//
+// Table `products` (schéma v12, cf. productFromDrink dans js/database.js) :
+// { barcode, name, brand, category, alcoholContent, quantity, unit, source }.
+// Apprise de chaque boisson enregistrée avec un code-barres, consultée avant
+// tout appel réseau au scan (ProductLookup.lookup). Exportée avec les
+// données ; partagée au groupe sur option (« Partager mon catalogue »,
+// share.jsx). Un fichier de produits JSON propre à l'appareil peut compléter
+// la recherche (ProductFileSection, cf. setProductFile dans data.jsx).
+// Les scans faits hors ligne attendent le réseau puis passent en revue
+// (PendingLookupsSheet, cf. queuePendingLookup dans data.jsx).
+
+// Origine de la fiche → clé du libellé.
+const PRODUCT_SOURCES = {
+  learned: 'catalog.source.learned',
+  manual: 'catalog.source.manual'
+};
+
+// Fiche prête à enregistrer. Lève une Error au message affichable tel quel
+// (déjà traduit).
+function normalizeProduct(p) {
+  const name = String(p && p.name || '').trim();
+  if (!name) throw new Error(t('catalog.error.name'));
+  const num = v => v == null || v === '' ? null : typeof v === 'string' ? parseDecimal(v) : Number(v);
+  const alcoholContent = num(p.alcoholContent);
+  if (alcoholContent != null && !(alcoholContent >= 0 && alcoholContent <= 100)) throw new Error(t('catalog.error.abv'));
+  const quantity = num(p.quantity);
+  if (quantity != null && !(quantity > 0)) throw new Error(t('catalog.error.quantity'));
+  return {
+    name,
+    brand: String(p.brand || '').trim() || null,
+    category: p.category || null,
+    alcoholContent,
+    quantity,
+    unit: quantity != null ? p.unit || 'cL' : null
+  };
+}
+
+// « Brasserie · Bière · 6,5° · 33 cL ».
+function productSummary(p) {
+  return [p.brand, p.category, p.alcoholContent != null ? `${fmtNumber(p.alcoholContent, 1)}°` : null, p.quantity != null ? `${fmtNumber(p.quantity, 2)} ${p.unit || 'cL'}` : null].filter(Boolean).join(' · ');
+}
+
+// Les fournisseurs intégrés portent un libellé français (product-lookup.js) :
+// traduit par identifiant ; les autres (fichier, API) gardent leur nom.
+function _providerLabel(p) {
+  return p.id === 'local' || p.id === 'group' ? t(`catalog.provider.${p.id}`) : p.label;
+}
+function CatalogSheet({
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const products = useProducts();
+  const pending = usePendingLookups();
+  const [query, setQuery] = React.useState('');
+  const [editing, setEditing] = React.useState(null);
+  const [reviewing, setReviewing] = React.useState(false);
+  const pendingCount = pending ? pending.waiting.length + pending.review.length : 0;
+  const list = React.useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const all = products || [];
+    return q ? all.filter(p => [p.name, p.brand, p.barcode].some(v => String(v || '').toLowerCase().includes(q))) : all;
+  }, [products, query]);
+  return /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: t('catalog.title')
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '92dvh',
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`,
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: 12
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
+      color: T.ink
+    }
+  }, t('catalog.title')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginTop: 6
+    }
+  }, t('catalog.sub', {
+    barcodes: products ? t('catalog.barcodes', {
+      count: products.length
+    }) : '…'
+  }))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: close,
+    "aria-label": t('common.close'),
+    style: {
+      width: 32,
+      height: 32,
+      borderRadius: 99,
+      background: T.surface2,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink,
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      padding: 0,
+      fontFamily: 'inherit',
+      flexShrink: 0,
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.close,
+    size: 14
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      overflow: 'auto',
+      padding: '14px 22px calc(18px + env(safe-area-inset-bottom))'
+    }
+  }, pendingCount > 0 && /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: () => setReviewing(true),
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 10,
+      width: '100%',
+      textAlign: 'left',
+      marginBottom: 12,
+      padding: '11px 14px',
+      borderRadius: 14,
+      cursor: 'pointer',
+      background: T.accentSoft,
+      border: `1px solid ${T.rule}`,
+      fontFamily: 'inherit',
+      color: T.ink
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      flex: 1,
+      ...type(12.5, {
+        weight: 500
+      })
+    }
+  }, pending.review.length > 0 ? t('catalog.pendingReview', {
+    count: pending.review.length
+  }) : t('catalog.pendingWaiting', {
+    count: pendingCount
+  })), /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.chevR,
+    size: 14
+  })), /*#__PURE__*/React.createElement(SearchInput, {
+    value: query,
+    onChange: setQuery,
+    placeholder: t('catalog.searchPh')
+  }), products && products.length === 0 && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(12.5),
+      marginTop: 14,
+      lineHeight: 1.5
+    }
+  }, t('catalog.empty')), products && products.length > 0 && list.length === 0 && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(12.5),
+      marginTop: 14
+    }
+  }, t('catalog.noMatch')), list.length > 0 && /*#__PURE__*/React.createElement("div", {
+    role: "list",
+    "aria-label": t('catalog.listAria'),
+    style: {
+      marginTop: 12,
+      background: T.surface,
+      border: `1px solid ${T.rule}`,
+      borderRadius: 14,
+      overflow: 'hidden'
+    }
+  }, list.map((p, i) => /*#__PURE__*/React.createElement("button", {
+    key: p.barcode,
+    type: "button",
+    role: "listitem",
+    className: "alco-press",
+    onClick: () => setEditing(p),
+    "aria-label": t('catalog.editAria', {
+      name: p.name,
+      barcode: p.barcode
+    }),
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 10,
+      width: '100%',
+      textAlign: 'left',
+      padding: '11px 14px',
+      background: 'transparent',
+      border: 'none',
+      cursor: 'pointer',
+      borderBottom: i === list.length - 1 ? 'none' : `1px solid ${T.rule}`,
+      fontFamily: 'inherit',
+      color: T.ink
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    "aria-hidden": "true",
+    style: {
+      width: 22,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink2
+    }
+  }, /*#__PURE__*/React.createElement(CategoryGlyph, {
+    name: p.category || 'Autre',
+    size: 18
+  })), /*#__PURE__*/React.createElement("span", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      display: 'block',
+      ...type(13.5, {
+        weight: 500
+      }),
+      whiteSpace: 'nowrap',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis'
+    }
+  }, p.name), /*#__PURE__*/React.createElement("span", {
+    style: {
+      display: 'block',
+      color: T.muted,
+      ...type(11)
+    }
+  }, productSummary(p) || '—')), /*#__PURE__*/React.createElement("span", {
+    style: {
+      textAlign: 'right',
+      flexShrink: 0
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      display: 'block',
+      color: T.ink2,
+      ...type(11),
+      ...TYPE.num
+    }
+  }, p.barcode), /*#__PURE__*/React.createElement("span", {
+    style: {
+      display: 'block',
+      color: T.muted,
+      ...type(10)
+    }
+  }, PRODUCT_SOURCES[p.source] ? t(PRODUCT_SOURCES[p.source]) : ''))))), /*#__PURE__*/React.createElement(ProductFileSection, null)))), editing && /*#__PURE__*/React.createElement(ProductEditorSheet, {
+    product: editing,
+    onClose: () => setEditing(null)
+  }), reviewing && /*#__PURE__*/React.createElement(PendingLookupsSheet, {
+    onClose: () => setReviewing(false)
+  }));
+}
+
+// Fichier de produits JSON (tableau de fiches avec `barcode`, ou objet
+// indexé par code) + ordre de recherche des fournisseurs au scan.
+function ProductFileSection() {
+  const file = useProductFile();
+  const inputRef = React.useRef(null);
+  const providers = window.productLookup ? window.productLookup.getProviders() : [];
+  const onFile = async ev => {
+    const f = ev.target.files && ev.target.files[0];
+    ev.target.value = '';
+    if (!f) return;
+    try {
+      const count = await setProductFile({
+        name: f.name,
+        data: parseProductFile(await f.text())
+      });
+      Toast.show(t('catalog.file.loaded', {
+        count
+      }));
+    } catch (err) {
+      Toast.show(errorText(err, 'catalog.file.unreadable'));
+    }
+  };
+  const remove = async () => {
+    try {
+      await setProductFile(null);
+      Toast.show(t('catalog.file.removed'));
+    } catch {
+      Toast.show(t('catalog.deleteError'));
+    }
+  };
+  return /*#__PURE__*/React.createElement("div", {
+    style: {
+      marginTop: 22
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginBottom: 8
+    }
+  }, t('catalog.file.title')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 10,
+      background: T.surface,
+      border: `1px solid ${T.rule}`,
+      borderRadius: 14,
+      padding: '11px 14px'
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0,
+      color: file ? T.ink : T.muted,
+      ...type(12.5)
+    }
+  }, file ? `${file.name} · ${t('catalog.barcodes', {
+    count: file.count
+  })}` : t('catalog.file.none')), file && /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: remove,
+    style: {
+      ...ghostButton,
+      color: T.accent2,
+      ...type(12)
+    }
+  }, t('catalog.file.remove')), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: () => inputRef.current && inputRef.current.click(),
+    style: {
+      ...ghostButton,
+      color: T.ink,
+      ...type(12, {
+        weight: 600
+      })
+    }
+  }, t(file ? 'catalog.file.replace' : 'catalog.file.load'))), /*#__PURE__*/React.createElement("input", {
+    ref: inputRef,
+    type: "file",
+    accept: ".json,application/json",
+    "aria-label": t('catalog.file.title'),
+    style: {
+      display: 'none'
+    },
+    onChange: onFile
+  }), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(11),
+      marginTop: 8,
+      lineHeight: 1.5
+    }
+  }, t('catalog.file.order', {
+    providers: providers.map(_providerLabel).join(' → ')
+  })));
+}
+const PENDING_FIELD_LABELS = {
+  name: 'catalog.field.name',
+  category: 'catalog.field.category',
+  alcoholContent: 'catalog.field.abv'
+};
+function fmtPendingValue(field, v) {
+  if (field === 'alcoholContent') return v != null ? `${fmtNumber(v, 1)} %` : '—';
+  return v || '—';
+}
+
+// Revue des fiches retrouvées pour les scans faits hors ligne : par code,
+// les familles concernées et chaque champ corrigé, décochable. « Appliquer »
+// passe par updateFamily (journalisé, annulable).
+function PendingLookupsSheet({
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const pending = usePendingLookups();
+  // Champs décochés : `${barcode}|${index de famille}|${champ}`.
+  const [off, setOff] = React.useState(() => new Set());
+  const [busy, setBusy] = React.useState(false);
+  const labelOf = id => {
+    const p = window.productLookup && window.productLookup.getProviders().find(x => x.id === id);
+    return p ? _providerLabel(p) : id;
+  };
+  const toggle = key => setOff(prev => {
+    const next = new Set(prev);
+    if (next.has(key)) next.delete(key);else next.add(key);
+    return next;
+  });
+  const apply = async item => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      const changes = item.changes.map((c, i) => ({
+        family: c.family,
+        updates: Object.fromEntries(Object.entries(c.updates).filter(([f]) => !off.has(`${item.barcode}|${i}|${f}`)))
+      }));
+      await applyPendingLookup(item.barcode, changes);
+      Toast.show(t('catalog.pending.applied'));
+    } catch (err) {
+      Toast.show(errorText(err, 'catalog.pending.applyError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const dismiss = async item => {
+    try {
+      await dismissPendingLookup(item.barcode);
+    } catch {
+      Toast.show(t('catalog.deleteError'));
+    }
+  };
+  const retry = async () => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      const n = await resolvePendingLookups();
+      Toast.show(n ? t('catalog.pending.found', {
+        count: n
+      }) : t('catalog.pending.notFound'));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const review = pending ? pending.review : [];
+  const waiting = pending ? pending.waiting : [];
+  return /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: t('catalog.pending.title')
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '92dvh',
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`,
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: 12
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
+      color: T.ink
+    }
+  }, t('catalog.pending.title')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginTop: 6
+    }
+  }, t('catalog.pending.sub'))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: close,
+    "aria-label": t('common.close'),
+    style: {
+      width: 32,
+      height: 32,
+      borderRadius: 99,
+      background: T.surface2,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink,
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      padding: 0,
+      fontFamily: 'inherit',
+      flexShrink: 0,
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.close,
+    size: 14
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      overflow: 'auto',
+      padding: '14px 22px calc(18px + env(safe-area-inset-bottom))'
+    }
+  }, pending && review.length === 0 && waiting.length === 0 && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(12.5)
+    }
+  }, t('catalog.pending.empty')), review.map(item => /*#__PURE__*/React.createElement("div", {
+    key: item.barcode,
+    role: "group",
+    "aria-label": t('catalog.code', {
+      barcode: item.barcode
+    }),
+    style: {
+      marginBottom: 14,
+      background: T.surface,
+      border: `1px solid ${T.rule}`,
+      borderRadius: 14,
+      padding: '12px 14px'
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink,
+      ...type(13.5, {
+        weight: 500
+      })
+    }
+  }, item.proposal.name), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(11),
+      ...TYPE.num,
+      marginTop: 2
+    }
+  }, t('catalog.code', {
+    barcode: item.barcode
+  }), " \xB7 ", labelOf(item.proposal.source)), item.changes.map((c, i) => /*#__PURE__*/React.createElement("div", {
+    key: i,
+    style: {
+      marginTop: 10
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink2,
+      ...type(11.5)
+    }
+  }, t('catalog.pending.family', {
+    count: c.count,
+    name: c.family.name
+  })), Object.entries(c.updates).map(([field, value]) => {
+    const key = `${item.barcode}|${i}|${field}`;
+    const on = !off.has(key);
+    const before = field === 'alcoholContent' ? c.family.alcohol : c.family[field];
+    return /*#__PURE__*/React.createElement("button", {
+      key: field,
+      type: "button",
+      role: "checkbox",
+      "aria-checked": on,
+      onClick: () => toggle(key),
+      "aria-label": t('catalog.pending.change', {
+        field: t(PENDING_FIELD_LABELS[field]),
+        before: fmtPendingValue(field, before),
+        after: fmtPendingValue(field, value)
+      }),
+      style: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: 8,
+        width: '100%',
+        textAlign: 'left',
+        marginTop: 6,
+        padding: '7px 10px',
+        borderRadius: 10,
+        cursor: 'pointer',
+        background: on ? T.accentSoft : 'transparent',
+        border: `1px solid ${T.rule}`,
+        fontFamily: 'inherit',
+        color: on ? T.ink : T.muted,
+        ...type(12)
+      }
+    }, /*#__PURE__*/React.createElement("span", {
+      "aria-hidden": "true",
+      style: {
+        width: 14,
+        display: 'grid',
+        placeItems: 'center'
+      }
+    }, on ? /*#__PURE__*/React.createElement(SvgIcon, {
+      icon: Ic.check,
+      size: 12
+    }) : null), /*#__PURE__*/React.createElement("span", {
+      style: {
+        flex: 1,
+        minWidth: 0
+      }
+    }, t('catalog.pending.field', {
+      field: t(PENDING_FIELD_LABELS[field])
+    }), " ", /*#__PURE__*/React.createElement("span", {
+      style: {
+        textDecoration: 'line-through'
+      }
+    }, fmtPendingValue(field, before)), " \u2192 ", fmtPendingValue(field, value)));
+  }))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 8,
+      marginTop: 12
+    }
+  }, /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: () => dismiss(item),
+    style: {
+      ...ghostButton,
+      color: T.ink2,
+      ...type(12)
+    }
+  }, t('catalog.pending.dismiss')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1
+    }
+  }), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: () => apply(item),
+    disabled: busy,
+    style: {
+      border: 'none',
+      fontFamily: 'inherit',
+      cursor: busy ? 'default' : 'pointer',
+      background: T.accent,
+      color: T.accentInk,
+      ...type(12, {
+        weight: 600
+      }),
+      padding: '8px 13px',
+      borderRadius: 10,
+      opacity: busy ? 0.5 : 1
+    }
+  }, t('catalog.pending.apply'))))), waiting.length > 0 && /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 10,
+      color: T.muted,
+      ...type(12)
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      flex: 1,
+      minWidth: 0,
+      ...TYPE.num
+    }
+  }, t('catalog.pending.waiting', {
+    barcodes: waiting.map(p => p.barcode).join(', ')
+  })), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: retry,
+    disabled: busy,
+    style: {
+      ...ghostButton,
+      color: T.ink,
+      ...type(12, {
+        weight: 600
+      })
+    }
+  }, t('catalog.pending.retry'))))));
+}
+function ProductEditorSheet({
+  product,
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const {
+    categories
+  } = useCategories();
+  const [name, setName] = React.useState(product.name || '');
+  const [brand, setBrand] = React.useState(product.brand || '');
+  const [cat, setCat] = React.useState(product.category || '');
+  const [alc, setAlc] = React.useState(product.alcoholContent != null ? String(product.alcoholContent).replace('.', ',') : '');
+  const [qty, setQty] = React.useState(product.quantity != null ? String(product.quantity).replace('.', ',') : '');
+  const [unit, setUnit] = React.useState(product.unit || 'cL');
+  const [busy, setBusy] = React.useState(false);
+  const save = async () => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      await saveProduct(product.barcode, {
+        name,
+        brand,
+        category: cat || null,
+        alcoholContent: alc,
+        quantity: qty,
+        unit
+      });
+      Toast.show(t('catalog.saved'));
+      close();
+    } catch (err) {
+      Toast.show(errorText(err, 'catalog.saveError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const remove = async () => {
+    const ok = await Confirm.ask({
+      title: t('catalog.forget.title', {
+        name: product.name
+      }),
+      message: t('catalog.forget.message'),
+      confirmText: t('catalog.forget'),
+      danger: true
+    });
+    if (!ok) return;
+    try {
+      await deleteProduct(product.barcode);
+      Toast.show(t('catalog.forgotten'));
+      close();
+    } catch {
+      Toast.show(t('catalog.deleteError'));
+    }
+  };
+  return /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: t('catalog.editorAria', {
+      barcode: product.barcode
+    })
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '92dvh',
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`,
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: 12
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
+      color: T.ink
+    }
+  }, t('catalog.editorTitle')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      ...TYPE.num,
+      marginTop: 6
+    }
+  }, t('catalog.code', {
+    barcode: product.barcode
+  }))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: close,
+    "aria-label": t('common.close'),
+    style: {
+      width: 32,
+      height: 32,
+      borderRadius: 99,
+      background: T.surface2,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink,
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      padding: 0,
+      fontFamily: 'inherit',
+      flexShrink: 0,
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.close,
+    size: 14
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      overflow: 'auto',
+      padding: '14px 22px 2px'
+    }
+  }, /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('catalog.field.name')
+  }, /*#__PURE__*/React.createElement("input", {
+    value: name,
+    onChange: e => setName(e.target.value),
+    "aria-label": t('catalog.nameAria'),
+    autoComplete: "off",
+    style: inputBaseStyle()
+  })), /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('catalog.brand')
+  }, /*#__PURE__*/React.createElement("input", {
+    value: brand,
+    onChange: e => setBrand(e.target.value),
+    "aria-label": t('catalog.brandAria'),
+    placeholder: "\u2014",
+    autoComplete: "off",
+    style: inputBaseStyle()
+  })), /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('catalog.field.category')
+  }, /*#__PURE__*/React.createElement(CategoryChips, {
+    categories: categories,
+    value: cat,
+    onChange: setCat
+  })), /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('catalog.field.abv')
+  }, /*#__PURE__*/React.createElement(NumberField, {
+    value: alc,
+    onChange: setAlc,
+    suffix: "%",
+    ariaLabel: t('catalog.abvAria'),
+    placeholder: "5"
+  })), /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('catalog.serving')
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 8,
+      alignItems: 'center'
+    }
+  }, /*#__PURE__*/React.createElement(NumberField, {
+    value: qty,
+    onChange: setQty,
+    ariaLabel: t('catalog.servingAria'),
+    placeholder: "33",
+    style: {
+      width: 96
+    }
+  }), /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement(UnitToggle, {
+    value: unit,
+    onChange: setUnit
+  }))))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 8,
+      borderTop: `1px solid ${T.rule}`,
+      padding: '12px 22px calc(14px + env(safe-area-inset-bottom))'
+    }
+  }, /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: remove,
+    style: {
+      ...ghostButton,
+      color: T.accent2,
+      ...type(12)
+    }
+  }, t('catalog.forget')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1
+    }
+  }), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: close,
+    style: {
+      ...ghostButton,
+      color: T.ink2,
+      ...type(12)
+    }
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: save,
+    disabled: busy,
+    style: {
+      border: 'none',
+      fontFamily: 'inherit',
+      cursor: busy ? 'default' : 'pointer',
+      background: T.accent,
+      color: T.accentInk,
+      ...type(12, {
+        weight: 600
+      }),
+      padding: '9px 14px',
+      borderRadius: 10,
+      opacity: busy ? 0.5 : 1
+    }
+  }, t('common.save')))));
+}
+Object.assign(window, {
+  PRODUCT_SOURCES,
+  normalizeProduct,
+  productSummary,
+  CatalogSheet,
+  ProductFileSection,
+  PendingLookupsSheet,
+  ProductEditorSheet
+});
\ No newline at end of file
@@ -79,8 +79,10 @@ function CategoriesTab({
   }, /*#__PURE__*/React.createElement(SearchInput, {
     value: query || '',
     onChange: setQuery,
-    placeholder: openCat ? `Rechercher dans ${openCat}…` : 'Rechercher boisson ou catégorie…'
-  })), !openCat ? /*#__PURE__*/React.createElement(CategoryGrid, {
+    placeholder: openCat ? t('categories.searchIn', {
+      category: openCat
+    }) : t('categories.searchPh')
+  })), !openCat && /*#__PURE__*/React.createElement(GoalsBadge, null), !openCat ? /*#__PURE__*/React.createElement(CategoryGrid, {
     cats: cats,
     families: families,
     query: query,
@@ -131,7 +133,7 @@ function CategoryGrid({
       overflow: 'auto',
       padding: '0 18px 120px'
     }
-  }, !q && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(SectionHead, null, "Vos cat\xE9gories"), /*#__PURE__*/React.createElement("div", {
+  }, !q && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(RoundsSection, null), /*#__PURE__*/React.createElement(SectionHead, null, t('categories.yours')), /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'grid',
       gridTemplateColumns: '1fr 1fr',
@@ -153,10 +155,10 @@ function CategoryGrid({
       padding: '40px 0 16px',
       textAlign: 'center'
     }
-  }, "Aucune cat\xE9gorie pour le moment."), /*#__PURE__*/React.createElement("button", {
+  }, t('categories.none')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: onAddCategory,
-    "aria-label": "Cr\xE9er une nouvelle cat\xE9gorie",
+    "aria-label": t('categories.createAria'),
     style: {
       width: '100%',
       marginTop: 12,
@@ -177,7 +179,9 @@ function CategoryGrid({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.plus,
     size: 15
-  }), " Nouvelle cat\xE9gorie")), q && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(SectionHead, null, matchedFams.length, " r\xE9sultat", matchedFams.length > 1 ? 's' : ''), /*#__PURE__*/React.createElement("div", {
+  }), " ", t('categories.new'))), q && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(SectionHead, null, t('categories.results', {
+    count: matchedFams.length
+  })), /*#__PURE__*/React.createElement("div", {
     style: {
       marginTop: 10
     }
@@ -196,7 +200,9 @@ function CategoryGrid({
       padding: '40px 0',
       textAlign: 'center'
     }
-  }, "Aucun r\xE9sultat pour \xAB ", query, " \xBB"))));
+  }, t('categories.noResultFor', {
+    query
+  })))));
 }
 const CategoryCard = React.memo(function CategoryCard({
   cat,
@@ -230,7 +236,15 @@ const CategoryCard = React.memo(function CategoryCard({
   }, /*#__PURE__*/React.createElement("button", _extends({
     type: "button",
     onClick: () => onOpen && onOpen(cat.name),
-    "aria-label": `Ouvrir la catégorie ${cat.name} — ${cat.entries} entrée${cat.entries !== 1 ? 's' : ''}, ${cat.families} type${cat.families !== 1 ? 's' : ''}`
+    "aria-label": t('categories.openAria', {
+      name: cat.name,
+      entries: t('categories.entries', {
+        count: cat.entries
+      }),
+      types: t('categories.types', {
+        count: cat.families
+      })
+    })
   }, press.handlers, {
     style: {
       width: '100%',
@@ -291,14 +305,20 @@ const CategoryCard = React.memo(function CategoryCard({
     style: {
       color
     }
-  }, "\u25CF"), cat.entries, " entr\xE9e", cat.entries !== 1 ? 's' : '', /*#__PURE__*/React.createElement("span", {
+  }, "\u25CF"), t('categories.entries', {
+    count: cat.entries
+  }), /*#__PURE__*/React.createElement("span", {
     style: {
       opacity: 0.4
     }
-  }, "\xB7"), cat.families, " type", cat.families !== 1 ? 's' : ''))), /*#__PURE__*/React.createElement("button", {
+  }, "\xB7"), t('categories.types', {
+    count: cat.families
+  })))), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: () => onEdit && onEdit(cat.name),
-    "aria-label": `Modifier ${cat.name}`,
+    "aria-label": t('categories.editShortAria', {
+      name: cat.name
+    }),
     className: "alco-press",
     style: {
       position: 'absolute',
@@ -405,7 +425,7 @@ function FamilyList({
   }, /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: onBack,
-    "aria-label": "Retour aux cat\xE9gories",
+    "aria-label": t('categories.back'),
     style: {
       ...ghostButton,
       color: T.ink2,
@@ -419,10 +439,12 @@ function FamilyList({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.chevL,
     size: 16
-  }), /*#__PURE__*/React.createElement("span", null, "Cat\xE9gories")), /*#__PURE__*/React.createElement("button", {
+  }), /*#__PURE__*/React.createElement("span", null, t('tab.categories'))), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: onEditCat,
-    "aria-label": `Modifier la catégorie ${category}`,
+    "aria-label": t('categories.editAria', {
+      name: category
+    }),
     style: {
       ...ghostButton,
       display: 'flex',
@@ -440,7 +462,7 @@ function FamilyList({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.edit,
     size: 11
-  }), /*#__PURE__*/React.createElement("span", null, "Modifier"))), /*#__PURE__*/React.createElement("div", {
+  }), /*#__PURE__*/React.createElement("span", null, t('common.edit')))), /*#__PURE__*/React.createElement("div", {
     style: {
       fontFamily: fontSerif,
       fontSize: remSize(36),
@@ -456,7 +478,11 @@ function FamilyList({
       letterSpacing: tracking(12),
       marginBottom: 18
     }
-  }, sortedLen, " variante", sortedLen !== 1 ? 's' : '', " \xB7", ' ', entriesTotal, " entr\xE9es au total"), rows.map(({
+  }, t('categories.variants', {
+    count: sortedLen
+  }), " \xB7", ' ', t('categories.entriesTotal', {
+    count: entriesTotal
+  })), rows.map(({
     f,
     idx,
     total
@@ -477,7 +503,7 @@ function FamilyList({
       padding: '40px 0',
       textAlign: 'center'
     }
-  }, "Aucun r\xE9sultat"));
+  }, t('categories.noResult')));
 }
 const FamilyRow = React.memo(function FamilyRow({
   family: f,
@@ -497,7 +523,9 @@ const FamilyRow = React.memo(function FamilyRow({
   const topMargin = isFirstOfGroup ? 8 : 0;
   const reduced = useReducedMotion();
   const press = usePressScale();
-  return /*#__PURE__*/React.createElement("div", _extends({}, clickable(() => onOpen && onOpen(f), `Voir les détails de ${f.name}`), press.handlers, {
+  return /*#__PURE__*/React.createElement("div", _extends({}, clickable(() => onOpen && onOpen(f), t('categories.familyAria', {
+    name: f.name
+  })), press.handlers, {
     style: {
       display: 'flex',
       alignItems: 'center',
@@ -570,7 +598,9 @@ const FamilyRow = React.memo(function FamilyRow({
       opacity: 0.4
     }
   }, "\xB7"), /*#__PURE__*/React.createElement("span", null, f.alcohol, "\xB0"))), /*#__PURE__*/React.createElement("div", {
-    title: `${totalEntries} entrée${totalEntries > 1 ? 's' : ''}`,
+    title: t('categories.entries', {
+      count: totalEntries
+    }),
     style: {
       fontFamily: fontNum,
       fontSize: remSize(14),
@@ -584,7 +614,12 @@ const FamilyRow = React.memo(function FamilyRow({
     }
   }, "\xD7", totalEntries), /*#__PURE__*/React.createElement(QuickAddButton, {
     onAdd: () => onDirectAdd && onDirectAdd(f),
-    label: `Ajouter ${f.name} (${f.quantity} ${f.unit}, ${f.alcohol}°) à nouveau`
+    label: t('categories.addAgain', {
+      name: f.name,
+      quantity: f.quantity,
+      unit: f.unit,
+      abv: f.alcohol
+    })
   }));
 });
 function EditCategorySheet({
@@ -675,7 +710,7 @@ function EditCategorySheet({
     setErr('');
     const trimmed = (name || '').trim();
     if (!trimmed) {
-      setErr('Le nom ne peut pas être vide');
+      setErr(t('categories.error.emptyName'));
       return;
     }
 
@@ -683,7 +718,7 @@ function EditCategorySheet({
     if (isCreate) {
       const dup = categories.some(c => canonicalCat(c.name).toLowerCase() === canonicalCat(trimmed).toLowerCase());
       if (dup) {
-        setErr('Une catégorie avec ce nom existe déjà');
+        setErr(t('categories.error.duplicate'));
         return;
       }
       savingRef.current = true;
@@ -696,10 +731,12 @@ function EditCategorySheet({
         if (row && row.id != null && userTouchedColorRef.current && hue != null) {
           await setCategoryColor(row.id, hue);
         }
-        Toast.show(`Catégorie « ${trimmed} » créée`);
+        Toast.show(t('categories.created', {
+          name: trimmed
+        }));
         onClose && onClose();
       } catch (e) {
-        setErr(e && e.message ? e.message : 'Erreur lors de la création');
+        setErr(errorText(e, 'categories.error.create'));
       } finally {
         setBusy(false);
         savingRef.current = false;
@@ -728,7 +765,7 @@ function EditCategorySheet({
     if (nameChanged) {
       const dup = categories.some(c => canonicalCat(c.name).toLowerCase() === canonicalCat(trimmed).toLowerCase() && canonicalCat(c.name) !== canonicalCat(category));
       if (dup) {
-        setErr('Une catégorie avec ce nom existe déjà');
+        setErr(t('categories.error.duplicate'));
         return;
       }
     }
@@ -757,7 +794,7 @@ function EditCategorySheet({
         // touching the icon; the sheet stays open with the error. Sans ligne
         // résolue on THROW : jamais de toast « mise à jour » sur un rename
         // silencieusement sauté (bug historique).
-        if (!row) throw new Error('Catégorie introuvable — ferme et rouvre la fiche');
+        if (!row) throw new Error(t('categories.error.rowMissing'));
         await renameCategory(row.name, trimmed);
         finalName = trimmed;
         // Let the parent re-point its name-keyed state (open drill-down,
@@ -777,7 +814,7 @@ function EditCategorySheet({
         // Skip the write when the user picked Reset on a category that had
         // no override to begin with — nothing to delete.
         if (next || glyph === '__reset__' && hadOverride) {
-          if (!row) throw new Error('Catégorie introuvable pour enregistrer l\'icône');
+          if (!row) throw new Error(t('categories.error.iconRowMissing'));
           await setCategoryIcon(row.id, next);
         }
       }
@@ -785,14 +822,16 @@ function EditCategorySheet({
         // `hue === null` = « Auto » → supprime la surcharge (repli défaut).
         // Skip si Auto sur une catégorie sans surcharge (rien à supprimer).
         if (hue != null || hadColorOverride) {
-          if (!row) throw new Error('Catégorie introuvable pour enregistrer la couleur');
+          if (!row) throw new Error(t('categories.error.colorRowMissing'));
           await setCategoryColor(row.id, hue);
         }
       }
-      Toast.show(`Catégorie « ${finalName} » mise à jour`);
+      Toast.show(t('categories.updated', {
+        name: finalName
+      }));
       close();
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Erreur lors de l\'enregistrement');
+      setErr(errorText(e, 'categories.error.save'));
     } finally {
       setBusy(false);
       savingRef.current = false;
@@ -808,7 +847,7 @@ function EditCategorySheet({
     // of silently no-op'ing.
     const fresh = categories.find(c => canonicalCat(c.name) === canonicalCat(category));
     if (!fresh) {
-      setErr('Catégorie introuvable — elle a peut-être déjà été supprimée.');
+      setErr(t('categories.error.gone'));
       return;
     }
     // `catObj.drinkCount` is a cached counter on the row and can drift
@@ -820,11 +859,11 @@ function EditCategorySheet({
     let realCount = 0;
     try {
       const db = await waitForDb();
-      if (!db) throw new Error('Base de données indisponible');
+      if (!db) throw new Error(t('categories.error.db'));
       const drinksOfCat = await db.getDrinksByCategory(category);
       realCount = drinksOfCat.length;
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Impossible de lire les boissons.');
+      setErr(errorText(e, 'categories.error.readDrinks'));
       return;
     }
     let reassignTo = null;
@@ -832,22 +871,29 @@ function EditCategorySheet({
       const others = categories.filter(c => canonicalCat(c.name) !== canonicalCat(category));
       const fallback = others.find(c => canonicalCat(c.name) === canonicalCat('Autre')) || others[0];
       if (!fallback) {
-        setErr('Impossible : créez d\'abord une autre catégorie pour y déplacer les boissons.');
+        setErr(t('categories.error.noFallback'));
         return;
       }
       const ok = await Confirm.ask({
-        title: `Supprimer « ${category} » ?`,
-        message: `${realCount} boisson${realCount > 1 ? 's' : ''} sera${realCount > 1 ? 'ont' : ''} déplacée${realCount > 1 ? 's' : ''} dans « ${fallback.name} ». Cette action est irréversible.`,
-        confirmText: 'Supprimer',
+        title: t('categories.delete.title', {
+          name: category
+        }),
+        message: t('categories.delete.move', {
+          count: realCount,
+          target: fallback.name
+        }),
+        confirmText: t('common.delete'),
         danger: true
       });
       if (!ok) return;
       reassignTo = fallback.name;
     } else {
       const ok = await Confirm.ask({
-        title: `Supprimer « ${category} » ?`,
-        message: 'Cette action est irréversible.',
-        confirmText: 'Supprimer',
+        title: t('categories.delete.title', {
+          name: category
+        }),
+        message: t('categories.delete.message'),
+        confirmText: t('common.delete'),
         danger: true
       });
       if (!ok) return;
@@ -859,10 +905,10 @@ function EditCategorySheet({
         reassignTo,
         name: category
       });
-      Toast.show(`Catégorie supprimée`);
+      Toast.show(t('categories.deleted'));
       close();
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Erreur lors de la suppression');
+      setErr(errorText(e, 'toast.deleteError'));
     } finally {
       setBusy(false);
       removingRef.current = false;
@@ -907,7 +953,7 @@ function EditCategorySheet({
     onClose: close,
     closing: closing,
     onCancelClose: cancelClose,
-    label: isCreate ? 'Nouvelle catégorie' : 'Modifier la catégorie'
+    label: t(isCreate ? 'categories.new' : 'categories.editTitle')
   }, /*#__PURE__*/React.createElement("div", {
     className: "alco-material-sheet alco-material-edge",
     style: {
@@ -931,7 +977,7 @@ function EditCategorySheet({
       marginBottom: 18,
       textAlign: 'center'
     }
-  }, isCreate ? 'Nouvelle catégorie' : 'Modifier la catégorie')), /*#__PURE__*/React.createElement("div", {
+  }, t(isCreate ? 'categories.new' : 'categories.editTitle'))), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
       fontSize: remSize(10),
@@ -941,10 +987,10 @@ function EditCategorySheet({
       textTransform: 'uppercase',
       marginBottom: 8
     }
-  }, "Nom"), /*#__PURE__*/React.createElement("input", {
+  }, t('categories.name')), /*#__PURE__*/React.createElement("input", {
     value: name,
     onChange: e => setName(e.target.value),
-    "aria-label": "Nom de la cat\xE9gorie",
+    "aria-label": t('categories.nameAria'),
     style: {
       width: '100%',
       background: T.surface2,
@@ -969,9 +1015,9 @@ function EditCategorySheet({
       textTransform: 'uppercase',
       marginBottom: 8
     }
-  }, "Ic\xF4ne"), /*#__PURE__*/React.createElement("div", {
+  }, t('categories.icon')), /*#__PURE__*/React.createElement("div", {
     role: "radiogroup",
-    "aria-label": "Ic\xF4ne de cat\xE9gorie",
+    "aria-label": t('categories.iconAria'),
     style: {
       display: 'flex',
       gap: 10,
@@ -985,7 +1031,9 @@ function EditCategorySheet({
       type: "button",
       role: "radio",
       "aria-checked": selected,
-      "aria-label": `Icône ${g}`,
+      "aria-label": t('categories.iconOption', {
+        glyph: g
+      }),
       onClick: () => setGlyph(g),
       style: {
         width: 52,
@@ -1010,9 +1058,9 @@ function EditCategorySheet({
     type: "button",
     role: "radio",
     "aria-checked": glyph === '__reset__',
-    "aria-label": "R\xE9initialiser l'ic\xF4ne",
+    "aria-label": t('categories.iconReset'),
     onClick: () => setGlyph('__reset__'),
-    title: "Revenir \xE0 l'ic\xF4ne par d\xE9faut",
+    title: t('categories.iconResetTitle'),
     style: {
       width: 52,
       height: 52,
@@ -1046,12 +1094,12 @@ function EditCategorySheet({
       }),
       textTransform: 'uppercase'
     }
-  }, "Couleur"), /*#__PURE__*/React.createElement("button", {
+  }, t('categories.color')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: () => setHue(null),
-    "aria-label": "Couleur automatique",
+    "aria-label": t('categories.colorAuto'),
     "aria-pressed": isAuto,
-    title: "Revenir \xE0 la couleur par d\xE9faut",
+    title: t('categories.colorAutoTitle'),
     style: {
       ...ghostButton,
       display: 'inline-flex',
@@ -1072,7 +1120,7 @@ function EditCategorySheet({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.refresh,
     size: 11
-  }), " Auto")), /*#__PURE__*/React.createElement("div", {
+  }), " ", t('categories.auto'))), /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'flex',
       alignItems: 'center',
@@ -1103,11 +1151,13 @@ function EditCategorySheet({
     ref: trackRef,
     role: "slider",
     tabIndex: 0,
-    "aria-label": "Teinte de la cat\xE9gorie",
+    "aria-label": t('categories.hueAria'),
     "aria-valuemin": 0,
     "aria-valuemax": 359,
     "aria-valuenow": effHue,
-    "aria-valuetext": isAuto ? `Auto (${effHue})` : String(effHue),
+    "aria-valuetext": isAuto ? t('categories.hueAutoValue', {
+      hue: effHue
+    }) : String(effHue),
     onKeyDown: onTrackKey,
     onPointerDown: e => {
       if (e.currentTarget.setPointerCapture) {
@@ -1156,7 +1206,9 @@ function EditCategorySheet({
       marginTop: 6,
       fontFamily: fontNum
     }
-  }, isAuto ? `Auto · teinte ${effHue}°` : `Teinte ${effHue}°`))), err && /*#__PURE__*/React.createElement("div", {
+  }, t(isAuto ? 'categories.hueAuto' : 'categories.hue', {
+    hue: effHue
+  })))), err && /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.accent2,
       background: T.dangerSoftBg,
@@ -1187,7 +1239,7 @@ function EditCategorySheet({
       fontFamily: 'inherit',
       boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}`
     }
-  }, busy ? isCreate ? 'Création…' : 'Enregistrement…' : isCreate ? 'Créer la catégorie' : 'Enregistrer'), !isCreate && /*#__PURE__*/React.createElement("button", {
+  }, busy ? t(isCreate ? 'categories.creating' : 'categories.saving') : t(isCreate ? 'categories.create' : 'common.save')), !isCreate && /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: busy ? undefined : remove,
     disabled: busy,
@@ -1214,7 +1266,7 @@ function EditCategorySheet({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.trash,
     size: 13
-  }), "Supprimer la cat\xE9gorie")));
+  }), t('categories.delete'))));
 }
 Object.assign(window, {
   CategoriesTab,
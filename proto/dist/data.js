@@ -138,6 +138,16 @@ const _CH_RATINGS = ['ratings'];
 // the drinks table — `drinkCount` per category is recomputed there.
 const _CH_CATEGORIES = ['categories', 'drinks'];
 const _CH_SETTINGS = ['settings'];
+const _CH_BAC_READINGS = ['bac-readings'];
+const _CH_ASSESSMENTS = ['assessments'];
+const _CH_JOURNAL = ['journal'];
+const _CH_ROUNDS = ['rounds'];
+const _CH_UNITS = ['units'];
+// Le catalogue apprend de chaque boisson enregistrée avec un code-barres.
+const _CH_PRODUCTS = ['products', 'drinks'];
+const _CH_PRODUCT_FILE = ['product-file'];
+// Les corrections proposées se calculent sur les boissons du code scanné.
+const _CH_PENDING_LOOKUPS = ['pending-lookups', 'drinks'];
 // Dedicated channel for category icon overrides. Used by
 // CategoryIconsProvider — avoids re-fetching the entire settings table
 // on every theme toggle or unrelated setting write.
@@ -293,7 +303,7 @@ function useFamilies() {
 // EXCLUE (déplacer une famille de catégorie garde la même clé). Source unique,
 // partagée par buildFamilies / familyPriceKey / le prédicat sameFamily.
 function familyKey(name, quantity, unit, alcohol) {
-  return `${(name || '').trim().toLowerCase()}::${quantity}::${(unit || '').toLowerCase()}::${alcohol || 0}`;
+  return `${(name || '').trim().toLowerCase()}::${quantity}::${unitKey(unit)}::${alcohol || 0}`;
 }
 function buildFamilies(drinks, ratings = {}, priceRefs = {}) {
   const map = new Map();
@@ -425,9 +435,14 @@ function priceRefsFromSettings(settings) {
   return out;
 }
 async function setReferencePrice(family, value) {
+  const db = await waitForDb();
+  if (!db) return;
   const n = Number(value);
   const ok = value != null && value !== '' && Number.isFinite(n);
-  await saveSetting(familyPriceKey(family), ok ? n : null);
+  await _journaled(db, t('data.journal.refPrice', {
+    name: family.name
+  }), () => db.setSetting(familyPriceKey(family), ok ? n : null));
+  dataBus.bump('settings');
 }
 
 // ── Prix intelligent ──────────────────────────────────────────────
@@ -440,8 +455,11 @@ async function setReferencePrice(family, value) {
 //   2. même contenant ; 3. même degré ; 4. n'importe quelle homonyme —
 //   à rang égal, la famille tarifée la plus ANCIENNE gagne (« la première
 //   boisson mise impose le prix par litre »).
-// Retourne { price, perLiter, exact, source } ou null (aucune référence).
-function suggestPriceForVolume(families, name, volCl, alcohol) {
+// Contenant partagé : `volCl` est le volume du CONTENANT et `share` ma part
+// (0–1] — `price` est alors ma part du prix du contenant (`containerPrice`).
+// Retourne { price, containerPrice, perLiter, exact, source } ou null (aucune
+// référence).
+function suggestPriceForVolume(families, name, volCl, alcohol, share = 1) {
   const key = (name || '').trim().toLowerCase();
   if (!key || !(volCl > 0)) return null;
   const cands = [];
@@ -471,10 +489,12 @@ function suggestPriceForVolume(families, name, volCl, alcohol) {
   const src = cands[0];
   const exact = Math.abs(src.vol - volCl) < 1e-9;
   const perCl = src.ref / src.vol;
-  const price = exact ? src.ref : Math.round(perCl * volCl * 100) / 100;
-  if (!Number.isFinite(price)) return null;
+  const containerPrice = exact ? src.ref : Math.round(perCl * volCl * 100) / 100;
+  if (!Number.isFinite(containerPrice)) return null;
+  const part = share > 0 && share < 1 ? share : 1;
   return {
-    price,
+    price: part === 1 ? containerPrice : Math.round(containerPrice * part * 100) / 100,
+    containerPrice,
     perLiter: Math.round(perCl * 100 * 100) / 100,
     exact,
     source: {
@@ -485,20 +505,144 @@ function suggestPriceForVolume(families, name, volCl, alcohol) {
     }
   };
 }
+
+// ── Contenant partagé ─────────────────────────────────────────────
+// Pichet, bouteille… bu à plusieurs et/ou étalé sur une durée. L'entrée
+// garde MA part dans quantity / price (volume, alcool et dépenses justes
+// partout) et le contexte dans `shared` : { total (volume du contenant, dans
+// l'unité de l'entrée), share (0–1], windowMin (durée de consommation) } —
+// windowMin étale l'absorption dans le modèle BAC (drinkSpreadH, stats.jsx).
+const SHARED_SHARES = [1, 1 / 2, 1 / 3, 1 / 4, 1 / 5, 1 / 6];
+const SHARED_WINDOWS_MIN = [0, 30, 60, 120, 180, 240];
+
+// Saisie du contenant → champs de l'entrée. `shared` reste null quand il n'y
+// a rien à retenir (tout le contenant, bu d'un coup).
+function sharedContainerEntry({
+  total,
+  share = 1,
+  windowMin = 0,
+  containerPrice = null
+}) {
+  const part = share > 0 && share <= 1 ? share : 1;
+  const win = Math.max(0, Math.round(Number(windowMin) || 0));
+  const full = containerPrice != null && Number.isFinite(containerPrice) ? containerPrice : null;
+  return {
+    quantity: Math.round(total * part * 100) / 100,
+    price: full == null ? null : part === 1 ? full : Math.round(full * part * 100) / 100,
+    shared: part < 1 || win > 0 ? {
+      total,
+      share: part,
+      windowMin: win
+    } : null
+  };
+}
+function fmtSharedWindow(min) {
+  if (!(min > 0)) return t('data.shared.atOnce');
+  if (min < 60) return `${min} min`;
+  const h = Math.floor(min / 60),
+    m = min % 60;
+  return m ? `${h} h ${String(m).padStart(2, '0')}` : `${h} h`;
+}
+
+// « 1/4 de 75 cL · sur 3 h » (méta d'une entrée d'historique), '' sinon.
+function fmtSharedDrink(d) {
+  const sh = d && d.shared;
+  if (!sh || !(sh.total > 0)) return '';
+  const qty = `${sh.total} ${d.unit}`;
+  const part = sh.share < 1 ? t('data.shared.part', {
+    share: fmtRoundShare(sh.share),
+    qty
+  }) : qty;
+  return sh.windowMin > 0 ? t('data.shared.over', {
+    text: part,
+    window: fmtSharedWindow(sh.windowMin)
+  }) : part;
+}
 function useSettings() {
   return React.useContext(SettingsContext);
 }
 
+// ── Erreurs remontées à l'UI ──────────────────────────────────────
+// js/database.js et le scanner lèvent des erreurs codées (message français
+// + `code` / `params`) : rendues ici dans la langue courante via les clés
+// `error.<code>`. Une erreur non codée garde son message brut, à défaut
+// `fallbackKey`. Un import invalide recompose la liste des problèmes
+// (`details`) comme parseExportData.
+function errorText(e, fallbackKey = 'common.error') {
+  if (e && e.code === 'import.invalid' && Array.isArray(e.details)) return _importProblemsText(e.details);
+  if (e && e.code) {
+    const key = `error.${e.code}`;
+    const msg = t(key, e.params);
+    if (msg !== key) return msg;
+  }
+  return e && e.message ? e.message : t(fallbackKey);
+}
+function _importProblemsText(details) {
+  const where = p => [p.table && (p.row != null ? `${p.table}[${p.row}]` : p.table), p.field].filter(Boolean).join('.');
+  const reason = p => {
+    const params = {
+      ...p.params
+    };
+    if (p.code === 'type') params.type = t(`error.type.${params.type}`);
+    if (p.code === 'format') params.format = t(`error.format.${params.format}`);
+    return p.code ? t(`error.reason.${p.code}`, params) : p.reason;
+  };
+  const problems = details.slice(0, 3).map(p => t('error.import.problem', {
+    where: where(p),
+    reason: reason(p)
+  })).join(t('error.import.separator'));
+  const rest = details.length - 3;
+  const more = rest > 0 ? t('error.import.more', {
+    count: rest
+  }) : '';
+  return t('error.import.invalid', {
+    problems,
+    more
+  });
+}
+
 // ── Mutations ─────────────────────────────────────────────────────
 // Each mutation bumps only the channels its write actually touches —
 // providers subscribed to other channels won't refetch. updateDrink
 // and friends bump 'drinks' (the row table) AND 'categories' when the
 // category field changes, because the legacy DB layer recomputes
 // `drinkCount` on the affected categories.
+// Un verre saisi sans `food` reprend l'état d'estomac du dernier verre bu
+// moins de FOOD_INHERIT_H heures avant lui : le repas choisi pour la
+// session en cours s'applique aux verres suivants sans redemander. Au-delà,
+// on repart à jeun (nouvelle soirée).
+const FOOD_INHERIT_H = 4;
+
+// État d'estomac hérité par un verre bu à `date` `time` (null = aucun).
+// Seuls les jours couverts par la fenêtre FOOD_INHERIT_H sont lus.
+async function _inheritedFood(db, date, time) {
+  const ts = new Date(`${date}T${time}`).getTime();
+  if (!Number.isFinite(ts)) return null;
+  const from = localDate(new Date(ts - FOOD_INHERIT_H * 3600_000));
+  let prev = null,
+    prevTs = -Infinity;
+  for (const d of await db.getDrinksBetweenDates(from, date)) {
+    const t = new Date(`${d.date}T${d.time}`).getTime();
+    if (t <= ts && t > prevTs) {
+      prev = d;
+      prevTs = t;
+    }
+  }
+  return prev && prev.food && ts - prevTs <= FOOD_INHERIT_H * 3600_000 ? prev.food : null;
+}
 async function addDrink(payload) {
   const db = await waitForDb();
-  if (!db) throw new Error('DB indisponible');
-  const r = await db.addDrink(payload);
+  if (!db) throw new Error(t('data.error.db'));
+  if (payload && payload.food === undefined && payload.date && payload.time) {
+    const food = await _inheritedFood(db, payload.date, payload.time);
+    if (food) payload = {
+      ...payload,
+      food
+    };
+  }
+  const r = await _journaled(db, t('data.journal.add', {
+    name: payload.name
+  }), () => db.addDrink(payload));
   dataBus.bump('drinks');
   // addDrink updates the target category's drinkCount.
   dataBus.bump('categories');
@@ -506,8 +650,10 @@ async function addDrink(payload) {
 }
 async function updateDrink(id, updates) {
   const db = await waitForDb();
-  if (!db) throw new Error('DB indisponible');
-  const r = await db.updateDrink(id, updates);
+  if (!db) throw new Error(t('data.error.db'));
+  const r = await _journaled(db, row => t('data.journal.edit', {
+    name: row ? row.name : updates.name || t('data.drinkFallback')
+  }), () => db.updateDrink(id, updates));
   dataBus.bump('drinks');
   // Category drinkCount is recomputed when `category` changes; safest
   // to always bump (cheap) so the categories grid stays accurate.
@@ -516,8 +662,11 @@ async function updateDrink(id, updates) {
 }
 async function deleteDrink(id) {
   const db = await waitForDb();
-  if (!db) throw new Error('DB indisponible');
-  const r = await db.deleteDrink(id);
+  if (!db) throw new Error(t('data.error.db'));
+  const row = await db.getDrinkById(id);
+  const r = await _journaled(db, t('data.journal.delete', {
+    name: row ? row.name : t('data.drinkFallback')
+  }), () => db.deleteDrink(id));
   dataBus.bump('drinks');
   dataBus.bump('categories');
   return r;
@@ -529,7 +678,9 @@ async function deleteDrink(id) {
 async function saveRating(drinkName, rating) {
   const db = await waitForDb();
   if (!db) return;
-  await db.setRating(ratingKey(drinkName), rating);
+  await _journaled(db, t('data.journal.rating', {
+    name: String(drinkName || '').trim()
+  }), () => db.setRating(ratingKey(drinkName), rating));
   dataBus.bump('ratings');
 }
 
@@ -598,16 +749,21 @@ async function canonicalizeRatings() {
 async function addCategory(name) {
   const db = await waitForDb();
   if (!db) return;
-  const r = await db.addCategory({
+  const r = await _journaled(db, t('data.journal.addCategory', {
+    name: String(name || '').trim()
+  }), () => db.addCategory({
     name
-  });
+  }));
   dataBus.bump('categories');
   return r;
 }
 async function renameCategory(oldName, newName) {
   const db = await waitForDb();
-  if (!db) throw new Error('Base de données indisponible');
-  await db.renameCategory(oldName, newName);
+  if (!db) throw new Error(t('data.error.db'));
+  await _journaled(db, t('data.journal.renameCategory', {
+    old: oldName,
+    name: String(newName || '').trim()
+  }), () => db.renameCategory(oldName, newName));
   // Icon overrides are keyed by the immutable category id, so a rename
   // needs no icon migration: the id↔glyph mapping is untouched and the
   // grid repaints from the refreshed categories list (the icon provider
@@ -617,13 +773,13 @@ async function renameCategory(oldName, newName) {
 }
 async function deleteCategory(id, options = {}) {
   const db = await waitForDb();
-  if (!db) throw new Error('Base de données indisponible');
+  if (!db) throw new Error(t('data.error.db'));
   // Resolve the category first — without it we can't fetch its drinks
   // or clean up its icon override. Refusing here surfaces stale ids
   // (e.g. the row vanished between the user opening the sheet and
   // tapping Delete) instead of pressing on with a half-broken delete.
   const cat = await db.getCategoryById(id);
-  if (!cat) throw new Error('Catégorie introuvable');
+  if (!cat) throw new Error(t('data.error.categoryMissing'));
 
   // Use the real drinks count from the DB, not the cached drinkCount
   // on the category row — that counter can drift out of sync if drinks
@@ -634,23 +790,29 @@ async function deleteCategory(id, options = {}) {
   // category (which would throw "Impossible de supprimer une catégorie
   // qui contient des boissons").
   const drinksOfCat = await db.getDrinksByCategory(cat.name);
-  if (drinksOfCat.length > 0) {
-    if (!options.reassignTo) {
-      throw new Error('Cette catégorie contient des boissons. Veuillez d\'abord les déplacer.');
-    }
-    for (const d of drinksOfCat) {
-      await db.updateDrink(d.id, {
-        category: options.reassignTo
-      });
-    }
-    // Re-sync the cached counter so the legacy delete path sees zero.
-    await db.updateCategoryDrinkCount(cat.name);
+  if (drinksOfCat.length > 0 && !options.reassignTo) {
+    throw new Error(t('data.error.categoryNotEmpty'));
   }
-  await db.deleteCategory(id);
+  // Réaffectation + suppression + icône = UNE entrée du journal : annuler
+  // rend la catégorie, son icône et ses boissons d'un coup.
+  await _journaled(db, t('data.journal.deleteCategory', {
+    name: cat.name
+  }), async () => {
+    if (drinksOfCat.length > 0) {
+      for (const d of drinksOfCat) {
+        await db.updateDrink(d.id, {
+          category: options.reassignTo
+        });
+      }
+      // Re-sync the cached counter so the legacy delete path sees zero.
+      await db.updateCategoryDrinkCount(cat.name);
+    }
+    await db.deleteCategory(id);
 
-  // Drop the id-keyed icon override. A future category reusing the same
-  // name gets a fresh id, so it correctly does NOT inherit this glyph.
-  await db.setSetting(`${_ICON_ID_PREFIX}${id}`, null);
+    // Drop the id-keyed icon override. A future category reusing the same
+    // name gets a fresh id, so it correctly does NOT inherit this glyph.
+    await db.setSetting(`${_ICON_ID_PREFIX}${id}`, null);
+  });
   dataBus.bump('categories');
   if (drinksOfCat.length > 0) dataBus.bump('drinks');
   dataBus.bump('cat-icons');
@@ -772,10 +934,13 @@ async function normalizeCategoryNamesOnce() {
 // else thrown up the stack.
 async function setCategoryIcon(id, glyph) {
   const db = await waitForDb();
-  if (!db) throw new Error('Base de données indisponible');
-  if (id == null || id === '') throw new Error('Catégorie invalide');
-  const ok = await db.setSetting(`${_ICON_ID_PREFIX}${id}`, glyph || null);
-  if (ok === false) throw new Error('Échec de la sauvegarde de l\'icône');
+  if (!db) throw new Error(t('data.error.db'));
+  if (id == null || id === '') throw new Error(t('data.error.categoryInvalid'));
+  const cat = await db.getCategoryById(id);
+  const ok = await _journaled(db, t('data.journal.categoryIcon', {
+    name: cat ? cat.name : t('data.categoryFallback')
+  }), () => db.setSetting(`${_ICON_ID_PREFIX}${id}`, glyph || null));
+  if (ok === false) throw new Error(t('data.error.iconSave'));
   dataBus.bump('cat-icons');
 }
 
@@ -804,11 +969,14 @@ async function loadCategoryColors() {
 // setCategoryIcon) pour que EditCategorySheet affiche une vraie erreur.
 async function setCategoryColor(id, hue) {
   const db = await waitForDb();
-  if (!db) throw new Error('Base de données indisponible');
-  if (id == null || id === '') throw new Error('Catégorie invalide');
+  if (!db) throw new Error(t('data.error.db'));
+  if (id == null || id === '') throw new Error(t('data.error.categoryInvalid'));
   const val = hue == null || !Number.isFinite(Number(hue)) ? null : String((Math.round(Number(hue)) % 360 + 360) % 360);
-  const ok = await db.setSetting(`${_COLOR_ID_PREFIX}${id}`, val);
-  if (ok === false) throw new Error('Échec de la sauvegarde de la couleur');
+  const cat = await db.getCategoryById(id);
+  const ok = await _journaled(db, t('data.journal.categoryColor', {
+    name: cat ? cat.name : t('data.categoryFallback')
+  }), () => db.setSetting(`${_COLOR_ID_PREFIX}${id}`, val));
+  if (ok === false) throw new Error(t('data.error.colorSave'));
   dataBus.bump('cat-colors');
 }
 
@@ -903,16 +1071,689 @@ function CategoryIconsProvider({
 async function updateFamily(family, updates) {
   const db = await waitForDb();
   if (!db) return;
-  const all = await db.getAllDrinks();
-  const matches = all.filter(d => sameFamily(d, family));
-  for (const m of matches) {
-    await db.updateDrink(m.id, updates);
-  }
+  await _journaled(db, t('data.journal.editFamily', {
+    name: family.name
+  }), async () => {
+    const all = await db.getAllDrinks();
+    const matches = all.filter(d => sameFamily(d, family));
+    for (const m of matches) {
+      await db.updateDrink(m.id, updates);
+    }
+  });
   dataBus.bump('drinks');
   // Category drinkCount may shift when `category` is part of `updates`.
   dataBus.bump('categories');
 }
 
+// État d'estomac d'un lot de verres (toggle « Repas » de la session en
+// cours, BACSection). `food` : clé de BAC_FOOD_STATES ; 'fasted' → null.
+async function setDrinksFood(ids, food) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const value = food && food !== 'fasted' ? food : null;
+  await _journaled(db, t('data.journal.sessionFood'), async () => {
+    for (const id of ids || []) {
+      await db.updateDrink(id, {
+        food: value
+      });
+    }
+  });
+  dataBus.bump('drinks');
+  dataBus.bump('categories');
+}
+
+// ── Édition par lot (sélection multiple de l'Historique) ──────────
+// Chaque lot s'écrit en UNE transaction (db.updateDrinksBatch /
+// deleteDrinksBatch) : le `reconcile` du partage, déclenché par le bump,
+// lit un état cohérent. Champs qu'un lot peut toucher — l'annulation les
+// remet tous à leur valeur d'origine.
+const DRINK_BATCH_FIELDS = ['date', 'time', 'category', 'location', 'price', 'priceIsCustom'];
+
+// Champs à écrire sur `row` pour l'opération `op` (null = rien à faire) :
+//   { shiftMinutes } décale date + heure (le jour suit au passage de minuit),
+//   { category }, { location } (objet | null), { price } (€ | null).
+// Un prix saisi rend l'entrée personnalisée, comme dans EditEntrySheet.
+function drinkBatchChanges(row, op) {
+  if (!op) return null;
+  if (op.shiftMinutes != null) {
+    const t = new Date(`${row.date}T${row.time || '00:00'}`);
+    if (Number.isNaN(t.getTime())) return null;
+    const d = new Date(t.getTime() + op.shiftMinutes * 60000);
+    return {
+      date: localDate(d),
+      time: localTime(d)
+    };
+  }
+  if (op.category !== undefined) return {
+    category: op.category
+  };
+  if (op.location !== undefined) return {
+    location: op.location || null
+  };
+  if (op.price !== undefined) return {
+    price: op.price,
+    priceIsCustom: op.price != null
+  };
+  return null;
+}
+
+// Applique `op` aux boissons `ids` ; retourne les lignes d'origine, à
+// passer à `revertDrinksBatch` pour annuler.
+async function batchEditDrinks(ids, op) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  if (!ids || ids.length === 0) throw new Error(t('data.error.noSelection'));
+  if (op.shiftMinutes != null && (!Number.isFinite(op.shiftMinutes) || op.shiftMinutes === 0)) {
+    throw new Error(t('data.error.shift'));
+  }
+  if (op.category !== undefined && !String(op.category || '').trim()) throw new Error(t('data.error.category'));
+  if (op.price != null && !(Number.isFinite(op.price) && op.price >= 0)) throw new Error(t('data.error.price'));
+  const before = await _journaled(db, t('batch.journal.edit', {
+    count: ids.length
+  }), () => db.updateDrinksBatch(ids, row => drinkBatchChanges(row, op)));
+  dataBus.bump('drinks');
+  dataBus.bump('categories');
+  return before;
+}
+async function revertDrinksBatch(before) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const byId = new Map(before.map(r => [r.id, r]));
+  await _journaled(db, t('batch.journal.revert'), () => db.updateDrinksBatch([...byId.keys()], row => {
+    const orig = byId.get(row.id);
+    const changes = {};
+    for (const f of DRINK_BATCH_FIELDS) changes[f] = orig[f] !== undefined ? orig[f] : null;
+    return changes;
+  }));
+  dataBus.bump('drinks');
+  dataBus.bump('categories');
+}
+
+// Pendant multiple de `deleteDrinkWithSnapshot` : les lignes retournées
+// vont telles quelles à `restoreDrinks` depuis le bouton d'annulation.
+async function deleteDrinksWithSnapshot(ids) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  if (!ids || ids.length === 0) throw new Error(t('data.error.noSelection'));
+  const rows = await _journaled(db, t('batch.journal.delete', {
+    count: ids.length
+  }), () => db.deleteDrinksBatch(ids));
+  dataBus.bump('drinks');
+  dataBus.bump('categories');
+  return rows;
+}
+
+// ── Mesures d'éthylotest (calibrage BAC) ──────────────────────────
+// Chaque ajout / suppression ré-ajuste le calibrage personnel
+// (stats.jsx › fitBacCalibration), stocké dans le setting `bacCalibration`.
+function useBacReadings() {
+  const v = useDataVersion(_CH_BAC_READINGS);
+  const [list, setList] = React.useState([]);
+  React.useEffect(() => {
+    let alive = true;
+    (async () => {
+      const db = await waitForDb();
+      if (!db) return;
+      const all = await db.getAllBacReadings();
+      if (alive) setList(all);
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [v]);
+  return list;
+}
+
+// `value` dans `unit` ('air' = mg/L d'air expiré, 'blood' = g/L de sang).
+async function addBacReading({
+  ts,
+  value,
+  unit
+}) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const bac = bacFromReading(value, unit);
+  if (!Number.isFinite(bac) || !Number.isFinite(ts)) throw new Error(t('data.error.reading'));
+  const n = typeof value === 'number' ? value : parseDecimal(value);
+  const row = await db.addBacReading({
+    ts,
+    value: n,
+    unit: unit === 'blood' ? 'blood' : 'air',
+    bac
+  });
+  dataBus.bump('bac-readings');
+  await refitBacCalibration();
+  return row;
+}
+async function deleteBacReading(id) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  await db.deleteBacReading(id);
+  dataBus.bump('bac-readings');
+  await refitBacCalibration();
+}
+
+// ── Auto-évaluations AUDIT-C / AUDIT (audit.jsx) ──────────────────
+// Triées par date (la courbe de la section Stats suit cet ordre).
+function useAssessments() {
+  const v = useDataVersion(_CH_ASSESSMENTS);
+  const [list, setList] = React.useState([]);
+  React.useEffect(() => {
+    let alive = true;
+    (async () => {
+      const db = await waitForDb();
+      if (!db) return;
+      const all = await db.getAllAssessments();
+      if (alive) setList(all);
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [v]);
+  return list;
+}
+
+// `answers` : points par question ; le score est recalculé (scoreAssessment).
+async function addAssessment({
+  kind,
+  answers,
+  ts = Date.now()
+}) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const row = await db.addAssessment({
+    ts,
+    ...scoreAssessment(kind, answers)
+  });
+  dataBus.bump('assessments');
+  return row;
+}
+async function deleteAssessment(id) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  await db.deleteAssessment(id);
+  dataBus.bump('assessments');
+}
+
+// ── Tournées (rounds.jsx) ─────────────────────────────────────────
+// Triées par nom. null pendant le premier chargement.
+function useRounds() {
+  const v = useDataVersion(_CH_ROUNDS);
+  const [list, setList] = React.useState(null);
+  React.useEffect(() => {
+    let alive = true;
+    (async () => {
+      const db = await waitForDb();
+      if (!db) return;
+      const all = await db.getAllRounds();
+      if (alive) setList(all);
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [v]);
+  return list;
+}
+
+// Crée (sans `id`) ou remplace une tournée, validée par normalizeRound.
+async function saveRound(round) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const clean = normalizeRound(round);
+  const row = round.id != null ? await db.updateRound(round.id, clean) : await db.addRound(clean);
+  dataBus.bump('rounds');
+  return row;
+}
+async function deleteRound(id) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  await db.deleteRound(id);
+  dataBus.bump('rounds');
+}
+
+// ── Unités de contenant (units.jsx) ───────────────────────────────
+// Lignes de la table, dans l'ordre de création. null pendant le premier
+// chargement. Le registre synchrone (`getUnits` / `toCl`, shared.jsx) est
+// recopié après chaque écriture par `_syncUnits`.
+function useUnitRows() {
+  const v = useDataVersion(_CH_UNITS);
+  const [list, setList] = React.useState(null);
+  React.useEffect(() => {
+    let alive = true;
+    (async () => {
+      const db = await waitForDb();
+      if (!db) return;
+      const all = await db.getAllUnits();
+      if (alive) setList(all);
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [v]);
+  return list;
+}
+async function _syncUnits(db) {
+  applyUnits(await db.getAllUnits());
+}
+
+// Crée (sans `id`) ou met à jour une unité, validée par normalizeUnit. Un
+// nouvel équivalent recalcule le volume des boissons concernées : les
+// stats sont rafraîchies avec.
+async function saveUnit(unit) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const clean = normalizeUnit(unit);
+  const row = unit.id != null ? await db.updateUnit(unit.id, clean) : await db.addUnit(clean);
+  // Une seule portion par défaut par catégorie : la dernière choisie.
+  if (clean.defaultFor) {
+    for (const u of await db.getAllUnits()) {
+      if (u.id !== row.id && u.defaultFor === clean.defaultFor) await db.updateUnit(u.id, {
+        defaultFor: null
+      });
+    }
+  }
+  await _syncUnits(db);
+  dataBus.bump('units');
+  dataBus.bump('drinks');
+  return row;
+}
+async function deleteUnit(id) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  await db.deleteUnit(id);
+  await _syncUnits(db);
+  dataBus.bump('units');
+}
+
+// ── Catalogue local des produits (catalog.jsx) ────────────────────
+// Du plus récent au plus ancien. null pendant le premier chargement.
+function useProducts() {
+  const v = useDataVersion(_CH_PRODUCTS);
+  const [list, setList] = React.useState(null);
+  React.useEffect(() => {
+    let alive = true;
+    (async () => {
+      const db = await waitForDb();
+      if (!db) return;
+      const all = await db.getAllProducts();
+      if (alive) setList(all);
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [v]);
+  return list;
+}
+
+// Fiche modifiée à la main (validée par normalizeProduct) : elle fait foi
+// au prochain scan de ce code.
+async function saveProduct(barcode, product) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const row = await db.updateProduct(barcode, normalizeProduct(product));
+  dataBus.bump('products');
+  return row;
+}
+async function deleteProduct(barcode) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  await db.deleteProduct(barcode);
+  dataBus.bump('products');
+}
+
+// Fichier de produits fourni par l'utilisateur (JSON) : fournisseur de
+// recherche propre à l'appareil (deviceStore, jamais exporté), consulté
+// après les catalogues et avant Internet (ProductLookup.jsonFileProvider).
+const PRODUCT_FILE_KEY = 'lookup.productFile';
+
+// Texte du fichier → données prêtes pour jsonFileProvider. Lève une Error
+// au message affichable tel quel (déjà traduit).
+function parseProductFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t('catalog.file.error.json'));
+  }
+  if (!data || typeof data !== 'object') throw new Error(t('catalog.file.error.invalid'));
+  if (!ProductLookup.jsonFileProvider(data).size) throw new Error(t('catalog.file.error.empty'));
+  return data;
+}
+
+// Branche (ou retire) le fournisseur `file` sur window.productLookup.
+// Renvoie le nombre de codes qu'il connaît.
+function _installProductFile(file) {
+  const lookup = window.productLookup;
+  if (!lookup) return 0;
+  if (!file || !file.data) {
+    lookup.unregister('file');
+    return 0;
+  }
+  const provider = ProductLookup.jsonFileProvider(file.data, {
+    label: file.name || t('catalog.file.title')
+  });
+  lookup.register(provider, {
+    after: 'group'
+  });
+  return provider.size;
+}
+
+// Au boot (app.jsx) : réinstalle le fichier mémorisé sur cet appareil.
+async function loadProductFile() {
+  const db = await waitForDb();
+  if (!db) return 0;
+  return _installProductFile(await db.getDeviceValue(PRODUCT_FILE_KEY));
+}
+
+// { name, data } → mémorisé et installé ; null → retiré.
+async function setProductFile(file) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  await db.setDeviceValue(PRODUCT_FILE_KEY, file ? {
+    name: file.name,
+    data: file.data
+  } : null);
+  const count = _installProductFile(file);
+  dataBus.bump('product-file');
+  return count;
+}
+
+// { name, count } du fichier installé, ou null.
+function useProductFile() {
+  const v = useDataVersion(_CH_PRODUCT_FILE);
+  return React.useMemo(() => {
+    const p = window.productLookup && window.productLookup.getProviders().find(x => x.id === 'file');
+    return p ? {
+      name: p.label,
+      count: p.size
+    } : null;
+  }, [v]);
+}
+
+// ── Recherches de produit en attente (scans hors ligne) ───────────
+// Un scan resté sans réponse faute de réseau (ProductLookup.lookup →
+// `offline`) est mis en file sur l'appareil (deviceStore, jamais exporté).
+// Relancé au retour du réseau (événement `online`, Background Sync du
+// service worker, cf. sw.js › syncPendingLookups), il devient une
+// proposition de nom / catégorie / degré que l'utilisateur passe en revue
+// (PendingLookupsSheet) avant qu'elle ne s'applique aux familles
+// concernées via updateFamily.
+// Entrée : { barcode, queuedAt, proposal: null | { name, brand, category,
+// alcoholContent, source } }.
+const PENDING_LOOKUPS_KEY = 'lookup.pending';
+const LOOKUP_SYNC_TAG = 'alconote-lookups';
+async function _readPendingLookups(db) {
+  return (await db.getDeviceValue(PENDING_LOOKUPS_KEY)) || [];
+}
+async function _writePendingLookups(db, list) {
+  await db.setDeviceValue(PENDING_LOOKUPS_KEY, list.length ? list : null);
+  dataBus.bump('pending-lookups');
+}
+
+// Le service worker garde la liste des codes et, via Background Sync,
+// réchauffe son cache Open Food Facts dès que le réseau revient — même
+// page fermée. La page relit ensuite les fiches depuis ce cache.
+async function _requestLookupSync(barcodes) {
+  const sw = _notifySW();
+  if (!sw) return;
+  sw.postMessage({
+    type: 'QUEUE_LOOKUPS',
+    barcodes
+  });
+  try {
+    const reg = await navigator.serviceWorker.ready;
+    if (reg && reg.sync) await reg.sync.register(LOOKUP_SYNC_TAG);
+  } catch {}
+}
+async function queuePendingLookup(barcode) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const code = String(barcode || '');
+  if (!code) return;
+  const list = await _readPendingLookups(db);
+  if (!list.some(p => p.barcode === code)) {
+    list.push({
+      barcode: code,
+      queuedAt: Date.now(),
+      proposal: null
+    });
+    await _writePendingLookups(db, list);
+  }
+  _requestLookupSync(list.filter(p => !p.proposal).map(p => p.barcode)).catch(() => {});
+}
+
+// Corrections proposées pour les boissons d'un code : une ligne par famille
+// (même tuple que sameFamily) dont le nom, la catégorie ou le degré diffère
+// de la fiche retrouvée. `updates` ne porte que les champs qui changent.
+function pendingLookupChanges(drinks, entry) {
+  const proposal = entry && entry.proposal;
+  if (!proposal) return [];
+  const byKey = new Map();
+  for (const d of drinks) {
+    if (String(d.barcode || '') !== entry.barcode) continue;
+    const key = familyKey(d.name, d.quantity, d.unit, d.alcoholContent);
+    const row = byKey.get(key);
+    if (row) {
+      row.count++;
+      continue;
+    }
+    const updates = {};
+    if (proposal.name && proposal.name !== d.name) updates.name = proposal.name;
+    if (proposal.category && proposal.category !== d.category) updates.category = proposal.category;
+    if (proposal.alcoholContent != null && proposal.alcoholContent !== (d.alcoholContent || 0)) {
+      updates.alcoholContent = proposal.alcoholContent;
+    }
+    byKey.set(key, {
+      family: {
+        name: d.name,
+        quantity: d.quantity,
+        unit: d.unit,
+        alcohol: d.alcoholContent || 0,
+        category: d.category
+      },
+      count: 1,
+      updates
+    });
+  }
+  return [...byKey.values()].filter(r => Object.keys(r.updates).length > 0);
+}
+
+// Relance les recherches encore sans proposition. Le catalogue local est
+// exclu : il a appris le nom provisoire de la boisson enregistrée hors
+// ligne. Un code introuvable partout, ou dont les boissons n'ont plus rien
+// à corriger, quitte la file. Renvoie le nombre de nouvelles propositions.
+// Appels concurrents (online + message du SW) : une seule passe.
+let _resolvingLookups = null;
+function resolvePendingLookups() {
+  if (!_resolvingLookups) {
+    _resolvingLookups = _resolvePendingLookups().finally(() => {
+      _resolvingLookups = null;
+    });
+  }
+  return _resolvingLookups;
+}
+async function _resolvePendingLookups() {
+  const db = await waitForDb();
+  const lookup = window.productLookup;
+  if (!db || !lookup) return 0;
+  const list = await _readPendingLookups(db);
+  if (!list.length) return 0;
+  const drinks = await db.getAllDrinks();
+  const outcome = new Map(); // barcode → entrée mise à jour | null (retirée)
+  let found = 0;
+  for (const p of list) {
+    if (p.proposal) {
+      if (!pendingLookupChanges(drinks, p).length) outcome.set(p.barcode, null);
+      continue;
+    }
+    const r = await lookup.lookup(p.barcode, {
+      exclude: ['local']
+    });
+    if (r.offline) continue;
+    const next = r.source === 'unknown' ? null : {
+      ...p,
+      proposal: {
+        name: r.name,
+        brand: r.brand,
+        category: r.category,
+        alcoholContent: r.alcoholContent,
+        source: r.source
+      }
+    };
+    const useful = next && pendingLookupChanges(drinks, next).length > 0;
+    outcome.set(p.barcode, useful ? next : null);
+    if (useful) found++;
+  }
+  // Relu : un scan a pu s'ajouter à la file pendant les recherches.
+  let rest = await _readPendingLookups(db);
+  if (outcome.size) {
+    rest = rest.flatMap(p => {
+      if (!outcome.has(p.barcode)) return [p];
+      return outcome.get(p.barcode) ? [outcome.get(p.barcode)] : [];
+    });
+    await _writePendingLookups(db, rest);
+  }
+  // Toujours hors ligne pour certains : la sync du SW reprend la main.
+  const waiting = rest.filter(p => !p.proposal).map(p => p.barcode);
+  if (waiting.length) _requestLookupSync(waiting).catch(() => {});
+  return found;
+}
+
+// { waiting: [entrées sans réponse], review: [{ ...entrée, changes }] }.
+// null pendant le premier chargement.
+function usePendingLookups() {
+  const v = useDataVersion(_CH_PENDING_LOOKUPS);
+  const [state, setState] = React.useState(null);
+  React.useEffect(() => {
+    let alive = true;
+    (async () => {
+      const db = await waitForDb();
+      if (!db) return;
+      const [list, drinks] = await Promise.all([_readPendingLookups(db), db.getAllDrinks()]);
+      const review = list.filter(p => p.proposal).map(p => ({
+        ...p,
+        changes: pendingLookupChanges(drinks, p)
+      })).filter(p => p.changes.length);
+      if (alive) setState({
+        waiting: list.filter(p => !p.proposal),
+        review
+      });
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [v]);
+  return state;
+}
+
+// Applique les corrections retenues (`changes`, sous-ensemble relu de
+// pendingLookupChanges) puis retire le code de la file.
+async function applyPendingLookup(barcode, changes) {
+  for (const c of changes || []) {
+    if (Object.keys(c.updates || {}).length) await updateFamily(c.family, c.updates);
+  }
+  await dismissPendingLookup(barcode);
+}
+async function dismissPendingLookup(barcode) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const list = await _readPendingLookups(db);
+  await _writePendingLookups(db, list.filter(p => p.barcode !== String(barcode)));
+}
+
+// Photo partagée vers l'app (share target du manifeste) : le service worker
+// reçoit le POST, dépose l'image dans son cache puis redirige vers
+// `/?share-target=scan`. Lue une seule fois — elle est retirée du cache.
+const SHARE_TARGET_CACHE = 'alconote-share-target';
+const SHARED_IMAGE_URL = '/__alconote/shared-image';
+async function takeSharedImage() {
+  if (typeof caches === 'undefined') return null;
+  try {
+    const cache = await caches.open(SHARE_TARGET_CACHE);
+    const response = await cache.match(SHARED_IMAGE_URL);
+    if (!response) return null;
+    await cache.delete(SHARED_IMAGE_URL);
+    return await response.blob();
+  } catch {
+    return null;
+  }
+}
+
+// Import / « Tout effacer » (bump sans canal) : le registre a pu changer,
+// le fichier de produits a pu être effacé avec le deviceStore.
+dataBus.sub(ch => {
+  if (ch || !window.dbManager) return;
+  _syncUnits(window.dbManager).catch(() => {});
+  loadProductFile().then(() => dataBus.bump('product-file')).catch(() => {});
+});
+
+// Ajoute toutes les boissons de la tournée d'un coup : même date / heure,
+// une seule transaction, une seule entrée de journal. `families` fournit
+// les prix de référence des boissons sans prix propre. Retourne les lignes
+// créées (le lieu est attaché ensuite par attachLocationToDrinks).
+async function logRound(round, {
+  families = [],
+  now = new Date()
+} = {}) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const date = localDate(now),
+    time = localTime(now);
+  const payloads = roundDrinkPayloads(round, {
+    families,
+    date,
+    time
+  });
+  if (!payloads.length) throw new Error(t('data.error.emptyRound'));
+  const food = await _inheritedFood(db, date, time);
+  const rows = await _journaled(db, t('rounds.journal', {
+    name: round.name
+  }), () => db.addDrinksBatch(food ? payloads.map(p => ({
+    ...p,
+    food
+  })) : payloads));
+  dataBus.bump('drinks');
+  dataBus.bump('categories');
+  return rows;
+}
+
+// Ré-ajuste sur les mesures postérieures à la dernière réinitialisation.
+// Sous le minimum de mesures, le calibrage retombe aux valeurs du modèle.
+async function refitBacCalibration() {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const [readings, drinks, settings] = await Promise.all([db.getAllBacReadings(), db.getAllDrinks(), db.getAllSettings()]);
+  const since = (parseBacCalibration(settings.bacCalibration) || {}).since || 0;
+  const base = bacModelFromSettings({
+    ...settings,
+    bacCalibration: null
+  });
+  const fit = fitBacCalibration(readings, drinks, base, {
+    since
+  });
+  const next = fit ? {
+    ...fit,
+    fittedAt: Date.now(),
+    since
+  } : since ? {
+    since
+  } : null;
+  await db.setSetting('bacCalibration', next ? JSON.stringify(next) : null);
+  dataBus.bump('settings');
+  return fit;
+}
+
+// Retour aux valeurs du modèle. Les mesures restent (marqueurs du graphe)
+// mais ne comptent plus : seules les suivantes recalibreront.
+async function resetBacCalibration() {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  await db.setSetting('bacCalibration', JSON.stringify({
+    since: Date.now()
+  }));
+  dataBus.bump('settings');
+}
+
 // Cascade un nouveau prix de référence sur les entrées de la famille qui sont
 // AU PRIX DE RÉFÉRENCE (`!priceIsCustom`) — les prix personnalisés ne sont
 // JAMAIS touchés. Utilisé par EditFamilySheet quand l'utilisateur choisit
@@ -922,13 +1763,17 @@ async function applyReferenceToFamily(family, value) {
   if (!db) return;
   const n = Number(value);
   const ok = value != null && value !== '' && Number.isFinite(n);
-  const all = await db.getAllDrinks();
-  const matches = all.filter(d => sameFamily(d, family) && !d.priceIsCustom);
-  for (const m of matches) {
-    await db.updateDrink(m.id, {
-      price: ok ? n : null
-    });
-  }
+  await _journaled(db, t('data.journal.familyPrice', {
+    name: family.name
+  }), async () => {
+    const all = await db.getAllDrinks();
+    const matches = all.filter(d => sameFamily(d, family) && !d.priceIsCustom);
+    for (const m of matches) {
+      await db.updateDrink(m.id, {
+        price: ok ? n : null
+      });
+    }
+  });
   dataBus.bump('drinks');
   dataBus.bump('categories');
 }
@@ -939,16 +1784,20 @@ async function applyReferenceToFamily(family, value) {
 // invoke this function, only the proto layer does.
 async function deleteFamily(family) {
   const db = await waitForDb();
-  if (!db) throw new Error('DB indisponible');
+  if (!db) throw new Error(t('data.error.db'));
   const all = await db.getAllDrinks();
   const matches = all.filter(d => sameFamily(d, family));
   // Capture full row state BEFORE deletion so we can re-add on undo.
   const snapshot = matches.map(m => ({
     ...m
   }));
-  for (const m of matches) {
-    await db.deleteDrink(m.id);
-  }
+  await _journaled(db, t('data.journal.deleteFamily', {
+    name: family.name
+  }), async () => {
+    for (const m of matches) {
+      await db.deleteDrink(m.id);
+    }
+  });
   dataBus.bump('drinks');
   dataBus.bump('categories');
   return {
@@ -966,17 +1815,21 @@ async function deleteFamily(family) {
 // on parallel inserts to the same category.
 async function restoreDrinks(drinks) {
   const db = await waitForDb();
-  if (!db) throw new Error('DB indisponible');
-  for (const d of drinks) {
-    const {
-      id,
-      createdAt,
-      updatedAt,
-      quantityInCL,
-      ...payload
-    } = d;
-    await db.addDrink(payload);
-  }
+  if (!db) throw new Error(t('data.error.db'));
+  await _journaled(db, t('batch.journal.restore', {
+    count: drinks.length
+  }), async () => {
+    for (const d of drinks) {
+      const {
+        id,
+        createdAt,
+        updatedAt,
+        quantityInCL,
+        ...payload
+      } = d;
+      await db.addDrink(payload);
+    }
+  });
   dataBus.bump('drinks');
   dataBus.bump('categories');
 }
@@ -988,24 +1841,74 @@ async function restoreDrinks(drinks) {
 // instead of returning `undefined`.
 async function deleteDrinkWithSnapshot(id) {
   const db = await waitForDb();
-  if (!db) throw new Error('DB indisponible');
+  if (!db) throw new Error(t('data.error.db'));
   const row = await db.getDrinkById(id);
-  if (!row) throw new Error('Boisson introuvable');
-  await db.deleteDrink(id);
+  if (!row) throw new Error(t('data.error.drinkMissing'));
+  await _journaled(db, t('data.journal.delete', {
+    name: row.name
+  }), () => db.deleteDrink(id));
   dataBus.bump('drinks');
   dataBus.bump('categories');
   return row;
 }
 
-// Wipe entire database (drinks, categories, settings). Caller is
-// responsible for collecting an explicit user confirmation. The seed
-// memoization is reset so the next load re-seeds defaults exactly once
-// on the empty DB. The icon Provider re-reads the empty settings table
-// on the bump below.
-async function clearAllData() {
+// ── Journal des modifications (annuler / rétablir) ────────────────
+// Chaque mutation de données perso ci-dessus passe par `_journaled` : le DB
+// layer photographie les tables suivies avant / après et garde la
+// différence (cf. DatabaseManager.journaled) — d'où un annuler / rétablir
+// qui survit au rechargement. Borné à JOURNAL_MAX entrées, vidé par
+// clearAllData et par tout remplacement des tables (import, restauration).
+async function _journaled(db, label, fn) {
+  try {
+    return await db.journaled(label, fn);
+  } finally {
+    dataBus.bump('journal');
+  }
+}
+function useJournal() {
+  const v = useDataVersion(_CH_JOURNAL);
+  const [list, setList] = React.useState(null);
+  React.useEffect(() => {
+    let alive = true;
+    (async () => {
+      const db = await waitForDb();
+      if (!db) return;
+      const rows = await db.listJournal();
+      if (alive) setList(rows);
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [v]);
+  return list;
+}
+
+// Une entrée peut toucher n'importe quelle table suivie (boissons,
+// catégories, notes, icônes, prix de référence) : bump de tous les canaux.
+async function _applyJournalStep(step) {
   const db = await waitForDb();
-  if (!db) throw new Error('DB indisponible');
-  const r = await db.clearAllData();
+  if (!db) throw new Error(t('data.error.db'));
+  const r = step === 'undo' ? await db.undoJournal() : await db.redoJournal();
+  if (r) {
+    dataBus.bump('cat-icons');
+    dataBus.bump();
+  }
+  return r;
+}
+
+// Retourne { id, label } de l'entrée défaite / refaite, ou null.
+function undoLastChange() {
+  return _applyJournalStep('undo');
+}
+function redoLastChange() {
+  return _applyJournalStep('redo');
+}
+
+// Reset of every one-time migration memo, after the personal tables have
+// been swapped wholesale (wipe, restore): the new content may need the
+// seed / icon / rating / category passes again. Each pass re-checks its
+// own persisted flag, so this is cheap when nothing is left to do.
+function _resetOneTimeMigrations() {
   _seedDone = false;
   _seedPromise = null;
   _iconMigrateDone = false;
@@ -1014,11 +1917,370 @@ async function clearAllData() {
   _ratingCanonPromise = null;
   _catNormDone = false;
   _catNormPromise = null;
+}
+
+// Wipe entire database (drinks, categories, settings). Caller is
+// responsible for collecting an explicit user confirmation. The seed
+// memoization is reset so the next load re-seeds defaults exactly once
+// on the empty DB. The icon Provider re-reads the empty settings table
+// on the bump below.
+async function clearAllData() {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const r = await db.clearAllData();
+  _resetOneTimeMigrations();
+  dataBus.bump('cat-icons');
+  dataBus.bump();
+  return r;
+}
+
+// Point-in-time restore of a `backups` snapshot (SettingsDrawer ›
+// Sauvegardes). The DB layer snapshots the current state as 'pre-restore'
+// first, so the restore itself is undoable from the same list.
+async function restoreBackup(id) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const r = await db.restoreBackup(id);
+  _resetOneTimeMigrations();
   dataBus.bump('cat-icons');
   dataBus.bump();
   return r;
 }
 
+// ── Export hors appareil planifié ─────────────────────────────────
+// Les snapshots `backups` (maybeAutoBackup) vivent dans IndexedDB et meurent
+// avec le profil du navigateur. Opt-in : l'export complet part à intervalle
+// régulier dans un dossier choisi une fois (File System Access API) ; sans
+// cette API (Firefox, Safari), un toast de rappel déclenche un
+// téléchargement. Réglages :
+//   offsite.interval  : 'daily' | 'weekly' (absent = désactivé)
+//   offsite.lastAt    : ms du dernier export hors appareil réussi (exports
+//                       manuels compris, cf. markOffsiteBackup)
+//   offsite.encrypted : true → chiffré avec la clé dérivée une fois
+// Le handle du dossier et la clé dérivée vivent dans `deviceStore` : jamais
+// exportés, et la phrase de passe n'est conservée nulle part.
+const OFFSITE_INTERVALS = {
+  daily: 24 * 3600 * 1000,
+  weekly: 7 * 24 * 3600 * 1000
+};
+const OFFSITE_FOLDER_KEY = 'offsite.folder';
+const OFFSITE_CRYPTO_KEY = 'offsite.key';
+
+// En retard = export planifié activé et dernier export plus vieux que
+// l'intervalle (jamais exporté compris). Pilote l'alerte du header.
+function offsiteBackupOverdue(settings, now = Date.now()) {
+  const ms = settings && OFFSITE_INTERVALS[settings['offsite.interval']];
+  if (!ms) return false;
+  return now - (Number(settings['offsite.lastAt']) || 0) >= ms;
+}
+function supportsFolderExport() {
+  return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+}
+
+// Téléchargement d'un fichier généré (exports JSON / CSV / chiffré).
+function downloadFile(content, filename, mime) {
+  const blob = new Blob([content], {
+    type: mime
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+async function markOffsiteBackup() {
+  await saveSetting('offsite.lastAt', Date.now());
+}
+async function getOffsiteFolder() {
+  const db = await waitForDb();
+  return db ? db.getDeviceValue(OFFSITE_FOLDER_KEY) : null;
+}
+
+// Sélecteur de dossier natif (geste utilisateur requis). Renvoie son nom.
+async function chooseOffsiteFolder() {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const handle = await window.showDirectoryPicker({
+    id: 'alconote-backups',
+    mode: 'readwrite'
+  });
+  await db.setDeviceValue(OFFSITE_FOLDER_KEY, handle);
+  return handle.name;
+}
+
+// `passphrase` → dérive et mémorise la clé (chiffrement activé) ; null →
+// oublie la clé et repasse en clair.
+async function setOffsiteEncryption(passphrase) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  if (passphrase) {
+    await db.setDeviceValue(OFFSITE_CRYPTO_KEY, await deriveEnvelopeKeyRecord(passphrase));
+    await saveSetting('offsite.encrypted', true);
+  } else {
+    await db.setDeviceValue(OFFSITE_CRYPTO_KEY, null);
+    await saveSetting('offsite.encrypted', null);
+  }
+}
+
+// Colonnes dérivées des exports JSON (`exportData({ annotate })`) : verres
+// standard par boisson (uid → nombre) dans l'unité choisie, avec sa taille.
+function exportAnnotations({
+  drinks
+}) {
+  const sd = getStandardDrink();
+  const byUid = {};
+  for (const d of drinks || []) {
+    if (d.uid) byUid[d.uid] = Math.round(toStdDrinks(drinkAlcoholGrams(d), sd) * 100) / 100;
+  }
+  return {
+    standardDrinks: {
+      unit: sd.id,
+      grams: sd.grams,
+      byUid
+    }
+  };
+}
+async function buildOffsiteExport(db) {
+  const day = localDate();
+  if (await db.getSetting('offsite.encrypted')) {
+    const keyRecord = await db.getDeviceValue(OFFSITE_CRYPTO_KEY);
+    if (!keyRecord) throw new Error(t('data.error.noKey'));
+    return {
+      content: await db.exportData({
+        keyRecord,
+        annotate: exportAnnotations
+      }),
+      name: `alconote-${day}${ENCRYPTED_EXPORT_EXT}`,
+      mime: 'application/octet-stream'
+    };
+  }
+  return {
+    content: await db.exportData({
+      annotate: exportAnnotations
+    }),
+    name: `alconote-${day}.json`,
+    mime: 'application/json'
+  };
+}
+
+// Écrit l'export dans le dossier choisi. Hors geste utilisateur
+// (`interactive: false`), une permission à renouveler n'ouvre pas d'invite :
+// l'erreur porte `needsPermission` et l'appelant bascule sur le rappel.
+async function writeOffsiteExport({
+  interactive = false
+} = {}) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const dir = await db.getDeviceValue(OFFSITE_FOLDER_KEY);
+  if (!dir) throw new Error(t('data.error.noFolder'));
+  const mode = {
+    mode: 'readwrite'
+  };
+  let perm = await dir.queryPermission(mode);
+  if (perm === 'prompt' && interactive) perm = await dir.requestPermission(mode);
+  if (perm !== 'granted') {
+    const err = new Error(t('data.error.folderPermission'));
+    err.needsPermission = true;
+    throw err;
+  }
+  const {
+    content,
+    name
+  } = await buildOffsiteExport(db);
+  const file = await dir.getFileHandle(name, {
+    create: true
+  });
+  const w = await file.createWritable();
+  await w.write(content);
+  await w.close();
+  await markOffsiteBackup();
+  return `${dir.name}/${name}`;
+}
+async function downloadOffsiteExport() {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const {
+    content,
+    name,
+    mime
+  } = await buildOffsiteExport(db);
+  downloadFile(content, name, mime);
+  await markOffsiteBackup();
+  return name;
+}
+
+// « Exporter maintenant » (geste utilisateur) : dossier si disponible,
+// sinon téléchargement.
+async function runOffsiteExportNow() {
+  const dir = supportsFolderExport() ? await getOffsiteFolder() : null;
+  return dir ? writeOffsiteExport({
+    interactive: true
+  }) : downloadOffsiteExport();
+}
+
+// Au lancement (idle, cf. AppShell) : si l'export est dû, écriture
+// silencieuse dans le dossier quand la permission tient encore ; sinon
+// toast de rappel dont le bouton fournit le geste utilisateur requis.
+async function maybeScheduledExport() {
+  const db = await waitForDb();
+  if (!db) return false;
+  const settings = await db.getAllSettings();
+  if (!offsiteBackupOverdue(settings)) return false;
+  // `offsite.encrypted` voyage avec les réglages (import, restauration sur un
+  // autre appareil), pas la clé dérivée du deviceStore : sans elle chaque
+  // export échouerait. On suspend le planning plutôt que d'exporter en
+  // clair, et on demande de le reconfigurer.
+  if (settings['offsite.encrypted'] && !(await db.getDeviceValue(OFFSITE_CRYPTO_KEY))) {
+    await saveSetting('offsite.encrypted', null);
+    await saveSetting('offsite.interval', null);
+    Toast.show(t('offsite.keyMissing'));
+    return false;
+  }
+  const dir = supportsFolderExport() ? await db.getDeviceValue(OFFSITE_FOLDER_KEY) : null;
+  if (dir) {
+    try {
+      const path = await writeOffsiteExport();
+      Toast.show(t('offsite.written', {
+        path
+      }));
+      return true;
+    } catch (e) {
+      if (!e.needsPermission) console.error('Error writing scheduled export:', e);
+    }
+  }
+  Toast.show(t('header.backupOverdue'), {
+    action: {
+      label: t(dir ? 'settings.export' : 'offsite.download'),
+      run: () => runOffsiteExportNow().then(() => Toast.show(t('offsite.exported'))).catch(e => Toast.show(errorText(e, 'settings.exportError')))
+    }
+  });
+  return false;
+}
+
+// ── Notifications locales (alertes BAC) ───────────────────────────
+// Settings :
+//   notifications      : true → alertes activées (semé à true à la création
+//                        de la base, mais rien ne part sans permission)
+//   notify.quietStart  : 'HH:MM' début de la plage silencieuse
+//   notify.quietEnd    : 'HH:MM' fin (franchit minuit si début > fin)
+// QUOI et QUAND viennent de stats.jsx › planBacNotifications ; ici, le
+// transport seulement. Le service worker reçoit le lot complet
+// (SCHEDULE_NOTIFICATIONS remplace le précédent). Sans SW contrôleur
+// (file://, navigateur sans SW), la page garde ses propres minuteries tant
+// qu'elle est ouverte.
+const NOTIFY_ICON = '/assets/icons/icon-192x192.png';
+const _pageNotifyTimers = new Map();
+// Lot programmé courant ({ tag, at, title, body }[]) : la section BAC
+// l'affiche avec un bouton d'annulation.
+let _scheduledNotifications = [];
+const _notifyListeners = new Set();
+function notificationsSupported() {
+  return typeof window !== 'undefined' && typeof window.Notification === 'function';
+}
+function notificationPermission() {
+  return notificationsSupported() ? window.Notification.permission : 'unsupported';
+}
+
+// À appeler depuis un geste utilisateur (les navigateurs ignorent sinon).
+async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'unsupported';
+  if (window.Notification.permission !== 'default') return window.Notification.permission;
+  try {
+    return await window.Notification.requestPermission();
+  } catch {
+    return 'denied';
+  }
+}
+function _notifySW() {
+  const sw = typeof navigator !== 'undefined' ? navigator.serviceWorker : null;
+  return sw && sw.controller ? sw.controller : null;
+}
+function _setScheduledNotifications(items) {
+  _scheduledNotifications = items;
+  _notifyListeners.forEach(fn => {
+    try {
+      fn(items);
+    } catch {}
+  });
+}
+function useScheduledNotifications() {
+  const [items, setItems] = React.useState(_scheduledNotifications);
+  React.useEffect(() => {
+    _notifyListeners.add(setItems);
+    setItems(_scheduledNotifications);
+    return () => {
+      _notifyListeners.delete(setItems);
+    };
+  }, []);
+  return items;
+}
+function _showPageNotification({
+  tag,
+  title,
+  body
+}) {
+  try {
+    new window.Notification(title, {
+      body,
+      tag,
+      icon: NOTIFY_ICON
+    });
+  } catch (e) {
+    console.error('Error showing notification:', e);
+  }
+}
+function _clearPageNotifyTimers() {
+  _pageNotifyTimers.forEach(id => clearTimeout(id));
+  _pageNotifyTimers.clear();
+}
+
+// Remplace TOUT le lot programmé. Sans permission accordée, rien n'est
+// programmé (et le lot précédent est annulé).
+function scheduleNotifications(items) {
+  if (notificationPermission() !== 'granted') items = [];
+  const now = Date.now();
+  const next = (items || []).filter(n => Number.isFinite(n.at) && n.at > now);
+  const sw = _notifySW();
+  _clearPageNotifyTimers();
+  if (sw) {
+    sw.postMessage({
+      type: 'SCHEDULE_NOTIFICATIONS',
+      items: next
+    });
+  } else {
+    for (const n of next) {
+      _pageNotifyTimers.set(n.tag, setTimeout(() => {
+        _pageNotifyTimers.delete(n.tag);
+        _setScheduledNotifications(_scheduledNotifications.filter(x => x.tag !== n.tag));
+        _showPageNotification(n);
+      }, n.at - now));
+    }
+  }
+  _setScheduledNotifications(next);
+}
+function cancelScheduledNotifications() {
+  _clearPageNotifyTimers();
+  const sw = _notifySW();
+  if (sw) sw.postMessage({
+    type: 'CANCEL_NOTIFICATIONS'
+  });
+  _setScheduledNotifications([]);
+}
+
+// Notification immédiate (alerte de pic).
+function showNotificationNow(item) {
+  if (notificationPermission() !== 'granted') return false;
+  const sw = _notifySW();
+  if (sw) sw.postMessage({
+    type: 'SHOW_NOTIFICATION',
+    item
+  });else _showPageNotification(item);
+  return true;
+}
+
 // ── Géolocalisation ───────────────────────────────────────────────
 // Capture optionnelle de la position au moment de l'ajout/édition d'une
 // boisson, pour alimenter la carte des lieux (StatsTab › MapSection).
@@ -1109,10 +2371,10 @@ async function ensureGeoConsent() {
   if (_geoConsentPromise) return _geoConsentPromise;
   _geoConsentPromise = (async () => {
     const ok = await Confirm.ask({
-      title: 'Géolocaliser vos consommations ?',
-      message: 'AlcoNote peut enregistrer le lieu de chaque consommation pour les afficher sur une carte. La position ne quitte pas votre appareil. Demandé une seule fois.',
-      confirmText: 'Autoriser',
-      cancelText: 'Non merci'
+      title: t('data.geo.title'),
+      message: t('data.geo.message'),
+      confirmText: t('data.geo.allow'),
+      cancelText: t('data.geo.decline')
     });
     if (!ok) {
       setGeoConsent('denied');
@@ -1280,6 +2542,22 @@ async function attachLocationToDrink(drinkId) {
   } catch {}
 }
 
+// Variante « lot » (tournées) : UNE capture de position pour toutes les
+// boissons, écrite en une transaction et une entrée de journal.
+async function attachLocationToDrinks(ids, label = t('rounds.locationDefault')) {
+  if (!ids || !ids.length) return;
+  try {
+    const loc = await captureLocationForDrink();
+    if (!loc) return;
+    const db = await waitForDb();
+    if (!db) return;
+    await _journaled(db, label, () => db.updateDrinksBatch(ids, () => ({
+      location: loc
+    })));
+    dataBus.bump('drinks');
+  } catch {}
+}
+
 // Filet de sécurité « plus jamais d'adresse manquante » : complète en
 // arrière-plan les adresses des boissons qui ont déjà des coordonnées mais
 // pas de libellé (échec/timeout du reverse-geocode au moment de l'ajout).
@@ -1387,7 +2665,13 @@ Object.assign(window, {
   setReferencePrice,
   applyReferenceToFamily,
   suggestPriceForVolume,
+  SHARED_SHARES,
+  SHARED_WINDOWS_MIN,
+  sharedContainerEntry,
+  fmtSharedWindow,
+  fmtSharedDrink,
   ratingKey,
+  errorText,
   saveSetting,
   addDrink,
   updateDrink,
@@ -1401,9 +2685,73 @@ Object.assign(window, {
   updateFamily,
   deleteFamily,
   restoreDrinks,
+  setDrinksFood,
+  FOOD_INHERIT_H,
+  DRINK_BATCH_FIELDS,
+  drinkBatchChanges,
+  batchEditDrinks,
+  revertDrinksBatch,
+  deleteDrinksWithSnapshot,
+  useBacReadings,
+  addBacReading,
+  deleteBacReading,
+  refitBacCalibration,
+  resetBacCalibration,
+  useAssessments,
+  addAssessment,
+  deleteAssessment,
+  useRounds,
+  saveRound,
+  deleteRound,
+  logRound,
+  useUnitRows,
+  saveUnit,
+  deleteUnit,
+  useProducts,
+  saveProduct,
+  deleteProduct,
+  PRODUCT_FILE_KEY,
+  parseProductFile,
+  loadProductFile,
+  setProductFile,
+  useProductFile,
+  PENDING_LOOKUPS_KEY,
+  LOOKUP_SYNC_TAG,
+  queuePendingLookup,
+  pendingLookupChanges,
+  resolvePendingLookups,
+  usePendingLookups,
+  applyPendingLookup,
+  dismissPendingLookup,
+  SHARE_TARGET_CACHE,
+  SHARED_IMAGE_URL,
+  takeSharedImage,
+  useJournal,
+  undoLastChange,
+  redoLastChange,
   clearAllData,
+  restoreBackup,
+  OFFSITE_INTERVALS,
+  offsiteBackupOverdue,
+  supportsFolderExport,
+  downloadFile,
+  markOffsiteBackup,
+  getOffsiteFolder,
+  chooseOffsiteFolder,
+  setOffsiteEncryption,
+  runOffsiteExportNow,
+  maybeScheduledExport,
+  exportAnnotations,
+  notificationsSupported,
+  notificationPermission,
+  requestNotificationPermission,
+  scheduleNotifications,
+  cancelScheduledNotifications,
+  showNotificationNow,
+  useScheduledNotifications,
   captureLocationForDrink,
   attachLocationToDrink,
+  attachLocationToDrinks,
   backfillMissingAddresses,
   getPosition,
   getDrinkCoords,
@@ -26,7 +26,7 @@ function FriendRow({
 }) {
   const press = usePressScale();
   const reduced = useReducedMotion();
-  const name = member.displayName || 'Anonyme';
+  const name = member.displayName || t('friends.anonymous');
   return /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'flex',
@@ -38,7 +38,9 @@ function FriendRow({
     }
   }, member.shareBac && /*#__PURE__*/React.createElement("button", {
     type: "button",
-    "aria-label": favorite ? `Retirer ${name} des favoris` : `Mettre ${name} en favori`,
+    "aria-label": t(favorite ? 'friends.unfavAria' : 'friends.favAria', {
+      name
+    }),
     "aria-pressed": !!favorite,
     onClick: () => onToggleFav && onToggleFav(),
     style: {
@@ -57,7 +59,10 @@ function FriendRow({
     type: "button"
   }, press.handlers, {
     onClick: () => onOpen(member),
-    "aria-label": `Voir les statistiques de ${name}, ${member.shareBac ? 'Alcoolémie en direct' : 'BAC non partagé'}`,
+    "aria-label": t('friends.openAria', {
+      name,
+      bac: t(member.shareBac ? 'friends.bacLive' : 'friends.bacHidden')
+    }),
     style: {
       flex: 1,
       minWidth: 0,
@@ -102,9 +107,11 @@ function FriendRow({
       marginTop: 2,
       fontWeight: 500
     }
-  }, member.shareBac ? 'Alcoolémie en direct' : 'BAC non partagé')), /*#__PURE__*/React.createElement(BacPill, {
+  }, t(member.shareBac ? 'friends.bacLive' : 'friends.bacHidden'))), /*#__PURE__*/React.createElement(BacPill, {
     bac: bac == null ? null : bac,
-    ariaLabel: `Alcoolémie de ${name}`
+    ariaLabel: t('friends.bacAria', {
+      name
+    })
   }), /*#__PURE__*/React.createElement("span", {
     style: {
       display: 'flex',
@@ -130,17 +137,21 @@ function GroupAdminPanel({
   const isCreator = !!s.groupId && !!s.userId && s.creatorId === s.userId;
   if (!isCreator || !members || members.length === 0) return null;
   const remove = async m => {
-    const name = m.displayName || 'Anonyme';
+    const name = m.displayName || t('friends.anonymous');
     const ok = await Confirm.ask({
-      title: `Retirer ${name} du groupe ?`,
-      message: 'Son profil et ses boissons partagées seront supprimés du groupe pour tout le monde. Ses données personnelles sur son appareil ne sont pas touchées.',
-      confirmText: 'Retirer',
+      title: t('friends.removeMember.title', {
+        name
+      }),
+      message: t('friends.removeMember.message'),
+      confirmText: t('friends.remove'),
       danger: true
     });
     if (!ok) return;
     try {
       await shareEngine.removeMember(m.userId);
-      Toast.show(`${name} retiré du groupe`);
+      Toast.show(t('friends.removed', {
+        name
+      }));
     } catch (e) {
       Toast.show(shareErrorMessage(e));
     }
@@ -149,7 +160,7 @@ function GroupAdminPanel({
     style: {
       marginTop: 18
     }
-  }, /*#__PURE__*/React.createElement(SectionHead, null, "Administration du groupe"), /*#__PURE__*/React.createElement("div", {
+  }, /*#__PURE__*/React.createElement(SectionHead, null, t('friends.admin')), /*#__PURE__*/React.createElement("div", {
     style: {
       marginTop: 10,
       background: T.surface2,
@@ -177,10 +188,12 @@ function GroupAdminPanel({
       textOverflow: 'ellipsis',
       whiteSpace: 'nowrap'
     }
-  }, m.displayName || 'Anonyme'), /*#__PURE__*/React.createElement("button", {
+  }, m.displayName || t('friends.anonymous')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: () => remove(m),
-    "aria-label": `Retirer ${m.displayName || 'Anonyme'} du groupe`,
+    "aria-label": t('friends.removeAria', {
+      name: m.displayName || t('friends.anonymous')
+    }),
     style: {
       ...ghostButton,
       display: 'flex',
@@ -199,7 +212,7 @@ function GroupAdminPanel({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.userMinus,
     size: 13
-  }), " Retirer")))), /*#__PURE__*/React.createElement("div", {
+  }), " ", t('friends.remove'))))), /*#__PURE__*/React.createElement("div", {
     style: {
       marginTop: 8,
       color: T.muted,
@@ -207,24 +220,126 @@ function GroupAdminPanel({
       letterSpacing: tracking(10.5),
       lineHeight: 1.5
     }
-  }, "Visible uniquement par la personne qui a cr\xE9\xE9 le groupe \u2014 le serveur re-v\xE9rifie ce droit \xE0 chaque retrait."));
+  }, t('friends.adminNote')));
 }
 
 // Pied de l'onglet quand on est dans un groupe : action « Quitter le groupe ».
 // Le code d'invitation N'EST PLUS affiché ici (déjà dans un groupe) — il reste
 // accessible dans Paramètres › Partage, pour inviter d'autres personnes.
+// QR code d'invitation à faire scanner par un ami (écran « Rejoins tes
+// amis » › Scanner un QR code) ; le code reste lisible en dessous.
+function InviteQrSheet({
+  code,
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  return /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: t('friends.inviteQr')
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '92dvh',
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`,
+      display: 'flex',
+      alignItems: 'center',
+      gap: 12
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      fontFamily: fontSerif,
+      fontStyle: 'italic',
+      fontSize: remSize(22),
+      letterSpacing: tracking(22),
+      color: T.ink
+    }
+  }, t('friends.inviteTitle')), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: close,
+    "aria-label": t('common.close'),
+    style: {
+      width: 32,
+      height: 32,
+      borderRadius: 99,
+      background: T.surface2,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink,
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      padding: 0,
+      fontFamily: 'inherit',
+      flexShrink: 0,
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.close,
+    size: 14
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      overflow: 'auto',
+      padding: '22px 22px calc(26px + env(safe-area-inset-bottom))',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      gap: 14
+    }
+  }, /*#__PURE__*/React.createElement(QrCode, {
+    text: inviteQrPayload(code),
+    size: 220,
+    label: t('friends.inviteQrAria', {
+      code
+    })
+  }), /*#__PURE__*/React.createElement("div", {
+    style: {
+      fontFamily: fontNum,
+      fontSize: remSize(20),
+      letterSpacing: tracking(20, {
+        caps: true
+      }),
+      color: T.ink
+    }
+  }, code), /*#__PURE__*/React.createElement("div", {
+    style: {
+      fontSize: remSize(12.5),
+      letterSpacing: tracking(12.5),
+      color: T.muted,
+      lineHeight: 1.5,
+      textAlign: 'center',
+      maxWidth: 280
+    }
+  }, t('friends.inviteHint')))));
+}
 function GroupFooter() {
+  const s = useShare();
+  const [showQr, setShowQr] = React.useState(false);
   const onLeave = async () => {
     const ok = await Confirm.ask({
-      title: 'Quitter le groupe ?',
-      message: 'Tes données partagées seront retirées du groupe et tu ne verras plus celles des autres membres.',
-      confirmText: 'Quitter',
+      title: t('friends.leave.title'),
+      message: t('friends.leave.message'),
+      confirmText: t('friends.leave.confirm'),
       danger: true
     });
     if (!ok) return;
     try {
       await shareEngine.leaveGroup();
-      Toast.show('Groupe quitté');
+      Toast.show(t('friends.left'));
     } catch (e) {
       Toast.show(shareErrorMessage(e));
     }
@@ -236,7 +351,29 @@ function GroupFooter() {
       flexDirection: 'column',
       gap: 10
     }
-  }, /*#__PURE__*/React.createElement("button", {
+  }, s.inviteCode && /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: () => setShowQr(true),
+    style: {
+      ...ghostButton,
+      padding: '10px 12px',
+      cursor: 'pointer',
+      display: 'flex',
+      alignItems: 'center',
+      gap: 8,
+      color: T.accent,
+      fontSize: remSize(13),
+      letterSpacing: tracking(13),
+      fontWeight: 600,
+      alignSelf: 'center'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.users,
+    size: 15
+  }), " ", t('friends.inviteWithQr')), showQr && /*#__PURE__*/React.createElement(InviteQrSheet, {
+    code: s.inviteCode,
+    onClose: () => setShowQr(false)
+  }), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: onLeave,
     style: {
@@ -249,7 +386,7 @@ function GroupFooter() {
       fontWeight: 600,
       alignSelf: 'center'
     }
-  }, "Quitter le groupe"));
+  }, t('friends.leave')));
 }
 
 // État vide / d'amorçage : créer ou rejoindre un groupe.
@@ -257,6 +394,7 @@ function FriendsEmpty() {
   const s = useShare();
   const [code, setCode] = React.useState('');
   const [busy, setBusy] = React.useState(false);
+  const [scanning, setScanning] = React.useState(false);
   if (!s.available) {
     return /*#__PURE__*/React.createElement("div", {
       style: {
@@ -267,7 +405,7 @@ function FriendsEmpty() {
         letterSpacing: tracking(13),
         lineHeight: 1.6
       }
-    }, "Le partage n'est pas configur\xE9 sur cette installation.");
+    }, t('friends.unavailable'));
   }
   if (!s.enabled) {
     return /*#__PURE__*/React.createElement("div", {
@@ -294,7 +432,7 @@ function FriendsEmpty() {
         color: T.ink,
         marginBottom: 8
       }
-    }, "Partage entre amis"), /*#__PURE__*/React.createElement("div", {
+    }, t('share.title')), /*#__PURE__*/React.createElement("div", {
       style: {
         fontSize: remSize(13),
         letterSpacing: tracking(13),
@@ -303,29 +441,29 @@ function FriendsEmpty() {
         maxWidth: 300,
         margin: '0 auto'
       }
-    }, "Active le partage dans les ", /*#__PURE__*/React.createElement("strong", {
+    }, t('friends.disabled.before'), /*#__PURE__*/React.createElement("strong", {
       style: {
         color: T.ink
       }
-    }, "Param\xE8tres"), " (menu en haut \xE0 gauche) pour voir l'alcool\xE9mie et les statistiques de tes amis ici."));
+    }, t('friends.disabled.settings')), t('friends.disabled.after')));
   }
   const create = async () => {
     setBusy(true);
     try {
       await shareEngine.createGroup();
-      Toast.show('Groupe créé');
+      Toast.show(t('friends.created'));
     } catch (e) {
       Toast.show(shareErrorMessage(e));
     } finally {
       setBusy(false);
     }
   };
-  const join = async () => {
-    if (!code.trim()) return;
+  const join = async (value = code) => {
+    if (!value.trim()) return;
     setBusy(true);
     try {
-      await shareEngine.joinGroup(code);
-      Toast.show('Groupe rejoint');
+      await shareEngine.joinGroup(value);
+      Toast.show(t('friends.joined'));
     } catch (e) {
       Toast.show(shareErrorMessage(e));
     } finally {
@@ -362,14 +500,14 @@ function FriendsEmpty() {
       color: T.ink,
       marginBottom: 6
     }
-  }, "Rejoins tes amis"), /*#__PURE__*/React.createElement("div", {
+  }, t('friends.join.title')), /*#__PURE__*/React.createElement("div", {
     style: {
       fontSize: remSize(13),
       letterSpacing: tracking(13),
       color: T.muted,
       lineHeight: 1.5
     }
-  }, "Cr\xE9e un groupe et partage le code, ou saisis le code d'un ami.")), /*#__PURE__*/React.createElement("button", {
+  }, t('friends.join.sub'))), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: create,
     disabled: busy,
@@ -386,7 +524,7 @@ function FriendsEmpty() {
       fontFamily: 'inherit',
       opacity: busy ? 0.6 : 1
     }
-  }, "Cr\xE9er un groupe"), /*#__PURE__*/React.createElement("div", {
+  }, t('share.createGroup')), /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'flex',
       alignItems: 'center',
@@ -401,7 +539,7 @@ function FriendsEmpty() {
       height: 1,
       background: T.rule
     }
-  }), "OU", /*#__PURE__*/React.createElement("div", {
+  }), t('friends.or'), /*#__PURE__*/React.createElement("div", {
     style: {
       flex: 1,
       height: 1,
@@ -415,8 +553,8 @@ function FriendsEmpty() {
   }, /*#__PURE__*/React.createElement("input", {
     value: code,
     onChange: e => setCode(e.target.value.toUpperCase()),
-    placeholder: "CODE-AMI",
-    "aria-label": "Code d'invitation",
+    placeholder: t('friends.codePh'),
+    "aria-label": t('share.inviteCode'),
     style: {
       flex: 1,
       padding: '12px 14px',
@@ -433,7 +571,7 @@ function FriendsEmpty() {
     }
   }), /*#__PURE__*/React.createElement("button", {
     type: "button",
-    onClick: join,
+    onClick: () => join(),
     disabled: busy || !code.trim(),
     style: {
       padding: '12px 18px',
@@ -448,7 +586,35 @@ function FriendsEmpty() {
       fontFamily: 'inherit',
       opacity: busy || !code.trim() ? 0.5 : 1
     }
-  }, "Rejoindre")));
+  }, t('friends.join'))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: () => setScanning(true),
+    disabled: busy,
+    style: {
+      ...ghostButton,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      gap: 8,
+      padding: '10px 12px',
+      cursor: busy ? 'default' : 'pointer',
+      color: T.accent,
+      fontSize: remSize(13),
+      letterSpacing: tracking(13),
+      fontWeight: 600
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.scan,
+    size: 16
+  }), " ", t('friends.scanQr')), scanning && /*#__PURE__*/React.createElement(ScannerSheet, {
+    mode: "invite",
+    onClose: () => setScanning(false),
+    onScanned: scanned => {
+      setScanning(false);
+      setCode(scanned);
+      join(scanned);
+    }
+  }));
 }
 function FriendsTab({
   onOpenFriend
@@ -488,10 +654,12 @@ function FriendsTab({
       textTransform: 'uppercase',
       fontWeight: 500
     }
-  }, s.syncing ? 'Synchronisation…' : s.lastPullAt ? `Mis à jour ${fmtRelTime(s.lastPullAt)}` : 'Prêt'), /*#__PURE__*/React.createElement("button", {
+  }, s.syncing ? t('friends.syncing') : s.lastPullAt ? t('friends.updated', {
+    when: fmtRelTime(s.lastPullAt)
+  }) : t('friends.ready')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: onRefresh,
-    "aria-label": "Rafra\xEEchir",
+    "aria-label": t('friends.refresh'),
     disabled: s.syncing,
     style: {
       ...ghostButton,
@@ -509,7 +677,7 @@ function FriendsTab({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.refresh,
     size: 15
-  }), " Rafra\xEEchir")), hasGroup && !s.online && /*#__PURE__*/React.createElement("div", {
+  }), " ", t('friends.refresh'))), hasGroup && !s.online && /*#__PURE__*/React.createElement("div", {
     style: {
       margin: '0 16px 8px',
       padding: '8px 12px',
@@ -522,7 +690,7 @@ function FriendsTab({
       lineHeight: 1.4,
       textAlign: 'center'
     }
-  }, "Vous n'\xEAtes pas connect\xE9\xB7e \xE0 Internet"), hasGroup && s.online && s.errorDetail && /*#__PURE__*/React.createElement("div", {
+  }, t('friends.offline')), hasGroup && s.online && s.errorDetail && /*#__PURE__*/React.createElement("div", {
     style: {
       margin: '0 16px 8px',
       padding: '8px 12px',
@@ -552,14 +720,14 @@ function FriendsTab({
       color: T.ink,
       marginBottom: 8
     }
-  }, "Aucun ami pour l'instant"), /*#__PURE__*/React.createElement("div", {
+  }, t('friends.empty')), /*#__PURE__*/React.createElement("div", {
     style: {
       fontSize: remSize(12.5),
       letterSpacing: tracking(12.5),
       color: T.muted,
       lineHeight: 1.6
     }
-  }, "Partage ton code d'invitation ci-dessous pour que tes amis te rejoignent.")), hasGroup && members.length > 0 && /*#__PURE__*/React.createElement("div", {
+  }, t('friends.emptySub'))), hasGroup && members.length > 0 && /*#__PURE__*/React.createElement("div", {
     style: {
       background: T.surface2,
       border: `1px solid ${T.rule}`,
@@ -583,10 +751,16 @@ function FriendsTab({
 // Libellé relatif court ("à l'instant", "il y a 8 min", "il y a 2 h").
 function fmtRelTime(ts) {
   const s = Math.max(0, Math.round((Date.now() - ts) / 1000));
-  if (s < 30) return "à l'instant";
-  if (s < 3600) return `il y a ${Math.round(s / 60)} min`;
-  if (s < 86400) return `il y a ${Math.round(s / 3600)} h`;
-  return `il y a ${Math.round(s / 86400)} j`;
+  if (s < 30) return t('rel.now');
+  if (s < 3600) return t('rel.minutes', {
+    count: Math.round(s / 60)
+  });
+  if (s < 86400) return t('rel.hours', {
+    count: Math.round(s / 3600)
+  });
+  return t('rel.days', {
+    count: Math.round(s / 86400)
+  });
 }
 
 // Vue plein écran : stats d'un ami via StatsTab + contextes surchargés.
@@ -618,18 +792,22 @@ function FriendStatsView({
   // membre quand le créateur est inconnu (created_by NULL) — le serveur
   // re-vérifie ces droits dans remove_member quoi qu'affiche l'UI.
   const canRemove = !!s.groupId && (s.creatorId == null || s.creatorId === s.userId);
-  const name = friend.displayName || 'Anonyme';
+  const name = friend.displayName || t('friends.anonymous');
   const onRemove = async () => {
     const ok = await Confirm.ask({
-      title: `Retirer ${name} ?`,
-      message: 'Ses boissons partagées seront supprimées du groupe pour tout le monde. Ses données personnelles sur son appareil ne sont pas touchées.',
-      confirmText: 'Retirer',
+      title: t('friends.removeFriend.title', {
+        name
+      }),
+      message: t('friends.removeFriend.message'),
+      confirmText: t('friends.remove'),
       danger: true
     });
     if (!ok) return;
     try {
       await shareEngine.removeMember(friend.userId);
-      Toast.show(`${name} retiré du groupe`);
+      Toast.show(t('friends.removed', {
+        name
+      }));
       close();
     } catch (e) {
       Toast.show(shareErrorMessage(e));
@@ -641,8 +819,11 @@ function FriendStatsView({
   }), [friendDrinks]);
   const settingsValue = React.useMemo(() => ({
     userWeight: friend.bacWeight != null ? friend.bacWeight : undefined,
-    userGender: friend.bacGender || undefined
-  }), [friend.bacWeight, friend.bacGender]);
+    userGender: friend.bacGender || undefined,
+    bacModel: friend.bacModel || undefined,
+    userAge: friend.bacAge != null ? friend.bacAge : undefined,
+    userHeight: friend.bacHeight != null ? friend.bacHeight : undefined
+  }), [friend.bacWeight, friend.bacGender, friend.bacModel, friend.bacAge, friend.bacHeight]);
 
   // ── Retour au doigt ────────────────────────────────────────────
   // La fiche est une PAGE poussée depuis la droite : on doit pouvoir la
@@ -766,7 +947,7 @@ function FriendStatsView({
     type: "button",
     className: "alco-press",
     onClick: close,
-    "aria-label": "Retour",
+    "aria-label": t('friends.back'),
     style: {
       width: 38,
       height: 38,
@@ -801,7 +982,7 @@ function FriendStatsView({
       textOverflow: 'ellipsis',
       whiteSpace: 'nowrap'
     }
-  }, friend.displayName || 'Anonyme'), /*#__PURE__*/React.createElement("div", {
+  }, name), /*#__PURE__*/React.createElement("div", {
     style: {
       fontSize: remSize(9.5),
       letterSpacing: tracking(9.5, {
@@ -812,13 +993,13 @@ function FriendStatsView({
       marginTop: 2,
       fontWeight: 500
     }
-  }, "Statistiques partag\xE9es")), /*#__PURE__*/React.createElement("button", {
+  }, t('friends.sharedStats'))), /*#__PURE__*/React.createElement("button", {
     type: "button",
-    "aria-label": "T\xE9l\xE9charger tout l'historique",
+    "aria-label": t('friends.pullAll'),
     disabled: s.syncing,
     onClick: async () => {
       const errDetail = await shareEngine.pullFullHistory();
-      Toast.show(errDetail ? 'Échec du téléchargement' : 'Historique à jour');
+      Toast.show(t(errDetail ? 'friends.pullFailed' : 'friends.pullDone'));
     },
     style: {
       width: 38,
@@ -840,7 +1021,9 @@ function FriendStatsView({
     size: 18
   })), canRemove && /*#__PURE__*/React.createElement("button", {
     type: "button",
-    "aria-label": `Retirer ${name} du groupe`,
+    "aria-label": t('friends.removeAria', {
+      name
+    }),
     onClick: onRemove,
     style: {
       width: 38,
@@ -861,7 +1044,7 @@ function FriendStatsView({
     size: 18
   })), friend.shareBac && /*#__PURE__*/React.createElement("button", {
     type: "button",
-    "aria-label": isFav ? 'Retirer des favoris' : 'Mettre en favori',
+    "aria-label": t(isFav ? 'friends.unfav' : 'friends.fav'),
     "aria-pressed": isFav,
     onClick: () => shareEngine.toggleFavorite(friend.userId),
     style: {
@@ -934,7 +1117,9 @@ function HeaderBacStack() {
     bac: bacMap[fav.userId] == null ? null : bacMap[fav.userId],
     tone: "good",
     compact: true,
-    ariaLabel: `Alcoolémie de ${fav.displayName || 'mon favori'}`
+    ariaLabel: t('friends.bacAria', {
+      name: fav.displayName || t('friends.myFavorite')
+    })
   }));
 }
 Object.assign(window, {
@@ -942,6 +1127,7 @@ Object.assign(window, {
   FriendStatsView,
   FriendRow,
   GroupFooter,
+  InviteQrSheet,
   GroupAdminPanel,
   HeaderBacStack
 });
\ No newline at end of file
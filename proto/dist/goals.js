@@ -0,0 +1,811 @@
+/* AUTO-GENERATED from proto/goals.jsx — do not edit by hand. */
+// goals.jsx — Objectifs de consommation : section Stats « Objectifs » et
+// badge de l'onglet Catégories quand une limite approche.
+//
+// Un objectif compare ce qui a été bu à une intention, période par période
+// (semaine du lundi, mois civil, ou plage fixe d'un défi) :
+//   weeklyDrinks : au plus N verres standard par semaine (aggregateGeneral)
+//   sessionGrams : au plus N g d'alcool par session (computeBACSessions)
+//   soberDays    : au moins N jours sans alcool par mois (soberDaysInRange)
+//   dry          : aucun verre du `start` au `end` (Dry January…)
+// Les calculs passent par les MÊMES helpers que l'onglet Stats (stats.jsx,
+// chargé après ce fichier : résolus à l'appel, pas au chargement).
+//
+// Settings (JSON, suivent l'export) :
+//   goals         : [{ id, type, limit, start?, end?, createdAt }]
+//   goals.history : { [goalId]: { [clé de période]: { met, value, limit } } }
+// L'historique couvre les périodes TERMINÉES depuis la création (la période
+// entamée à la création ne compte pas). Une période reste recalculée
+// pendant GOAL_HISTORY_GRACE_DAYS après sa fin (verres saisis après coup),
+// puis son résultat est figé.
+
+const GOAL_NEAR_RATIO = 0.8; // « proche » à 80 % d'un plafond
+const GOAL_SOBER_SLACK = 2; // « proche » quand il reste ≤ 2 jours de marge
+const GOAL_HISTORY_MAX = 104; // périodes conservées par objectif
+const GOAL_HISTORY_GRACE_DAYS = 7;
+const GOALS_KEY = 'goals';
+const GOALS_HISTORY_KEY = 'goals.history';
+
+// Libellés : `goals.type.<id>` (choix du type) et `goals.unit.<id>`
+// (suffixe de la valeur) dans les catalogues i18n.
+const GOAL_TYPES = {
+  weeklyDrinks: {
+    id: 'weeklyDrinks',
+    period: 'week',
+    def: 10
+  },
+  sessionGrams: {
+    id: 'sessionGrams',
+    period: 'week',
+    def: 40
+  },
+  soberDays: {
+    id: 'soberDays',
+    period: 'month',
+    def: 15
+  },
+  dry: {
+    id: 'dry',
+    period: 'challenge'
+  }
+};
+
+// Un objectif garde la taille de verre standard de sa création (`stdGrams`) :
+// changer de pays dans les réglages ne réécrit pas les périodes passées.
+function standardDrinks(grams, perDrink = STANDARD_DRINK_G) {
+  return (Number(grams) || 0) / perDrink;
+}
+function parseGoals(raw) {
+  try {
+    const list = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return Array.isArray(list) ? list.filter(g => g && g.id && GOAL_TYPES[g.type]) : [];
+  } catch {
+    return [];
+  }
+}
+function parseGoalHistory(raw) {
+  try {
+    const h = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return h && typeof h === 'object' && !Array.isArray(h) ? h : {};
+  } catch {
+    return {};
+  }
+}
+const _goalDay = d => {
+  const x = new Date(d);
+  x.setHours(0, 0, 0, 0);
+  return x;
+};
+const _goalAddDays = (d, n) => {
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  return x;
+};
+
+// Prochain « Dry January » : celui en cours en janvier, sinon l'an prochain.
+function dryJanuaryRange(now = Date.now()) {
+  const d = new Date(now);
+  const y = d.getMonth() === 0 ? d.getFullYear() : d.getFullYear() + 1;
+  return {
+    start: `${y}-01-01`,
+    end: `${y}-01-31`
+  };
+}
+
+// Période de l'objectif contenant `at` → { key, start, end } (minuits
+// locaux, bornes incluses). Clés triables : 'w:<lundi>', 'm:<1er>', 'c:<début>'.
+function goalPeriod(goal, at = Date.now()) {
+  if (goal.type === 'dry') {
+    return {
+      key: `c:${goal.start}`,
+      start: new Date(`${goal.start}T00:00`),
+      end: new Date(`${goal.end}T00:00`)
+    };
+  }
+  const kind = GOAL_TYPES[goal.type].period;
+  const {
+    start,
+    end
+  } = getPeriodRange(kind, new Date(at));
+  return {
+    key: `${kind === 'week' ? 'w' : 'm'}:${localDate(start)}`,
+    start,
+    end
+  };
+}
+
+// Évalue un objectif sur une période → { value, limit, status, done }.
+// status : 'ok' | 'near' | 'over' tant que la période court, 'met' |
+// 'missed' une fois terminée. `model` : modèle BAC (sessions).
+function evaluateGoal(goal, drinks, period, {
+  model,
+  now = Date.now()
+} = {}) {
+  const today = _goalDay(now);
+  const done = today > period.end;
+  const inRange = filterDrinksInRange(drinks || [], period.start, period.end);
+  const limit = Number(goal.limit) || 0;
+  let value = 0,
+    over = false,
+    near = false;
+  switch (goal.type) {
+    case 'weeklyDrinks':
+      value = standardDrinks(aggregateGeneral(inRange).grams, goal.stdGrams || STANDARD_DRINK_G);
+      over = value > limit;
+      near = value >= limit * GOAL_NEAR_RATIO;
+      break;
+    case 'sessionGrams':
+      {
+        // Sessions COMMENCÉES dans la période, calculées depuis la veille : une
+        // session à cheval sur minuit n'est pas coupée en deux.
+        const startMs = period.start.getTime(),
+          endMs = _goalAddDays(period.end, 1).getTime();
+        const sessions = computeBACSessions(filterDrinksInRange(drinks || [], _goalAddDays(period.start, -1), period.end), model).filter(s => s.startTs >= startMs && s.startTs < endMs);
+        value = sessions.reduce((m, s) => Math.max(m, s.grams), 0);
+        over = value > limit;
+        near = value >= limit * GOAL_NEAR_RATIO;
+        break;
+      }
+    case 'soberDays':
+      {
+        // Aujourd'hui compte comme sobre tant qu'aucun verre n'y est saisi ;
+        // `left` = jours encore à venir après aujourd'hui.
+        value = soberDaysInRange(inRange, period, done ? null : today);
+        const left = done ? 0 : Math.max(0, Math.round((period.end - today) / 86400000));
+        const slack = value + left - limit;
+        over = slack < 0;
+        near = !over && value < limit && slack <= GOAL_SOBER_SLACK;
+        break;
+      }
+    case 'dry':
+      value = inRange.length;
+      over = value > 0;
+      break;
+  }
+  const status = done ? over ? 'missed' : 'met' : over ? 'over' : near ? 'near' : 'ok';
+  return {
+    value,
+    limit,
+    status,
+    done
+  };
+}
+
+// Périodes terminées depuis la création, la plus ancienne d'abord.
+function completedGoalPeriods(goal, now = Date.now()) {
+  const today = _goalDay(now);
+  if (goal.type === 'dry') {
+    const p = goalPeriod(goal);
+    return p.end < today ? [p] : [];
+  }
+  const created = _goalDay(goal.createdAt || now);
+  const out = [];
+  let p = goalPeriod(goal, created);
+  if (p.start < created) p = goalPeriod(goal, _goalAddDays(p.end, 1));
+  while (p.end < today) {
+    out.push(p);
+    p = goalPeriod(goal, _goalAddDays(p.end, 1));
+  }
+  return out.slice(-GOAL_HISTORY_MAX);
+}
+
+// Historique à jour (pur) : périodes terminées manquantes ou encore dans le
+// délai de grâce recalculées, les autres reprises telles quelles. Les
+// objectifs supprimés disparaissent.
+function nextGoalHistory(goals, history, drinks, {
+  model,
+  now = Date.now()
+} = {}) {
+  const today = _goalDay(now);
+  const next = {};
+  for (const g of goals) {
+    const prev = history && history[g.id] || {};
+    const rec = {};
+    for (const p of completedGoalPeriods(g, now)) {
+      if (prev[p.key] && _goalAddDays(p.end, GOAL_HISTORY_GRACE_DAYS) < today) {
+        rec[p.key] = prev[p.key];
+        continue;
+      }
+      const e = evaluateGoal(g, drinks, p, {
+        model,
+        now
+      });
+      rec[p.key] = {
+        met: e.status === 'met',
+        value: Math.round(e.value * 10) / 10,
+        limit: e.limit
+      };
+    }
+    next[g.id] = rec;
+  }
+  return next;
+}
+
+// Séries de périodes tenues : `current` = série qui se termine sur la
+// dernière période enregistrée, `best` = record.
+function goalStreak(records) {
+  const keys = Object.keys(records || {}).sort();
+  let run = 0,
+    best = 0,
+    met = 0;
+  for (const k of keys) {
+    if (records[k].met) {
+      run++;
+      met++;
+      best = Math.max(best, run);
+    } else run = 0;
+  }
+  return {
+    current: run,
+    best,
+    met,
+    total: keys.length
+  };
+}
+
+// Objectifs dont la période en cours est proche de la limite ou déjà
+// ratée (badge de l'onglet Catégories), les ratés d'abord.
+function goalAlerts(goals, drinks, {
+  model,
+  now = Date.now()
+} = {}) {
+  return goals.map(goal => ({
+    goal,
+    ...evaluateGoal(goal, drinks, goalPeriod(goal, now), {
+      model,
+      now
+    })
+  })).filter(e => e.status === 'near' || e.status === 'over').filter(e => e.goal.type !== 'dry' || _goalDay(now) >= goalPeriod(e.goal).start).sort((a, b) => (a.status === 'over' ? 0 : 1) - (b.status === 'over' ? 0 : 1));
+}
+
+// « 8,4 / 10 verres std », « 12 / 15 jours »…
+function fmtGoalValue(goal, value) {
+  if (goal.type === 'dry') return t('goals.dryValue', {
+    count: value
+  });
+  const v = goal.type === 'weeklyDrinks' ? fmtNumber(value, 1) : fmtNumber(Math.round(value), 0);
+  const limit = fmtNumber(goal.limit, goal.type === 'weeklyDrinks' ? 1 : 0);
+  return t('goals.value', {
+    value: v,
+    limit,
+    unit: t(`goals.unit.${goal.type}`)
+  });
+}
+function goalTitle(goal) {
+  if (goal.type === 'dry') {
+    return goal.label || t('goals.title.dry', {
+      start: fmtDateMedium(goal.start),
+      end: fmtDateMedium(goal.end)
+    });
+  }
+  const per = goal.stdGrams && goal.stdGrams !== STANDARD_DRINK_G ? ` (${fmtNumber(goal.stdGrams, 2)} g)` : '';
+  const limit = goal.type === 'weeklyDrinks' ? fmtNumber(goal.limit, 1) : goal.limit;
+  return t(`goals.title.${goal.type}`, {
+    count: goal.limit,
+    limit,
+    per
+  });
+}
+
+// ── Écritures (settings) ──────────────────────────────────────────
+async function addGoal({
+  type,
+  limit,
+  start,
+  end,
+  label
+}) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  if (!GOAL_TYPES[type]) throw new Error(t('goals.invalid'));
+  const goal = {
+    id: `goal-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    createdAt: Date.now()
+  };
+  if (type === 'dry') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start || '') || !/^\d{4}-\d{2}-\d{2}$/.test(end || '') || end < start) {
+      throw new Error(t('goals.invalid'));
+    }
+    Object.assign(goal, {
+      start,
+      end,
+      limit: 0
+    }, label ? {
+      label
+    } : null);
+  } else {
+    const n = typeof limit === 'number' ? limit : parseDecimal(limit);
+    if (!Number.isFinite(n) || n <= 0 || type === 'soberDays' && n > 31) throw new Error(t('goals.invalid'));
+    goal.limit = type === 'weeklyDrinks' ? Math.round(n * 10) / 10 : Math.round(n);
+    if (type === 'weeklyDrinks') goal.stdGrams = getStandardDrink().grams;
+  }
+  const goals = parseGoals(await db.getSetting(GOALS_KEY));
+  await db.setSetting(GOALS_KEY, JSON.stringify([...goals, goal]));
+  dataBus.bump('settings');
+  await syncGoalHistory();
+  return goal;
+}
+async function deleteGoal(id) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const goals = parseGoals(await db.getSetting(GOALS_KEY)).filter(g => g.id !== id);
+  const history = parseGoalHistory(await db.getSetting(GOALS_HISTORY_KEY));
+  delete history[id];
+  await db.setSetting(GOALS_KEY, goals.length ? JSON.stringify(goals) : null);
+  await db.setSetting(GOALS_HISTORY_KEY, Object.keys(history).length ? JSON.stringify(history) : null);
+  dataBus.bump('settings');
+}
+
+// Écrit l'historique seulement s'il a changé (appelé à l'affichage de la
+// section et après chaque ajout d'objectif — pas de boucle de bumps).
+async function syncGoalHistory(now = Date.now()) {
+  const db = await waitForDb();
+  if (!db) return null;
+  const [drinks, settings] = await Promise.all([db.getAllDrinks(), db.getAllSettings()]);
+  const goals = parseGoals(settings[GOALS_KEY]);
+  const prev = parseGoalHistory(settings[GOALS_HISTORY_KEY]);
+  const next = nextGoalHistory(goals, prev, drinks, {
+    model: bacModelFromSettings(settings),
+    now
+  });
+  const raw = Object.keys(next).length ? JSON.stringify(next) : null;
+  if (raw !== (settings[GOALS_HISTORY_KEY] || null)) {
+    await db.setSetting(GOALS_HISTORY_KEY, raw);
+    dataBus.bump('settings');
+  }
+  return next;
+}
+
+// ── UI ────────────────────────────────────────────────────────────
+// Libellé : `goals.status.<statut>`.
+const GOAL_STATUS = {
+  ok: {
+    color: () => T.good
+  },
+  near: {
+    color: () => T.accent
+  },
+  over: {
+    color: () => T.accent2
+  },
+  met: {
+    color: () => T.good
+  },
+  missed: {
+    color: () => T.accent2
+  }
+};
+
+// Badge de l'onglet Catégories : le premier objectif proche / dépassé.
+function GoalsBadge() {
+  const {
+    drinks
+  } = useDrinks();
+  const settings = useSettings();
+  const goals = React.useMemo(() => parseGoals(settings[GOALS_KEY]), [settings[GOALS_KEY]]); // eslint-disable-line react-hooks/exhaustive-deps
+  const alerts = React.useMemo(() => goals.length ? goalAlerts(goals, drinks, {
+    model: bacModelFromSettings(settings)
+  }) : [], [goals, drinks, settings] // eslint-disable-line react-hooks/exhaustive-deps
+  );
+  if (!alerts.length) return null;
+  const a = alerts[0];
+  const st = GOAL_STATUS[a.status];
+  const label = t(`goals.status.${a.status}`);
+  const more = alerts.length > 1 ? ` · +${alerts.length - 1}` : '';
+  return /*#__PURE__*/React.createElement("div", {
+    role: "status",
+    "aria-label": t('goals.badgeAria', {
+      status: label.toLowerCase()
+    }),
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 8,
+      margin: '0 18px 12px',
+      padding: '8px 12px',
+      borderRadius: 12,
+      background: a.status === 'over' ? T.dangerSoftBg : T.accentSoft,
+      border: `1px solid ${a.status === 'over' ? T.dangerSoftBorder : T.accentSoftBorder}`
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    "aria-hidden": "true",
+    style: {
+      width: 8,
+      height: 8,
+      borderRadius: 99,
+      background: st.color(),
+      flexShrink: 0
+    }
+  }), /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink,
+      ...type(12, {
+        weight: 600
+      })
+    }
+  }, label), /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink2,
+      ...type(12),
+      ...TYPE.num,
+      minWidth: 0,
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap'
+    }
+  }, fmtGoalValue(a.goal, a.value), more));
+}
+function GoalProgress({
+  goal,
+  value,
+  status
+}) {
+  const ratio = goal.type === 'dry' ? value > 0 ? 1 : 0 : goal.limit > 0 ? Math.min(1, value / goal.limit) : 0;
+  return /*#__PURE__*/React.createElement("div", {
+    "aria-hidden": "true",
+    style: {
+      height: 6,
+      borderRadius: 99,
+      background: T.surface3,
+      overflow: 'hidden',
+      margin: '8px 0'
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      width: `${ratio * 100}%`,
+      height: '100%',
+      borderRadius: 99,
+      background: GOAL_STATUS[status].color()
+    }
+  }));
+}
+function GoalCard({
+  goal,
+  drinks,
+  model,
+  records
+}) {
+  const period = goalPeriod(goal);
+  const e = evaluateGoal(goal, drinks, period, {
+    model
+  });
+  const upcoming = goal.type === 'dry' && _goalDay(Date.now()) < period.start;
+  const status = upcoming ? 'ok' : e.status;
+  const streak = goalStreak(records);
+  const kind = GOAL_TYPES[goal.type].period;
+  const recent = Object.keys(records || {}).sort().slice(-8);
+  const onDelete = async () => {
+    const ok = await Confirm.ask({
+      title: t('goals.delete.title'),
+      message: t('goals.delete.message'),
+      confirmText: t('common.delete'),
+      danger: true
+    });
+    if (ok) await deleteGoal(goal.id);
+  };
+  return /*#__PURE__*/React.createElement(Card, {
+    style: {
+      marginBottom: 10
+    },
+    "aria-label": goalTitle(goal)
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: 10
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink,
+      ...type(12.5, {
+        weight: 500
+      })
+    }
+  }, goalTitle(goal)), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: GOAL_STATUS[status].color(),
+      ...type(11, {
+        weight: 600
+      }),
+      marginTop: 3
+    }
+  }, upcoming ? t('goals.startsOn', {
+    date: fmtDateMedium(goal.start)
+  }) : t(`goals.status.${status}`), /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.muted,
+      fontWeight: 400
+    }
+  }, " \xB7 ", fmtGoalValue(goal, e.value)))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    "aria-label": t('goals.delete.aria'),
+    onClick: onDelete,
+    style: {
+      ...ghostButton,
+      padding: 4,
+      display: 'flex'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.trash,
+    size: 13,
+    color: T.muted
+  }))), /*#__PURE__*/React.createElement(GoalProgress, {
+    goal: goal,
+    value: e.value,
+    status: status
+  }), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: 10
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(10.5)
+    }
+  }, streak.total ? t('goals.streak', {
+    current: t(`goals.period.${kind}`, {
+      count: streak.current
+    }),
+    best: streak.best,
+    met: t('goals.streak.met', {
+      count: streak.met,
+      total: streak.total
+    })
+  }) : t(`goals.noPeriod.${kind}`)), recent.length > 0 && /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 3
+    },
+    "aria-label": t('goals.recent')
+  }, recent.map(k => /*#__PURE__*/React.createElement("span", {
+    key: k,
+    title: t('goals.recent.item', {
+      period: k.slice(2),
+      status: t(records[k].met ? 'goals.period.met' : 'goals.period.missed')
+    }),
+    "aria-label": t(records[k].met ? 'goals.period.met' : 'goals.period.missed'),
+    style: {
+      width: 8,
+      height: 8,
+      borderRadius: 99,
+      background: records[k].met ? T.good : 'transparent',
+      border: `1.5px solid ${records[k].met ? T.good : T.accent2}`
+    }
+  })))));
+}
+function GoalForm({
+  onDone
+}) {
+  const [kind, setKind] = React.useState('weeklyDrinks');
+  const [limit, setLimit] = React.useState(String(GOAL_TYPES.weeklyDrinks.def));
+  const dry = dryJanuaryRange();
+  const [start, setStart] = React.useState(dry.start);
+  const [end, setEnd] = React.useState(dry.end);
+  const [busy, setBusy] = React.useState(false);
+  const pick = id => {
+    setKind(id);
+    if (GOAL_TYPES[id].def != null) setLimit(String(GOAL_TYPES[id].def));
+  };
+  const onSubmit = async () => {
+    setBusy(true);
+    try {
+      const isJanuary = kind === 'dry' && start === dry.start && end === dry.end;
+      await addGoal({
+        type: kind,
+        limit,
+        start,
+        end,
+        label: isJanuary ? `Dry January ${start.slice(0, 4)}` : undefined
+      });
+      Toast.show(t('goals.added'));
+      onDone();
+    } catch (e) {
+      Toast.show(e.message === t('goals.invalid') ? e.message : t('goals.saveError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const dateInput = (value, onChange, label) => /*#__PURE__*/React.createElement("input", {
+    type: "date",
+    value: value,
+    onChange: ev => onChange(ev.target.value),
+    "aria-label": label,
+    style: {
+      ...inputBaseStyle(),
+      padding: '8px 10px',
+      ...type(13),
+      flex: 1,
+      minWidth: 0
+    }
+  });
+  return /*#__PURE__*/React.createElement(Card, {
+    style: {
+      marginBottom: 10
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('goals.typeAria'),
+    style: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: 6,
+      marginBottom: 10
+    }
+  }, Object.values(GOAL_TYPES).map(g => /*#__PURE__*/React.createElement("button", {
+    key: g.id,
+    type: "button",
+    role: "radio",
+    "aria-checked": kind === g.id,
+    onClick: () => pick(g.id),
+    style: {
+      padding: '6px 10px',
+      borderRadius: 99,
+      cursor: 'pointer',
+      fontFamily: 'inherit',
+      ...type(11.5, {
+        weight: kind === g.id ? 600 : 400
+      }),
+      background: kind === g.id ? T.ink : T.surface3,
+      color: kind === g.id ? T.bg : T.ink2,
+      border: `1px solid ${kind === g.id ? T.ink : T.rule}`
+    }
+  }, t(`goals.type.${g.id}`)))), kind === 'dry' ? /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 8,
+      alignItems: 'center',
+      marginBottom: 10
+    }
+  }, dateInput(start, setStart, t('goals.dryStart')), /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.muted,
+      ...type(12)
+    }
+  }, "\u2192"), dateInput(end, setEnd, t('goals.dryEnd'))) : /*#__PURE__*/React.createElement("div", {
+    style: {
+      marginBottom: 10
+    }
+  }, /*#__PURE__*/React.createElement(NumberField, {
+    value: limit,
+    onChange: setLimit,
+    ariaLabel: t('goals.limitAria'),
+    allowDecimal: kind === 'weeklyDrinks',
+    suffix: t(`goals.unit.${kind}`)
+  })), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      justifyContent: 'flex-end',
+      gap: 8
+    }
+  }, /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: onDone,
+    style: {
+      ...ghostButton,
+      color: T.ink2,
+      ...type(12)
+    }
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: onSubmit,
+    disabled: busy,
+    style: {
+      border: 'none',
+      fontFamily: 'inherit',
+      cursor: 'pointer',
+      background: T.accent,
+      color: T.accentInk,
+      ...type(12, {
+        weight: 600
+      }),
+      padding: '9px 14px',
+      borderRadius: 10,
+      opacity: busy ? 0.5 : 1
+    }
+  }, t('goals.create'))));
+}
+
+// Section Stats « Objectifs » : indépendante de la période affichée (chaque
+// objectif a sa propre période). Masquée dans la vue d'un ami.
+function GoalsSection({
+  allDrinks: filtered,
+  unfilteredDrinks,
+  settings,
+  bacModel,
+  readOnly,
+  collapsed,
+  toggleSection
+}) {
+  // Un objectif porte sur TOUS les verres, même sous un filtre nommé.
+  const allDrinks = unfilteredDrinks || filtered;
+  const [adding, setAdding] = React.useState(false);
+  const rawGoals = settings[GOALS_KEY];
+  const goals = React.useMemo(() => parseGoals(rawGoals), [rawGoals]);
+  const history = React.useMemo(() => parseGoalHistory(settings[GOALS_HISTORY_KEY]), [settings[GOALS_HISTORY_KEY]]); // eslint-disable-line react-hooks/exhaustive-deps
+  React.useEffect(() => {
+    if (!readOnly && goals.length) syncGoalHistory().catch(() => {});
+  }, [allDrinks, goals, readOnly]);
+  if (readOnly) return null;
+  return /*#__PURE__*/React.createElement(StatSection, {
+    id: "goals",
+    title: t('goals.title'),
+    collapsed: collapsed,
+    toggleSection: toggleSection,
+    sub: goals.length ? t('goals.count', {
+      count: goals.length
+    }) : t('goals.hint'),
+    action: !adding && /*#__PURE__*/React.createElement("span", {
+      role: "button",
+      tabIndex: 0,
+      "aria-label": t('goals.add'),
+      onClick: e => {
+        e.stopPropagation();
+        setAdding(true);
+      },
+      onKeyDown: e => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          e.stopPropagation();
+          setAdding(true);
+        }
+      },
+      style: {
+        color: T.accent,
+        display: 'flex',
+        padding: 4,
+        cursor: 'pointer'
+      }
+    }, /*#__PURE__*/React.createElement(SvgIcon, {
+      icon: Ic.plus,
+      size: 16
+    }))
+  }, adding && /*#__PURE__*/React.createElement(GoalForm, {
+    onDone: () => setAdding(false)
+  }), goals.map(g => /*#__PURE__*/React.createElement(GoalCard, {
+    key: g.id,
+    goal: g,
+    drinks: allDrinks,
+    model: bacModel,
+    records: history[g.id]
+  })), !goals.length && !adding && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(12),
+      textAlign: 'center',
+      padding: '10px 0',
+      lineHeight: 1.5
+    }
+  }, t('goals.empty')));
+}
+Object.assign(window, {
+  GOAL_TYPES,
+  GOAL_NEAR_RATIO,
+  GOAL_HISTORY_MAX,
+  GOAL_HISTORY_GRACE_DAYS,
+  standardDrinks,
+  parseGoals,
+  parseGoalHistory,
+  dryJanuaryRange,
+  goalPeriod,
+  evaluateGoal,
+  completedGoalPeriods,
+  nextGoalHistory,
+  goalStreak,
+  goalAlerts,
+  fmtGoalValue,
+  goalTitle,
+  addGoal,
+  deleteGoal,
+  syncGoalHistory,
+  GoalsBadge,
+  GoalsSection
+});
\ No newline at end of file
@@ -21,14 +21,30 @@ function HistoryTab({
 }) {
   const [query, setQuery] = React.useState('');
   const [filter, setFilter] = React.useState('all');
+  // Critères du panneau de filtres (cf. filters.jsx) ; le champ de recherche
+  // accepte en plus des `clé:valeur`, fusionnés par-dessus.
+  const [advanced, setAdvanced] = React.useState({});
+  const [panelOpen, setPanelOpen] = React.useState(false);
   const [collapsed, setCollapsed] = React.useState(loadCollapsedDays);
   const [editEntry, setEditEntry] = React.useState(null);
   // Rendu incrémental : on peint d'abord les premiers jours (ouverture
   // instantanée même sur un gros historique), puis on étend la liste en idle.
   const [visibleCount, setVisibleCount] = React.useState(8);
+  // Sélection multiple : `selected` = ids de boissons ; `batch` = opération
+  // de lot en cours d'édition ('time' | 'category' | 'location' | 'price').
+  const [selecting, setSelecting] = React.useState(false);
+  const [selected, setSelected] = React.useState(() => new Set());
+  const [batch, setBatch] = React.useState(null);
+  const batchBusyRef = React.useRef(false);
   const {
     categories
   } = useCategories();
+  const {
+    drinks
+  } = useDrinks();
+  const ratings = useRatings();
+  const settings = useSettings();
+  const saved = useSavedFilters();
   // Pilules de filtre teintées par catégorie → abonnement palette
   // (repaint sur changement de couleur, cf. useCatPalette dans shared.jsx).
   useCatPalette();
@@ -58,22 +74,44 @@ function HistoryTab({
   const onDeleteEntry = React.useCallback(async entry => {
     try {
       const row = await deleteDrinkWithSnapshot(entry.id);
-      Toast.show('Boisson supprimée', {
+      Toast.show(t('toast.drinkDeleted'), {
         undo: async () => {
           try {
             await restoreDrinks([row]);
-            Toast.show('Suppression annulée');
+            Toast.show(t('toast.deleteUndone'));
           } catch (err) {
             console.warn('AlcoNote: restoreDrinks failed', err);
-            Toast.show('Erreur lors de l\'annulation');
+            Toast.show(t('toast.undoError'));
           }
         }
       });
     } catch (err) {
       console.warn('AlcoNote: deleteDrinkWithSnapshot failed', err);
-      Toast.show('Erreur lors de la suppression');
+      Toast.show(t('toast.deleteError'));
     }
   }, []);
+  const toggleSelect = React.useCallback(id => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);else next.add(id);
+      return next;
+    });
+  }, []);
+  // Coche / décoche d'un coup toutes les boissons d'un jour (ou du résultat).
+  const selectMany = React.useCallback(ids => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      const all = ids.every(id => next.has(id));
+      ids.forEach(id => {
+        if (all) next.delete(id);else next.add(id);
+      });
+      return next;
+    });
+  }, []);
+  const exitSelection = React.useCallback(() => {
+    setSelecting(false);
+    setSelected(new Set());
+  }, []);
   const toggleDay = React.useCallback(day => {
     setCollapsed(prev => {
       const next = new Set(prev);
@@ -86,21 +124,29 @@ function HistoryTab({
   // Memoize the filter + day-grouping so each `groups[day]` array keeps a
   // stable reference across renders that don't touch the data/filter —
   // which is what lets the React.memo'd DayGroup rows skip re-rendering.
+  const effective = React.useMemo(() => mergeDrinkFilters(advanced, parseDrinkQuery(query).filter, filter !== 'all' ? {
+    category: filter
+  } : null), [advanced, query, filter]);
+  const filtering = !isDrinkFilterEmpty(effective);
+  // Filtre nommé actif = critères du panneau identiques à ceux enregistrés.
+  const activeSaved = React.useMemo(() => {
+    const key = JSON.stringify(normalizeDrinkFilter(advanced));
+    return saved.find(s => JSON.stringify(normalizeDrinkFilter(s.filter)) === key) || null;
+  }, [saved, advanced]);
   const {
     groups,
-    days
+    days,
+    matched
   } = React.useMemo(() => {
-    const entries = allEntries.filter(e => {
-      // Compare category names canonically (trim + NFC), never raw === — a
-      // drink stored as "Bière " or an NFD spelling must still match the
-      // "Bière" pill, matching how CategoriesTab folds them.
-      if (filter !== 'all' && canonicalCat(e.family.category) !== canonicalCat(filter)) return false;
-      if (query) {
-        const q = canonicalCat(query).toLowerCase();
-        if (!canonicalCat(e.family.name).toLowerCase().includes(q) && !canonicalCat(e.family.category).toLowerCase().includes(q)) return false;
-      }
-      return true;
-    });
+    // Le prédicat compare les catégories canoniquement (trim + NFC), jamais
+    // en === brut — une boisson stockée « Bière  » ou en NFD doit suivre la
+    // pilule « Bière », comme le regroupement de CategoriesTab.
+    const match = filtering ? compileDrinkFilter(effective, {
+      ratings,
+      drinks,
+      model: bacModelFromSettings(settings)
+    }) : null;
+    const entries = match ? allEntries.filter(e => match(e.raw)) : allEntries;
     const groups = {};
     for (const e of entries) {
       const day = e.ts.slice(0, 10);
@@ -109,15 +155,118 @@ function HistoryTab({
     const days = Object.keys(groups).sort((a, b) => b.localeCompare(a));
     return {
       groups,
-      days
+      days,
+      matched: entries.map(e => e.raw)
     };
-  }, [allEntries, filter, query]);
+  }, [allEntries, effective, filtering, ratings, drinks, settings]);
+
+  // Ids encore présents : une boisson supprimée ailleurs (sheet, partage)
+  // sort de la sélection au lieu de faire échouer tout le lot.
+  const selectedIds = React.useMemo(() => allEntries.filter(e => selected.has(e.id)).map(e => e.id), [allEntries, selected]);
+  const places = React.useMemo(() => {
+    const seen = new Map();
+    for (const e of allEntries) {
+      const label = drinkPlaceLabel(e.raw);
+      if (label && !seen.has(label)) seen.set(label, e.raw.location);
+      if (seen.size >= 8) break;
+    }
+    return [...seen.values()];
+  }, [allEntries]);
+
+  // Un lot = une transaction et un seul toast d'annulation, comme la
+  // suppression unitaire.
+  const applyBatch = async op => {
+    if (batchBusyRef.current) return;
+    batchBusyRef.current = true;
+    const n = selectedIds.length;
+    try {
+      const before = await batchEditDrinks(selectedIds, op);
+      exitSelection();
+      Toast.show(t('history.batch.edited', {
+        count: n
+      }), {
+        undo: async () => {
+          try {
+            await revertDrinksBatch(before);
+            Toast.show(t('toast.editUndone'));
+          } catch (err) {
+            console.warn('AlcoNote: revertDrinksBatch failed', err);
+            Toast.show(t('toast.undoError'));
+          }
+        }
+      });
+    } catch (err) {
+      console.warn('AlcoNote: batchEditDrinks failed', err);
+      Toast.show(errorText(err, 'toast.editError'));
+    } finally {
+      batchBusyRef.current = false;
+    }
+  };
+  const deleteSelected = async () => {
+    if (batchBusyRef.current) return;
+    batchBusyRef.current = true;
+    const n = selectedIds.length;
+    try {
+      const rows = await deleteDrinksWithSnapshot(selectedIds);
+      exitSelection();
+      Toast.show(t('history.batch.deleted', {
+        count: n
+      }), {
+        undo: async () => {
+          try {
+            await restoreDrinks(rows);
+            Toast.show(t('toast.deleteUndone'));
+          } catch (err) {
+            console.warn('AlcoNote: restoreDrinks failed', err);
+            Toast.show(t('toast.undoError'));
+          }
+        }
+      });
+    } catch (err) {
+      console.warn('AlcoNote: deleteDrinksWithSnapshot failed', err);
+      Toast.show(t('toast.deleteError'));
+    } finally {
+      batchBusyRef.current = false;
+    }
+  };
+  const removeCriteria = keys => {
+    setAdvanced(prev => {
+      const next = {
+        ...prev
+      };
+      keys.forEach(k => {
+        delete next[k];
+      });
+      return next;
+    });
+  };
+  const applySaved = s => {
+    if (activeSaved && activeSaved.id === s.id) {
+      setAdvanced({});
+      return;
+    }
+    setAdvanced(s.filter);
+    setQuery('');
+    setFilter('all');
+  };
+  const onDeleteSaved = async s => {
+    const ok = await Confirm.ask({
+      title: t('history.savedFilter.delete.title', {
+        name: s.name
+      }),
+      message: t('history.savedFilter.delete.message'),
+      confirmText: t('common.delete'),
+      danger: true
+    });
+    if (ok) await deleteNamedFilter(s.id);
+  };
+  const panelCount = describeDrinkFilter(advanced).length;
 
   // Recherche/filtre changé → on repart des premiers jours (sinon on garderait
   // une grande fenêtre déjà étendue sur un nouveau résultat plus court).
   React.useEffect(() => {
     setVisibleCount(8);
-  }, [filter, query]);
+  }, [effective]);
 
   // Étend la fenêtre par paquets en idle jusqu'à tout afficher, sans bloquer
   // le thread principal (le 1er paint reste instantané).
@@ -140,13 +289,78 @@ function HistoryTab({
     }
   }, /*#__PURE__*/React.createElement("div", {
     style: {
-      padding: '4px 18px 10px'
+      padding: '4px 18px 10px',
+      display: 'flex',
+      gap: 8,
+      alignItems: 'stretch'
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
     }
   }, /*#__PURE__*/React.createElement(SearchInput, {
     value: query,
     onChange: setQuery,
-    placeholder: "Rechercher dans l'historique\u2026"
-  })), /*#__PURE__*/React.createElement("div", {
+    placeholder: t('history.searchPh')
+  })), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: () => setPanelOpen(true),
+    "aria-label": panelCount ? t('history.filtersActive', {
+      count: panelCount
+    }) : t('history.filters'),
+    style: {
+      width: 46,
+      borderRadius: 14,
+      flexShrink: 0,
+      cursor: 'pointer',
+      position: 'relative',
+      display: 'grid',
+      placeItems: 'center',
+      padding: 0,
+      fontFamily: 'inherit',
+      background: panelCount ? T.accentSoft : T.surface2,
+      border: `1px solid ${panelCount ? T.accentSoftBorder : T.rule}`,
+      color: panelCount ? T.accent : T.ink2
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.filter,
+    size: 16
+  }), panelCount > 0 && /*#__PURE__*/React.createElement("span", {
+    "aria-hidden": "true",
+    style: {
+      position: 'absolute',
+      top: 4,
+      right: 5,
+      ...type(9.5, {
+        weight: 700
+      }),
+      ...TYPE.num
+    }
+  }, panelCount)), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    "aria-pressed": selecting ? 'true' : 'false',
+    onClick: () => selecting ? exitSelection() : setSelecting(true),
+    "aria-label": t(selecting ? 'history.select.exit' : 'history.select.enter'),
+    style: {
+      width: 46,
+      borderRadius: 14,
+      flexShrink: 0,
+      cursor: 'pointer',
+      display: 'grid',
+      placeItems: 'center',
+      padding: 0,
+      fontFamily: 'inherit',
+      background: selecting ? T.accentSoft : T.surface2,
+      border: `1px solid ${selecting ? T.accentSoftBorder : T.rule}`,
+      color: selecting ? T.accent : T.ink2
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: selecting ? Ic.close : Ic.check,
+    size: 16
+  }))), /*#__PURE__*/React.createElement("div", {
     className: "alco-fade-x",
     style: {
       display: 'flex',
@@ -158,12 +372,63 @@ function HistoryTab({
   }, /*#__PURE__*/React.createElement(Pill, {
     active: filter === 'all',
     onClick: () => setFilter('all')
-  }, "Tous"), categories.map(c => /*#__PURE__*/React.createElement(Pill, {
+  }, t('history.all')), categories.map(c => /*#__PURE__*/React.createElement(Pill, {
     key: c.id,
     active: filter === c.name,
     onClick: () => setFilter(c.name),
     color: catColor(c.name, 70)
-  }, c.name))), /*#__PURE__*/React.createElement("div", {
+  }, c.name)), saved.map(s => /*#__PURE__*/React.createElement(Pill, {
+    key: s.id,
+    active: !!activeSaved && activeSaved.id === s.id,
+    onClick: () => applySaved(s)
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.filter,
+    size: 11
+  }), s.name))), filtering && /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '0 18px 12px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: 8
+    }
+  }, /*#__PURE__*/React.createElement(FilterChips, {
+    filter: advanced,
+    onRemove: removeCriteria
+  }), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 8
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement(FilterTotals, {
+    drinks: matched
+  })), activeSaved && /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    "aria-label": t('history.savedFilter.deleteAria', {
+      name: activeSaved.name
+    }),
+    onClick: () => onDeleteSaved(activeSaved),
+    style: {
+      ...ghostButton,
+      padding: 6,
+      display: 'flex'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.trash,
+    size: 13,
+    color: T.muted
+  })))), selecting && /*#__PURE__*/React.createElement(SelectionBar, {
+    count: selectedIds.length,
+    allSelected: matched.length > 0 && matched.every(d => selected.has(d.id)),
+    onSelectAll: () => selectMany(matched.map(d => d.id)),
+    onAction: setBatch,
+    onDelete: deleteSelected
+  }), /*#__PURE__*/React.createElement("div", {
     style: {
       flex: 1,
       overflow: 'auto',
@@ -177,7 +442,7 @@ function HistoryTab({
       padding: '60px 0',
       textAlign: 'center'
     }
-  }, "Aucune entr\xE9e trouv\xE9e"), days.slice(0, visibleCount).map((day, i) => /*#__PURE__*/React.createElement(DayGroup, {
+  }, t('history.empty')), days.slice(0, visibleCount).map((day, i) => /*#__PURE__*/React.createElement(DayGroup, {
     key: day,
     day: day,
     entries: groups[day],
@@ -186,6 +451,9 @@ function HistoryTab({
     onOpenEntry: setEditEntry,
     onDirectAdd: onDirectAdd,
     onDelete: onDeleteEntry,
+    selected: selecting ? selected : null,
+    onToggleSelect: toggleSelect,
+    onSelectDay: selectMany,
     index: i,
     first: i === 0,
     stagger: entering
@@ -193,8 +461,30 @@ function HistoryTab({
     key: editEntry.id,
     entry: editEntry,
     onClose: () => setEditEntry(null)
+  }), panelOpen &&
+  /*#__PURE__*/
+  // Le panneau part du filtre COMPLET (recherche + pilule comprises) et
+  // le reprend à son compte : c'est aussi ce qui est enregistré.
+  React.createElement(DrinkFilterSheet, {
+    value: effective,
+    onClose: () => setPanelOpen(false),
+    onApply: f => {
+      setAdvanced(f);
+      setQuery('');
+      setFilter('all');
+    }
+  }), batch && /*#__PURE__*/React.createElement(BatchEditSheet, {
+    mode: batch,
+    count: selectedIds.length,
+    categories: categories,
+    places: places,
+    onApply: applyBatch,
+    onClose: () => setBatch(null)
   }));
 }
+
+// `selected` (Set d'ids | null) : non nul en mode sélection multiple — les
+// lignes deviennent des cases à cocher et l'en-tête gagne « tout le jour ».
 const DayGroup = React.memo(function DayGroup({
   day,
   entries,
@@ -203,6 +493,9 @@ const DayGroup = React.memo(function DayGroup({
   onOpenEntry,
   onDirectAdd,
   onDelete,
+  selected = null,
+  onToggleSelect,
+  onSelectDay,
   first,
   index = 0,
   stagger = false
@@ -213,10 +506,14 @@ const DayGroup = React.memo(function DayGroup({
   today.setHours(0, 0, 0, 0);
   const diff = Math.round((today - d) / 86400000);
   let rel = null;
-  if (diff === 0) rel = "Aujourd'hui";else if (diff === 1) rel = 'Hier';else if (diff >= 2 && diff < 7) rel = `il y a ${diff} jours`;
+  if (diff === 0) rel = t('history.today');else if (diff === 1) rel = t('history.yesterday');else if (diff >= 2 && diff < 7) rel = t('history.daysAgo', {
+    count: diff
+  });
 
   // Total cL (mirror the real-app summary)
   const totalCl = entries.reduce((s, e) => s + toCl(e.family.quantity, e.family.unit), 0);
+  const nSelected = selected ? entries.filter(e => selected.has(e.id)).length : 0;
+  const dayState = nSelected === 0 ? false : nSelected === entries.length ? true : 'mixed';
   return /*#__PURE__*/React.createElement("div", {
     style: {
       marginTop: first ? 4 : 14,
@@ -226,6 +523,10 @@ const DayGroup = React.memo(function DayGroup({
         reduced: reduced || !stagger
       })
     }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      position: 'relative'
+    }
   }, /*#__PURE__*/React.createElement("button", {
     type: "button",
     className: "alco-press-soft",
@@ -234,7 +535,14 @@ const DayGroup = React.memo(function DayGroup({
       onToggle(day);
     },
     "aria-expanded": !isCollapsed,
-    "aria-label": `${isCollapsed ? 'Déplier' : 'Replier'} ${fmtDayHeader(d)} — ${entries.length} boisson${entries.length > 1 ? 's' : ''}, ${totalCl.toFixed(0)} cL${rel ? `, ${rel}` : ''}`,
+    "aria-label": t(isCollapsed ? 'history.day.expand' : 'history.day.collapse', {
+      day: fmtDayHeader(d),
+      drinks: t('common.drinks', {
+        count: entries.length
+      }),
+      cl: totalCl.toFixed(0),
+      rel: rel ? `, ${rel}` : ''
+    }),
     style: {
       width: '100%',
       textAlign: 'left',
@@ -287,7 +595,43 @@ const DayGroup = React.memo(function DayGroup({
       color: T.muted,
       marginTop: 3
     }
-  }, entries.length, " boisson", entries.length > 1 ? 's' : '', " \xB7 ", totalCl.toFixed(0), " cL", rel && /*#__PURE__*/React.createElement("span", null, " \xB7 ", rel)))), /*#__PURE__*/React.createElement(Collapse, {
+  }, t('common.drinks', {
+    count: entries.length
+  }), " \xB7 ", totalCl.toFixed(0), " cL", rel && /*#__PURE__*/React.createElement("span", null, " \xB7 ", rel))), selected && /*#__PURE__*/React.createElement("span", {
+    style: {
+      width: 26,
+      flexShrink: 0
+    }
+  })), selected &&
+  /*#__PURE__*/
+  // Frère du bouton d'en-tête (pas d'enfant : pas de bouton imbriqué),
+  // posé par-dessus sa marge droite.
+  React.createElement("button", {
+    type: "button",
+    role: "checkbox",
+    "aria-checked": dayState,
+    "aria-label": t('history.day.selectAria', {
+      day: fmtDayHeader(d)
+    }),
+    onClick: () => {
+      haptic('select');
+      onSelectDay(entries.map(e => e.id));
+    },
+    style: {
+      ...ghostButton,
+      position: 'absolute',
+      top: 0,
+      bottom: 0,
+      right: 0,
+      zIndex: 3,
+      padding: '0 12px',
+      display: 'flex',
+      alignItems: 'center',
+      cursor: 'pointer'
+    }
+  }, /*#__PURE__*/React.createElement(SelectMark, {
+    state: dayState
+  }))), /*#__PURE__*/React.createElement(Collapse, {
     open: !isCollapsed
   }, /*#__PURE__*/React.createElement("div", {
     style: {
@@ -319,6 +663,9 @@ const DayGroup = React.memo(function DayGroup({
     onOpenEntry: onOpenEntry,
     onDirectAdd: onDirectAdd,
     onDelete: onDelete,
+    selecting: !!selected,
+    checked: !!selected && selected.has(e.id),
+    onToggleSelect: onToggleSelect,
     first: i === 0,
     last: i === entries.length - 1
   }))))));
@@ -328,6 +675,9 @@ const EntryRow = React.memo(function EntryRow({
   onOpenEntry,
   onDirectAdd,
   onDelete,
+  selecting = false,
+  checked = false,
+  onToggleSelect,
   first,
   last
 }) {
@@ -335,7 +685,9 @@ const EntryRow = React.memo(function EntryRow({
   // malgré React.memo (cf. useCatPalette dans shared.jsx).
   useCatPalette();
   const color = catColor(e.family.category, 70);
-  const t = e.ts.slice(11, 16);
+  const time = e.ts.slice(11, 16);
+  // Contenant partagé : « 1/4 de 75 cL · sur 3 h ».
+  const sharedMeta = fmtSharedDrink(e.raw);
   const swipe = useSwipeToDelete(() => onDelete && onDelete(e));
   return /*#__PURE__*/React.createElement("div", {
     style: {
@@ -366,9 +718,9 @@ const EntryRow = React.memo(function EntryRow({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.trash,
     size: 15
-  }), /*#__PURE__*/React.createElement("span", null, "Supprimer")), /*#__PURE__*/React.createElement("div", _extends({
+  }), /*#__PURE__*/React.createElement("span", null, t('common.delete'))), /*#__PURE__*/React.createElement("div", _extends({
     ref: swipe.rowRef
-  }, swipe.handlers, {
+  }, selecting ? {} : swipe.handlers, {
     style: {
       display: 'flex',
       alignItems: 'center',
@@ -405,11 +757,26 @@ const EntryRow = React.memo(function EntryRow({
       boxShadow: `0 0 0 3px ${T.surface}`,
       zIndex: 1
     }
-  }), /*#__PURE__*/React.createElement("button", {
+  }), /*#__PURE__*/React.createElement("button", _extends({
     type: "button",
-    className: "alco-press-soft",
-    onClick: () => onOpenEntry && onOpenEntry(e),
-    "aria-label": `Modifier ${e.family.name}, ${e.family.quantity} ${e.family.unit}, ${e.family.alcohol}°${e.place ? `, ${e.place}` : ''}`,
+    className: "alco-press-soft"
+  }, selecting ? {
+    role: 'checkbox',
+    'aria-checked': checked
+  } : {}, {
+    onClick: () => {
+      if (selecting) {
+        haptic('select');
+        onToggleSelect && onToggleSelect(e.id);
+      } else if (onOpenEntry) onOpenEntry(e);
+    },
+    "aria-label": t(selecting ? 'history.entry.selectAria' : 'history.entry.editAria', {
+      name: e.family.name,
+      quantity: e.family.quantity,
+      unit: e.family.unit,
+      abv: e.family.alcohol,
+      place: e.place ? `, ${e.place}` : ''
+    }),
     style: {
       ...ghostButton,
       flex: 1,
@@ -418,7 +785,7 @@ const EntryRow = React.memo(function EntryRow({
       display: 'block',
       textAlign: 'left'
     }
-  }, /*#__PURE__*/React.createElement("div", {
+  }), /*#__PURE__*/React.createElement("div", {
     style: {
       ...TYPE.bodyStrong,
       color: T.ink,
@@ -432,7 +799,7 @@ const EntryRow = React.memo(function EntryRow({
       ...TYPE.footnote,
       marginTop: 2
     }
-  }, e.family.quantity, " ", e.family.unit, " \xB7 ", e.family.alcohol, "\xB0", e.place && /*#__PURE__*/React.createElement("span", null, " \xB7 ", e.place))), /*#__PURE__*/React.createElement("div", {
+  }, e.family.quantity, " ", e.family.unit, " \xB7 ", e.family.alcohol, "\xB0", sharedMeta && /*#__PURE__*/React.createElement("span", null, " \xB7 ", sharedMeta), e.place && /*#__PURE__*/React.createElement("span", null, " \xB7 ", e.place))), /*#__PURE__*/React.createElement("div", {
     style: {
       // `TYPE.num` en DERNIER : la chasse fixe et l'approche neutre des
       // chiffres doivent l'emporter sur l'approche optique du texte.
@@ -440,13 +807,464 @@ const EntryRow = React.memo(function EntryRow({
       ...TYPE.num,
       color: T.ink2
     }
-  }, t), /*#__PURE__*/React.createElement(QuickAddButton, {
+  }, time), selecting ? /*#__PURE__*/React.createElement("span", {
+    "aria-hidden": "true",
+    style: {
+      width: 30,
+      display: 'grid',
+      placeItems: 'center'
+    }
+  }, /*#__PURE__*/React.createElement(SelectMark, {
+    state: checked
+  })) : /*#__PURE__*/React.createElement(QuickAddButton, {
     size: 30,
     onAdd: () => onDirectAdd && onDirectAdd(e.family),
-    label: `Ajouter ${e.family.name} à nouveau`
+    label: t('history.entry.addAgain', {
+      name: e.family.name
+    })
   })));
 });
 
+// Case de sélection (ligne, jour) : `state` = true | false | 'mixed'.
+function SelectMark({
+  state
+}) {
+  const on = state === true;
+  return /*#__PURE__*/React.createElement("span", {
+    "aria-hidden": "true",
+    style: {
+      width: 20,
+      height: 20,
+      borderRadius: 99,
+      flexShrink: 0,
+      display: 'grid',
+      placeItems: 'center',
+      background: on ? T.accent : state === 'mixed' ? T.accentSoft : 'transparent',
+      border: `1.5px solid ${state ? T.accent : T.rule}`,
+      color: on ? T.accentInk : T.accent
+    }
+  }, on && /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.check,
+    size: 12
+  }), state === 'mixed' && /*#__PURE__*/React.createElement("span", {
+    style: {
+      width: 8,
+      height: 2,
+      borderRadius: 1,
+      background: T.accent
+    }
+  }));
+}
+
+// Barre d'actions du mode sélection : compteur, tout (dé)sélectionner dans
+// le résultat filtré, puis les opérations de lot.
+function SelectionBar({
+  count,
+  allSelected,
+  onSelectAll,
+  onAction,
+  onDelete
+}) {
+  const none = count === 0;
+  const action = (id, icon, label, aria) => /*#__PURE__*/React.createElement("button", {
+    key: id,
+    type: "button",
+    className: "alco-press",
+    disabled: none,
+    "aria-label": aria,
+    onClick: () => onAction(id),
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 6,
+      flexShrink: 0,
+      padding: '8px 12px',
+      borderRadius: 10,
+      cursor: none ? 'default' : 'pointer',
+      background: T.surface2,
+      border: `1px solid ${T.rule}`,
+      color: T.ink2,
+      ...type(12, {
+        weight: 500
+      }),
+      fontFamily: 'inherit',
+      opacity: none ? 0.5 : 1,
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: icon,
+    size: 13
+  }), label);
+  return /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '0 18px 12px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: 8
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 8
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    role: "status",
+    style: {
+      flex: 1,
+      ...TYPE.bodyStrong,
+      ...TYPE.num,
+      color: T.ink
+    }
+  }, count === 0 ? t('history.select.none') : t('history.select.count', {
+    count
+  })), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: onSelectAll,
+    style: {
+      ...ghostButton,
+      color: T.accent,
+      ...type(12, {
+        weight: 500
+      })
+    }
+  }, t(allSelected ? 'history.select.noneAll' : 'history.select.all'))), /*#__PURE__*/React.createElement("div", {
+    className: "alco-fade-x",
+    style: {
+      display: 'flex',
+      gap: 8,
+      overflowX: 'auto',
+      scrollbarWidth: 'none'
+    }
+  }, action('time', Ic.clock, t('history.batch.time'), t(BATCH_TITLES.time)), action('category', Ic.grid, t('history.batch.category'), t(BATCH_TITLES.category)), action('location', Ic.pin, t('history.batch.location'), t(BATCH_TITLES.location)), action('price', Ic.edit, t('history.batch.price'), t(BATCH_TITLES.price)), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    disabled: none,
+    onClick: onDelete,
+    "aria-label": t('history.select.deleteAria'),
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 6,
+      flexShrink: 0,
+      padding: '8px 12px',
+      borderRadius: 10,
+      cursor: none ? 'default' : 'pointer',
+      background: T.dangerSoftBg,
+      border: `1px solid ${T.dangerSoftBorder}`,
+      color: T.accent2,
+      ...type(12, {
+        weight: 500
+      }),
+      fontFamily: 'inherit',
+      opacity: none ? 0.5 : 1,
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.trash,
+    size: 13
+  }), t('common.delete'))));
+}
+
+// Présélections du décalage d'heure, en minutes.
+const BATCH_SHIFT_PRESETS = [15, 30, 60, 120];
+const BATCH_TITLES = {
+  time: 'history.batch.title.time',
+  category: 'history.batch.title.category',
+  location: 'history.batch.title.location',
+  price: 'history.batch.title.price'
+};
+function _fmtShift(minutes) {
+  const a = Math.abs(minutes);
+  const h = Math.floor(a / 60),
+    m = a % 60;
+  const body = h ? `${h} h${m ? ` ${String(m).padStart(2, '0')}` : ''}` : `${m} min`;
+  return `${minutes < 0 ? '−' : '+'}${body}`;
+}
+
+// Saisie d'une opération de lot. `onApply(op)` reçoit l'opération au format
+// de `batchEditDrinks` (data.jsx) ; l'écriture et l'annulation restent à
+// HistoryTab.
+function BatchEditSheet({
+  mode,
+  count,
+  categories,
+  places,
+  onApply,
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const [later, setLater] = React.useState(true);
+  const [hours, setHours] = React.useState('1');
+  const [minutes, setMinutes] = React.useState('0');
+  const [cat, setCat] = React.useState('');
+  const [loc, setLoc] = React.useState(null);
+  const [price, setPrice] = React.useState('');
+  const shift = (later ? 1 : -1) * ((parseInt(hours, 10) || 0) * 60 + (parseInt(minutes, 10) || 0));
+  const priceNum = parseDecimal(price);
+  let op = null;
+  if (mode === 'time' && shift !== 0) op = {
+    shiftMinutes: shift
+  };
+  if (mode === 'category' && cat) op = {
+    category: cat
+  };
+  if (mode === 'location') op = {
+    location: loc
+  };
+  if (mode === 'price' && (price.trim() === '' || Number.isFinite(priceNum) && priceNum >= 0)) {
+    op = {
+      price: price.trim() === '' ? null : priceNum
+    };
+  }
+  const noun = t('common.drinks', {
+    count
+  });
+  let summary = '';
+  if (mode === 'time') summary = shift ? t('history.batch.on', {
+    what: _fmtShift(shift),
+    drinks: noun
+  }) : t('history.batch.noShift');
+  if (mode === 'location') {
+    summary = loc ? t('history.batch.on', {
+      what: drinkPlaceLabel({
+        location: loc
+      }) || t('history.batch.position'),
+      drinks: noun
+    }) : t('history.batch.locationRemoved', {
+      drinks: noun
+    });
+  }
+  if (mode === 'price') summary = op && op.price == null ? t('history.batch.priceReset', {
+    drinks: noun
+  }) : noun;
+  if (mode === 'category') summary = noun;
+  const choice = (on, label, onClick, aria) => /*#__PURE__*/React.createElement("button", {
+    key: label,
+    type: "button",
+    role: "radio",
+    "aria-checked": on,
+    "aria-label": aria,
+    onClick: onClick,
+    style: {
+      padding: '6px 10px',
+      borderRadius: 99,
+      cursor: 'pointer',
+      fontFamily: 'inherit',
+      ...type(11.5, {
+        weight: on ? 600 : 400
+      }),
+      background: on ? T.ink : T.surface3,
+      color: on ? T.bg : T.ink2,
+      border: `1px solid ${on ? T.ink : T.rule}`,
+      whiteSpace: 'nowrap'
+    }
+  }, label);
+  const apply = () => {
+    if (!op) return;
+    onApply(op);
+    close();
+  };
+  return /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: t(BATCH_TITLES[mode])
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '92dvh',
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`,
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: 12
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
+      color: T.ink
+    }
+  }, t(BATCH_TITLES[mode])), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginTop: 6
+    }
+  }, t('history.batch.sub', {
+    drinks: noun
+  }))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: close,
+    "aria-label": t('common.close'),
+    style: {
+      width: 32,
+      height: 32,
+      borderRadius: 99,
+      background: T.surface2,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink,
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      padding: 0,
+      fontFamily: 'inherit',
+      flexShrink: 0,
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.close,
+    size: 14
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      overflow: 'auto',
+      padding: '14px 22px 2px'
+    }
+  }, mode === 'time' && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('history.batch.direction')
+  }, /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('history.batch.directionAria'),
+    style: {
+      display: 'flex',
+      gap: 6
+    }
+  }, choice(!later, t('history.batch.earlier'), () => setLater(false)), choice(later, t('history.batch.later'), () => setLater(true)))), /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('history.batch.shift')
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 8
+    }
+  }, /*#__PURE__*/React.createElement(NumberField, {
+    value: hours,
+    onChange: setHours,
+    ariaLabel: t('history.batch.hours'),
+    suffix: "h",
+    allowDecimal: false,
+    style: {
+      flex: 1
+    }
+  }), /*#__PURE__*/React.createElement(NumberField, {
+    value: minutes,
+    onChange: setMinutes,
+    ariaLabel: t('history.batch.minutes'),
+    suffix: "min",
+    allowDecimal: false,
+    style: {
+      flex: 1
+    }
+  }))), /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('history.batch.presets'),
+    style: {
+      display: 'flex',
+      gap: 6,
+      flexWrap: 'wrap',
+      marginBottom: 14
+    }
+  }, BATCH_SHIFT_PRESETS.map(p => choice(Math.abs(shift) === p, _fmtShift(p).slice(1), () => {
+    setHours(String(Math.floor(p / 60)));
+    setMinutes(String(p % 60));
+  })))), mode === 'category' && /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('history.batch.newCategory')
+  }, /*#__PURE__*/React.createElement(CategoryChips, {
+    categories: categories,
+    value: cat,
+    onChange: setCat
+  })), mode === 'location' && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('history.batch.location')
+  }, /*#__PURE__*/React.createElement(LocationField, {
+    value: loc,
+    onChange: setLoc
+  })), places.length > 0 && /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('history.batch.recentPlaces')
+  }, /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('history.batch.recentPlaces'),
+    style: {
+      display: 'flex',
+      gap: 6,
+      flexWrap: 'wrap'
+    }
+  }, places.map(p => {
+    const label = drinkPlaceLabel({
+      location: p
+    });
+    return choice(!!loc && drinkPlaceLabel({
+      location: loc
+    }) === label, label, () => setLoc(p));
+  })))), mode === 'price' && /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('history.batch.priceLabel')
+  }, /*#__PURE__*/React.createElement(NumberField, {
+    value: price,
+    onChange: setPrice,
+    suffix: "\u20AC",
+    ariaLabel: t('history.batch.priceAria')
+  }))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 8,
+      borderTop: `1px solid ${T.rule}`,
+      padding: '12px 22px calc(14px + env(safe-area-inset-bottom))'
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0,
+      color: T.muted,
+      ...type(11.5),
+      ...TYPE.num
+    }
+  }, summary), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: close,
+    style: {
+      ...ghostButton,
+      color: T.ink2,
+      ...type(12)
+    }
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: apply,
+    disabled: !op,
+    style: {
+      border: 'none',
+      fontFamily: 'inherit',
+      cursor: op ? 'pointer' : 'default',
+      background: T.accent,
+      color: T.accentInk,
+      ...type(12, {
+        weight: 600
+      }),
+      padding: '9px 14px',
+      borderRadius: 10,
+      opacity: op ? 1 : 0.5
+    }
+  }, t('common.apply')))));
+}
+
 // Balayage pour supprimer — geste physique complet, bâti sur `useAxisDrag`
 // (cf. shared.jsx) et non sur un compteur de pixels :
 //   • la ligne colle au doigt, et RÉSISTE élastiquement si on la pousse à
@@ -542,5 +1360,8 @@ Object.assign(window, {
   HistoryTab,
   DayGroup,
   EntryRow,
+  SelectMark,
+  SelectionBar,
+  BatchEditSheet,
   useSwipeToDelete
 });
\ No newline at end of file
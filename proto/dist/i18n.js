@@ -0,0 +1,2972 @@
+/* AUTO-GENERATED from proto/i18n.jsx — do not edit by hand. */
+// i18n.jsx — Catalogues de messages, pluriels et formats localisés.
+//
+// Chargé AVANT shared.jsx : les helpers de date/prix de shared passent par
+// ici. Le réglage `language` (seedé à 'fr' par initializeDefaultSettings)
+// pilote la langue ; comme le thème, elle est aussi mise en cache dans
+// localStorage pour que le premier rendu soit déjà dans la bonne langue.
+//
+// Le français est la langue de référence : toute clé absente d'un autre
+// catalogue retombe sur le français, puis sur la clé elle-même. Les formats
+// français reproduisent à l'octet près les sorties historiques (virgule
+// décimale, « 3,5 € » avec une espace simple, mois abrégés maison) — d'où des
+// tableaux de noms dans le catalogue plutôt qu'Intl.DateTimeFormat, dont les
+// sorties varient selon le moteur (espaces insécables, points).
+//
+// Tout texte affiché passe par `t()`, messages d'erreur et libellés du
+// journal compris. Restent en français, car ce sont des données et non de
+// l'interface : les noms de catégories et d'unités par défaut, les en-têtes
+// du CSV exporté et les messages de niveau d'alcoolémie hérités
+// (BAC_LEVELS, que seul `bac.level.*` traduit).
+
+const LOCALES = {
+  fr: {
+    label: 'Français',
+    intl: 'fr-FR'
+  },
+  en: {
+    label: 'English',
+    intl: 'en-GB'
+  }
+};
+const DEFAULT_LOCALE = 'fr';
+const _FR_MONTHS_LONG = ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'];
+const _EN_MONTHS_LONG = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const _EN_MONTHS_SHORT = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Valeur d'une clé : chaîne avec {paramètres}, tableau, ou objet de formes
+// plurielles ({ one, other } — catégories Intl.PluralRules) choisi par
+// `params.count`.
+const MESSAGES = {
+  fr: {
+    // Dates
+    'date.daysLong': ['Dimanche', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'],
+    'date.daysShort': ['dim', 'lun', 'mar', 'mer', 'jeu', 'ven', 'sam'],
+    'date.daysAbbr': ['Dim.', 'Lun.', 'Mar.', 'Mer.', 'Jeu.', 'Ven.', 'Sam.'],
+    'date.daysNarrow': ['D', 'L', 'M', 'M', 'J', 'V', 'S'],
+    'date.monthsLong': _FR_MONTHS_LONG,
+    'date.monthsShort': ['jan', 'fév', 'mars', 'avr', 'mai', 'juin', 'jul', 'aoû', 'sep', 'oct', 'nov', 'déc'],
+    'date.monthsDotted': ['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.'],
+    // Mois d'une semaine à cheval sur deux mois (« 28 sept. – 4 octo. »).
+    'date.monthsSpan': _FR_MONTHS_LONG.map(m => `${m.slice(0, 4)}.`),
+    'date.long': '{weekday} {day} {month}',
+    'date.medium': '{day} {month}',
+    'date.dayHeader': '{weekday}. {day} {month}.',
+    'currency.eur': '{n} €',
+    // Durées relatives (friends.jsx › fmtRelTime)
+    'rel.now': "à l'instant",
+    'rel.minutes': 'il y a {count} min',
+    'rel.hours': 'il y a {count} h',
+    'rel.days': 'il y a {count} j',
+    'friends.syncing': 'Synchronisation…',
+    'friends.updated': 'Mis à jour {when}',
+    'friends.ready': 'Prêt',
+    'friends.refresh': 'Rafraîchir',
+    'friends.anonymous': 'Anonyme',
+    'friends.myFavorite': 'mon favori',
+    'friends.favAria': 'Mettre {name} en favori',
+    'friends.unfavAria': 'Retirer {name} des favoris',
+    'friends.fav': 'Mettre en favori',
+    'friends.unfav': 'Retirer des favoris',
+    'friends.openAria': 'Voir les statistiques de {name}, {bac}',
+    'friends.bacLive': 'Alcoolémie en direct',
+    'friends.bacHidden': 'BAC non partagé',
+    'friends.bacAria': 'Alcoolémie de {name}',
+    'friends.remove': 'Retirer',
+    'friends.removeAria': 'Retirer {name} du groupe',
+    'friends.removed': '{name} retiré du groupe',
+    'friends.removeMember.title': 'Retirer {name} du groupe ?',
+    'friends.removeMember.message': 'Son profil et ses boissons partagées seront supprimés du groupe pour tout le monde. Ses données personnelles sur son appareil ne sont pas touchées.',
+    'friends.removeFriend.title': 'Retirer {name} ?',
+    'friends.removeFriend.message': 'Ses boissons partagées seront supprimées du groupe pour tout le monde. Ses données personnelles sur son appareil ne sont pas touchées.',
+    'friends.admin': 'Administration du groupe',
+    'friends.adminNote': 'Visible uniquement par la personne qui a créé le groupe — le serveur re-vérifie ce droit à chaque retrait.',
+    'friends.inviteQr': "QR code d'invitation",
+    'friends.inviteQrAria': "QR code d'invitation {code}",
+    'friends.inviteTitle': 'Inviter au groupe',
+    'friends.inviteHint': "Ton ami ouvre l'onglet Amis, touche « Scanner un QR code » et vise cet écran.",
+    'friends.inviteWithQr': 'Inviter avec un QR code',
+    'friends.leave': 'Quitter le groupe',
+    'friends.leave.title': 'Quitter le groupe ?',
+    'friends.leave.message': 'Tes données partagées seront retirées du groupe et tu ne verras plus celles des autres membres.',
+    'friends.leave.confirm': 'Quitter',
+    'friends.left': 'Groupe quitté',
+    'friends.unavailable': "Le partage n'est pas configuré sur cette installation.",
+    'friends.disabled.before': 'Active le partage dans les ',
+    'friends.disabled.settings': 'Paramètres',
+    'friends.disabled.after': " (menu en haut à gauche) pour voir l'alcoolémie et les statistiques de tes amis ici.",
+    'friends.created': 'Groupe créé',
+    'friends.joined': 'Groupe rejoint',
+    'friends.join.title': 'Rejoins tes amis',
+    'friends.join.sub': "Crée un groupe et partage le code, ou saisis le code d'un ami.",
+    'friends.or': 'OU',
+    'friends.codePh': 'CODE-AMI',
+    'friends.join': 'Rejoindre',
+    'friends.scanQr': 'Scanner un QR code',
+    'friends.offline': "Vous n'êtes pas connecté·e à Internet",
+    'friends.empty': "Aucun ami pour l'instant",
+    'friends.emptySub': "Partage ton code d'invitation ci-dessous pour que tes amis te rejoignent.",
+    'friends.back': 'Retour',
+    'friends.sharedStats': 'Statistiques partagées',
+    'friends.pullAll': "Télécharger tout l'historique",
+    'friends.pullFailed': 'Échec du téléchargement',
+    'friends.pullDone': 'Historique à jour',
+    // Périodes des stats
+    'period.today': 'Jour',
+    'period.week': 'Semaine',
+    'period.month': 'Mois',
+    'period.year': 'Année',
+    'period.all': 'Tout',
+    'period.school': 'A. scol.',
+    'period.range.sameMonth': '{start} – {end} {month} {year}',
+    'period.range.span': '{start} {startMonth} – {end} {endMonth} {year}',
+    'period.label.month': '{month} {year}',
+    'period.label.school': 'Année {start}-{end}',
+    'period.label.all': 'Depuis le début',
+    // Shell
+    'tab.categories': 'Catégories',
+    'tab.history': 'Historique',
+    'tab.stats': 'Statistiques',
+    'tab.friends': 'Amis',
+    'nav.categories': 'Catégories',
+    'nav.history': 'Historique',
+    'nav.stats': 'Stats',
+    'nav.friends': 'Amis',
+    'nav.main': 'Navigation principale',
+    'nav.reorder': 'Réorganiser',
+    'nav.reorderAria': 'Réorganiser les sections',
+    'header.openSettings': 'Ouvrir les paramètres',
+    'header.openSettingsOverdue': 'Ouvrir les paramètres — sauvegarde en retard',
+    'header.backupOverdue': 'Sauvegarde hors appareil en retard',
+    'fab.add': 'Ajouter une boisson',
+    'toast.undo': 'Annuler',
+    'toast.drinkAdded': '« {name} » ajoutée',
+    'toast.addError': "Erreur lors de l'ajout",
+    'toast.drinkDeleted': 'Boisson supprimée',
+    'toast.deleteUndone': 'Suppression annulée',
+    'toast.editUndone': 'Modification annulée',
+    'toast.undoError': "Erreur lors de l'annulation",
+    'toast.deleteError': 'Erreur lors de la suppression',
+    'toast.editError': 'Erreur lors de la modification',
+    'bacPill.aria': "Taux d'alcoolémie",
+    'bacPill.overLimit': ' · au-delà du seuil légal',
+    'bacPill.unknown': 'Non communiqué',
+    // Tiroir Paramètres
+    'settings.title': 'Paramètres',
+    'settings.close': 'Fermer les paramètres',
+    'settings.appearance': 'Apparence',
+    'settings.theme': 'Thème',
+    'settings.theme.light': 'Clair',
+    'settings.theme.dark': 'Sombre',
+    'settings.language': 'Langue',
+    'settings.haptics': 'Retour haptique',
+    'settings.bacTranslate': 'Traduire les messages d’alcoolémie',
+    'settings.bacTranslate.sub': 'Les messages d’origine sont en français',
+    'settings.profile': 'Profil',
+    'settings.weight': 'Poids (kg)',
+    'settings.gender': 'Sexe',
+    'settings.gender.male': 'Homme',
+    'settings.gender.female': 'Femme',
+    'settings.bacModel': 'Modèle BAC',
+    'settings.age': 'Âge',
+    'settings.height': 'Taille (cm)',
+    'settings.driving': 'Conduite',
+    'settings.drivingProfile': 'Profil de conduite',
+    'settings.customLimit': 'Seuil légal',
+    'settings.bacUnit': 'Unité d’alcoolémie',
+    'bacProfile.fr': 'France',
+    'bacProfile.fr-young': 'France — jeune conducteur',
+    'bacProfile.be': 'Belgique',
+    'bacProfile.ch': 'Suisse',
+    'bacProfile.de': 'Allemagne',
+    'bacProfile.es': 'Espagne',
+    'bacProfile.it': 'Italie',
+    'bacProfile.uk': 'Angleterre / pays de Galles',
+    'bacProfile.us': 'États-Unis',
+    'bacProfile.se': 'Suède',
+    'bacProfile.zero': 'Tolérance zéro',
+    'bacProfile.custom': 'Personnalisé',
+    'settings.stdDrink': 'Verre standard',
+    'stdDrink.fr': 'France',
+    'stdDrink.be': 'Belgique',
+    'stdDrink.ch': 'Suisse',
+    'stdDrink.it': 'Italie',
+    'stdDrink.uk': 'Royaume-Uni (unit)',
+    'stdDrink.ie': 'Irlande',
+    'stdDrink.us': 'États-Unis',
+    'stdDrink.ca': 'Canada',
+    'stdDrink.au': 'Australie',
+    'stdDrink.label.short': {
+      one: 'verre std',
+      other: 'verres std'
+    },
+    'stdDrink.label.long': {
+      one: 'verre standard',
+      other: 'verres standard'
+    },
+    'stdDrink.label.unit': {
+      one: 'unité',
+      other: 'unités'
+    },
+    'settings.data': 'Données',
+    'settings.export': 'Exporter',
+    'settings.exportEncrypted': 'Exporter chiffré',
+    'settings.import': 'Importer',
+    'settings.exportCsv': 'Exporter en CSV',
+    'settings.importCsv': 'Importer un CSV',
+    'settings.backups': 'Sauvegardes',
+    'settings.journal': 'Historique des modifications',
+    'settings.units': 'Unités de contenant',
+    'settings.catalog': 'Catalogue des produits',
+    'settings.clear': 'Tout effacer',
+    'settings.clear.title': 'Effacer toutes les données ?',
+    'settings.clear.message': 'Boissons, catégories, paramètres et records seront définitivement supprimés. Cette action est irréversible.',
+    'settings.clear.done': 'Données effacées',
+    'settings.clear.error': "Erreur lors de l'effacement",
+    'settings.exported': 'Données exportées',
+    'settings.exportError': "Erreur d'export",
+    // Export automatique
+    'offsite.title': 'Export automatique',
+    'offsite.frequency': "Fréquence d'export",
+    'offsite.off': 'Désactivé',
+    'offsite.daily': 'Quotidien',
+    'offsite.weekly': 'Hebdo',
+    'offsite.folder': 'Dossier',
+    'offsite.chooseFolder': 'Choisir…',
+    'offsite.noFolderApi': 'Navigateur sans accès aux dossiers : un rappel proposera le téléchargement.',
+    'offsite.encrypt': 'Chiffrer',
+    'offsite.encrypt.sub': 'Phrase de passe demandée une seule fois',
+    'offsite.last': 'Dernière sauvegarde',
+    'offsite.never': 'Jamais',
+    'offsite.overdue': ' · en retard',
+    'offsite.runNow': 'Exporter maintenant',
+    'offsite.download': 'Télécharger',
+    'offsite.exported': 'Sauvegarde exportée',
+    'offsite.written': 'Sauvegarde écrite dans {path}',
+    'offsite.keyMissing': 'Export automatique chiffré suspendu : clé absente sur cet appareil, à réactiver dans les réglages',
+    // Alertes (notifications locales)
+    'notify.title': 'Alertes',
+    'notify.bac': "Alertes d'alcoolémie",
+    'notify.bac.sub': 'Retour sous le seuil de conduite, sobriété, pic prévu au-dessus du seuil',
+    'notify.unsupported': 'Notifications non prises en charge par ce navigateur.',
+    'notify.denied': 'Notifications bloquées dans les réglages du navigateur.',
+    'notify.quiet': 'Heures calmes',
+    'notify.quiet.sub': 'Aucune alerte programmée pendant cette plage',
+    'notify.quietStart': 'Début',
+    'notify.quietEnd': 'Fin',
+    // Partage entre amis
+    'share.title': 'Partage entre amis',
+    'share.enable': 'Activer le partage',
+    'share.enable.sub': 'Boissons (sans lieu) + notes',
+    'share.nickname': 'Pseudo',
+    'share.bac': 'Partager mon alcoolémie',
+    'share.bac.sub': 'Partage poids + sexe (modèle Widmark)',
+    'share.catalog': 'Partager mon catalogue',
+    'share.catalog.sub': 'Code-barres de mes boissons : les scans du groupe retrouvent mes fiches',
+    'share.createGroup': 'Créer un groupe',
+    'share.inviteCode': "Code d'invitation",
+    'share.members': 'Membres',
+    'share.exportKey': 'Exporter la clé de récup.',
+    'share.restoreKey': 'Restaurer une identité',
+    'share.leave': 'Quitter le groupe',
+    // Phrase de passe
+    'passphrase.field': 'Phrase de passe',
+    'passphrase.confirm': 'Confirmation',
+    'passphrase.confirmAria': 'Confirmer la phrase de passe',
+    'passphrase.warning': "Sans elle, le fichier est irrécupérable : elle n'est conservée nulle part.",
+    'passphrase.tooShort': 'Au moins {count} caractères',
+    'passphrase.mismatch': 'Les deux saisies diffèrent',
+    'passphrase.required': 'Phrase de passe requise',
+    // Objectifs (goals.jsx)
+    'goals.title': 'Objectifs',
+    'goals.count': {
+      one: '{count} objectif',
+      other: '{count} objectifs'
+    },
+    'goals.hint': 'Fixe-toi une limite ou un défi',
+    'goals.add': 'Ajouter un objectif',
+    'goals.empty': "Aucun objectif. Touche + pour limiter tes verres par semaine, l'alcool par session, viser des jours sans alcool ou relever le Dry January.",
+    'goals.type.weeklyDrinks': 'Verres standard par semaine',
+    'goals.type.sessionGrams': 'Alcool par session',
+    'goals.type.soberDays': 'Jours sans alcool par mois',
+    'goals.type.dry': 'Défi sans alcool',
+    'goals.unit.weeklyDrinks': 'verres std',
+    'goals.unit.sessionGrams': 'g',
+    'goals.unit.soberDays': 'jours',
+    'goals.value': '{value} / {limit} {unit}',
+    'goals.dryValue': {
+      one: '{count} verre',
+      other: '{count} verres'
+    },
+    'goals.title.dry': 'Sans alcool du {start} au {end}',
+    'goals.title.soberDays': {
+      one: 'Au moins {limit} jour sans alcool par mois',
+      other: 'Au moins {limit} jours sans alcool par mois'
+    },
+    'goals.title.weeklyDrinks': {
+      one: 'Au plus {limit} verre standard{per} par semaine',
+      other: 'Au plus {limit} verres standard{per} par semaine'
+    },
+    'goals.title.sessionGrams': "Au plus {limit} g d'alcool par session",
+    'goals.status.ok': 'En bonne voie',
+    'goals.status.near': 'Limite proche',
+    'goals.status.over': 'Dépassé',
+    'goals.status.met': 'Tenu',
+    'goals.status.missed': 'Raté',
+    'goals.badgeAria': 'Objectif : {status}',
+    'goals.startsOn': 'Commence le {date}',
+    'goals.streak': 'Série : {current} · record {best} · {met}',
+    'goals.streak.met': {
+      one: '{count}/{total} tenu',
+      other: '{count}/{total} tenus'
+    },
+    'goals.period.week': {
+      one: '{count} semaine',
+      other: '{count} semaines'
+    },
+    'goals.period.month': '{count} mois',
+    'goals.period.challenge': {
+      one: '{count} défi',
+      other: '{count} défis'
+    },
+    'goals.noPeriod.week': 'Pas encore de semaine terminée',
+    'goals.noPeriod.month': 'Pas encore de mois terminé',
+    'goals.noPeriod.challenge': 'Pas encore de défi terminé',
+    'goals.recent': 'Dernières périodes',
+    'goals.recent.item': '{period} : {status}',
+    'goals.period.met': 'tenu',
+    'goals.period.missed': 'raté',
+    'goals.delete.title': 'Supprimer cet objectif ?',
+    'goals.delete.message': 'Son historique (périodes tenues / ratées) est supprimé avec lui.',
+    'goals.delete.aria': "Supprimer l'objectif",
+    'goals.typeAria': "Type d'objectif",
+    'goals.dryStart': 'Début du défi',
+    'goals.dryEnd': 'Fin du défi',
+    'goals.limitAria': "Limite de l'objectif",
+    'goals.create': "Créer l'objectif",
+    'goals.added': 'Objectif ajouté',
+    'goals.invalid': 'Objectif invalide',
+    'goals.saveError': 'Enregistrement impossible',
+    // Auto-évaluation AUDIT (audit.jsx)
+    'audit.title': 'Auto-évaluation',
+    'audit.sub': "Questionnaire AUDIT-C de l'OMS",
+    'audit.incomplete': 'Questionnaire incomplet',
+    'audit.lastOn': 'Dernier questionnaire le {date}',
+    'audit.lastScore': 'Dernier score',
+    'audit.auditCPart': 'Dont AUDIT-C : {score}/12 · {band}',
+    'audit.chartTitle': 'Score AUDIT-C',
+    'audit.chartAria': 'Score AUDIT-C au fil des questionnaires',
+    'audit.empty': "Trois questions pour situer ta consommation, pré-remplies à partir de ton historique. Refais-le de temps en temps pour suivre l'évolution.",
+    'audit.startC': "Faire l'AUDIT-C",
+    'audit.startFull': 'AUDIT complet',
+    'audit.delete.title': 'Supprimer cette auto-évaluation ?',
+    'audit.delete.message': 'Questionnaire {kind} du {date}, score {score}.',
+    'audit.delete.aria': "Supprimer l'auto-évaluation",
+    'audit.band.low': 'Faible risque',
+    'audit.band.risk': 'Consommation à risque',
+    'audit.band.high': 'Risque élevé',
+    'audit.band.harmful': 'Consommation nocive',
+    'audit.band.dependent': 'Dépendance probable',
+    'audit.sheetTitle': 'Questionnaire {kind}',
+    'audit.sheetSub': '{count} questions · {state}',
+    'audit.prefilled': 'pré-rempli depuis ton historique',
+    'audit.toFill': 'à remplir',
+    'audit.basis': "D'après ton historique : {line}",
+    'audit.basis.freq': '{sessions} sur {days} jours',
+    'audit.basis.qty': 'Médiane : {median} {unit} par session',
+    'audit.basis.binge': '{sessions} à {n} verres standard ou plus',
+    'audit.sessions': {
+      one: '{count} session',
+      other: '{count} sessions'
+    },
+    'audit.disclaimer': "Un outil de réflexion, pas un diagnostic. Un verre standard contient {grams} g d'alcool pur.",
+    'audit.score': 'Score : {score}/{max}',
+    'audit.answered': '{done}/{count} réponses',
+    'audit.saved': 'Auto-évaluation enregistrée',
+    'audit.saveError': 'Enregistrement impossible',
+    'audit.q.freq': "À quelle fréquence t'arrive-t-il de consommer des boissons contenant de l'alcool ?",
+    'audit.q.qty': "Combien de verres standard bois-tu au cours d'une journée ordinaire où tu bois de l'alcool ?",
+    'audit.q.binge': "Au cours d'une même occasion, combien de fois t'arrive-t-il de boire six verres standard ou plus ?",
+    'audit.q.control': "Dans l'année écoulée, combien de fois as-tu constaté que tu n'étais plus capable de t'arrêter de boire une fois que tu avais commencé ?",
+    'audit.q.duty': "Dans l'année écoulée, combien de fois ta consommation d'alcool t'a-t-elle empêché de faire ce qu'on attendait normalement de toi ?",
+    'audit.q.morning': "Dans l'année écoulée, combien de fois, après une période de forte consommation, as-tu dû boire de l'alcool dès le matin pour te remettre en forme ?",
+    'audit.q.guilt': "Dans l'année écoulée, combien de fois as-tu eu un sentiment de culpabilité ou des remords après avoir bu ?",
+    'audit.q.memory': "Dans l'année écoulée, combien de fois as-tu été incapable de te rappeler ce qui s'était passé la nuit précédente parce que tu avais bu ?",
+    'audit.q.injury': "Toi ou quelqu'un d'autre avez-vous été blessés parce que tu avais bu ?",
+    'audit.q.concern': "Un parent, un ami, un médecin ou un autre soignant s'est-il inquiété de ta consommation d'alcool ou t'a-t-il suggéré de la réduire ?",
+    'audit.opt.freqQ1': ['Jamais', 'Une fois par mois ou moins', '2 à 4 fois par mois', '2 à 3 fois par semaine', '4 fois ou plus par semaine'],
+    'audit.opt.qty': ['1 ou 2', '3 ou 4', '5 ou 6', '7 à 9', '10 ou plus'],
+    'audit.opt.freq': ['Jamais', "Moins d'une fois par mois", 'Une fois par mois', 'Une fois par semaine', 'Tous les jours ou presque'],
+    'audit.opt.yesNo': ['Non', "Oui, mais pas au cours de l'année écoulée", "Oui, au cours de l'année écoulée"],
+    // Filtres de l'historique (filters.jsx)
+    'filters.title': 'Filtres',
+    'filters.sub': 'Bornes incluses · champs vides ignorés',
+    'filters.text': '« {text} »',
+    'filters.dates': 'Dates',
+    'filters.dates.range': 'Du {from} au {to}',
+    'filters.dates.from': 'Depuis le {date}',
+    'filters.dates.to': "Jusqu'au {date}",
+    'filters.dateFrom': 'Date de début',
+    'filters.dateTo': 'Date de fin',
+    'filters.time': 'Heure (peut passer minuit)',
+    'filters.time.from': 'Après {time}',
+    'filters.time.to': 'Avant {time}',
+    'filters.timeFrom': 'Heure de début',
+    'filters.timeTo': 'Heure de fin',
+    'filters.abv': 'Degré',
+    'filters.volume': 'Volume',
+    'filters.price': 'Prix',
+    'filters.rangeMin': '{label} minimum',
+    'filters.rangeMax': '{label} maximum',
+    'filters.rating': 'Note ≥ {n}',
+    'filters.ratingMin': 'Note minimale',
+    'filters.ratingOption': '{n}★ et +',
+    'filters.ratingAll': 'Toutes',
+    'filters.placeGroup': 'Lieu',
+    'filters.placeAria': 'Lieu enregistré',
+    'filters.place': 'Lieu : {place}',
+    'filters.anyPlace': 'Peu importe',
+    'filters.withPlace': 'Avec lieu',
+    'filters.withoutPlace': 'Sans lieu',
+    'filters.placeContains': 'Nom du lieu contient',
+    'filters.placePh': 'Nom du lieu…',
+    'filters.barcodeGroup': 'Code-barres',
+    'filters.barcode': 'Code {code}',
+    'filters.anyBarcode': 'Avec code-barres',
+    'filters.barcodeContains': 'Code-barres contient',
+    'filters.barcodePh': 'Chiffres…',
+    'filters.barcodeAny': "N'importe lequel",
+    'filters.peak': 'Session > {n} mg/L',
+    'filters.peakGroup': 'Session au pic supérieur à',
+    'filters.peakAria': 'Pic de session minimum',
+    'filters.saveGroup': 'Enregistrer sous un nom',
+    'filters.nameAria': 'Nom du filtre',
+    'filters.namePh': 'Ex. Soirées bar',
+    'filters.saveButton': 'Enregistrer le filtre',
+    'filters.saved': 'Filtre « {name} » enregistré',
+    'filters.empty': 'Filtre vide',
+    'filters.nameRequired': 'Nom du filtre requis',
+    'filters.saveError': 'Enregistrement impossible',
+    'filters.reset': 'Réinitialiser',
+    'filters.apply': 'Appliquer',
+    'filters.totalsAria': 'Totaux du filtre',
+    'filters.drinksWord': {
+      one: 'boisson',
+      other: 'boissons'
+    },
+    'filters.gramsWord': "g d'alcool",
+    'filters.unpriced': ' ({count} sans prix)',
+    'filters.removeChip': 'Retirer le critère {label}',
+    'filters.savedAria': 'Filtres enregistrés',
+    'filters.all': 'Tout',
+    // Tournées (rounds.jsx) et libellés de journal des lots (data.jsx)
+    'rounds.title': 'Tournées',
+    'rounds.create': 'Créer une tournée',
+    'rounds.newShort': 'Nouvelle',
+    'rounds.newTitle': 'Nouvelle tournée',
+    'rounds.editTitle': 'Modifier la tournée',
+    'rounds.emptyRow': "Plusieurs verres d'un geste (« 2 pintes + 1 shot »), parts comprises.",
+    'rounds.addAria': 'Ajouter la tournée {name} — {summary}',
+    'rounds.editAria': 'Modifier la tournée {name}',
+    'rounds.shareAll': 'Tout',
+    'rounds.added': 'Tournée « {name} » ajoutée · {drinks}',
+    'rounds.drinks': {
+      one: '{count} boisson',
+      other: '{count} boissons'
+    },
+    'rounds.undone': 'Tournée annulée',
+    'rounds.undoError': "Erreur lors de l'annulation",
+    'rounds.journal': 'Tournée « {name} »',
+    'rounds.locationLabel': 'Lieu de la tournée « {name} »',
+    'rounds.locationDefault': 'Lieu de la tournée',
+    'rounds.error.name': 'Donnez un nom à la tournée',
+    'rounds.error.count': 'Nombre de verres invalide',
+    'rounds.error.share': 'Part invalide',
+    'rounds.error.price': 'Prix invalide',
+    'rounds.error.drink': 'Boisson invalide',
+    'rounds.error.empty': 'Ajoutez au moins une boisson',
+    'rounds.saved': 'Tournée modifiée',
+    'rounds.created': 'Tournée créée',
+    'rounds.saveError': 'Enregistrement impossible',
+    'rounds.delete.title': 'Supprimer cette tournée ?',
+    'rounds.delete.message': 'Les boissons déjà ajoutées avec elle sont conservées.',
+    'rounds.deleted': 'Tournée supprimée',
+    'rounds.deleteError': 'Suppression impossible',
+    'rounds.sheetSub': "Ajoutée d'un geste, à la même heure",
+    'rounds.name': 'Nom',
+    'rounds.nameAria': 'Nom de la tournée',
+    'rounds.namePh': 'Tournée du vendredi',
+    'rounds.drinksGroup': 'Boissons',
+    'rounds.drinksGroupCount': 'Boissons · {glasses}',
+    'rounds.glasses': {
+      one: '{count} verre',
+      other: '{count} verres'
+    },
+    'rounds.pickBelow': 'Choisissez les boissons ci-dessous.',
+    'rounds.less': 'Un verre de moins : {name}',
+    'rounds.more': 'Un verre de plus : {name}',
+    'rounds.countAria': '{glasses} de {name}',
+    'rounds.remove': 'Retirer {name}',
+    'rounds.shareAria': 'Ma part : {name}',
+    'rounds.priceAria': 'Prix du verre entier : {name}',
+    'rounds.pricePh': 'Prix',
+    'rounds.shareNote': 'Pour moi seulement : {share} du verre, quantité et prix compris.',
+    'rounds.addDrink': 'Ajouter une boisson',
+    'rounds.searchPh': 'Rechercher une boisson…',
+    'rounds.addFamilyAria': 'Ajouter {name} ({quantity} {unit}, {abv}°) à la tournée',
+    'rounds.noMatch': 'Aucune boisson trouvée',
+    'rounds.noHistory': "Ajoutez d'abord une boisson à votre historique.",
+    'rounds.pickerAria': 'Ajouter une tournée',
+    'rounds.pickerEmpty': "Aucune tournée pour le moment : créez-en une pour ajouter plusieurs verres d'un geste.",
+    'rounds.single': 'Une seule boisson',
+    'batch.journal.edit': {
+      one: 'Modification de {count} boisson',
+      other: 'Modification de {count} boissons'
+    },
+    'batch.journal.revert': "Annulation d'une modification en lot",
+    'batch.journal.delete': {
+      one: 'Suppression de {count} boisson',
+      other: 'Suppression de {count} boissons'
+    },
+    'batch.journal.restore': {
+      one: 'Restauration de {count} boisson',
+      other: 'Restauration de {count} boissons'
+    },
+    // Unités de contenant (units.jsx)
+    'units.title': 'Unités de contenant',
+    'units.sub': 'Proposées à la saisie, converties en cL',
+    'units.new': 'Nouvelle unité',
+    'units.presets': 'Unités courantes',
+    'units.addPresetAria': "Ajouter l'unité {name} ({cl} cL)",
+    'units.added': 'Unité « {name} » ajoutée',
+    'units.editAria': "Modifier l'unité {name}",
+    'units.editTitle': 'Unité « {name} »',
+    'units.builtin': 'intégrée',
+    'units.hidden': 'masquée',
+    'units.defaultFor': 'par défaut : {category}',
+    'units.lockedSub': 'Unité intégrée : équivalent fixe',
+    'units.editSub': 'Les boissons de cette unité suivent son équivalent',
+    'units.name': 'Nom',
+    'units.nameAria': "Nom de l'unité",
+    'units.namePh': 'Pinte UK',
+    'units.cl': 'Équivalent',
+    'units.clAria': 'Équivalent en cL',
+    'units.clPh': '56,8',
+    'units.icon': 'Icône',
+    'units.iconAria': "Icône de l'unité",
+    'units.none': 'Aucune',
+    'units.defaultGroup': 'Portion par défaut au scan',
+    'units.hide': 'Masquer à la saisie',
+    'units.hideSub': 'Les boissons existantes la gardent.',
+    'units.saved': 'Unité modifiée',
+    'units.created': 'Unité créée',
+    'units.saveError': 'Enregistrement impossible',
+    'units.delete.title': "Supprimer l'unité « {name} » ?",
+    'units.delete.message': 'Elle ne sera plus proposée à la saisie.',
+    'units.deleted': 'Unité supprimée',
+    'units.deleteError': 'Suppression impossible',
+    'units.error.name': "Donnez un nom à l'unité",
+    'units.error.nameLength': 'Nom trop long ({max} caractères au plus)',
+    'units.error.cl': 'Équivalent en cL invalide',
+    // Catalogue des produits et scans hors ligne (catalog.jsx, data.jsx)
+    'catalog.title': 'Catalogue des produits',
+    'catalog.sub': '{barcodes} · consulté avant Internet',
+    'catalog.barcodes': {
+      one: '{count} code-barres',
+      other: '{count} codes-barres'
+    },
+    'catalog.pendingReview': {
+      one: '{count} correction à vérifier',
+      other: '{count} corrections à vérifier'
+    },
+    'catalog.pendingWaiting': {
+      one: '{count} scan hors ligne en attente',
+      other: '{count} scans hors ligne en attente'
+    },
+    'catalog.searchPh': 'Nom, marque ou code…',
+    'catalog.empty': "Chaque boisson enregistrée après un scan ajoute ici sa fiche, telle que vous l'avez corrigée.",
+    'catalog.noMatch': 'Aucun produit trouvé',
+    'catalog.listAria': 'Produits',
+    'catalog.editAria': 'Modifier la fiche {name} ({barcode})',
+    'catalog.source.learned': 'appris',
+    'catalog.source.manual': 'modifié',
+    'catalog.provider.local': 'Mon catalogue',
+    'catalog.provider.group': 'Catalogue du groupe',
+    'catalog.code': 'Code {barcode}',
+    'catalog.file.title': 'Fichier de produits',
+    'catalog.file.none': 'Aucun fichier — JSON propre à cet appareil',
+    'catalog.file.load': 'Charger',
+    'catalog.file.replace': 'Remplacer',
+    'catalog.file.remove': 'Retirer',
+    'catalog.file.loaded': {
+      one: '{count} produit chargé',
+      other: '{count} produits chargés'
+    },
+    'catalog.file.removed': 'Fichier retiré',
+    'catalog.file.unreadable': 'Fichier illisible',
+    'catalog.file.order': 'Ordre de recherche : {providers}',
+    'catalog.file.error.json': 'Fichier JSON illisible',
+    'catalog.file.error.invalid': 'Fichier de produits invalide',
+    'catalog.file.error.empty': 'Aucun produit avec code-barres dans ce fichier',
+    'catalog.field.name': 'Nom',
+    'catalog.field.category': 'Catégorie',
+    'catalog.field.abv': 'Degré',
+    'catalog.pending.title': 'Scans hors ligne',
+    'catalog.pending.sub': 'Fiches retrouvées au retour du réseau',
+    'catalog.pending.empty': 'Rien à vérifier',
+    'catalog.pending.family': {
+      one: '{count} boisson « {name} »',
+      other: '{count} boissons « {name} »'
+    },
+    'catalog.pending.field': '{field} :',
+    'catalog.pending.change': '{field} : {before} → {after}',
+    'catalog.pending.dismiss': 'Ignorer',
+    'catalog.pending.apply': 'Appliquer',
+    'catalog.pending.applied': 'Corrections appliquées',
+    'catalog.pending.applyError': 'Correction impossible',
+    'catalog.pending.found': {
+      one: '{count} fiche retrouvée',
+      other: '{count} fiches retrouvées'
+    },
+    'catalog.pending.notFound': 'Toujours hors ligne ou introuvable',
+    'catalog.pending.waiting': 'En attente de réseau : {barcodes}',
+    'catalog.pending.retry': 'Réessayer',
+    'catalog.editorTitle': 'Fiche produit',
+    'catalog.editorAria': 'Fiche {barcode}',
+    'catalog.nameAria': 'Nom du produit',
+    'catalog.brand': 'Marque',
+    'catalog.brandAria': 'Marque du produit',
+    'catalog.abvAria': 'Degré du produit',
+    'catalog.serving': 'Portion proposée au scan',
+    'catalog.servingAria': 'Portion du produit',
+    'catalog.saved': 'Fiche modifiée',
+    'catalog.saveError': 'Enregistrement impossible',
+    'catalog.forget': 'Oublier',
+    'catalog.forget.title': 'Oublier « {name} » ?',
+    'catalog.forget.message': 'Le prochain scan de ce code interrogera de nouveau Internet. Vos boissons sont conservées.',
+    'catalog.forgotten': 'Fiche oubliée',
+    'catalog.deleteError': 'Suppression impossible',
+    'catalog.error.name': 'Donnez un nom au produit',
+    'catalog.error.abv': 'Degré invalide (0–100 %)',
+    'catalog.error.quantity': 'Portion invalide',
+    // Historique et sélection multiple (history.jsx)
+    'history.searchPh': "Rechercher dans l'historique…",
+    'history.filters': 'Filtres avancés',
+    'history.filtersActive': 'Filtres avancés ({count} actifs)',
+    'history.all': 'Tous',
+    'history.empty': 'Aucune entrée trouvée',
+    'history.savedFilter.deleteAria': 'Supprimer le filtre {name}',
+    'history.savedFilter.delete.title': 'Supprimer le filtre « {name} » ?',
+    'history.savedFilter.delete.message': "Les boissons ne sont pas touchées ; le filtre disparaît aussi de l'onglet Stats.",
+    'history.today': "Aujourd'hui",
+    'history.yesterday': 'Hier',
+    'history.daysAgo': 'il y a {count} jours',
+    'history.day.expand': 'Déplier {day} — {drinks}, {cl} cL{rel}',
+    'history.day.collapse': 'Replier {day} — {drinks}, {cl} cL{rel}',
+    'history.day.selectAria': 'Sélectionner les boissons du {day}',
+    'history.entry.editAria': 'Modifier {name}, {quantity} {unit}, {abv}°{place}',
+    'history.entry.selectAria': 'Sélectionner {name}, {quantity} {unit}, {abv}°{place}',
+    'history.entry.addAgain': 'Ajouter {name} à nouveau',
+    'history.select.enter': 'Sélection multiple',
+    'history.select.exit': 'Quitter la sélection',
+    'history.select.none': 'Aucune sélection',
+    'history.select.count': {
+      one: '{count} sélectionnée',
+      other: '{count} sélectionnées'
+    },
+    'history.select.all': 'Tout sélectionner',
+    'history.select.noneAll': 'Tout désélectionner',
+    'history.select.deleteAria': 'Supprimer la sélection',
+    'history.batch.edited': {
+      one: '{count} boisson modifiée',
+      other: '{count} boissons modifiées'
+    },
+    'history.batch.deleted': {
+      one: '{count} boisson supprimée',
+      other: '{count} boissons supprimées'
+    },
+    'history.batch.time': 'Heure',
+    'history.batch.category': 'Catégorie',
+    'history.batch.location': 'Lieu',
+    'history.batch.price': 'Prix',
+    'history.batch.title.time': "Décaler l'heure",
+    'history.batch.title.category': 'Changer de catégorie',
+    'history.batch.title.location': 'Attribuer un lieu',
+    'history.batch.title.price': 'Fixer le prix',
+    'history.batch.sub': '{drinks} · une seule annulation',
+    'history.batch.on': '{what} sur {drinks}',
+    'history.batch.noShift': 'Aucun décalage',
+    'history.batch.position': 'Position',
+    'history.batch.locationRemoved': 'Lieu retiré de {drinks}',
+    'history.batch.priceReset': 'Retour au prix de référence pour {drinks}',
+    'history.batch.direction': 'Sens',
+    'history.batch.directionAria': 'Sens du décalage',
+    'history.batch.earlier': 'Plus tôt',
+    'history.batch.later': 'Plus tard',
+    'history.batch.shift': 'Décalage',
+    'history.batch.hours': 'Heures',
+    'history.batch.minutes': 'Minutes',
+    'history.batch.presets': 'Décalages courants',
+    'history.batch.newCategory': 'Nouvelle catégorie',
+    'history.batch.recentPlaces': 'Lieux récents',
+    'history.batch.priceLabel': 'Prix par boisson (vide = prix de référence)',
+    'history.batch.priceAria': 'Prix par boisson',
+    // Onglet Catégories (categories.jsx)
+    'categories.searchPh': 'Rechercher boisson ou catégorie…',
+    'categories.searchIn': 'Rechercher dans {category}…',
+    'categories.yours': 'Vos catégories',
+    'categories.none': 'Aucune catégorie pour le moment.',
+    'categories.new': 'Nouvelle catégorie',
+    'categories.createAria': 'Créer une nouvelle catégorie',
+    'categories.results': {
+      one: '{count} résultat',
+      other: '{count} résultats'
+    },
+    'categories.noResult': 'Aucun résultat',
+    'categories.noResultFor': 'Aucun résultat pour « {query} »',
+    'categories.entries': {
+      one: '{count} entrée',
+      other: '{count} entrées'
+    },
+    'categories.types': {
+      one: '{count} type',
+      other: '{count} types'
+    },
+    'categories.variants': {
+      one: '{count} variante',
+      other: '{count} variantes'
+    },
+    'categories.entriesTotal': '{count} entrées au total',
+    'categories.openAria': 'Ouvrir la catégorie {name} — {entries}, {types}',
+    'categories.editShortAria': 'Modifier {name}',
+    'categories.editAria': 'Modifier la catégorie {name}',
+    'categories.back': 'Retour aux catégories',
+    'categories.familyAria': 'Voir les détails de {name}',
+    'categories.addAgain': 'Ajouter {name} ({quantity} {unit}, {abv}°) à nouveau',
+    'categories.editTitle': 'Modifier la catégorie',
+    'categories.name': 'Nom',
+    'categories.nameAria': 'Nom de la catégorie',
+    'categories.icon': 'Icône',
+    'categories.iconAria': 'Icône de catégorie',
+    'categories.iconOption': 'Icône {glyph}',
+    'categories.iconReset': "Réinitialiser l'icône",
+    'categories.iconResetTitle': "Revenir à l'icône par défaut",
+    'categories.color': 'Couleur',
+    'categories.colorAuto': 'Couleur automatique',
+    'categories.colorAutoTitle': 'Revenir à la couleur par défaut',
+    'categories.auto': 'Auto',
+    'categories.hueAria': 'Teinte de la catégorie',
+    'categories.hueAutoValue': 'Auto ({hue})',
+    'categories.hueAuto': 'Auto · teinte {hue}°',
+    'categories.hue': 'Teinte {hue}°',
+    'categories.create': 'Créer la catégorie',
+    'categories.creating': 'Création…',
+    'categories.saving': 'Enregistrement…',
+    'categories.created': 'Catégorie « {name} » créée',
+    'categories.updated': 'Catégorie « {name} » mise à jour',
+    'categories.deleted': 'Catégorie supprimée',
+    'categories.delete': 'Supprimer la catégorie',
+    'categories.delete.title': 'Supprimer « {name} » ?',
+    'categories.delete.message': 'Cette action est irréversible.',
+    'categories.delete.move': {
+      one: '{count} boisson sera déplacée dans « {target} ». Cette action est irréversible.',
+      other: '{count} boissons seront déplacées dans « {target} ». Cette action est irréversible.'
+    },
+    'categories.error.emptyName': 'Le nom ne peut pas être vide',
+    'categories.error.duplicate': 'Une catégorie avec ce nom existe déjà',
+    'categories.error.create': 'Erreur lors de la création',
+    'categories.error.save': "Erreur lors de l'enregistrement",
+    'categories.error.rowMissing': 'Catégorie introuvable — ferme et rouvre la fiche',
+    'categories.error.iconRowMissing': "Catégorie introuvable pour enregistrer l'icône",
+    'categories.error.colorRowMissing': 'Catégorie introuvable pour enregistrer la couleur',
+    'categories.error.gone': 'Catégorie introuvable — elle a peut-être déjà été supprimée.',
+    'categories.error.db': 'Base de données indisponible',
+    'categories.error.readDrinks': 'Impossible de lire les boissons.',
+    'categories.error.noFallback': "Impossible : créez d'abord une autre catégorie pour y déplacer les boissons.",
+    // Composants partagés (shared.jsx)
+    'shared.search': 'Rechercher',
+    'shared.clearSearch': 'Effacer la recherche',
+    'shared.clear': 'Effacer',
+    'shared.rating': 'Note',
+    'shared.stars': {
+      one: '{count} étoile',
+      other: '{count} étoiles'
+    },
+    'shared.addAgain': 'Ajouter à nouveau',
+    'shared.time': 'Heure',
+    'shared.time.pick': "Choisir l'heure",
+    'shared.time.hours': 'Heures',
+    'shared.time.minutes': 'Minutes',
+    'shared.category': 'Catégorie',
+    'shared.unit': 'Unité',
+    'shared.location': 'Lieu',
+    'shared.location.unavailable': 'Position indisponible',
+    'shared.location.busy': 'Localisation…',
+    'shared.location.saved': 'Position enregistrée',
+    'shared.location.none': 'Non localisé',
+    'shared.location.remove': 'Retirer le lieu',
+    'shared.location.update': 'Mettre à jour le lieu',
+    'shared.location.locate': 'Localiser',
+    'shared.location.retry': 'Réessayer',
+    'bacUnit.spoken.mgL': 'milligrammes par litre',
+    'bacUnit.spoken.gL': 'grammes par litre',
+    'bacUnit.spoken.permille': 'pour mille',
+    'bacUnit.spoken.pct': 'pour cent',
+    'bacReading.air': 'mg/L air',
+    'bacReading.blood': 'g/L sang',
+    // Fiches et réglages (modals.jsx)
+    'drink.name': 'Nom',
+    'drink.quantity': 'Quantité',
+    'drink.abv': "Degré d'alcool",
+    'drink.abvPct': "Degré d'alcool (%)",
+    'drink.date': 'Date',
+    'drink.price': 'Prix',
+    'drink.error.name': 'Le nom est requis',
+    'drink.error.nameRequired': 'Le nom de la boisson est requis',
+    'drink.error.quantity': 'Quantité invalide',
+    'drink.error.category': 'Choisissez une catégorie',
+    'drink.error.abv': "Degré d'alcool invalide (0–100 %)",
+    'drink.error.drinkers': 'Nombre de buveurs invalide',
+    'addDrink.title': 'Nouvelle boisson',
+    'addDrink.scan': 'Scanner un code-barres',
+    'addDrink.scanSub': 'Remplissage auto depuis OpenFoodFacts',
+    'addDrink.drink': 'Boisson',
+    'addDrink.namePh': 'Ex. Pilsner Urquell',
+    'addDrink.container': 'Contenant',
+    'addDrink.containerVolume': 'Volume du contenant',
+    'addDrink.shared': 'Contenant partagé',
+    'addDrink.shared.sub': 'Pichet ou bouteille : volume total, ma part, durée',
+    'addDrink.myShare': 'Ma part',
+    'addDrink.myShareAria': 'Ma part du contenant',
+    'addDrink.myShareColon': 'Ma part : ',
+    'addDrink.drinkers': 'Nombre de buveurs',
+    'addDrink.drinkersSuffix': 'pers.',
+    'addDrink.window': 'Bu sur',
+    'addDrink.windowAria': 'Durée de consommation',
+    'addDrink.priceOpt': 'Prix (optionnel)',
+    'addDrink.containerPriceOpt': 'Prix du contenant (optionnel)',
+    'addDrink.containerPrice': 'Prix du contenant',
+    'addDrink.price.usual': 'Prix habituel de cette boisson',
+    'addDrink.price.suggestedFrom': "Suggéré d'après {quantity} {unit} à {price} · ",
+    'addDrink.price.applyAria': 'Appliquer le prix suggéré {price}',
+    'addDrink.price.suggestion': 'Suggestion : ',
+    'addDrink.price.apply': '— appliquer',
+    'addDrink.price.isUsual': 'Prix habituel pour cette boisson',
+    'addDrink.price.isUsual.sub': 'Le « + » et « Ajouter à nouveau » reprendront ce prix',
+    'addDrink.ratingOpt': 'Note (optionnelle)',
+    'addDrink.locationOpt': 'Lieu (optionnel)',
+    'addDrink.impact.share': 'ma part',
+    'addDrink.impact.volume': 'volume',
+    'addDrink.impact.grams': 'alcool pur',
+    'scanner.title': 'Scanner',
+    'scanner.close': 'Fermer le scanner',
+    'scanner.product': 'Produit',
+    'scanner.detectedToast': '« {name} » détecté',
+    'scanner.source.local': 'mon catalogue',
+    'scanner.source.group': 'catalogue du groupe',
+    'scanner.source.file': 'fichier de produits',
+    'scanner.reading': "Lecture de l'image…",
+    'scanner.aimInvite': "Visez le QR code d'invitation",
+    'scanner.aim': 'Positionnez le code-barres',
+    'scanner.noQr': 'Aucun QR code lisible sur cette image',
+    'scanner.noBarcode': 'Aucun code-barres lisible sur cette image',
+    'scanner.readError': "Lecture de l'image impossible",
+    'scanner.unavailable': 'Scanner indisponible',
+    'scanner.invite': 'Invitation {code}',
+    'scanner.notInvite': "Ce QR code n'est pas une invitation AlcoNote",
+    'scanner.searching': 'Recherche du produit…',
+    'scanner.queued': 'Hors ligne · code {code} mis en attente',
+    'scanner.found': '{name} détecté',
+    'scanner.noMatch': 'Code {code} reconnu (sans correspondance)',
+    'scanner.searchError': 'Erreur de recherche',
+    'scanner.cameraError': 'Caméra indisponible · importez une photo',
+    'scanner.inactive': 'Scanner arrêté (inactivité)',
+    'scanner.qrUnsupported': 'QR codes non pris en charge par ce navigateur',
+    'scanner.startError': 'Erreur démarrage scanner',
+    'scanner.imageAria': 'Image du code-barres',
+    'scanner.importPhoto': 'Importer une photo',
+    'scanner.joinGroup': 'Rejoindre ce groupe',
+    'scanner.useProduct': 'Utiliser ce produit',
+    'detail.title': 'Détail de la boisson',
+    'detail.rated': 'Note enregistrée',
+    'detail.alcohol': 'Alcool',
+    'detail.clearRating': 'Effacer la note',
+    'detail.history': {
+      one: 'Historique · {count} entrée',
+      other: 'Historique · {count} entrées'
+    },
+    'detail.custom': 'perso',
+    'detail.deleteEntry': 'Supprimer cette entrée',
+    'detail.move': 'Déplacer vers une autre catégorie',
+    'detail.moveAria': 'Déplacer vers la catégorie',
+    'detail.moved': 'Déplacé vers « {category} »',
+    'detail.moveError': 'Erreur lors du déplacement',
+    'editEntry.title': "Modifier l'entrée",
+    'editEntry.saved': 'Boisson modifiée',
+    'editEntry.priceOpt': 'Prix de cette entrée (optionnel)',
+    'editEntry.price': "Prix de l'entrée",
+    'editFamily.title': 'Modifier la boisson',
+    'editFamily.saved': 'Boisson mise à jour',
+    'editFamily.deleted': {
+      one: 'Boisson supprimée',
+      other: '{count} entrées supprimées'
+    },
+    'editFamily.refPriceOpt': 'Prix de référence (optionnel)',
+    'editFamily.refPrice': 'Prix de référence',
+    'editFamily.applyExisting': 'Mettre à jour les boissons existantes',
+    'editFamily.refPriced': '{count} au prix de référence',
+    'editFamily.customKept': {
+      one: ' · {count} personnalisée préservée',
+      other: ' · {count} personnalisées préservées'
+    },
+    'editFamily.noPrice': 'sans prix',
+    'editFamily.allCustom': 'Toutes les entrées ont un prix personnalisé — ce prix ne sera repris que par les nouveaux ajouts.',
+    'editFamily.deleteAll': 'Supprimer toutes les entrées',
+    'backups.label.auto': 'Automatique',
+    'backups.label.preImport': 'Avant import',
+    'backups.label.preMerge': 'Avant fusion',
+    'backups.label.preClear': 'Avant effacement',
+    'backups.label.preRestore': 'Avant restauration',
+    'backups.label.preV5': 'Avant migration v5',
+    'backups.label.preNormalize': 'Avant normalisation des catégories',
+    'backups.label.default': 'Sauvegarde',
+    'backups.count': {
+      one: '{count} snapshot · sur cet appareil',
+      other: '{count} snapshots · sur cet appareil'
+    },
+    'backups.more': {
+      one: 'et {count} autre',
+      other: 'et {count} autres'
+    },
+    'backups.empty': "Aucune sauvegarde pour l'instant.",
+    'backups.unreadableShort': 'illisible',
+    'backups.unreadable': 'Sauvegarde illisible.',
+    'backups.comparing': 'Comparaison…',
+    'backups.identical': 'Boissons identiques aux données actuelles.',
+    'backups.unchanged': {
+      one: '{count} boisson inchangée',
+      other: '{count} boissons inchangées'
+    },
+    'backups.lost': {
+      one: '{count} perdue',
+      other: '{count} perdues'
+    },
+    'backups.recovered': {
+      one: '{count} récupérée',
+      other: '{count} récupérées'
+    },
+    'backups.addedSince': 'Saisies depuis — seront perdues',
+    'backups.removedSince': 'Supprimées depuis — reviendront',
+    'backups.restore': 'Restaurer cette sauvegarde',
+    'backups.restoring': 'Restauration…',
+    'backups.restore.title': 'Restaurer cette sauvegarde ?',
+    'backups.restore.message': "Les données actuelles seront remplacées par celles du {date}. L'état actuel est d'abord sauvegardé (« {label} »).",
+    'backups.restore.confirm': 'Restaurer',
+    'backups.restored': 'Sauvegarde restaurée',
+    'backups.restoreError': 'Erreur de restauration',
+    'journal.count': {
+      one: '{count} modification · sur cet appareil',
+      other: '{count} modifications · sur cet appareil'
+    },
+    'journal.empty': 'Aucune modification enregistrée.',
+    'journal.listAria': 'Modifications',
+    'journal.rows': {
+      one: '{count} ligne',
+      other: '{count} lignes'
+    },
+    'journal.undoneTag': 'annulée',
+    'journal.undone': 'Annulé : {label}',
+    'journal.redone': 'Rétabli : {label}',
+    'journal.redoError': 'Erreur lors du rétablissement',
+    'journal.undoAria': 'Annuler la dernière modification',
+    'journal.redoAria': 'Rétablir la modification annulée',
+    'journal.redo': 'Rétablir',
+    'import.error': "Erreur d'import",
+    'import.invalid': "Fichier d'import invalide",
+    'import.busy': 'Import…',
+    'import.modeAria': "Mode d'import",
+    'import.exportedOn': 'exporté le {date}',
+    'import.fileContains': 'Le fichier contient {drinks} et {categories}.',
+    'import.merge': 'Fusionner',
+    'import.merge.added': {
+      one: '{count} boisson ajoutée',
+      other: '{count} boissons ajoutées'
+    },
+    'import.merge.newCategories': {
+      one: '{count} nouvelle catégorie',
+      other: '{count} nouvelles catégories'
+    },
+    'import.merge.keep': '. Vos réglages sont conservés.',
+    'import.replace': 'Remplacer',
+    'import.replace.body': 'Vos {drinks} et {categories} actuelles, ainsi que vos réglages et notes, sont remplacés par le contenu du fichier.',
+    'import.added': {
+      one: '{count} ajoutée',
+      other: '{count} ajoutées'
+    },
+    'import.updated': {
+      one: '{count} mise à jour',
+      other: '{count} mises à jour'
+    },
+    'import.skipped': {
+      one: '{count} ignorée',
+      other: '{count} ignorées'
+    },
+    'import.present': {
+      one: '{count} déjà présente',
+      other: '{count} déjà présentes'
+    },
+    'import.merged': 'Fusion : {added} · {updated} · {skipped}',
+    'import.replaced': 'Données importées',
+    'csv.field.cl': 'Volume (cL)',
+    'csv.field.abv': 'Degré',
+    'csv.imported': 'CSV : {added} · {skipped}',
+    'csv.columns': 'Colonnes',
+    'csv.columnAria': 'Colonne {field}',
+    'csv.column': 'Colonne {n}',
+    'csv.ignored': '— ignorée —',
+    'csv.check': 'Vérification',
+    'csv.valid': {
+      one: '{count} boisson valide',
+      other: '{count} boissons valides'
+    },
+    'csv.skippedRows': {
+      one: '{count} ligne ignorée',
+      other: '{count} lignes ignorées'
+    },
+    'csv.line': 'Ligne {line}',
+    'csv.moreErrors': {
+      one: 'et {count} autre erreur',
+      other: 'et {count} autres erreurs'
+    },
+    'csv.run': 'Importer {drinks}',
+    'csv.empty': 'CSV vide',
+    'csv.unreadable': 'Fichier CSV illisible',
+    'csv.error.name': 'nom manquant',
+    'csv.error.date': 'date invalide (« {value} »)',
+    'csv.error.noDate': 'date manquante',
+    'csv.error.time': 'heure invalide (« {value} »)',
+    'csv.error.unit': 'unité inconnue (« {value} »)',
+    'csv.error.noQuantity': 'quantité manquante',
+    'csv.error.quantity': 'quantité invalide',
+    'csv.error.abv': 'degré invalide (0–100)',
+    'csv.error.price': 'prix invalide',
+    'csv.error.rating': 'note invalide (0–5)',
+    'settings.encrypted.title': 'Export chiffré',
+    'settings.encrypted.submit': 'Exporter',
+    'settings.encrypted.sub': 'Fichier {ext} lisible uniquement avec la phrase de passe',
+    'settings.encrypted.done': 'Export chiffré créé',
+    'settings.csvExported': 'Journal exporté en CSV',
+    'settings.decrypt.title': 'Fichier chiffré',
+    'settings.decrypt.submit': 'Déchiffrer',
+    'settings.importFileAria': 'Fichier à importer',
+    'settings.importCsvAria': 'Fichier CSV à importer',
+    'offsite.folderError': 'Dossier inaccessible',
+    'offsite.encrypt.title': 'Export automatique chiffré',
+    'offsite.encrypt.submit': 'Activer',
+    'offsite.encrypt.files': "Les fichiers {ext} s'ouvriront avec cette phrase",
+    'offsite.encrypt.done': 'Chiffrement activé',
+    'offsite.writtenTo': 'Écrit dans {path}',
+    'share.enable.title': 'Activer le partage entre amis ?',
+    'share.enable.message': 'Tes boissons (sans localisation) et tes notes seront partagées avec les membres de ton groupe, qui pourront voir tes statistiques. Désactivable à tout moment.',
+    'share.enable.confirm': 'Activer',
+    'share.bac.title': 'Partager ton alcoolémie ?',
+    'share.bac.message': "Pour estimer ton taux d'alcoolémie en direct chez tes amis, ton poids et ton sexe seront partagés avec ton groupe.",
+    'share.bac.confirm': 'Partager',
+    'share.leave.message': 'Tes données partagées seront retirées et tu ne verras plus celles des autres membres.',
+    'share.codeCopied': 'Code copié',
+    'share.recoveryKey': 'Clé de récupération',
+    'share.recoveryKey.sub': 'Protège ton identité de partage',
+    'share.recoveryKey.exported': 'Clé de récupération exportée',
+    'share.recoveryKey.restored': 'Identité restaurée',
+    'share.recoveryKey.invalid': 'Clé invalide',
+    'share.error.anonymous': 'Active « Anonymous sign-ins » dans Supabase (Auth › Providers)',
+    'share.error.schema': 'Exécute supabase/schema.sql dans Supabase (SQL Editor)',
+    'share.error.grants': 'Droits manquants : ré-exécute supabase/schema.sql (GRANT/RLS)',
+    'share.error.rls': 'RLS : ré-exécute supabase/schema.sql (policies)',
+    'share.error.tables': 'Tables/colonnes manquantes : ré-exécute supabase/schema.sql',
+    'share.error.sdk': 'SDK Supabase injoignable (vérifie ta connexion / CSP)',
+    'share.error.network': 'Réseau indisponible — réessaie',
+    'share.error.apiKey': 'Clé Supabase invalide (vérifie share-config.js)',
+    'share.error.invite': "Code d'invitation invalide",
+    'share.error.generic': 'Échec partage — voir la console (F12) pour le détail',
+    'share.removed': 'Tu ne fais plus partie du groupe',
+    'qr.tooLong': 'Texte trop long pour un QR code',
+    // Coquille de l'application (app.jsx)
+    'app.crash.title': 'Une erreur est survenue',
+    'app.crash.body': "L'application a rencontré un problème. Vos données restent intactes.",
+    'app.crash.reload': 'Recharger',
+    'app.lookupsFound': {
+      one: '{count} fiche retrouvée pour un scan hors ligne',
+      other: '{count} fiches retrouvées pour des scans hors ligne'
+    },
+    'app.lookupsReview': 'Vérifier',
+    'app.sharedImageMissing': 'Image partagée introuvable',
+    // Statistiques (stats.jsx)
+    'stats.period': 'Période',
+    'stats.period.prev': 'Période précédente',
+    'stats.period.next': 'Période suivante',
+    'stats.noData': 'Aucune donnée',
+    'stats.noData.period': 'Aucune donnée pour cette période',
+    'stats.daysShort': '{n}j',
+    'stats.valueDrinks': 'boisson(s)',
+    'stats.reorder.done': 'Terminé',
+    'stats.reorder.hint': "Glisse une section par sa poignée pour changer l'ordre. Il est conservé définitivement.",
+    'stats.reorder.moveAria': 'Déplacer « {title} » — glisser, ou flèches haut/bas',
+    'stats.empty.title': 'Pas de données disponibles',
+    'stats.empty.global': 'Ajoute ta première boisson avec le bouton + pour voir tes statistiques ici.',
+    'stats.empty.filter': 'Aucune boisson ne correspond à ce filtre.',
+    'stats.empty.period': 'Aucune boisson enregistrée sur cette période.',
+    'stats.section.general': 'Statistiques générales',
+    'stats.section.temporal': 'Analyse temporelle',
+    'stats.section.heatmap': 'Calendrier',
+    'stats.section.category': 'Analyse par catégorie',
+    'stats.section.top': 'Top boissons',
+    'stats.section.bac': 'Alcoolémie',
+    'stats.section.sessions': 'Sessions',
+    'stats.section.map': 'Carte des consommations',
+    'stats.section.trends': 'Tendances',
+    'stats.section.advanced': 'Analyses avancées',
+    'stats.section.spending': 'Dépenses',
+    'stats.section.goals': 'Objectifs',
+    'stats.section.audit': 'Auto-évaluation',
+    'stats.delta.flat': 'stable de {value} vs période précédente',
+    'stats.delta.up': 'hausse de {value} vs période précédente',
+    'stats.delta.down': 'baisse de {value} vs période précédente',
+    'stats.general.sub': "Vue d'ensemble de votre consommation",
+    'stats.general.byCategory': 'Répartition par catégorie',
+    'stats.cell.drinks': 'Boissons',
+    'stats.cell.volume': 'Volume',
+    'stats.cell.grams': 'Alcool pur',
+    'stats.cell.units': 'Unités',
+    'stats.cell.stdDrinks': 'Verres std',
+    'stats.cell.unique': 'Boissons diff.',
+    'stats.cell.drunkTime': 'Temps bourré',
+    'stats.cell.drunkPct': '% bourré',
+    'stats.cell.soberDays': 'Jours sobres',
+    'stats.cell.perDay': 'Boissons/jour',
+    'stats.cell.perWeek': 'Boissons/sem.',
+    'stats.streak': 'Streak',
+    'stats.streak.record': 'Record',
+    'stats.streak.days': {
+      one: "jour d'affilée",
+      other: "jours d'affilée"
+    },
+    'stats.risk.title': 'Repères de risque',
+    'stats.risk.thisWeek': 'Cette semaine : ',
+    'stats.risk.weeklyAvg': 'Moyenne par semaine : ',
+    'stats.risk.spf': 'Santé publique France',
+    'stats.risk.spf.within': 'Dans les repères',
+    'stats.risk.spf.above': 'Au-delà des repères',
+    'stats.risk.spf.hint': '≤ {grams} g par semaine',
+    'stats.risk.who': 'OMS',
+    'stats.risk.who.none': 'Risque aucun',
+    'stats.risk.who.low': 'Risque faible',
+    'stats.risk.who.medium': 'Risque modéré',
+    'stats.risk.who.high': 'Risque élevé',
+    'stats.risk.who.veryHigh': 'Risque très élevé',
+    'stats.risk.who.hint': '{grams} g par jour en moyenne',
+    'stats.heatmap.sub': "Grammes d'alcool pur par jour",
+    'stats.sessions.sub': "Vos dernières sessions · pic d'alcoolémie",
+    'stats.sessions.empty': 'Aucune session sur cette période',
+    'stats.sessions.drinks': {
+      one: '{count} conso',
+      other: '{count} consos'
+    },
+    'stats.sessions.peaks': 'Distribution des pics',
+    'stats.sessions.peaks.sub': "Pic d'alcoolémie par session ({unit})",
+    'stats.temporal.sub': 'Répartition par heures et jours',
+    'stats.temporal.peakHour': 'Heure de pointe',
+    'stats.temporal.peakDay': 'Jour de pointe',
+    'stats.temporal.avgSession': 'Durée moy. session',
+    'stats.temporal.between': 'Entre sessions',
+    'stats.temporal.byHour': 'Par heure',
+    'stats.temporal.byDay': 'Par jour de la semaine',
+    'stats.category.sub': 'Statistiques par type de boisson',
+    'stats.category.avgVolume': 'Volume moyen',
+    'stats.category.avgAbv': 'Degré moyen',
+    'stats.category.favorite': 'Favorite',
+    'stats.top.title': 'Top 10 des boissons',
+    'stats.top.sub': 'Vos boissons les plus consommées',
+    'stats.top.times': {
+      one: '{count} fois',
+      other: '{count} fois'
+    },
+    'stats.bac.sub': 'Estimation BAC · Modèle {model}',
+    'stats.bac.subCalibrated': 'Estimation BAC · Modèle {model} calibré',
+    'stats.bac.live': 'En direct',
+    'stats.bac.gaugeAria': 'Alcoolémie estimée : {value}',
+    'stats.bac.sober': 'Sobriété',
+    'stats.bac.driving': 'Conduite (<{limit})',
+    'stats.bac.drivingZero': 'Conduite (0)',
+    'stats.bac.avgSession': 'Taux moyen par session',
+    'stats.bac.avgSession.sub': 'Moyenne intra-session, puis moyenne sur la période',
+    'stats.bac.projection': "Projection d'alcoolémie",
+    'stats.bac.scrubHint': 'Glissez le doigt sur le graphe pour voir le taux à un moment précis',
+    'stats.bac.counted': 'Consommations prises en compte ({n})',
+    'stats.bac.countedRecent': ' · {n} plus récentes',
+    'stats.bac.hoursAgo': 'il y a {n}h',
+    'stats.food.aria': 'Repas',
+    'stats.food.saveError': 'Modification impossible',
+    'stats.forecast.title': 'Prévision de session',
+    'stats.forecast.toggleAria': 'Affichage de la prévision',
+    'stats.forecast.shown': 'Affichée',
+    'stats.forecast.hidden': 'Masquée',
+    'stats.forecast.rate': 'Rythme',
+    'stats.forecast.avgDuration': 'Durée moy',
+    'stats.forecast.avgPeak': 'Peak moy',
+    'stats.forecast.eta': 'ETA peak',
+    'stats.forecast.now': 'maintenant',
+    'stats.forecast.hint.history': "Extrapolation au rythme actuel jusqu'à la durée moyenne de vos sessions passées",
+    'stats.forecast.hint.noHistory': 'Rythme actuel · pas encore de session passée pour estimer la durée',
+    'stats.alerts.cancelAria': 'Annuler les alertes',
+    'stats.notify.legal': 'Tu repasses sous {limit} à {time}',
+    'stats.notify.sober': 'Sobre à {time}',
+    'stats.notify.peak': 'Pic prévu à {bac} vers {time} : au-dessus du seuil de conduite',
+    'stats.reading.title': 'Éthylotest',
+    'stats.reading.valueAria': "Mesure d'éthylotest",
+    'stats.reading.unitAria': 'Unité de mesure',
+    'stats.reading.timeAria': 'Heure de la mesure',
+    'stats.reading.add': 'Ajouter',
+    'stats.reading.deleteAria': 'Supprimer la mesure',
+    'stats.reading.saved': 'Mesure enregistrée',
+    'stats.reading.saveError': 'Enregistrement impossible',
+    'stats.calibration.fitted': 'Calibrage perso : élimination {elim} mg/L/h · r {r} · confiance {confidence} ({n} mesures)',
+    'stats.calibration.missing': {
+      one: 'Encore {count} mesure après des verres pour calibrer le modèle',
+      other: 'Encore {count} mesures après des verres pour calibrer le modèle'
+    },
+    'stats.calibration.default': 'Valeurs par défaut du modèle',
+    'stats.calibration.reset': 'Réinitialiser',
+    'stats.calibration.reset.title': 'Réinitialiser le calibrage ?',
+    'stats.calibration.reset.message': 'Le modèle reprend ses valeurs par défaut. Les mesures restent affichées, seules les prochaines serviront à recalibrer.',
+    'bacFood.fasted': 'À jeun',
+    'bacFood.light': 'Repas léger',
+    'bacFood.full': 'Repas copieux',
+    'bacCal.confidence.low': 'faible',
+    'bacCal.confidence.medium': 'moyenne',
+    'bacCal.confidence.high': 'bonne',
+    'stats.records.title': "Records d'alcoolémie",
+    'stats.records.absolute': 'Records absolus',
+    'stats.records.badge': 'Record',
+    'stats.records.today': "Aujourd'hui à {time}",
+    'stats.records.yesterday': 'Hier à {time}',
+    'stats.records.daysAgo': '{n} jours · {time}',
+    'stats.records.date': '{day} {month} · {time}',
+    'stats.map.sub': {
+      one: '{count} consommation géolocalisée',
+      other: '{count} consommations géolocalisées'
+    },
+    'stats.map.sub.all': {
+      one: '{count} consommation géolocalisée · tout l’historique',
+      other: '{count} consommations géolocalisées · tout l’historique'
+    },
+    'stats.map.points': 'Points',
+    'stats.map.heat': 'Chaleur',
+    'stats.map.loading': 'Chargement de la carte…',
+    'stats.map.unavailable': 'Carte indisponible (réseau ?)',
+    'stats.map.empty': 'Aucune consommation géolocalisée sur cette période — essayez « Tout »',
+    'stats.map.empty.all': 'Aucune consommation géolocalisée',
+    'stats.map.recenter': 'Recentrer',
+    'stats.map.locate': 'Ma position',
+    'stats.map.noPosition': 'Position indisponible',
+    'stats.map.here': 'Consommations ici',
+    'stats.map.total': {
+      one: '{count} boisson',
+      other: '{count} boissons'
+    },
+    'stats.map.types': {
+      one: '{count} type',
+      other: '{count} types'
+    },
+    'stats.trends.sub': 'Consommation dans le temps',
+    'stats.trends.notEnough': "Pas assez d'historique (au moins 2 mois requis)",
+    'stats.trends.byMonth': 'Par mois',
+    'stats.trends.lastMonths': '6 derniers mois',
+    'stats.trends.gramsUnit': "g d'alcool",
+    'stats.trends.glasses': {
+      one: '{count} verre',
+      other: '{count} verres'
+    },
+    'stats.trends.monthlyAria': 'Alcool pur par mois, six derniers mois',
+    'stats.trends.cumulative': 'Cumul vs période précédente',
+    'stats.trends.cumulative.sub': "Grammes d'alcool cumulés, jour par jour",
+    'stats.trends.cumulativeAria': "Grammes d'alcool cumulés, période courante et précédente",
+    'stats.trends.unitCurrent': 'g · actuel',
+    'stats.trends.unitPrevious': 'g · précédent',
+    'stats.trends.current': 'Actuelle',
+    'stats.trends.previous': 'Précédente',
+    'stats.trends.day': 'J{n}',
+    'stats.advanced.sub': 'Moyennes mobiles · Horloge · Distribution des sessions',
+    'stats.advanced.subNoBac': 'Moyennes mobiles · Horloge',
+    'stats.advanced.rolling': 'Moyenne mobile',
+    'stats.advanced.rolling.sub': 'Alcool quotidien lissé sur 7 et 30 jours',
+    'stats.advanced.rollingAria': "Moyenne mobile de l'alcool quotidien",
+    'stats.advanced.lastDays': '30 derniers jours',
+    'stats.advanced.raw': 'Brut',
+    'stats.advanced.tipRaw': '{g} g brut',
+    'stats.advanced.tipAvg': '{g} g · {n}j',
+    'stats.advanced.clock': 'Horloge des consommations',
+    'stats.advanced.clock.sub': 'Répartition sur 24 heures',
+    'stats.advanced.durations': 'Distribution des sessions',
+    'stats.advanced.durations.sub': 'Durée par session',
+    'stats.advanced.duration': 'Durée',
+    'stats.spending.sub': 'Coût de la consommation (prix saisis)',
+    'stats.spending.empty': 'Aucun prix saisi sur cette période',
+    'stats.spending.total': 'Total dépensé',
+    'stats.spending.avg': 'Prix moyen / boisson',
+    'stats.spending.byCategory': 'Par catégorie',
+    'stats.spending.chart': 'Dépenses {unit}',
+    'stats.spending.perHour': 'par heure',
+    'stats.spending.perDay': 'par jour',
+    'stats.spending.perMonth': 'par mois',
+    'stats.spending.perYear': 'par année',
+    // Graphiques (stats-charts.jsx)
+    'charts.barAria': 'Diagramme en barres',
+    'charts.radarAria': 'Radar par jour',
+    'charts.donutAria': 'Répartition par catégorie',
+    'charts.lineAria': "Courbe d'évolution",
+    'charts.clockAria': 'Horloge des consommations sur 24 heures',
+    'charts.histogramAria': 'Histogramme de distribution',
+    'charts.heatmapAria': 'Calendrier de consommation',
+    'charts.total': 'Total',
+    'charts.sessions': {
+      one: '{count} session',
+      other: '{count} sessions'
+    },
+    'charts.gramsAlcohol': "{g} g d'alcool",
+    'charts.bac.legal': '{value} légal',
+    'charts.bac.noData': "Aucune donnée d'alcoolémie",
+    'charts.bac.noForecast': 'Aucune donnée pour la prévision',
+    'charts.bac.projectionAria': "Projection d'alcoolémie dans le temps",
+    'charts.bac.forecastAria': "Prévision d'alcoolémie de la session en cours",
+    'charts.bac.reading': 'Éthylotest : {value}',
+    'charts.bac.now': 'maintenant',
+    'charts.bac.ago': 'il y a {time}',
+    'charts.bac.in': 'dans {time}',
+    'charts.bac.over': 'Au-delà',
+    'charts.bac.light': 'Léger',
+    'charts.bac.sober': 'Sobre',
+    // Données (data.jsx) : libellés du journal et erreurs remontées
+    'data.journal.add': 'Ajout de « {name} »',
+    'data.journal.edit': 'Modification de « {name} »',
+    'data.journal.delete': 'Suppression de « {name} »',
+    'data.journal.rating': 'Note de « {name} »',
+    'data.journal.refPrice': 'Prix de référence de « {name} »',
+    'data.journal.addCategory': 'Nouvelle catégorie « {name} »',
+    'data.journal.renameCategory': 'Catégorie « {old} » renommée en « {name} »',
+    'data.journal.deleteCategory': 'Suppression de la catégorie « {name} »',
+    'data.journal.categoryIcon': 'Icône de « {name} »',
+    'data.journal.categoryColor': 'Couleur de « {name} »',
+    'data.journal.editFamily': 'Modification de la famille « {name} »',
+    'data.journal.familyPrice': 'Prix appliqué à la famille « {name} »',
+    'data.journal.deleteFamily': 'Suppression de la famille « {name} »',
+    'data.journal.sessionFood': 'Repas de la session',
+    'data.drinkFallback': 'boisson',
+    'data.categoryFallback': 'catégorie',
+    'data.error.db': 'Base de données indisponible',
+    'data.error.categoryMissing': 'Catégorie introuvable',
+    'data.error.categoryNotEmpty': "Cette catégorie contient des boissons. Veuillez d'abord les déplacer.",
+    'data.error.categoryInvalid': 'Catégorie invalide',
+    'data.error.iconSave': "Échec de la sauvegarde de l'icône",
+    'data.error.colorSave': 'Échec de la sauvegarde de la couleur',
+    'data.error.noSelection': 'Aucune boisson sélectionnée',
+    'data.error.shift': 'Décalage invalide',
+    'data.error.category': 'Choisissez une catégorie',
+    'data.error.price': 'Prix invalide',
+    'data.error.reading': 'Mesure invalide',
+    'data.error.emptyRound': 'Tournée vide',
+    'data.error.drinkMissing': 'Boisson introuvable',
+    'data.error.noKey': 'Clé de chiffrement absente : redéfinissez la phrase de passe',
+    'data.error.noFolder': 'Aucun dossier choisi',
+    'data.error.folderPermission': 'Accès au dossier à réautoriser',
+    'data.geo.title': 'Géolocaliser vos consommations ?',
+    'data.geo.message': 'AlcoNote peut enregistrer le lieu de chaque consommation pour les afficher sur une carte. La position ne quitte pas votre appareil. Demandé une seule fois.',
+    'data.geo.allow': 'Autoriser',
+    'data.geo.decline': 'Non merci',
+    'data.shared.atOnce': "d'un coup",
+    'data.shared.part': '{share} de {qty}',
+    'data.shared.over': '{text} · sur {window}',
+    // Erreurs codées de js/database.js et du scanner (data.jsx › errorText)
+    'error.import.unreadable': 'Format de données invalide : JSON illisible',
+    'error.import.noVersion': 'Format de données invalide : version manquante',
+    'error.import.unknownVersion': 'Format de données invalide : version « {version} » inconnue',
+    'error.import.tooNew': "Export en version {version}, cette app lit jusqu'à la version {max} : mettez-la à jour",
+    'error.import.invalid': 'Format de données invalide — {problems}{more}',
+    'error.import.problem': '{where} : {reason}',
+    'error.import.separator': ' ; ',
+    'error.import.more': {
+      one: ' (+{count} autre)',
+      other: ' (+{count} autres)'
+    },
+    'error.import.passphraseRequired': 'Fichier chiffré : phrase de passe requise',
+    'error.reason.json': 'objet JSON attendu',
+    'error.reason.tableMissing': 'table manquante',
+    'error.reason.tableType': 'tableau attendu',
+    'error.reason.rowType': 'objet attendu',
+    'error.reason.required': 'champ obligatoire manquant',
+    'error.reason.null': 'valeur nulle interdite',
+    'error.reason.type': '{type} attendu',
+    'error.reason.empty': 'ne doit pas être vide',
+    'error.reason.min': 'doit être ≥ {min}',
+    'error.reason.max': 'doit être ≤ {max}',
+    'error.reason.format': 'format {format} attendu',
+    'error.reason.duplicate': 'doublon ({value})',
+    'error.type.string': 'texte',
+    'error.type.number': 'nombre',
+    'error.type.boolean': 'booléen',
+    'error.type.object': 'objet',
+    'error.type.array': 'tableau',
+    'error.format.date': 'AAAA-MM-JJ',
+    'error.format.time': 'HH:MM',
+    'error.crypto.passphraseRequired': 'Phrase de passe requise',
+    'error.crypto.unreadable': 'Fichier chiffré illisible',
+    'error.crypto.wrongPayload': 'Ce fichier chiffré ne contient pas le type de données attendu',
+    'error.crypto.wrongPassphrase': 'Phrase de passe incorrecte ou fichier altéré',
+    'error.category.invalidName': 'Le nom de catégorie est invalide',
+    'error.category.invalidNewName': 'Le nouveau nom de catégorie est invalide',
+    'error.category.exists': 'Une catégorie avec ce nom existe déjà',
+    'error.category.notFound': 'Catégorie non trouvée',
+    'error.category.notEmpty': 'Impossible de supprimer une catégorie qui contient des boissons',
+    'error.drink.notFound': 'Boisson non trouvée',
+    'error.round.notFound': 'Tournée non trouvée',
+    'error.unit.exists': 'Cette unité existe déjà',
+    'error.unit.notFound': 'Unité non trouvée',
+    'error.unit.builtinCl': 'Unité intégrée : équivalent non modifiable',
+    'error.unit.builtinDelete': 'Unité intégrée : suppression impossible',
+    'error.unit.inUse': {
+      one: 'Unité utilisée par {count} boisson',
+      other: 'Unité utilisée par {count} boissons'
+    },
+    'error.product.notFound': 'Produit non trouvé',
+    'error.backup.unreadable': 'Sauvegarde introuvable ou illisible',
+    'error.scanner.qrUnsupported': 'Lecture des QR codes non prise en charge par ce navigateur',
+    'common.cancel': 'Annuler',
+    'common.delete': 'Supprimer',
+    'common.save': 'Enregistrer',
+    'common.close': 'Fermer',
+    'common.saving': 'Enregistrement…',
+    'common.error': 'Erreur',
+    'common.categories': {
+      one: '{count} catégorie',
+      other: '{count} catégories'
+    },
+    'common.confirm': 'Confirmer',
+    'common.edit': 'Modifier',
+    'common.apply': 'Appliquer',
+    'common.drinks': {
+      one: '{count} boisson',
+      other: '{count} boissons'
+    }
+  },
+  en: {
+    'date.daysLong': ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    'date.daysShort': ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    'date.daysAbbr': ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    'date.daysNarrow': ['S', 'M', 'T', 'W', 'T', 'F', 'S'],
+    'date.monthsLong': _EN_MONTHS_LONG,
+    'date.monthsShort': _EN_MONTHS_SHORT,
+    'date.monthsDotted': _EN_MONTHS_SHORT,
+    'date.monthsSpan': _EN_MONTHS_SHORT,
+    'date.long': '{weekday} {day} {month}',
+    'date.medium': '{day} {month}',
+    'date.dayHeader': '{weekday} {day} {month}',
+    'currency.eur': '€{n}',
+    'rel.now': 'just now',
+    'rel.minutes': '{count} min ago',
+    'rel.hours': '{count} h ago',
+    'rel.days': {
+      one: '{count} day ago',
+      other: '{count} days ago'
+    },
+    'friends.syncing': 'Syncing…',
+    'friends.updated': 'Updated {when}',
+    'friends.ready': 'Ready',
+    'friends.refresh': 'Refresh',
+    'friends.anonymous': 'Anonymous',
+    'friends.myFavorite': 'my favourite',
+    'friends.favAria': 'Add {name} to favourites',
+    'friends.unfavAria': 'Remove {name} from favourites',
+    'friends.fav': 'Add to favourites',
+    'friends.unfav': 'Remove from favourites',
+    'friends.openAria': "View {name}'s statistics, {bac}",
+    'friends.bacLive': 'Live BAC',
+    'friends.bacHidden': 'BAC not shared',
+    'friends.bacAria': "{name}'s BAC",
+    'friends.remove': 'Remove',
+    'friends.removeAria': 'Remove {name} from the group',
+    'friends.removed': '{name} removed from the group',
+    'friends.removeMember.title': 'Remove {name} from the group?',
+    'friends.removeMember.message': 'Their profile and shared drinks will be removed from the group for everyone. Their personal data on their device is not affected.',
+    'friends.removeFriend.title': 'Remove {name}?',
+    'friends.removeFriend.message': 'Their shared drinks will be removed from the group for everyone. Their personal data on their device is not affected.',
+    'friends.admin': 'Group administration',
+    'friends.adminNote': 'Only visible to the person who created the group — the server re-checks this right on every removal.',
+    'friends.inviteQr': 'Invite QR code',
+    'friends.inviteQrAria': 'Invite QR code {code}',
+    'friends.inviteTitle': 'Invite to the group',
+    'friends.inviteHint': 'Your friend opens the Friends tab, taps “Scan a QR code” and points at this screen.',
+    'friends.inviteWithQr': 'Invite with a QR code',
+    'friends.leave': 'Leave the group',
+    'friends.leave.title': 'Leave the group?',
+    'friends.leave.message': "Your shared data will be removed from the group and you will no longer see the other members' data.",
+    'friends.leave.confirm': 'Leave',
+    'friends.left': 'Left the group',
+    'friends.unavailable': 'Sharing is not configured on this installation.',
+    'friends.disabled.before': 'Turn on sharing in ',
+    'friends.disabled.settings': 'Settings',
+    'friends.disabled.after': " (top-left menu) to see your friends' BAC and statistics here.",
+    'friends.created': 'Group created',
+    'friends.joined': 'Group joined',
+    'friends.join.title': 'Join your friends',
+    'friends.join.sub': "Create a group and share the code, or enter a friend's code.",
+    'friends.or': 'OR',
+    'friends.codePh': 'FRIEND-CODE',
+    'friends.join': 'Join',
+    'friends.scanQr': 'Scan a QR code',
+    'friends.offline': 'You are not connected to the Internet',
+    'friends.empty': 'No friends yet',
+    'friends.emptySub': 'Share your invite code below so your friends can join you.',
+    'friends.back': 'Back',
+    'friends.sharedStats': 'Shared statistics',
+    'friends.pullAll': 'Download the full history',
+    'friends.pullFailed': 'Download failed',
+    'friends.pullDone': 'History up to date',
+    'period.today': 'Day',
+    'period.week': 'Week',
+    'period.month': 'Month',
+    'period.year': 'Year',
+    'period.all': 'All',
+    'period.school': 'School yr',
+    'period.range.sameMonth': '{start} – {end} {month} {year}',
+    'period.range.span': '{start} {startMonth} – {end} {endMonth} {year}',
+    'period.label.month': '{month} {year}',
+    'period.label.school': 'School year {start}-{end}',
+    'period.label.all': 'All time',
+    'tab.categories': 'Categories',
+    'tab.history': 'History',
+    'tab.stats': 'Statistics',
+    'tab.friends': 'Friends',
+    'nav.categories': 'Categories',
+    'nav.history': 'History',
+    'nav.stats': 'Stats',
+    'nav.friends': 'Friends',
+    'nav.main': 'Main navigation',
+    'nav.reorder': 'Reorder',
+    'nav.reorderAria': 'Reorder sections',
+    'header.openSettings': 'Open settings',
+    'header.openSettingsOverdue': 'Open settings — backup overdue',
+    'header.backupOverdue': 'Off-device backup overdue',
+    'fab.add': 'Add a drink',
+    'toast.undo': 'Undo',
+    'toast.drinkAdded': '“{name}” added',
+    'toast.addError': 'Could not add the drink',
+    'toast.drinkDeleted': 'Drink deleted',
+    'toast.deleteUndone': 'Deletion undone',
+    'toast.editUndone': 'Edit undone',
+    'toast.undoError': 'Could not undo',
+    'toast.deleteError': 'Could not delete',
+    'toast.editError': 'Could not save the changes',
+    'bacPill.aria': 'Blood alcohol level',
+    'bacPill.overLimit': ' · over the legal limit',
+    'bacPill.unknown': 'Not shared',
+    'settings.title': 'Settings',
+    'settings.close': 'Close settings',
+    'settings.appearance': 'Appearance',
+    'settings.theme': 'Theme',
+    'settings.theme.light': 'Light',
+    'settings.theme.dark': 'Dark',
+    'settings.language': 'Language',
+    'settings.haptics': 'Haptic feedback',
+    'settings.bacTranslate': 'Translate BAC messages',
+    'settings.bacTranslate.sub': 'The original messages are in French',
+    'settings.profile': 'Profile',
+    'settings.weight': 'Weight (kg)',
+    'settings.gender': 'Sex',
+    'settings.gender.male': 'Male',
+    'settings.gender.female': 'Female',
+    'settings.bacModel': 'BAC model',
+    'settings.age': 'Age',
+    'settings.height': 'Height (cm)',
+    'settings.driving': 'Driving',
+    'settings.drivingProfile': 'Driving profile',
+    'settings.customLimit': 'Legal limit',
+    'settings.bacUnit': 'BAC unit',
+    'bacProfile.fr': 'France',
+    'bacProfile.fr-young': 'France — probationary driver',
+    'bacProfile.be': 'Belgium',
+    'bacProfile.ch': 'Switzerland',
+    'bacProfile.de': 'Germany',
+    'bacProfile.es': 'Spain',
+    'bacProfile.it': 'Italy',
+    'bacProfile.uk': 'England / Wales',
+    'bacProfile.us': 'United States',
+    'bacProfile.se': 'Sweden',
+    'bacProfile.zero': 'Zero tolerance',
+    'bacProfile.custom': 'Custom',
+    'settings.stdDrink': 'Standard drink',
+    'stdDrink.fr': 'France',
+    'stdDrink.be': 'Belgium',
+    'stdDrink.ch': 'Switzerland',
+    'stdDrink.it': 'Italy',
+    'stdDrink.uk': 'United Kingdom (unit)',
+    'stdDrink.ie': 'Ireland',
+    'stdDrink.us': 'United States',
+    'stdDrink.ca': 'Canada',
+    'stdDrink.au': 'Australia',
+    'stdDrink.label.short': {
+      one: 'std drink',
+      other: 'std drinks'
+    },
+    'stdDrink.label.long': {
+      one: 'standard drink',
+      other: 'standard drinks'
+    },
+    'stdDrink.label.unit': {
+      one: 'unit',
+      other: 'units'
+    },
+    'settings.data': 'Data',
+    'settings.export': 'Export',
+    'settings.exportEncrypted': 'Export encrypted',
+    'settings.import': 'Import',
+    'settings.exportCsv': 'Export as CSV',
+    'settings.importCsv': 'Import a CSV',
+    'settings.backups': 'Backups',
+    'settings.journal': 'Edit history',
+    'settings.units': 'Container units',
+    'settings.catalog': 'Product catalog',
+    'settings.clear': 'Erase everything',
+    'settings.clear.title': 'Erase all data?',
+    'settings.clear.message': 'Drinks, categories, settings and records will be permanently deleted. This cannot be undone.',
+    'settings.clear.done': 'Data erased',
+    'settings.clear.error': 'Could not erase the data',
+    'settings.exported': 'Data exported',
+    'settings.exportError': 'Export failed',
+    'offsite.title': 'Automatic export',
+    'offsite.frequency': 'Export frequency',
+    'offsite.off': 'Off',
+    'offsite.daily': 'Daily',
+    'offsite.weekly': 'Weekly',
+    'offsite.folder': 'Folder',
+    'offsite.chooseFolder': 'Choose…',
+    'offsite.noFolderApi': 'This browser cannot write to folders: a reminder will offer a download.',
+    'offsite.encrypt': 'Encrypt',
+    'offsite.encrypt.sub': 'Passphrase asked only once',
+    'offsite.last': 'Last backup',
+    'offsite.never': 'Never',
+    'offsite.overdue': ' · overdue',
+    'offsite.runNow': 'Export now',
+    'offsite.download': 'Download',
+    'offsite.exported': 'Backup exported',
+    'offsite.written': 'Backup written to {path}',
+    'offsite.keyMissing': 'Encrypted automatic export paused: no key on this device, set it up again in settings',
+    'notify.title': 'Alerts',
+    'notify.bac': 'BAC alerts',
+    'notify.bac.sub': 'Back under the driving limit, sober, projected peak over the limit',
+    'notify.unsupported': 'Notifications are not supported by this browser.',
+    'notify.denied': 'Notifications are blocked in the browser settings.',
+    'notify.quiet': 'Quiet hours',
+    'notify.quiet.sub': 'No scheduled alert during this range',
+    'notify.quietStart': 'Start',
+    'notify.quietEnd': 'End',
+    'share.title': 'Sharing with friends',
+    'share.enable': 'Enable sharing',
+    'share.enable.sub': 'Drinks (without place) + ratings',
+    'share.nickname': 'Nickname',
+    'share.bac': 'Share my BAC',
+    'share.bac.sub': 'Shares weight + sex (Widmark model)',
+    'share.catalog': 'Share my catalog',
+    'share.catalog.sub': 'Barcodes of my drinks: the group\'s scans find my product sheets',
+    'share.createGroup': 'Create a group',
+    'share.inviteCode': 'Invite code',
+    'share.members': 'Members',
+    'share.exportKey': 'Export recovery key',
+    'share.restoreKey': 'Restore an identity',
+    'share.leave': 'Leave the group',
+    'passphrase.field': 'Passphrase',
+    'passphrase.confirm': 'Confirmation',
+    'passphrase.confirmAria': 'Confirm the passphrase',
+    'passphrase.warning': 'Without it the file cannot be recovered: it is stored nowhere.',
+    'passphrase.tooShort': {
+      one: 'At least {count} character',
+      other: 'At least {count} characters'
+    },
+    'passphrase.mismatch': 'The two entries differ',
+    'passphrase.required': 'Passphrase required',
+    'goals.title': 'Goals',
+    'goals.count': {
+      one: '{count} goal',
+      other: '{count} goals'
+    },
+    'goals.hint': 'Set yourself a limit or a challenge',
+    'goals.add': 'Add a goal',
+    'goals.empty': 'No goals yet. Tap + to cap your drinks per week or the alcohol per session, aim for alcohol-free days or take on Dry January.',
+    'goals.type.weeklyDrinks': 'Standard drinks per week',
+    'goals.type.sessionGrams': 'Alcohol per session',
+    'goals.type.soberDays': 'Alcohol-free days per month',
+    'goals.type.dry': 'Alcohol-free challenge',
+    'goals.unit.weeklyDrinks': 'std drinks',
+    'goals.unit.sessionGrams': 'g',
+    'goals.unit.soberDays': 'days',
+    'goals.value': '{value} / {limit} {unit}',
+    'goals.dryValue': {
+      one: '{count} drink',
+      other: '{count} drinks'
+    },
+    'goals.title.dry': 'Alcohol-free from {start} to {end}',
+    'goals.title.soberDays': {
+      one: 'At least {limit} alcohol-free day per month',
+      other: 'At least {limit} alcohol-free days per month'
+    },
+    'goals.title.weeklyDrinks': {
+      one: 'At most {limit} standard drink{per} per week',
+      other: 'At most {limit} standard drinks{per} per week'
+    },
+    'goals.title.sessionGrams': 'At most {limit} g of alcohol per session',
+    'goals.status.ok': 'On track',
+    'goals.status.near': 'Close to the limit',
+    'goals.status.over': 'Exceeded',
+    'goals.status.met': 'Met',
+    'goals.status.missed': 'Missed',
+    'goals.badgeAria': 'Goal: {status}',
+    'goals.startsOn': 'Starts on {date}',
+    'goals.streak': 'Streak: {current} · best {best} · {met}',
+    'goals.streak.met': '{count}/{total} met',
+    'goals.period.week': {
+      one: '{count} week',
+      other: '{count} weeks'
+    },
+    'goals.period.month': {
+      one: '{count} month',
+      other: '{count} months'
+    },
+    'goals.period.challenge': {
+      one: '{count} challenge',
+      other: '{count} challenges'
+    },
+    'goals.noPeriod.week': 'No completed week yet',
+    'goals.noPeriod.month': 'No completed month yet',
+    'goals.noPeriod.challenge': 'No completed challenge yet',
+    'goals.recent': 'Recent periods',
+    'goals.recent.item': '{period}: {status}',
+    'goals.period.met': 'met',
+    'goals.period.missed': 'missed',
+    'goals.delete.title': 'Delete this goal?',
+    'goals.delete.message': 'Its history (met / missed periods) is deleted with it.',
+    'goals.delete.aria': 'Delete the goal',
+    'goals.typeAria': 'Goal type',
+    'goals.dryStart': 'Challenge start',
+    'goals.dryEnd': 'Challenge end',
+    'goals.limitAria': 'Goal limit',
+    'goals.create': 'Create the goal',
+    'goals.added': 'Goal added',
+    'goals.invalid': 'Invalid goal',
+    'goals.saveError': 'Could not save',
+    'audit.title': 'Self-assessment',
+    'audit.sub': 'WHO AUDIT-C questionnaire',
+    'audit.incomplete': 'Incomplete questionnaire',
+    'audit.lastOn': 'Last questionnaire on {date}',
+    'audit.lastScore': 'Latest score',
+    'audit.auditCPart': 'Including AUDIT-C: {score}/12 · {band}',
+    'audit.chartTitle': 'AUDIT-C score',
+    'audit.chartAria': 'AUDIT-C score across questionnaires',
+    'audit.empty': 'Three questions to place your drinking, pre-filled from your history. Take it again from time to time to follow the trend.',
+    'audit.startC': 'Take the AUDIT-C',
+    'audit.startFull': 'Full AUDIT',
+    'audit.delete.title': 'Delete this self-assessment?',
+    'audit.delete.message': '{kind} questionnaire of {date}, score {score}.',
+    'audit.delete.aria': 'Delete the self-assessment',
+    'audit.band.low': 'Low risk',
+    'audit.band.risk': 'Hazardous drinking',
+    'audit.band.high': 'High risk',
+    'audit.band.harmful': 'Harmful drinking',
+    'audit.band.dependent': 'Possible dependence',
+    'audit.sheetTitle': '{kind} questionnaire',
+    'audit.sheetSub': '{count} questions · {state}',
+    'audit.prefilled': 'pre-filled from your history',
+    'audit.toFill': 'to fill in',
+    'audit.basis': 'From your history: {line}',
+    'audit.basis.freq': '{sessions} over {days} days',
+    'audit.basis.qty': 'Median: {median} {unit} per session',
+    'audit.basis.binge': '{sessions} with {n} or more standard drinks',
+    'audit.sessions': {
+      one: '{count} session',
+      other: '{count} sessions'
+    },
+    'audit.disclaimer': 'A tool for reflection, not a diagnosis. A standard drink contains {grams} g of pure alcohol.',
+    'audit.score': 'Score: {score}/{max}',
+    'audit.answered': '{done}/{count} answers',
+    'audit.saved': 'Self-assessment saved',
+    'audit.saveError': 'Could not save',
+    'audit.q.freq': 'How often do you have a drink containing alcohol?',
+    'audit.q.qty': 'How many standard drinks do you have on a typical day when you are drinking?',
+    'audit.q.binge': 'How often do you have six or more standard drinks on one occasion?',
+    'audit.q.control': 'How often during the last year have you found that you were not able to stop drinking once you had started?',
+    'audit.q.duty': 'How often during the last year have you failed to do what was normally expected of you because of drinking?',
+    'audit.q.morning': 'How often during the last year have you needed a first drink in the morning to get yourself going after a heavy drinking session?',
+    'audit.q.guilt': 'How often during the last year have you had a feeling of guilt or remorse after drinking?',
+    'audit.q.memory': 'How often during the last year have you been unable to remember what happened the night before because you had been drinking?',
+    'audit.q.injury': 'Have you or someone else been injured because of your drinking?',
+    'audit.q.concern': 'Has a relative, friend, doctor or other health worker been concerned about your drinking or suggested you cut down?',
+    'audit.opt.freqQ1': ['Never', 'Monthly or less', '2 to 4 times a month', '2 to 3 times a week', '4 or more times a week'],
+    'audit.opt.qty': ['1 or 2', '3 or 4', '5 or 6', '7 to 9', '10 or more'],
+    'audit.opt.freq': ['Never', 'Less than monthly', 'Monthly', 'Weekly', 'Daily or almost daily'],
+    'audit.opt.yesNo': ['No', 'Yes, but not in the last year', 'Yes, during the last year'],
+    'filters.title': 'Filters',
+    'filters.sub': 'Bounds included · empty fields ignored',
+    'filters.text': '“{text}”',
+    'filters.dates': 'Dates',
+    'filters.dates.range': 'From {from} to {to}',
+    'filters.dates.from': 'Since {date}',
+    'filters.dates.to': 'Until {date}',
+    'filters.dateFrom': 'Start date',
+    'filters.dateTo': 'End date',
+    'filters.time': 'Time (may cross midnight)',
+    'filters.time.from': 'After {time}',
+    'filters.time.to': 'Before {time}',
+    'filters.timeFrom': 'Start time',
+    'filters.timeTo': 'End time',
+    'filters.abv': 'ABV',
+    'filters.volume': 'Volume',
+    'filters.price': 'Price',
+    'filters.rangeMin': 'Minimum {label}',
+    'filters.rangeMax': 'Maximum {label}',
+    'filters.rating': 'Rating ≥ {n}',
+    'filters.ratingMin': 'Minimum rating',
+    'filters.ratingOption': '{n}★ and up',
+    'filters.ratingAll': 'All',
+    'filters.placeGroup': 'Place',
+    'filters.placeAria': 'Saved place',
+    'filters.place': 'Place: {place}',
+    'filters.anyPlace': 'Any',
+    'filters.withPlace': 'With a place',
+    'filters.withoutPlace': 'Without a place',
+    'filters.placeContains': 'Place name contains',
+    'filters.placePh': 'Place name…',
+    'filters.barcodeGroup': 'Barcode',
+    'filters.barcode': 'Code {code}',
+    'filters.anyBarcode': 'With a barcode',
+    'filters.barcodeContains': 'Barcode contains',
+    'filters.barcodePh': 'Digits…',
+    'filters.barcodeAny': 'Any',
+    'filters.peak': 'Session > {n} mg/L',
+    'filters.peakGroup': 'Session peaking above',
+    'filters.peakAria': 'Minimum session peak',
+    'filters.saveGroup': 'Save under a name',
+    'filters.nameAria': 'Filter name',
+    'filters.namePh': 'E.g. Bar nights',
+    'filters.saveButton': 'Save the filter',
+    'filters.saved': 'Filter “{name}” saved',
+    'filters.empty': 'Empty filter',
+    'filters.nameRequired': 'Filter name required',
+    'filters.saveError': 'Could not save',
+    'filters.reset': 'Reset',
+    'filters.apply': 'Apply',
+    'filters.totalsAria': 'Filter totals',
+    'filters.drinksWord': {
+      one: 'drink',
+      other: 'drinks'
+    },
+    'filters.gramsWord': 'g of alcohol',
+    'filters.unpriced': ' ({count} without a price)',
+    'filters.removeChip': 'Remove the criterion {label}',
+    'filters.savedAria': 'Saved filters',
+    'filters.all': 'All',
+    'rounds.title': 'Rounds',
+    'rounds.create': 'Create a round',
+    'rounds.newShort': 'New',
+    'rounds.newTitle': 'New round',
+    'rounds.editTitle': 'Edit the round',
+    'rounds.emptyRow': 'Several drinks in one tap (“2 pints + 1 shot”), shares included.',
+    'rounds.addAria': 'Add the round {name} — {summary}',
+    'rounds.editAria': 'Edit the round {name}',
+    'rounds.shareAll': 'All',
+    'rounds.added': 'Round “{name}” added · {drinks}',
+    'rounds.drinks': {
+      one: '{count} drink',
+      other: '{count} drinks'
+    },
+    'rounds.undone': 'Round undone',
+    'rounds.undoError': 'Could not undo',
+    'rounds.journal': 'Round “{name}”',
+    'rounds.locationLabel': 'Place of the round “{name}”',
+    'rounds.locationDefault': 'Place of the round',
+    'rounds.error.name': 'Give the round a name',
+    'rounds.error.count': 'Invalid number of glasses',
+    'rounds.error.share': 'Invalid share',
+    'rounds.error.price': 'Invalid price',
+    'rounds.error.drink': 'Invalid drink',
+    'rounds.error.empty': 'Add at least one drink',
+    'rounds.saved': 'Round updated',
+    'rounds.created': 'Round created',
+    'rounds.saveError': 'Could not save',
+    'rounds.delete.title': 'Delete this round?',
+    'rounds.delete.message': 'Drinks already added with it are kept.',
+    'rounds.deleted': 'Round deleted',
+    'rounds.deleteError': 'Could not delete',
+    'rounds.sheetSub': 'Added in one tap, at the same time',
+    'rounds.name': 'Name',
+    'rounds.nameAria': 'Round name',
+    'rounds.namePh': 'Friday round',
+    'rounds.drinksGroup': 'Drinks',
+    'rounds.drinksGroupCount': 'Drinks · {glasses}',
+    'rounds.glasses': {
+      one: '{count} glass',
+      other: '{count} glasses'
+    },
+    'rounds.pickBelow': 'Pick the drinks below.',
+    'rounds.less': 'One glass fewer: {name}',
+    'rounds.more': 'One more glass: {name}',
+    'rounds.countAria': '{glasses} of {name}',
+    'rounds.remove': 'Remove {name}',
+    'rounds.shareAria': 'My share: {name}',
+    'rounds.priceAria': 'Price of the whole glass: {name}',
+    'rounds.pricePh': 'Price',
+    'rounds.shareNote': 'For me only: {share} of the glass, quantity and price included.',
+    'rounds.addDrink': 'Add a drink',
+    'rounds.searchPh': 'Search for a drink…',
+    'rounds.addFamilyAria': 'Add {name} ({quantity} {unit}, {abv}°) to the round',
+    'rounds.noMatch': 'No drink found',
+    'rounds.noHistory': 'Add a drink to your history first.',
+    'rounds.pickerAria': 'Add a round',
+    'rounds.pickerEmpty': 'No rounds yet: create one to add several drinks in one tap.',
+    'rounds.single': 'A single drink',
+    'batch.journal.edit': {
+      one: 'Edit of {count} drink',
+      other: 'Edit of {count} drinks'
+    },
+    'batch.journal.revert': 'Undo of a batch edit',
+    'batch.journal.delete': {
+      one: 'Deletion of {count} drink',
+      other: 'Deletion of {count} drinks'
+    },
+    'batch.journal.restore': {
+      one: 'Restore of {count} drink',
+      other: 'Restore of {count} drinks'
+    },
+    'units.title': 'Container units',
+    'units.sub': 'Offered when logging, converted to cL',
+    'units.new': 'New unit',
+    'units.presets': 'Common units',
+    'units.addPresetAria': 'Add the unit {name} ({cl} cL)',
+    'units.added': 'Unit “{name}” added',
+    'units.editAria': 'Edit the unit {name}',
+    'units.editTitle': 'Unit “{name}”',
+    'units.builtin': 'built-in',
+    'units.hidden': 'hidden',
+    'units.defaultFor': 'default: {category}',
+    'units.lockedSub': 'Built-in unit: fixed equivalent',
+    'units.editSub': 'Drinks in this unit follow its equivalent',
+    'units.name': 'Name',
+    'units.nameAria': 'Unit name',
+    'units.namePh': 'UK pint',
+    'units.cl': 'Equivalent',
+    'units.clAria': 'Equivalent in cL',
+    'units.clPh': '56.8',
+    'units.icon': 'Icon',
+    'units.iconAria': 'Unit icon',
+    'units.none': 'None',
+    'units.defaultGroup': 'Default serving when scanning',
+    'units.hide': 'Hide when logging',
+    'units.hideSub': 'Existing drinks keep it.',
+    'units.saved': 'Unit updated',
+    'units.created': 'Unit created',
+    'units.saveError': 'Could not save',
+    'units.delete.title': 'Delete the unit “{name}”?',
+    'units.delete.message': 'It will no longer be offered when logging.',
+    'units.deleted': 'Unit deleted',
+    'units.deleteError': 'Could not delete',
+    'units.error.name': 'Give the unit a name',
+    'units.error.nameLength': 'Name too long ({max} characters at most)',
+    'units.error.cl': 'Invalid cL equivalent',
+    'catalog.title': 'Product catalogue',
+    'catalog.sub': '{barcodes} · checked before the Internet',
+    'catalog.barcodes': {
+      one: '{count} barcode',
+      other: '{count} barcodes'
+    },
+    'catalog.pendingReview': {
+      one: '{count} correction to review',
+      other: '{count} corrections to review'
+    },
+    'catalog.pendingWaiting': {
+      one: '{count} offline scan waiting',
+      other: '{count} offline scans waiting'
+    },
+    'catalog.searchPh': 'Name, brand or code…',
+    'catalog.empty': 'Each drink saved after a scan adds its product here, as you corrected it.',
+    'catalog.noMatch': 'No product found',
+    'catalog.listAria': 'Products',
+    'catalog.editAria': 'Edit the product {name} ({barcode})',
+    'catalog.source.learned': 'learned',
+    'catalog.source.manual': 'edited',
+    'catalog.provider.local': 'My catalogue',
+    'catalog.provider.group': 'Group catalogue',
+    'catalog.code': 'Code {barcode}',
+    'catalog.file.title': 'Product file',
+    'catalog.file.none': 'No file — JSON kept on this device',
+    'catalog.file.load': 'Load',
+    'catalog.file.replace': 'Replace',
+    'catalog.file.remove': 'Remove',
+    'catalog.file.loaded': {
+      one: '{count} product loaded',
+      other: '{count} products loaded'
+    },
+    'catalog.file.removed': 'File removed',
+    'catalog.file.unreadable': 'Unreadable file',
+    'catalog.file.order': 'Lookup order: {providers}',
+    'catalog.file.error.json': 'Unreadable JSON file',
+    'catalog.file.error.invalid': 'Invalid product file',
+    'catalog.file.error.empty': 'No product with a barcode in this file',
+    'catalog.field.name': 'Name',
+    'catalog.field.category': 'Category',
+    'catalog.field.abv': 'ABV',
+    'catalog.pending.title': 'Offline scans',
+    'catalog.pending.sub': 'Products found once back online',
+    'catalog.pending.empty': 'Nothing to review',
+    'catalog.pending.family': {
+      one: '{count} drink “{name}”',
+      other: '{count} drinks “{name}”'
+    },
+    'catalog.pending.field': '{field}:',
+    'catalog.pending.change': '{field}: {before} → {after}',
+    'catalog.pending.dismiss': 'Dismiss',
+    'catalog.pending.apply': 'Apply',
+    'catalog.pending.applied': 'Corrections applied',
+    'catalog.pending.applyError': 'Could not apply the correction',
+    'catalog.pending.found': {
+      one: '{count} product found',
+      other: '{count} products found'
+    },
+    'catalog.pending.notFound': 'Still offline or not found',
+    'catalog.pending.waiting': 'Waiting for the network: {barcodes}',
+    'catalog.pending.retry': 'Retry',
+    'catalog.editorTitle': 'Product',
+    'catalog.editorAria': 'Product {barcode}',
+    'catalog.nameAria': 'Product name',
+    'catalog.brand': 'Brand',
+    'catalog.brandAria': 'Product brand',
+    'catalog.abvAria': 'Product ABV',
+    'catalog.serving': 'Serving offered when scanning',
+    'catalog.servingAria': 'Product serving',
+    'catalog.saved': 'Product updated',
+    'catalog.saveError': 'Could not save',
+    'catalog.forget': 'Forget',
+    'catalog.forget.title': 'Forget “{name}”?',
+    'catalog.forget.message': 'The next scan of this code will query the Internet again. Your drinks are kept.',
+    'catalog.forgotten': 'Product forgotten',
+    'catalog.deleteError': 'Could not delete',
+    'catalog.error.name': 'Give the product a name',
+    'catalog.error.abv': 'Invalid ABV (0–100 %)',
+    'catalog.error.quantity': 'Invalid serving',
+    'history.searchPh': 'Search the history…',
+    'history.filters': 'Advanced filters',
+    'history.filtersActive': 'Advanced filters ({count} active)',
+    'history.all': 'All',
+    'history.empty': 'No entries found',
+    'history.savedFilter.deleteAria': 'Delete the filter {name}',
+    'history.savedFilter.delete.title': 'Delete the filter “{name}”?',
+    'history.savedFilter.delete.message': 'Drinks are not affected; the filter also disappears from the Stats tab.',
+    'history.today': 'Today',
+    'history.yesterday': 'Yesterday',
+    'history.daysAgo': '{count} days ago',
+    'history.day.expand': 'Expand {day} — {drinks}, {cl} cL{rel}',
+    'history.day.collapse': 'Collapse {day} — {drinks}, {cl} cL{rel}',
+    'history.day.selectAria': 'Select the drinks of {day}',
+    'history.entry.editAria': 'Edit {name}, {quantity} {unit}, {abv}°{place}',
+    'history.entry.selectAria': 'Select {name}, {quantity} {unit}, {abv}°{place}',
+    'history.entry.addAgain': 'Add {name} again',
+    'history.select.enter': 'Multiple selection',
+    'history.select.exit': 'Leave selection',
+    'history.select.none': 'Nothing selected',
+    'history.select.count': '{count} selected',
+    'history.select.all': 'Select all',
+    'history.select.noneAll': 'Deselect all',
+    'history.select.deleteAria': 'Delete the selection',
+    'history.batch.edited': {
+      one: '{count} drink updated',
+      other: '{count} drinks updated'
+    },
+    'history.batch.deleted': {
+      one: '{count} drink deleted',
+      other: '{count} drinks deleted'
+    },
+    'history.batch.time': 'Time',
+    'history.batch.category': 'Category',
+    'history.batch.location': 'Place',
+    'history.batch.price': 'Price',
+    'history.batch.title.time': 'Shift the time',
+    'history.batch.title.category': 'Change category',
+    'history.batch.title.location': 'Set a place',
+    'history.batch.title.price': 'Set the price',
+    'history.batch.sub': '{drinks} · a single undo',
+    'history.batch.on': '{what} on {drinks}',
+    'history.batch.noShift': 'No shift',
+    'history.batch.position': 'Position',
+    'history.batch.locationRemoved': 'Place removed from {drinks}',
+    'history.batch.priceReset': 'Back to the reference price for {drinks}',
+    'history.batch.direction': 'Direction',
+    'history.batch.directionAria': 'Shift direction',
+    'history.batch.earlier': 'Earlier',
+    'history.batch.later': 'Later',
+    'history.batch.shift': 'Shift',
+    'history.batch.hours': 'Hours',
+    'history.batch.minutes': 'Minutes',
+    'history.batch.presets': 'Common shifts',
+    'history.batch.newCategory': 'New category',
+    'history.batch.recentPlaces': 'Recent places',
+    'history.batch.priceLabel': 'Price per drink (empty = reference price)',
+    'history.batch.priceAria': 'Price per drink',
+    'categories.searchPh': 'Search drinks or categories…',
+    'categories.searchIn': 'Search in {category}…',
+    'categories.yours': 'Your categories',
+    'categories.none': 'No categories yet.',
+    'categories.new': 'New category',
+    'categories.createAria': 'Create a new category',
+    'categories.results': {
+      one: '{count} result',
+      other: '{count} results'
+    },
+    'categories.noResult': 'No results',
+    'categories.noResultFor': 'No results for “{query}”',
+    'categories.entries': {
+      one: '{count} entry',
+      other: '{count} entries'
+    },
+    'categories.types': {
+      one: '{count} type',
+      other: '{count} types'
+    },
+    'categories.variants': {
+      one: '{count} variant',
+      other: '{count} variants'
+    },
+    'categories.entriesTotal': '{count} entries in total',
+    'categories.openAria': 'Open the category {name} — {entries}, {types}',
+    'categories.editShortAria': 'Edit {name}',
+    'categories.editAria': 'Edit the category {name}',
+    'categories.back': 'Back to categories',
+    'categories.familyAria': 'See the details of {name}',
+    'categories.addAgain': 'Add {name} ({quantity} {unit}, {abv}°) again',
+    'categories.editTitle': 'Edit category',
+    'categories.name': 'Name',
+    'categories.nameAria': 'Category name',
+    'categories.icon': 'Icon',
+    'categories.iconAria': 'Category icon',
+    'categories.iconOption': 'Icon {glyph}',
+    'categories.iconReset': 'Reset the icon',
+    'categories.iconResetTitle': 'Back to the default icon',
+    'categories.color': 'Colour',
+    'categories.colorAuto': 'Automatic colour',
+    'categories.colorAutoTitle': 'Back to the default colour',
+    'categories.auto': 'Auto',
+    'categories.hueAria': 'Category hue',
+    'categories.hueAutoValue': 'Auto ({hue})',
+    'categories.hueAuto': 'Auto · hue {hue}°',
+    'categories.hue': 'Hue {hue}°',
+    'categories.create': 'Create the category',
+    'categories.creating': 'Creating…',
+    'categories.saving': 'Saving…',
+    'categories.created': 'Category “{name}” created',
+    'categories.updated': 'Category “{name}” updated',
+    'categories.deleted': 'Category deleted',
+    'categories.delete': 'Delete the category',
+    'categories.delete.title': 'Delete “{name}”?',
+    'categories.delete.message': 'This cannot be undone.',
+    'categories.delete.move': {
+      one: '{count} drink will be moved to “{target}”. This cannot be undone.',
+      other: '{count} drinks will be moved to “{target}”. This cannot be undone.'
+    },
+    'categories.error.emptyName': 'The name cannot be empty',
+    'categories.error.duplicate': 'A category with this name already exists',
+    'categories.error.create': 'Could not create the category',
+    'categories.error.save': 'Could not save',
+    'categories.error.rowMissing': 'Category not found — close and reopen the sheet',
+    'categories.error.iconRowMissing': 'Category not found, the icon could not be saved',
+    'categories.error.colorRowMissing': 'Category not found, the colour could not be saved',
+    'categories.error.gone': 'Category not found — it may already have been deleted.',
+    'categories.error.db': 'Database unavailable',
+    'categories.error.readDrinks': 'Could not read the drinks.',
+    'categories.error.noFallback': 'Not possible: first create another category to move the drinks into.',
+    'shared.search': 'Search',
+    'shared.clearSearch': 'Clear search',
+    'shared.clear': 'Clear',
+    'shared.rating': 'Rating',
+    'shared.stars': {
+      one: '{count} star',
+      other: '{count} stars'
+    },
+    'shared.addAgain': 'Add again',
+    'shared.time': 'Time',
+    'shared.time.pick': 'Pick a time',
+    'shared.time.hours': 'Hours',
+    'shared.time.minutes': 'Minutes',
+    'shared.category': 'Category',
+    'shared.unit': 'Unit',
+    'shared.location': 'Location',
+    'shared.location.unavailable': 'Location unavailable',
+    'shared.location.busy': 'Locating…',
+    'shared.location.saved': 'Location saved',
+    'shared.location.none': 'No location',
+    'shared.location.remove': 'Remove the location',
+    'shared.location.update': 'Update the location',
+    'shared.location.locate': 'Locate',
+    'shared.location.retry': 'Retry',
+    'bacUnit.spoken.mgL': 'milligrams per litre',
+    'bacUnit.spoken.gL': 'grams per litre',
+    'bacUnit.spoken.permille': 'per mille',
+    'bacUnit.spoken.pct': 'percent',
+    'bacReading.air': 'mg/L breath',
+    'bacReading.blood': 'g/L blood',
+    'drink.name': 'Name',
+    'drink.quantity': 'Quantity',
+    'drink.abv': 'Alcohol content',
+    'drink.abvPct': 'Alcohol content (%)',
+    'drink.date': 'Date',
+    'drink.price': 'Price',
+    'drink.error.name': 'A name is required',
+    'drink.error.nameRequired': 'The drink needs a name',
+    'drink.error.quantity': 'Invalid quantity',
+    'drink.error.category': 'Pick a category',
+    'drink.error.abv': 'Invalid alcohol content (0–100 %)',
+    'drink.error.drinkers': 'Invalid number of drinkers',
+    'addDrink.title': 'New drink',
+    'addDrink.scan': 'Scan a barcode',
+    'addDrink.scanSub': 'Auto-fill from OpenFoodFacts',
+    'addDrink.drink': 'Drink',
+    'addDrink.namePh': 'e.g. Pilsner Urquell',
+    'addDrink.container': 'Container',
+    'addDrink.containerVolume': 'Container volume',
+    'addDrink.shared': 'Shared container',
+    'addDrink.shared.sub': 'Jug or bottle: total volume, my share, duration',
+    'addDrink.myShare': 'My share',
+    'addDrink.myShareAria': 'My share of the container',
+    'addDrink.myShareColon': 'My share: ',
+    'addDrink.drinkers': 'Number of drinkers',
+    'addDrink.drinkersSuffix': 'ppl',
+    'addDrink.window': 'Drunk over',
+    'addDrink.windowAria': 'Drinking duration',
+    'addDrink.priceOpt': 'Price (optional)',
+    'addDrink.containerPriceOpt': 'Container price (optional)',
+    'addDrink.containerPrice': 'Container price',
+    'addDrink.price.usual': 'Usual price for this drink',
+    'addDrink.price.suggestedFrom': 'Suggested from {quantity} {unit} at {price} · ',
+    'addDrink.price.applyAria': 'Apply the suggested price {price}',
+    'addDrink.price.suggestion': 'Suggestion: ',
+    'addDrink.price.apply': '— apply',
+    'addDrink.price.isUsual': 'Usual price for this drink',
+    'addDrink.price.isUsual.sub': '“+” and “Add again” will reuse this price',
+    'addDrink.ratingOpt': 'Rating (optional)',
+    'addDrink.locationOpt': 'Place (optional)',
+    'addDrink.impact.share': 'my share',
+    'addDrink.impact.volume': 'volume',
+    'addDrink.impact.grams': 'pure alcohol',
+    'scanner.title': 'Scanner',
+    'scanner.close': 'Close the scanner',
+    'scanner.product': 'Product',
+    'scanner.detectedToast': '“{name}” detected',
+    'scanner.source.local': 'my catalogue',
+    'scanner.source.group': 'group catalogue',
+    'scanner.source.file': 'product file',
+    'scanner.reading': 'Reading the image…',
+    'scanner.aimInvite': 'Aim at the invitation QR code',
+    'scanner.aim': 'Line up the barcode',
+    'scanner.noQr': 'No readable QR code in this image',
+    'scanner.noBarcode': 'No readable barcode in this image',
+    'scanner.readError': 'Could not read the image',
+    'scanner.unavailable': 'Scanner unavailable',
+    'scanner.invite': 'Invitation {code}',
+    'scanner.notInvite': 'This QR code is not an AlcoNote invitation',
+    'scanner.searching': 'Looking up the product…',
+    'scanner.queued': 'Offline · code {code} queued',
+    'scanner.found': '{name} detected',
+    'scanner.noMatch': 'Code {code} recognised (no match)',
+    'scanner.searchError': 'Lookup error',
+    'scanner.cameraError': 'Camera unavailable · import a photo',
+    'scanner.inactive': 'Scanner stopped (inactivity)',
+    'scanner.qrUnsupported': 'QR codes are not supported by this browser',
+    'scanner.startError': 'Could not start the scanner',
+    'scanner.imageAria': 'Barcode image',
+    'scanner.importPhoto': 'Import a photo',
+    'scanner.joinGroup': 'Join this group',
+    'scanner.useProduct': 'Use this product',
+    'detail.title': 'Drink details',
+    'detail.rated': 'Rating saved',
+    'detail.alcohol': 'Alcohol',
+    'detail.clearRating': 'Clear the rating',
+    'detail.history': {
+      one: 'History · {count} entry',
+      other: 'History · {count} entries'
+    },
+    'detail.custom': 'custom',
+    'detail.deleteEntry': 'Delete this entry',
+    'detail.move': 'Move to another category',
+    'detail.moveAria': 'Move to category',
+    'detail.moved': 'Moved to “{category}”',
+    'detail.moveError': 'Could not move the drink',
+    'editEntry.title': 'Edit entry',
+    'editEntry.saved': 'Drink updated',
+    'editEntry.priceOpt': 'Price of this entry (optional)',
+    'editEntry.price': 'Entry price',
+    'editFamily.title': 'Edit drink',
+    'editFamily.saved': 'Drink updated',
+    'editFamily.deleted': {
+      one: 'Drink deleted',
+      other: '{count} entries deleted'
+    },
+    'editFamily.refPriceOpt': 'Reference price (optional)',
+    'editFamily.refPrice': 'Reference price',
+    'editFamily.applyExisting': 'Update existing drinks',
+    'editFamily.refPriced': '{count} at the reference price',
+    'editFamily.customKept': {
+      one: ' · {count} custom price kept',
+      other: ' · {count} custom prices kept'
+    },
+    'editFamily.noPrice': 'no price',
+    'editFamily.allCustom': 'Every entry has a custom price — only new entries will use this price.',
+    'editFamily.deleteAll': 'Delete all entries',
+    'backups.label.auto': 'Automatic',
+    'backups.label.preImport': 'Before import',
+    'backups.label.preMerge': 'Before merge',
+    'backups.label.preClear': 'Before erase',
+    'backups.label.preRestore': 'Before restore',
+    'backups.label.preV5': 'Before v5 migration',
+    'backups.label.preNormalize': 'Before category clean-up',
+    'backups.label.default': 'Backup',
+    'backups.count': {
+      one: '{count} snapshot · on this device',
+      other: '{count} snapshots · on this device'
+    },
+    'backups.more': {
+      one: 'and {count} more',
+      other: 'and {count} more'
+    },
+    'backups.empty': 'No backups yet.',
+    'backups.unreadableShort': 'unreadable',
+    'backups.unreadable': 'Unreadable backup.',
+    'backups.comparing': 'Comparing…',
+    'backups.identical': 'Drinks identical to the current data.',
+    'backups.unchanged': {
+      one: '{count} drink unchanged',
+      other: '{count} drinks unchanged'
+    },
+    'backups.lost': {
+      one: '{count} lost',
+      other: '{count} lost'
+    },
+    'backups.recovered': {
+      one: '{count} recovered',
+      other: '{count} recovered'
+    },
+    'backups.addedSince': 'Logged since — will be lost',
+    'backups.removedSince': 'Deleted since — will come back',
+    'backups.restore': 'Restore this backup',
+    'backups.restoring': 'Restoring…',
+    'backups.restore.title': 'Restore this backup?',
+    'backups.restore.message': 'The current data will be replaced by the data from {date}. The current state is backed up first (“{label}”).',
+    'backups.restore.confirm': 'Restore',
+    'backups.restored': 'Backup restored',
+    'backups.restoreError': 'Restore error',
+    'journal.count': {
+      one: '{count} change · on this device',
+      other: '{count} changes · on this device'
+    },
+    'journal.empty': 'No changes recorded.',
+    'journal.listAria': 'Changes',
+    'journal.rows': {
+      one: '{count} row',
+      other: '{count} rows'
+    },
+    'journal.undoneTag': 'undone',
+    'journal.undone': 'Undone: {label}',
+    'journal.redone': 'Redone: {label}',
+    'journal.redoError': 'Could not redo',
+    'journal.undoAria': 'Undo the last change',
+    'journal.redoAria': 'Redo the undone change',
+    'journal.redo': 'Redo',
+    'import.error': 'Import error',
+    'import.invalid': 'Invalid import file',
+    'import.busy': 'Importing…',
+    'import.modeAria': 'Import mode',
+    'import.exportedOn': 'exported on {date}',
+    'import.fileContains': 'The file contains {drinks} and {categories}.',
+    'import.merge': 'Merge',
+    'import.merge.added': {
+      one: '{count} drink added',
+      other: '{count} drinks added'
+    },
+    'import.merge.newCategories': {
+      one: '{count} new category',
+      other: '{count} new categories'
+    },
+    'import.merge.keep': '. Your settings are kept.',
+    'import.replace': 'Replace',
+    'import.replace.body': 'Your current {drinks} and {categories}, along with your settings and ratings, are replaced by the file contents.',
+    'import.added': {
+      one: '{count} added',
+      other: '{count} added'
+    },
+    'import.updated': {
+      one: '{count} updated',
+      other: '{count} updated'
+    },
+    'import.skipped': {
+      one: '{count} skipped',
+      other: '{count} skipped'
+    },
+    'import.present': {
+      one: '{count} already present',
+      other: '{count} already present'
+    },
+    'import.merged': 'Merge: {added} · {updated} · {skipped}',
+    'import.replaced': 'Data imported',
+    'csv.field.cl': 'Volume (cL)',
+    'csv.field.abv': 'ABV',
+    'csv.imported': 'CSV: {added} · {skipped}',
+    'csv.columns': 'Columns',
+    'csv.columnAria': 'Column {field}',
+    'csv.column': 'Column {n}',
+    'csv.ignored': '— ignored —',
+    'csv.check': 'Check',
+    'csv.valid': {
+      one: '{count} valid drink',
+      other: '{count} valid drinks'
+    },
+    'csv.skippedRows': {
+      one: '{count} row skipped',
+      other: '{count} rows skipped'
+    },
+    'csv.line': 'Row {line}',
+    'csv.moreErrors': {
+      one: 'and {count} more error',
+      other: 'and {count} more errors'
+    },
+    'csv.run': 'Import {drinks}',
+    'csv.empty': 'Empty CSV',
+    'csv.unreadable': 'Unreadable CSV file',
+    'csv.error.name': 'missing name',
+    'csv.error.date': 'invalid date (“{value}”)',
+    'csv.error.noDate': 'missing date',
+    'csv.error.time': 'invalid time (“{value}”)',
+    'csv.error.unit': 'unknown unit (“{value}”)',
+    'csv.error.noQuantity': 'missing quantity',
+    'csv.error.quantity': 'invalid quantity',
+    'csv.error.abv': 'invalid ABV (0–100)',
+    'csv.error.price': 'invalid price',
+    'csv.error.rating': 'invalid rating (0–5)',
+    'settings.encrypted.title': 'Encrypted export',
+    'settings.encrypted.submit': 'Export',
+    'settings.encrypted.sub': '{ext} file readable only with the passphrase',
+    'settings.encrypted.done': 'Encrypted export created',
+    'settings.csvExported': 'Log exported as CSV',
+    'settings.decrypt.title': 'Encrypted file',
+    'settings.decrypt.submit': 'Decrypt',
+    'settings.importFileAria': 'File to import',
+    'settings.importCsvAria': 'CSV file to import',
+    'offsite.folderError': 'Folder not accessible',
+    'offsite.encrypt.title': 'Encrypted automatic export',
+    'offsite.encrypt.submit': 'Enable',
+    'offsite.encrypt.files': '{ext} files will open with this passphrase',
+    'offsite.encrypt.done': 'Encryption enabled',
+    'offsite.writtenTo': 'Written to {path}',
+    'share.enable.title': 'Enable sharing with friends?',
+    'share.enable.message': 'Your drinks (without location) and your ratings will be shared with the members of your group, who will be able to see your statistics. You can turn this off at any time.',
+    'share.enable.confirm': 'Enable',
+    'share.bac.title': 'Share your BAC?',
+    'share.bac.message': 'To estimate your live BAC on your friends’ screens, your weight and sex will be shared with your group.',
+    'share.bac.confirm': 'Share',
+    'share.leave.message': "Your shared data will be removed and you will no longer see the other members' data.",
+    'share.codeCopied': 'Code copied',
+    'share.recoveryKey': 'Recovery key',
+    'share.recoveryKey.sub': 'Protects your sharing identity',
+    'share.recoveryKey.exported': 'Recovery key exported',
+    'share.recoveryKey.restored': 'Identity restored',
+    'share.recoveryKey.invalid': 'Invalid key',
+    'share.error.anonymous': 'Enable “Anonymous sign-ins” in Supabase (Auth › Providers)',
+    'share.error.schema': 'Run supabase/schema.sql in Supabase (SQL Editor)',
+    'share.error.grants': 'Missing privileges: re-run supabase/schema.sql (GRANT/RLS)',
+    'share.error.rls': 'RLS: re-run supabase/schema.sql (policies)',
+    'share.error.tables': 'Missing tables/columns: re-run supabase/schema.sql',
+    'share.error.sdk': 'Supabase SDK unreachable (check your connection / CSP)',
+    'share.error.network': 'Network unavailable — try again',
+    'share.error.apiKey': 'Invalid Supabase key (check share-config.js)',
+    'share.error.invite': 'Invalid invite code',
+    'share.error.generic': 'Sharing failed — see the console (F12) for details',
+    'share.removed': 'You are no longer part of the group',
+    'qr.tooLong': 'Text too long for a QR code',
+    'app.crash.title': 'Something went wrong',
+    'app.crash.body': 'The app ran into a problem. Your data is safe.',
+    'app.crash.reload': 'Reload',
+    'app.lookupsFound': {
+      one: '{count} product found for an offline scan',
+      other: '{count} products found for offline scans'
+    },
+    'app.lookupsReview': 'Review',
+    'app.sharedImageMissing': 'Shared image not found',
+    'stats.period': 'Period',
+    'stats.period.prev': 'Previous period',
+    'stats.period.next': 'Next period',
+    'stats.noData': 'No data',
+    'stats.noData.period': 'No data for this period',
+    'stats.daysShort': '{n}d',
+    'stats.valueDrinks': 'drink(s)',
+    'stats.reorder.done': 'Done',
+    'stats.reorder.hint': 'Drag a section by its handle to change the order. The order is kept.',
+    'stats.reorder.moveAria': 'Move “{title}” — drag, or use the up/down arrows',
+    'stats.empty.title': 'No data available',
+    'stats.empty.global': 'Add your first drink with the + button to see your stats here.',
+    'stats.empty.filter': 'No drink matches this filter.',
+    'stats.empty.period': 'No drinks logged in this period.',
+    'stats.section.general': 'Overview',
+    'stats.section.temporal': 'Time analysis',
+    'stats.section.heatmap': 'Calendar',
+    'stats.section.category': 'By category',
+    'stats.section.top': 'Top drinks',
+    'stats.section.bac': 'Blood alcohol',
+    'stats.section.sessions': 'Sessions',
+    'stats.section.map': 'Drinks map',
+    'stats.section.trends': 'Trends',
+    'stats.section.advanced': 'Advanced analysis',
+    'stats.section.spending': 'Spending',
+    'stats.section.goals': 'Goals',
+    'stats.section.audit': 'Self-assessment',
+    'stats.delta.flat': 'flat at {value} vs previous period',
+    'stats.delta.up': 'up {value} vs previous period',
+    'stats.delta.down': 'down {value} vs previous period',
+    'stats.general.sub': 'An overview of your drinking',
+    'stats.general.byCategory': 'Breakdown by category',
+    'stats.cell.drinks': 'Drinks',
+    'stats.cell.volume': 'Volume',
+    'stats.cell.grams': 'Pure alcohol',
+    'stats.cell.units': 'Units',
+    'stats.cell.stdDrinks': 'Std drinks',
+    'stats.cell.unique': 'Distinct drinks',
+    'stats.cell.drunkTime': 'Time drunk',
+    'stats.cell.drunkPct': '% drunk',
+    'stats.cell.soberDays': 'Sober days',
+    'stats.cell.perDay': 'Drinks/day',
+    'stats.cell.perWeek': 'Drinks/week',
+    'stats.streak': 'Streak',
+    'stats.streak.record': 'Record',
+    'stats.streak.days': {
+      one: 'day in a row',
+      other: 'days in a row'
+    },
+    'stats.risk.title': 'Risk guidelines',
+    'stats.risk.thisWeek': 'This week: ',
+    'stats.risk.weeklyAvg': 'Weekly average: ',
+    'stats.risk.spf': 'Santé publique France',
+    'stats.risk.spf.within': 'Within guidelines',
+    'stats.risk.spf.above': 'Above guidelines',
+    'stats.risk.spf.hint': '≤ {grams} g per week',
+    'stats.risk.who': 'WHO',
+    'stats.risk.who.none': 'No risk',
+    'stats.risk.who.low': 'Low risk',
+    'stats.risk.who.medium': 'Moderate risk',
+    'stats.risk.who.high': 'High risk',
+    'stats.risk.who.veryHigh': 'Very high risk',
+    'stats.risk.who.hint': '{grams} g per day on average',
+    'stats.heatmap.sub': 'Grams of pure alcohol per day',
+    'stats.sessions.sub': 'Your latest sessions · peak blood alcohol',
+    'stats.sessions.empty': 'No session in this period',
+    'stats.sessions.drinks': {
+      one: '{count} drink',
+      other: '{count} drinks'
+    },
+    'stats.sessions.peaks': 'Peak distribution',
+    'stats.sessions.peaks.sub': 'Peak blood alcohol per session ({unit})',
+    'stats.temporal.sub': 'Breakdown by hour and day',
+    'stats.temporal.peakHour': 'Peak hour',
+    'stats.temporal.peakDay': 'Peak day',
+    'stats.temporal.avgSession': 'Avg. session',
+    'stats.temporal.between': 'Between sessions',
+    'stats.temporal.byHour': 'By hour',
+    'stats.temporal.byDay': 'By day of the week',
+    'stats.category.sub': 'Stats by drink type',
+    'stats.category.avgVolume': 'Average volume',
+    'stats.category.avgAbv': 'Average ABV',
+    'stats.category.favorite': 'Favourite',
+    'stats.top.title': 'Top 10 drinks',
+    'stats.top.sub': 'Your most frequent drinks',
+    'stats.top.times': {
+      one: '{count} time',
+      other: '{count} times'
+    },
+    'stats.bac.sub': 'BAC estimate · {model} model',
+    'stats.bac.subCalibrated': 'BAC estimate · calibrated {model} model',
+    'stats.bac.live': 'Live',
+    'stats.bac.gaugeAria': 'Estimated blood alcohol: {value}',
+    'stats.bac.sober': 'Sober',
+    'stats.bac.driving': 'Driving (<{limit})',
+    'stats.bac.drivingZero': 'Driving (0)',
+    'stats.bac.avgSession': 'Average per session',
+    'stats.bac.avgSession.sub': 'Mean within each session, then over the period',
+    'stats.bac.projection': 'Blood alcohol projection',
+    'stats.bac.scrubHint': 'Slide your finger across the chart to read the level at any moment',
+    'stats.bac.counted': 'Drinks taken into account ({n})',
+    'stats.bac.countedRecent': ' · {n} most recent',
+    'stats.bac.hoursAgo': '{n}h ago',
+    'stats.food.aria': 'Meal',
+    'stats.food.saveError': 'Could not update',
+    'stats.forecast.title': 'Session forecast',
+    'stats.forecast.toggleAria': 'Forecast display',
+    'stats.forecast.shown': 'Shown',
+    'stats.forecast.hidden': 'Hidden',
+    'stats.forecast.rate': 'Pace',
+    'stats.forecast.avgDuration': 'Avg length',
+    'stats.forecast.avgPeak': 'Avg peak',
+    'stats.forecast.eta': 'Peak ETA',
+    'stats.forecast.now': 'now',
+    'stats.forecast.hint.history': 'Extrapolated at the current pace up to the average length of your past sessions',
+    'stats.forecast.hint.noHistory': 'Current pace · no past session yet to estimate the length',
+    'stats.alerts.cancelAria': 'Cancel the alerts',
+    'stats.notify.legal': 'Back under {limit} at {time}',
+    'stats.notify.sober': 'Sober at {time}',
+    'stats.notify.peak': 'Peak expected at {bac} around {time}: above the driving limit',
+    'stats.reading.title': 'Breathalyser',
+    'stats.reading.valueAria': 'Breathalyser reading',
+    'stats.reading.unitAria': 'Reading unit',
+    'stats.reading.timeAria': 'Reading time',
+    'stats.reading.add': 'Add',
+    'stats.reading.deleteAria': 'Delete the reading',
+    'stats.reading.saved': 'Reading saved',
+    'stats.reading.saveError': 'Could not save',
+    'stats.calibration.fitted': 'Personal calibration: elimination {elim} mg/L/h · r {r} · {confidence} confidence ({n} readings)',
+    'stats.calibration.missing': {
+      one: '{count} more reading after drinking to calibrate the model',
+      other: '{count} more readings after drinking to calibrate the model'
+    },
+    'stats.calibration.default': 'Model defaults',
+    'stats.calibration.reset': 'Reset',
+    'stats.calibration.reset.title': 'Reset the calibration?',
+    'stats.calibration.reset.message': 'The model goes back to its defaults. Readings stay listed; only new ones will be used to recalibrate.',
+    'bacFood.fasted': 'Empty stomach',
+    'bacFood.light': 'Light meal',
+    'bacFood.full': 'Full meal',
+    'bacCal.confidence.low': 'low',
+    'bacCal.confidence.medium': 'medium',
+    'bacCal.confidence.high': 'good',
+    'stats.records.title': 'Blood alcohol records',
+    'stats.records.absolute': 'All-time records',
+    'stats.records.badge': 'Record',
+    'stats.records.today': 'Today at {time}',
+    'stats.records.yesterday': 'Yesterday at {time}',
+    'stats.records.daysAgo': '{n} days ago · {time}',
+    'stats.records.date': '{day} {month} · {time}',
+    'stats.map.sub': {
+      one: '{count} geotagged drink',
+      other: '{count} geotagged drinks'
+    },
+    'stats.map.sub.all': {
+      one: '{count} geotagged drink · full history',
+      other: '{count} geotagged drinks · full history'
+    },
+    'stats.map.points': 'Points',
+    'stats.map.heat': 'Heat',
+    'stats.map.loading': 'Loading the map…',
+    'stats.map.unavailable': 'Map unavailable (network?)',
+    'stats.map.empty': 'No geotagged drink in this period — try “All”',
+    'stats.map.empty.all': 'No geotagged drink',
+    'stats.map.recenter': 'Recenter',
+    'stats.map.locate': 'My location',
+    'stats.map.noPosition': 'Location unavailable',
+    'stats.map.here': 'Drinks here',
+    'stats.map.total': {
+      one: '{count} drink',
+      other: '{count} drinks'
+    },
+    'stats.map.types': {
+      one: '{count} kind',
+      other: '{count} kinds'
+    },
+    'stats.trends.sub': 'Drinking over time',
+    'stats.trends.notEnough': 'Not enough history (at least 2 months needed)',
+    'stats.trends.byMonth': 'By month',
+    'stats.trends.lastMonths': 'Last 6 months',
+    'stats.trends.gramsUnit': 'g of alcohol',
+    'stats.trends.glasses': {
+      one: '{count} glass',
+      other: '{count} glasses'
+    },
+    'stats.trends.monthlyAria': 'Pure alcohol per month, last six months',
+    'stats.trends.cumulative': 'Cumulative vs previous period',
+    'stats.trends.cumulative.sub': 'Cumulative grams of alcohol, day by day',
+    'stats.trends.cumulativeAria': 'Cumulative grams of alcohol, current and previous period',
+    'stats.trends.unitCurrent': 'g · current',
+    'stats.trends.unitPrevious': 'g · previous',
+    'stats.trends.current': 'Current',
+    'stats.trends.previous': 'Previous',
+    'stats.trends.day': 'D{n}',
+    'stats.advanced.sub': 'Moving averages · Clock · Session distribution',
+    'stats.advanced.subNoBac': 'Moving averages · Clock',
+    'stats.advanced.rolling': 'Moving average',
+    'stats.advanced.rolling.sub': 'Daily alcohol smoothed over 7 and 30 days',
+    'stats.advanced.rollingAria': 'Moving average of daily alcohol',
+    'stats.advanced.lastDays': 'Last 30 days',
+    'stats.advanced.raw': 'Raw',
+    'stats.advanced.tipRaw': '{g} g raw',
+    'stats.advanced.tipAvg': '{g} g · {n}d',
+    'stats.advanced.clock': 'Drinking clock',
+    'stats.advanced.clock.sub': 'Spread over 24 hours',
+    'stats.advanced.durations': 'Session distribution',
+    'stats.advanced.durations.sub': 'Length per session',
+    'stats.advanced.duration': 'Length',
+    'stats.spending.sub': 'Cost of your drinking (prices entered)',
+    'stats.spending.empty': 'No price entered in this period',
+    'stats.spending.total': 'Total spent',
+    'stats.spending.avg': 'Average price / drink',
+    'stats.spending.byCategory': 'By category',
+    'stats.spending.chart': 'Spending {unit}',
+    'stats.spending.perHour': 'per hour',
+    'stats.spending.perDay': 'per day',
+    'stats.spending.perMonth': 'per month',
+    'stats.spending.perYear': 'per year',
+    'charts.barAria': 'Bar chart',
+    'charts.radarAria': 'Radar by day',
+    'charts.donutAria': 'Breakdown by category',
+    'charts.lineAria': 'Trend line',
+    'charts.clockAria': 'Drinking clock over 24 hours',
+    'charts.histogramAria': 'Distribution histogram',
+    'charts.heatmapAria': 'Drinking calendar',
+    'charts.total': 'Total',
+    'charts.sessions': {
+      one: '{count} session',
+      other: '{count} sessions'
+    },
+    'charts.gramsAlcohol': '{g} g of alcohol',
+    'charts.bac.legal': '{value} limit',
+    'charts.bac.noData': 'No blood alcohol data',
+    'charts.bac.noForecast': 'No data for the forecast',
+    'charts.bac.projectionAria': 'Blood alcohol projection over time',
+    'charts.bac.forecastAria': 'Blood alcohol forecast for the current session',
+    'charts.bac.reading': 'Breathalyser: {value}',
+    'charts.bac.now': 'now',
+    'charts.bac.ago': '{time} ago',
+    'charts.bac.in': 'in {time}',
+    'charts.bac.over': 'Over',
+    'charts.bac.light': 'Light',
+    'charts.bac.sober': 'Sober',
+    'data.journal.add': 'Added “{name}”',
+    'data.journal.edit': 'Edited “{name}”',
+    'data.journal.delete': 'Deleted “{name}”',
+    'data.journal.rating': 'Rated “{name}”',
+    'data.journal.refPrice': 'Reference price of “{name}”',
+    'data.journal.addCategory': 'New category “{name}”',
+    'data.journal.renameCategory': 'Category “{old}” renamed to “{name}”',
+    'data.journal.deleteCategory': 'Deleted category “{name}”',
+    'data.journal.categoryIcon': 'Icon of “{name}”',
+    'data.journal.categoryColor': 'Colour of “{name}”',
+    'data.journal.editFamily': 'Edited family “{name}”',
+    'data.journal.familyPrice': 'Price applied to family “{name}”',
+    'data.journal.deleteFamily': 'Deleted family “{name}”',
+    'data.journal.sessionFood': 'Session meal',
+    'data.drinkFallback': 'drink',
+    'data.categoryFallback': 'category',
+    'data.error.db': 'Database unavailable',
+    'data.error.categoryMissing': 'Category not found',
+    'data.error.categoryNotEmpty': 'This category still holds drinks. Move them first.',
+    'data.error.categoryInvalid': 'Invalid category',
+    'data.error.iconSave': 'Could not save the icon',
+    'data.error.colorSave': 'Could not save the colour',
+    'data.error.noSelection': 'No drink selected',
+    'data.error.shift': 'Invalid time shift',
+    'data.error.category': 'Choose a category',
+    'data.error.price': 'Invalid price',
+    'data.error.reading': 'Invalid reading',
+    'data.error.emptyRound': 'Empty round',
+    'data.error.drinkMissing': 'Drink not found',
+    'data.error.noKey': 'Encryption key missing: set the passphrase again',
+    'data.error.noFolder': 'No folder chosen',
+    'data.error.folderPermission': 'Folder access needs to be granted again',
+    'data.geo.title': 'Geotag your drinks?',
+    'data.geo.message': 'AlcoNote can record where each drink was had to show them on a map. Your position never leaves your device. Asked only once.',
+    'data.geo.allow': 'Allow',
+    'data.geo.decline': 'No thanks',
+    'data.shared.atOnce': 'all at once',
+    'data.shared.part': '{share} of {qty}',
+    'data.shared.over': '{text} · over {window}',
+    'error.import.unreadable': 'Invalid data format: unreadable JSON',
+    'error.import.noVersion': 'Invalid data format: missing version',
+    'error.import.unknownVersion': 'Invalid data format: unknown version “{version}”',
+    'error.import.tooNew': 'Export in version {version}, this app reads up to version {max}: please update it',
+    'error.import.invalid': 'Invalid data format — {problems}{more}',
+    'error.import.problem': '{where}: {reason}',
+    'error.import.separator': '; ',
+    'error.import.more': {
+      one: ' (+{count} more)',
+      other: ' (+{count} more)'
+    },
+    'error.import.passphraseRequired': 'Encrypted file: passphrase required',
+    'error.reason.json': 'JSON object expected',
+    'error.reason.tableMissing': 'missing table',
+    'error.reason.tableType': 'array expected',
+    'error.reason.rowType': 'object expected',
+    'error.reason.required': 'missing required field',
+    'error.reason.null': 'null not allowed',
+    'error.reason.type': '{type} expected',
+    'error.reason.empty': 'must not be empty',
+    'error.reason.min': 'must be ≥ {min}',
+    'error.reason.max': 'must be ≤ {max}',
+    'error.reason.format': '{format} format expected',
+    'error.reason.duplicate': 'duplicate ({value})',
+    'error.type.string': 'text',
+    'error.type.number': 'number',
+    'error.type.boolean': 'boolean',
+    'error.type.object': 'object',
+    'error.type.array': 'array',
+    'error.format.date': 'YYYY-MM-DD',
+    'error.format.time': 'HH:MM',
+    'error.crypto.passphraseRequired': 'Passphrase required',
+    'error.crypto.unreadable': 'Unreadable encrypted file',
+    'error.crypto.wrongPayload': 'This encrypted file does not hold the expected kind of data',
+    'error.crypto.wrongPassphrase': 'Wrong passphrase or tampered file',
+    'error.category.invalidName': 'Invalid category name',
+    'error.category.invalidNewName': 'Invalid new category name',
+    'error.category.exists': 'A category with this name already exists',
+    'error.category.notFound': 'Category not found',
+    'error.category.notEmpty': 'A category that still holds drinks cannot be deleted',
+    'error.drink.notFound': 'Drink not found',
+    'error.round.notFound': 'Round not found',
+    'error.unit.exists': 'This unit already exists',
+    'error.unit.notFound': 'Unit not found',
+    'error.unit.builtinCl': 'Built-in unit: its equivalent cannot be changed',
+    'error.unit.builtinDelete': 'Built-in unit: it cannot be deleted',
+    'error.unit.inUse': {
+      one: 'Unit used by {count} drink',
+      other: 'Unit used by {count} drinks'
+    },
+    'error.product.notFound': 'Product not found',
+    'error.backup.unreadable': 'Backup missing or unreadable',
+    'error.scanner.qrUnsupported': 'Reading QR codes is not supported by this browser',
+    'common.cancel': 'Cancel',
+    'common.delete': 'Delete',
+    'common.save': 'Save',
+    'common.close': 'Close',
+    'common.saving': 'Saving…',
+    'common.error': 'Error',
+    'common.categories': {
+      one: '{count} category',
+      other: '{count} categories'
+    },
+    'common.confirm': 'Confirm',
+    'common.edit': 'Edit',
+    'common.apply': 'Apply',
+    'common.drinks': {
+      one: '{count} drink',
+      other: '{count} drinks'
+    },
+    // Traduction OPT-IN des paliers BAC (stats.jsx › bacLevelText) : le
+    // français n'a pas d'entrée, il lit BAC_LEVELS tel quel.
+    'bac.level.0': 'OK GARMIN, find my car keys',
+    'bac.level.1': 'Are we swimming in the BDC lake?',
+    'bac.level.2': '1 million beers please',
+    'bac.level.3': 'Brieuc, you’re overdoing it',
+    'bac.level.4': 'Only one person ever made it this far'
+  }
+};
+let _locale = DEFAULT_LOCALE;
+const _pluralRules = {};
+window.__localeListeners = window.__localeListeners || new Set();
+function getLocale() {
+  return _locale;
+}
+function _plural(count) {
+  const intl = LOCALES[_locale].intl;
+  if (!_pluralRules[intl]) _pluralRules[intl] = new Intl.PluralRules(intl);
+  return _pluralRules[intl].select(count);
+}
+
+// Message traduit. `params` remplace les `{nom}` ; `params.count` choisit la
+// forme plurielle quand le message en a plusieurs.
+function t(key, params) {
+  let msg = MESSAGES[_locale][key];
+  if (msg === undefined) msg = MESSAGES[DEFAULT_LOCALE][key];
+  if (msg === undefined) return key;
+  if (msg && typeof msg === 'object' && !Array.isArray(msg)) {
+    const n = params && params.count != null ? Number(params.count) : NaN;
+    msg = msg[_plural(n)] || msg.other;
+  }
+  if (!params || typeof msg !== 'string') return msg;
+  return msg.replace(/\{(\w+)\}/g, (m, k) => params[k] != null ? String(params[k]) : m);
+}
+
+// Nombre localisé, sans séparateur de milliers (les espaces insécables
+// d'Intl casseraient les sorties historiques). `digits` décimales au plus.
+function fmtNumber(n, digits = 2) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return '—';
+  return new Intl.NumberFormat(LOCALES[_locale].intl, {
+    maximumFractionDigits: digits,
+    useGrouping: false
+  }).format(v);
+}
+function fmtCurrency(n) {
+  return t('currency.eur', {
+    n: fmtNumber(n, 2)
+  });
+}
+function setLocale(lang) {
+  _locale = LOCALES[lang] ? lang : DEFAULT_LOCALE;
+  if (typeof document !== 'undefined' && document.documentElement) {
+    document.documentElement.setAttribute('lang', _locale);
+  }
+}
+
+// Abonnement d'un composant aux changements de langue (même mécanique que
+// useTheme) : renvoie la locale courante.
+function useLocale() {
+  const [, force] = React.useReducer(n => n + 1, 0);
+  React.useEffect(() => {
+    window.__localeListeners.add(force);
+    return () => window.__localeListeners.delete(force);
+  }, []);
+  return _locale;
+}
+function applyLocale(lang) {
+  setLocale(lang);
+  try {
+    localStorage.setItem('alconote.lang', _locale);
+  } catch {}
+  try {
+    window.dbManager && window.dbManager.setSetting && window.dbManager.setSetting('language', _locale);
+  } catch {}
+  window.__localeListeners.forEach(f => f());
+}
+
+// Traduction des messages de palier BAC : opt-in explicite, propre à
+// l'appareil (localStorage, comme le retour haptique).
+const BAC_TRANSLATE_KEY = 'alconote.bacTranslate';
+function bacTranslationEnabled() {
+  try {
+    return localStorage.getItem(BAC_TRANSLATE_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+function setBacTranslation(on) {
+  try {
+    if (on) localStorage.setItem(BAC_TRANSLATE_KEY, '1');else localStorage.removeItem(BAC_TRANSLATE_KEY);
+  } catch {}
+  window.__localeListeners.forEach(f => f());
+}
+(function initLocale() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem('alconote.lang');
+  } catch {}
+  setLocale(saved || DEFAULT_LOCALE);
+})();
+Object.assign(window, {
+  LOCALES,
+  DEFAULT_LOCALE,
+  MESSAGES,
+  t,
+  getLocale,
+  setLocale,
+  applyLocale,
+  useLocale,
+  fmtNumber,
+  fmtCurrency,
+  bacTranslationEnabled,
+  setBacTranslation
+});
\ No newline at end of file
@@ -43,9 +43,13 @@ function ImpactStat({
     }
   }, unit));
 }
+
+// `scanImage` : image partagée vers l'app (share target, cf. app.jsx) — la
+// sheet s'ouvre directement sur le scanner, qui la décode.
 function AddDrinkSheet({
   open,
   prefill,
+  scanImage,
   onClose
 }) {
   const {
@@ -53,6 +57,10 @@ function AddDrinkSheet({
   } = useCategories();
   const families = useFamilies();
   const [scan, setScan] = React.useState(false);
+  const [scanFrom, setScanFrom] = React.useState(null);
+  // Code-barres du dernier scan : enregistré avec la boisson, il apprend au
+  // catalogue local la fiche telle que corrigée ici (nom, degré, portion).
+  const [barcode, setBarcode] = React.useState(null);
   const [name, setName] = React.useState('');
   const [cat, setCat] = React.useState('');
   const [qty, setQty] = React.useState('');
@@ -72,6 +80,13 @@ function AddDrinkSheet({
   // MANUELLE dans le champ coupe l'auto pour le reste de la session de la
   // sheet (on n'écrase jamais un prix tapé par l'utilisateur).
   const [priceAuto, setPriceAuto] = React.useState(true);
+  // Contenant partagé (pichet, bouteille…) : Quantité et Prix décrivent alors
+  // le CONTENANT ; l'entrée enregistre ma part (sharedContainerEntry) et la
+  // durée de consommation, qui étale l'absorption dans le BAC.
+  const [shared, setShared] = React.useState(false);
+  const [share, setShare] = React.useState(1 / 2);
+  const [drinkers, setDrinkers] = React.useState('2');
+  const [windowMin, setWindowMin] = React.useState(60);
   // `loc` = position attachée à la boisson (objet location | null). `locTouched`
   // distingue « non touché » (→ auto-capture non bloquante à l'ajout, comme
   // avant) de « choisi/retiré explicitement via le champ Lieu » (→ on respecte
@@ -99,6 +114,11 @@ function AddDrinkSheet({
     setLoc(null);
     setLocTouched(false);
     setPriceAuto(true);
+    setShared(false);
+    setShare(1 / 2);
+    setDrinkers('2');
+    setWindowMin(60);
+    setBarcode(prefill && prefill.barcode || null);
     if (prefill) {
       // NumberField state stays a string — coerce prefilled numbers so the
       // controlled input never flips number↔string mid-edit.
@@ -121,6 +141,11 @@ function AddDrinkSheet({
       setPriceIsReference(true);
     }
   }, [open, prefill]);
+  React.useEffect(() => {
+    if (!open || !scanImage) return;
+    setScanFrom(scanImage);
+    setScan(true);
+  }, [open, scanImage]);
 
   // Backfill the category from the loaded categories list as soon as it
   // becomes available (handles the case where the sheet opens before the
@@ -137,12 +162,14 @@ function AddDrinkSheet({
   const suggestion = React.useMemo(() => {
     const q = parseDecimal(qty) || 0;
     const a = parseDecimal(alc) || 0;
-    return suggestPriceForVolume(families, name, toCl(q, unit), a);
-  }, [families, name, qty, unit, alc]);
+    return suggestPriceForVolume(families, name, toCl(q, unit), a, shared ? share : 1);
+  }, [families, name, qty, unit, alc, shared, share]);
+  // Le champ porte le prix du CONTENANT (= celui de l'entrée hors partage).
+  const suggestedPrice = suggestion ? suggestion.containerPrice : null;
   React.useEffect(() => {
     if (!open || !priceAuto) return;
-    setPrice(suggestion ? String(suggestion.price) : '');
-  }, [open, priceAuto, suggestion]);
+    setPrice(suggestedPrice != null ? String(suggestedPrice) : '');
+  }, [open, priceAuto, suggestedPrice]);
   if (!open) return null;
 
   // parseDecimal accepts a comma OR a dot (see shared.jsx) — `Number()`
@@ -152,42 +179,93 @@ function AddDrinkSheet({
   // Use the shared toCl so non-canonical units (e.g. "ml" coming from
   // a scanner result) are converted correctly instead of being treated
   // as cL by a local case-sensitive ternary.
-  const volCl = toCl(qtyNum, unit);
+  const priceInput = parseDecimal(price); // NaN si vide
+  // Ma part : quantité / prix réellement enregistrés pour un contenant partagé.
+  const part = shared ? sharedContainerEntry({
+    total: qtyNum,
+    share,
+    windowMin,
+    containerPrice: Number.isFinite(priceInput) ? priceInput : null
+  }) : null;
+  const volCl = toCl(part ? part.quantity : qtyNum, unit);
   const g = +ethanolGrams(volCl, alcNum).toFixed(1);
+  const pickShare = v => {
+    setShare(v);
+    const n = Math.round(1 / v);
+    setDrinkers(Math.abs(1 / n - v) < 1e-6 ? String(n) : '');
+  };
+  const typeDrinkers = v => {
+    setDrinkers(v);
+    const n = parseInt(v, 10);
+    setShare(n >= 1 ? 1 / n : NaN);
+  };
+  const choice = (on, label, onClick, aria) => /*#__PURE__*/React.createElement("button", {
+    key: label,
+    type: "button",
+    role: "radio",
+    "aria-checked": on,
+    "aria-label": aria,
+    onClick: onClick,
+    style: {
+      padding: '6px 10px',
+      borderRadius: 99,
+      cursor: 'pointer',
+      fontFamily: 'inherit',
+      ...type(11.5, {
+        weight: on ? 600 : 400
+      }),
+      background: on ? T.ink : T.surface3,
+      color: on ? T.bg : T.ink2,
+      border: `1px solid ${on ? T.ink : T.rule}`,
+      whiteSpace: 'nowrap'
+    }
+  }, label);
+  const stdDrink = getStandardDrink();
   const submit = async () => {
     if (submittingRef.current) return;
     setErr('');
     if (!name.trim()) {
-      setErr('Le nom de la boisson est requis');
+      setErr(t('drink.error.nameRequired'));
       return;
     }
     if (!cat) {
-      setErr('Choisissez une catégorie');
+      setErr(t('drink.error.category'));
       return;
     }
     if (!qtyNum || qtyNum <= 0) {
-      setErr('Quantité invalide');
+      setErr(t('drink.error.quantity'));
       return;
     }
     if (alcNum > 100) {
-      setErr('Degré d\'alcool invalide (0–100 %)');
+      setErr(t('drink.error.abv'));
+      return;
+    }
+    if (shared && !(share > 0 && share <= 1)) {
+      setErr(t('drink.error.drinkers'));
       return;
     }
     submittingRef.current = true;
     setBusy(true);
     try {
       const drinkName = name.trim();
-      const priceNum = parseDecimal(price); // NaN si vide
-      const hasPrice = Number.isFinite(priceNum);
+      const hasPrice = Number.isFinite(priceInput);
+      // Contenant partagé : ma part du volume et du prix, au même €/L — la
+      // référence de la famille (la portion) reste cohérente avec le contenant.
+      const quantity = part ? part.quantity : qtyNum;
+      const priceNum = part ? part.price : priceInput;
       const created = await addDrink({
         name: drinkName,
         category: cat,
-        quantity: qtyNum,
+        quantity,
         unit,
         alcoholContent: alcNum,
         date,
         time,
         location: locTouched ? loc : null,
+        barcode,
+        ...(part && part.shared ? {
+          shared: part.shared
+        } : {}),
         price: hasPrice ? priceNum : null,
         // « Prix habituel » coché ⇒ au prix de référence (suit les cascades) ;
         // décoché ⇒ prix personnalisé (jamais écrasé par un changement de réf.).
@@ -199,19 +277,21 @@ function AddDrinkSheet({
       if (priceIsReference && hasPrice) {
         await setReferencePrice({
           name: drinkName,
-          quantity: qtyNum,
+          quantity,
           unit,
           alcohol: alcNum
         }, priceNum);
       }
-      Toast.show(`« ${drinkName} » ajoutée`);
+      Toast.show(t('toast.drinkAdded', {
+        name: drinkName
+      }));
       close();
       // Géolocalisation fiable et non bloquante (centralisée dans data.jsx :
       // survit à la fermeture, reverse-geocode borné + retry). Un lieu
       // choisi/retiré explicitement (`locTouched`) est respecté.
       if (!locTouched && created && created.id != null) attachLocationToDrink(created.id);
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Erreur lors de l\'ajout');
+      setErr(errorText(e, 'toast.addError'));
     } finally {
       setBusy(false);
       submittingRef.current = false;
@@ -221,7 +301,7 @@ function AddDrinkSheet({
     onClose: close,
     closing: closing,
     onCancelClose: cancelClose,
-    label: "Nouvelle boisson"
+    label: t('addDrink.title')
   }, /*#__PURE__*/React.createElement("div", {
     className: "alco-material-sheet alco-material-edge",
     style: {
@@ -255,11 +335,11 @@ function AddDrinkSheet({
       }),
       color: T.ink
     }
-  }, "Nouvelle boisson"), /*#__PURE__*/React.createElement("button", {
+  }, t('addDrink.title')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     className: "alco-press",
     onClick: close,
-    "aria-label": "Fermer",
+    "aria-label": t('common.close'),
     style: {
       width: 30,
       height: 30,
@@ -287,7 +367,7 @@ function AddDrinkSheet({
   }, /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: () => setScan(true),
-    "aria-label": "Scanner un code-barres",
+    "aria-label": t('addDrink.scan'),
     style: {
       ...ghostButton,
       width: '100%',
@@ -329,27 +409,27 @@ function AddDrinkSheet({
       letterSpacing: tracking(14),
       fontWeight: 500
     }
-  }, "Scanner un code-barres"), /*#__PURE__*/React.createElement("div", {
+  }, t('addDrink.scan')), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
       fontSize: remSize(11.5),
       letterSpacing: tracking(11.5),
       marginTop: 3
     }
-  }, "Remplissage auto depuis OpenFoodFacts")), /*#__PURE__*/React.createElement(SvgIcon, {
+  }, t('addDrink.scanSub'))), /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.chev,
     size: 14,
     color: T.muted
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Boisson"
+    label: t('addDrink.drink')
   }, /*#__PURE__*/React.createElement("input", {
     value: name,
     onChange: e => setName(e.target.value),
-    placeholder: "Ex. Pilsner Urquell",
-    "aria-label": "Boisson",
+    placeholder: t('addDrink.namePh'),
+    "aria-label": t('addDrink.drink'),
     style: inputS()
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Cat\xE9gorie"
+    label: t('shared.category')
   }, /*#__PURE__*/React.createElement(CategoryChips, {
     categories: categories,
     value: cat,
@@ -365,30 +445,80 @@ function AddDrinkSheet({
       minWidth: 0
     }
   }, /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Quantit\xE9"
+    label: t(shared ? 'addDrink.container' : 'drink.quantity')
   }, /*#__PURE__*/React.createElement(NumberField, {
     value: qty,
     onChange: setQty,
-    ariaLabel: "Quantit\xE9"
+    ariaLabel: t(shared ? 'addDrink.containerVolume' : 'drink.quantity')
   }))), /*#__PURE__*/React.createElement("div", {
     style: {
       minWidth: 0
     }
   }, /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Unit\xE9"
+    label: t('shared.unit')
   }, /*#__PURE__*/React.createElement(UnitToggle, {
     value: unit,
     onChange: setUnit
-  })))), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Degr\xE9 d'alcool"
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      marginBottom: 14,
+      background: T.surface,
+      border: `1px solid ${T.rule}`,
+      borderRadius: 12,
+      overflow: 'hidden'
+    }
+  }, /*#__PURE__*/React.createElement(ToggleRow, {
+    label: t('addDrink.shared'),
+    sub: t('addDrink.shared.sub'),
+    on: shared,
+    onToggle: () => setShared(v => !v),
+    last: true
+  })), shared && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('addDrink.myShare')
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 10,
+      alignItems: 'center',
+      flexWrap: 'wrap'
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('addDrink.myShareAria'),
+    style: {
+      display: 'flex',
+      gap: 6,
+      flexWrap: 'wrap'
+    }
+  }, SHARED_SHARES.map(v => choice(Math.abs(v - share) < 1e-6, fmtRoundShare(v), () => pickShare(v)))), /*#__PURE__*/React.createElement(NumberField, {
+    value: drinkers,
+    onChange: typeDrinkers,
+    allowDecimal: false,
+    ariaLabel: t('addDrink.drinkers'),
+    suffix: t('addDrink.drinkersSuffix'),
+    style: {
+      width: 110
+    }
+  }))), /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('addDrink.window')
+  }, /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('addDrink.windowAria'),
+    style: {
+      display: 'flex',
+      gap: 6,
+      flexWrap: 'wrap'
+    }
+  }, SHARED_WINDOWS_MIN.map(m => choice(m === windowMin, fmtSharedWindow(m), () => setWindowMin(m)))))), /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('drink.abv')
   }, /*#__PURE__*/React.createElement(NumberField, {
     value: alc,
     onChange: setAlc,
     step: "0.1",
     suffix: "%",
-    ariaLabel: "Degr\xE9 d'alcool"
+    ariaLabel: t('drink.abv')
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Prix (optionnel)"
+    label: t(shared ? 'addDrink.containerPriceOpt' : 'addDrink.priceOpt')
   }, /*#__PURE__*/React.createElement(NumberField, {
     value: price,
     onChange: v => {
@@ -397,8 +527,19 @@ function AddDrinkSheet({
     },
     step: "0.1",
     suffix: "\u20AC",
-    ariaLabel: "Prix"
-  }), priceAuto && suggestion && price !== '' && /*#__PURE__*/React.createElement("div", {
+    ariaLabel: t(shared ? 'addDrink.containerPrice' : 'drink.price')
+  }), part && part.price != null && /*#__PURE__*/React.createElement("div", {
+    style: {
+      marginTop: 6,
+      color: T.ink2,
+      ...type(11),
+      lineHeight: 1.4
+    }
+  }, t('addDrink.myShareColon'), /*#__PURE__*/React.createElement("span", {
+    style: {
+      fontFamily: fontNum
+    }
+  }, fmtPrice(part.price)), ' ', "\xB7 ", part.quantity, " ", unit), priceAuto && suggestion && price !== '' && /*#__PURE__*/React.createElement("div", {
     style: {
       marginTop: 6,
       color: T.muted,
@@ -413,14 +554,20 @@ function AddDrinkSheet({
     icon: Ic.check,
     size: 11,
     color: T.accent
-  }), suggestion.exact ? 'Prix habituel de cette boisson' : /*#__PURE__*/React.createElement(React.Fragment, null, "Sugg\xE9r\xE9 d'apr\xE8s ", suggestion.source.quantity, " ", suggestion.source.unit, " \xE0 ", fmtPrice(suggestion.source.referencePrice), " \xB7 ", /*#__PURE__*/React.createElement("span", {
+  }), suggestion.exact ? t('addDrink.price.usual') : /*#__PURE__*/React.createElement(React.Fragment, null, t('addDrink.price.suggestedFrom', {
+    quantity: suggestion.source.quantity,
+    unit: suggestion.source.unit,
+    price: fmtPrice(suggestion.source.referencePrice)
+  }), /*#__PURE__*/React.createElement("span", {
     style: {
       fontFamily: fontNum
     }
-  }, fmtPrice(suggestion.perLiter), "/L"))), !priceAuto && suggestion && parseDecimal(price) !== suggestion.price && /*#__PURE__*/React.createElement("button", {
+  }, fmtPrice(suggestion.perLiter), "/L"))), !priceAuto && suggestion && priceInput !== suggestedPrice && /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: () => setPriceAuto(true),
-    "aria-label": `Appliquer le prix suggéré ${fmtPrice(suggestion.price)}`,
+    "aria-label": t('addDrink.price.applyAria', {
+      price: fmtPrice(suggestedPrice)
+    }),
     style: {
       ...ghostButton,
       marginTop: 6,
@@ -435,16 +582,16 @@ function AddDrinkSheet({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.refresh,
     size: 11
-  }), "Suggestion : ", /*#__PURE__*/React.createElement("span", {
+  }), t('addDrink.price.suggestion'), /*#__PURE__*/React.createElement("span", {
     style: {
       fontFamily: fontNum
     }
-  }, fmtPrice(suggestion.price)), !suggestion.exact && /*#__PURE__*/React.createElement("span", {
+  }, fmtPrice(suggestedPrice)), !suggestion.exact && /*#__PURE__*/React.createElement("span", {
     style: {
       fontFamily: fontNum,
       color: T.muted
     }
-  }, "\xB7 ", fmtPrice(suggestion.perLiter), "/L"), "\u2014 appliquer"), /*#__PURE__*/React.createElement("div", {
+  }, "\xB7 ", fmtPrice(suggestion.perLiter), "/L"), t('addDrink.price.apply')), /*#__PURE__*/React.createElement("div", {
     style: {
       marginTop: 8,
       background: T.surface,
@@ -453,8 +600,8 @@ function AddDrinkSheet({
       overflow: 'hidden'
     }
   }, /*#__PURE__*/React.createElement(ToggleRow, {
-    label: "Prix habituel pour cette boisson",
-    sub: "Le \xAB + \xBB et \xAB Ajouter \xE0 nouveau \xBB reprendront ce prix",
+    label: t('addDrink.price.isUsual'),
+    sub: t('addDrink.price.isUsual.sub'),
     on: priceIsReference,
     onToggle: () => setPriceIsReference(v => !v),
     last: true
@@ -466,12 +613,12 @@ function AddDrinkSheet({
       width: '100%'
     }
   }, /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Date"
+    label: t('drink.date')
   }, /*#__PURE__*/React.createElement("input", {
     type: "date",
     value: date,
     onChange: e => setDate(e.target.value),
-    "aria-label": "Date",
+    "aria-label": t('drink.date'),
     style: {
       ...inputS(),
       padding: '10px 12px',
@@ -482,18 +629,18 @@ function AddDrinkSheet({
       appearance: 'none'
     }
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Heure"
+    label: t('shared.time')
   }, /*#__PURE__*/React.createElement(TimeField, {
     value: time,
     onChange: setTime,
-    ariaLabel: "Heure"
+    ariaLabel: t('shared.time')
   }))), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Note (optionnelle)"
+    label: t('addDrink.ratingOpt')
   }, /*#__PURE__*/React.createElement(RatingField, {
     value: rating,
     onChange: setRating
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Lieu (optionnel)"
+    label: t('addDrink.locationOpt')
   }, /*#__PURE__*/React.createElement(LocationField, {
     value: loc,
     onChange: v => {
@@ -512,11 +659,16 @@ function AddDrinkSheet({
     }
   }, /*#__PURE__*/React.createElement(ImpactStat, {
     big: `${volCl} cL`,
-    unit: "volume"
+    unit: t(shared ? 'addDrink.impact.share' : 'addDrink.impact.volume')
   }), /*#__PURE__*/React.createElement(ImpactStat, {
     big: g + 'g',
-    unit: "alcool pur",
+    unit: t('addDrink.impact.grams'),
     accent: true
+  }), /*#__PURE__*/React.createElement(ImpactStat, {
+    big: fmtStdDrinks(g, stdDrink),
+    unit: stdDrinkUnitLabel(toStdDrinks(g, stdDrink), {
+      sd: stdDrink
+    })
   })), err && /*#__PURE__*/React.createElement("div", {
     style: {
       marginTop: 14,
@@ -551,7 +703,7 @@ function AddDrinkSheet({
       border: `1px solid ${T.rule}`,
       fontFamily: 'inherit'
     }
-  }, "Annuler"), /*#__PURE__*/React.createElement("button", {
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: busy ? undefined : submit,
     disabled: busy,
@@ -571,22 +723,30 @@ function AddDrinkSheet({
       fontFamily: 'inherit',
       boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}`
     }
-  }, busy ? 'Enregistrement…' : 'Enregistrer'))), scan && /*#__PURE__*/React.createElement(ScannerSheet, {
-    onClose: () => setScan(false),
+  }, busy ? t('common.saving') : t('common.save')))), scan && /*#__PURE__*/React.createElement(ScannerSheet, {
+    image: scanFrom,
+    onClose: () => {
+      setScan(false);
+      setScanFrom(null);
+    },
     onScanned: p => {
       setScan(false);
+      setScanFrom(null);
       if (p) {
+        if (p.barcode) setBarcode(p.barcode);
         if (p.name) setName(p.name);
         if (p.category) setCat(p.category);
         if (p.alcoholContent !== undefined) setAlc(String(p.alcoholContent));
         if (p.quantity) setQty(String(p.quantity));
         if (p.unit) setUnit(p.unit);
-        Toast.show(`« ${p.name || 'Produit'} » détecté`);
+        Toast.show(t('scanner.detectedToast', {
+          name: p.name || t('scanner.product')
+        }));
       }
     }
   }));
 }
-// ── Scanner overlay (wraps QuaggaJS via window.cameraScanner) ─────
+// ── Scanner overlay (wraps window.cameraScanner: BarcodeDetector or QuaggaJS) ─────
 // Chrome du viseur scanner — délibérément hors thème. Ces couleurs sont posées
 // par-dessus le flux vidéo de la caméra (toujours sombre) ; les passer en `T.*`
 // rendrait le chrome illisible en mode clair (fond clair sur vidéo). On les
@@ -598,15 +758,54 @@ const VIEWFINDER_CLOSE_BG = 'rgba(255,255,255,0.18)';
 const VIEWFINDER_MASK = 'rgba(0,0,0,0.45)';
 const VIEWFINDER_CHIP_BG = 'rgba(0,0,0,0.5)';
 const VIEWFINDER_CHIP_BORDER = 'rgba(255,255,255,0.1)';
+// Provenance d'une fiche hors API (cf. ProductLookup.lookup) : clés i18n.
+const PRODUCT_SOURCE_LABELS = {
+  local: 'scanner.source.local',
+  group: 'scanner.source.group',
+  file: 'scanner.source.file'
+};
+
+// `image` : photo reçue via le partage système (share target) — décodée
+// d'emblée, sans ouvrir la caméra. `mode="invite"` : lit le QR code
+// d'invitation d'un groupe (cf. parseInviteQr) ; onScanned reçoit le code.
 function ScannerSheet({
   onClose,
-  onScanned
+  onScanned,
+  image,
+  mode = 'product'
 }) {
+  const invite = mode === 'invite';
   const [status, setStatus] = React.useState('scanning');
-  const [statusText, setStatusText] = React.useState('Positionnez le code-barres');
+  const [statusText, setStatusText] = React.useState(() => t(image ? 'scanner.reading' : invite ? 'scanner.aimInvite' : 'scanner.aim'));
   const [foundProduct, setFoundProduct] = React.useState(null);
   const viewportRef = React.useRef(null);
+  const fileRef = React.useRef(null);
   const startedRef = React.useRef(false);
+  // Décodage d'une image fixe (fichier, collage, partage) : la caméra est
+  // coupée, le code lu repasse par cam.onBarcodeConfirmed comme un scan.
+  const decodeImage = React.useCallback(async file => {
+    const cam = window.cameraScanner;
+    if (!cam || !file) return;
+    if (startedRef.current) {
+      startedRef.current = false;
+      try {
+        cam.stop();
+      } catch {}
+    }
+    setStatus('scanning');
+    setFoundProduct(null);
+    setStatusText(t('scanner.reading'));
+    try {
+      const code = await cam.decodeImage(file, {
+        mode
+      });
+      if (!code) setStatusText(t(invite ? 'scanner.noQr' : 'scanner.noBarcode'));
+    } catch (e) {
+      console.warn('AlcoNote: image decode failed', e);
+      // Erreur codée (QR illisible par ce navigateur) : message précis.
+      setStatusText(e && e.code ? errorText(e) : t('scanner.readError'));
+    }
+  }, []);
   // Scanner doesn't use SheetOverlay, so register its own back handler
   // (it layers on top of AddDrinkSheet → Back closes the scanner first).
   useBackButton(true, onClose);
@@ -616,12 +815,27 @@ function ScannerSheet({
       try {
         const cam = window.cameraScanner;
         if (!cam) {
-          setStatusText('Scanner indisponible');
+          setStatusText(t('scanner.unavailable'));
           return;
         }
         cam.onBarcodeConfirmed = async code => {
           if (cancelled) return;
-          setStatusText('Recherche du produit…');
+          if (invite) {
+            const inviteCode = parseInviteQr(code);
+            if (inviteCode) {
+              setStatus('found');
+              setFoundProduct(inviteCode);
+              setStatusText(t('scanner.invite', {
+                code: inviteCode
+              }));
+            } else {
+              // Autre QR code : on continue de chercher.
+              setStatusText(t('scanner.notInvite'));
+              cam.unlockProcessing();
+            }
+            return;
+          }
+          setStatusText(t('scanner.searching'));
           try {
             const lookup = window.productLookup;
             // `lookup` is the public method on ProductLookup; the legacy
@@ -629,9 +843,24 @@ function ScannerSheet({
             // every scan, surfacing only "Erreur de recherche".
             const product = lookup ? await lookup.lookup(code) : null;
             if (cancelled) return;
-            if (product) {
+            if (product && product.offline) {
+              // Hors ligne : la fiche sera recherchée au retour du réseau et
+              // proposée à la revue (cf. queuePendingLookup, data.jsx).
+              queuePendingLookup(code).catch(() => {});
+              setStatus('found');
+              setFoundProduct({
+                barcode: code
+              });
+              setStatusText(t('scanner.queued', {
+                code
+              }));
+            } else if (product) {
               setStatus('found');
-              setStatusText(`${product.name || 'Produit'} détecté`);
+              const from = PRODUCT_SOURCE_LABELS[product.source];
+              const found = t('scanner.found', {
+                name: product.name || t('scanner.product')
+              });
+              setStatusText(from ? `${found} · ${t(from)}` : found);
               // ProductLookup returns servingQuantity / servingUnit
               // (computed defaults per category) — the legacy form used
               // `quantity`/`unit` which never existed on the result and
@@ -650,23 +879,46 @@ function ScannerSheet({
               setFoundProduct({
                 barcode: code
               });
-              setStatusText(`Code ${code} reconnu (sans correspondance)`);
+              setStatusText(t('scanner.noMatch', {
+                code
+              }));
             }
           } catch (e) {
             console.warn('AlcoNote: product lookup failed', e);
-            setStatusText('Erreur de recherche');
+            setStatusText(t('scanner.searchError'));
           }
         };
-        cam.onError = () => setStatusText('Caméra indisponible');
-        cam.onInactivity = () => setStatusText('Scanner arrêté (inactivité)');
-        await cam.start();
+        cam.onError = e => setStatusText(e && e.code ? errorText(e) : t('scanner.cameraError'));
+        cam.onInactivity = () => setStatusText(t('scanner.inactive'));
+        if (!(await cam.supportsMode(mode))) {
+          setStatusText(t('scanner.qrUnsupported'));
+          return;
+        }
+        if (image) {
+          decodeImage(image);
+          return;
+        }
+        await cam.start({
+          mode
+        });
         startedRef.current = true;
       } catch (e) {
-        setStatusText('Erreur démarrage scanner');
+        setStatusText(t('scanner.startError'));
       }
     })();
+    // Coller une capture d'écran / photo (Ctrl+V sur ordinateur).
+    const onPaste = e => {
+      const files = Array.from(e.clipboardData && e.clipboardData.files || []);
+      const img = files.find(f => /^image\//.test(f.type));
+      if (img) {
+        e.preventDefault();
+        decodeImage(img);
+      }
+    };
+    window.addEventListener('paste', onPaste);
     return () => {
       cancelled = true;
+      window.removeEventListener('paste', onPaste);
       try {
         if (window.cameraScanner && startedRef.current) window.cameraScanner.stop();
       } catch {}
@@ -707,10 +959,10 @@ function ScannerSheet({
       letterSpacing: tracking(20),
       fontStyle: 'italic'
     }
-  }, "Scanner"), /*#__PURE__*/React.createElement("button", {
+  }, t('scanner.title')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: onClose,
-    "aria-label": "Fermer le scanner",
+    "aria-label": t('scanner.close'),
     style: {
       width: 36,
       height: 36,
@@ -737,8 +989,8 @@ function ScannerSheet({
     }
   }, /*#__PURE__*/React.createElement("div", {
     style: {
-      width: 240,
-      height: 150,
+      width: invite ? 220 : 240,
+      height: invite ? 220 : 150,
       position: 'relative',
       border: `1.5px solid ${status === 'found' ? T.good : T.accent}`,
       borderRadius: 14,
@@ -803,7 +1055,48 @@ function ScannerSheet({
       background: status === 'found' ? T.good : T.accent,
       boxShadow: `0 0 8px ${status === 'found' ? T.good : T.accent}`
     }
-  }), statusText))), status === 'found' && /*#__PURE__*/React.createElement("div", {
+  }), statusText))), /*#__PURE__*/React.createElement("input", {
+    ref: fileRef,
+    type: "file",
+    accept: "image/*",
+    "aria-label": t('scanner.imageAria'),
+    style: {
+      display: 'none'
+    },
+    onChange: e => {
+      const file = e.target.files && e.target.files[0];
+      e.target.value = '';
+      if (file) decodeImage(file);
+    }
+  }), status !== 'found' && /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '0 22px calc(40px + env(safe-area-inset-bottom))',
+      position: 'relative',
+      zIndex: 2,
+      display: 'flex',
+      justifyContent: 'center'
+    }
+  }, /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: () => fileRef.current && fileRef.current.click(),
+    style: {
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: 8,
+      padding: '10px 16px',
+      borderRadius: 99,
+      background: VIEWFINDER_CLOSE_BG,
+      color: VIEWFINDER_INK,
+      fontSize: remSize(13),
+      letterSpacing: tracking(13),
+      cursor: 'pointer',
+      border: `1px solid ${VIEWFINDER_CHIP_BORDER}`,
+      fontFamily: 'inherit'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.upload,
+    size: 14
+  }), t('scanner.importPhoto'))), status === 'found' && /*#__PURE__*/React.createElement("div", {
     style: {
       padding: '0 22px calc(40px + env(safe-area-inset-bottom))',
       position: 'relative',
@@ -827,7 +1120,7 @@ function ScannerSheet({
       fontFamily: 'inherit',
       boxShadow: `0 8px 30px ${withAlpha(T.accent, 0.32)}`
     }
-  }, "Utiliser ce produit")));
+  }, t(invite ? 'scanner.joinGroup' : 'scanner.useProduct'))));
 }
 function FactCell({
   label,
@@ -947,14 +1240,14 @@ function DrinkDetailSheet({
   const rate = async n => {
     try {
       await saveRating(f.name, n);
-      Toast.show('Note enregistrée');
+      Toast.show(t('detail.rated'));
     } catch {}
   };
   return /*#__PURE__*/React.createElement(SheetOverlay, {
     onClose: close,
     closing: closing,
     onCancelClose: cancelClose,
-    label: "D\xE9tail de la boisson"
+    label: t('detail.title')
   }, /*#__PURE__*/React.createElement("div", {
     className: "alco-material-sheet alco-material-edge",
     style: {
@@ -1023,7 +1316,7 @@ function DrinkDetailSheet({
   }, f.name)), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: close,
-    "aria-label": "Fermer",
+    "aria-label": t('common.close'),
     style: {
       width: 32,
       height: 32,
@@ -1048,19 +1341,19 @@ function DrinkDetailSheet({
       marginTop: 18
     }
   }, /*#__PURE__*/React.createElement(FactCell, {
-    label: "Quantit\xE9",
+    label: t('drink.quantity'),
     value: `${f.quantity} ${f.unit}`
   }), /*#__PURE__*/React.createElement(FactCell, {
-    label: "Alcool",
+    label: t('detail.alcohol'),
     value: `${f.alcohol}°`
   }), /*#__PURE__*/React.createElement(FactCell, {
     label: "cL",
     value: toCl(f.quantity, f.unit).toFixed(0)
   }), f.referencePrice != null && /*#__PURE__*/React.createElement(FactCell, {
-    label: "Prix",
+    label: t('drink.price'),
     value: fmtPrice(f.referencePrice)
   }), /*#__PURE__*/React.createElement(FactCell, {
-    label: "Note",
+    label: t('shared.rating'),
     value: /*#__PURE__*/React.createElement(Stars, {
       n: myRating,
       size: 11,
@@ -1086,7 +1379,7 @@ function DrinkDetailSheet({
       padding: 4,
       touchAction: 'manipulation'
     }
-  }, "Effacer la note")))), /*#__PURE__*/React.createElement("div", {
+  }, t('detail.clearRating'))))), /*#__PURE__*/React.createElement("div", {
     style: {
       overflow: 'auto',
       padding: '16px 22px 20px',
@@ -1098,7 +1391,9 @@ function DrinkDetailSheet({
       ...TYPE.labelLg,
       marginBottom: 10
     }
-  }, "Historique \xB7 ", f.entries.length, " entr\xE9e", f.entries.length !== 1 ? 's' : ''), /*#__PURE__*/React.createElement("div", {
+  }, t('detail.history', {
+    count: f.entries.length
+  })), /*#__PURE__*/React.createElement("div", {
     style: {
       background: T.surface,
       borderRadius: 14,
@@ -1126,7 +1421,7 @@ function DrinkDetailSheet({
         width: 60,
         flexShrink: 0
       }
-    }, d.getDate(), " ", FR_MONTHS_SHORT[d.getMonth()]), /*#__PURE__*/React.createElement("div", {
+    }, d.getDate(), " ", t('date.monthsShort')[d.getMonth()]), /*#__PURE__*/React.createElement("div", {
       style: {
         flex: 1,
         minWidth: 0
@@ -1176,28 +1471,28 @@ function DrinkDetailSheet({
         color: T.muted,
         textTransform: 'uppercase'
       }
-    }, "perso"), fmtPrice(e.raw.price)), /*#__PURE__*/React.createElement("button", {
+    }, t('detail.custom')), fmtPrice(e.raw.price)), /*#__PURE__*/React.createElement("button", {
       type: "button",
-      "aria-label": "Supprimer cette entr\xE9e",
+      "aria-label": t('detail.deleteEntry'),
       onClick: async () => {
         if (deletingRef.current) return;
         deletingRef.current = true;
         try {
           const row = await deleteDrinkWithSnapshot(e.id);
-          Toast.show('Boisson supprimée', {
+          Toast.show(t('toast.drinkDeleted'), {
             undo: async () => {
               try {
                 await restoreDrinks([row]);
-                Toast.show('Suppression annulée');
+                Toast.show(t('toast.deleteUndone'));
               } catch (err) {
                 console.warn('AlcoNote: restoreDrinks failed', err);
-                Toast.show('Erreur lors de l\'annulation');
+                Toast.show(t('toast.undoError'));
               }
             }
           });
         } catch (err) {
           console.warn('AlcoNote: deleteDrinkWithSnapshot failed', err);
-          Toast.show('Erreur lors de la suppression');
+          Toast.show(t('toast.deleteError'));
         } finally {
           deletingRef.current = false;
         }
@@ -1238,7 +1533,7 @@ function DrinkDetailSheet({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.grid,
     size: 13
-  }), " D\xE9placer vers une autre cat\xE9gorie"), moving && /*#__PURE__*/React.createElement("div", {
+  }), " ", t('detail.move')), moving && /*#__PURE__*/React.createElement("div", {
     style: {
       marginTop: 10,
       padding: 12,
@@ -1249,7 +1544,7 @@ function DrinkDetailSheet({
   }, /*#__PURE__*/React.createElement(CategoryChips, {
     categories: categories,
     value: f.category,
-    ariaLabel: "D\xE9placer vers la cat\xE9gorie",
+    ariaLabel: t('detail.moveAria'),
     onChange: async nextCat => {
       if (!nextCat || nextCat === f.category) {
         setMoving(false);
@@ -1259,11 +1554,13 @@ function DrinkDetailSheet({
         await updateFamily(f, {
           category: nextCat
         });
-        Toast.show(`Déplacé vers « ${nextCat} »`);
+        Toast.show(t('detail.moved', {
+          category: nextCat
+        }));
         setMoving(false);
       } catch (err) {
         console.warn('AlcoNote: move family failed', err);
-        Toast.show('Erreur lors du déplacement');
+        Toast.show(t('detail.moveError'));
       }
     }
   })))), /*#__PURE__*/React.createElement("div", {
@@ -1296,7 +1593,7 @@ function DrinkDetailSheet({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.edit,
     size: 14
-  }), " Modifier"), /*#__PURE__*/React.createElement("button", {
+  }), " ", t('common.edit')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: () => onAddAgain && onAddAgain(f),
     style: {
@@ -1321,7 +1618,7 @@ function DrinkDetailSheet({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.plus,
     size: 14
-  }), " Ajouter \xE0 nouveau"))));
+  }), " ", t('shared.addAgain')))));
 }
 
 // Edit a single drink entry — touches `db.drinks[id]` only and does
@@ -1365,20 +1662,20 @@ function EditEntrySheet({
     if (savingRef.current || removingRef.current) return;
     setErr('');
     if (!name.trim()) {
-      setErr('Le nom est requis');
+      setErr(t('drink.error.name'));
       return;
     }
     const qtyNum = parseDecimal(qty) || 0;
     if (qtyNum <= 0) {
-      setErr('Quantité invalide');
+      setErr(t('drink.error.quantity'));
       return;
     }
     if (!cat) {
-      setErr('Choisissez une catégorie');
+      setErr(t('drink.error.category'));
       return;
     }
     if ((parseDecimal(alc) || 0) > 100) {
-      setErr('Degré d\'alcool invalide (0–100 %)');
+      setErr(t('drink.error.abv'));
       return;
     }
     savingRef.current = true;
@@ -1408,10 +1705,10 @@ function EditEntrySheet({
       if (rating !== (ratings[ratingKey(finalName)] || 0)) {
         await saveRating(finalName, rating);
       }
-      Toast.show('Boisson modifiée');
+      Toast.show(t('editEntry.saved'));
       close();
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Erreur');
+      setErr(errorText(e));
     } finally {
       setBusy(false);
       savingRef.current = false;
@@ -1426,21 +1723,21 @@ function EditEntrySheet({
     setBusy(true);
     try {
       const row = await deleteDrinkWithSnapshot(raw.id);
-      Toast.show('Boisson supprimée', {
+      Toast.show(t('toast.drinkDeleted'), {
         undo: async () => {
           try {
             await restoreDrinks([row]);
-            Toast.show('Suppression annulée');
+            Toast.show(t('toast.deleteUndone'));
           } catch (err) {
             console.warn('AlcoNote: restoreDrinks failed', err);
-            Toast.show('Erreur lors de l\'annulation');
+            Toast.show(t('toast.undoError'));
           }
         }
       });
       close();
     } catch (e) {
       console.warn('AlcoNote: deleteDrinkWithSnapshot failed', e);
-      setErr(e && e.message ? e.message : 'Erreur');
+      setErr(errorText(e));
     } finally {
       setBusy(false);
       removingRef.current = false;
@@ -1450,7 +1747,7 @@ function EditEntrySheet({
     onClose: close,
     closing: closing,
     onCancelClose: cancelClose,
-    label: "Modifier l'entr\xE9e"
+    label: t('editEntry.title')
   }, /*#__PURE__*/React.createElement("div", {
     className: "alco-material-sheet alco-material-edge",
     style: {
@@ -1483,11 +1780,11 @@ function EditEntrySheet({
       }),
       color: T.ink
     }
-  }, "Modifier l'entr\xE9e"), /*#__PURE__*/React.createElement("button", {
+  }, t('editEntry.title')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     className: "alco-press",
     onClick: close,
-    "aria-label": "Fermer",
+    "aria-label": t('common.close'),
     style: {
       width: 30,
       height: 30,
@@ -1513,14 +1810,14 @@ function EditEntrySheet({
       flex: 1
     }
   }, /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Nom"
+    label: t('drink.name')
   }, /*#__PURE__*/React.createElement("input", {
     value: name,
     onChange: e => setName(e.target.value),
-    "aria-label": "Nom",
+    "aria-label": t('drink.name'),
     style: inputS()
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Cat\xE9gorie"
+    label: t('shared.category')
   }, /*#__PURE__*/React.createElement(CategoryChips, {
     categories: categories,
     value: cat,
@@ -1536,35 +1833,35 @@ function EditEntrySheet({
       minWidth: 0
     }
   }, /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Quantit\xE9"
+    label: t('drink.quantity')
   }, /*#__PURE__*/React.createElement(NumberField, {
     value: qty,
     onChange: setQty,
-    ariaLabel: "Quantit\xE9"
+    ariaLabel: t('drink.quantity')
   }))), /*#__PURE__*/React.createElement("div", {
     style: {
       minWidth: 0
     }
   }, /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Unit\xE9"
+    label: t('shared.unit')
   }, /*#__PURE__*/React.createElement(UnitToggle, {
     value: unit,
     onChange: setUnit
   })))), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Degr\xE9 d'alcool (%)"
+    label: t('drink.abvPct')
   }, /*#__PURE__*/React.createElement(NumberField, {
     value: alc,
     onChange: setAlc,
     step: "0.1",
-    ariaLabel: "Degr\xE9 d'alcool"
+    ariaLabel: t('drink.abv')
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Prix de cette entr\xE9e (optionnel)"
+    label: t('editEntry.priceOpt')
   }, /*#__PURE__*/React.createElement(NumberField, {
     value: price,
     onChange: setPrice,
     step: "0.1",
     suffix: "\u20AC",
-    ariaLabel: "Prix de l'entr\xE9e"
+    ariaLabel: t('editEntry.price')
   })), /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'grid',
@@ -1573,12 +1870,12 @@ function EditEntrySheet({
       width: '100%'
     }
   }, /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Date"
+    label: t('drink.date')
   }, /*#__PURE__*/React.createElement("input", {
     type: "date",
     value: date,
     onChange: e => setDate(e.target.value),
-    "aria-label": "Date",
+    "aria-label": t('drink.date'),
     style: {
       ...inputS(),
       padding: '10px 12px',
@@ -1589,18 +1886,18 @@ function EditEntrySheet({
       appearance: 'none'
     }
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Heure"
+    label: t('shared.time')
   }, /*#__PURE__*/React.createElement(TimeField, {
     value: time,
     onChange: setTime,
-    ariaLabel: "Heure"
+    ariaLabel: t('shared.time')
   }))), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Note"
+    label: t('shared.rating')
   }, /*#__PURE__*/React.createElement(RatingField, {
     value: rating,
     onChange: setRating
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Lieu"
+    label: t('shared.location')
   }, /*#__PURE__*/React.createElement(LocationField, {
     value: loc,
     onChange: setLoc
@@ -1642,7 +1939,7 @@ function EditEntrySheet({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.trash,
     size: 13
-  }), "Supprimer cette entr\xE9e")), /*#__PURE__*/React.createElement("div", {
+  }), t('detail.deleteEntry'))), /*#__PURE__*/React.createElement("div", {
     style: {
       padding: '12px 18px calc(22px + env(safe-area-inset-bottom))',
       borderTop: `1px solid ${T.rule}`,
@@ -1665,7 +1962,7 @@ function EditEntrySheet({
       border: `1px solid ${T.rule}`,
       fontFamily: 'inherit'
     }
-  }, "Annuler"), /*#__PURE__*/React.createElement("button", {
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: busy ? undefined : save,
     disabled: busy,
@@ -1685,7 +1982,7 @@ function EditEntrySheet({
       fontFamily: 'inherit',
       boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}`
     }
-  }, busy ? 'Enregistrement…' : 'Enregistrer'))));
+  }, busy ? t('common.saving') : t('common.save')))));
 }
 
 // Edit drink family sheet (rename, change qty/unit/abv across all entries,
@@ -1728,20 +2025,20 @@ function EditFamilySheet({
     if (savingRef.current || removingRef.current) return;
     setErr('');
     if (!name.trim()) {
-      setErr('Le nom est requis');
+      setErr(t('drink.error.name'));
       return;
     }
     const qtyNum = parseDecimal(qty) || 0;
     if (qtyNum <= 0) {
-      setErr('Quantité invalide');
+      setErr(t('drink.error.quantity'));
       return;
     }
     if (!cat) {
-      setErr('Choisissez une catégorie');
+      setErr(t('drink.error.category'));
       return;
     }
     if ((parseDecimal(alc) || 0) > 100) {
-      setErr('Degré d\'alcool invalide (0–100 %)');
+      setErr(t('drink.error.abv'));
       return;
     }
     savingRef.current = true;
@@ -1805,10 +2102,10 @@ function EditFamilySheet({
         }
         if (!stillUsed) await saveRating(family.name, 0);
       }
-      Toast.show('Boisson mise à jour');
+      Toast.show(t('editFamily.saved'));
       close();
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Erreur');
+      setErr(errorText(e));
     } finally {
       setBusy(false);
       savingRef.current = false;
@@ -1827,22 +2124,23 @@ function EditFamilySheet({
         count,
         snapshot
       } = await deleteFamily(family);
-      const label = count > 1 ? `${count} entrées supprimées` : 'Boisson supprimée';
-      Toast.show(label, {
+      Toast.show(t('editFamily.deleted', {
+        count
+      }), {
         undo: async () => {
           try {
             await restoreDrinks(snapshot);
-            Toast.show('Suppression annulée');
+            Toast.show(t('toast.deleteUndone'));
           } catch (err) {
             console.warn('AlcoNote: restoreDrinks (family) failed', err);
-            Toast.show('Erreur lors de l\'annulation');
+            Toast.show(t('toast.undoError'));
           }
         }
       });
       close();
     } catch (e) {
       console.warn('AlcoNote: deleteFamily failed', e);
-      setErr(e && e.message ? e.message : 'Erreur');
+      setErr(errorText(e));
     } finally {
       setBusy(false);
       removingRef.current = false;
@@ -1853,7 +2151,6 @@ function EditFamilySheet({
   // qui sera modifié : entrées AU PRIX DE RÉFÉRENCE (mises à jour si le toggle
   // est actif) vs PERSONNALISÉES (toujours préservées). Le « dirty » compare la
   // saisie courante au prix de référence enregistré (même calcul qu'au submit).
-  const plur = n => n > 1 ? 's' : '';
   const refPricedCount = family.entries.filter(e => !(e.raw && e.raw.priceIsCustom)).length;
   const customCount = family.entries.length - refPricedCount;
   const liveRefNum = parseDecimal(refPrice);
@@ -1864,7 +2161,7 @@ function EditFamilySheet({
     onClose: close,
     closing: closing,
     onCancelClose: cancelClose,
-    label: "Modifier la boisson"
+    label: t('editFamily.title')
   }, /*#__PURE__*/React.createElement("div", {
     className: "alco-material-sheet alco-material-edge",
     style: {
@@ -1896,11 +2193,11 @@ function EditFamilySheet({
       }),
       color: T.ink
     }
-  }, "Modifier la boisson"), /*#__PURE__*/React.createElement("button", {
+  }, t('editFamily.title')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     className: "alco-press",
     onClick: close,
-    "aria-label": "Fermer",
+    "aria-label": t('common.close'),
     style: {
       width: 30,
       height: 30,
@@ -1925,14 +2222,14 @@ function EditFamilySheet({
       flex: 1
     }
   }, /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Nom"
+    label: t('drink.name')
   }, /*#__PURE__*/React.createElement("input", {
     value: name,
     onChange: e => setName(e.target.value),
-    "aria-label": "Nom",
+    "aria-label": t('drink.name'),
     style: inputS()
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Cat\xE9gorie"
+    label: t('shared.category')
   }, /*#__PURE__*/React.createElement(CategoryChips, {
     categories: categories,
     value: cat,
@@ -1944,31 +2241,31 @@ function EditFamilySheet({
       gap: 10
     }
   }, /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Quantit\xE9"
+    label: t('drink.quantity')
   }, /*#__PURE__*/React.createElement(NumberField, {
     value: qty,
     onChange: setQty,
-    ariaLabel: "Quantit\xE9"
+    ariaLabel: t('drink.quantity')
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Unit\xE9"
+    label: t('shared.unit')
   }, /*#__PURE__*/React.createElement(UnitToggle, {
     value: unit,
     onChange: setUnit
   }))), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Degr\xE9 d'alcool (%)"
+    label: t('drink.abvPct')
   }, /*#__PURE__*/React.createElement(NumberField, {
     value: alc,
     onChange: setAlc,
     step: "0.1",
-    ariaLabel: "Degr\xE9 d'alcool"
+    ariaLabel: t('drink.abv')
   })), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Prix de r\xE9f\xE9rence (optionnel)"
+    label: t('editFamily.refPriceOpt')
   }, /*#__PURE__*/React.createElement(NumberField, {
     value: refPrice,
     onChange: setRefPrice,
     step: "0.1",
     suffix: "\u20AC",
-    ariaLabel: "Prix de r\xE9f\xE9rence"
+    ariaLabel: t('editFamily.refPrice')
   }), refPricedCount > 0 ? /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
     style: {
       marginTop: 8,
@@ -1978,8 +2275,12 @@ function EditFamilySheet({
       overflow: 'hidden'
     }
   }, /*#__PURE__*/React.createElement(ToggleRow, {
-    label: "Mettre \xE0 jour les boissons existantes",
-    sub: `${refPricedCount} au prix de référence${customCount > 0 ? ` · ${customCount} personnalisée${plur(customCount)} préservée${plur(customCount)}` : ''}`,
+    label: t('editFamily.applyExisting'),
+    sub: t('editFamily.refPriced', {
+      count: refPricedCount
+    }) + (customCount > 0 ? t('editFamily.customKept', {
+      count: customCount
+    }) : ''),
     on: applyToExisting,
     onToggle: () => setApplyToExisting(v => !v),
     last: true
@@ -1990,11 +2291,13 @@ function EditFamilySheet({
       fontSize: remSize(11),
       letterSpacing: tracking(11)
     }
-  }, refPricedCount, " boisson", plur(refPricedCount), " ", /*#__PURE__*/React.createElement("span", {
+  }, t('common.drinks', {
+    count: refPricedCount
+  }), " ", /*#__PURE__*/React.createElement("span", {
     style: {
       fontFamily: fontNum
     }
-  }, "\u2192 ", liveNewVal != null ? fmtPrice(liveNewVal) : 'sans prix'))) : /*#__PURE__*/React.createElement("div", {
+  }, "\u2192 ", liveNewVal != null ? fmtPrice(liveNewVal) : t('editFamily.noPrice')))) : /*#__PURE__*/React.createElement("div", {
     style: {
       marginTop: 6,
       color: T.muted,
@@ -2002,8 +2305,8 @@ function EditFamilySheet({
       letterSpacing: tracking(11),
       lineHeight: 1.4
     }
-  }, "Toutes les entr\xE9es ont un prix personnalis\xE9 \u2014 ce prix ne sera repris que par les nouveaux ajouts.")), /*#__PURE__*/React.createElement(FieldGroup, {
-    label: "Note"
+  }, t('editFamily.allCustom'))), /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('shared.rating')
   }, /*#__PURE__*/React.createElement(RatingField, {
     value: rating,
     onChange: setRating
@@ -2045,7 +2348,7 @@ function EditFamilySheet({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.trash,
     size: 13
-  }), "Supprimer toutes les entr\xE9es")), /*#__PURE__*/React.createElement("div", {
+  }), t('editFamily.deleteAll'))), /*#__PURE__*/React.createElement("div", {
     style: {
       padding: '12px 18px calc(22px + env(safe-area-inset-bottom))',
       borderTop: `1px solid ${T.rule}`,
@@ -2068,7 +2371,7 @@ function EditFamilySheet({
       border: `1px solid ${T.rule}`,
       fontFamily: 'inherit'
     }
-  }, "Annuler"), /*#__PURE__*/React.createElement("button", {
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     onClick: busy ? undefined : save,
     disabled: busy,
@@ -2088,112 +2391,189 @@ function EditFamilySheet({
       fontFamily: 'inherit',
       boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}`
     }
-  }, busy ? 'Enregistrement…' : 'Enregistrer'))));
+  }, busy ? t('common.saving') : t('common.save')))));
 }
-// ── Settings drawer ────────────────────────────────────────────────
-function SettingsDrawer({
-  open,
-  onClose
+// ── Sauvegardes (table `backups`) ─────────────────────────────────
+// Navigateur des snapshots locaux : automatiques, pré-import, pré-effacement,
+// migrations… Chaque ligne se déplie sur un aperçu (boissons saisies depuis,
+// qui seraient perdues / supprimées depuis, qui reviendraient) avant la
+// restauration. La restauration snapshote d'abord l'état courant
+// ('pre-restore'), donc elle se défait depuis cette même liste.
+const BACKUP_LABELS = {
+  'auto': 'backups.label.auto',
+  'pre-import': 'backups.label.preImport',
+  'pre-merge': 'backups.label.preMerge',
+  'pre-clear': 'backups.label.preClear',
+  'pre-restore': 'backups.label.preRestore',
+  'pre-v5': 'backups.label.preV5',
+  'pre-normalize-categories': 'backups.label.preNormalize'
+};
+function backupLabel(label) {
+  return BACKUP_LABELS[label] ? t(BACKUP_LABELS[label]) : label || t('backups.label.default');
+}
+function fmtBackupDate(createdAt) {
+  const d = new Date(createdAt);
+  if (isNaN(d.getTime())) return '—';
+  return `${fmtDateMedium(localDate(d))} ${d.getFullYear()} · ${localTime(d)}`;
+}
+
+// Liste compacte des boissons d'un côté du diff (5 premières + « et N autres »).
+function BackupDiffList({
+  title,
+  drinks
 }) {
-  const settings = useSettings();
-  const fileInputRef = React.useRef(null);
-  // Read the running SW's reported version so the footer always
-  // matches the cache actually shipping. Falls back to "—" when no
-  // SW is registered (browser preview, file://).
-  const swVersion = useSWVersion();
-  // Fermeture animée (le tiroir repart vers la gauche) — ré-armée à l'ouverture.
-  const [closing, close, cancelClose] = useSheetClose(onClose, open);
-  if (!open) return null;
-  const onExport = async () => {
-    try {
-      const json = await window.dbManager.exportData();
-      const blob = new Blob([json], {
-        type: 'application/json'
-      });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `alconote-${new Date().toISOString().slice(0, 10)}.json`;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
-      Toast.show('Données exportées');
-    } catch (e) {
-      Toast.show('Erreur d\'export');
+  if (!drinks.length) return null;
+  const shown = drinks.slice(0, 5);
+  return /*#__PURE__*/React.createElement("div", {
+    style: {
+      marginTop: 10
     }
-  };
-  const onImport = () => fileInputRef.current && fileInputRef.current.click();
-  const onFile = async ev => {
-    const f = ev.target.files && ev.target.files[0];
-    if (!f) return;
-    try {
-      const text = await f.text();
-      await window.dbManager.importData(text);
-      window.dataBus && window.dataBus.bump();
-      Toast.show('Données importées');
-    } catch (e) {
-      Toast.show('Erreur d\'import');
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginBottom: 4
     }
-    ev.target.value = '';
+  }, title), shown.map((d, i) => /*#__PURE__*/React.createElement("div", {
+    key: d.uid || d.id || i,
+    style: {
+      color: T.ink2,
+      ...type(12),
+      display: 'flex',
+      justifyContent: 'space-between',
+      gap: 8
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap'
+    }
+  }, d.name), /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.muted,
+      fontFamily: fontNum,
+      flexShrink: 0
+    }
+  }, fmtDateMedium(d.date), " \xB7 ", d.time))), drinks.length > shown.length && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(11.5),
+      marginTop: 2
+    }
+  }, t('backups.more', {
+    count: drinks.length - shown.length
+  })));
+}
+function BackupsSheet({
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const [list, setList] = React.useState(null); // null = chargement
+  const [openId, setOpenId] = React.useState(null);
+  const [diff, setDiff] = React.useState(null); // { id, added, removed, unchanged } | { id, error }
+  const [busy, setBusy] = React.useState(false);
+  React.useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const db = window.dbManager;
+      const rows = db ? await db.listBackups() : [];
+      if (!cancelled) setList(rows);
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+  const toggle = async id => {
+    if (openId === id) {
+      setOpenId(null);
+      return;
+    }
+    setOpenId(id);
+    setDiff(null);
+    const db = window.dbManager;
+    const r = db ? await db.diffBackup(id) : null;
+    setDiff(r ? {
+      id,
+      ...r
+    } : {
+      id,
+      error: true
+    });
   };
-  const onClear = async () => {
+  const restore = async b => {
     const ok = await Confirm.ask({
-      title: 'Effacer toutes les données ?',
-      message: 'Boissons, catégories, paramètres et records seront définitivement supprimés. Cette action est irréversible.',
-      confirmText: 'Tout effacer',
+      title: t('backups.restore.title'),
+      message: t('backups.restore.message', {
+        date: fmtBackupDate(b.createdAt),
+        label: t('backups.label.preRestore')
+      }),
+      confirmText: t('backups.restore.confirm'),
       danger: true
     });
     if (!ok) return;
+    setBusy(true);
     try {
-      await clearAllData();
-      Toast.show('Données effacées');
+      await restoreBackup(b.id);
+      Toast.show(t('backups.restored'));
       close();
     } catch (e) {
-      Toast.show('Erreur lors de l\'effacement');
+      Toast.show(t('backups.restoreError'));
+      setBusy(false);
     }
   };
-
-  // La matière du tiroir est TRANSLUCIDE : elle doit vivre sur l'élément que
-  // SheetOverlay transforme (`sheetClassName`), jamais sur un enfant. Sous un
-  // ancêtre promu, WebKit n'a plus de fond à échantillonner et le flou s'éteint
-  // dès la fin de l'animation d'entrée (« le translucide se retire après une
-  // seconde »). La liste défilante cesse aussi d'être imbriquée sous une
-  // seconde couche filtrée — son défilement redevient composé.
   return /*#__PURE__*/React.createElement(SheetOverlay, {
     onClose: close,
     closing: closing,
     onCancelClose: cancelClose,
-    side: "left",
-    label: "Param\xE8tres",
-    sheetClassName: "alco-material-panel alco-material-edge"
+    label: t('settings.backups')
   }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
     style: {
-      width: 'min(360px, 100vw)',
-      height: '100%',
-      borderRight: `1px solid ${T.rule}`,
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '85dvh',
       display: 'flex',
       flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
       boxShadow: T.shadowSheet
     }
-  }, /*#__PURE__*/React.createElement("div", {
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
     style: {
-      padding: 'calc(36px + env(safe-area-inset-top)) 20px 18px',
+      padding: '14px 22px 16px',
       borderBottom: `1px solid ${T.rule}`,
       display: 'flex',
-      alignItems: 'center',
-      justifyContent: 'space-between'
+      alignItems: 'flex-start',
+      gap: 12
     }
   }, /*#__PURE__*/React.createElement("div", {
     style: {
-      ...TYPE.display,
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
       color: T.ink
     }
-  }, "Param\xE8tres"), /*#__PURE__*/React.createElement("button", {
+  }, t('settings.backups')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginTop: 6
+    }
+  }, list ? t('backups.count', {
+    count: list.length
+  }) : '…')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     className: "alco-press",
     onClick: close,
-    "aria-label": "Fermer les param\xE8tres",
+    "aria-label": t('common.close'),
     style: {
       width: 32,
       height: 32,
@@ -2201,66 +2581,1254 @@ function SettingsDrawer({
       background: T.surface2,
       display: 'grid',
       placeItems: 'center',
-      color: T.ink2,
+      color: T.ink,
       cursor: 'pointer',
-      border: 'none',
+      border: `1px solid ${T.rule}`,
       padding: 0,
       fontFamily: 'inherit',
+      flexShrink: 0,
       touchAction: 'manipulation'
     }
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.close,
     size: 14
-  }))), /*#__PURE__*/React.createElement("div", {
+  })))), /*#__PURE__*/React.createElement("div", {
     style: {
-      flex: 1,
       overflow: 'auto',
-      padding: '14px 20px'
-    }
-  }, /*#__PURE__*/React.createElement(SettingsGroup, {
-    label: "Apparence"
-  }, /*#__PURE__*/React.createElement(ThemePicker, null), /*#__PURE__*/React.createElement(HapticsRow, {
-    last: true
-  })), /*#__PURE__*/React.createElement(SettingsGroup, {
-    label: "Profil"
-  }, /*#__PURE__*/React.createElement(ProfileRow, {
-    label: "Poids (kg)",
-    numeric: true,
-    min: 30,
-    max: 200,
-    step: 0.5,
-    value: settings.userWeight != null ? String(settings.userWeight) : '',
-    onSave: v => {
-      const n = parseDecimal(v);
-      saveSetting('userWeight', v && !isNaN(n) ? n : null);
+      padding: '14px 22px calc(20px + env(safe-area-inset-bottom))'
     }
-  }), /*#__PURE__*/React.createElement(GenderPicker, {
-    value: settings.userGender || '',
-    onChange: v => saveSetting('userGender', v || null),
+  }, list && list.length === 0 && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(13),
+      textAlign: 'center',
+      padding: '24px 0'
+    }
+  }, t('backups.empty')), list && list.length > 0 && /*#__PURE__*/React.createElement("div", {
+    style: {
+      background: T.surface,
+      borderRadius: 14,
+      border: `1px solid ${T.rule}`,
+      overflow: 'hidden'
+    }
+  }, list.map((b, i) => {
+    const isOpen = openId === b.id;
+    const d = diff && diff.id === b.id ? diff : null;
+    return /*#__PURE__*/React.createElement("div", {
+      key: b.id,
+      style: {
+        borderBottom: i === list.length - 1 ? 'none' : `1px solid ${T.rule}`
+      }
+    }, /*#__PURE__*/React.createElement("button", {
+      type: "button",
+      className: "alco-press-soft",
+      "aria-expanded": isOpen,
+      onClick: () => toggle(b.id),
+      style: {
+        ...ghostButton,
+        width: '100%',
+        textAlign: 'left',
+        display: 'flex',
+        alignItems: 'center',
+        gap: 12,
+        padding: '12px 14px'
+      }
+    }, /*#__PURE__*/React.createElement("div", {
+      style: {
+        flex: 1,
+        minWidth: 0
+      }
+    }, /*#__PURE__*/React.createElement("div", {
+      style: {
+        color: T.ink,
+        ...type(14, {
+          weight: 500
+        })
+      }
+    }, backupLabel(b.label)), /*#__PURE__*/React.createElement("div", {
+      style: {
+        color: T.muted,
+        fontFamily: fontNum,
+        ...type(11),
+        marginTop: 2
+      }
+    }, fmtBackupDate(b.createdAt), b.counts ? ` · ${t('common.drinks', {
+      count: b.counts.drinks
+    })} · ${t('common.categories', {
+      count: b.counts.categories
+    })}` : ` · ${t('backups.unreadableShort')}`)), /*#__PURE__*/React.createElement("span", {
+      style: {
+        display: 'inline-flex',
+        transform: isOpen ? 'rotate(180deg)' : 'none',
+        transition: 'transform 0.18s ease'
+      }
+    }, /*#__PURE__*/React.createElement(SvgIcon, {
+      icon: Ic.chev,
+      size: 14,
+      color: T.muted
+    }))), isOpen && /*#__PURE__*/React.createElement("div", {
+      style: {
+        padding: '0 14px 14px'
+      }
+    }, !d && /*#__PURE__*/React.createElement("div", {
+      style: {
+        color: T.muted,
+        ...type(12)
+      }
+    }, t('backups.comparing')), d && d.error && /*#__PURE__*/React.createElement("div", {
+      style: {
+        color: T.accent2,
+        ...type(12)
+      }
+    }, t('backups.unreadable')), d && !d.error && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("div", {
+      style: {
+        color: T.ink2,
+        ...type(12.5)
+      }
+    }, d.added.length === 0 && d.removed.length === 0 ? t('backups.identical') : `${t('backups.unchanged', {
+      count: d.unchanged
+    })} · ${t('backups.lost', {
+      count: d.added.length
+    })} · ${t('backups.recovered', {
+      count: d.removed.length
+    })}`), /*#__PURE__*/React.createElement(BackupDiffList, {
+      title: t('backups.addedSince'),
+      drinks: d.added
+    }), /*#__PURE__*/React.createElement(BackupDiffList, {
+      title: t('backups.removedSince'),
+      drinks: d.removed
+    }), /*#__PURE__*/React.createElement("button", {
+      type: "button",
+      onClick: busy ? undefined : () => restore(b),
+      disabled: busy,
+      style: {
+        width: '100%',
+        marginTop: 14,
+        padding: '11px',
+        textAlign: 'center',
+        borderRadius: 12,
+        background: T.dangerSoftBg,
+        color: T.accent2,
+        border: `1px solid ${T.dangerSoftBorder}`,
+        ...type(12.5, {
+          weight: 500
+        }),
+        cursor: busy ? 'wait' : 'pointer',
+        opacity: busy ? 0.5 : 1,
+        fontFamily: 'inherit'
+      }
+    }, busy ? t('backups.restoring') : t('backups.restore')))));
+  })))));
+}
+
+// ── Historique des modifications (table `journal`) ────────────────
+// Annuler / rétablir persistants (cf. data.jsx › undoLastChange). Les
+// entrées annulées restent listées, barrées, jusqu'à la prochaine
+// modification qui efface la branche « rétablir ».
+function JournalSheet({
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const list = useJournal();
+  const [busy, setBusy] = React.useState(false);
+  const canUndo = !!list && list.some(e => !e.undone);
+  const canRedo = !!list && list.some(e => e.undone);
+  const step = async redo => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      const r = redo ? await redoLastChange() : await undoLastChange();
+      if (r) Toast.show(t(redo ? 'journal.redone' : 'journal.undone', {
+        label: r.label
+      }));
+    } catch (e) {
+      console.warn('AlcoNote: journal step failed', e);
+      Toast.show(t(redo ? 'journal.redoError' : 'toast.undoError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const stepButton = (redo, enabled) => /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: () => step(redo),
+    disabled: !enabled || busy,
+    "aria-label": t(redo ? 'journal.redoAria' : 'journal.undoAria'),
+    style: {
+      flex: 1,
+      padding: '11px',
+      textAlign: 'center',
+      borderRadius: 12,
+      background: redo ? T.surface2 : T.accent,
+      color: redo ? T.ink2 : T.accentInk,
+      border: redo ? `1px solid ${T.rule}` : 'none',
+      ...type(12.5, {
+        weight: 600
+      }),
+      fontFamily: 'inherit',
+      cursor: enabled && !busy ? 'pointer' : 'default',
+      opacity: enabled && !busy ? 1 : 0.5
+    }
+  }, t(redo ? 'journal.redo' : 'common.cancel'));
+  return /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: t('settings.journal')
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '85dvh',
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`,
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: 12
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
+      color: T.ink
+    }
+  }, t('settings.journal')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginTop: 6
+    }
+  }, list ? t('journal.count', {
+    count: list.length
+  }) : '…')), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: close,
+    "aria-label": t('common.close'),
+    style: {
+      width: 32,
+      height: 32,
+      borderRadius: 99,
+      background: T.surface2,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink,
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      padding: 0,
+      fontFamily: 'inherit',
+      flexShrink: 0,
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.close,
+    size: 14
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 10,
+      padding: '14px 22px 0'
+    }
+  }, stepButton(false, canUndo), stepButton(true, canRedo)), /*#__PURE__*/React.createElement("div", {
+    style: {
+      overflow: 'auto',
+      padding: '14px 22px calc(20px + env(safe-area-inset-bottom))'
+    }
+  }, list && list.length === 0 && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(13),
+      textAlign: 'center',
+      padding: '24px 0'
+    }
+  }, t('journal.empty')), list && list.length > 0 && /*#__PURE__*/React.createElement("div", {
+    role: "list",
+    "aria-label": t('journal.listAria'),
+    style: {
+      background: T.surface,
+      borderRadius: 14,
+      border: `1px solid ${T.rule}`,
+      overflow: 'hidden'
+    }
+  }, list.map((e, i) => /*#__PURE__*/React.createElement("div", {
+    key: e.id,
+    role: "listitem",
+    style: {
+      padding: '12px 14px',
+      opacity: e.undone ? 0.55 : 1,
+      borderBottom: i === list.length - 1 ? 'none' : `1px solid ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink,
+      ...type(14, {
+        weight: 500
+      }),
+      textDecoration: e.undone ? 'line-through' : 'none'
+    }
+  }, e.label), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      fontFamily: fontNum,
+      ...type(11),
+      marginTop: 2
+    }
+  }, fmtBackupDate(e.ts), " \xB7 ", t('journal.rows', {
+    count: e.count
+  }), e.undone ? ` · ${t('journal.undoneTag')}` : '')))))));
+}
+
+// ── Import : Remplacer ou Fusionner ───────────────────────────────
+// Ouvert après le choix du fichier, avec l'aperçu calculé par
+// `dbManager.previewImport` (rien n'est écrit avant « Importer »).
+// Fusionner est le choix par défaut : importer l'export d'un ancien
+// téléphone ou d'un ami ne doit plus effacer quoi que ce soit par accident.
+function ImportModeOption({
+  id,
+  mode,
+  setMode,
+  title,
+  danger,
+  children
+}) {
+  const on = mode === id;
+  return /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    role: "radio",
+    "aria-checked": on,
+    onClick: () => setMode(id),
+    className: "alco-press-soft",
+    style: {
+      ...ghostButton,
+      width: '100%',
+      textAlign: 'left',
+      display: 'block',
+      padding: '12px 14px',
+      borderRadius: 14,
+      marginBottom: 10,
+      background: on ? danger ? T.dangerSoftBg : T.accentSoft : T.surface,
+      border: `1px solid ${on ? danger ? T.dangerSoftBorder : T.accent : T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: on ? danger ? T.accent2 : T.accent : T.ink,
+      ...type(14, {
+        weight: 600
+      })
+    }
+  }, title), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink2,
+      ...type(12),
+      marginTop: 4
+    }
+  }, children));
+}
+function ImportSheet({
+  pending,
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const [mode, setMode] = React.useState('merge');
+  const [busy, setBusy] = React.useState(false);
+  const {
+    preview,
+    fileName
+  } = pending;
+  const m = preview.merge;
+  const run = async () => {
+    setBusy(true);
+    try {
+      const report = await window.dbManager.importData(pending.text, {
+        mode,
+        passphrase: pending.passphrase
+      });
+      window.dataBus && window.dataBus.bump();
+      Toast.show(mode === 'merge' ? t('import.merged', {
+        added: t('import.added', {
+          count: report.drinks.added
+        }),
+        updated: t('import.updated', {
+          count: report.drinks.updated
+        }),
+        skipped: t('import.skipped', {
+          count: report.drinks.skipped
+        })
+      }) : t('import.replaced'));
+      close();
+    } catch (e) {
+      Toast.show(t('import.error'));
+      setBusy(false);
+    }
+  };
+  return /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: t('settings.import')
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '85dvh',
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
+      color: T.ink
+    }
+  }, t('settings.import')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginTop: 6,
+      wordBreak: 'break-word'
+    }
+  }, fileName, preview.file.exportDate ? ` · ${t('import.exportedOn', {
+    date: fmtBackupDate(preview.file.exportDate)
+  })}` : ''))), /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('import.modeAria'),
+    style: {
+      overflow: 'auto',
+      padding: '14px 22px'
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink2,
+      ...type(12.5),
+      marginBottom: 12
+    }
+  }, t('import.fileContains', {
+    drinks: t('common.drinks', {
+      count: preview.file.drinks
+    }),
+    categories: t('common.categories', {
+      count: preview.file.categories
+    })
+  })), /*#__PURE__*/React.createElement(ImportModeOption, {
+    id: "merge",
+    mode: mode,
+    setMode: setMode,
+    title: t('import.merge')
+  }, t('import.merge.added', {
+    count: m.drinks.added
+  }), ' · ', t('import.updated', {
+    count: m.drinks.updated
+  }), ' · ', t('import.present', {
+    count: m.drinks.skipped
+  }), m.categories.added > 0 && /*#__PURE__*/React.createElement(React.Fragment, null, " \xB7 ", t('import.merge.newCategories', {
+    count: m.categories.added
+  })), t('import.merge.keep')), /*#__PURE__*/React.createElement(ImportModeOption, {
+    id: "replace",
+    mode: mode,
+    setMode: setMode,
+    title: t('import.replace'),
+    danger: true
+  }, t('import.replace.body', {
+    drinks: t('common.drinks', {
+      count: preview.current.drinks
+    }),
+    categories: t('common.categories', {
+      count: preview.current.categories
+    })
+  }))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '12px 18px calc(22px + env(safe-area-inset-bottom))',
+      borderTop: `1px solid ${T.rule}`,
+      display: 'flex',
+      gap: 10
+    }
+  }, /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: close,
+    style: {
+      flex: 1,
+      padding: '14px',
+      textAlign: 'center',
+      borderRadius: 12,
+      background: T.surface2,
+      color: T.ink2,
+      ...type(13),
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      fontFamily: 'inherit'
+    }
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: busy ? undefined : run,
+    disabled: busy,
+    style: {
+      flex: 2,
+      padding: '14px',
+      textAlign: 'center',
+      borderRadius: 12,
+      background: mode === 'replace' ? T.dangerBtn : T.accent,
+      color: mode === 'replace' ? T.dangerBtnInk : T.accentInk,
+      ...type(13, {
+        weight: 600
+      }),
+      cursor: busy ? 'wait' : 'pointer',
+      opacity: busy ? 0.5 : 1,
+      border: 'none',
+      fontFamily: 'inherit'
+    }
+  }, busy ? t('import.busy') : t(mode === 'merge' ? 'import.merge' : 'import.replace')))));
+}
+
+// ── Import CSV : correspondance des colonnes + validation à blanc ──
+// Le rapport se recalcule à chaque changement de correspondance ; rien n'est
+// écrit avant « Importer ». Les lignes valides sont FUSIONNÉES (mode 'merge'
+// de importData) : un même fichier réimporté ne crée pas de doublons.
+const CSV_FIELD_LABELS = {
+  date: 'drink.date',
+  time: 'shared.time',
+  name: 'drink.name',
+  category: 'shared.category',
+  quantity: 'drink.quantity',
+  unit: 'shared.unit',
+  cl: 'csv.field.cl',
+  abv: 'csv.field.abv',
+  price: 'drink.price',
+  rating: 'shared.rating',
+  place: 'shared.location'
+};
+function CsvImportSheet({
+  pending,
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const {
+    fileName,
+    parsed
+  } = pending;
+  const [mapping, setMapping] = React.useState(() => guessCsvMapping(parsed.headers));
+  const [busy, setBusy] = React.useState(false);
+  const report = React.useMemo(() => csvRowsToDrinks(parsed.rows, mapping), [parsed, mapping]);
+  const badLines = new Set(report.errors.map(e => e.line)).size;
+  const run = async () => {
+    setBusy(true);
+    try {
+      const r = await window.dbManager.importData(csvImportPayload(report), {
+        mode: 'merge'
+      });
+      window.dataBus && window.dataBus.bump();
+      Toast.show(t('csv.imported', {
+        added: t('import.added', {
+          count: r.drinks.added
+        }),
+        skipped: t('import.present', {
+          count: r.drinks.skipped
+        })
+      }));
+      close();
+    } catch (e) {
+      Toast.show(t('import.error'));
+      setBusy(false);
+    }
+  };
+  return /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: t('settings.importCsv')
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '85dvh',
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
+      color: T.ink
+    }
+  }, t('settings.importCsv')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginTop: 6,
+      wordBreak: 'break-word'
+    }
+  }, fileName, " \xB7 ", t('journal.rows', {
+    count: parsed.rows.length
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      overflow: 'auto',
+      padding: '14px 22px'
+    }
+  }, /*#__PURE__*/React.createElement(SettingsGroup, {
+    label: t('csv.columns')
+  }, CSV_FIELDS.filter(f => f.key !== 'grams' && f.key !== 'std').map((f, i, list) => /*#__PURE__*/React.createElement("label", {
+    key: f.key,
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: 10,
+      padding: '8px 14px',
+      borderBottom: i === list.length - 1 ? 'none' : `1px solid ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink,
+      ...type(13)
+    }
+  }, t(CSV_FIELD_LABELS[f.key])), /*#__PURE__*/React.createElement("select", {
+    value: mapping[f.key],
+    "aria-label": t('csv.columnAria', {
+      field: t(CSV_FIELD_LABELS[f.key])
+    }),
+    onChange: e => setMapping(m => ({
+      ...m,
+      [f.key]: Number(e.target.value)
+    })),
+    style: {
+      maxWidth: '55%',
+      padding: '6px 8px',
+      borderRadius: 8,
+      background: T.surface2,
+      color: T.ink,
+      border: `1px solid ${T.rule}`,
+      ...type(12),
+      fontFamily: 'inherit'
+    }
+  }, /*#__PURE__*/React.createElement("option", {
+    value: -1
+  }, t('csv.ignored')), parsed.headers.map((h, idx) => /*#__PURE__*/React.createElement("option", {
+    key: idx,
+    value: idx
+  }, h || t('csv.column', {
+    n: idx + 1
+  }))))))), /*#__PURE__*/React.createElement(SettingsGroup, {
+    label: t('csv.check')
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '12px 14px'
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink,
+      ...type(13.5)
+    }
+  }, t('csv.valid', {
+    count: report.drinks.length
+  }), badLines > 0 && /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.accent2
+    }
+  }, " \xB7 ", t('csv.skippedRows', {
+    count: badLines
+  }))), report.errors.slice(0, 8).map((e, i) => /*#__PURE__*/React.createElement("div", {
+    key: i,
+    style: {
+      color: T.ink2,
+      ...type(12),
+      marginTop: 4
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      fontFamily: fontNum,
+      color: T.muted
+    }
+  }, t('csv.line', {
+    line: e.line
+  })), " \xB7 ", e.reason)), report.errors.length > 8 && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(11.5),
+      marginTop: 4
+    }
+  }, t('csv.moreErrors', {
+    count: report.errors.length - 8
+  }))))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '12px 18px calc(22px + env(safe-area-inset-bottom))',
+      borderTop: `1px solid ${T.rule}`,
+      display: 'flex',
+      gap: 10
+    }
+  }, /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: close,
+    style: {
+      flex: 1,
+      padding: '14px',
+      textAlign: 'center',
+      borderRadius: 12,
+      background: T.surface2,
+      color: T.ink2,
+      ...type(13),
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      fontFamily: 'inherit'
+    }
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: busy || !report.drinks.length ? undefined : run,
+    disabled: busy || !report.drinks.length,
+    style: {
+      flex: 2,
+      padding: '14px',
+      textAlign: 'center',
+      borderRadius: 12,
+      background: T.accent,
+      color: T.accentInk,
+      ...type(13, {
+        weight: 600
+      }),
+      cursor: busy ? 'wait' : 'pointer',
+      opacity: busy || !report.drinks.length ? 0.5 : 1,
+      border: 'none',
+      fontFamily: 'inherit'
+    }
+  }, busy ? t('import.busy') : t('csv.run', {
+    drinks: t('common.drinks', {
+      count: report.drinks.length
+    })
+  })))));
+}
+
+// ── Phrase de passe (export chiffré, clé de récupération) ──
+// `confirm` : saisie en double + longueur minimale (création d'un fichier).
+// `onSubmit(passphrase)` est attendu : s'il lève (phrase fausse, fichier
+// altéré), le message s'affiche dans la sheet qui reste ouverte.
+const PASSPHRASE_MIN = 8;
+function PassphraseSheet({
+  request,
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const [value, setValue] = React.useState('');
+  const [again, setAgain] = React.useState('');
+  const [error, setError] = React.useState(null);
+  const [busy, setBusy] = React.useState(false);
+  const {
+    title,
+    sub,
+    confirm,
+    submitLabel,
+    onSubmit
+  } = request;
+  const submit = async ev => {
+    ev.preventDefault();
+    if (busy) return;
+    if (confirm && value.length < PASSPHRASE_MIN) {
+      setError(t('passphrase.tooShort', {
+        count: PASSPHRASE_MIN
+      }));
+      return;
+    }
+    if (confirm && value !== again) {
+      setError(t('passphrase.mismatch'));
+      return;
+    }
+    if (!value) {
+      setError(t('passphrase.required'));
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      await onSubmit(value);
+      close();
+    } catch (e) {
+      setError(errorText(e));
+      setBusy(false);
+    }
+  };
+  return /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: title
+  }, /*#__PURE__*/React.createElement("form", {
+    onSubmit: submit,
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      margin: 0,
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
+      color: T.ink
+    }
+  }, title), sub && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginTop: 6
+    }
+  }, sub))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '16px 22px 4px'
+    }
+  }, /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('passphrase.field')
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "password",
+    value: value,
+    autoFocus: true,
+    autoComplete: confirm ? 'new-password' : 'current-password',
+    "aria-label": t('passphrase.field'),
+    onChange: e => {
+      setValue(e.target.value);
+      setError(null);
+    },
+    style: inputBaseStyle()
+  })), confirm && /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('passphrase.confirm')
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "password",
+    value: again,
+    autoComplete: "new-password",
+    "aria-label": t('passphrase.confirmAria'),
+    onChange: e => {
+      setAgain(e.target.value);
+      setError(null);
+    },
+    style: inputBaseStyle()
+  })), confirm && /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink2,
+      ...type(12),
+      marginBottom: 12
+    }
+  }, t('passphrase.warning')), error && /*#__PURE__*/React.createElement("div", {
+    role: "alert",
+    style: {
+      color: T.accent2,
+      ...type(12.5, {
+        weight: 600
+      }),
+      marginBottom: 12
+    }
+  }, error)), /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '12px 18px calc(22px + env(safe-area-inset-bottom))',
+      borderTop: `1px solid ${T.rule}`,
+      display: 'flex',
+      gap: 10
+    }
+  }, /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: close,
+    style: {
+      flex: 1,
+      padding: '14px',
+      textAlign: 'center',
+      borderRadius: 12,
+      background: T.surface2,
+      color: T.ink2,
+      ...type(13),
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      fontFamily: 'inherit'
+    }
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
+    type: "submit",
+    disabled: busy,
+    style: {
+      flex: 2,
+      padding: '14px',
+      textAlign: 'center',
+      borderRadius: 12,
+      background: T.accent,
+      color: T.accentInk,
+      ...type(13, {
+        weight: 600
+      }),
+      cursor: busy ? 'wait' : 'pointer',
+      opacity: busy ? 0.5 : 1,
+      border: 'none',
+      fontFamily: 'inherit'
+    }
+  }, busy ? '…' : submitLabel))));
+}
+
+// ── Settings drawer ────────────────────────────────────────────────
+function SettingsDrawer({
+  open,
+  onClose
+}) {
+  const settings = useSettings();
+  useLocale();
+  const ratings = useRatings();
+  const fileInputRef = React.useRef(null);
+  const csvInputRef = React.useRef(null);
+  // Read the running SW's reported version so the footer always
+  // matches the cache actually shipping. Falls back to "—" when no
+  // SW is registered (browser preview, file://).
+  const swVersion = useSWVersion();
+  // Fermeture animée (le tiroir repart vers la gauche) — ré-armée à l'ouverture.
+  const [closing, close, cancelClose] = useSheetClose(onClose, open);
+  const [backupsOpen, setBackupsOpen] = React.useState(false);
+  const [journalOpen, setJournalOpen] = React.useState(false);
+  const [unitsOpen, setUnitsOpen] = React.useState(false);
+  const [catalogOpen, setCatalogOpen] = React.useState(false);
+  const [importPending, setImportPending] = React.useState(null);
+  const [csvPending, setCsvPending] = React.useState(null);
+  const [passphraseReq, setPassphraseReq] = React.useState(null);
+  if (!open) return null;
+  const today = () => new Date().toISOString().slice(0, 10);
+  const onExport = async () => {
+    try {
+      const json = await window.dbManager.exportData({
+        annotate: exportAnnotations
+      });
+      downloadFile(json, `alconote-${today()}.json`, 'application/json');
+      await markOffsiteBackup();
+      Toast.show(t('settings.exported'));
+    } catch (e) {
+      Toast.show(t('settings.exportError'));
+    }
+  };
+  const onExportEncrypted = () => setPassphraseReq({
+    title: t('settings.encrypted.title'),
+    confirm: true,
+    submitLabel: t('settings.encrypted.submit'),
+    sub: t('settings.encrypted.sub', {
+      ext: ENCRYPTED_EXPORT_EXT
+    }),
+    onSubmit: async passphrase => {
+      const data = await window.dbManager.exportData({
+        passphrase,
+        annotate: exportAnnotations
+      });
+      downloadFile(data, `alconote-${today()}${ENCRYPTED_EXPORT_EXT}`, 'application/octet-stream');
+      await markOffsiteBackup();
+      Toast.show(t('settings.encrypted.done'));
+    }
+  });
+
+  // BOM UTF-8 en tête : sans lui, Excel lit le fichier en Latin-1 (accents cassés).
+  const onExportCsv = async () => {
+    try {
+      const drinks = await window.dbManager.getAllDrinks();
+      downloadFile('\uFEFF' + drinksToCsv(drinks, ratings), `alconote-${today()}.csv`, 'text/csv;charset=utf-8');
+      Toast.show(t('settings.csvExported'));
+    } catch (e) {
+      Toast.show(t('settings.exportError'));
+    }
+  };
+  const onImportCsv = () => csvInputRef.current && csvInputRef.current.click();
+  const onCsvFile = async ev => {
+    const f = ev.target.files && ev.target.files[0];
+    if (!f) return;
+    try {
+      const parsed = parseCsv(await f.text());
+      if (!parsed.headers.length) throw new Error(t('csv.empty'));
+      setCsvPending({
+        fileName: f.name,
+        parsed
+      });
+    } catch (e) {
+      Toast.show(t('csv.unreadable'));
+    }
+    ev.target.value = '';
+  };
+  const onImport = () => fileInputRef.current && fileInputRef.current.click();
+  const onFile = async ev => {
+    const f = ev.target.files && ev.target.files[0];
+    if (!f) return;
+    try {
+      const text = await f.text();
+      const fileName = f.name;
+      if (isEncryptedEnvelope(text)) {
+        // Déchiffré pour l'aperçu ; la phrase suit jusqu'à importData.
+        setPassphraseReq({
+          title: t('settings.decrypt.title'),
+          sub: fileName,
+          submitLabel: t('settings.decrypt.submit'),
+          onSubmit: async passphrase => {
+            const preview = await window.dbManager.previewImport(text, {
+              passphrase
+            });
+            setImportPending({
+              text,
+              preview,
+              fileName,
+              passphrase
+            });
+          }
+        });
+      } else {
+        const preview = await window.dbManager.previewImport(text);
+        setImportPending({
+          text,
+          preview,
+          fileName
+        });
+      }
+    } catch (e) {
+      // Message précis du validateur (table[ligne].champ : raison).
+      Toast.show(errorText(e, 'import.invalid'));
+    }
+    ev.target.value = '';
+  };
+  const onClear = async () => {
+    const ok = await Confirm.ask({
+      title: t('settings.clear.title'),
+      message: t('settings.clear.message'),
+      confirmText: t('settings.clear'),
+      danger: true
+    });
+    if (!ok) return;
+    try {
+      await clearAllData();
+      Toast.show(t('settings.clear.done'));
+      close();
+    } catch (e) {
+      Toast.show(t('settings.clear.error'));
+    }
+  };
+
+  // La matière du tiroir est TRANSLUCIDE : elle doit vivre sur l'élément que
+  // SheetOverlay transforme (`sheetClassName`), jamais sur un enfant. Sous un
+  // ancêtre promu, WebKit n'a plus de fond à échantillonner et le flou s'éteint
+  // dès la fin de l'animation d'entrée (« le translucide se retire après une
+  // seconde »). La liste défilante cesse aussi d'être imbriquée sous une
+  // seconde couche filtrée — son défilement redevient composé.
+  // Les sheets ouvertes depuis le tiroir (Sauvegardes, phrase de passe — y
+  // compris celle que demande SharingSection) sont montées À CÔTÉ de lui, pas
+  // dedans : sous l'élément transformé, leur `position: fixed` serait
+  // confinée à la largeur du tiroir.
+  return /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    side: "left",
+    label: t('settings.title'),
+    sheetClassName: "alco-material-panel alco-material-edge"
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      width: 'min(360px, 100vw)',
+      height: '100%',
+      borderRight: `1px solid ${T.rule}`,
+      display: 'flex',
+      flexDirection: 'column',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: 'calc(36px + env(safe-area-inset-top)) 20px 18px',
+      borderBottom: `1px solid ${T.rule}`,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between'
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...TYPE.display,
+      color: T.ink
+    }
+  }, t('settings.title')), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: close,
+    "aria-label": t('settings.close'),
+    style: {
+      width: 32,
+      height: 32,
+      borderRadius: 99,
+      background: T.surface2,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink2,
+      cursor: 'pointer',
+      border: 'none',
+      padding: 0,
+      fontFamily: 'inherit',
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.close,
+    size: 14
+  }))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      overflow: 'auto',
+      padding: '14px 20px'
+    }
+  }, /*#__PURE__*/React.createElement(SettingsGroup, {
+    label: t('settings.appearance')
+  }, /*#__PURE__*/React.createElement(ThemePicker, null), /*#__PURE__*/React.createElement(LanguagePicker, null), getLocale() !== DEFAULT_LOCALE && /*#__PURE__*/React.createElement(ToggleRow, {
+    label: t('settings.bacTranslate'),
+    sub: t('settings.bacTranslate.sub'),
+    on: bacTranslationEnabled(),
+    onToggle: () => setBacTranslation(!bacTranslationEnabled())
+  }), /*#__PURE__*/React.createElement(HapticsRow, {
     last: true
   })), /*#__PURE__*/React.createElement(SettingsGroup, {
-    label: "Donn\xE9es"
+    label: t('settings.profile')
+  }, /*#__PURE__*/React.createElement(ProfileRow, {
+    label: t('settings.weight'),
+    numeric: true,
+    min: 30,
+    max: 200,
+    step: 0.5,
+    value: settings.userWeight != null ? String(settings.userWeight) : '',
+    onSave: v => {
+      const n = parseDecimal(v);
+      saveSetting('userWeight', v && !isNaN(n) ? n : null);
+    }
+  }), /*#__PURE__*/React.createElement(GenderPicker, {
+    value: settings.userGender || '',
+    onChange: v => saveSetting('userGender', v || null)
+  }), /*#__PURE__*/React.createElement(BacModelPicker, {
+    value: settings.bacModel || 'widmark',
+    onChange: v => saveSetting('bacModel', v),
+    last: !(BAC_MODELS[settings.bacModel] || BAC_MODELS.widmark).needs.length
+  }), (BAC_MODELS[settings.bacModel] || BAC_MODELS.widmark).needs.includes('age') && /*#__PURE__*/React.createElement(ProfileRow, {
+    label: t('settings.age'),
+    numeric: true,
+    min: 14,
+    max: 120,
+    step: 1,
+    value: settings.userAge != null ? String(settings.userAge) : '',
+    onSave: v => {
+      const n = parseDecimal(v);
+      saveSetting('userAge', v && !isNaN(n) ? n : null);
+    }
+  }), (BAC_MODELS[settings.bacModel] || BAC_MODELS.widmark).needs.includes('height') && /*#__PURE__*/React.createElement(ProfileRow, {
+    label: t('settings.height'),
+    numeric: true,
+    min: 100,
+    max: 250,
+    step: 1,
+    last: true,
+    value: settings.userHeight != null ? String(settings.userHeight) : '',
+    onSave: v => {
+      const n = parseDecimal(v);
+      saveSetting('userHeight', v && !isNaN(n) ? n : null);
+    }
+  })), /*#__PURE__*/React.createElement(DrivingSection, null), /*#__PURE__*/React.createElement(StandardDrinkSection, null), /*#__PURE__*/React.createElement(NotificationsSection, null), /*#__PURE__*/React.createElement(SettingsGroup, {
+    label: t('settings.data')
   }, /*#__PURE__*/React.createElement(SettingRow, {
-    label: "Exporter",
+    label: t('settings.units'),
+    icon: Ic.layers,
+    onClick: () => setUnitsOpen(true)
+  }), /*#__PURE__*/React.createElement(SettingRow, {
+    label: t('settings.catalog'),
+    icon: Ic.scan,
+    onClick: () => setCatalogOpen(true)
+  }), /*#__PURE__*/React.createElement(SettingRow, {
+    label: t('settings.export'),
     icon: Ic.download,
     onClick: onExport
   }), /*#__PURE__*/React.createElement(SettingRow, {
-    label: "Importer",
+    label: t('settings.exportEncrypted'),
+    icon: Ic.download,
+    onClick: onExportEncrypted
+  }), /*#__PURE__*/React.createElement(SettingRow, {
+    label: t('settings.import'),
     icon: Ic.upload,
     onClick: onImport
   }), /*#__PURE__*/React.createElement(SettingRow, {
-    label: "Tout effacer",
+    label: t('settings.exportCsv'),
+    icon: Ic.download,
+    onClick: onExportCsv
+  }), /*#__PURE__*/React.createElement(SettingRow, {
+    label: t('settings.importCsv'),
+    icon: Ic.upload,
+    onClick: onImportCsv
+  }), /*#__PURE__*/React.createElement(SettingRow, {
+    label: t('settings.backups'),
+    icon: Ic.clockArrow,
+    onClick: () => setBackupsOpen(true)
+  }), /*#__PURE__*/React.createElement(SettingRow, {
+    label: t('settings.journal'),
+    icon: Ic.refresh,
+    onClick: () => setJournalOpen(true)
+  }), /*#__PURE__*/React.createElement(SettingRow, {
+    label: t('settings.clear'),
     danger: true,
     onClick: onClear,
     last: true
-  })), /*#__PURE__*/React.createElement(SharingSection, null), /*#__PURE__*/React.createElement("input", {
+  })), /*#__PURE__*/React.createElement(OffsiteBackupSection, {
+    askPassphrase: setPassphraseReq
+  }), /*#__PURE__*/React.createElement(SharingSection, {
+    askPassphrase: setPassphraseReq
+  }), /*#__PURE__*/React.createElement("input", {
     ref: fileInputRef,
     type: "file",
-    accept: ".json,application/json",
+    accept: `.json,${ENCRYPTED_EXPORT_EXT},application/json`,
+    "aria-label": t('settings.importFileAria'),
+    style: {
+      display: 'none'
+    },
+    onChange: onFile
+  }), /*#__PURE__*/React.createElement("input", {
+    ref: csvInputRef,
+    type: "file",
+    accept: ".csv,text/csv",
+    "aria-label": t('settings.importCsvAria'),
     style: {
       display: 'none'
     },
-    onChange: onFile
+    onChange: onCsvFile
   }), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
@@ -2269,7 +3837,24 @@ function SettingsDrawer({
       textAlign: 'center',
       padding: '24px 0'
     }
-  }, "AlcoNote \xB7 ", swVersion || '—'))));
+  }, "AlcoNote \xB7 ", swVersion || '—')))), backupsOpen && /*#__PURE__*/React.createElement(BackupsSheet, {
+    onClose: () => setBackupsOpen(false)
+  }), journalOpen && /*#__PURE__*/React.createElement(JournalSheet, {
+    onClose: () => setJournalOpen(false)
+  }), unitsOpen && /*#__PURE__*/React.createElement(UnitsSheet, {
+    onClose: () => setUnitsOpen(false)
+  }), catalogOpen && /*#__PURE__*/React.createElement(CatalogSheet, {
+    onClose: () => setCatalogOpen(false)
+  }), importPending && /*#__PURE__*/React.createElement(ImportSheet, {
+    pending: importPending,
+    onClose: () => setImportPending(null)
+  }), csvPending && /*#__PURE__*/React.createElement(CsvImportSheet, {
+    pending: csvPending,
+    onClose: () => setCsvPending(null)
+  }), passphraseReq && /*#__PURE__*/React.createElement(PassphraseSheet, {
+    request: passphraseReq,
+    onClose: () => setPassphraseReq(null)
+  }));
 }
 function ThemePicker() {
   useTheme();
@@ -2280,8 +3865,8 @@ function ThemePicker() {
       gap: 0
     },
     role: "radiogroup",
-    "aria-label": "Th\xE8me"
-  }, [['light', 'Clair', Ic.sun], ['dark', 'Sombre', Ic.moon]].map(([id, label, icon], i) => /*#__PURE__*/React.createElement("button", {
+    "aria-label": t('settings.theme')
+  }, [['light', t('settings.theme.light'), Ic.sun], ['dark', t('settings.theme.dark'), Ic.moon]].map(([id, label, icon], i) => /*#__PURE__*/React.createElement("button", {
     key: id,
     type: "button",
     role: "radio",
@@ -2312,6 +3897,44 @@ function ThemePicker() {
     size: 15
   }), label)));
 }
+
+// Choix de la langue (réglage `language`, cf. i18n.jsx › applyLocale).
+function LanguagePicker() {
+  const current = useLocale();
+  const ids = Object.keys(LOCALES);
+  return /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 0,
+      borderTop: `1px solid ${T.rule}`
+    },
+    role: "radiogroup",
+    "aria-label": t('settings.language')
+  }, ids.map((id, i) => /*#__PURE__*/React.createElement("button", {
+    key: id,
+    type: "button",
+    role: "radio",
+    "aria-checked": current === id,
+    lang: id,
+    onClick: () => applyLocale(id),
+    style: {
+      flex: 1,
+      padding: '14px 0',
+      textAlign: 'center',
+      ...type(13, {
+        weight: current === id ? 600 : 400
+      }),
+      cursor: 'pointer',
+      background: current === id ? T.accentSoft : 'transparent',
+      color: current === id ? T.accent : T.ink2,
+      borderTop: 'none',
+      borderLeft: 'none',
+      borderBottom: 'none',
+      borderRight: i < ids.length - 1 ? `1px solid ${T.rule}` : 'none',
+      fontFamily: 'inherit'
+    }
+  }, LOCALES[id].label)));
+}
 function ProfileRow({
   label,
   value,
@@ -2402,9 +4025,9 @@ function GenderPicker({
       fontSize: remSize(13.5),
       letterSpacing: tracking(13.5)
     }
-  }, "Sexe"), /*#__PURE__*/React.createElement("div", {
+  }, t('settings.gender')), /*#__PURE__*/React.createElement("div", {
     role: "radiogroup",
-    "aria-label": "Sexe",
+    "aria-label": t('settings.gender'),
     style: {
       display: 'flex',
       gap: 4,
@@ -2413,7 +4036,7 @@ function GenderPicker({
       borderRadius: 10,
       border: `1px solid ${T.rule}`
     }
-  }, [['', '—'], ['male', 'Homme'], ['female', 'Femme']].map(([k, label]) => /*#__PURE__*/React.createElement("button", {
+  }, [['', '—'], ['male', t('settings.gender.male')], ['female', t('settings.gender.female')]].map(([k, label]) => /*#__PURE__*/React.createElement("button", {
     key: k || 'none',
     type: "button",
     role: "radio",
@@ -2435,6 +4058,279 @@ function GenderPicker({
     }
   }, label))));
 }
+
+// Modèle d'alcoolémie (stats.jsx › BAC_MODELS). Watson et Forrest
+// demandent en plus l'âge et/ou la taille, saisis juste en dessous.
+function BacModelPicker({
+  value,
+  onChange,
+  last
+}) {
+  return /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: '10px 14px',
+      borderBottom: last ? 'none' : `1px solid ${T.rule}`,
+      gap: 10
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink,
+      ...type(13.5)
+    }
+  }, t('settings.bacModel')), /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('settings.bacModel'),
+    style: {
+      display: 'flex',
+      gap: 4,
+      padding: 3,
+      background: T.surface2,
+      borderRadius: 10,
+      border: `1px solid ${T.rule}`
+    }
+  }, Object.values(BAC_MODELS).map(m => /*#__PURE__*/React.createElement("button", {
+    key: m.id,
+    type: "button",
+    role: "radio",
+    "aria-checked": value === m.id,
+    onClick: () => onChange(m.id),
+    style: {
+      padding: '6px 8px',
+      borderRadius: 7,
+      textAlign: 'center',
+      ...type(11, {
+        weight: value === m.id ? 600 : 400
+      }),
+      cursor: 'pointer',
+      background: value === m.id ? T.ink : 'transparent',
+      color: value === m.id ? T.bg : T.ink2,
+      border: 'none',
+      fontFamily: 'inherit'
+    }
+  }, m.label))));
+}
+
+// Profil de conduite (seuil légal) + unité d'affichage du BAC. Réglage
+// de l'appareil (shared.jsx › applyBacDisplay) : s'applique aussi aux
+// vues d'amis. Le seuil personnalisé se saisit dans l'unité affichée.
+function DrivingSection() {
+  const display = useBacDisplay();
+  const unit = display.unit;
+  const unitIds = Object.keys(BAC_UNITS);
+  const limitText = mgL => `${fmtBac(mgL, unit)} ${bacUnitLabel(unit)}`;
+  return /*#__PURE__*/React.createElement(SettingsGroup, {
+    label: t('settings.driving')
+  }, /*#__PURE__*/React.createElement("label", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: 10,
+      padding: '10px 14px',
+      borderBottom: `1px solid ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink,
+      ...type(13.5)
+    }
+  }, t('settings.drivingProfile')), /*#__PURE__*/React.createElement("select", {
+    value: display.profile,
+    "aria-label": t('settings.drivingProfile'),
+    onChange: e => applyBacDisplay({
+      profile: e.target.value
+    }),
+    style: {
+      maxWidth: '60%',
+      padding: '6px 8px',
+      borderRadius: 8,
+      background: T.surface2,
+      color: T.ink,
+      border: `1px solid ${T.rule}`,
+      ...type(12),
+      fontFamily: 'inherit'
+    }
+  }, BAC_PROFILES.map(p => /*#__PURE__*/React.createElement("option", {
+    key: p.id,
+    value: p.id
+  }, p.limit != null ? `${t(`bacProfile.${p.id}`)} · ${limitText(p.limit)}` : t(`bacProfile.${p.id}`))))), display.profile === 'custom' && /*#__PURE__*/React.createElement(ProfileRow, {
+    label: `${t('settings.customLimit')} (${bacUnitLabel(unit)})`,
+    numeric: true,
+    min: 0,
+    value: fmtBac(display.customLimit, unit),
+    onSave: v => {
+      const mgL = bacFromUnit(v, unit);
+      if (Number.isFinite(mgL)) applyBacDisplay({
+        customLimit: mgL
+      });
+    }
+  }), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: '10px 14px',
+      gap: 10
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink,
+      ...type(13.5)
+    }
+  }, t('settings.bacUnit')), /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('settings.bacUnit'),
+    style: {
+      display: 'flex',
+      gap: 4,
+      padding: 3,
+      background: T.surface2,
+      borderRadius: 10,
+      border: `1px solid ${T.rule}`
+    }
+  }, unitIds.map(id => /*#__PURE__*/React.createElement("button", {
+    key: id,
+    type: "button",
+    role: "radio",
+    "aria-checked": unit === id,
+    onClick: () => applyBacDisplay({
+      unit: id
+    }),
+    style: {
+      padding: '6px 8px',
+      borderRadius: 7,
+      textAlign: 'center',
+      whiteSpace: 'nowrap',
+      ...type(11, {
+        weight: unit === id ? 600 : 400
+      }),
+      cursor: 'pointer',
+      background: unit === id ? T.ink : 'transparent',
+      color: unit === id ? T.bg : T.ink2,
+      border: 'none',
+      fontFamily: 'inherit'
+    }
+  }, BAC_UNITS[id].label)))));
+}
+
+// Taille du verre standard (shared.jsx › STANDARD_DRINKS) : unité des
+// colonnes « verres std » des Stats, de l'aperçu d'ajout et des exports.
+function StandardDrinkSection() {
+  const sd = useStandardDrink();
+  return /*#__PURE__*/React.createElement(SettingsGroup, {
+    label: t('settings.stdDrink')
+  }, /*#__PURE__*/React.createElement("label", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: 10,
+      padding: '10px 14px'
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink,
+      ...type(13.5)
+    }
+  }, t('settings.stdDrink')), /*#__PURE__*/React.createElement("select", {
+    value: sd.id,
+    "aria-label": t('settings.stdDrink'),
+    onChange: e => applyStandardDrink(e.target.value),
+    style: {
+      maxWidth: '60%',
+      padding: '6px 8px',
+      borderRadius: 8,
+      background: T.surface2,
+      color: T.ink,
+      border: `1px solid ${T.rule}`,
+      ...type(12),
+      fontFamily: 'inherit'
+    }
+  }, STANDARD_DRINKS.map(s => /*#__PURE__*/React.createElement("option", {
+    key: s.id,
+    value: s.id
+  }, `${t(`stdDrink.${s.id}`)} · ${fmtNumber(s.grams, 2)} g`)))));
+}
+
+// Alertes d'alcoolémie (stats.jsx › BacNotifier). Le setting
+// `notifications` ne suffit pas : la permission du navigateur se demande
+// au geste d'activation. Heures calmes : 23:00 → 07:00 par défaut.
+const QUIET_DEFAULT = {
+  start: '23:00',
+  end: '07:00'
+};
+function NotificationsSection() {
+  const settings = useSettings();
+  const [perm, setPerm] = React.useState(() => notificationPermission());
+  const quiet = quietHoursFromSettings(settings);
+  const quietOn = !!(quiet.start && quiet.end);
+  const on = settings.notifications === true && perm === 'granted';
+  const onToggle = async () => {
+    if (on) {
+      await saveSetting('notifications', false);
+      return;
+    }
+    const next = await requestNotificationPermission();
+    setPerm(next);
+    if (next === 'granted') await saveSetting('notifications', true);else Toast.show(t('notify.denied'));
+  };
+  const onToggleQuiet = async () => {
+    await saveSetting('notify.quietStart', quietOn ? null : QUIET_DEFAULT.start);
+    await saveSetting('notify.quietEnd', quietOn ? null : QUIET_DEFAULT.end);
+  };
+  const timeRow = (key, label, value, last) => /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: 10,
+      padding: '8px 14px',
+      borderBottom: last ? 'none' : `1px solid ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink,
+      ...type(13.5)
+    }
+  }, label), /*#__PURE__*/React.createElement("div", {
+    style: {
+      width: 120
+    }
+  }, /*#__PURE__*/React.createElement(TimeField, {
+    value: value,
+    ariaLabel: `${t('notify.quiet')} · ${label}`,
+    onChange: v => saveSetting(key, v)
+  })));
+  if (perm === 'unsupported') {
+    return /*#__PURE__*/React.createElement(SettingsGroup, {
+      label: t('notify.title')
+    }, /*#__PURE__*/React.createElement("div", {
+      style: {
+        padding: '12px 14px',
+        color: T.muted,
+        ...type(11)
+      }
+    }, t('notify.unsupported')));
+  }
+  return /*#__PURE__*/React.createElement(SettingsGroup, {
+    label: t('notify.title')
+  }, /*#__PURE__*/React.createElement(ToggleRow, {
+    label: t('notify.bac'),
+    sub: perm === 'denied' ? t('notify.denied') : t('notify.bac.sub'),
+    on: on,
+    onToggle: onToggle,
+    last: !on
+  }), on && /*#__PURE__*/React.createElement(ToggleRow, {
+    label: t('notify.quiet'),
+    sub: t('notify.quiet.sub'),
+    on: quietOn,
+    onToggle: onToggleQuiet,
+    last: !quietOn
+  }), on && quietOn && timeRow('notify.quietStart', t('notify.quietStart'), quiet.start), on && quietOn && timeRow('notify.quietEnd', t('notify.quietEnd'), quiet.end, true));
+}
 function SettingsGroup({
   label,
   children
@@ -2507,7 +4403,7 @@ function HapticsRow({
       color: T.ink,
       ...type(13.5)
     }
-  }, "Retour haptique"), /*#__PURE__*/React.createElement("span", {
+  }, t('settings.haptics')), /*#__PURE__*/React.createElement("span", {
     "aria-hidden": "true",
     style: {
       width: 40,
@@ -2587,6 +4483,141 @@ function SettingRow({
     color: T.muted
   }));
 }
+// Section « Export automatique » du tiroir Paramètres (cf. data.jsx ›
+// maybeScheduledExport). Sans File System Access API, pas de dossier : le
+// rappel au lancement propose un téléchargement.
+const OFFSITE_OPTIONS = [[null, 'offsite.off'], ['daily', 'offsite.daily'], ['weekly', 'offsite.weekly']];
+function OffsiteBackupSection({
+  askPassphrase
+}) {
+  const settings = useSettings();
+  const interval = settings['offsite.interval'] || null;
+  const lastAt = Number(settings['offsite.lastAt']) || 0;
+  const encrypted = !!settings['offsite.encrypted'];
+  const overdue = offsiteBackupOverdue(settings);
+  const folderApi = supportsFolderExport();
+  const [folder, setFolder] = React.useState(null);
+  React.useEffect(() => {
+    let cancelled = false;
+    if (folderApi) getOffsiteFolder().then(h => {
+      if (!cancelled) setFolder(h ? h.name : null);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [folderApi]);
+  const onPickFolder = async () => {
+    try {
+      setFolder(await chooseOffsiteFolder());
+    } catch (e) {
+      if (e && e.name !== 'AbortError') Toast.show(t('offsite.folderError'));
+    }
+  };
+  const onToggleEncrypted = () => {
+    if (encrypted) {
+      setOffsiteEncryption(null);
+      return;
+    }
+    askPassphrase({
+      title: t('offsite.encrypt.title'),
+      confirm: true,
+      submitLabel: t('offsite.encrypt.submit'),
+      sub: t('offsite.encrypt.files', {
+        ext: ENCRYPTED_EXPORT_EXT
+      }),
+      onSubmit: async passphrase => {
+        await setOffsiteEncryption(passphrase);
+        Toast.show(t('offsite.encrypt.done'));
+      }
+    });
+  };
+  const onRunNow = async () => {
+    try {
+      const where = await runOffsiteExportNow();
+      Toast.show(folder ? t('offsite.writtenTo', {
+        path: where
+      }) : t('offsite.exported'));
+    } catch (e) {
+      Toast.show(errorText(e, 'settings.exportError'));
+    }
+  };
+  return /*#__PURE__*/React.createElement(SettingsGroup, {
+    label: t('offsite.title')
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 0,
+      borderBottom: `1px solid ${T.rule}`
+    },
+    role: "radiogroup",
+    "aria-label": t('offsite.frequency')
+  }, OFFSITE_OPTIONS.map(([id, label], i) => /*#__PURE__*/React.createElement("button", {
+    key: label,
+    type: "button",
+    role: "radio",
+    "aria-checked": interval === id,
+    onClick: () => saveSetting('offsite.interval', id),
+    style: {
+      flex: 1,
+      padding: '12px 0',
+      textAlign: 'center',
+      ...type(13, {
+        weight: interval === id ? 600 : 400
+      }),
+      cursor: 'pointer',
+      background: interval === id ? T.accentSoft : 'transparent',
+      color: interval === id ? T.accent : T.ink2,
+      borderTop: 'none',
+      borderLeft: 'none',
+      borderBottom: 'none',
+      borderRight: i < OFFSITE_OPTIONS.length - 1 ? `1px solid ${T.rule}` : 'none',
+      fontFamily: 'inherit'
+    }
+  }, t(label)))), interval && (folderApi ? /*#__PURE__*/React.createElement(SettingRow, {
+    label: t('offsite.folder'),
+    value: folder || t('offsite.chooseFolder'),
+    onClick: onPickFolder
+  }) : /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '10px 14px',
+      borderBottom: `1px solid ${T.rule}`,
+      color: T.muted,
+      ...type(11)
+    }
+  }, t('offsite.noFolderApi'))), interval && /*#__PURE__*/React.createElement(ToggleRow, {
+    label: t('offsite.encrypt'),
+    sub: t('offsite.encrypt.sub'),
+    on: encrypted,
+    onToggle: onToggleEncrypted
+  }), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: 10,
+      padding: '12px 14px',
+      borderBottom: `1px solid ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink,
+      ...type(13.5)
+    }
+  }, t('offsite.last')), /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: overdue ? T.accent2 : T.muted,
+      ...type(12.5, {
+        weight: overdue ? 600 : 400
+      })
+    }
+  }, lastAt ? fmtBackupDate(lastAt) : t('offsite.never'), overdue ? t('offsite.overdue') : '')), /*#__PURE__*/React.createElement(SettingRow, {
+    label: t('offsite.runNow'),
+    icon: Ic.download,
+    onClick: onRunNow,
+    last: true
+  }));
+}
+
 // Interrupteur (switch) DA pour les options de partage.
 function ToggleRow({
   label,
@@ -2656,16 +4687,18 @@ function ToggleRow({
 }
 
 // Section « Partage entre amis » du tiroir Paramètres.
-function SharingSection() {
+function SharingSection({
+  askPassphrase
+}) {
   const s = useShare();
   const recoveryRef = React.useRef(null);
   if (!s.available) return null;
   const onToggleEnabled = async () => {
     if (!s.enabled) {
       const ok = await Confirm.ask({
-        title: 'Activer le partage entre amis ?',
-        message: "Tes boissons (sans localisation) et tes notes seront partagées avec les membres de ton groupe, qui pourront voir tes statistiques. Désactivable à tout moment.",
-        confirmText: 'Activer'
+        title: t('share.enable.title'),
+        message: t('share.enable.message'),
+        confirmText: t('share.enable.confirm')
       });
       if (!ok) return;
     }
@@ -2674,9 +4707,9 @@ function SharingSection() {
   const onToggleBac = async () => {
     if (!s.shareBac) {
       const ok = await Confirm.ask({
-        title: 'Partager ton alcoolémie ?',
-        message: "Pour estimer ton taux d'alcoolémie en direct chez tes amis, ton poids et ton sexe seront partagés avec ton groupe.",
-        confirmText: 'Partager'
+        title: t('share.bac.title'),
+        message: t('share.bac.message'),
+        confirmText: t('share.bac.confirm')
       });
       if (!ok) return;
     }
@@ -2685,22 +4718,22 @@ function SharingSection() {
   const onCreate = async () => {
     try {
       await shareEngine.createGroup();
-      Toast.show('Groupe créé');
+      Toast.show(t('friends.created'));
     } catch (e) {
       Toast.show(shareErrorMessage(e));
     }
   };
   const onLeave = async () => {
     const ok = await Confirm.ask({
-      title: 'Quitter le groupe ?',
-      message: 'Tes données partagées seront retirées et tu ne verras plus celles des autres membres.',
-      confirmText: 'Quitter',
+      title: t('friends.leave.title'),
+      message: t('share.leave.message'),
+      confirmText: t('friends.leave.confirm'),
       danger: true
     });
     if (!ok) return;
     try {
       await shareEngine.leaveGroup();
-      Toast.show('Groupe quitté');
+      Toast.show(t('friends.left'));
     } catch (e) {
       Toast.show(shareErrorMessage(e));
     }
@@ -2709,89 +4742,100 @@ function SharingSection() {
     if (!s.inviteCode) return;
     try {
       await navigator.clipboard.writeText(s.inviteCode);
-      Toast.show('Code copié');
+      Toast.show(t('share.codeCopied'));
     } catch (e) {
       Toast.show(s.inviteCode);
     }
   };
-  const onExportKey = async () => {
-    try {
-      const blob = await shareEngine.exportRecovery();
-      const b = new Blob([JSON.stringify(blob)], {
-        type: 'application/json'
-      });
-      const url = URL.createObjectURL(b);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'alconote-cle-recup.json';
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
-      Toast.show('Clé de récupération exportée');
-    } catch (e) {
-      Toast.show('Erreur');
-    }
-  };
+  // La clé contient la session du compte : toujours chiffrée.
+  const onExportKey = () => askPassphrase({
+    title: t('share.recoveryKey'),
+    confirm: true,
+    submitLabel: t('settings.encrypted.submit'),
+    sub: t('share.recoveryKey.sub'),
+    onSubmit: async passphrase => {
+      const data = await shareEngine.exportRecoveryFile(passphrase);
+      downloadFile(data, `alconote-cle-recup${ENCRYPTED_EXPORT_EXT}`, 'application/octet-stream');
+      Toast.show(t('share.recoveryKey.exported'));
+    }
+  });
   const onImportKey = () => recoveryRef.current && recoveryRef.current.click();
+  const restoreKey = async (text, passphrase) => {
+    await shareEngine.importRecoveryFile(text, passphrase);
+    Toast.show(t('share.recoveryKey.restored'));
+  };
   const onKeyFile = async ev => {
     const f = ev.target.files && ev.target.files[0];
     if (!f) return;
     try {
-      await shareEngine.importRecovery(JSON.parse(await f.text()));
-      Toast.show('Identité restaurée');
+      const text = await f.text();
+      if (isEncryptedEnvelope(text)) {
+        askPassphrase({
+          title: t('share.recoveryKey'),
+          sub: f.name,
+          submitLabel: t('backups.restore.confirm'),
+          onSubmit: passphrase => restoreKey(text, passphrase)
+        });
+      } else {
+        await restoreKey(text); // ancien fichier en clair
+      }
     } catch (e) {
-      Toast.show('Clé invalide');
+      Toast.show(t('share.recoveryKey.invalid'));
     }
     ev.target.value = '';
   };
   const memberCount = (s.members || []).filter(m => m.userId !== s.userId).length;
   return /*#__PURE__*/React.createElement(SettingsGroup, {
-    label: "Partage entre amis"
+    label: t('share.title')
   }, /*#__PURE__*/React.createElement(ToggleRow, {
-    label: "Activer le partage",
-    sub: "Boissons (sans lieu) + notes",
+    label: t('share.enable'),
+    sub: t('share.enable.sub'),
     on: s.enabled,
     onToggle: onToggleEnabled,
     last: !s.enabled
   }), s.enabled && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(ProfileRow, {
-    label: "Pseudo",
+    label: t('share.nickname'),
     value: s.displayName || '',
     onSave: v => shareEngine.setDisplayName(v)
   }), /*#__PURE__*/React.createElement(ToggleRow, {
-    label: "Partager mon alcool\xE9mie",
-    sub: "Partage poids + sexe (mod\xE8le Widmark)",
+    label: t('share.bac'),
+    sub: t('share.bac.sub'),
     on: s.shareBac,
     onToggle: onToggleBac
+  }), /*#__PURE__*/React.createElement(ToggleRow, {
+    label: t('share.catalog'),
+    sub: t('share.catalog.sub'),
+    on: s.shareCatalog,
+    onToggle: () => shareEngine.setShareCatalog(!s.shareCatalog)
   }), !s.groupId ? /*#__PURE__*/React.createElement(SettingRow, {
-    label: "Cr\xE9er un groupe",
+    label: t('share.createGroup'),
     icon: Ic.users,
     onClick: onCreate,
     last: true
   }) : /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(SettingRow, {
-    label: "Code d'invitation",
+    label: t('share.inviteCode'),
     value: s.inviteCode || '—',
     onClick: onCopyCode
   }), /*#__PURE__*/React.createElement(SettingRow, {
-    label: "Membres",
+    label: t('share.members'),
     value: String(memberCount)
   }), /*#__PURE__*/React.createElement(SettingRow, {
-    label: "Exporter la cl\xE9 de r\xE9cup.",
+    label: t('share.exportKey'),
     icon: Ic.download,
     onClick: onExportKey
   }), /*#__PURE__*/React.createElement(SettingRow, {
-    label: "Restaurer une identit\xE9",
+    label: t('share.restoreKey'),
     icon: Ic.upload,
     onClick: onImportKey
   }), /*#__PURE__*/React.createElement(SettingRow, {
-    label: "Quitter le groupe",
+    label: t('share.leave'),
     danger: true,
     onClick: onLeave,
     last: true
   }))), /*#__PURE__*/React.createElement("input", {
     ref: recoveryRef,
     type: "file",
-    accept: ".json,application/json",
+    accept: `.json,${ENCRYPTED_EXPORT_EXT},application/json`,
     style: {
       display: 'none'
     },
@@ -2808,10 +4852,15 @@ Object.assign(window, {
   ImpactStat,
   FactCell,
   ThemePicker,
+  LanguagePicker,
   ProfileRow,
   GenderPicker,
+  BacModelPicker,
+  DrivingSection,
+  StandardDrinkSection,
   SettingsGroup,
   SettingRow,
   ToggleRow,
-  SharingSection
+  SharingSection,
+  OffsiteBackupSection
 });
\ No newline at end of file
@@ -0,0 +1,303 @@
+/* AUTO-GENERATED from proto/qr.jsx — do not edit by hand. */
+// qr.jsx — Encodeur QR minimal (mode octet, correction M, versions 1 à 6)
+// et son rendu SVG. Sert aux codes d'invitation de groupe, que le scanner
+// relit (cf. ScannerSheet mode="invite") : quelques dizaines d'octets au
+// plus, d'où l'absence de bibliothèque et des versions ≥ 7 (bloc de version).
+
+// Par version (correction M) : octets de correction par bloc, nombre de
+// blocs, octets de données par bloc (tous les blocs ont la même taille
+// jusqu'à la version 6) et position du motif d'alignement.
+const QR_VERSIONS_M = [null, {
+  ec: 10,
+  blocks: 1,
+  data: 16,
+  align: null
+}, {
+  ec: 16,
+  blocks: 1,
+  data: 28,
+  align: 18
+}, {
+  ec: 26,
+  blocks: 1,
+  data: 44,
+  align: 22
+}, {
+  ec: 18,
+  blocks: 2,
+  data: 32,
+  align: 26
+}, {
+  ec: 24,
+  blocks: 2,
+  data: 43,
+  align: 30
+}, {
+  ec: 16,
+  blocks: 4,
+  data: 27,
+  align: 34
+}];
+
+// ── Reed-Solomon sur GF(256), polynôme primitif 0x11D ─────────────────
+function _gfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = z << 1 ^ (z >>> 7) * 0x11D;
+    z ^= (y >>> i & 1) * x;
+  }
+  return z;
+}
+function _rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = _gfMul(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = _gfMul(root, 0x02);
+  }
+  return result;
+}
+
+// Octets de correction d'un bloc (reste de la division polynomiale).
+function qrErrorCorrection(data, degree) {
+  const divisor = _rsDivisor(degree);
+  const result = new Array(degree).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    for (let i = 0; i < degree; i++) result[i] ^= _gfMul(divisor[i], factor);
+  }
+  return result;
+}
+
+// 15 bits d'information de format : niveau M (00) + masque, BCH(15,5).
+function qrFormatBits(mask) {
+  const data = mask & 7;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = rem << 1 ^ (rem >>> 9) * 0x537;
+  return (data << 10 | rem) ^ 0x5412;
+}
+
+// Flux de données : mode octet (0100), longueur sur 8 bits, octets UTF-8,
+// terminateur, bourrage 0xEC / 0x11, puis blocs + correction entrelacés.
+function _qrCodewords(bytes, spec) {
+  const capacity = spec.data * spec.blocks;
+  const bits = [];
+  const push = (value, len) => {
+    for (let i = len - 1; i >= 0; i--) bits.push(value >>> i & 1);
+  };
+  push(0b0100, 4);
+  push(bytes.length, 8);
+  bytes.forEach(b => push(b, 8));
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  while (bits.length % 8) bits.push(0);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((acc, b) => acc << 1 | b, 0));
+  for (let pad = 0xEC; data.length < capacity; pad ^= 0xEC ^ 0x11) data.push(pad);
+  const blocks = [];
+  for (let b = 0; b < spec.blocks; b++) {
+    const chunk = data.slice(b * spec.data, (b + 1) * spec.data);
+    blocks.push({
+      data: chunk,
+      ec: qrErrorCorrection(chunk, spec.ec)
+    });
+  }
+  const out = [];
+  for (let i = 0; i < spec.data; i++) blocks.forEach(bl => out.push(bl.data[i]));
+  for (let i = 0; i < spec.ec; i++) blocks.forEach(bl => out.push(bl.ec[i]));
+  return out;
+}
+const QR_MASKS = [(x, y) => (x + y) % 2 === 0, (x, y) => y % 2 === 0, (x, y) => x % 3 === 0, (x, y) => (x + y) % 3 === 0, (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0, (x, y) => x * y % 2 + x * y % 3 === 0, (x, y) => (x * y % 2 + x * y % 3) % 2 === 0, (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0];
+
+// Motifs fixes (repères, séparateurs, synchronisation, alignement, module
+// sombre) ; `fn` marque les modules réservés, zones de format comprises.
+function _qrBase(version) {
+  const size = 17 + version * 4;
+  const modules = Array.from({
+    length: size
+  }, () => new Array(size).fill(false));
+  const fn = Array.from({
+    length: size
+  }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    if (x < 0 || y < 0 || x >= size || y >= size) return;
+    modules[y][x] = dark;
+    fn[y][x] = true;
+  };
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const d = Math.max(Math.abs(dx), Math.abs(dy));
+        set(cx + dx, cy + dy, d !== 2 && d !== 4);
+      }
+    }
+  });
+  const align = QR_VERSIONS_M[version].align;
+  if (align) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(align + dx, align + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }
+  _qrDrawFormat(modules, fn, 0);
+  return {
+    size,
+    modules,
+    fn
+  };
+}
+function _qrDrawFormat(modules, fn, mask) {
+  const size = modules.length;
+  const bits = qrFormatBits(mask);
+  const bit = i => (bits >>> i & 1) === 1;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    fn[y][x] = true;
+  };
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+// Placement en zigzag, colonnes de deux modules, de bas à droite.
+function _qrPlace(modules, fn, codewords) {
+  const size = modules.length;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = (right + 1 & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!fn[y][x] && i < codewords.length * 8) {
+          modules[y][x] = (codewords[i >>> 3] >>> 7 - (i & 7) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+// Pénalités de la norme (séries, carrés 2×2, faux repères, équilibre).
+function _qrPenalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  const lines = [];
+  for (let y = 0; y < size; y++) lines.push(modules[y]);
+  for (let x = 0; x < size; x++) lines.push(modules.map(row => row[x]));
+  const finderLike = ['10111010000', '00001011101'];
+  lines.forEach(line => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+        continue;
+      }
+      if (run >= 5) score += run - 2;
+      run = 1;
+    }
+    const str = line.map(d => d ? '1' : '0').join('');
+    finderLike.forEach(p => {
+      for (let at = str.indexOf(p); at !== -1; at = str.indexOf(p, at + 1)) score += 40;
+    });
+  });
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (modules[y][x + 1] === c && modules[y + 1][x] === c && modules[y + 1][x + 1] === c) score += 3;
+      }
+    }
+  }
+  score += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+  return score;
+}
+
+/**
+ * Encode `text` en QR (correction M) : plus petite version qui le contient,
+ * masque de moindre pénalité. Renvoie { version, mask, size, modules } où
+ * modules[y][x] est vrai pour un module sombre.
+ */
+function qrEncode(text) {
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+  const version = QR_VERSIONS_M.findIndex(v => v && v.data * v.blocks - 2 >= bytes.length);
+  if (version < 1) throw new Error(t('qr.tooLong'));
+  const spec = QR_VERSIONS_M[version];
+  const base = _qrBase(version);
+  _qrPlace(base.modules, base.fn, _qrCodewords(bytes, spec));
+  let best = null;
+  QR_MASKS.forEach((fnMask, mask) => {
+    const modules = base.modules.map((row, y) => row.map((dark, x) => base.fn[y][x] ? dark : dark !== fnMask(x, y)));
+    _qrDrawFormat(modules, base.fn.map(r => r.slice()), mask);
+    const penalty = _qrPenalty(modules);
+    if (!best || penalty < best.penalty) best = {
+      mask,
+      modules,
+      penalty
+    };
+  });
+  return {
+    version,
+    mask: best.mask,
+    size: base.size,
+    modules: best.modules
+  };
+}
+
+// Rendu SVG. Toujours sombre sur clair, marge de 4 modules : délibérément
+// hors thème — un QR clair sur fond sombre n'est pas lu par tous les scanners.
+const QR_DARK = '#000';
+const QR_LIGHT = '#fff';
+function QrCode({
+  text,
+  size = 200,
+  label
+}) {
+  const qr = React.useMemo(() => qrEncode(text), [text]);
+  const quiet = 4;
+  const n = qr.size + quiet * 2;
+  let d = '';
+  qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) d += `M${x + quiet} ${y + quiet}h1v1h-1z`;
+  }));
+  return /*#__PURE__*/React.createElement("svg", {
+    viewBox: `0 0 ${n} ${n}`,
+    width: size,
+    height: size,
+    role: "img",
+    "aria-label": label || text,
+    shapeRendering: "crispEdges",
+    style: {
+      display: 'block',
+      borderRadius: 12
+    }
+  }, /*#__PURE__*/React.createElement("rect", {
+    width: n,
+    height: n,
+    fill: QR_LIGHT
+  }), /*#__PURE__*/React.createElement("path", {
+    d: d,
+    fill: QR_DARK
+  }));
+}
+Object.assign(window, {
+  qrEncode,
+  qrErrorCorrection,
+  qrFormatBits,
+  QrCode
+});
\ No newline at end of file
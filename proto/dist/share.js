@@ -54,6 +54,19 @@ function _inviteCode() {
   return s.slice(0, 4) + '-' + s.slice(4);
 }
 
+// QR d'invitation : préfixe AlcoNote + code (cf. QrCode, qr.jsx). Au scan,
+// on accepte aussi le code nu ; tout autre QR est refusé (null).
+const INVITE_QR_PREFIX = 'ALCONOTE:';
+const INVITE_CODE_RE = /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/;
+function inviteQrPayload(code) {
+  return INVITE_QR_PREFIX + String(code || '').trim().toUpperCase();
+}
+function parseInviteQr(text) {
+  let raw = String(text || '').trim().toUpperCase();
+  if (raw.startsWith(INVITE_QR_PREFIX)) raw = raw.slice(INVITE_QR_PREFIX.length).trim();
+  return INVITE_CODE_RE.test(raw) ? raw : null;
+}
+
 // Instant absolu (epoch ms) depuis la date/heure murale locale d'une boisson.
 function tsFromDateTime(date, time) {
   const t = new Date(`${date}T${time || '00:00'}`).getTime();
@@ -69,12 +82,14 @@ const shareState = {
   displayName: '',
   enabled: false,
   shareBac: false,
+  shareCatalog: false,
+  // publie le code-barres des boissons (catalogue du groupe)
   groupId: null,
   inviteCode: null,
   creatorId: null,
   // créateur du groupe (groups.created_by) | null = inconnu → tout membre peut retirer
   members: [],
-  // [{ userId, displayName, shareBac, bacWeight, bacGender }]
+  // [{ userId, displayName, shareBac, bacWeight, bacGender, bacModel, bacAge, bacHeight }]
   favoriteId: null,
   // userId de l'ami favori (pastille verte du header) | null
   lastPullAt: 0,
@@ -98,16 +113,16 @@ function shareErrorMessage(e) {
   } catch (_) {}
   const msg = String(e && (e.message || e.error_description || e.error) || e || '').toLowerCase();
   const code = (e && (e.code || e.status)) != null ? String(e.code || e.status) : '';
-  if (/anonymous|signups? not allowed|sign-?ins? are disabled/.test(msg)) return "Active « Anonymous sign-ins » dans Supabase (Auth › Providers)";
-  if (/could not find the function|function .*does not exist|pgrst202|schema cache/.test(msg) || code === '404') return "Exécute supabase/schema.sql dans Supabase (SQL Editor)";
-  if (/permission denied|must be owner|insufficient privilege/.test(msg) || code === '42501') return "Droits manquants : ré-exécute supabase/schema.sql (GRANT/RLS)";
-  if (/violates row-level security|new row violates/.test(msg) || code === '42501') return "RLS : ré-exécute supabase/schema.sql (policies)";
-  if (/relation .*does not exist|undefined table|pgrst205|column .*does not exist|pgrst204/.test(msg) || code === '42p01' || code === '42703') return "Tables/colonnes manquantes : ré-exécute supabase/schema.sql";
-  if (/sdk supabase|chargement sdk/.test(msg)) return "SDK Supabase injoignable (vérifie ta connexion / CSP)";
-  if (/failed to fetch|networkerror|network request failed|load failed/.test(msg)) return "Réseau indisponible — réessaie";
-  if (/invalid api key|jwt|apikey|401/.test(msg) || code === '401') return "Clé Supabase invalide (vérifie share-config.js)";
-  if (/invalid invite|invite/.test(msg)) return "Code d'invitation invalide";
-  return "Échec partage — voir la console (F12) pour le détail";
+  if (/anonymous|signups? not allowed|sign-?ins? are disabled/.test(msg)) return t('share.error.anonymous');
+  if (/could not find the function|function .*does not exist|pgrst202|schema cache/.test(msg) || code === '404') return t('share.error.schema');
+  if (/permission denied|must be owner|insufficient privilege/.test(msg) || code === '42501') return t('share.error.grants');
+  if (/violates row-level security|new row violates/.test(msg) || code === '42501') return t('share.error.rls');
+  if (/relation .*does not exist|undefined table|pgrst205|column .*does not exist|pgrst204/.test(msg) || code === '42p01' || code === '42703') return t('share.error.tables');
+  if (/sdk supabase|chargement sdk/.test(msg)) return t('share.error.sdk');
+  if (/failed to fetch|networkerror|network request failed|load failed/.test(msg)) return t('share.error.network');
+  if (/invalid api key|jwt|apikey|401/.test(msg) || code === '401') return t('share.error.apiKey');
+  if (/invalid invite|invite/.test(msg)) return t('share.error.invite');
+  return t('share.error.generic');
 }
 
 // ── helpers DB settings (écriture directe, sans bump global 'settings') ────
@@ -152,7 +167,8 @@ async function _ratingsMap(db) {
   return flat;
 }
 
-// Boisson locale → enregistrement partagé minimisé (sans GPS / barcode).
+// Boisson locale → enregistrement partagé minimisé (sans GPS ; code-barres
+// seulement si l'utilisateur partage son catalogue).
 function localDrinkToShared(d, rating) {
   return {
     uid: d.uid,
@@ -168,6 +184,20 @@ function localDrinkToShared(d, rating) {
     alcoholContent: d.alcoholContent || 0,
     category: d.category || 'Autre',
     rating: rating || 0,
+    // État d'estomac (BAC_FOOD_STATES) : le BAC d'un ami se calcule sur le
+    // même modèle que ses propres stats. null = à jeun.
+    food: d.food || null,
+    // Contenant partagé : seule la durée de consommation compte pour le BAC
+    // (quantity est déjà la part de l'auteur).
+    shared: d.shared && d.shared.windowMin ? {
+      windowMin: d.shared.windowMin
+    } : null,
+    // Catalogue du groupe, sur option seulement : les scans des amis
+    // retrouvent la fiche telle que je l'ai corrigée (cf.
+    // ProductLookup._getFromGroupCatalog). Sinon la clé est absente.
+    ...(shareState.shareCatalog && d.barcode ? {
+      barcode: String(d.barcode)
+    } : {}),
     // Watermark d'ENVOI, jamais le updatedAt du drink : au re-join, la
     // republication du back-catalog doit dépasser le cursor `updated_at`
     // des autres membres — des timestamps anciens la rendraient invisible
@@ -235,13 +265,19 @@ function MockShareTransport() {
         displayName: 'Léa',
         shareBac: true,
         bacWeight: 62,
-        bacGender: 'female'
+        bacGender: 'female',
+        bacModel: null,
+        bacAge: null,
+        bacHeight: null
       }, {
         userId: 'mock-tom',
         displayName: 'Tom',
         shareBac: false,
         bacWeight: null,
-        bacGender: null
+        bacGender: null,
+        bacModel: null,
+        bacAge: null,
+        bacHeight: null
       }],
       drinks: [...lea, ...tom],
       mine: [],
@@ -355,7 +391,10 @@ function MockShareTransport() {
         displayName: shareState.displayName || '',
         shareBac: !!shareState.shareBac,
         bacWeight: null,
-        bacGender: null
+        bacGender: null,
+        bacModel: null,
+        bacAge: null,
+        bacHeight: null
       }];
       const members = [...srv.members, ...selfRow];
       return {
@@ -444,6 +483,9 @@ function SupabaseShareTransport(cfg) {
         share_bac: p.shareBac,
         bac_weight: p.shareBac ? p.bacWeight : null,
         bac_gender: p.shareBac ? p.bacGender : null,
+        bac_model: p.shareBac ? p.bacModel : null,
+        bac_age: p.shareBac ? p.bacAge : null,
+        bac_height: p.shareBac ? p.bacHeight : null,
         updated_at: Date.now()
       }, {
         onConflict: 'user_id,group_id'
@@ -513,6 +555,9 @@ function SupabaseShareTransport(cfg) {
         alcohol_content: r.alcoholContent,
         category: r.category,
         rating: r.rating,
+        food: r.food || null,
+        spread_min: r.shared && r.shared.windowMin || null,
+        barcode: r.barcode || null,
         updated_at: r.updatedAt,
         deleted: false
       }));
@@ -541,7 +586,7 @@ function SupabaseShareTransport(cfg) {
       // Méta (profils + membres + créateur) une seule fois par pull : la
       // boucle de drainage multi-pages repasse ici avec withMeta=false et
       // n'interroge alors QUE les boissons (sobriété données mobiles).
-      const metaQueries = withMeta ? [sb.from('shared_profiles').select('user_id, display_name, share_bac, bac_weight, bac_gender').eq('group_id', gid), sb.from('group_members').select('user_id, display_name').eq('group_id', gid), sb.from('groups').select('created_by').eq('id', gid).maybeSingle()] : [];
+      const metaQueries = withMeta ? [sb.from('shared_profiles').select('user_id, display_name, share_bac, bac_weight, bac_gender, bac_model, bac_age, bac_height').eq('group_id', gid), sb.from('group_members').select('user_id, display_name').eq('group_id', gid), sb.from('groups').select('created_by').eq('id', gid).maybeSingle()] : [];
       const [d, p, m, g] = await Promise.all([sb.from('shared_drinks').select('*').eq('group_id', gid).gt('updated_at', cursor || 0).order('updated_at', {
         ascending: true
       }).limit(1000), ...metaQueries]);
@@ -567,6 +612,11 @@ function SupabaseShareTransport(cfg) {
         alcoholContent: r.alcohol_content,
         category: r.category,
         rating: r.rating,
+        food: r.food || null,
+        shared: r.spread_min ? {
+          windowMin: r.spread_min
+        } : null,
+        barcode: r.barcode || null,
         updatedAt: r.updated_at,
         deleted: !!r.deleted
       }));
@@ -584,7 +634,10 @@ function SupabaseShareTransport(cfg) {
           displayName: pr.display_name || mm.display_name || '',
           shareBac: !!pr.share_bac,
           bacWeight: pr.bac_weight,
-          bacGender: pr.bac_gender
+          bacGender: pr.bac_gender,
+          bacModel: pr.bac_model || null,
+          bacAge: pr.bac_age,
+          bacHeight: pr.bac_height
         };
       }) : null;
       // uid de la session locale (aucun appel réseau) : garde-fou du moteur
@@ -807,7 +860,7 @@ async function pull(attempt) {
       if (me && authUserId === me && !memberIds.has(me)) {
         await _resetGroupLocal();
         try {
-          if (typeof Toast !== 'undefined' && Toast.show) Toast.show('Tu ne fais plus partie du groupe');
+          if (typeof Toast !== 'undefined' && Toast.show) Toast.show(t('share.removed'));
         } catch (e) {}
         _pulling = false;
         shareState.syncing = false;
@@ -957,7 +1010,10 @@ async function publishMyProfile() {
       shareEnabled: shareState.enabled,
       shareBac: shareState.shareBac,
       bacWeight: shareState.shareBac ? Number(settings.userWeight) || null : null,
-      bacGender: shareState.shareBac ? settings.userGender || null : null
+      bacGender: shareState.shareBac ? settings.userGender || null : null,
+      bacModel: shareState.shareBac ? settings.bacModel || null : null,
+      bacAge: shareState.shareBac ? Number(settings.userAge) || null : null,
+      bacHeight: shareState.shareBac ? Number(settings.userHeight) || null : null
     });
   } catch (e) {
     // best-effort, mais on trace : un échec ici = pseudo/BAC non publiés
@@ -1029,6 +1085,16 @@ const shareEngine = {
     _emit();
     publishMyProfile();
   },
+  // Republie tout l'historique (index vidé) pour ajouter ou retirer le
+  // code-barres des enregistrements déjà envoyés.
+  async setShareCatalog(on) {
+    shareState.shareCatalog = !!on;
+    await _sset('share.shareCatalog', shareState.shareCatalog);
+    _emit();
+    if (!shareState.enabled || !shareState.groupId) return;
+    await _savePubIndex({});
+    await reconcile();
+  },
   // Favori = préférence PUREMENT LOCALE (rien n'est publié au groupe). Bascule
   // l'ami `userId` en favori (ou le retire si déjà favori). Stocké en setting
   // `share.favoriteId` (null ⇒ la clé est supprimée). La pastille verte du
@@ -1153,9 +1219,25 @@ const shareEngine = {
       startTimer();
       pull();
     }
+  },
+  // Fichier de clé de récupération : la session du transport est un jeton
+  // d'identité, il ne sort JAMAIS en clair (enveloppe chiffrée, cf.
+  // encryptEnvelope dans js/database.js).
+  async exportRecoveryFile(passphrase) {
+    const blob = await this.exportRecovery();
+    return encryptEnvelope(JSON.stringify(blob), passphrase, RECOVERY_PAYLOAD);
+  },
+  // Accepte aussi les anciens fichiers en clair (avant le chiffrement).
+  async importRecoveryFile(text, passphrase) {
+    const clear = isEncryptedEnvelope(text) ? await decryptEnvelope(text, passphrase, RECOVERY_PAYLOAD) : text;
+    await this.importRecovery(JSON.parse(clear));
   }
 };
 
+// Nature du contenu chiffré d'un fichier de récupération (`payload` de
+// l'enveloppe) : distinct d'un export de données.
+const RECOVERY_PAYLOAD = 'alconote-recovery';
+
 // ── Initialisation ────────────────────────────────────────────────────────
 async function initShare() {
   try {
@@ -1165,6 +1247,7 @@ async function initShare() {
     shareState.displayName = (await db.getSetting('share.displayName')) || '';
     shareState.enabled = !!(await db.getSetting('share.enabled'));
     shareState.shareBac = !!(await db.getSetting('share.shareBac'));
+    shareState.shareCatalog = !!(await db.getSetting('share.shareCatalog'));
     shareState.groupId = await db.getSetting('share.groupId');
     shareState.inviteCode = await db.getSetting('share.inviteCode');
     shareState.favoriteId = (await db.getSetting('share.favoriteId')) || null;
@@ -1279,9 +1362,10 @@ function useSharedRatings(authorId) {
 // BAC courant de chaque membre (recalcul local, tick 60 s). null si pas opt-in.
 function useFriendsBac(members) {
   const [map, setMap] = React.useState({});
-  // La clé encode aussi poids/sexe : un ami qui change son profil (republié au
-  // pull) doit recalculer son BAC, pas rester figé sur l'ancienne closure.
-  const key = (members || []).map(m => `${m.userId}:${m.shareBac ? 1 : 0}:${m.bacWeight || ''}:${m.bacGender || ''}`).join(',');
+  // La clé encode aussi le profil BAC (poids, sexe, modèle, âge, taille) : un
+  // ami qui change son profil (republié au pull) doit recalculer son BAC, pas
+  // rester figé sur l'ancienne closure.
+  const key = (members || []).map(m => `${m.userId}:${m.shareBac ? 1 : 0}:${m.bacWeight || ''}:${m.bacGender || ''}` + `:${m.bacModel || ''}:${m.bacAge || ''}:${m.bacHeight || ''}`).join(',');
   React.useEffect(() => {
     // Aucun membre à évaluer (ex. header sans favori) : on évite le timer 60 s
     // et la lecture IndexedDB inutiles, et on repart d'une map vide.
@@ -1302,7 +1386,15 @@ function useFriendsBac(members) {
         }
         const ds = all.filter(r => r.authorId === m.userId && !r.deleted);
         if (typeof computeBacOverTime === 'function') {
-          const info = computeBacOverTime(ds, Number(m.bacWeight) || undefined, m.bacGender || 'male');
+          // Même modèle que ses propres stats : makeBacModel (stats.jsx).
+          const model = makeBacModel({
+            model: m.bacModel,
+            weight: m.bacWeight,
+            gender: m.bacGender,
+            age: m.bacAge,
+            height: m.bacHeight
+          });
+          const info = computeBacOverTime(ds, model);
           out[m.userId] = info.current || 0;
         } else out[m.userId] = 0;
       }
@@ -1333,5 +1425,8 @@ Object.assign(window, {
   useFriendsBac,
   localDrinkToShared,
   tsFromDateTime,
-  shareErrorMessage
+  shareErrorMessage,
+  INVITE_QR_PREFIX,
+  inviteQrPayload,
+  parseInviteQr
 });
\ No newline at end of file
@@ -1287,6 +1287,18 @@ const Ic = {
     cy: "18",
     r: "1.6"
   })),
+  bell: /*#__PURE__*/React.createElement("svg", {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    stroke: "currentColor",
+    strokeWidth: "1.6",
+    strokeLinecap: "round",
+    strokeLinejoin: "round"
+  }, /*#__PURE__*/React.createElement("path", {
+    d: "M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"
+  }), /*#__PURE__*/React.createElement("path", {
+    d: "M13.73 21a2 2 0 0 1-3.46 0"
+  })),
   userMinus: /*#__PURE__*/React.createElement("svg", {
     viewBox: "0 0 24 24",
     fill: "none",
@@ -1460,7 +1472,8 @@ function applyCatHueOverrides(byName) {
 // `show(msg)` prints a transient confirmation. `show(msg, opts)` accepts
 // an `undo` callback rendered as an "Annuler" button — used by every
 // delete path so the user can revert a destructive action without a
-// modal confirmation up front.
+// modal confirmation up front. `opts.action = { label, run }` renders the
+// same button with another label (e.g. the backup reminder's download).
 //
 // Only ONE toast lives at a time: a second `show()` replaces the first
 // and its undo callback is dropped on the floor. Mirrors the legacy
@@ -1491,37 +1504,203 @@ function localTime(d = new Date()) {
   return `${hh}:${mm}`;
 }
 
-// ── Date formatting helpers (French) ──────────────────────────────
-const FR_DAYS_LONG = ['Dimanche', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
-const FR_DAYS_SHORT = ['dim', 'lun', 'mar', 'mer', 'jeu', 'ven', 'sam'];
-const FR_MONTHS_SHORT = ['jan', 'fév', 'mars', 'avr', 'mai', 'juin', 'jul', 'aoû', 'sep', 'oct', 'nov', 'déc'];
-const FR_MONTHS_LONG = ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'];
-const FR_MONTHS_DOTTED = ['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.'];
+// ── Date formatting helpers ───────────────────────────────────────
+// Noms de jours et de mois : catalogues date.* (i18n.jsx), langue courante.
+
 function fmtDateMedium(iso) {
   if (!iso) return '—';
   // `new Date('YYYY-MM-DD')` parse en UTC minuit : dans un fuseau négatif la
   // date rendue recule d'un jour. Découper les champs garde le jour calendaire.
   const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(iso);
   if (m && Number(m[2]) >= 1 && Number(m[2]) <= 12) {
-    return `${Number(m[3])} ${FR_MONTHS_DOTTED[Number(m[2]) - 1]}`;
+    return t('date.medium', {
+      day: Number(m[3]),
+      month: t('date.monthsDotted')[Number(m[2]) - 1]
+    });
   }
   const d = new Date(iso);
   if (isNaN(d.getTime())) return '—';
-  return `${d.getDate()} ${FR_MONTHS_DOTTED[d.getMonth()]}`;
+  return t('date.medium', {
+    day: d.getDate(),
+    month: t('date.monthsDotted')[d.getMonth()]
+  });
 }
 function fmtDayHeader(d) {
-  return `${FR_DAYS_SHORT[d.getDay()]}. ${d.getDate()} ${FR_MONTHS_SHORT[d.getMonth()]}.`;
+  return t('date.dayHeader', {
+    weekday: t('date.daysShort')[d.getDay()],
+    day: d.getDate(),
+    month: t('date.monthsShort')[d.getMonth()]
+  });
+}
+
+// « Lundi 12 mars » (header, période « Jour » des stats).
+function fmtDateLong(d) {
+  return t('date.long', {
+    weekday: t('date.daysLong')[d.getDay()],
+    day: d.getDate(),
+    month: t('date.monthsLong')[d.getMonth()]
+  });
 }
 
-// ── Quantity helpers (cL conversion mirrors the legacy DB layer) ──
-function toCl(qty, unit) {
-  const u = (unit || '').toLowerCase();
-  if (u === 'ecocup') return qty * 25;
-  if (u === 'l') return qty * 100;
-  if (u === 'ml') return qty / 10;
-  return qty;
+// ── Unités de contenant ───────────────────────────────────────────
+// Registre éditable (table `units`, cf. Réglages → Unités) : nom, équivalent
+// en cL, icône (clé de GLYPHS), `hidden` (hors du sélecteur), `builtin`
+// (équivalent figé, non supprimable), `defaultFor` (portion par défaut d'une
+// catégorie au scan). Les boissons portent le NOM de l'unité, comparé sans
+// casse. Copie de la table en localStorage pour le premier rendu, comme le
+// verre standard ; app.jsx l'hydrate depuis la base au démarrage.
+// DEFAULT_UNITS — MUST mirror `SEED_UNITS` (js/database.js).
+const DEFAULT_UNITS = [{
+  name: 'cL',
+  cl: 1,
+  icon: null,
+  hidden: false,
+  builtin: true,
+  defaultFor: null
+}, {
+  name: 'L',
+  cl: 100,
+  icon: null,
+  hidden: false,
+  builtin: true,
+  defaultFor: null
+}, {
+  name: 'EcoCup',
+  cl: 25,
+  icon: 'Pinte',
+  hidden: false,
+  builtin: false,
+  defaultFor: 'Bière'
+}, {
+  name: 'mL',
+  cl: 0.1,
+  icon: null,
+  hidden: true,
+  builtin: true,
+  defaultFor: null
+}];
+// Unités courantes proposées à l'ajout (Réglages → Unités).
+const UNIT_PRESETS = [{
+  name: 'Demi',
+  cl: 25,
+  icon: 'Bière'
+}, {
+  name: 'Pinte',
+  cl: 50,
+  icon: 'Pinte'
+}, {
+  name: 'Pinte UK',
+  cl: 56.8,
+  icon: 'Pinte'
+}, {
+  name: 'Galopin',
+  cl: 12.5,
+  icon: 'Bière'
+}, {
+  name: 'Shot',
+  cl: 4,
+  icon: 'Shot'
+}, {
+  name: 'Magnum',
+  cl: 150,
+  icon: 'Champagne'
+}, {
+  name: 'Fût 5 L',
+  cl: 500,
+  icon: 'Bière'
+}, {
+  name: 'Canette 33',
+  cl: 33,
+  icon: 'Bière'
+}, {
+  name: 'Canette 44',
+  cl: 44,
+  icon: 'Bière'
+}, {
+  name: 'Canette 50',
+  cl: 50,
+  icon: 'Bière'
+}];
+const UNITS_KEY = 'alconote.units';
+let _units = DEFAULT_UNITS;
+
+// Lignes de la table (ou de localStorage) → forme du registre ; une liste
+// vide ou illisible redonne les graines.
+function normalizeUnits(list) {
+  const out = (Array.isArray(list) ? list : []).filter(u => u && String(u.name || '').trim() && Number(u.cl) > 0).map(u => ({
+    ...(u.id != null ? {
+      id: u.id
+    } : {}),
+    name: String(u.name).trim(),
+    cl: Number(u.cl),
+    icon: u.icon || null,
+    hidden: !!u.hidden,
+    builtin: !!u.builtin,
+    defaultFor: u.defaultFor || null
+  }));
+  return out.length ? out : DEFAULT_UNITS;
+}
+function findUnit(name, units = _units) {
+  const key = String(name || '').trim().toLowerCase();
+  return key ? units.find(u => u.name.toLowerCase() === key) || null : null;
+}
+
+// Clé d'unité des familles (data.jsx `familyKey`) : « ecocup » et « EcoCup »
+// désignent la même unité.
+function unitKey(unit) {
+  return String(unit || '').trim().toLowerCase();
+}
+
+// Quantité → cL — MUST mirror `_quantityInCl` (js/database.js) : facteur du
+// registre, unité inconnue = déjà en cL (repli historique). Arrondi au
+// milliardième : 250 mL donne 25 cL, pas 25.000000000000004.
+function toCl(qty, unit, units = _units) {
+  const u = findUnit(unit, units);
+  if (!u || u.cl === 1) return qty;
+  return Math.round(qty * u.cl * 1e9) / 1e9;
+}
+
+// Volume d'une entrée : une unité absente de MON registre (boisson d'un ami
+// saisie dans une unité à lui) se lit sur le quantityInCL stocké, calculé
+// par son appareil.
+function drinkCl(d) {
+  if (!findUnit(d.unit) && Number(d.quantityInCL) > 0) return Number(d.quantityInCL);
+  return toCl(Number(d.quantity) || 0, d.unit);
+}
+window.__unitsListeners = window.__unitsListeners || new Set();
+function getUnits() {
+  return _units;
+}
+function useUnits() {
+  const [, force] = React.useReducer(n => n + 1, 0);
+  React.useEffect(() => {
+    window.__unitsListeners.add(force);
+    return () => window.__unitsListeners.delete(force);
+  }, []);
+  return _units;
 }
 
+// `persist` : recopie en localStorage (la table reste la source — les
+// écritures passent par data.jsx `saveUnit` / `deleteUnit`).
+function applyUnits(list, {
+  persist = true
+} = {}) {
+  _units = normalizeUnits(list);
+  if (persist) {
+    try {
+      localStorage.setItem(UNITS_KEY, JSON.stringify(_units));
+    } catch {}
+  }
+  window.__unitsListeners.forEach(f => f());
+}
+(function initUnits() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(UNITS_KEY) || 'null');
+  } catch {}
+  if (saved) _units = normalizeUnits(saved);
+})();
+
 // ── Alcool pur (grammes d'éthanol) ────────────────────────────────
 // Source unique de la conversion volume → grammes d'alcool pur, partagée par
 // l'add-drink (stat « impact ») et toutes les sections stats/BAC. Évite que la
@@ -1533,17 +1712,16 @@ function ethanolGrams(volCl, abvPct) {
   return volCl * 10 * ((abvPct || 0) / 100) * ETHANOL_DENSITY_G_PER_ML;
 }
 function drinkAlcoholGrams(drink) {
-  return ethanolGrams(toCl(drink.quantity, drink.unit), drink.alcoholContent);
+  return ethanolGrams(drinkCl(drink), drink.alcoholContent);
 }
 
 // Formatage prix (€) — jusqu'à 2 décimales sans zéros inutiles, séparateur
-// virgule (FR) ; null/vide/NaN → « — ». Source unique, réutilisée par les
+// de la langue (virgule en FR, cf. fmtCurrency) ; null/vide/NaN → « — ». Source unique, réutilisée par les
 // feuilles (DrinkDetailSheet) et les stats (section Dépenses).
 function fmtPrice(v) {
   const n = Number(v);
   if (v == null || v === '' || !Number.isFinite(n)) return '—';
-  const s = (Math.round(n * 100) / 100).toString().replace('.', ',');
-  return `${s} €`;
+  return fmtCurrency(Math.round(n * 100) / 100);
 }
 
 // ── Search input ──────────────────────────────────────────────────
@@ -1574,7 +1752,7 @@ function SearchInput({
     value: value || '',
     onChange: e => onChange(e.target.value),
     placeholder: placeholder,
-    "aria-label": placeholder || 'Rechercher',
+    "aria-label": placeholder || t('shared.search'),
     style: {
       flex: 1,
       background: 'transparent',
@@ -1593,7 +1771,7 @@ function SearchInput({
     type: "button",
     className: "alco-press",
     onClick: () => onChange(''),
-    "aria-label": "Effacer la recherche",
+    "aria-label": t('shared.clearSearch'),
     style: {
       ...ghostButton,
       color: T.muted,
@@ -1707,12 +1885,14 @@ function Stars({
       gap: 1
     },
     role: interactive ? 'radiogroup' : undefined,
-    "aria-label": interactive ? 'Note' : undefined
+    "aria-label": interactive ? t('shared.rating') : undefined
   }, cells.map(i => /*#__PURE__*/React.createElement("span", {
     key: i,
     role: interactive ? 'radio' : undefined,
     "aria-checked": interactive ? i === value : undefined,
-    "aria-label": interactive ? `${i} étoile${i > 1 ? 's' : ''}` : undefined,
+    "aria-label": interactive ? t('shared.stars', {
+      count: i
+    }) : undefined,
     onPointerDown: interactive ? handle(i) : undefined,
     onClick: interactive ? handle(i) : undefined,
     style: {
@@ -2181,7 +2361,7 @@ function QuickAddButton({
       touchAction: 'manipulation',
       ...press.style
     },
-    title: "Ajouter \xE0 nouveau",
+    title: t('shared.addAgain'),
     "aria-label": label
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.plus,
@@ -2709,7 +2889,7 @@ function ConfirmHost() {
       }),
       marginBottom: 10
     }
-  }, state.title || 'Confirmer'), /*#__PURE__*/React.createElement("div", {
+  }, state.title || t('common.confirm')), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.ink2,
       ...type(13.5),
@@ -2735,7 +2915,7 @@ function ConfirmHost() {
       cursor: 'pointer',
       touchAction: 'manipulation'
     }
-  }, state.cancelText || 'Annuler'), /*#__PURE__*/React.createElement("button", {
+  }, state.cancelText || t('common.cancel')), /*#__PURE__*/React.createElement("button", {
     className: "alco-press",
     autoFocus: true,
     onClick: () => {
@@ -2757,7 +2937,7 @@ function ConfirmHost() {
       touchAction: 'manipulation',
       boxShadow: `0 4px 18px ${withAlpha(state.danger ? T.dangerBtn : T.accent, state.danger ? 0.5 : 0.4)}`
     }
-  }, state.confirmText || 'Confirmer'))));
+  }, state.confirmText || t('common.confirm')))));
 }
 
 // ── Service-worker version probe ─────────────────────────────────
@@ -3582,6 +3762,61 @@ function usePressScale(opts = {}) {
   };
 }
 
+// Appui long : `onLongPress` part après `delay` ms sans relâcher ni glisser
+// (> 10 px). Le click qui suit le relâchement d'un appui long est alors à
+// avaler : `consumeClick()` renvoie true une seule fois. Sans `onLongPress`,
+// les handlers ne font rien (le menu contextuel natif reste).
+const LONG_PRESS_MS = 500;
+function useLongPress(onLongPress, {
+  delay = LONG_PRESS_MS
+} = {}) {
+  const timer = React.useRef(0);
+  const start = React.useRef(null);
+  const fired = React.useRef(false);
+  const cb = React.useRef(onLongPress);
+  cb.current = onLongPress;
+  const cancel = React.useCallback(() => {
+    clearTimeout(timer.current);
+    timer.current = 0;
+    start.current = null;
+  }, []);
+  React.useEffect(() => cancel, [cancel]);
+  return {
+    handlers: {
+      onPointerDown: e => {
+        fired.current = false;
+        if (!cb.current) return;
+        cancel();
+        start.current = {
+          x: e.clientX,
+          y: e.clientY
+        };
+        timer.current = setTimeout(() => {
+          timer.current = 0;
+          fired.current = true;
+          haptic('commit');
+          cb.current && cb.current();
+        }, delay);
+      },
+      onPointerMove: e => {
+        const s = start.current;
+        if (s && (Math.abs(e.clientX - s.x) > 10 || Math.abs(e.clientY - s.y) > 10)) cancel();
+      },
+      onPointerUp: cancel,
+      onPointerCancel: cancel,
+      onPointerLeave: cancel,
+      onContextMenu: e => {
+        if (cb.current) e.preventDefault();
+      }
+    },
+    consumeClick: () => {
+      if (!fired.current) return false;
+      fired.current = false;
+      return true;
+    }
+  };
+}
+
 // Repli/dépli à hauteur animée via l'astuce grid-template-rows 0fr→1fr
 // (aucune mesure JS). Le contenu est démonté une fois le repli terminé
 // (perf : un jour d'historique replié ne garde pas ses lignes montées).
@@ -3959,7 +4194,7 @@ function TimeWheelSheet({
     closing: closing,
     onCancelClose: cancelClose,
     side: "bottom",
-    label: "Choisir l'heure"
+    label: t('shared.time.pick')
   }, /*#__PURE__*/React.createElement("div", {
     className: "alco-material-sheet alco-material-edge",
     style: {
@@ -3981,7 +4216,7 @@ function TimeWheelSheet({
       }),
       color: T.ink
     }
-  }, "Heure")), /*#__PURE__*/React.createElement("div", {
+  }, t('shared.time'))), /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'flex',
       justifyContent: 'center',
@@ -3993,7 +4228,7 @@ function TimeWheelSheet({
     items: hours,
     value: pad2(h),
     onChange: v => setH(parseInt(v, 10)),
-    ariaLabel: "Heures"
+    ariaLabel: t('shared.time.hours')
   }), /*#__PURE__*/React.createElement("div", {
     style: {
       fontFamily: fontNum,
@@ -4005,7 +4240,7 @@ function TimeWheelSheet({
     items: mins,
     value: pad2(mm),
     onChange: v => setMm(parseInt(v, 10)),
-    ariaLabel: "Minutes"
+    ariaLabel: t('shared.time.minutes')
   })), /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'flex',
@@ -4028,7 +4263,7 @@ function TimeWheelSheet({
       ...TYPE.body,
       touchAction: 'manipulation'
     }
-  }, "Annuler"), /*#__PURE__*/React.createElement("button", {
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
     type: "button",
     className: "alco-press",
     onClick: () => {
@@ -4058,7 +4293,7 @@ function TimeWheelSheet({
 function TimeField({
   value,
   onChange,
-  ariaLabel = 'Heure'
+  ariaLabel = t('shared.time')
 }) {
   const [open, setOpen] = React.useState(false);
   return /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("button", {
@@ -4103,7 +4338,7 @@ function CategoryChips({
   categories,
   value,
   onChange,
-  ariaLabel = 'Catégorie'
+  ariaLabel = t('shared.category')
 }) {
   return /*#__PURE__*/React.createElement("div", {
     role: "radiogroup",
@@ -4140,25 +4375,33 @@ function CategoryChips({
   }));
 }
 
-// Segmented unit toggle (cL / L / EcoCup …).
+// Segmented unit toggle (cL / L / EcoCup …). Par défaut, les unités visibles
+// du registre ; la valeur courante reste affichée même masquée ou inconnue
+// (entrée ancienne, boisson d'un ami). Passe à la ligne au-delà de 4.
 function UnitToggle({
   value,
   onChange,
-  units = ['cL', 'L', 'EcoCup']
+  units
 }) {
+  const registry = useUnits();
+  const list = units || registry.filter(u => !u.hidden).map(u => u.name);
+  const shown = value && !list.some(u => unitKey(u) === unitKey(value)) ? [...list, value] : list;
+  const wrap = shown.length > 4;
   return /*#__PURE__*/React.createElement("div", {
     role: "radiogroup",
-    "aria-label": "Unit\xE9",
+    "aria-label": t('shared.unit'),
     style: {
       display: 'flex',
+      flexWrap: wrap ? 'wrap' : 'nowrap',
       gap: 4,
       padding: 3,
       background: T.surface2,
       borderRadius: 10,
       border: `1px solid ${T.rule}`
     }
-  }, units.map(u => {
-    const on = value === u;
+  }, shown.map(u => {
+    const on = unitKey(value) === unitKey(u);
+    const icon = (findUnit(u, registry) || {}).icon;
     return /*#__PURE__*/React.createElement("button", {
       key: u,
       type: "button",
@@ -4170,7 +4413,7 @@ function UnitToggle({
         onChange(u);
       },
       style: {
-        flex: 1,
+        flex: wrap ? '1 0 22%' : 1,
         padding: '8px 0',
         borderRadius: 7,
         textAlign: 'center',
@@ -4185,7 +4428,17 @@ function UnitToggle({
         border: 'none',
         fontFamily: 'inherit'
       }
-    }, u);
+    }, icon && /*#__PURE__*/React.createElement("span", {
+      "aria-hidden": "true",
+      style: {
+        display: 'inline-flex',
+        verticalAlign: -2,
+        marginRight: 4
+      }
+    }, /*#__PURE__*/React.createElement(CategoryGlyph, {
+      glyph: icon,
+      size: 12
+    })), u);
   }));
 }
 
@@ -4223,7 +4476,7 @@ function RatingField({
       margin: -4,
       touchAction: 'manipulation'
     }
-  }, "Effacer"));
+  }, t('shared.clear')));
 }
 
 // Champ « Lieu » : capture / affiche / retire la position d'une boisson.
@@ -4234,7 +4487,7 @@ function RatingField({
 function LocationField({
   value,
   onChange,
-  ariaLabel = 'Lieu'
+  ariaLabel = t('shared.location')
 }) {
   const [busy, setBusy] = React.useState(false);
   const label = value && (value.label || value.name || value.address);
@@ -4244,9 +4497,9 @@ function LocationField({
     setBusy(true);
     try {
       const loc = await captureLocationForDrink();
-      if (loc) onChange(loc);else Toast.show('Position indisponible');
+      if (loc) onChange(loc);else Toast.show(t('shared.location.unavailable'));
     } catch {
-      Toast.show('Position indisponible');
+      Toast.show(t('shared.location.unavailable'));
     } finally {
       setBusy(false);
     }
@@ -4285,7 +4538,7 @@ function LocationField({
       overflow: 'hidden',
       textOverflow: 'ellipsis'
     }
-  }, busy ? 'Localisation…' : label || (value ? 'Position enregistrée' : 'Non localisé')), acc != null && !busy && /*#__PURE__*/React.createElement("div", {
+  }, busy ? t('shared.location.busy') : label || t(value ? 'shared.location.saved' : 'shared.location.none')), acc != null && !busy && /*#__PURE__*/React.createElement("div", {
     style: {
       fontFamily: fontNum,
       fontSize: remSize(10.5),
@@ -4297,7 +4550,7 @@ function LocationField({
     type: "button",
     className: "alco-press",
     onClick: () => onChange(null),
-    "aria-label": "Retirer le lieu",
+    "aria-label": t('shared.location.remove'),
     style: {
       ...ghostButton,
       color: T.muted,
@@ -4314,7 +4567,7 @@ function LocationField({
     className: "alco-press",
     onClick: locate,
     disabled: busy,
-    "aria-label": value ? 'Mettre à jour le lieu' : 'Localiser',
+    "aria-label": t(value ? 'shared.location.update' : 'shared.location.locate'),
     style: {
       display: 'flex',
       alignItems: 'center',
@@ -4336,31 +4589,327 @@ function LocationField({
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: Ic.crosshair,
     size: 14
-  }), value ? 'Réessayer' : 'Localiser'));
+  }), t(value ? 'shared.location.retry' : 'shared.location.locate')));
+}
+
+// ── Profil de conduite & unité d'affichage du BAC ─────────────────
+// Le moteur calcule TOUJOURS en mg/L de sang ; le profil ne fixe que le
+// seuil légal (cellule « Conduite », zones des charts BAC, pastille du
+// header) et l'unité que l'affichage. Réglage de CET utilisateur, pas de
+// l'ami consulté : il vit hors de SettingsContext (que FriendStatsView
+// surcharge), comme le thème — localStorage pour le premier rendu, setting
+// `bacDisplay` (JSON) pour suivre l'export de données.
+// `limit` en mg/L ; 'custom' lit `customLimit`. Libellés : i18n `bacProfile.<id>`.
+const BAC_PROFILES = [{
+  id: 'fr',
+  limit: 500
+}, {
+  id: 'fr-young',
+  limit: 200
+}, {
+  id: 'be',
+  limit: 500
+}, {
+  id: 'ch',
+  limit: 500
+}, {
+  id: 'de',
+  limit: 500
+}, {
+  id: 'es',
+  limit: 500
+}, {
+  id: 'it',
+  limit: 500
+}, {
+  id: 'uk',
+  limit: 800
+}, {
+  id: 'us',
+  limit: 800
+}, {
+  id: 'se',
+  limit: 200
+}, {
+  id: 'zero',
+  limit: 0
+}, {
+  id: 'custom',
+  limit: null
+}];
+
+// Unités d'affichage. `factor` convertit des mg/L ; le ‰ suit l'usage
+// courant (0,5 ‰ ≙ 0,5 g/L, les seuils légaux s'écrivent ainsi) et le
+// « % BAC » américain est en g/100 mL (0,08 % = 800 mg/L). Forme lue par
+// les lecteurs d'écran : i18n `bacUnit.spoken.<id>`.
+const BAC_UNITS = {
+  mgL: {
+    label: 'mg/L',
+    factor: 1,
+    digits: 0
+  },
+  gL: {
+    label: 'g/L',
+    factor: 0.001,
+    digits: 2
+  },
+  permille: {
+    label: '‰',
+    factor: 0.001,
+    digits: 2
+  },
+  pct: {
+    label: '% BAC',
+    factor: 0.0001,
+    digits: 3
+  }
+};
+const BAC_DISPLAY_KEY = 'alconote.bacDisplay';
+const BAC_CUSTOM_MAX = 2000;
+const BAC_DISPLAY_DEFAULT = Object.freeze({
+  profile: 'fr',
+  customLimit: 500,
+  unit: 'mgL'
+});
+let _bacDisplay = BAC_DISPLAY_DEFAULT;
+
+// Valeur stockée (objet ou JSON, éventuellement partielle / d'une autre
+// version) → réglage complet et valide.
+function normalizeBacDisplay(raw) {
+  let v = raw;
+  if (typeof v === 'string') {
+    try {
+      v = JSON.parse(v);
+    } catch {
+      v = null;
+    }
+  }
+  if (!v || typeof v !== 'object') v = {};
+  const profile = BAC_PROFILES.some(p => p.id === v.profile) ? v.profile : BAC_DISPLAY_DEFAULT.profile;
+  const n = Number(v.customLimit);
+  const customLimit = Number.isFinite(n) && n >= 0 ? Math.min(BAC_CUSTOM_MAX, Math.round(n)) : BAC_DISPLAY_DEFAULT.customLimit;
+  const unit = BAC_UNITS[v.unit] ? v.unit : BAC_DISPLAY_DEFAULT.unit;
+  return {
+    profile,
+    customLimit,
+    unit
+  };
+}
+function getBacDisplay() {
+  return _bacDisplay;
+}
+
+// Seuil légal (mg/L) du profil courant (ou de `display`).
+function bacLegalLimit(display = _bacDisplay) {
+  const p = BAC_PROFILES.find(x => x.id === display.profile);
+  return p && p.limit != null ? p.limit : display.customLimit;
+}
+function bacUnitLabel(unit = _bacDisplay.unit) {
+  return (BAC_UNITS[unit] || BAC_UNITS.mgL).label;
+}
+
+// Unité en toutes lettres, pour les aria-label (« milligrammes par litre »).
+function bacUnitSpoken(unit = _bacDisplay.unit) {
+  return t(`bacUnit.spoken.${BAC_UNITS[unit] ? unit : 'mgL'}`);
+}
+
+// mg/L → texte dans l'unité choisie, sans l'unité. En mg/L la sortie est
+// l'entier arrondi d'avant les profils ("512"), au chiffre près.
+function fmtBac(mgL, unit = _bacDisplay.unit) {
+  const u = BAC_UNITS[unit] || BAC_UNITS.mgL;
+  return fmtNumber(Number(mgL) * u.factor, u.digits);
+}
+
+// Saisie dans l'unité d'affichage → mg/L (NaN si illisible).
+function bacFromUnit(value, unit = _bacDisplay.unit) {
+  const u = BAC_UNITS[unit] || BAC_UNITS.mgL;
+  const n = typeof value === 'number' ? value : parseDecimal(value);
+  return Number.isFinite(n) ? n / u.factor : NaN;
+}
+
+// Mesures d'éthylotest : un éthylomètre lit l'air expiré (mg/L d'air), une
+// prise de sang donne des g/L. Conversion légale française : 0,25 mg/L
+// d'air ≙ 0,5 g/L de sang, soit un rapport air → sang de 2000. `label` est
+// une clé i18n.
+const BREATH_BLOOD_RATIO = 2000;
+const BAC_READING_UNITS = {
+  air: {
+    label: 'bacReading.air',
+    toMgL: v => v * BREATH_BLOOD_RATIO
+  },
+  blood: {
+    label: 'bacReading.blood',
+    toMgL: v => v * 1000
+  }
+};
+
+// Saisie (nombre ou texte FR) → taux sang en mg/L ; NaN si illisible.
+function bacFromReading(value, unit) {
+  const u = BAC_READING_UNITS[unit] || BAC_READING_UNITS.air;
+  const n = typeof value === 'number' ? value : parseDecimal(value);
+  return Number.isFinite(n) && n >= 0 ? u.toMgL(n) : NaN;
+}
+window.__bacDisplayListeners = window.__bacDisplayListeners || new Set();
+function useBacDisplay() {
+  const [, force] = React.useReducer(n => n + 1, 0);
+  React.useEffect(() => {
+    window.__bacDisplayListeners.add(force);
+    return () => window.__bacDisplayListeners.delete(force);
+  }, []);
+  return _bacDisplay;
 }
 
+// `patch` fusionné au réglage courant. `persist: false` (réhydratation au
+// démarrage) n'écrit ni localStorage ni la base.
+function applyBacDisplay(patch, {
+  persist = true
+} = {}) {
+  _bacDisplay = normalizeBacDisplay({
+    ..._bacDisplay,
+    ...patch
+  });
+  if (persist) {
+    const json = JSON.stringify(_bacDisplay);
+    try {
+      localStorage.setItem(BAC_DISPLAY_KEY, json);
+    } catch {}
+    try {
+      window.dbManager && window.dbManager.setSetting && window.dbManager.setSetting('bacDisplay', json);
+    } catch {}
+  }
+  window.__bacDisplayListeners.forEach(f => f());
+}
+(function initBacDisplay() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(BAC_DISPLAY_KEY);
+  } catch {}
+  if (saved) _bacDisplay = normalizeBacDisplay(saved);
+})();
+
+// ── Verre standard ─────────────────────────────────────────────────
+// Les totaux restent en grammes d'alcool pur ; le verre standard n'est
+// qu'une unité d'affichage, et sa taille dépend du pays des repères de santé
+// (10 g en France, 8 g pour l'« unit » britannique, 14 g aux États-Unis…).
+// Réglage de CET utilisateur, rangé comme `bacDisplay` : localStorage pour le
+// premier rendu, setting `standardDrink` (id) pour suivre l'export.
+// Libellés : i18n `stdDrink.<id>`.
+const STANDARD_DRINK_G = 10;
+const STANDARD_DRINKS = [{
+  id: 'fr',
+  grams: 10
+}, {
+  id: 'be',
+  grams: 10
+}, {
+  id: 'ch',
+  grams: 10
+}, {
+  id: 'it',
+  grams: 12
+}, {
+  id: 'uk',
+  grams: 8,
+  unit: 'unit'
+}, {
+  id: 'ie',
+  grams: 10
+}, {
+  id: 'us',
+  grams: 14
+}, {
+  id: 'ca',
+  grams: 13.45
+}, {
+  id: 'au',
+  grams: 10
+}];
+const STD_DRINK_KEY = 'alconote.standardDrink';
+let _stdDrink = STANDARD_DRINKS[0];
+function normalizeStandardDrink(id) {
+  return STANDARD_DRINKS.find(s => s.id === id) || STANDARD_DRINKS[0];
+}
+function getStandardDrink() {
+  return _stdDrink;
+}
+
+// Grammes → nombre de verres standard (non arrondi).
+function toStdDrinks(grams, sd = _stdDrink) {
+  return (Number(grams) || 0) / sd.grams;
+}
+
+// « 2,4 » (une décimale, sans zéro inutile).
+function fmtStdDrinks(grams, sd = _stdDrink) {
+  return fmtNumber(Math.round(toStdDrinks(grams, sd) * 10) / 10, 1);
+}
+
+// « verres std » / « unités » accordé sur `n` ; `long` : « verres standard ».
+function stdDrinkUnitLabel(n = 2, {
+  long = false,
+  sd = _stdDrink
+} = {}) {
+  const key = sd.unit === 'unit' ? 'unit' : long ? 'long' : 'short';
+  return t(`stdDrink.label.${key}`, {
+    count: Math.abs(n)
+  });
+}
+window.__stdDrinkListeners = window.__stdDrinkListeners || new Set();
+function useStandardDrink() {
+  const [, force] = React.useReducer(n => n + 1, 0);
+  React.useEffect(() => {
+    window.__stdDrinkListeners.add(force);
+    return () => window.__stdDrinkListeners.delete(force);
+  }, []);
+  return _stdDrink;
+}
+function applyStandardDrink(id, {
+  persist = true
+} = {}) {
+  _stdDrink = normalizeStandardDrink(id);
+  if (persist) {
+    try {
+      localStorage.setItem(STD_DRINK_KEY, _stdDrink.id);
+    } catch {}
+    try {
+      window.dbManager && window.dbManager.setSetting && window.dbManager.setSetting('standardDrink', _stdDrink.id);
+    } catch {}
+  }
+  window.__stdDrinkListeners.forEach(f => f());
+}
+(function initStandardDrink() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(STD_DRINK_KEY);
+  } catch {}
+  if (saved) _stdDrink = normalizeStandardDrink(saved);
+})();
+
 // Pastille d'alcoolémie réutilisable (header de l'app + lignes de l'onglet
 // Amis). `bac` en mg/L ; `null` → non communiqué ("—" grisé). `tone='accent'`
 // (ambre, défaut) pour ma pastille / les lignes ; `tone='good'` (vert) pour la
 // pastille de l'ami favori. `compact` : variante dense (≈16px de haut, sans
 // maxWidth pour permettre le `stretch`) utilisée quand deux pastilles doivent
-// tenir dans le slot fixe de 38px du header (cf. HeaderBacStack). Pas de
-// seuils colorés ici : la teinte vient uniquement du `tone`.
+// tenir dans le slot fixe de 38px du header (cf. HeaderBacStack). La teinte
+// vient du `tone` ; seul le point passe au rouge au-delà du seuil légal du
+// profil de conduite. Valeur et unité suivent le réglage d'affichage.
 function BacPill({
   bac,
   ariaLabel,
   tone = 'accent',
   compact = false
 }) {
+  const display = useBacDisplay();
   const known = bac != null && Number.isFinite(bac);
   const active = known && bac > 0;
+  const over = known && bac > bacLegalLimit(display);
   const isGood = tone === 'good';
   const bgSoft = isGood ? T.goodSoft : T.accentSoft;
   const brdSoft = isGood ? T.goodSoftBorder : T.accentSoftBorder;
   const fg = isGood ? T.good : T.accent;
+  const dot = over ? T.bacDanger : fg;
   return /*#__PURE__*/React.createElement("div", {
-    "aria-label": ariaLabel || "Taux d'alcoolémie",
-    title: known ? `${bac} mg/L` : 'Non communiqué',
+    "aria-label": ariaLabel || t('bacPill.aria'),
+    title: known ? `${fmtBac(bac, display.unit)} ${bacUnitLabel(display.unit)}${over ? t('bacPill.overLimit') : ''}` : t('bacPill.unknown'),
     style: {
       display: 'flex',
       alignItems: 'center',
@@ -4380,8 +4929,8 @@ function BacPill({
       width: compact ? 5 : 6,
       height: compact ? 5 : 6,
       borderRadius: 99,
-      background: fg,
-      boxShadow: active ? `0 0 8px ${fg}` : 'none',
+      background: dot,
+      boxShadow: active ? `0 0 8px ${dot}` : 'none',
       flexShrink: 0
     }
   }), /*#__PURE__*/React.createElement("span", {
@@ -4399,7 +4948,7 @@ function BacPill({
       minWidth: 0,
       flex: '0 1 auto'
     }
-  }, known ? bac : '—'));
+  }, known ? fmtBac(bac, display.unit) : '—'));
 }
 Object.assign(window, {
   T,
@@ -4438,6 +4987,29 @@ Object.assign(window, {
   setHapticsEnabled,
   SheetGrabber,
   SheetDragContext,
+  BAC_PROFILES,
+  BAC_UNITS,
+  normalizeBacDisplay,
+  getBacDisplay,
+  bacLegalLimit,
+  bacUnitLabel,
+  bacUnitSpoken,
+  fmtBac,
+  bacFromUnit,
+  useBacDisplay,
+  applyBacDisplay,
+  BREATH_BLOOD_RATIO,
+  BAC_READING_UNITS,
+  bacFromReading,
+  STANDARD_DRINK_G,
+  STANDARD_DRINKS,
+  normalizeStandardDrink,
+  getStandardDrink,
+  toStdDrinks,
+  fmtStdDrinks,
+  stdDrinkUnitLabel,
+  useStandardDrink,
+  applyStandardDrink,
   BacPill,
   Ic,
   SvgIcon,
@@ -4451,16 +5023,21 @@ Object.assign(window, {
   applyCatHueOverrides,
   useCatPalette,
   Toast,
-  FR_DAYS_LONG,
-  FR_DAYS_SHORT,
-  FR_MONTHS_SHORT,
-  FR_MONTHS_LONG,
-  FR_MONTHS_DOTTED,
+  fmtDateLong,
   fmtDateMedium,
   fmtDayHeader,
   localDate,
   localTime,
+  DEFAULT_UNITS,
+  UNIT_PRESETS,
+  normalizeUnits,
+  findUnit,
+  unitKey,
   toCl,
+  drinkCl,
+  getUnits,
+  useUnits,
+  applyUnits,
   ETHANOL_DENSITY_G_PER_ML,
   ethanolGrams,
   drinkAlcoholGrams,
@@ -4484,6 +5061,8 @@ Object.assign(window, {
   useReducedMotion,
   staggerStyle,
   usePressScale,
+  useLongPress,
+  LONG_PRESS_MS,
   Collapse,
   STAGGER_MAX,
   ENTER_TOTAL_MS,
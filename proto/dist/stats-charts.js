@@ -176,6 +176,11 @@ const CHART = Object.freeze({
     ring: 6,
     dot: 3.5
   }),
+  reading: Object.freeze({
+    size: 4,
+    stroke: 1.5
+  }),
+  // marqueur d'éthylotest (losange)
   tooltip: Object.freeze({
     minW: 72,
     charW: 5.8,
@@ -216,17 +221,57 @@ const CHART = Object.freeze({
 // Plafond d'affichage BAC (mg/L) : cadre des charts (bacChartRange) ET cap
 // de la jauge — un pic projeté pathologique ne doit jamais écraser le reste.
 const BAC_CHART_CAP = 1500;
-// Seuils d'affichage BAC (mg/L) — mêmes valeurs que BAC_RECORD_MIN /
-// BAC_LEGAL_LIMIT (stats.jsx, chargé après ce fichier) ; le gel des
-// formules verrouille les deux côtés.
+// Seuils d'affichage BAC (mg/L) — mêmes valeurs que BAC_RECORD_MIN
+// (stats.jsx, chargé après ce fichier) et le profil 'fr' de BAC_PROFILES
+// (shared.jsx) ; le gel des formules verrouille les deux côtés. Ce sont les valeurs du profil France :
+// les charts lisent les seuils EFFECTIFS via bacZones.
 const BAC_ZONE_LIGHT = 200;
 const BAC_ZONE_LEGAL = 500;
 
+// Seuils effectifs pour un seuil légal donné (profil de conduite, cf.
+// shared.jsx › bacLegalLimit). La zone « léger » ne dépasse jamais le seuil
+// légal : à 200 mg/L (jeune conducteur) elle disparaît, à 0 tout est rouge.
+function bacZones(legal = bacLegalLimit()) {
+  return {
+    light: Math.min(BAC_ZONE_LIGHT, legal),
+    legal
+  };
+}
+
 // Couleur de zone BAC (sobre / léger / au-delà) — lit les tokens du thème à
 // L'APPEL (T est un proxy vivant). Source unique pour les deux charts BAC,
 // leurs dégradés et tout futur indicateur de niveau.
-function bacZoneColor(bac) {
-  return bac > BAC_ZONE_LEGAL ? T.bacDanger : bac > BAC_ZONE_LIGHT ? T.bacWarn : T.good;
+function bacZoneColor(bac, zones = bacZones()) {
+  return bac > zones.legal ? T.bacDanger : bac > zones.light ? T.bacWarn : T.good;
+}
+
+// Lignes de seuil des charts BAC (lane de droite). Une zone « léger »
+// confondue avec le seuil légal (ou nulle) n'a pas de ligne propre.
+function bacThresholdLines(zones, unit, {
+  warn,
+  danger,
+  legalPriority
+}) {
+  const out = [];
+  if (zones.light > 0 && zones.light < zones.legal) {
+    out.push({
+      y: zones.light,
+      label: `${fmtBac(zones.light, unit)} ${bacUnitLabel(unit)}`,
+      color: warn,
+      priority: 1
+    });
+  }
+  if (zones.legal > 0) {
+    out.push({
+      y: zones.legal,
+      label: t('charts.bac.legal', {
+        value: fmtBac(zones.legal, unit)
+      }),
+      color: danger,
+      priority: legalPriority
+    });
+  }
+  return out;
 }
 
 // ── Anti-collision : deux textes ne se chevauchent JAMAIS ──────────
@@ -718,7 +763,7 @@ function SvgBarChart({
   formatX,
   formatTooltip,
   valueLabel,
-  ariaLabel = 'Diagramme en barres'
+  ariaLabel = t('charts.barAria')
 }) {
   const pad = CHART.pad.bar;
   const w = width - pad.l - pad.r;
@@ -843,7 +888,7 @@ function SvgRadar({
   size = 220,
   color,
   valueLabel,
-  ariaLabel = 'Radar par jour'
+  ariaLabel = t('charts.radarAria')
 }) {
   const cx = size / 2,
     cy = size / 2;
@@ -1009,7 +1054,7 @@ function SvgDonut({
   data,
   size = CHART.donut.size,
   thickness = CHART.donut.thickness,
-  ariaLabel = 'Répartition par catégorie'
+  ariaLabel = t('charts.donutAria')
 }) {
   const cx = size / 2,
     cy = size / 2;
@@ -1053,14 +1098,14 @@ function SvgDonut({
         fontStyle: 'italic',
         fontFamily: fontSerif
       }
-    }, "Aucune donn\xE9e");
+    }, t('stats.noData'));
   }
   const focused = hover != null ? segments[hover] : null;
   const focusedPct = focused ? Math.round(focused.d.v / total * 100) : null;
   // Le label central vit dans le TROU du donut : tronqué à son diamètre
   // utile pour ne jamais passer sous l'anneau (fitLabel, anti-collision).
   const centerMaxPx = 2 * (r - thickness / 2) - 6;
-  const centerLabel = fitLabel((focused ? focused.d.name : 'Total').toUpperCase(), centerMaxPx);
+  const centerLabel = fitLabel((focused ? focused.d.name : t('charts.total')).toUpperCase(), centerMaxPx);
   return (
     /*#__PURE__*/
     // Seul chart à taille FIXE assumée : c'est un glyphe carré posé à côté
@@ -1153,7 +1198,7 @@ function SvgLineChart({
   height = 170,
   tooltipUnits = [],
   extraLines = null,
-  ariaLabel = 'Courbe d\'évolution'
+  ariaLabel = t('charts.lineAria')
 }) {
   // Traits de série teintés via catColor → abonnement palette (React.memo
   // bloquerait sinon le repaint sur changement de teinte, cf. useCatPalette).
@@ -1313,7 +1358,7 @@ function SvgLineChart({
 function SvgPolarClock({
   hours,
   size = 260,
-  ariaLabel = 'Horloge des consommations sur 24 heures'
+  ariaLabel = t('charts.clockAria')
 }) {
   const cx = size / 2,
     cy = size / 2;
@@ -1465,7 +1510,9 @@ function SvgPolarClock({
       y: ty,
       width: size,
       height: size,
-      lines: [`${hover}h – ${(hover + 1) % 24}h`, `${v} boisson${v > 1 ? 's' : ''}`]
+      lines: [`${hover}h – ${(hover + 1) % 24}h`, t('common.drinks', {
+        count: v
+      })]
     });
   })());
 }
@@ -1477,11 +1524,16 @@ function SvgPolarClock({
 // Past = solid stroke with vertical gradient; future = dashed stroke;
 // the gradient runs green → orange → red so the curve is coloured by
 // its BAC level at every point without splitting into segments.
+// `readings` : mesures d'éthylotest {t (h, rel. maintenant), bac (mg/L)},
+// posées en losanges sur la courbe — l'écart se lit d'un coup d'œil.
 function SvgBACProjection({
   points,
   width = 320,
   height = 200,
-  nowMs = Date.now()
+  nowMs = Date.now(),
+  legalLimit = bacLegalLimit(),
+  unit = getBacDisplay().unit,
+  readings = []
 }) {
   // Hooks always run first and unconditionally so React's hook order
   // stays stable even when the component is rendered with empty input.
@@ -1494,13 +1546,19 @@ function SvgBACProjection({
   // Adaptive framing — full span to sobriety; a small curve still fills the
   // height ; un pic pathologique est plafonné (BAC_CHART_CAP) comme sur la
   // prévision. Computed before the scrubber, which closes over minT/maxT.
-  const {
-    minT,
-    maxT,
-    maxB
-  } = bacChartRange(safePoints, {
+  const span = bacChartRange(safePoints, {
     capRunaway: true
   });
+  const {
+    minT,
+    maxT
+  } = span;
+  const shownReadings = (readings || []).filter(r => r.t >= minT && r.t <= maxT);
+  // Une mesure au-dessus de la courbe agrandit le cadre (sans dépasser le cap).
+  const maxB = shownReadings.length ? bacChartRange(safePoints, {
+    capRunaway: true,
+    extras: shownReadings.map(r => Math.min(r.bac, BAC_CHART_CAP))
+  }).maxB : span.maxB;
 
   // The scrubber is a hook (uses useState internally), so it must be
   // called every render — even when `safePoints` is null. We close over
@@ -1529,7 +1587,7 @@ function SvgBACProjection({
         padding: '20px 0',
         textAlign: 'center'
       }
-    }, "Aucune donn\xE9e d'alcool\xE9mie");
+    }, t('charts.bac.noData'));
   }
   const h = height - pad.t - pad.b;
   const xs = t => pad.l + (t - minT) / Math.max(0.001, maxT - minT) * w;
@@ -1550,8 +1608,9 @@ function SvgBACProjection({
   // Build a vertical gradient that matches the threshold colors. Stops
   // are placed exactly at the zone thresholds so the colour transitions
   // line up with the threshold lines. y goes 0 (top, max BAC) → 1 (bottom, 0).
-  const stopLegal = 1 - Math.min(1, BAC_ZONE_LEGAL / maxB);
-  const stopLight = 1 - Math.min(1, BAC_ZONE_LIGHT / maxB);
+  const zones = bacZones(legalLimit);
+  const stopLegal = 1 - Math.min(1, zones.legal / maxB);
+  const stopLight = 1 - Math.min(1, zones.light / maxB);
   const gradStops = (alpha = 1) => /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("stop", {
     offset: `${(stopLegal * 100).toFixed(2)}%`,
     stopColor: danger,
@@ -1588,17 +1647,11 @@ function SvgBACProjection({
   // Labels de seuil : posés dans une « lane » verticale au bord droit via
   // resolveLaneLabels — deux seuils proches (petit cadre) ne se chevauchent
   // jamais, le moins prioritaire saute (sa ligne reste).
-  const thresh = [{
-    y: BAC_ZONE_LIGHT,
-    label: `${BAC_ZONE_LIGHT} mg/L`,
-    color: warn,
-    priority: 1
-  }, {
-    y: BAC_ZONE_LEGAL,
-    label: `${BAC_ZONE_LEGAL} légal`,
-    color: danger,
-    priority: 2
-  }].filter(l => l.y <= maxB);
+  const thresh = bacThresholdLines(zones, unit, {
+    warn,
+    danger,
+    legalPriority: 2
+  }).filter(l => l.y <= maxB);
   const threshLabels = resolveLaneLabels(thresh.map(l => ({
     ...l,
     pos: ys(l.y) - 3,
@@ -1634,7 +1687,7 @@ function SvgBACProjection({
   };
   const focusT = scrubT != null ? scrubT : 0;
   const focus = interpAt(focusT);
-  const focusColor = bacZoneColor(focus.bac);
+  const focusColor = bacZoneColor(focus.bac, zones);
   const fmtClock = t => {
     const d = new Date(nowMs + t * 3600_000);
     const hh = String(d.getHours()).padStart(2, '0');
@@ -1646,22 +1699,24 @@ function SvgBACProjection({
     for (let i = 0; i < 4; i++) out.push(minT + (maxT - minT) * (i / 3));
     return out;
   })();
-  const fmtRel = t => {
-    const minutes = Math.round(Math.abs(t) * 60);
-    if (minutes < 1) return 'maintenant';
+  const fmtRel = hours => {
+    const minutes = Math.round(Math.abs(hours) * 60);
+    if (minutes < 1) return t('charts.bac.now');
     const hh = Math.floor(minutes / 60);
     const mm = minutes % 60;
     const phrase = hh === 0 ? `${mm}min` : mm === 0 ? `${hh}h` : `${hh}h${String(mm).padStart(2, '0')}`;
-    return t < 0 ? `il y a ${phrase}` : `dans ${phrase}`;
+    return t(hours < 0 ? 'charts.bac.ago' : 'charts.bac.in', {
+      time: phrase
+    });
   };
-  const fmtStatus = b => b > BAC_ZONE_LEGAL ? 'Au-delà' : b > BAC_ZONE_LIGHT ? 'Léger' : 'Sobre';
+  const fmtStatus = b => t(b > zones.legal ? 'charts.bac.over' : b > zones.light ? 'charts.bac.light' : 'charts.bac.sober');
   return /*#__PURE__*/React.createElement("svg", _extends({
     ref: svgRef,
     viewBox: `0 0 ${width} ${height}`,
     width: "100%",
     height: height,
     role: "img",
-    "aria-label": "Projection d'alcool\xE9mie dans le temps",
+    "aria-label": t('charts.bac.projectionAria'),
     className: CHART.anim.className,
     style: {
       display: 'block',
@@ -1707,7 +1762,7 @@ function SvgBACProjection({
     fill: T.muted,
     textAnchor: "end",
     fontFamily: fontNum
-  }, fmtTick(Math.round(maxB * f))))), thresh.map((l, i) => /*#__PURE__*/React.createElement("line", {
+  }, fmtBac(maxB * f, unit)))), thresh.map((l, i) => /*#__PURE__*/React.createElement("line", {
     key: `th-${i}`,
     x1: pad.l,
     x2: pad.l + w,
@@ -1773,7 +1828,20 @@ function SvgBACProjection({
     fill: T.ink2,
     textAnchor: "middle",
     fontFamily: fontNum
-  }, "maintenant"), focus && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("line", {
+  }, t('charts.bac.now')), shownReadings.map((r, i) => {
+    const x = xs(r.t),
+      y = yc(r.bac),
+      k = CHART.reading.size;
+    return /*#__PURE__*/React.createElement("path", {
+      key: `rd-${i}`,
+      d: `M${x},${y - k} L${x + k},${y} L${x},${y + k} L${x - k},${y} Z`,
+      fill: T.bg,
+      stroke: T.ink,
+      strokeWidth: CHART.reading.stroke
+    }, /*#__PURE__*/React.createElement("title", null, t('charts.bac.reading', {
+      value: `${fmtBac(r.bac, unit)} ${bacUnitLabel(unit)}`
+    })));
+  }), focus && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("line", {
     x1: xs(focus.t),
     x2: xs(focus.t),
     y1: yc(focus.bac),
@@ -1804,7 +1872,7 @@ function SvgBACProjection({
     y: yc(focus.bac),
     width: width,
     height: height,
-    lines: [`${Math.round(focus.bac)} mg/L`, fmtStatus(focus.bac), fmtRel(focus.t)]
+    lines: [`${fmtBac(focus.bac, unit)} ${bacUnitLabel(unit)}`, fmtStatus(focus.bac), fmtRel(focus.t)]
   })));
 }
 // ── BAC forecast (current session projection vs. historical baseline) ──
@@ -1830,7 +1898,9 @@ function SvgBACForecast({
   truncated = false,
   width = 320,
   height = 200,
-  nowMs = Date.now()
+  nowMs = Date.now(),
+  legalLimit = bacLegalLimit(),
+  unit = getBacDisplay().unit
 }) {
   const idSuffix = React.useId().replace(/:/g, '');
   const svgRef = React.useRef(null);
@@ -1881,7 +1951,7 @@ function SvgBACForecast({
         padding: '20px 0',
         textAlign: 'center'
       }
-    }, "Aucune donn\xE9e pour la pr\xE9vision");
+    }, t('charts.bac.noForecast'));
   }
   const h = height - pad.t - pad.b;
   const xs = t => pad.l + (t - minT) / Math.max(0.001, maxT - minT) * w;
@@ -1894,8 +1964,9 @@ function SvgBACForecast({
   const danger = T.bacDanger;
   const gradStrokeId = `bacf-stroke-${idSuffix}`;
   const gradAreaId = `bacf-area-${idSuffix}`;
-  const stopLegal = 1 - Math.min(1, BAC_ZONE_LEGAL / maxB);
-  const stopLight = 1 - Math.min(1, BAC_ZONE_LIGHT / maxB);
+  const zones = bacZones(legalLimit);
+  const stopLegal = 1 - Math.min(1, zones.legal / maxB);
+  const stopLight = 1 - Math.min(1, zones.light / maxB);
   const gradStops = (alpha = 1) => /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("stop", {
     offset: `${(stopLegal * 100).toFixed(2)}%`,
     stopColor: danger,
@@ -1931,18 +2002,12 @@ function SvgBACForecast({
 
   // Lane Y (bord droit) : seuils + « peak moyen » — résolue d'un bloc pour
   // que trois références proches ne s'écrivent jamais l'une sur l'autre
-  // (priorités : 500 légal > peak moyen > 200).
-  const thresh = [{
-    y: BAC_ZONE_LIGHT,
-    label: `${BAC_ZONE_LIGHT} mg/L`,
-    color: warn,
-    priority: 1
-  }, {
-    y: BAC_ZONE_LEGAL,
-    label: `${BAC_ZONE_LEGAL} légal`,
-    color: danger,
-    priority: 3
-  }].filter(l => l.y <= maxB);
+  // (priorités : seuil légal > peak moyen > zone « léger »).
+  const thresh = bacThresholdLines(zones, unit, {
+    warn,
+    danger,
+    legalPriority: 3
+  }).filter(l => l.y <= maxB);
   const interpAt = t => {
     if (merged.length === 0) return {
       t,
@@ -1972,7 +2037,7 @@ function SvgBACForecast({
   };
   const focusT = scrubT != null ? scrubT : 0;
   const focus = interpAt(focusT);
-  const focusColor = bacZoneColor(focus.bac);
+  const focusColor = bacZoneColor(focus.bac, zones);
   const fmtClock = t => {
     const d = new Date(nowMs + t * 3600_000);
     const hh = String(d.getHours()).padStart(2, '0');
@@ -1984,15 +2049,17 @@ function SvgBACForecast({
     for (let i = 0; i < 4; i++) out.push(minT + (maxT - minT) * (i / 3));
     return out;
   })();
-  const fmtRel = t => {
-    const minutes = Math.round(Math.abs(t) * 60);
-    if (minutes < 1) return 'maintenant';
+  const fmtRel = hours => {
+    const minutes = Math.round(Math.abs(hours) * 60);
+    if (minutes < 1) return t('charts.bac.now');
     const hh = Math.floor(minutes / 60);
     const mm = minutes % 60;
     const phrase = hh === 0 ? `${mm}min` : mm === 0 ? `${hh}h` : `${hh}h${String(mm).padStart(2, '0')}`;
-    return t < 0 ? `il y a ${phrase}` : `dans ${phrase}`;
+    return t(hours < 0 ? 'charts.bac.ago' : 'charts.bac.in', {
+      time: phrase
+    });
   };
-  const fmtStatus = b => b > BAC_ZONE_LEGAL ? 'Au-delà' : b > BAC_ZONE_LIGHT ? 'Léger' : 'Sobre';
+  const fmtStatus = b => t(b > zones.legal ? 'charts.bac.over' : b > zones.light ? 'charts.bac.light' : 'charts.bac.sober');
 
   // ETA marker, three states (contract: shown even if never reached):
   //   • etaKnown=false (eta == null) → peak never reached → "∞", pinned right.
@@ -2004,7 +2071,7 @@ function SvgBACForecast({
   const etaX = etaWithin ? xs(etaPeakHours) : xs(maxT);
   // Round to whole minutes FIRST so values like 1.999h don't render as
   // "1h60" (floor=1, frac×60≈60 → "1h60"). Carry overflow into hours.
-  const etaLabelText = !etaKnown ? 'peak · ∞' : Math.abs(etaPeakHours) < 1e-3 ? 'peak · maintenant' : (() => {
+  const etaLabelText = !etaKnown ? 'peak · ∞' : Math.abs(etaPeakHours) < 1e-3 ? `peak · ${t('charts.bac.now')}` : (() => {
     const totalMin = Math.round(etaPeakHours * 60);
     if (totalMin < 60) return `peak · ${totalMin}min`;
     const hh = Math.floor(totalMin / 60);
@@ -2059,7 +2126,7 @@ function SvgBACForecast({
     width: "100%",
     height: height,
     role: "img",
-    "aria-label": "Pr\xE9vision d'alcool\xE9mie de la session en cours",
+    "aria-label": t('charts.bac.forecastAria'),
     className: CHART.anim.className,
     style: {
       display: 'block',
@@ -2105,7 +2172,7 @@ function SvgBACForecast({
     fill: T.muted,
     textAnchor: "end",
     fontFamily: fontNum
-  }, fmtTick(Math.round(maxB * f))))), thresh.map((l, i) => /*#__PURE__*/React.createElement("line", {
+  }, fmtBac(maxB * f, unit)))), thresh.map((l, i) => /*#__PURE__*/React.createElement("line", {
     key: `th-${i}`,
     x1: pad.l,
     x2: pad.l + w,
@@ -2139,7 +2206,7 @@ function SvgBACForecast({
     fill: T.ink2,
     textAnchor: "start",
     fontFamily: fontNum
-  }, "peak moyen \xB7 ", Math.round(meanPeakBac))), realR && realR.length > 1 && /*#__PURE__*/React.createElement("path", {
+  }, "peak moyen \xB7 ", fmtBac(meanPeakBac, unit))), realR && realR.length > 1 && /*#__PURE__*/React.createElement("path", {
     d: areaOf(realR),
     fill: `url(#${gradAreaId})`
   }), realR && realR.length > 1 && /*#__PURE__*/React.createElement("path", {
@@ -2219,7 +2286,7 @@ function SvgBACForecast({
     fill: T.ink2,
     textAnchor: "middle",
     fontFamily: fontNum
-  }, "maintenant"), focus && merged.length > 0 && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("line", {
+  }, t('charts.bac.now')), focus && merged.length > 0 && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement("line", {
     x1: xs(focus.t),
     x2: xs(focus.t),
     y1: yc(focus.bac),
@@ -2250,7 +2317,7 @@ function SvgBACForecast({
     y: yc(focus.bac),
     width: width,
     height: height,
-    lines: [`${Math.round(focus.bac)} mg/L`, fmtStatus(focus.bac), fmtRel(focus.t)]
+    lines: [`${fmtBac(focus.bac, unit)} ${bacUnitLabel(unit)}`, fmtStatus(focus.bac), fmtRel(focus.t)]
   })));
 }
 // ── Histogram (session duration / session BAC) ───────────────────
@@ -2265,7 +2332,7 @@ function SvgHistogram({
   height = 150,
   color,
   valueLabel,
-  ariaLabel = 'Histogramme de distribution'
+  ariaLabel = t('charts.histogramAria')
 }) {
   const pad = CHART.pad.bar;
   const w = width - pad.l - pad.r;
@@ -2362,7 +2429,9 @@ function SvgHistogram({
       y: ty,
       width: width,
       height: height,
-      lines: [`${b.label}`, `${b.v}${valueLabel ? ' ' + valueLabel : ' session' + (b.v > 1 ? 's' : '')}`]
+      lines: [`${b.label}`, valueLabel ? `${b.v} ${valueLabel}` : t('charts.sessions', {
+        count: b.v
+      })]
     });
   })());
 }
@@ -2393,7 +2462,7 @@ function SvgCalendarHeatmap({
   scaleMax = 1,
   mode = 'monthGrid',
   width = 320,
-  ariaLabel = 'Calendrier de consommation'
+  ariaLabel = t('charts.heatmapAria')
 }) {
   const svgRef = React.useRef(null);
   const [hover, setHover] = React.useState(null);
@@ -2431,7 +2500,9 @@ function SvgCalendarHeatmap({
     setHover(c && !c.blank ? c : null);
   });
   if (!cells.length) return null;
-  const dayLetters = ['L', 'M', 'M', 'J', 'V', 'S', 'D'];
+  const narrow = t('date.daysNarrow');
+  const dayLetters = [1, 2, 3, 4, 5, 6, 0].map(wd => narrow[wd]); // lundi d'abord
+  const months = t('date.monthsShort');
   // Étiquettes de mois : 1ʳᵉ colonne où apparaît le 1ᵉʳ d'un mois, PUIS
   // passe anti-collision — deux mois dont les colonnes de départ sont trop
   // proches (cellules étroites, mois courts) se chevauchaient.
@@ -2444,7 +2515,7 @@ function SvgCalendarHeatmap({
       seen.add(`${c.col}-${m}`);
       monthTicks.push({
         col: c.col,
-        label: FR_MONTHS_SHORT[Number(m) - 1].slice(0, 4)
+        label: months[Number(m) - 1].slice(0, 4)
       });
     }
   }
@@ -2461,9 +2532,9 @@ function SvgCalendarHeatmap({
       w: wLbl
     });
   }
-  const fmtFrDate = iso => {
+  const fmtDay = iso => {
     const [y, m, d] = iso.split('-').map(Number);
-    return `${d} ${FR_MONTHS_SHORT[m - 1]} ${y}`;
+    return `${d} ${months[m - 1]} ${y}`;
   };
   return /*#__PURE__*/React.createElement("svg", _extends({
     ref: svgRef,
@@ -2523,7 +2594,11 @@ function SvgCalendarHeatmap({
       y: ty,
       width: width,
       height: height,
-      lines: [fmtFrDate(hover.date), `${hover.count} boisson${hover.count > 1 ? 's' : ''}`, `${Math.round(hover.grams)} g d'alcool`]
+      lines: [fmtDay(hover.date), t('common.drinks', {
+        count: hover.count
+      }), t('charts.gramsAlcohol', {
+        g: Math.round(hover.grams)
+      })]
     });
   })());
 }
@@ -2552,6 +2627,7 @@ Object.assign(window, {
   BAC_CHART_CAP,
   BAC_ZONE_LIGHT,
   BAC_ZONE_LEGAL,
+  bacZones,
   bacZoneColor,
   thinnedAxisLabels,
   resolveLaneLabels,
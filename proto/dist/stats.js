@@ -38,25 +38,14 @@ function saveCollapsedSections(set, scope) {
 try {
   localStorage.removeItem('alconote.stats.hiddenBacRecords');
 } catch {}
-const PERIODS = [{
-  id: 'today',
-  label: 'Jour'
-}, {
-  id: 'week',
-  label: 'Semaine'
-}, {
-  id: 'month',
-  label: 'Mois'
-}, {
-  id: 'year',
-  label: 'Année'
-}, {
-  id: 'all',
-  label: 'Tout'
-}, {
-  id: 'school',
-  label: 'A. scol.'
-}];
+
+// `label` : getter, relu dans la langue courante à chaque rendu.
+const PERIODS = ['today', 'week', 'month', 'year', 'all', 'school'].map(id => ({
+  id,
+  get label() {
+    return t(`period.${id}`);
+  }
+}));
 
 // BAC level classification — mirrors the legacy app --> never change the messages under no circumstances
 const BAC_LEVELS = [{
@@ -89,6 +78,16 @@ function bacLevel(bac) {
   return BAC_LEVELS.find(l => bac <= l.max) || BAC_LEVELS[BAC_LEVELS.length - 1];
 }
 
+// Message affiché pour un palier. Le texte français de BAC_LEVELS est la
+// référence et n'est jamais réécrit ; une traduction n'est servie que si
+// l'utilisateur l'a demandée (i18n.jsx › bacTranslationEnabled, hors FR).
+function bacLevelText(level) {
+  const i = BAC_LEVELS.indexOf(level);
+  if (!bacTranslationEnabled() || getLocale() === DEFAULT_LOCALE || i < 0) return level.text;
+  const msg = t(`bac.level.${i}`);
+  return msg === `bac.level.${i}` ? level.text : msg;
+}
+
 // ── Period helpers ────────────────────────────────────────────────
 function _fmtIso(d) {
   const y = d.getFullYear();
@@ -182,27 +181,44 @@ function periodLabel(period, anchor) {
     start,
     end
   } = getPeriodRange(period, anchor);
-  const sM = FR_MONTHS_LONG[start.getMonth()];
-  const eM = FR_MONTHS_LONG[end.getMonth()];
+  const sM = t('date.monthsLong')[start.getMonth()];
   if (period === 'today') {
-    return `${FR_DAYS_LONG[start.getDay()]} ${start.getDate()} ${sM}`;
+    return fmtDateLong(start);
   }
   if (period === 'week') {
     if (start.getMonth() === end.getMonth()) {
-      return `${start.getDate()} – ${end.getDate()} ${sM} ${end.getFullYear()}`;
+      return t('period.range.sameMonth', {
+        start: start.getDate(),
+        end: end.getDate(),
+        month: sM,
+        year: end.getFullYear()
+      });
     }
-    return `${start.getDate()} ${sM.slice(0, 4)}. – ${end.getDate()} ${eM.slice(0, 4)}. ${end.getFullYear()}`;
+    const span = t('date.monthsSpan');
+    return t('period.range.span', {
+      start: start.getDate(),
+      startMonth: span[start.getMonth()],
+      end: end.getDate(),
+      endMonth: span[end.getMonth()],
+      year: end.getFullYear()
+    });
   }
   if (period === 'month') {
-    return `${sM[0].toUpperCase() + sM.slice(1)} ${start.getFullYear()}`;
+    return t('period.label.month', {
+      month: sM[0].toUpperCase() + sM.slice(1),
+      year: start.getFullYear()
+    });
   }
   if (period === 'year') {
     return `${start.getFullYear()}`;
   }
   if (period === 'school') {
-    return `Année ${start.getFullYear()}-${end.getFullYear()}`;
+    return t('period.label.school', {
+      start: start.getFullYear(),
+      end: end.getFullYear()
+    });
   }
-  return 'Depuis le début';
+  return t('period.label.all');
 }
 
 // ── Aggregation helpers (used by sections) ────────────────────────
@@ -255,7 +271,7 @@ function aggregateGeneral(drinks) {
     byDow: [0, 0, 0, 0, 0, 0, 0]
   };
   for (const d of drinks) {
-    const cl = toCl(d.quantity, d.unit);
+    const cl = drinkCl(d);
     stats.volumeCl += cl;
     stats.grams += ethanolGrams(cl, d.alcoholContent); // réutilise `cl` déjà calculé
     // Même normalisation que familyKey/ratingKey (trim + lowercase) : une
@@ -273,11 +289,12 @@ function aggregateGeneral(drinks) {
 }
 
 // BAC-driven sessions: a session begins at the first drink that pushes
-// BAC from 0 to >0 and ends exactly when BAC returns to 0 (Widmark
-// model, linear absorption over BAC_ABSORPTION_H, linear elimination at
-// `elimRate`). Replaces the legacy 4-hour gap heuristic so a "session"
-// reflects a real drinking episode (matches the BAC projection curve and
-// the "Temps bourré" / records-per-session features).
+// BAC from 0 to >0 and ends exactly when BAC returns to 0 (BAC model —
+// Widmark by default — linear absorption over each drink's food-dependent
+// window, linear elimination at `elimRate`). Replaces the legacy 4-hour
+// gap heuristic so a "session" reflects a real drinking episode (matches
+// the BAC projection curve and the "Temps bourré" / records-per-session
+// features).
 //
 // Each session carries its own deterministic id (`sess::<startTs>`) so
 // the user can mask individual records from the BAC list and the
@@ -295,12 +312,277 @@ const WIDMARK_R_FEMALE = 0.55; // facteur de distribution de Widmark (femme)
 function widmarkR(gender) {
   return gender === 'female' ? WIDMARK_R_FEMALE : WIDMARK_R_MALE;
 }
-function computeBACSessions(drinks, weight = DEFAULT_WEIGHT_KG, gender = 'male') {
-  const r = widmarkR(gender);
-  const w = weight || DEFAULT_WEIGHT_KG;
+
+// ── Modèles BAC ───────────────────────────────────────────────────
+// Tous les calculs d'alcoolémie (sessions, courbe temps réel, prévision,
+// BAC des amis) passent par UN objet modèle (makeBacModel) : seul le
+// volume de distribution `r` change d'un modèle à l'autre, l'élimination
+// reste BAC_ELIM_RATE. Les fonctions du moteur ne reçoivent que ce modèle :
+// computeBACSessions(drinks, model), computeBacOverTime(drinks, model, …).
+//   widmark : r fixe par genre (WIDMARK_R_*).
+//   watson  : eau corporelle totale (âge, taille, poids), r = TBW / (0,8·poids)
+//             — le sang contient ≈ 80 % d'eau.
+//   forrest : r fonction de l'IMC (Forrest 1986).
+const DEFAULT_AGE = 30; // ans, quand le profil ne renseigne rien
+const DEFAULT_HEIGHT_CM = {
+  male: 175,
+  female: 162
+}; // cm, idem
+const BAC_MODELS = {
+  widmark: {
+    id: 'widmark',
+    label: 'Widmark',
+    needs: [],
+    r: p => widmarkR(p.gender)
+  },
+  watson: {
+    id: 'watson',
+    label: 'Watson',
+    needs: ['age', 'height'],
+    r: p => {
+      const tbw = p.gender === 'female' ? -2.097 + 0.1069 * p.height + 0.2466 * p.weight : 2.447 - 0.09516 * p.age + 0.1074 * p.height + 0.3362 * p.weight;
+      return tbw / (0.8 * p.weight);
+    }
+  },
+  forrest: {
+    id: 'forrest',
+    label: 'Forrest',
+    needs: ['height'],
+    r: p => {
+      const bmi = p.weight / (p.height / 100) ** 2;
+      return p.gender === 'female' ? 0.8736 - 0.0124 * bmi : 1.0178 - 0.012127 * bmi;
+    }
+  }
+};
+// Garde-fou contre un profil aberrant (taille en mètres, poids en livres…).
+const BAC_R_MIN = 0.4;
+const BAC_R_MAX = 1;
+
+// État d'estomac, porté par chaque boisson (`drink.food`, absent = à jeun) :
+// un repas étale l'absorption et en réduit la part qui atteint le sang.
+// « À jeun » reprend exactement l'absorption historique (BAC_ABSORPTION_H).
+// `label` est une clé i18n.
+const BAC_FOOD_STATES = {
+  fasted: {
+    id: 'fasted',
+    label: 'bacFood.fasted',
+    absorptionH: BAC_ABSORPTION_H,
+    bioavailability: 1
+  },
+  light: {
+    id: 'light',
+    label: 'bacFood.light',
+    absorptionH: 1,
+    bioavailability: 0.9
+  },
+  full: {
+    id: 'full',
+    label: 'bacFood.full',
+    absorptionH: 1.5,
+    bioavailability: 0.75
+  }
+};
+function bacFoodState(food) {
+  return BAC_FOOD_STATES[food] || BAC_FOOD_STATES.fasted;
+}
+
+// Contenant partagé bu sur une durée (`drink.shared.windowMin`) : la part
+// est consommée régulièrement sur la fenêtre, on allonge donc d'autant la
+// durée d'absorption au lieu de tout absorber d'un coup (h, 0 sinon).
+function drinkSpreadH(d) {
+  const m = Number(d && d.shared && d.shared.windowMin);
+  return m > 0 ? m / 60 : 0;
+}
+
+// Profil → modèle. `pulse(d)` : apport d'une boisson, { grams, peak (mg/L
+// une fois tout absorbé, hors élimination), absH (durée d'absorption, h :
+// état d'estomac + fenêtre d'un contenant partagé) }.
+// `calibration` : { r, elimRate } ajustés sur les mesures d'éthylotest
+// (fitBacCalibration) — ils remplacent le r du modèle et BAC_ELIM_RATE.
+function makeBacModel({
+  model,
+  weight,
+  gender,
+  age,
+  height,
+  calibration
+} = {}) {
+  const def = BAC_MODELS[model] || BAC_MODELS.widmark;
+  const g = gender === 'female' ? 'female' : 'male';
+  const w = Number(weight) || DEFAULT_WEIGHT_KG;
+  const p = {
+    weight: w,
+    gender: g,
+    age: Number(age) || DEFAULT_AGE,
+    height: Number(height) || DEFAULT_HEIGHT_CM[g]
+  };
+  const raw = def.r(p);
+  const cal = calibration && Number.isFinite(calibration.r) && Number.isFinite(calibration.elimRate) ? calibration : null;
+  // Widmark n'est jamais borné : ses deux constantes sont gelées.
+  const r = cal ? cal.r : def.id === 'widmark' ? raw : Math.min(BAC_R_MAX, Math.max(BAC_R_MIN, raw));
+  return {
+    id: def.id,
+    r,
+    weight: w,
+    elimRate: cal ? cal.elimRate : BAC_ELIM_RATE,
+    calibrated: !!cal,
+    pulse(d) {
+      const f = bacFoodState(d.food);
+      const grams = drinkAlcoholGrams(d);
+      return {
+        grams,
+        peak: grams * f.bioavailability * 1000 / (w * r),
+        absH: f.absorptionH + drinkSpreadH(d)
+      };
+    }
+  };
+}
+
+// Réglages (ou profil publié d'un ami) → modèle.
+function bacModelFromSettings(settings) {
+  const s = settings || {};
+  return makeBacModel({
+    model: s.bacModel,
+    weight: s.userWeight,
+    gender: s.userGender,
+    age: s.userAge,
+    height: s.userHeight,
+    calibration: parseBacCalibration(s.bacCalibration)
+  });
+}
+
+// ── Calibrage personnel (mesures d'éthylotest) ────────────────────
+// Le setting `bacCalibration` (JSON) garde le dernier ajustement :
+// { r, elimRate, n, rmse, confidence, fittedAt, since }. « Réinitialiser »
+// n'y laisse que `since` : r / elimRate absents → valeurs du modèle, et
+// seules les mesures postérieures servent au prochain ajustement.
+const BAC_CAL_MIN_READINGS = 3;
+const BAC_CAL_LOOKBACK_H = 24; // verres pris en compte avant une mesure
+const BAC_CAL_R_GRID = [BAC_R_MIN, BAC_R_MAX, 0.01];
+const BAC_CAL_ELIM_GRID = [80, 250, 2]; // mg/L/h, bornes physiologiques
+const BAC_CAL_CONFIDENCE = {
+  // `label` : clé i18n
+  low: {
+    id: 'low',
+    label: 'bacCal.confidence.low'
+  },
+  medium: {
+    id: 'medium',
+    label: 'bacCal.confidence.medium'
+  },
+  high: {
+    id: 'high',
+    label: 'bacCal.confidence.high'
+  }
+};
+function parseBacCalibration(raw) {
+  if (!raw) return null;
+  try {
+    const c = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return c && typeof c === 'object' ? c : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Ajuste (r, élimination) aux mesures par moindres carrés, sur une grille
+// fine bornée : le modèle est linéaire par morceaux avec un clamp à zéro,
+// une recherche exhaustive reste exacte et sans surprise. Chaque mesure
+// est comparée au taux que la marche du moteur BAC prédit à son instant,
+// à partir des verres des BAC_CAL_LOOKBACK_H heures précédentes (mesures
+// sans verre dans cette fenêtre ignorées). `base` : modèle du profil (son
+// poids sert ; son r est celui qu'on cherche). `since` : ignore les
+// mesures antérieures (réinitialisation). null sous BAC_CAL_MIN_READINGS.
+function fitBacCalibration(readings, drinks, base, {
+  since = 0
+} = {}) {
+  const hour = 3600_000;
+  const valid = (drinks || []).filter(d => d.date && d.time).map(d => ({
+    ...d,
+    _ts: new Date(`${d.date}T${d.time}`).getTime()
+  })).filter(d => Number.isFinite(d._ts));
+
+  // Par mesure : points de rupture à r = 1 (la pente se divise ensuite par r).
+  const cases = [];
+  for (const rd of readings || []) {
+    if (!(rd.ts > since) || !Number.isFinite(rd.bac)) continue;
+    const bps = [];
+    for (const d of valid) {
+      if (d._ts > rd.ts || rd.ts - d._ts > BAC_CAL_LOOKBACK_H * hour) continue;
+      const {
+        peak,
+        absH
+      } = base.pulse(d);
+      const unit = peak * base.r / absH; // mg/L/h à r = 1
+      bps.push({
+        h: (d._ts - rd.ts) / hour,
+        du: unit
+      });
+      bps.push({
+        h: (d._ts - rd.ts) / hour + absH,
+        du: -unit
+      });
+    }
+    if (!bps.length) continue;
+    bps.sort((a, b) => a.h - b.h);
+    cases.push({
+      bac: rd.bac,
+      bps
+    });
+  }
+  if (cases.length < BAC_CAL_MIN_READINGS) return null;
+
+  // Taux prédit à h = 0 (instant de la mesure), élimination avec clamp.
+  const predict = (bps, r, elim) => {
+    let bac = 0,
+      rate = 0,
+      h = bps[0].h;
+    for (const bp of bps) {
+      const end = Math.min(bp.h, 0);
+      if (end > h) {
+        bac = Math.max(0, bac + (rate - elim) * (end - h));
+        h = end;
+      }
+      if (bp.h >= 0) break;
+      rate += bp.du / r;
+    }
+    if (h < 0) bac = Math.max(0, bac + (rate - elim) * -h);
+    return bac;
+  };
+  let best = null;
+  const [rLo, rHi, rStep] = BAC_CAL_R_GRID;
+  const [eLo, eHi, eStep] = BAC_CAL_ELIM_GRID;
+  for (let i = 0; i <= Math.round((rHi - rLo) / rStep); i++) {
+    const r = rLo + i * rStep;
+    for (let elim = eLo; elim <= eHi; elim += eStep) {
+      let sse = 0;
+      for (const c of cases) {
+        const e = predict(c.bps, r, elim) - c.bac;
+        sse += e * e;
+      }
+      if (!best || sse < best.sse) best = {
+        sse,
+        r,
+        elim
+      };
+    }
+  }
+  const n = cases.length;
+  const rmse = Math.sqrt(best.sse / n);
+  const confidence = n >= 8 && rmse <= 100 ? 'high' : n >= 5 && rmse <= 150 ? 'medium' : 'low';
+  return {
+    r: Math.round(best.r * 100) / 100,
+    elimRate: Math.round(best.elim),
+    n,
+    rmse: Math.round(rmse),
+    confidence
+  };
+}
+
+// `model` : makeBacModel / bacModelFromSettings (défaut : Widmark, 70 kg, homme).
+function computeBACSessions(drinks, model = makeBacModel()) {
   const hour = 3600_000;
-  const T = BAC_ABSORPTION_H; // absorption window, hours
-  const elim = BAC_ELIM_RATE; // mg/L per hour
+  const elim = model.elimRate; // mg/L per hour
 
   const valid = drinks.filter(d => d.date && d.time).map(d => ({
     ...d,
@@ -308,27 +590,31 @@ function computeBACSessions(drinks, weight = DEFAULT_WEIGHT_KG, gender = 'male')
   })).filter(d => Number.isFinite(d._ts)).sort((a, b) => a._ts - b._ts);
   if (valid.length === 0) return [];
 
-  // Per-drink total contribution (mg/L), absorbed linearly over [_ts, _ts+T·h].
+  // Per-drink total contribution (mg/L), absorbed linearly over
+  // [_ts, _ts + _absH·h] (window set by the drink's food state, lengthened
+  // by the consumption window of a shared container — drinkSpreadH).
   for (const d of valid) {
-    d._grams = drinkAlcoholGrams(d);
-    d._peak = d._grams * 1000 / (w * r);
+    const pulse = model.pulse(d);
+    d._grams = pulse.grams;
+    d._peak = pulse.peak;
+    d._absH = pulse.absH;
   }
 
   // With linear absorption the BAC curve is piecewise-linear: its slope only
-  // changes when a drink starts absorbing (+peak/T per hour) or finishes one
-  // window later (−peak/T). Walk these breakpoints, integrating each segment
-  // exactly so a session closes at the precise instant BAC returns to 0, and
-  // the peak (always on a breakpoint) is captured exactly.
+  // changes when a drink starts absorbing (+peak/absH per hour) or finishes
+  // one window later (−peak/absH). Walk these breakpoints, integrating each
+  // segment exactly so a session closes at the precise instant BAC returns
+  // to 0, and the peak (always on a breakpoint) is captured exactly.
   const bps = [];
   for (const d of valid) {
     bps.push({
       t: d._ts,
-      dr: d._peak / T,
+      dr: d._peak / d._absH,
       d
     }); // absorption begins
     bps.push({
-      t: d._ts + T * hour,
-      dr: -d._peak / T
+      t: d._ts + d._absH * hour,
+      dr: -d._peak / d._absH
     }); // absorption ends
   }
   bps.sort((a, b) => a.t - b.t);
@@ -542,8 +828,14 @@ function fmtBourreTime(ms) {
   const days = Math.floor(totalMin / 1440);
   const h = Math.round((totalMin - days * 1440) / 60);
   // The rounded hour can hit 24 (e.g. 1j 23h45 → "1j 24h"); carry it.
-  if (h === 24) return `${days + 1}j`;
-  return h === 0 ? `${days}j` : `${days}j ${h}h`;
+  if (h === 24) return t('stats.daysShort', {
+    n: days + 1
+  });
+  return h === 0 ? t('stats.daysShort', {
+    n: days
+  }) : `${t('stats.daysShort', {
+    n: days
+  })} ${h}h`;
 }
 
 // Durée en heures → "2h16" (formateur UNIQUE des contextes BAC : cellules
@@ -575,10 +867,12 @@ function StatsTab({
   reorderRef
 } = {}) {
   const {
-    drinks,
+    drinks: sourceDrinks,
     loading
   } = useDrinks();
   const settings = useSettings();
+  const ratings = useRatings();
+  const savedFilters = useSavedFilters();
   // Plusieurs sections peignent des couleurs de catégorie (donut, sessions,
   // spotlight…) : l'abonnement palette au niveau du tab re-rend toutes les
   // sections (non memoïsées) quand une teinte change (cf. useCatPalette).
@@ -589,11 +883,22 @@ function StatsTab({
   const [sectionOrder, saveSectionOrder] = useSectionOrder();
   const [reorderMode, setReorderMode] = React.useState(false);
   if (reorderRef) reorderRef.current = () => setReorderMode(true);
+
+  // Filtre nommé de l'Historique (filters.jsx) appliqué à tout l'onglet —
+  // sur MA vue seulement ; les objectifs et l'auto-évaluation l'ignorent.
+  const [filterId, setFilterId] = React.useState(() => localStorage.getItem(_statsKey('alconote.stats.filter', storageScope)) || null);
+  const activeFilter = storageScope === '' ? savedFilters.find(s => s.id === filterId) || null : null;
   React.useEffect(() => {
     try {
       localStorage.setItem(_statsKey('alconote.stats.period', storageScope), period);
     } catch {}
   }, [period, storageScope]);
+  const selectFilter = id => {
+    setFilterId(id);
+    try {
+      if (id) localStorage.setItem(_statsKey('alconote.stats.filter', storageScope), id);else localStorage.removeItem(_statsKey('alconote.stats.filter', storageScope));
+    } catch {}
+  };
   const toggleSection = id => {
     setCollapsed(prev => {
       const next = new Set(prev);
@@ -602,6 +907,19 @@ function StatsTab({
       return next;
     });
   };
+
+  // Hoisted aggregations: every section reads from the same memo so we
+  // never recompute the same sum/session in three places. The BAC model
+  // (Widmark / Watson / Forrest + profile) comes from settings and feeds
+  // `computeBACSessions` so a session reflects the user's real profile.
+  const weight = Number(settings.userWeight) || DEFAULT_WEIGHT_KG;
+  const gender = settings.userGender || 'male';
+  const bacModel = React.useMemo(() => bacModelFromSettings(settings), [settings.bacModel, settings.userWeight, settings.userGender, settings.userAge, settings.userHeight, settings.bacCalibration] // eslint-disable-line react-hooks/exhaustive-deps
+  );
+  const drinks = React.useMemo(() => activeFilter ? filterDrinks(sourceDrinks, activeFilter.filter, {
+    ratings,
+    model: bacModel
+  }) : sourceDrinks, [sourceDrinks, activeFilter, ratings, bacModel]);
   const range = React.useMemo(() => getPeriodRange(period, anchor), [period, anchor]);
   const allRange = React.useMemo(() => {
     if (period !== 'all') return range;
@@ -623,21 +941,14 @@ function StatsTab({
   }, [period, anchor]);
   const inRange = React.useMemo(() => filterDrinksInRange(drinks, allRange.start, allRange.end), [drinks, allRange]);
   const inPrevRange = React.useMemo(() => prevRange ? filterDrinksInRange(drinks, prevRange.start, prevRange.end) : null, [drinks, prevRange]);
-
-  // Hoisted aggregations: every section reads from the same memo so we
-  // never recompute the same sum/session in three places. The Widmark
-  // params come from settings and feed `computeBACSessions` so a
-  // session reflects the user's real elimination rate.
-  const weight = Number(settings.userWeight) || DEFAULT_WEIGHT_KG;
-  const gender = settings.userGender || 'male';
   const agg = React.useMemo(() => aggregateGeneral(inRange), [inRange]);
   const prevAgg = React.useMemo(() => inPrevRange ? aggregateGeneral(inPrevRange) : null, [inPrevRange]);
-  const sessions = React.useMemo(() => computeBACSessions(inRange, weight, gender), [inRange, weight, gender]);
-  const prevSessions = React.useMemo(() => inPrevRange ? computeBACSessions(inPrevRange, weight, gender) : null, [inPrevRange, weight, gender]);
+  const sessions = React.useMemo(() => computeBACSessions(inRange, bacModel), [inRange, bacModel]);
+  const prevSessions = React.useMemo(() => inPrevRange ? computeBACSessions(inPrevRange, bacModel) : null, [inPrevRange, bacModel]);
   // All-time sessions feed BAC records (one per session, ranked by
   // peak) and the streak — those are not constrained to the visible
   // period.
-  const allSessions = React.useMemo(() => computeBACSessions(drinks, weight, gender), [drinks, weight, gender]);
+  const allSessions = React.useMemo(() => computeBACSessions(drinks, bacModel), [drinks, bacModel]);
   const streak = React.useMemo(() => computeStreak(drinks), [drinks]);
   const streakRecord = React.useMemo(() => computeStreakRecord(drinks), [drinks]);
   const bourreMs = React.useMemo(() => computeBourreTime(sessions, allRange), [sessions, allRange]);
@@ -648,6 +959,7 @@ function StatsTab({
     period,
     drinks: inRange,
     allDrinks: drinks,
+    unfilteredDrinks: sourceDrinks,
     prevDrinks: inPrevRange,
     prevRange,
     settings,
@@ -664,7 +976,10 @@ function StatsTab({
     prevBourreMs,
     weight,
     gender,
-    bacAvailable
+    bacModel,
+    bacAvailable,
+    // Vue d'un ami : rien de ce qui écrit en base n'est proposé.
+    readOnly: storageScope !== ''
   };
 
   // Sections visibles, dans l'ordre personnalisé (les flags de la vue
@@ -688,7 +1003,7 @@ function StatsTab({
 
   // Aucune boisson nulle part : un seul message, pas de sélecteur de
   // période (il n'y a rien à parcourir) ni de sections vides.
-  if (drinks.length === 0) {
+  if (sourceDrinks.length === 0) {
     return /*#__PURE__*/React.createElement("div", {
       style: {
         display: 'flex',
@@ -737,7 +1052,7 @@ function StatsTab({
         color: T.ink,
         fontStyle: 'italic'
       }
-    }, "R\xE9organiser les sections"), /*#__PURE__*/React.createElement("button", {
+    }, t('nav.reorderAria')), /*#__PURE__*/React.createElement("button", {
       type: "button",
       onClick: () => setReorderMode(false),
       style: {
@@ -753,7 +1068,7 @@ function StatsTab({
         borderRadius: 10,
         flexShrink: 0
       }
-    }, "Termin\xE9")), /*#__PURE__*/React.createElement("div", {
+    }, t('stats.reorder.done'))), /*#__PURE__*/React.createElement("div", {
       style: {
         color: T.muted,
         fontSize: remSize(10.5),
@@ -761,7 +1076,7 @@ function StatsTab({
         padding: '0 4px 14px',
         lineHeight: 1.5
       }
-    }, "Glisse une section par sa poign\xE9e pour changer l'ordre. Il est conserv\xE9 d\xE9finitivement."), /*#__PURE__*/React.createElement(SectionReorderList, {
+    }, t('stats.reorder.hint')), /*#__PURE__*/React.createElement(SectionReorderList, {
       sections: visibleSections,
       onChange: saveSectionOrder
     })));
@@ -787,6 +1102,10 @@ function StatsTab({
       setPeriod(p);
       setAnchor(new Date());
     }
+  }), storageScope === '' && /*#__PURE__*/React.createElement(SavedFilterPills, {
+    saved: savedFilters,
+    activeId: activeFilter && activeFilter.id,
+    onSelect: selectFilter
   }), /*#__PURE__*/React.createElement("div", {
     style: {
       flex: 1,
@@ -798,7 +1117,7 @@ function StatsTab({
     anchor: anchor,
     onShift: d => setAnchor(shiftAnchor(period, anchor, d))
   }), !hasPeriodData && /*#__PURE__*/React.createElement(StatsEmptyState, {
-    scope: "period"
+    scope: activeFilter && drinks.length === 0 ? 'filter' : 'period'
   }), shownSections.map(({
     id,
     Comp
@@ -836,7 +1155,7 @@ function StatsEmptyState({
       color: T.ink,
       marginBottom: 8
     }
-  }, "Pas de donn\xE9es disponibles"), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.empty.title')), /*#__PURE__*/React.createElement("div", {
     style: {
       fontSize: remSize(12),
       letterSpacing: tracking(12),
@@ -845,7 +1164,7 @@ function StatsEmptyState({
       maxWidth: 260,
       margin: '0 auto'
     }
-  }, scope === 'global' ? 'Ajoute ta première boisson avec le bouton + pour voir tes statistiques ici.' : 'Aucune boisson enregistrée sur cette période.'));
+  }, t(`stats.empty.${scope}`)));
 }
 function PeriodSwitcher({
   period,
@@ -860,7 +1179,7 @@ function PeriodSwitcher({
     }
   }, /*#__PURE__*/React.createElement("div", {
     role: "tablist",
-    "aria-label": "P\xE9riode",
+    "aria-label": t('stats.period'),
     style: {
       display: 'flex',
       gap: 2,
@@ -928,7 +1247,7 @@ function PeriodNav({
       padding: '0 4px 18px',
       gap: 8
     }
-  }, arrowBtn(Ic.chevL, -1, 'Période précédente'), /*#__PURE__*/React.createElement("div", {
+  }, arrowBtn(Ic.chevL, -1, t('stats.period.prev')), /*#__PURE__*/React.createElement("div", {
     style: {
       fontFamily: fontSerif,
       fontSize: remSize(18),
@@ -941,7 +1260,7 @@ function PeriodNav({
       overflow: 'hidden',
       textOverflow: 'ellipsis'
     }
-  }, label), arrowBtn(Ic.chevR, 1, 'Période suivante'));
+  }, label), arrowBtn(Ic.chevR, 1, t('stats.period.next')));
 }
 function StatSection({
   id,
@@ -1031,7 +1350,8 @@ function StatSection({
 // réorganisation) et flag de masquage contextuel (vue ami). Ajouter une
 // section = ajouter une entrée ici — l'ordre par défaut suit ce tableau.
 // Les déclarations `function` plus bas sont hoistées : les références
-// sont valides dès l'évaluation du module.
+// sont valides dès l'évaluation du module. `title` : getter, relu dans la
+// langue courante (stats.section.<id>), comme PERIODS.
 //
 // Pertinence par période (cf. CLAUDE.md § « Pertinence par période ») :
 // - `periods`  : périodes où la section se rend (absent = toutes).
@@ -1043,38 +1363,30 @@ const ALL_PERIODS = ['today', 'week', 'month', 'year', 'school', 'all'];
 const GLOBAL_CHART_PERIODS = ['month', 'year', 'school', 'all'];
 const STATS_SECTIONS = [{
   id: 'general',
-  title: 'Statistiques générales',
   Comp: GeneralSection
 }, {
   id: 'temporal',
-  title: 'Analyse temporelle',
   Comp: TemporalSection
 }, {
   id: 'heatmap',
-  title: 'Calendrier',
   Comp: HeatmapSection
 }, {
   id: 'category',
-  title: 'Analyse par catégorie',
   Comp: CategorySection
 }, {
   id: 'top',
-  title: 'Top boissons',
   Comp: TopDrinksSection
 }, {
   id: 'bac',
-  title: 'Alcoolémie',
   Comp: BACSection,
   hide: f => f.hideBac,
   keepWhenEmpty: ALL_PERIODS
 }, {
   id: 'sessions',
-  title: 'Sessions',
   Comp: SessionsSection,
   hide: f => f.hideBac
 }, {
   id: 'map',
-  title: 'Carte des consommations',
   Comp: MapSection,
   hide: f => f.hideMap,
   keepWhenEmpty: ALL_PERIODS
@@ -1084,22 +1396,35 @@ const STATS_SECTIONS = [{
 // sur période vide dès qu'ils portent une vue globale.
 {
   id: 'trends',
-  title: 'Tendances',
   Comp: TrendsSection,
   periods: ['week', 'month', 'year', 'school', 'all'],
   keepWhenEmpty: GLOBAL_CHART_PERIODS
 }, {
   id: 'advanced',
-  title: 'Analyses avancées',
   Comp: AdvancedSection,
   periods: ['week', 'month', 'year', 'school', 'all'],
   keepWhenEmpty: GLOBAL_CHART_PERIODS
 }, {
   id: 'spending',
-  title: 'Dépenses',
   Comp: SpendingSection,
   hide: f => f.hidePrice
-}];
+},
+// Objectifs : chacun a sa propre période (semaine, mois, défi), donc
+// indépendants de la période affichée (cf. goals.jsx).
+{
+  id: 'goals',
+  Comp: GoalsSection,
+  keepWhenEmpty: ALL_PERIODS
+}, {
+  id: 'audit',
+  Comp: AuditSection,
+  keepWhenEmpty: ALL_PERIODS
+}].map(s => ({
+  ...s,
+  get title() {
+    return t(`stats.section.${s.id}`);
+  }
+}));
 // Matrice exportée pour les tests : id → { periods, keepWhenEmpty }.
 const STATS_PERIOD_MATRIX = Object.fromEntries(STATS_SECTIONS.map(s => [s.id, {
   periods: s.periods || ALL_PERIODS,
@@ -1259,7 +1584,9 @@ function SectionReorderList({
       }
     }, s.title), /*#__PURE__*/React.createElement("button", {
       type: "button",
-      "aria-label": `Déplacer « ${s.title} » — glisser, ou flèches haut/bas`,
+      "aria-label": t('stats.reorder.moveAria', {
+        title: s.title
+      }),
       onPointerDown: e => {
         e.preventDefault();
         try {
@@ -1471,32 +1798,27 @@ function buildSessionList(sessions, n = 8) {
   }));
 }
 
-// Distribution des pics d'alcoolémie par session (mg/L), prête pour
-// SvgHistogram : { label, v }[].
-function buildSessionPeakHistogram(sessions) {
+// Distribution des pics d'alcoolémie par session, prête pour
+// SvgHistogram : { label, v }[]. Tranches fixes en mg/L ; seuls les
+// libellés suivent l'unité d'affichage (en mg/L, la forme courte « 1k »).
+const SESSION_PEAK_BOUNDS = [200, 400, 600, 800, 1000];
+function buildSessionPeakHistogram(sessions, unit = 'mgL') {
+  const f = unit === 'mgL' ? v => v >= 1000 ? `${v / 1000}k` : String(v) : v => fmtBac(v, unit);
+  const b = SESSION_PEAK_BOUNDS;
   const buckets = [{
-    label: '<200',
-    v: 0
-  }, {
-    label: '200-400',
+    label: `<${f(b[0])}`,
     v: 0
-  }, {
-    label: '400-600',
-    v: 0
-  }, {
-    label: '600-800',
+  }, ...b.slice(1).map((hi, i) => ({
+    label: `${f(b[i])}-${f(hi)}`,
     v: 0
-  }, {
-    label: '800-1k',
-    v: 0
-  }, {
-    label: '1k+',
+  })), {
+    label: `${f(b[b.length - 1])}+`,
     v: 0
   }];
   for (const s of sessions || []) {
     const p = s.peakBac || 0;
-    const idx = p < 200 ? 0 : p < 400 ? 1 : p < 600 ? 2 : p < 800 ? 3 : p < 1000 ? 4 : 5;
-    buckets[idx].v++;
+    const idx = b.findIndex(x => p < x);
+    buckets[idx < 0 ? b.length : idx].v++;
   }
   return buckets;
 }
@@ -1519,10 +1841,10 @@ function HeatmapSection({
   const hasData = hm.cells.some(c => c.grams > 0);
   return /*#__PURE__*/React.createElement(StatSection, {
     id: "heatmap",
-    title: "Calendrier",
+    title: t('stats.section.heatmap'),
     collapsed: collapsed,
     toggleSection: toggleSection,
-    sub: "Grammes d'alcool pur par jour"
+    sub: t('stats.heatmap.sub')
   }, /*#__PURE__*/React.createElement(Card, null, hasData ? /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 140
   }, w => /*#__PURE__*/React.createElement(SvgCalendarHeatmap, {
@@ -1541,7 +1863,7 @@ function HeatmapSection({
       fontStyle: 'italic',
       fontFamily: fontSerif
     }
-  }, "Aucune donn\xE9e pour cette p\xE9riode")));
+  }, t('stats.noData.period'))));
 }
 
 // ── Historique des sessions (liste + distribution des pics) ───────
@@ -1550,15 +1872,18 @@ function SessionsSection({
   collapsed,
   toggleSection
 }) {
+  const {
+    unit
+  } = useBacDisplay();
   const list = React.useMemo(() => buildSessionList(sessions, 8), [sessions]);
-  const hist = React.useMemo(() => buildSessionPeakHistogram(sessions), [sessions]);
+  const hist = React.useMemo(() => buildSessionPeakHistogram(sessions, unit), [sessions, unit]);
   const total = (sessions || []).length;
   return /*#__PURE__*/React.createElement(StatSection, {
     id: "sessions",
-    title: "Sessions",
+    title: t('stats.section.sessions'),
     collapsed: collapsed,
     toggleSection: toggleSection,
-    sub: "Vos derni\xE8res sessions \xB7 pic d'alcool\xE9mie"
+    sub: t('stats.sessions.sub')
   }, total === 0 ? /*#__PURE__*/React.createElement(Card, null, /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
@@ -1569,7 +1894,7 @@ function SessionsSection({
       fontStyle: 'italic',
       fontFamily: fontSerif
     }
-  }, "Aucune session sur cette p\xE9riode")) : /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(Card, {
+  }, t('stats.sessions.empty'))) : /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(Card, {
     style: {
       padding: '4px 4px',
       marginBottom: 10
@@ -1617,7 +1942,9 @@ function SessionsSection({
         fontFamily: fontNum,
         marginTop: 2
       }
-    }, fmtDurationHM(s.durationMs / 3600_000), " \xB7 ", s.drinkCount, " conso", s.drinkCount > 1 ? 's' : '')), /*#__PURE__*/React.createElement("div", {
+    }, fmtDurationHM(s.durationMs / 3600_000), " \xB7 ", t('stats.sessions.drinks', {
+      count: s.drinkCount
+    }))), /*#__PURE__*/React.createElement("div", {
       style: {
         fontFamily: fontSerif,
         fontSize: remSize(17),
@@ -1626,7 +1953,7 @@ function SessionsSection({
         whiteSpace: 'nowrap',
         flexShrink: 0
       }
-    }, Math.round(s.peakBac), /*#__PURE__*/React.createElement("span", {
+    }, fmtBac(s.peakBac, unit), /*#__PURE__*/React.createElement("span", {
       style: {
         fontSize: remSize(9.5),
         letterSpacing: tracking(9.5),
@@ -1634,7 +1961,7 @@ function SessionsSection({
         fontFamily: fontSans,
         marginLeft: 2
       }
-    }, "mg/L")));
+    }, bacUnitLabel(unit))));
   })), /*#__PURE__*/React.createElement(Card, null, /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.ink,
@@ -1643,7 +1970,7 @@ function SessionsSection({
       fontWeight: 500,
       marginBottom: 3
     }
-  }, "Distribution des pics"), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.sessions.peaks')), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
       fontSize: remSize(10),
@@ -1652,7 +1979,9 @@ function SessionsSection({
       fontStyle: 'italic',
       fontFamily: fontSerif
     }
-  }, "Pic d'alcool\xE9mie par session (mg/L)"), /*#__PURE__*/React.createElement(ChartAutoWidth, {
+  }, t('stats.sessions.peaks.sub', {
+    unit: bacUnitLabel(unit)
+  })), /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 150
   }, w => /*#__PURE__*/React.createElement(SvgHistogram, {
     buckets: hist,
@@ -1661,6 +1990,174 @@ function SessionsSection({
     color: T.accent
   })))));
 }
+// ── Repères de risque (totaux hebdomadaires) ──────────────────────
+// Santé publique France : « pas plus de 10 verres standard par semaine »,
+// soit 100 g d'alcool pur (verre français de 10 g, quel que soit le verre
+// standard choisi pour l'affichage). OMS (International Guide for
+// Monitoring Alcohol Consumption, 2000) : niveau de risque selon la
+// consommation moyenne par jour, seuils plus bas pour les femmes.
+const SPF_WEEKLY_MAX_G = 100;
+const WHO_RISK_BANDS = {
+  male: [{
+    id: 'low',
+    max: 40
+  }, {
+    id: 'medium',
+    max: 60
+  }, {
+    id: 'high',
+    max: 100
+  }, {
+    id: 'veryHigh',
+    max: Infinity
+  }],
+  female: [{
+    id: 'low',
+    max: 20
+  }, {
+    id: 'medium',
+    max: 40
+  }, {
+    id: 'high',
+    max: 60
+  }, {
+    id: 'veryHigh',
+    max: Infinity
+  }]
+};
+// Libellés : stats.risk.who.<id>.
+const RISK_LEVELS = {
+  none: {
+    tone: 'good'
+  },
+  low: {
+    tone: 'good'
+  },
+  medium: {
+    tone: 'near'
+  },
+  high: {
+    tone: 'over'
+  },
+  veryHigh: {
+    tone: 'over'
+  }
+};
+
+// Total (g) d'une période → moyenne par semaine. Les jours futurs de la
+// période courante ne comptent pas ; sur 7 jours ou moins, le total tel quel
+// (une semaine entamée se compare déjà aux repères).
+function weeklyGramsForPeriod(grams, range, today = new Date()) {
+  const t = new Date(today);
+  t.setHours(0, 0, 0, 0);
+  const last = t < range.end ? t : range.end;
+  const days = Math.max(1, Math.round((last - range.start) / 86400000) + 1);
+  return days <= 7 ? grams : grams * 7 / days;
+}
+
+// → { weeklyGrams, dailyGrams, spf: 'within' | 'above', who: id RISK_LEVELS }
+function weeklyRiskBands(weeklyGrams, gender = 'male') {
+  const g = Math.max(0, Number(weeklyGrams) || 0);
+  const daily = g / 7;
+  const bands = WHO_RISK_BANDS[gender === 'female' ? 'female' : 'male'];
+  return {
+    weeklyGrams: g,
+    dailyGrams: daily,
+    spf: g <= SPF_WEEKLY_MAX_G ? 'within' : 'above',
+    who: g === 0 ? 'none' : bands.find(b => daily <= b.max).id
+  };
+}
+const _riskColor = tone => tone === 'good' ? T.good : tone === 'near' ? T.accent : T.accent2;
+function RiskBandsCard({
+  weeklyGrams,
+  gender,
+  period,
+  sd
+}) {
+  const r = weeklyRiskBands(weeklyGrams, gender);
+  const who = RISK_LEVELS[r.who];
+  const rows = [{
+    id: 'spf',
+    name: t('stats.risk.spf'),
+    value: t(`stats.risk.spf.${r.spf}`),
+    hint: t('stats.risk.spf.hint', {
+      grams: SPF_WEEKLY_MAX_G
+    }),
+    tone: r.spf === 'within' ? 'good' : 'over'
+  }, {
+    id: 'who',
+    name: t('stats.risk.who'),
+    value: t(`stats.risk.who.${r.who}`),
+    hint: t('stats.risk.who.hint', {
+      grams: fmtNumber(r.dailyGrams, 1)
+    }),
+    tone: who.tone
+  }];
+  return /*#__PURE__*/React.createElement(Card, {
+    style: {
+      marginBottom: 12
+    },
+    "aria-label": t('stats.risk.title')
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink,
+      ...type(13, {
+        weight: 500
+      }),
+      marginBottom: 3
+    }
+  }, t('stats.risk.title')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(10.5),
+      marginBottom: 10,
+      ...TYPE.num
+    }
+  }, t(period === 'week' ? 'stats.risk.thisWeek' : 'stats.risk.weeklyAvg'), Math.round(r.weeklyGrams), " g \xB7 ", fmtStdDrinks(r.weeklyGrams, sd), " ", stdDrinkUnitLabel(toStdDrinks(r.weeklyGrams, sd), {
+    sd
+  })), rows.map(row => /*#__PURE__*/React.createElement("div", {
+    key: row.id,
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 10,
+      padding: '7px 0',
+      borderTop: `1px dashed ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    "aria-hidden": "true",
+    style: {
+      width: 8,
+      height: 8,
+      borderRadius: 99,
+      flexShrink: 0,
+      background: _riskColor(row.tone)
+    }
+  }), /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink2,
+      ...type(11.5)
+    }
+  }, row.name), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(10)
+    }
+  }, row.hint)), /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: _riskColor(row.tone),
+      ...type(12, {
+        weight: 600
+      })
+    }
+  }, row.value))));
+}
+
 // ── 1. Général ────────────────────────────────────────────────────
 function GeneralSection({
   drinks,
@@ -1678,8 +2175,10 @@ function GeneralSection({
   streakRecord,
   bourreMs,
   prevBourreMs,
-  bacAvailable = true
+  bacAvailable = true,
+  gender
 }) {
+  const sd = useStandardDrink();
   const hasPrev = prevDrinks != null && prevRange != null;
   const days = Math.max(1, Math.round((range.end - range.start) / 86400000) + 1);
   const prevDays = hasPrev ? Math.max(1, Math.round((prevRange.end - prevRange.start) / 86400000) + 1) : 0;
@@ -1711,27 +2210,31 @@ function GeneralSection({
     // sinon elles seraient calculées avec un poids par défaut donc trompeuses.
     const out = [{
       v: agg.count,
-      l: 'Boissons',
+      l: t('stats.cell.drinks'),
       delta: pctChange(agg.count, prevAgg ? prevAgg.count : null)
     }, ...(bacAvailable ? [{
       v: sessions.length,
-      l: 'Sessions',
+      l: t('stats.section.sessions'),
       delta: pctChange(sessions.length, prevSessions ? prevSessions.length : null)
     }] : []), {
       v: `${(agg.volumeCl / 100).toFixed(1)}L`,
-      l: 'Volume',
+      l: t('stats.cell.volume'),
       delta: pctChange(agg.volumeCl, prevAgg ? prevAgg.volumeCl : null)
     }, {
       v: `${Math.round(agg.grams)}g`,
-      l: 'Alcool pur',
+      l: t('stats.cell.grams'),
+      delta: pctChange(agg.grams, prevAgg ? prevAgg.grams : null)
+    }, {
+      v: fmtStdDrinks(agg.grams, sd),
+      l: t(sd.unit === 'unit' ? 'stats.cell.units' : 'stats.cell.stdDrinks'),
       delta: pctChange(agg.grams, prevAgg ? prevAgg.grams : null)
     }, {
       v: agg.uniqueCount,
-      l: 'Boissons diff.',
+      l: t('stats.cell.unique'),
       delta: pctChange(agg.uniqueCount, prevAgg ? prevAgg.uniqueCount : null)
     }, ...(bacAvailable ? [{
       v: fmtBourreTime(bourreMs),
-      l: 'Temps bourré',
+      l: t('stats.cell.drunkTime'),
       delta: pctChange(bourreMs, prevBourreMs),
       icon: Ic.hourglass
     }] : [])];
@@ -1750,7 +2253,7 @@ function GeneralSection({
       const pct = pctBourreAllTime(sessions, firstTs, now);
       out.push({
         v: `${pct.toFixed(1)}%`,
-        l: '% bourré',
+        l: t('stats.cell.drunkPct'),
         icon: Ic.hourglass
       });
     }
@@ -1759,12 +2262,12 @@ function GeneralSection({
     if (period !== 'today') {
       out.push({
         v: sober,
-        l: 'Jours sobres',
+        l: t('stats.cell.soberDays'),
         delta: pctChange(sober, prevSober)
       });
       out.push({
         v: (agg.count / days).toFixed(1),
-        l: 'Boissons/jour',
+        l: t('stats.cell.perDay'),
         delta: pctChange(agg.count / days, prevDays && prevAgg ? prevAgg.count / prevDays : null)
       });
     }
@@ -1773,12 +2276,12 @@ function GeneralSection({
       const prevWeeks = prevDays ? Math.max(1, prevDays / 7) : 0;
       out.push({
         v: (agg.count / weeks).toFixed(1),
-        l: 'Boissons/sem.',
+        l: t('stats.cell.perWeek'),
         delta: pctChange(agg.count / weeks, prevWeeks && prevAgg ? prevAgg.count / prevWeeks : null)
       });
     }
     return out;
-  }, [agg, prevAgg, sessions, prevSessions, sober, prevSober, bourreMs, prevBourreMs, days, prevDays, period, drinks, bacAvailable]);
+  }, [agg, prevAgg, sessions, prevSessions, sober, prevSober, bourreMs, prevBourreMs, days, prevDays, period, drinks, bacAvailable, sd]);
 
   // Donut: sort categories by descending count so both the arc order
   // and the legend list match the user's mental "biggest first" model.
@@ -1789,20 +2292,24 @@ function GeneralSection({
   const catTotal = React.useMemo(() => catDist.reduce((s, x) => s + x.v, 0), [catDist]);
   return /*#__PURE__*/React.createElement(StatSection, {
     id: "general",
-    title: "Statistiques g\xE9n\xE9rales",
-    sub: "Vue d'ensemble de votre consommation",
+    title: t('stats.section.general'),
+    sub: t('stats.general.sub'),
     collapsed: collapsed,
     toggleSection: toggleSection
   }, streak > 0 && periodIncludesToday && /*#__PURE__*/React.createElement(HeroStatCard, {
     icon: Ic.flame,
-    label: "Streak",
+    label: t('stats.streak'),
     value: streak,
-    suffix: `jour${streak > 1 ? 's' : ''} d'affilée`
+    suffix: t('stats.streak.days', {
+      count: streak
+    })
   }), period === 'all' && streakRecord > 0 && !(streak > 0 && streakRecord === streak) && /*#__PURE__*/React.createElement(HeroStatCard, {
     icon: Ic.flame,
-    label: "Record",
+    label: t('stats.streak.record'),
     value: streakRecord,
-    suffix: `jour${streakRecord > 1 ? 's' : ''} d'affilée`
+    suffix: t('stats.streak.days', {
+      count: streakRecord
+    })
   }), drinks.length > 0 && /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'grid',
@@ -1818,7 +2325,12 @@ function GeneralSection({
     delta: c.delta,
     period: period,
     index: i
-  }))), catDist.length > 0 && /*#__PURE__*/React.createElement(Card, null, /*#__PURE__*/React.createElement("div", {
+  }))), drinks.length > 0 && period !== 'today' && /*#__PURE__*/React.createElement(RiskBandsCard, {
+    weeklyGrams: weeklyGramsForPeriod(agg.grams, range, today),
+    gender: gender,
+    period: period,
+    sd: sd
+  }), catDist.length > 0 && /*#__PURE__*/React.createElement(Card, null, /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.ink,
       fontSize: remSize(13),
@@ -1826,7 +2338,7 @@ function GeneralSection({
       fontWeight: 500,
       marginBottom: 12
     }
-  }, "R\xE9partition par cat\xE9gorie"), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.general.byCategory')), /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'flex',
       alignItems: 'center',
@@ -1886,7 +2398,7 @@ function GeneralSection({
       fontStyle: 'italic',
       fontFamily: fontSerif
     }
-  }, "Aucune donn\xE9e pour cette p\xE9riode")));
+  }, t('stats.noData.period'))));
 }
 
 // Stat tile in the headline grid. Optional `icon` prints a small glyph
@@ -2051,7 +2563,7 @@ function TemporalSection({
   sessions,
   bacAvailable = true
 }) {
-  const dayNames = ['Dim.', 'Lun.', 'Mar.', 'Mer.', 'Jeu.', 'Ven.', 'Sam.'];
+  const dayNames = t('date.daysAbbr');
   // Sur « Jour », les métriques multi-jours n'ont pas de sens (un seul jour
   // de données) : jour de pointe, écart entre sessions et radar hebdo sont
   // masqués — restent l'heure de pointe, la durée de session et le bar horaire.
@@ -2080,15 +2592,14 @@ function TemporalSection({
   };
   const dailyData = React.useMemo(() => {
     const todayDow = new Date().getDay();
-    return ['L', 'M', 'M', 'J', 'V', 'S', 'D'].map((label, i) => {
-      const dow = (i + 1) % 7;
-      return {
-        label,
-        day: dow,
-        v: agg.byDow[dow],
-        today: dow === todayDow
-      };
-    });
+    const narrow = t('date.daysNarrow');
+    // Lundi d'abord ; `day` garde l'index JS (0 = dimanche).
+    return [1, 2, 3, 4, 5, 6, 0].map(dow => ({
+      label: narrow[dow],
+      day: dow,
+      v: agg.byDow[dow],
+      today: dow === todayDow
+    }));
   }, [agg.byDow]);
 
   // Pre-shape hourly data so a parent re-render doesn't allocate a
@@ -2100,10 +2611,10 @@ function TemporalSection({
   if (drinks.length === 0) {
     return /*#__PURE__*/React.createElement(StatSection, {
       id: "temporal",
-      title: "Analyse temporelle",
+      title: t('stats.section.temporal'),
       collapsed: collapsed,
       toggleSection: toggleSection,
-      sub: "R\xE9partition par heures et jours"
+      sub: t('stats.temporal.sub')
     }, /*#__PURE__*/React.createElement(Card, null, /*#__PURE__*/React.createElement("div", {
       style: {
         color: T.muted,
@@ -2114,14 +2625,14 @@ function TemporalSection({
         fontStyle: 'italic',
         fontFamily: fontSerif
       }
-    }, "Aucune donn\xE9e pour cette p\xE9riode")));
+    }, t('stats.noData.period'))));
   }
   return /*#__PURE__*/React.createElement(StatSection, {
     id: "temporal",
-    title: "Analyse temporelle",
+    title: t('stats.section.temporal'),
     collapsed: collapsed,
     toggleSection: toggleSection,
-    sub: "R\xE9partition par heures et jours"
+    sub: t('stats.temporal.sub')
   }, /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'grid',
@@ -2131,16 +2642,18 @@ function TemporalSection({
     }
   }, /*#__PURE__*/React.createElement(MiniStat, {
     big: peakHour != null ? `${peakHour}h` : '—',
-    label: "Heure de pointe"
+    label: t('stats.temporal.peakHour')
   }), multiDay && /*#__PURE__*/React.createElement(MiniStat, {
     big: peakDow != null ? dayNames[peakDow] : '—',
-    label: "Jour de pointe"
+    label: t('stats.temporal.peakDay')
   }), bacAvailable && /*#__PURE__*/React.createElement(MiniStat, {
     big: fmtH(avgDuration),
-    label: "Dur\xE9e moy. session"
+    label: t('stats.temporal.avgSession')
   }), bacAvailable && multiDay && /*#__PURE__*/React.createElement(MiniStat, {
-    big: between > 0 ? `${between.toFixed(1)}j` : '—',
-    label: "Entre sessions"
+    big: between > 0 ? t('stats.daysShort', {
+      n: between.toFixed(1)
+    }) : '—',
+    label: t('stats.temporal.between')
   })), /*#__PURE__*/React.createElement(Card, {
     style: {
       marginBottom: 10
@@ -2153,7 +2666,7 @@ function TemporalSection({
       fontWeight: 500,
       marginBottom: 10
     }
-  }, "Par heure"), /*#__PURE__*/React.createElement(ChartAutoWidth, {
+  }, t('stats.temporal.byHour')), /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 150
   }, w => /*#__PURE__*/React.createElement(SvgBarChart, {
     data: hourlyData,
@@ -2161,7 +2674,7 @@ function TemporalSection({
     height: 150,
     color: T.accent,
     formatX: hourlyFormatX,
-    valueLabel: "boisson(s)"
+    valueLabel: t('stats.valueDrinks')
   }))), multiDay && /*#__PURE__*/React.createElement(Card, null, /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.ink,
@@ -2170,14 +2683,14 @@ function TemporalSection({
       fontWeight: 500,
       marginBottom: 4
     }
-  }, "Par jour de la semaine"), /*#__PURE__*/React.createElement(ChartAutoWidth, {
+  }, t('stats.temporal.byDay')), /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 250,
     maxWidth: 300
   }, w => /*#__PURE__*/React.createElement(SvgRadar, {
     data: dailyData,
     size: w,
     color: T.good,
-    valueLabel: "boisson(s)"
+    valueLabel: t('stats.valueDrinks')
   }))));
 }
 
@@ -2194,7 +2707,7 @@ function DeltaBadge({
   const bg = positive == null ? T.surface2 : positive ? T.deltaPosBg : T.deltaNegBg;
   const value = `${Math.abs(delta).toFixed(0)}%`;
   const arrowIcon = flat ? Ic.trendFlat : rising ? Ic.trendUp : Ic.trendDown;
-  const ariaDir = flat ? 'stable' : rising ? 'hausse' : 'baisse';
+  const ariaDir = flat ? 'flat' : rising ? 'up' : 'down';
   return /*#__PURE__*/React.createElement("div", {
     style: {
       position: 'absolute',
@@ -2214,7 +2727,9 @@ function DeltaBadge({
       border: `1px solid ${withAlpha(fg, 0.18)}`,
       lineHeight: 1
     },
-    "aria-label": `${ariaDir} de ${value} vs période précédente`
+    "aria-label": t(`stats.delta.${ariaDir}`, {
+      value
+    })
   }, /*#__PURE__*/React.createElement(SvgIcon, {
     icon: arrowIcon,
     size: 9
@@ -2261,6 +2776,7 @@ function CategorySection({
   collapsed,
   toggleSection
 }) {
+  const sd = useStandardDrink();
   const byCat = React.useMemo(() => {
     const map = {};
     for (const d of drinks) {
@@ -2269,14 +2785,16 @@ function CategorySection({
         name: cat,
         count: 0,
         volumeCl: 0,
+        grams: 0,
         abvSum: 0,
         abvN: 0,
         names: {}
       };
       const e = map[cat];
       e.count++;
-      const cl = toCl(d.quantity, d.unit);
+      const cl = drinkCl(d);
       e.volumeCl += cl;
+      e.grams += ethanolGrams(cl, d.alcoholContent);
       if (d.alcoholContent) {
         e.abvSum += d.alcoholContent;
         e.abvN++;
@@ -2301,10 +2819,10 @@ function CategorySection({
   if (byCat.length === 0) {
     return /*#__PURE__*/React.createElement(StatSection, {
       id: "category",
-      title: "Analyse par cat\xE9gorie",
+      title: t('stats.section.category'),
       collapsed: collapsed,
       toggleSection: toggleSection,
-      sub: "Statistiques par type de boisson"
+      sub: t('stats.category.sub')
     }, /*#__PURE__*/React.createElement(Card, null, /*#__PURE__*/React.createElement("div", {
       style: {
         color: T.muted,
@@ -2315,14 +2833,14 @@ function CategorySection({
         fontStyle: 'italic',
         fontFamily: fontSerif
       }
-    }, "Aucune donn\xE9e")));
+    }, t('stats.noData'))));
   }
   return /*#__PURE__*/React.createElement(StatSection, {
     id: "category",
-    title: "Analyse par cat\xE9gorie",
+    title: t('stats.section.category'),
     collapsed: collapsed,
     toggleSection: toggleSection,
-    sub: "Statistiques par type de boisson"
+    sub: t('stats.category.sub')
   }, /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'grid',
@@ -2374,18 +2892,24 @@ function CategorySection({
         gap: '5px 14px'
       }
     }, /*#__PURE__*/React.createElement(StatRow, {
-      label: "Volume",
+      label: t('stats.cell.volume'),
       value: `${(c.volumeCl / 100).toFixed(1)}L`
     }), /*#__PURE__*/React.createElement(StatRow, {
-      label: "Volume moyen",
+      label: t('stats.category.avgVolume'),
       value: `${avgVol.toFixed(2)}L`
     }), /*#__PURE__*/React.createElement(StatRow, {
-      label: "Degr\xE9 moyen",
+      label: t('stats.category.avgAbv'),
       value: `${avgAbv.toFixed(1)}%`
     }), /*#__PURE__*/React.createElement(StatRow, {
-      label: "Favorite",
+      label: t('stats.category.favorite'),
       value: fav ? fav.name : '—',
       truncate: true
+    }), /*#__PURE__*/React.createElement(StatRow, {
+      label: t('stats.cell.grams'),
+      value: `${Math.round(c.grams)}g`
+    }), /*#__PURE__*/React.createElement(StatRow, {
+      label: t(sd.unit === 'unit' ? 'stats.cell.units' : 'stats.cell.stdDrinks'),
+      value: fmtStdDrinks(c.grams, sd)
     })));
   })));
 }
@@ -2429,6 +2953,7 @@ function TopDrinksSection({
   toggleSection
 }) {
   const ratings = useRatings();
+  const sd = useStandardDrink();
   const top = React.useMemo(() => {
     const map = {};
     for (const d of drinks) {
@@ -2441,12 +2966,15 @@ function TopDrinksSection({
           name: (d.name || '').trim(),
           count: 0,
           volumeCl: 0,
+          grams: 0,
           lastDate: null
         };
       }
       const e = map[key];
       e.count++;
-      e.volumeCl += toCl(d.quantity, d.unit);
+      const cl = drinkCl(d);
+      e.volumeCl += cl;
+      e.grams += ethanolGrams(cl, d.alcoholContent);
       if (!e.lastDate || (d.date || '') > e.lastDate) e.lastDate = d.date;
     }
     return Object.values(map).sort((a, b) => b.count - a.count).slice(0, 10);
@@ -2454,10 +2982,10 @@ function TopDrinksSection({
   if (top.length === 0) {
     return /*#__PURE__*/React.createElement(StatSection, {
       id: "top",
-      title: "Top 10 des boissons",
+      title: t('stats.top.title'),
       collapsed: collapsed,
       toggleSection: toggleSection,
-      sub: "Vos boissons les plus consomm\xE9es"
+      sub: t('stats.top.sub')
     }, /*#__PURE__*/React.createElement(Card, null, /*#__PURE__*/React.createElement("div", {
       style: {
         color: T.muted,
@@ -2468,14 +2996,14 @@ function TopDrinksSection({
         fontStyle: 'italic',
         fontFamily: fontSerif
       }
-    }, "Aucune donn\xE9e")));
+    }, t('stats.noData'))));
   }
   return /*#__PURE__*/React.createElement(StatSection, {
     id: "top",
-    title: "Top 10 des boissons",
+    title: t('stats.top.title'),
     collapsed: collapsed,
     toggleSection: toggleSection,
-    sub: "Vos boissons les plus consomm\xE9es"
+    sub: t('stats.top.sub')
   }, /*#__PURE__*/React.createElement(Card, {
     style: {
       padding: '4px 4px'
@@ -2537,7 +3065,11 @@ function TopDrinksSection({
       letterSpacing: tracking(10.5),
       fontFamily: fontNum
     }
-  }, d.count, " fois \xB7 ", (d.volumeCl / 100).toFixed(2), "L \xB7 ", fmtDateMedium(d.lastDate))), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.top.times', {
+    count: d.count
+  }), " \xB7 ", (d.volumeCl / 100).toFixed(2), "L \xB7 ", fmtStdDrinks(d.grams, sd), " ", stdDrinkUnitLabel(toStdDrinks(d.grams, sd), {
+    sd
+  }), " \xB7 ", fmtDateMedium(d.lastDate))), /*#__PURE__*/React.createElement("div", {
     style: {
       fontFamily: fontNum,
       color: T.accent,
@@ -2548,12 +3080,13 @@ function TopDrinksSection({
   }, d.count)))));
 }
 // ── 5. Alcoolémie (BAC + records) ────────────────────────────────
-// Seuil légal de conduite affiché partout (0,5 g/L = 500 mg/L). Constante
-// nommée du moteur BAC, partagée par la cellule « Conduite » et les calculs.
-const BAC_LEGAL_LIMIT = 500;
+// Pas de seuil légal ici : il vient du profil de conduite (shared.jsx ›
+// BAC_PROFILES, bacLegalLimit) et les calculs le reçoivent toujours en
+// paramètre — pas de repli silencieux sur la France.
 
 // Courbe BAC temps réel (fenêtre 48 h) — MÊME modèle que computeBACSessions :
-// absorption linéaire sur BAC_ABSORPTION_H, élimination constante, et marche
+// absorption linéaire sur la fenêtre de chaque verre (BAC_ABSORPTION_H à
+// jeun, plus longue après un repas), élimination constante, et marche
 // exacte des points de rupture avec CLAMP À ZÉRO (l'élimination s'arrête quand
 // le taux touche 0). L'ancienne forme fermée
 //   max(0, Σ absorbé(t) − elim·(t − t_première))
@@ -2568,13 +3101,15 @@ const BAC_LEGAL_LIMIT = 500;
 //   current   : taux maintenant (mg/L, arrondi).
 //   soberInH  : heures avant le retour FINAL à 0 (tient compte de
 //               l'absorption en cours : le taux peut encore monter) ; 0 si sobre.
-//   legalInH  : heures avant de repasser définitivement sous BAC_LEGAL_LIMIT.
+//   legalInH  : heures avant de repasser définitivement sous `legalLimit`
+//               (mg/L, seuil du profil de conduite) ; null sans seuil.
 //   sobrietyT : instant (h, rel. maintenant) du retour final à 0 ; firstT :
 //               première boisson de la fenêtre.
-function computeBacOverTime(drinks, weight, gender) {
-  const r = widmarkR(gender);
-  const w = weight || DEFAULT_WEIGHT_KG;
-  const elimRate = BAC_ELIM_RATE; // mg/L/h elimination (constante partagée du moteur BAC)
+function computeBacOverTime(drinks, model = makeBacModel(), {
+  legalLimit
+} = {}) {
+  const elimRate = model.elimRate; // mg/L/h elimination (constante partagée du moteur BAC)
+  const hasLimit = Number.isFinite(legalLimit);
   const now = Date.now();
   // 48 h (et non 24) : une session marathon à cheval sur plus d'une journée
   // (festival…) serait tronquée par une fenêtre de 24 h — l'épisode courant
@@ -2593,7 +3128,7 @@ function computeBacOverTime(drinks, weight, gender) {
       elimRate,
       nowT: 0,
       soberInH: 0,
-      legalInH: 0
+      legalInH: hasLimit ? 0 : null
     };
   }
 
@@ -2601,15 +3136,18 @@ function computeBacOverTime(drinks, weight, gender) {
   // fin (−pic/T_abs) de la fenêtre d'absorption de chaque boisson.
   const bps = [];
   for (const d of recent) {
-    const peak = drinkAlcoholGrams(d) * 1000 / (w * r);
+    const {
+      peak,
+      absH
+    } = model.pulse(d);
     const h0 = (d._ts - now) / 3600_000; // heures relatives à maintenant (≤ 0)
     bps.push({
       h: h0,
-      dr: peak / BAC_ABSORPTION_H
+      dr: peak / absH
     });
     bps.push({
-      h: h0 + BAC_ABSORPTION_H,
-      dr: -peak / BAC_ABSORPTION_H
+      h: h0 + absH,
+      dr: -peak / absH
     });
   }
   bps.sort((a, b) => a.h - b.h);
@@ -2699,9 +3237,9 @@ function computeBacOverTime(drinks, weight, gender) {
     return null;
   };
   const zeroH = lastDropBelow(0);
-  const legalH = lastDropBelow(BAC_LEGAL_LIMIT);
+  const legalH = hasLimit ? lastDropBelow(legalLimit) : null;
   const soberInH = zeroH != null ? Math.max(0, zeroH) : 0;
-  const legalInH = legalH != null ? Math.max(0, legalH) : 0;
+  const legalInH = hasLimit ? legalH != null ? Math.max(0, legalH) : 0 : null;
 
   // Début du DERNIER épisode (≤ maintenant) : dernier sommet à 0 suivi d'une
   // montée. La courbe affichée démarre là — un épisode de la veille déjà
@@ -2764,10 +3302,8 @@ function computeBacOverTime(drinks, weight, gender) {
 // which the projected curve first reaches that peak — `null` if the
 // projection never gets there (which the chart renders as an "∞" marker
 // pinned to the right edge).
-function computeBacForecast(currentBac, allSessions, weight, gender, nowMs, futurePoints = []) {
-  const r = widmarkR(gender);
-  const w = weight || DEFAULT_WEIGHT_KG;
-  const elimRate = BAC_ELIM_RATE; // mg/L/h, shared with the rest of the BAC engine
+function computeBacForecast(currentBac, allSessions, model, nowMs, futurePoints = []) {
+  const elimRate = model.elimRate; // mg/L/h, shared with the rest of the BAC engine
 
   const sessions = (allSessions || []).filter(s => s && s.drinks && s.drinks.length > 0);
   // The ongoing session is the one whose BAC window contains "now"
@@ -2821,8 +3357,11 @@ function computeBacForecast(currentBac, allSessions, weight, gender, nowMs, futu
   // history → assume they stop now and only the elimination tail shows.
   const estStopMs = meanDrinkingMs != null ? Math.max(nowMs, sessionStartMs + meanDrinkingMs) : nowMs;
 
-  // Injection rate of the EXTRA (still-to-come) drinking, at the current pace.
-  const consumptionSlope = currentRateGph * 1000 / (w * r); // mg/L/h
+  // Injection rate of the EXTRA (still-to-come) drinking, at the current pace
+  // — assumed on the same stomach as the last drink poured.
+  const lastPoured = poured[poured.length - 1];
+  const bio = bacFoodState(lastPoured && lastPoured.food).bioavailability;
+  const consumptionSlope = currentRateGph * bio * 1000 / (model.weight * model.r); // mg/L/h
   const tStopH = Math.max(0, (estStopMs - nowMs) / 3600_000);
 
   // Projection by the SAME exact breakpoint walk as the BAC engine, starting
@@ -2840,14 +3379,20 @@ function computeBacForecast(currentBac, allSessions, weight, gender, nowMs, futu
   const fbps = [];
   let rate0 = 0; // active absorption rate at t=0 (mg/L/h)
   for (const d of poured) {
-    const peak = (d._grams || 0) * 1000 / (w * r);
-    const endRelH = (d._ts - nowMs) / 3600_000 + BAC_ABSORPTION_H; // absorption end
+    const {
+      peak,
+      absH
+    } = d._peak != null && d._absH ? {
+      peak: d._peak,
+      absH: d._absH
+    } : model.pulse(d);
+    const endRelH = (d._ts - nowMs) / 3600_000 + absH; // absorption end
     if (endRelH > 1e-9) {
       // still absorbing at now
-      rate0 += peak / BAC_ABSORPTION_H;
+      rate0 += peak / absH;
       fbps.push({
         h: endRelH,
-        dr: -peak / BAC_ABSORPTION_H
+        dr: -peak / absH
       });
     }
     // fully absorbed before now → already baked into currentBac.
@@ -3010,29 +3555,176 @@ function BacProvider({
     drinks
   } = useDrinks();
   const settings = useSettings();
+  const legalLimit = bacLegalLimit(useBacDisplay());
   const [bacTick, setBacTick] = React.useState(0);
   React.useEffect(() => {
     const id = setInterval(() => setBacTick(t => t + 1), 60_000);
     return () => clearInterval(id);
   }, []);
   const bacInfo = React.useMemo(() => {
-    const w = Number(settings.userWeight) || DEFAULT_WEIGHT_KG;
-    const g = settings.userGender || 'male';
     if (typeof computeBacOverTime !== 'function') return {
       current: 0,
       points: [],
       drinks: []
     };
-    return computeBacOverTime(drinks, w, g);
+    return computeBacOverTime(drinks, bacModelFromSettings(settings), {
+      legalLimit
+    });
     // bacTick is an intentional dep: it keeps the value decaying live even
-    // when neither the drinks nor the Widmark settings change.
+    // when neither the drinks nor the BAC profile settings change.
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [drinks, settings.userWeight, settings.userGender, bacTick]);
+  }, [drinks, settings.bacModel, settings.userWeight, settings.userGender, settings.userAge, settings.userHeight, settings.bacCalibration, legalLimit, bacTick]);
   return /*#__PURE__*/React.createElement(BacContext.Provider, {
     value: bacInfo
   }, children);
 }
 
+// ── Alertes BAC (notifications locales) ──────────────────────────
+// Planifiées sur la MÊME courbe que la pastille (BacProvider) : « sous le
+// seuil » à legalInH, « sobre » à soberInH. Transport : data.jsx ›
+// scheduleNotifications (service worker). La plage silencieuse
+// (settings notify.quietStart / notify.quietEnd) écarte les alertes
+// programmées qui y tomberaient ; l'alerte de pic, elle, répond à un verre
+// que l'on vient de saisir — personne n'est réveillé par elle.
+const BAC_NOTIFY_TAGS = {
+  legal: 'alconote-bac-legal',
+  sober: 'alconote-bac-sober',
+  peak: 'alconote-bac-peak'
+};
+const _hmToMinutes = s => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(s || '');
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+const _clockHM = ms => {
+  const d = new Date(ms);
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+};
+function quietHoursFromSettings(settings) {
+  return {
+    start: settings && settings['notify.quietStart'] || null,
+    end: settings && settings['notify.quietEnd'] || null
+  };
+}
+
+// `ms` dans la plage [start, end[ (heure locale) ? Franchit minuit quand
+// start > end (23:00 → 07:00). Plage incomplète ou vide → jamais.
+function isQuietTime(ms, quiet) {
+  const start = _hmToMinutes(quiet && quiet.start);
+  const end = _hmToMinutes(quiet && quiet.end);
+  if (start == null || end == null || start === end) return false;
+  const d = new Date(ms);
+  const m = d.getHours() * 60 + d.getMinutes();
+  return start < end ? m >= start && m < end : m >= start || m < end;
+}
+
+// Pic à venir (t ≥ maintenant) de la courbe → { t, bac } ou null.
+function bacUpcomingPeak(bacInfo) {
+  let best = null;
+  for (const p of bacInfo && bacInfo.points || []) {
+    if (p.t >= -1e-9 && (!best || p.bac > best.bac)) best = p;
+  }
+  return best;
+}
+
+// Lot programmé → [{ tag, at (ms), title, body }], trié par instant. Avec
+// un seuil à 0 (profil zéro tolérance) « sous le seuil » = « sobre » : une
+// seule alerte.
+function planBacNotifications(bacInfo, {
+  legalLimit,
+  unit,
+  now = Date.now(),
+  quiet
+} = {}) {
+  const out = [];
+  const push = (tag, inH, body) => {
+    if (!(inH > 0)) return;
+    const at = Math.round(now + inH * 3600_000);
+    if (isQuietTime(at, quiet)) return;
+    out.push({
+      tag,
+      at,
+      title: 'AlcoNote',
+      body: body(_clockHM(at))
+    });
+  };
+  if (legalLimit > 0 && bacInfo.legalInH < bacInfo.soberInH) {
+    push(BAC_NOTIFY_TAGS.legal, bacInfo.legalInH, hm => t('stats.notify.legal', {
+      limit: `${fmtBac(legalLimit, unit)} ${bacUnitLabel(unit)}`,
+      time: hm
+    }));
+  }
+  push(BAC_NOTIFY_TAGS.sober, bacInfo.soberInH, hm => t('stats.notify.sober', {
+    time: hm
+  }));
+  return out;
+}
+
+// Alerte immédiate quand un verre fait passer le pic À VENIR au-dessus du
+// seuil (il ne l'était pas avant ce verre). null sinon.
+function bacPeakWarning(before, after, {
+  legalLimit,
+  unit,
+  now = Date.now()
+} = {}) {
+  const prev = bacUpcomingPeak(before),
+    next = bacUpcomingPeak(after);
+  if (!next || !(next.bac > legalLimit)) return null;
+  if (prev && prev.bac > legalLimit) return null;
+  return {
+    tag: BAC_NOTIFY_TAGS.peak,
+    at: now,
+    title: 'AlcoNote',
+    body: t('stats.notify.peak', {
+      bac: `${fmtBac(next.bac, unit)} ${bacUnitLabel(unit)}`,
+      time: _clockHM(now + next.t * 3600_000)
+    })
+  };
+}
+
+// Re-planifie à chaque rechargement des verres (chaque bump 'drinks') et
+// à chaque changement de réglage — pas au tick de 60 s : les instants sont
+// absolus. Monté une seule fois, sous le BacProvider de l'app (jamais pour
+// la vue d'un ami). Une annulation (section BAC) vaut jusqu'au verre suivant.
+function BacNotifier() {
+  const {
+    drinks,
+    loading
+  } = useDrinks();
+  const settings = useSettings();
+  const bacInfo = useBacInfo();
+  const display = useBacDisplay();
+  const legalLimit = bacLegalLimit(display);
+  const enabled = settings.notifications === true;
+  const quiet = quietHoursFromSettings(settings);
+  const infoRef = React.useRef(bacInfo);
+  infoRef.current = bacInfo;
+  const prevDrinksRef = React.useRef(null);
+  React.useEffect(() => {
+    if (loading) return;
+    const prev = prevDrinksRef.current;
+    prevDrinksRef.current = drinks;
+    if (!enabled) {
+      cancelScheduledNotifications();
+      return;
+    }
+    const opts = {
+      legalLimit,
+      unit: display.unit,
+      quiet
+    };
+    scheduleNotifications(planBacNotifications(infoRef.current, opts));
+    if (prev && drinks.length > prev.length) {
+      const before = computeBacOverTime(prev, bacModelFromSettings(settings), {
+        legalLimit
+      });
+      const warning = bacPeakWarning(before, infoRef.current, opts);
+      if (warning) showNotificationNow(warning);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [drinks, loading, enabled, legalLimit, display.unit, quiet.start, quiet.end, settings.bacModel, settings.userWeight, settings.userGender, settings.userAge, settings.userHeight, settings.bacCalibration]);
+  return null;
+}
+
 // Wraps SvgBACProjection in a width-measured container so the viewBox
 // matches actual pixel dimensions. Eliminates preserveAspectRatio
 // whitespace and prevents truncation of axis/threshold labels.
@@ -3045,7 +3737,10 @@ function BacProvider({
 // narrowest phone screens we support.
 const bacChartHeight = width => Math.max(180, Math.min(240, Math.round(width * 0.6)));
 function BACProjectionResponsive({
-  points
+  points,
+  legalLimit,
+  unit,
+  readings
 }) {
   return /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 180
@@ -3053,7 +3748,10 @@ function BACProjectionResponsive({
     points: points,
     width: width,
     height: bacChartHeight(width),
-    nowMs: Date.now()
+    nowMs: Date.now(),
+    legalLimit: legalLimit,
+    unit: unit,
+    readings: readings
   }));
 }
 function BACForecastResponsive({
@@ -3061,7 +3759,9 @@ function BACForecastResponsive({
   projectedPoints,
   meanPeakBac,
   etaPeakHours,
-  truncated
+  truncated,
+  legalLimit,
+  unit
 }) {
   return /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 180
@@ -3073,7 +3773,9 @@ function BACForecastResponsive({
     truncated: truncated,
     width: width,
     height: bacChartHeight(width),
-    nowMs: Date.now()
+    nowMs: Date.now(),
+    legalLimit: legalLimit,
+    unit: unit
   }));
 }
 
@@ -3111,7 +3813,7 @@ function ForecastToggle({
   }, label);
   return /*#__PURE__*/React.createElement("div", {
     role: "group",
-    "aria-label": "Affichage de la pr\xE9vision",
+    "aria-label": t('stats.forecast.toggleAria'),
     style: {
       display: 'flex',
       gap: 2,
@@ -3121,7 +3823,319 @@ function ForecastToggle({
       border: `1px solid ${T.rule}`,
       flexShrink: 0
     }
-  }, pill(enabled, 'Affichée', () => onChange(true)), pill(!enabled, 'Masquée', () => onChange(false)));
+  }, pill(enabled, t('stats.forecast.shown'), () => onChange(true)), pill(!enabled, t('stats.forecast.hidden'), () => onChange(false)));
+}
+
+// État d'estomac de la session en cours : appliqué à tous ses verres (et
+// repris par les suivants, cf. data.jsx › addDrink). Segmenté radio, comme
+// UnitToggle.
+function FoodToggle({
+  value,
+  onChange
+}) {
+  return /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('stats.food.aria'),
+    style: {
+      display: 'flex',
+      gap: 4,
+      padding: 3,
+      background: T.surface2,
+      borderRadius: 10,
+      border: `1px solid ${T.rule}`
+    }
+  }, Object.values(BAC_FOOD_STATES).map(f => {
+    const on = value === f.id;
+    return /*#__PURE__*/React.createElement("button", {
+      key: f.id,
+      type: "button",
+      role: "radio",
+      "aria-checked": on,
+      className: "alco-press",
+      onClick: () => {
+        if (!on) {
+          haptic('select');
+          onChange(f.id);
+        }
+      },
+      style: {
+        flex: 1,
+        padding: '7px 0',
+        borderRadius: 7,
+        textAlign: 'center',
+        cursor: 'pointer',
+        ...type(11, {
+          weight: on ? 600 : 400
+        }),
+        background: on ? T.ink : 'transparent',
+        color: on ? T.bg : T.ink2,
+        minWidth: 0,
+        touchAction: 'manipulation',
+        border: 'none',
+        fontFamily: 'inherit'
+      }
+    }, t(f.label));
+  }));
+}
+
+// Mesures d'éthylotest : saisie (valeur + unité + heure, du jour ou de la
+// veille si l'heure est à venir), trois dernières mesures, et état du
+// calibrage personnel qu'elles alimentent (data.jsx › refitBacCalibration).
+function BreathalyzerCard({
+  readings,
+  calibration,
+  unit
+}) {
+  const [value, setValue] = React.useState('');
+  const [readingUnit, setReadingUnit] = React.useState('air');
+  const [time, setTime] = React.useState(() => localTime(new Date()));
+  const [busy, setBusy] = React.useState(false);
+  const cal = calibration && Number.isFinite(calibration.r) ? calibration : null;
+  const missing = Math.max(0, BAC_CAL_MIN_READINGS - (readings || []).filter(r => r.ts > (calibration && calibration.since || 0)).length);
+  const onAdd = async () => {
+    const at = new Date(`${localDate(new Date())}T${time}`);
+    if (at.getTime() > Date.now()) at.setDate(at.getDate() - 1);
+    setBusy(true);
+    try {
+      await addBacReading({
+        ts: at.getTime(),
+        value,
+        unit: readingUnit
+      });
+      setValue('');
+      Toast.show(t('stats.reading.saved'));
+    } catch (e) {
+      Toast.show(e.message === t('data.error.reading') ? e.message : t('stats.reading.saveError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const onReset = async () => {
+    const ok = await Confirm.ask({
+      title: t('stats.calibration.reset.title'),
+      message: t('stats.calibration.reset.message'),
+      confirmText: t('stats.calibration.reset')
+    });
+    if (ok) await resetBacCalibration();
+  };
+  const recent = (readings || []).slice(-3).reverse();
+  return /*#__PURE__*/React.createElement(Card, {
+    style: {
+      marginBottom: 10
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink,
+      ...type(12.5, {
+        weight: 500
+      }),
+      marginBottom: 10
+    }
+  }, t('stats.reading.title')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 8,
+      alignItems: 'center',
+      marginBottom: 8
+    }
+  }, /*#__PURE__*/React.createElement(NumberField, {
+    value: value,
+    onChange: setValue,
+    ariaLabel: t('stats.reading.valueAria'),
+    placeholder: readingUnit === 'air' ? '0,25' : '0,50',
+    style: {
+      width: 72,
+      padding: '8px 10px',
+      ...type(13),
+      textAlign: 'right',
+      borderRadius: 8
+    }
+  }), /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('stats.reading.unitAria'),
+    style: {
+      display: 'flex',
+      gap: 4,
+      padding: 3,
+      background: T.surface2,
+      borderRadius: 10,
+      border: `1px solid ${T.rule}`
+    }
+  }, Object.entries(BAC_READING_UNITS).map(([id, u]) => /*#__PURE__*/React.createElement("button", {
+    key: id,
+    type: "button",
+    role: "radio",
+    "aria-checked": readingUnit === id,
+    onClick: () => setReadingUnit(id),
+    style: {
+      flex: 1,
+      padding: '7px 0',
+      borderRadius: 7,
+      textAlign: 'center',
+      whiteSpace: 'nowrap',
+      ...type(11, {
+        weight: readingUnit === id ? 600 : 400
+      }),
+      cursor: 'pointer',
+      background: readingUnit === id ? T.ink : 'transparent',
+      color: readingUnit === id ? T.bg : T.ink2,
+      border: 'none',
+      fontFamily: 'inherit'
+    }
+  }, t(u.label)))))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: 8,
+      alignItems: 'center',
+      marginBottom: recent.length ? 10 : 8
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1
+    }
+  }, /*#__PURE__*/React.createElement(TimeField, {
+    value: time,
+    onChange: setTime,
+    ariaLabel: t('stats.reading.timeAria')
+  })), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: onAdd,
+    disabled: busy || !value,
+    style: {
+      border: 'none',
+      fontFamily: 'inherit',
+      cursor: 'pointer',
+      background: T.accent,
+      color: T.accentInk,
+      ...type(12, {
+        weight: 600
+      }),
+      padding: '10px 14px',
+      borderRadius: 10,
+      opacity: busy || !value ? 0.5 : 1
+    }
+  }, t('stats.reading.add'))), recent.map((r, i) => /*#__PURE__*/React.createElement("div", {
+    key: r.id,
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 10,
+      padding: '6px 0',
+      borderTop: i === 0 ? 'none' : `1px dashed ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink2,
+      ...type(11),
+      ...TYPE.num,
+      flex: 1
+    }
+  }, fmtDateMedium(localDate(new Date(r.ts))), " \xB7 ", localTime(new Date(r.ts))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.ink,
+      ...type(12),
+      ...TYPE.num
+    }
+  }, fmtBac(r.bac, unit), " ", bacUnitLabel(unit)), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    "aria-label": t('stats.reading.deleteAria'),
+    onClick: () => deleteBacReading(r.id),
+    style: {
+      ...ghostButton,
+      padding: 4,
+      display: 'flex'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.trash,
+    size: 13,
+    color: T.muted
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: 10,
+      marginTop: 6,
+      paddingTop: 8,
+      borderTop: `1px solid ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(10.5),
+      lineHeight: 1.45
+    }
+  }, cal ? t('stats.calibration.fitted', {
+    elim: cal.elimRate,
+    r: fmtNumber(cal.r, 2),
+    n: cal.n,
+    confidence: t((BAC_CAL_CONFIDENCE[cal.confidence] || BAC_CAL_CONFIDENCE.low).label)
+  }) : missing > 0 ? t('stats.calibration.missing', {
+    count: missing
+  }) : t('stats.calibration.default')), cal && /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: onReset,
+    style: {
+      ...ghostButton,
+      color: T.accent,
+      ...type(11, {
+        weight: 600
+      }),
+      flexShrink: 0
+    }
+  }, t('stats.calibration.reset'))));
+}
+
+// Alertes BAC programmées (BacNotifier). « Annuler » vaut jusqu'au verre
+// suivant, qui re-planifie.
+function ScheduledAlertsRow() {
+  const items = useScheduledNotifications();
+  if (!items.length) return null;
+  return /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: 10,
+      marginTop: 10,
+      paddingTop: 8,
+      borderTop: `1px solid ${T.rule}`
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 6,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.bell,
+    size: 12,
+    color: T.muted
+  }), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...type(10.5),
+      lineHeight: 1.45
+    }
+  }, items.map(n => n.body).join(' · '))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    "aria-label": t('stats.alerts.cancelAria'),
+    onClick: cancelScheduledNotifications,
+    style: {
+      ...ghostButton,
+      color: T.accent,
+      ...type(11, {
+        weight: 600
+      }),
+      flexShrink: 0
+    }
+  }, t('common.cancel')));
 }
 
 // 2×2 grid of small stats summarising the forecast: current g/h rate,
@@ -3130,12 +4144,13 @@ function ForecastToggle({
 // the user has no past sessions yet.
 function ForecastMiniStats({
   forecast,
-  fmtTime
+  fmtTime,
+  unit
 }) {
   const rate = forecast.hasCurrentSession ? `${forecast.currentRateGph.toFixed(1)} g/h` : '—';
   const duration = forecast.meanDrinkingMs != null ? fmtTime(forecast.meanDrinkingMs / 3600_000) : '—';
-  const peak = forecast.meanPeakBac != null ? `${Math.round(forecast.meanPeakBac)}` : '—';
-  const eta = forecast.etaPeakHours === 0 ? 'maintenant' : forecast.etaPeakHours != null ? fmtTime(forecast.etaPeakHours) : forecast.meanPeakBac != null && forecast.hasCurrentSession ? '∞' : '—';
+  const peak = forecast.meanPeakBac != null ? fmtBac(forecast.meanPeakBac, unit) : '—';
+  const eta = forecast.etaPeakHours === 0 ? t('stats.forecast.now') : forecast.etaPeakHours != null ? fmtTime(forecast.etaPeakHours) : forecast.meanPeakBac != null && forecast.hasCurrentSession ? '∞' : '—';
   const item = (icon, label, value, unit) => /*#__PURE__*/React.createElement("div", {
     style: {
       background: T.surface3,
@@ -3191,7 +4206,7 @@ function ForecastMiniStats({
       gap: 6,
       marginBottom: 10
     }
-  }, item(Ic.flame, 'Rythme', rate, null), item(Ic.hourglass, 'Durée moy', duration, null), item(Ic.star, 'Peak moy', peak, 'mg/L'), item(Ic.clock, 'ETA peak', eta, null));
+  }, item(Ic.flame, t('stats.forecast.rate'), rate, null), item(Ic.hourglass, t('stats.forecast.avgDuration'), duration, null), item(Ic.star, t('stats.forecast.avgPeak'), peak, bacUnitLabel(unit)), item(Ic.clock, t('stats.forecast.eta'), eta, null));
 }
 function BACSection({
   collapsed,
@@ -3200,10 +4215,18 @@ function BACSection({
   sessions,
   prevSessions,
   period,
-  weight,
-  gender
+  bacModel,
+  readOnly,
+  settings
 }) {
   const bacInfo = useBacInfo();
+  // Mesures d'éthylotest : les MIENNES seulement (jamais sur la vue d'un ami).
+  const allReadings = useBacReadings();
+  const readings = readOnly ? [] : allReadings;
+  const calibration = React.useMemo(() => parseBacCalibration(settings && settings.bacCalibration), [settings && settings.bacCalibration]);
+  const display = useBacDisplay();
+  const legalLimit = bacLegalLimit(display);
+  const unit = display.unit;
   const currentBAC = bacInfo.current || 0;
   const level = bacLevel(currentBAC);
 
@@ -3227,7 +4250,22 @@ function BACSection({
   // to enable display. Seeded with the REAL future curve of already-logged
   // drinks (bacInfo.points, t ≥ 0) so the projection follows the genuine
   // in-flight absorption instead of plunging right after a drink is logged.
-  const forecast = React.useMemo(() => computeBacForecast(currentBAC, allSessions, weight, gender, Date.now(), (bacInfo.points || []).filter(p => p.t >= -1e-9)), [currentBAC, allSessions, weight, gender, bacInfo.points]);
+  const forecast = React.useMemo(() => computeBacForecast(currentBAC, allSessions, bacModel, Date.now(), (bacInfo.points || []).filter(p => p.t >= -1e-9)), [currentBAC, allSessions, bacModel, bacInfo.points]);
+  // Session en cours (même définition que la prévision) : cible du toggle
+  // « Repas ». Son état = celui du verre le plus récent.
+  const ongoing = React.useMemo(() => {
+    const now = Date.now();
+    return (allSessions || []).find(s => s.startTs <= now && s.endTs >= now) || null;
+  }, [allSessions, bacInfo]);
+  const ongoingFood = ongoing ? bacFoodState(ongoing.drinks[ongoing.drinks.length - 1].food).id : 'fasted';
+  const onFood = async food => {
+    try {
+      await setDrinksFood(ongoing.drinks.map(d => d.id), food);
+    } catch (e) {
+      Toast.show(t('stats.food.saveError'));
+    }
+  };
+
   // Clip the realized curve to the ongoing session so "Prévision de
   // session" shows only the current episode + its projection, not the
   // last 24 h of unrelated (already-sober) sessions.
@@ -3240,8 +4278,9 @@ function BACSection({
   // l'absorption en cours — le taux peut encore MONTER avant de redescendre,
   // ce que l'ancienne division `currentBAC / élimination` ignorait (sobriété
   // sous-estimée de toute la montée restante juste après une boisson).
-  const hoursToSober = bacInfo.soberInH != null ? bacInfo.soberInH : currentBAC / BAC_ELIM_RATE;
-  const hoursToLegal = bacInfo.legalInH != null ? bacInfo.legalInH : Math.max(0, (currentBAC - BAC_LEGAL_LIMIT) / BAC_ELIM_RATE);
+  const elimRate = bacInfo.elimRate || BAC_ELIM_RATE;
+  const hoursToSober = bacInfo.soberInH != null ? bacInfo.soberInH : currentBAC / elimRate;
+  const hoursToLegal = bacInfo.legalInH != null ? bacInfo.legalInH : Math.max(0, (currentBAC - legalLimit) / elimRate);
   const fmtTime = fmtDurationHM;
   // Heure d'horloge cible (« → 23:45 ») sous la durée : lève l'ambiguïté entre
   // une DURÉE restante ("2h16") et une heure ("2h16" se lit comme 02:16).
@@ -3276,10 +4315,12 @@ function BACSection({
   const others = sortedRecords.slice(1);
   return /*#__PURE__*/React.createElement(StatSection, {
     id: "bac",
-    title: "Alcool\xE9mie",
+    title: t('stats.section.bac'),
     collapsed: collapsed,
     toggleSection: toggleSection,
-    sub: "Estimation BAC \xB7 Formule de Widmark"
+    sub: t(bacModel && bacModel.calibrated ? 'stats.bac.subCalibrated' : 'stats.bac.sub', {
+      model: (BAC_MODELS[bacModel && bacModel.id] || BAC_MODELS.widmark).label
+    })
   }, /*#__PURE__*/React.createElement(Card, {
     style: {
       padding: 16,
@@ -3292,7 +4333,7 @@ function BACSection({
       marginBottom: 4
     }
   }, /*#__PURE__*/React.createElement(ScopeChip, {
-    label: "En direct"
+    label: t('stats.bac.live')
   })), /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'flex',
@@ -3303,7 +4344,8 @@ function BACSection({
     }
   }, /*#__PURE__*/React.createElement(BACGauge, {
     bac: currentBAC,
-    level: level
+    level: level,
+    unit: unit
   })), /*#__PURE__*/React.createElement("div", {
     style: {
       textAlign: 'center',
@@ -3313,7 +4355,14 @@ function BACSection({
       fontWeight: 500,
       marginBottom: 14
     }
-  }, level.text), /*#__PURE__*/React.createElement("div", {
+  }, bacLevelText(level)), ongoing && !readOnly && /*#__PURE__*/React.createElement("div", {
+    style: {
+      marginBottom: 14
+    }
+  }, /*#__PURE__*/React.createElement(FoodToggle, {
+    value: ongoingFood,
+    onChange: onFood
+  })), /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'grid',
       gridTemplateColumns: '1fr 1fr',
@@ -3351,7 +4400,7 @@ function BACSection({
       }),
       textTransform: 'uppercase'
     }
-  }, "Sobri\xE9t\xE9")), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.bac.sober'))), /*#__PURE__*/React.createElement("div", {
     style: {
       fontFamily: fontSerif,
       fontSize: remSize(20),
@@ -3398,7 +4447,9 @@ function BACSection({
       }),
       textTransform: 'uppercase'
     }
-  }, "Conduite (<500)")), /*#__PURE__*/React.createElement("div", {
+  }, legalLimit > 0 ? t('stats.bac.driving', {
+    limit: fmtBac(legalLimit, unit)
+  }) : t('stats.bac.drivingZero'))), /*#__PURE__*/React.createElement("div", {
     style: {
       fontFamily: fontSerif,
       fontSize: remSize(20),
@@ -3413,7 +4464,7 @@ function BACSection({
       fontFamily: fontNum,
       marginTop: 3
     }
-  }, fmtEtaClock(hoursToLegal) ? `→ ${fmtEtaClock(hoursToLegal)}` : '—')))), periodAvgSession != null && /*#__PURE__*/React.createElement(Card, {
+  }, fmtEtaClock(hoursToLegal) ? `→ ${fmtEtaClock(hoursToLegal)}` : '—'))), !readOnly && /*#__PURE__*/React.createElement(ScheduledAlertsRow, null)), periodAvgSession != null && /*#__PURE__*/React.createElement(Card, {
     style: {
       padding: 14,
       marginBottom: 10,
@@ -3440,14 +4491,14 @@ function BACSection({
       textTransform: 'uppercase',
       marginBottom: 4
     }
-  }, "Taux moyen par session"), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.bac.avgSession')), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.ink2,
       fontSize: remSize(11),
       letterSpacing: tracking(11),
       lineHeight: 1.4
     }
-  }, "Moyenne intra-session, puis moyenne sur la p\xE9riode")), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.bac.avgSession.sub'))), /*#__PURE__*/React.createElement("div", {
     style: {
       fontFamily: fontSerif,
       fontSize: remSize(24),
@@ -3457,7 +4508,7 @@ function BACSection({
       whiteSpace: 'nowrap',
       flexShrink: 0
     }
-  }, Math.round(periodAvgSession), /*#__PURE__*/React.createElement("span", {
+  }, fmtBac(periodAvgSession, unit), /*#__PURE__*/React.createElement("span", {
     style: {
       fontFamily: fontSans,
       fontSize: remSize(12),
@@ -3465,7 +4516,7 @@ function BACSection({
       color: T.ink2,
       marginLeft: 5
     }
-  }, "mg/L"))), periodAvgDelta != null && period !== 'all' && /*#__PURE__*/React.createElement(DeltaBadge, {
+  }, bacUnitLabel(unit)))), periodAvgDelta != null && period !== 'all' && /*#__PURE__*/React.createElement(DeltaBadge, {
     delta: periodAvgDelta
   })), bacInfo.points.length > 0 && /*#__PURE__*/React.createElement(Card, {
     style: {
@@ -3479,8 +4530,14 @@ function BACSection({
       fontWeight: 500,
       marginBottom: 8
     }
-  }, "Projection d'alcool\xE9mie"), /*#__PURE__*/React.createElement(BACProjectionResponsive, {
-    points: bacInfo.points
+  }, t('stats.bac.projection')), /*#__PURE__*/React.createElement(BACProjectionResponsive, {
+    points: bacInfo.points,
+    legalLimit: legalLimit,
+    unit: unit,
+    readings: readings.map(r => ({
+      t: (r.ts - Date.now()) / 3600_000,
+      bac: r.bac
+    }))
   }), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
@@ -3490,7 +4547,7 @@ function BACSection({
       fontStyle: 'italic',
       fontFamily: fontSerif
     }
-  }, "Glissez le doigt sur le graphe pour voir le taux \xE0 un moment pr\xE9cis")), forecast.hasCurrentSession && /*#__PURE__*/React.createElement(Card, {
+  }, t('stats.bac.scrubHint'))), forecast.hasCurrentSession && /*#__PURE__*/React.createElement(Card, {
     style: {
       marginBottom: 10
     }
@@ -3509,18 +4566,21 @@ function BACSection({
       letterSpacing: tracking(12.5),
       fontWeight: 500
     }
-  }, "Pr\xE9vision de session"), /*#__PURE__*/React.createElement(ForecastToggle, {
+  }, t('stats.forecast.title')), /*#__PURE__*/React.createElement(ForecastToggle, {
     enabled: forecastEnabled,
     onChange: setForecastEnabled
   })), forecastEnabled && /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(ForecastMiniStats, {
     forecast: forecast,
-    fmtTime: fmtTime
+    fmtTime: fmtTime,
+    unit: unit
   }), /*#__PURE__*/React.createElement(BACForecastResponsive, {
     realPoints: realPastPoints,
     projectedPoints: forecast.projectedPoints,
     meanPeakBac: forecast.meanPeakBac,
     etaPeakHours: forecast.etaPeakHours,
-    truncated: forecast.truncated
+    truncated: forecast.truncated,
+    legalLimit: legalLimit,
+    unit: unit
   }), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
@@ -3530,7 +4590,7 @@ function BACSection({
       fontStyle: 'italic',
       fontFamily: fontSerif
     }
-  }, forecast.hasHistory ? 'Extrapolation au rythme actuel jusqu\'à la durée moyenne de vos sessions passées' : 'Rythme actuel · pas encore de session passée pour estimer la durée'))), relevantDrinks.length > 0 && /*#__PURE__*/React.createElement(Card, {
+  }, t(forecast.hasHistory ? 'stats.forecast.hint.history' : 'stats.forecast.hint.noHistory')))), relevantDrinks.length > 0 && /*#__PURE__*/React.createElement(Card, {
     style: {
       marginBottom: 10
     }
@@ -3542,7 +4602,11 @@ function BACSection({
       fontWeight: 500,
       marginBottom: 10
     }
-  }, "Consommations prises en compte (", bacInfo.drinks.length, ")", bacInfo.drinks.length > relevantDrinks.length ? ` · ${relevantDrinks.length} plus récentes` : ''), relevantDrinks.map((d, i) => /*#__PURE__*/React.createElement("div", {
+  }, t('stats.bac.counted', {
+    n: bacInfo.drinks.length
+  }), bacInfo.drinks.length > relevantDrinks.length ? t('stats.bac.countedRecent', {
+    n: relevantDrinks.length
+  }) : ''), relevantDrinks.map((d, i) => /*#__PURE__*/React.createElement("div", {
     key: i,
     style: {
       display: 'flex',
@@ -3577,7 +4641,13 @@ function BACSection({
       minWidth: 52,
       textAlign: 'right'
     }
-  }, "il y a ", d.hoursAgo, "h")))), sortedRecords.length > 0 && /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+  }, t('stats.bac.hoursAgo', {
+    n: d.hoursAgo
+  }))))), !readOnly && /*#__PURE__*/React.createElement(BreathalyzerCard, {
+    readings: readings,
+    calibration: calibration,
+    unit: unit
+  }), sortedRecords.length > 0 && /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'flex',
       alignItems: 'baseline',
@@ -3592,14 +4662,14 @@ function BACSection({
       letterSpacing: tracking(13),
       fontWeight: 500
     }
-  }, "Records d'alcool\xE9mie"), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.records.title')), /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'flex',
       alignItems: 'center',
       gap: 6
     }
   }, /*#__PURE__*/React.createElement(ScopeChip, {
-    label: "Records absolus"
+    label: t('stats.records.absolute')
   }), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
@@ -3619,15 +4689,18 @@ function BACSection({
     }
   }, highest && /*#__PURE__*/React.createElement(BACRecordRow, {
     record: highest,
-    isHighest: true
+    isHighest: true,
+    unit: unit
   }), others.map(r => /*#__PURE__*/React.createElement(BACRecordRow, {
     key: r.id,
-    record: r
+    record: r,
+    unit: unit
   })))));
 }
 function BACGauge({
   bac,
-  level
+  level,
+  unit = getBacDisplay().unit
 }) {
   const {
     size,
@@ -3653,7 +4726,9 @@ function BACGauge({
     width: size,
     height: size,
     role: "img",
-    "aria-label": `Alcoolémie estimée : ${bac} milligrammes par litre`
+    "aria-label": t('stats.bac.gaugeAria', {
+      value: `${fmtBac(bac, unit)} ${bacUnitSpoken(unit)}`
+    })
   }, /*#__PURE__*/React.createElement("circle", {
     cx: cx,
     cy: cy,
@@ -3688,14 +4763,14 @@ function BACGauge({
       color: T.ink,
       lineHeight: 1
     }
-  }, bac), /*#__PURE__*/React.createElement("div", {
+  }, fmtBac(bac, unit)), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
       fontSize: remSize(10),
       letterSpacing: tracking(10),
       marginTop: 2
     }
-  }, "MG/L")));
+  }, bacUnitLabel(unit).toUpperCase())));
 }
 
 // Read-only record row. Records are derived automatically from the
@@ -3703,7 +4778,8 @@ function BACGauge({
 // the user deletes the underlying drink in the Historique tab.
 function BACRecordRow({
   record,
-  isHighest
+  isHighest,
+  unit = getBacDisplay().unit
 }) {
   const level = bacLevel(record.bacValue);
   const d = new Date(record.timestamp || record.date);
@@ -3714,7 +4790,19 @@ function BACRecordRow({
   const todayMid = new Date();
   todayMid.setHours(0, 0, 0, 0);
   const daysAgo = Math.round((todayMid - dMid) / 86400_000);
-  const dateLabel = daysAgo === 0 ? `Aujourd'hui à ${d.getHours()}h${String(d.getMinutes()).padStart(2, '0')}` : daysAgo === 1 ? `Hier à ${d.getHours()}h${String(d.getMinutes()).padStart(2, '0')}` : daysAgo < 7 ? `${daysAgo} jours · ${d.getHours()}h${String(d.getMinutes()).padStart(2, '0')}` : `${d.getDate()} ${FR_MONTHS_DOTTED[d.getMonth()]} · ${d.getHours()}h${String(d.getMinutes()).padStart(2, '0')}`;
+  const time = `${d.getHours()}h${String(d.getMinutes()).padStart(2, '0')}`;
+  const dateLabel = daysAgo === 0 ? t('stats.records.today', {
+    time
+  }) : daysAgo === 1 ? t('stats.records.yesterday', {
+    time
+  }) : daysAgo < 7 ? t('stats.records.daysAgo', {
+    n: daysAgo,
+    time
+  }) : t('stats.records.date', {
+    day: d.getDate(),
+    month: t('date.monthsDotted')[d.getMonth()],
+    time
+  });
   return /*#__PURE__*/React.createElement("div", {
     style: {
       background: T.surface2,
@@ -3755,7 +4843,7 @@ function BACRecordRow({
       color: T.ink,
       fontStyle: isHighest ? 'italic' : 'normal'
     }
-  }, record.bacValue, /*#__PURE__*/React.createElement("span", {
+  }, fmtBac(record.bacValue, unit), /*#__PURE__*/React.createElement("span", {
     style: {
       fontSize: remSize(10),
       letterSpacing: tracking(10),
@@ -3764,7 +4852,7 @@ function BACRecordRow({
       fontFamily: fontSans,
       marginLeft: 2
     }
-  }, "mg/L")), isHighest && /*#__PURE__*/React.createElement("span", {
+  }, bacUnitLabel(unit))), isHighest && /*#__PURE__*/React.createElement("span", {
     style: {
       fontSize: remSize(8.5),
       letterSpacing: tracking(8.5, {
@@ -3778,14 +4866,16 @@ function BACRecordRow({
       textTransform: 'uppercase',
       fontWeight: 600
     }
-  }, "Record")), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.records.badge'))), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
       fontSize: remSize(10.5),
       letterSpacing: tracking(10.5),
       fontFamily: fontNum
     }
-  }, dateLabel, " \xB7 ", record.drinkCount || 0, " conso", (record.drinkCount || 0) > 1 ? 's' : '')));
+  }, dateLabel, " \xB7 ", t('stats.sessions.drinks', {
+    count: record.drinkCount || 0
+  }))));
 }
 // ── 6. Carte des lieux ────────────────────────────────────────────
 // Carte Leaflet des consommations géolocalisées (free : OSM via CARTO).
@@ -3835,7 +4925,7 @@ function groupDrinksForMap(drinks) {
     if (!map.has(key)) {
       map.set(key, {
         key,
-        name: d.name || 'Boisson',
+        name: d.name || t('addDrink.drink'),
         category: canonicalCat(d.category) || 'Autre',
         quantity: d.quantity,
         unit: d.unit,
@@ -3869,7 +4959,7 @@ function MapDrinksSheet({
     onClose: close,
     closing: closing,
     onCancelClose: cancelClose,
-    label: sharedPlace || 'Consommations ici'
+    label: sharedPlace || t('stats.map.here')
   }, /*#__PURE__*/React.createElement("div", {
     className: "alco-material-sheet alco-material-edge",
     style: {
@@ -3905,17 +4995,21 @@ function MapDrinksSheet({
       color: T.ink,
       wordBreak: 'break-word'
     }
-  }, sharedPlace || 'Consommations ici'), /*#__PURE__*/React.createElement("div", {
+  }, sharedPlace || t('stats.map.here')), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
       ...TYPE.label,
       marginTop: 6
     }
-  }, total, " boisson", total !== 1 ? 's' : '', " \xB7 ", groups.length, " type", groups.length !== 1 ? 's' : '')), /*#__PURE__*/React.createElement("button", {
+  }, t('stats.map.total', {
+    count: total
+  }), " \xB7 ", t('stats.map.types', {
+    count: groups.length
+  }))), /*#__PURE__*/React.createElement("button", {
     type: "button",
     className: "alco-press",
     onClick: close,
-    "aria-label": "Fermer",
+    "aria-label": t('common.close'),
     style: {
       width: 32,
       height: 32,
@@ -4104,7 +5198,7 @@ function MapSection({
         }
         if (!cancelled) setReady(true);
       } catch (e) {
-        if (!cancelled) setError('Carte indisponible (réseau ?)');
+        if (!cancelled) setError(t('stats.map.unavailable'));
       }
     };
     load();
@@ -4187,7 +5281,7 @@ function MapSection({
         } = pos.coords;
         m.setView([latitude, longitude], 15);
       } catch (e) {
-        Toast.show('Position indisponible');
+        Toast.show(t('stats.map.noPosition'));
       } finally {
         btn && btn.setAttribute('aria-pressed', 'false');
       }
@@ -4212,8 +5306,8 @@ function MapSection({
       },
       onAdd() {
         const wrap = L.DomUtil.create('div', 'alco-map-ctrls');
-        wrap.appendChild(mkBtn(MAP_ICON_RECENTER, 'Recentrer', () => recenter()));
-        wrap.appendChild(mkBtn(MAP_ICON_LOCATE, 'Ma position', b => locateMe(b)));
+        wrap.appendChild(mkBtn(MAP_ICON_RECENTER, t('stats.map.recenter'), () => recenter()));
+        wrap.appendChild(mkBtn(MAP_ICON_LOCATE, t('stats.map.locate'), b => locateMe(b)));
         return wrap;
       }
     });
@@ -4333,8 +5427,10 @@ function MapSection({
   }, txt);
   return /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(StatSection, {
     id: "map",
-    title: "Carte des consommations",
-    sub: `${geoPoints.length} consommation${geoPoints.length !== 1 ? 's' : ''} géolocalisée${geoPoints.length !== 1 ? 's' : ''}${scope === 'all' ? ' · tout l’historique' : ''}`,
+    title: t('stats.section.map'),
+    sub: t(scope === 'all' ? 'stats.map.sub.all' : 'stats.map.sub', {
+      count: geoPoints.length
+    }),
     collapsed: collapsed,
     toggleSection: toggleSection
   }, /*#__PURE__*/React.createElement("div", {
@@ -4353,10 +5449,10 @@ function MapSection({
   }, /*#__PURE__*/React.createElement(Pill, {
     active: scope === 'period',
     onClick: () => setScope('period')
-  }, "P\xE9riode"), /*#__PURE__*/React.createElement(Pill, {
+  }, t('stats.period')), /*#__PURE__*/React.createElement(Pill, {
     active: scope === 'all',
     onClick: () => setScope('all')
-  }, "Tout")), /*#__PURE__*/React.createElement("div", {
+  }, t('period.all'))), /*#__PURE__*/React.createElement("div", {
     style: {
       flex: 1
     }
@@ -4368,10 +5464,10 @@ function MapSection({
   }, /*#__PURE__*/React.createElement(Pill, {
     active: mode === 'points',
     onClick: () => setMode('points')
-  }, "Points"), /*#__PURE__*/React.createElement(Pill, {
+  }, t('stats.map.points')), /*#__PURE__*/React.createElement(Pill, {
     active: mode === 'heat',
     onClick: () => setMode('heat')
-  }, "Chaleur"))), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.map.heat')))), /*#__PURE__*/React.createElement("div", {
     ref: containerRef,
     style: {
       width: '100%',
@@ -4386,7 +5482,7 @@ function MapSection({
       // au-dessus de la carte au lieu d'être masquée par ses contrôles.
       isolation: 'isolate'
     }
-  }, !ready && !error && overlay('Chargement de la carte…', true), error && overlay(error, false), ready && geoPoints.length === 0 && overlay(scope === 'all' ? 'Aucune consommation géolocalisée' : 'Aucune consommation géolocalisée sur cette période — essayez « Tout »', true))), listDrinks && /*#__PURE__*/React.createElement(MapDrinksSheet, {
+  }, !ready && !error && overlay(t('stats.map.loading'), true), error && overlay(error, false), ready && geoPoints.length === 0 && overlay(t(scope === 'all' ? 'stats.map.empty.all' : 'stats.map.empty'), true))), listDrinks && /*#__PURE__*/React.createElement(MapDrinksSheet, {
     drinks: listDrinks,
     onClose: () => setListDrinks(null)
   }));
@@ -4434,7 +5530,7 @@ function computeMonthlyTrends(allDrinks) {
   const multiYear = new Set(keys.map(k => k.slice(0, 4))).size > 1;
   const label = k => {
     const [y, m] = k.split('-').map(Number);
-    const base = FR_MONTHS_SHORT[m - 1].replace(/^[a-zà]/, c => c.toUpperCase());
+    const base = t('date.monthsShort')[m - 1].replace(/^[a-zà]/, c => c.toUpperCase());
     return multiYear ? `${base} ${String(y).slice(2)}` : base;
   };
   return {
@@ -4480,7 +5576,9 @@ function buildCumulativeComparison(curDrinks, prevDrinks, range, prevRange, metr
   const everyN = Math.max(1, Math.ceil(len / 8));
   const labels = Array.from({
     length: len
-  }, (_, i) => i % everyN === 0 || i === len - 1 ? `J${i + 1}` : '');
+  }, (_, i) => i % everyN === 0 || i === len - 1 ? t('stats.trends.day', {
+    n: i + 1
+  }) : '');
   return {
     labels,
     cur,
@@ -4518,10 +5616,10 @@ function TrendsSection({
     if (!monthlyRelevant) return null;
     return /*#__PURE__*/React.createElement(StatSection, {
       id: "trends",
-      title: "Tendances",
+      title: t('stats.section.trends'),
       collapsed: collapsed,
       toggleSection: toggleSection,
-      sub: "Consommation dans le temps"
+      sub: t('stats.trends.sub')
     }, /*#__PURE__*/React.createElement(Card, null, /*#__PURE__*/React.createElement("div", {
       style: {
         color: T.muted,
@@ -4532,14 +5630,14 @@ function TrendsSection({
         fontStyle: 'italic',
         fontFamily: fontSerif
       }
-    }, "Pas assez d'historique (au moins 2 mois requis)")));
+    }, t('stats.trends.notEnough'))));
   }
   return /*#__PURE__*/React.createElement(StatSection, {
     id: "trends",
-    title: "Tendances",
+    title: t('stats.section.trends'),
     collapsed: collapsed,
     toggleSection: toggleSection,
-    sub: "Consommation dans le temps"
+    sub: t('stats.trends.sub')
   }, showMonthly && /*#__PURE__*/React.createElement(Card, {
     style: cumHasData ? {
       marginBottom: 10
@@ -4559,8 +5657,8 @@ function TrendsSection({
       letterSpacing: tracking(12.5),
       fontWeight: 500
     }
-  }, "Par mois"), /*#__PURE__*/React.createElement(ScopeChip, {
-    label: "6 derniers mois"
+  }, t('stats.trends.byMonth')), /*#__PURE__*/React.createElement(ScopeChip, {
+    label: t('stats.trends.lastMonths')
   })), /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 170
   }, w => /*#__PURE__*/React.createElement(SvgLineChart, {
@@ -4568,9 +5666,11 @@ function TrendsSection({
     series: [{
       data: trends.alcoholG.map(v => Math.round(v))
     }],
-    tooltipUnits: ["g d'alcool"],
-    extraLines: i => [`${trends.drinks[i]} verre${trends.drinks[i] > 1 ? 's' : ''}`],
-    ariaLabel: "Alcool pur par mois, six derniers mois",
+    tooltipUnits: [t('stats.trends.gramsUnit')],
+    extraLines: i => [t('stats.trends.glasses', {
+      count: trends.drinks[i]
+    })],
+    ariaLabel: t('stats.trends.monthlyAria'),
     width: w,
     height: 170
   }))), cumHasData && /*#__PURE__*/React.createElement(Card, null, /*#__PURE__*/React.createElement("div", {
@@ -4581,7 +5681,7 @@ function TrendsSection({
       fontWeight: 500,
       marginBottom: 3
     }
-  }, "Cumul vs p\xE9riode pr\xE9c\xE9dente"), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.trends.cumulative')), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
       fontSize: remSize(10),
@@ -4590,7 +5690,7 @@ function TrendsSection({
       fontStyle: 'italic',
       fontFamily: fontSerif
     }
-  }, "Grammes d'alcool cumul\xE9s, jour par jour"), /*#__PURE__*/React.createElement(ChartAutoWidth, {
+  }, t('stats.trends.cumulative.sub')), /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 170
   }, w => /*#__PURE__*/React.createElement(SvgLineChart, {
     labels: cum.labels,
@@ -4601,14 +5701,14 @@ function TrendsSection({
     }],
     width: w,
     height: 170,
-    tooltipUnits: ['g · actuel', 'g · précédent'],
-    ariaLabel: "Grammes d'alcool cumul\xE9s, p\xE9riode courante et pr\xE9c\xE9dente"
+    tooltipUnits: [t('stats.trends.unitCurrent'), t('stats.trends.unitPrevious')],
+    ariaLabel: t('stats.trends.cumulativeAria')
   })), /*#__PURE__*/React.createElement(ChartLegend, {
     items: [{
-      label: 'Actuelle',
+      label: t('stats.trends.current'),
       color: T.accent
     }, {
-      label: 'Précédente',
+      label: t('stats.trends.previous'),
       color: T.accent2,
       dashed: true
     }]
@@ -4708,10 +5808,10 @@ function AdvancedSection({
   if (!showRolling && !showPeriodCards) return null;
   return /*#__PURE__*/React.createElement(StatSection, {
     id: "advanced",
-    title: "Analyses avanc\xE9es",
+    title: t('stats.section.advanced'),
     collapsed: collapsed,
     toggleSection: toggleSection,
-    sub: bacAvailable ? 'Moyennes mobiles · Horloge · Distribution des sessions' : 'Moyennes mobiles · Horloge'
+    sub: t(bacAvailable ? 'stats.advanced.sub' : 'stats.advanced.subNoBac')
   }, showRolling && /*#__PURE__*/React.createElement(Card, {
     style: {
       marginBottom: 10
@@ -4731,8 +5831,8 @@ function AdvancedSection({
       letterSpacing: tracking(12.5),
       fontWeight: 500
     }
-  }, "Moyenne mobile"), /*#__PURE__*/React.createElement(ScopeChip, {
-    label: "30 derniers jours"
+  }, t('stats.advanced.rolling')), /*#__PURE__*/React.createElement(ScopeChip, {
+    label: t('stats.advanced.lastDays')
   })), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
@@ -4742,7 +5842,7 @@ function AdvancedSection({
       fontStyle: 'italic',
       fontFamily: fontSerif
     }
-  }, "Alcool quotidien liss\xE9 sur 7 et 30 jours"), rolling.length > 0 ? /*#__PURE__*/React.createElement(ChartAutoWidth, {
+  }, t('stats.advanced.rolling.sub')), rolling.length > 0 ? /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 160
   }, w => /*#__PURE__*/React.createElement(RollingChart, {
     data: rolling,
@@ -4755,15 +5855,19 @@ function AdvancedSection({
       padding: '12px 0',
       textAlign: 'center'
     }
-  }, "Aucune donn\xE9e"), /*#__PURE__*/React.createElement(ChartLegend, {
+  }, t('stats.noData')), /*#__PURE__*/React.createElement(ChartLegend, {
     items: [{
-      label: 'Brut',
+      label: t('stats.advanced.raw'),
       color: withAlpha(T.accent, 0.25)
     }, {
-      label: '7j',
+      label: t('stats.daysShort', {
+        n: 7
+      }),
       color: T.accent
     }, {
-      label: '30j',
+      label: t('stats.daysShort', {
+        n: 30
+      }),
       color: T.ink2,
       dashed: true
     }]
@@ -4779,7 +5883,7 @@ function AdvancedSection({
       fontWeight: 500,
       marginBottom: 3
     }
-  }, "Horloge des consommations"), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.advanced.clock')), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
       fontSize: remSize(10),
@@ -4788,7 +5892,7 @@ function AdvancedSection({
       fontStyle: 'italic',
       fontFamily: fontSerif
     }
-  }, "R\xE9partition sur 24 heures"), /*#__PURE__*/React.createElement(ChartAutoWidth, {
+  }, t('stats.advanced.clock.sub')), /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 260,
     maxWidth: 300
   }, w => /*#__PURE__*/React.createElement(SvgPolarClock, {
@@ -4802,7 +5906,7 @@ function AdvancedSection({
       fontWeight: 500,
       marginBottom: 3
     }
-  }, "Distribution des sessions"), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.advanced.durations')), /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.muted,
       fontSize: remSize(10),
@@ -4811,7 +5915,7 @@ function AdvancedSection({
       fontStyle: 'italic',
       fontFamily: fontSerif
     }
-  }, "Dur\xE9e par session"), /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
+  }, t('stats.advanced.durations.sub')), /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement("div", {
     style: {
       color: T.ink2,
       fontSize: remSize(10.5),
@@ -4822,7 +5926,7 @@ function AdvancedSection({
       textAlign: 'center',
       textTransform: 'uppercase'
     }
-  }, "Dur\xE9e"), /*#__PURE__*/React.createElement(ChartAutoWidth, {
+  }, t('stats.advanced.duration')), /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 150
   }, w => /*#__PURE__*/React.createElement(SvgHistogram, {
     buckets: sessionDuration,
@@ -4878,7 +5982,7 @@ function RollingChart({
     width: "100%",
     height: height,
     role: "img",
-    "aria-label": "Moyenne mobile de l'alcool quotidien",
+    "aria-label": t('stats.advanced.rollingAria'),
     className: CHART.anim.className,
     style: {
       display: 'block',
@@ -4981,7 +6085,15 @@ function RollingChart({
       y: cy7,
       width: width,
       height: height,
-      lines: [`${r.date}`, `${Math.round(r.daily)} g brut`, `${r.r7.toFixed(1)} g · 7j`, `${r.r30.toFixed(1)} g · 30j`]
+      lines: [`${r.date}`, t('stats.advanced.tipRaw', {
+        g: Math.round(r.daily)
+      }), t('stats.advanced.tipAvg', {
+        g: r.r7.toFixed(1),
+        n: 7
+      }), t('stats.advanced.tipAvg', {
+        g: r.r30.toFixed(1),
+        n: 30
+      })]
     }));
   })());
 }
@@ -5044,7 +6156,7 @@ function bucketSpend(priced, period, range) {
     });
     return {
       data,
-      unitLabel: 'par heure',
+      unitLabel: t('stats.spending.perHour'),
       formatX: (d, i) => i % 3 === 0 ? d.label : ''
     };
   }
@@ -5065,13 +6177,13 @@ function bucketSpend(priced, period, range) {
       const k = _fmtIso(dt);
       data.push({
         label: `${dt.getDate()}/${dt.getMonth() + 1}`,
-        fullLabel: `${dt.getDate()} ${FR_MONTHS_SHORT[dt.getMonth()]}`,
+        fullLabel: `${dt.getDate()} ${t('date.monthsShort')[dt.getMonth()]}`,
         v: round2(sum[k] || 0)
       });
     }
     return {
       data,
-      unitLabel: 'par jour',
+      unitLabel: t('stats.spending.perDay'),
       formatX: null
     };
   }
@@ -5087,7 +6199,7 @@ function bucketSpend(priced, period, range) {
       const y = dt.getFullYear(),
         m = dt.getMonth();
       const k = `${y}-${String(m + 1).padStart(2, '0')}`;
-      const base = FR_MONTHS_SHORT[m].replace(/^[a-zà]/, c => c.toUpperCase());
+      const base = t('date.monthsShort')[m].replace(/^[a-zà]/, c => c.toUpperCase());
       data.push({
         label: multiYear ? `${base} ${String(y).slice(2)}` : base,
         fullLabel: `${base} ${y}`,
@@ -5096,7 +6208,7 @@ function bucketSpend(priced, period, range) {
     }
     return {
       data,
-      unitLabel: 'par mois',
+      unitLabel: t('stats.spending.perMonth'),
       formatX: (d, i) => i % 2 === 0 ? d.label : ''
     };
   }
@@ -5116,7 +6228,7 @@ function bucketSpend(priced, period, range) {
   }
   return {
     data,
-    unitLabel: 'par année',
+    unitLabel: t('stats.spending.perYear'),
     formatX: null
   };
 }
@@ -5151,10 +6263,10 @@ function SpendingSection({
   if (priced.length === 0) {
     return /*#__PURE__*/React.createElement(StatSection, {
       id: "spending",
-      title: "D\xE9penses",
+      title: t('stats.section.spending'),
       collapsed: collapsed,
       toggleSection: toggleSection,
-      sub: "Co\xFBt de la consommation (prix saisis)"
+      sub: t('stats.spending.sub')
     }, /*#__PURE__*/React.createElement(Card, null, /*#__PURE__*/React.createElement("div", {
       style: {
         color: T.muted,
@@ -5165,14 +6277,14 @@ function SpendingSection({
         fontStyle: 'italic',
         fontFamily: fontSerif
       }
-    }, "Aucun prix saisi sur cette p\xE9riode")));
+    }, t('stats.spending.empty'))));
   }
   return /*#__PURE__*/React.createElement(StatSection, {
     id: "spending",
-    title: "D\xE9penses",
+    title: t('stats.section.spending'),
     collapsed: collapsed,
     toggleSection: toggleSection,
-    sub: "Co\xFBt de la consommation (prix saisis)"
+    sub: t('stats.spending.sub')
   }, /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'grid',
@@ -5182,13 +6294,13 @@ function SpendingSection({
     }
   }, /*#__PURE__*/React.createElement(StatCell, {
     value: fmtPrice(total),
-    label: "Total d\xE9pens\xE9",
+    label: t('stats.spending.total'),
     delta: pctChange(total, prevTotal),
     period: period,
     index: 0
   }), /*#__PURE__*/React.createElement(StatCell, {
     value: fmtPrice(avg),
-    label: "Prix moyen / boisson",
+    label: t('stats.spending.avg'),
     delta: avg != null ? pctChange(avg, prevAvg) : null,
     period: period,
     index: 1
@@ -5204,7 +6316,7 @@ function SpendingSection({
       fontWeight: 500,
       marginBottom: 12
     }
-  }, "Par cat\xE9gorie"), /*#__PURE__*/React.createElement("div", {
+  }, t('stats.spending.byCategory')), /*#__PURE__*/React.createElement("div", {
     style: {
       display: 'flex',
       alignItems: 'center',
@@ -5262,7 +6374,9 @@ function SpendingSection({
       fontWeight: 500,
       marginBottom: 10
     }
-  }, "D\xE9penses ", spend.unitLabel), /*#__PURE__*/React.createElement(ChartAutoWidth, {
+  }, t('stats.spending.chart', {
+    unit: spend.unitLabel
+  })), /*#__PURE__*/React.createElement(ChartAutoWidth, {
     minHeight: 160
   }, w => /*#__PURE__*/React.createElement(SvgBarChart, {
     data: spend.data,
@@ -5289,9 +6403,16 @@ Object.assign(window, {
   SessionsSection,
   SpendingSection,
   bucketSpend,
+  SPF_WEEKLY_MAX_G,
+  WHO_RISK_BANDS,
+  RISK_LEVELS,
+  weeklyGramsForPeriod,
+  weeklyRiskBands,
+  RiskBandsCard,
   BACGauge,
   BACRecordRow,
   bacLevel,
+  bacLevelText,
   BAC_LEVELS,
   RollingChart,
   MiniStat,
@@ -5333,13 +6454,31 @@ Object.assign(window, {
   BAC_ELIM_RATE,
   BAC_RECORD_MIN,
   BAC_ABSORPTION_H,
-  BAC_LEGAL_LIMIT,
   DEFAULT_WEIGHT_KG,
   widmarkR,
+  BAC_MODELS,
+  BAC_FOOD_STATES,
+  DEFAULT_AGE,
+  DEFAULT_HEIGHT_CM,
+  makeBacModel,
+  bacModelFromSettings,
+  bacFoodState,
+  drinkSpreadH,
+  fitBacCalibration,
+  parseBacCalibration,
+  BAC_CAL_MIN_READINGS,
+  BAC_CAL_CONFIDENCE,
   BacContext,
   useBacInfo,
   BacProvider,
   BACProjectionResponsive,
+  BacNotifier,
+  planBacNotifications,
+  bacPeakWarning,
+  bacUpcomingPeak,
+  isQuietTime,
+  quietHoursFromSettings,
+  BAC_NOTIFY_TAGS,
   computeBacForecast,
   BACForecastResponsive,
   ForecastToggle,
@@ -0,0 +1,527 @@
+/* AUTO-GENERATED from proto/units.jsx — do not edit by hand. */
+// units.jsx — Unités de contenant : registre éditable (Réglages → Unités)
+// des unités proposées à la saisie (« demi », « pinte UK », « canette 44 »…).
+//
+// Table `units` (schéma v11, cf. SEED_UNITS dans js/database.js) : { name,
+// cl, icon, hidden, builtin, defaultFor }. Les boissons portent le NOM de
+// l'unité ; changer l'équivalent d'une unité recalcule le volume de ses
+// boissons. Les unités intégrées (cL, L, mL) gardent un équivalent figé et
+// ne se suppriment pas ; une unité encore utilisée non plus.
+// Registre synchrone (toCl, UnitToggle, scanner) : shared.jsx.
+
+const UNIT_NAME_MAX = 24;
+const UNIT_CL_MAX = 10000; // 100 L : au-delà, une faute de frappe
+
+// Unité prête à enregistrer. Lève une Error au message affichable tel quel
+// (déjà traduit).
+function normalizeUnit(unit) {
+  const name = String(unit && unit.name || '').trim();
+  if (!name) throw new Error(t('units.error.name'));
+  if (name.length > UNIT_NAME_MAX) throw new Error(t('units.error.nameLength', {
+    max: UNIT_NAME_MAX
+  }));
+  const cl = typeof unit.cl === 'string' ? parseDecimal(unit.cl) : Number(unit.cl);
+  if (!(cl > 0 && cl <= UNIT_CL_MAX)) throw new Error(t('units.error.cl'));
+  const icon = unit.icon && GLYPH_OPTIONS.includes(unit.icon) ? unit.icon : null;
+  return {
+    name,
+    cl,
+    icon,
+    hidden: !!unit.hidden,
+    defaultFor: unit.defaultFor || null
+  };
+}
+
+// « = 56,8 cL » / « = 5 L » pour les gros contenants.
+function fmtUnitCl(cl) {
+  return cl >= 100 && Number.isInteger(cl / 100) ? `= ${cl / 100} L` : `= ${fmtNumber(cl, 3)} cL`;
+}
+function UnitsSheet({
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const rows = useUnitRows();
+  const [editing, setEditing] = React.useState(null); // ligne, ou {} pour une nouvelle unité
+  const presets = UNIT_PRESETS.filter(p => !(rows || []).some(u => unitKey(u.name) === unitKey(p.name)));
+  const addPreset = async p => {
+    try {
+      await saveUnit(p);
+      Toast.show(t('units.added', {
+        name: p.name
+      }));
+    } catch (err) {
+      Toast.show(errorText(err, 'units.saveError'));
+    }
+  };
+  return /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: t('units.title')
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '92dvh',
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`,
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: 12
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
+      color: T.ink
+    }
+  }, t('units.title')), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginTop: 6
+    }
+  }, t('units.sub'))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: close,
+    "aria-label": t('common.close'),
+    style: {
+      width: 32,
+      height: 32,
+      borderRadius: 99,
+      background: T.surface2,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink,
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      padding: 0,
+      fontFamily: 'inherit',
+      flexShrink: 0,
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.close,
+    size: 14
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      overflow: 'auto',
+      padding: '14px 22px calc(18px + env(safe-area-inset-bottom))'
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      background: T.surface,
+      border: `1px solid ${T.rule}`,
+      borderRadius: 14,
+      overflow: 'hidden'
+    }
+  }, (rows || []).map((u, i) => /*#__PURE__*/React.createElement("button", {
+    key: u.id,
+    type: "button",
+    className: "alco-press",
+    onClick: () => setEditing(u),
+    "aria-label": t('units.editAria', {
+      name: u.name
+    }),
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 10,
+      width: '100%',
+      textAlign: 'left',
+      padding: '11px 14px',
+      background: 'transparent',
+      border: 'none',
+      cursor: 'pointer',
+      borderBottom: i === rows.length - 1 ? 'none' : `1px solid ${T.rule}`,
+      fontFamily: 'inherit',
+      color: T.ink,
+      opacity: u.hidden ? 0.55 : 1
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    "aria-hidden": "true",
+    style: {
+      width: 22,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink2
+    }
+  }, u.icon ? /*#__PURE__*/React.createElement(CategoryGlyph, {
+    glyph: u.icon,
+    size: 18
+  }) : null), /*#__PURE__*/React.createElement("span", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("span", {
+    style: {
+      ...type(13.5, {
+        weight: 500
+      })
+    }
+  }, u.name), /*#__PURE__*/React.createElement("span", {
+    style: {
+      display: 'block',
+      color: T.muted,
+      ...type(11)
+    }
+  }, [u.builtin && t('units.builtin'), u.hidden && t('units.hidden'), u.defaultFor && t('units.defaultFor', {
+    category: u.defaultFor
+  })].filter(Boolean).join(' · ') || ' ')), /*#__PURE__*/React.createElement("span", {
+    style: {
+      color: T.ink2,
+      ...type(12),
+      ...TYPE.num
+    }
+  }, fmtUnitCl(u.cl))))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: () => setEditing({}),
+    style: {
+      marginTop: 12,
+      width: '100%',
+      padding: '10px 0',
+      borderRadius: 12,
+      cursor: 'pointer',
+      background: T.surface2,
+      border: `1px dashed ${T.rule}`,
+      color: T.ink,
+      fontFamily: 'inherit',
+      ...type(12.5, {
+        weight: 500
+      }),
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      gap: 6
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.plus,
+    size: 13
+  }), " ", t('units.new')), presets.length > 0 && /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('units.presets')
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: 6
+    }
+  }, presets.map(p => /*#__PURE__*/React.createElement("button", {
+    key: p.name,
+    type: "button",
+    className: "alco-press",
+    onClick: () => addPreset(p),
+    "aria-label": t('units.addPresetAria', {
+      name: p.name,
+      cl: p.cl
+    }),
+    style: {
+      padding: '6px 10px',
+      borderRadius: 99,
+      cursor: 'pointer',
+      fontFamily: 'inherit',
+      background: T.surface3,
+      color: T.ink2,
+      border: `1px solid ${T.rule}`,
+      ...type(11.5),
+      display: 'flex',
+      alignItems: 'center',
+      gap: 4
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.plus,
+    size: 11
+  }), " ", p.name, " \xB7 ", fmtNumber(p.cl, 1), " cL"))))))), editing && /*#__PURE__*/React.createElement(UnitEditorSheet, {
+    unit: editing.id != null ? editing : null,
+    onClose: () => setEditing(null)
+  }));
+}
+function UnitEditorSheet({
+  unit,
+  onClose
+}) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const {
+    categories
+  } = useCategories();
+  const [name, setName] = React.useState(unit ? unit.name : '');
+  const [cl, setCl] = React.useState(unit ? String(unit.cl).replace('.', ',') : '');
+  const [icon, setIcon] = React.useState(unit ? unit.icon : null);
+  const [hidden, setHidden] = React.useState(unit ? !!unit.hidden : false);
+  const [defaultFor, setDefaultFor] = React.useState(unit ? unit.defaultFor : null);
+  const [busy, setBusy] = React.useState(false);
+  const title = unit ? t('units.editTitle', {
+    name: unit.name
+  }) : t('units.new');
+  const locked = !!(unit && unit.builtin);
+  const save = async () => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      await saveUnit({
+        id: unit ? unit.id : undefined,
+        name,
+        cl,
+        icon,
+        hidden,
+        defaultFor
+      });
+      Toast.show(t(unit ? 'units.saved' : 'units.created'));
+      close();
+    } catch (err) {
+      Toast.show(errorText(err, 'units.saveError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const remove = async () => {
+    const ok = await Confirm.ask({
+      title: t('units.delete.title', {
+        name: unit.name
+      }),
+      message: t('units.delete.message'),
+      confirmText: t('common.delete'),
+      danger: true
+    });
+    if (!ok) return;
+    try {
+      await deleteUnit(unit.id);
+      Toast.show(t('units.deleted'));
+      close();
+    } catch (err) {
+      Toast.show(errorText(err, 'units.deleteError'));
+    }
+  };
+  const pill = (key, label, on, onClick, children) => /*#__PURE__*/React.createElement("button", {
+    key: key,
+    type: "button",
+    role: "radio",
+    "aria-checked": on,
+    "aria-label": label,
+    onClick: onClick,
+    style: {
+      padding: '5px 9px',
+      borderRadius: 99,
+      cursor: 'pointer',
+      fontFamily: 'inherit',
+      ...type(11, {
+        weight: on ? 600 : 400
+      }),
+      display: 'flex',
+      alignItems: 'center',
+      gap: 4,
+      background: on ? T.ink : T.surface3,
+      color: on ? T.bg : T.ink2,
+      border: `1px solid ${on ? T.ink : T.rule}`
+    }
+  }, children || label);
+  return /*#__PURE__*/React.createElement(SheetOverlay, {
+    onClose: close,
+    closing: closing,
+    onCancelClose: cancelClose,
+    label: title
+  }, /*#__PURE__*/React.createElement("div", {
+    className: "alco-material-sheet alco-material-edge",
+    style: {
+      borderRadius: '22px 22px 0 0',
+      maxHeight: '92dvh',
+      display: 'flex',
+      flexDirection: 'column',
+      borderTop: `1px solid ${T.rule}`,
+      borderLeft: `1px solid ${T.rule}`,
+      borderRight: `1px solid ${T.rule}`,
+      overflow: 'hidden',
+      boxShadow: T.shadowSheet
+    }
+  }, /*#__PURE__*/React.createElement(SheetGrabber, null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      padding: '14px 22px 16px',
+      borderBottom: `1px solid ${T.rule}`,
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: 12
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }, /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...type(22, {
+        family: fontSerif,
+        italic: true
+      }),
+      color: T.ink
+    }
+  }, title), /*#__PURE__*/React.createElement("div", {
+    style: {
+      color: T.muted,
+      ...TYPE.label,
+      marginTop: 6
+    }
+  }, t(locked ? 'units.lockedSub' : 'units.editSub'))), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    className: "alco-press",
+    onClick: close,
+    "aria-label": t('common.close'),
+    style: {
+      width: 32,
+      height: 32,
+      borderRadius: 99,
+      background: T.surface2,
+      display: 'grid',
+      placeItems: 'center',
+      color: T.ink,
+      cursor: 'pointer',
+      border: `1px solid ${T.rule}`,
+      padding: 0,
+      fontFamily: 'inherit',
+      flexShrink: 0,
+      touchAction: 'manipulation'
+    }
+  }, /*#__PURE__*/React.createElement(SvgIcon, {
+    icon: Ic.close,
+    size: 14
+  })))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      overflow: 'auto',
+      padding: '14px 22px 2px'
+    }
+  }, /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('units.name')
+  }, /*#__PURE__*/React.createElement("input", {
+    value: name,
+    onChange: e => setName(e.target.value),
+    "aria-label": t('units.nameAria'),
+    placeholder: t('units.namePh'),
+    autoComplete: "off",
+    disabled: !!unit,
+    style: {
+      ...inputBaseStyle(),
+      opacity: unit ? 0.6 : 1
+    }
+  })), /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('units.cl')
+  }, locked ? /*#__PURE__*/React.createElement("div", {
+    style: {
+      ...inputBaseStyle(),
+      opacity: 0.6,
+      ...TYPE.num
+    }
+  }, fmtUnitCl(unit.cl).slice(2)) : /*#__PURE__*/React.createElement(NumberField, {
+    value: cl,
+    onChange: setCl,
+    suffix: "cL",
+    ariaLabel: t('units.clAria'),
+    placeholder: t('units.clPh')
+  })), /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('units.icon')
+  }, /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('units.iconAria'),
+    style: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: 4
+    }
+  }, pill('none', t('units.none'), !icon, () => setIcon(null)), GLYPH_OPTIONS.map(g => pill(g, g, icon === g, () => setIcon(g), /*#__PURE__*/React.createElement(CategoryGlyph, {
+    glyph: g,
+    size: 14
+  }))))), /*#__PURE__*/React.createElement(FieldGroup, {
+    label: t('units.defaultGroup')
+  }, /*#__PURE__*/React.createElement("div", {
+    role: "radiogroup",
+    "aria-label": t('units.defaultGroup'),
+    style: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: 4
+    }
+  }, pill('none', t('units.none'), !defaultFor, () => setDefaultFor(null)), categories.map(c => pill(c.name, c.name, defaultFor === c.name, () => setDefaultFor(c.name))))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      background: T.surface,
+      border: `1px solid ${T.rule}`,
+      borderRadius: 14,
+      marginBottom: 14
+    }
+  }, /*#__PURE__*/React.createElement(ToggleRow, {
+    label: t('units.hide'),
+    sub: t('units.hideSub'),
+    on: hidden,
+    onToggle: () => setHidden(h => !h),
+    last: true
+  }))), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 8,
+      borderTop: `1px solid ${T.rule}`,
+      padding: '12px 22px calc(14px + env(safe-area-inset-bottom))'
+    }
+  }, unit && !unit.builtin ? /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: remove,
+    style: {
+      ...ghostButton,
+      color: T.accent2,
+      ...type(12)
+    }
+  }, t('common.delete')) : null, /*#__PURE__*/React.createElement("div", {
+    style: {
+      flex: 1
+    }
+  }), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: close,
+    style: {
+      ...ghostButton,
+      color: T.ink2,
+      ...type(12)
+    }
+  }, t('common.cancel')), /*#__PURE__*/React.createElement("button", {
+    type: "button",
+    onClick: save,
+    disabled: busy,
+    style: {
+      border: 'none',
+      fontFamily: 'inherit',
+      cursor: busy ? 'default' : 'pointer',
+      background: T.accent,
+      color: T.accentInk,
+      ...type(12, {
+        weight: 600
+      }),
+      padding: '9px 14px',
+      borderRadius: 10,
+      opacity: busy ? 0.5 : 1
+    }
+  }, t('common.save')))));
+}
+Object.assign(window, {
+  UNIT_NAME_MAX,
+  UNIT_CL_MAX,
+  normalizeUnit,
+  fmtUnitCl,
+  UnitsSheet,
+  UnitEditorSheet
+});
\ No newline at end of file
@@ -0,0 +1,491 @@
+// filters.jsx — Recherche structurée dans l'historique : mini-langage de
+// requête (champ de recherche), panneau de filtres, totaux du résultat et
+// filtres nommés (repris par l'onglet Stats).
+//
+// Un filtre est un objet plat, sérialisable tel quel (setting JSON) :
+//   text, category, dateFrom / dateTo (AAAA-MM-JJ), timeFrom / timeTo (HH:MM,
+//   plage qui peut passer minuit), abvMin / abvMax (%), volMin / volMax (cL),
+//   priceMin / priceMax (€), ratingMin, hasLocation (bool), place,
+//   barcode (texte, ou `true` = n'importe quel code), peakMin (mg/L : verre
+//   d'une session dont le pic dépasse ce taux).
+// Bornes incluses. Une clé absente ne filtre pas.
+//
+// Requête : des `clé:valeur` mêlés à du texte libre, p. ex.
+//   `cat:Bière degre:>6 heure:22:00..04:00 lieu:"Le Comptoir" pic:>500 ipa`
+// Valeurs numériques : `5`, `>5`, `>=5`, `<5`, `<=5` ou `4..6`.
+//
+// Filtres nommés : setting `filters.saved` = [{ id, name, filter, createdAt }].
+
+const SAVED_FILTERS_KEY = 'filters.saved';
+
+const _FILTER_KEYS = [
+  'text', 'category', 'dateFrom', 'dateTo', 'timeFrom', 'timeTo', 'abvMin', 'abvMax',
+  'volMin', 'volMax', 'priceMin', 'priceMax', 'ratingMin', 'hasLocation', 'place', 'barcode', 'peakMin',
+];
+const _DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const _TIME_RE = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+// Clés de requête (sans accents, minuscules) → champs du filtre.
+const _QUERY_RANGES = {
+  degre: ['abvMin', 'abvMax'], abv: ['abvMin', 'abvMax'],
+  vol: ['volMin', 'volMax'], volume: ['volMin', 'volMax'],
+  prix: ['priceMin', 'priceMax'],
+  note: ['ratingMin', null],
+  pic: ['peakMin', null],
+};
+
+// Retire les clés vides : deux filtres équivalents se comparent en JSON.
+function normalizeDrinkFilter(filter) {
+  const out = {};
+  for (const k of _FILTER_KEYS) {
+    const v = filter && filter[k];
+    if (v == null || v === '' || (typeof v === 'number' && !Number.isFinite(v))) continue;
+    out[k] = typeof v === 'string' ? v.trim() : v;
+    if (out[k] === '') delete out[k];
+  }
+  return out;
+}
+
+function isDrinkFilterEmpty(filter) {
+  return Object.keys(normalizeDrinkFilter(filter)).length === 0;
+}
+
+// Le dernier filtre l'emporte clé par clé ; les textes libres s'additionnent.
+function mergeDrinkFilters(...filters) {
+  const out = {};
+  const texts = [];
+  for (const f of filters) {
+    const n = normalizeDrinkFilter(f);
+    if (n.text) texts.push(n.text);
+    Object.assign(out, n);
+  }
+  if (texts.length) out.text = texts.join(' ');
+  return out;
+}
+
+function _parseRangeValue(raw) {
+  const s = String(raw).trim();
+  const between = s.split('..');
+  if (between.length === 2) {
+    const a = parseDecimal(between[0]);
+    const b = parseDecimal(between[1]);
+    return Number.isFinite(a) && Number.isFinite(b) ? { min: Math.min(a, b), max: Math.max(a, b) } : null;
+  }
+  const m = s.match(/^(>=|<=|>|<|=)?(.+)$/);
+  const n = parseDecimal(m[2]);
+  if (!Number.isFinite(n)) return null;
+  if (m[1] === '>' || m[1] === '>=') return { min: n };
+  if (m[1] === '<' || m[1] === '<=') return { max: n };
+  return { min: n, max: n };
+}
+
+// Texte du champ de recherche → { filter, errors } ; `errors` liste les
+// jetons `clé:valeur` mal formés (ils ne filtrent pas).
+function parseDrinkQuery(input) {
+  const filter = {};
+  const text = [];
+  const errors = [];
+  const re = /([^\s:"]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(input || '')))) {
+    if (m[4] != null || m[5] != null) { text.push(m[4] != null ? m[4] : m[5]); continue; }
+    const key = m[1].toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const value = m[2] != null ? m[2] : m[3];
+    const yes = /^(oui|o|yes|1)$/i.test(value);
+    const no = /^(non|n|no|0)$/i.test(value);
+    if (key === 'cat' || key === 'categorie') filter.category = value;
+    else if (key === 'du' && _DATE_RE.test(value)) filter.dateFrom = value;
+    else if (key === 'au' && _DATE_RE.test(value)) filter.dateTo = value;
+    else if (key === 'date') {
+      const [a, b = a] = value.split('..');
+      if (_DATE_RE.test(a) && _DATE_RE.test(b)) Object.assign(filter, { dateFrom: a < b ? a : b, dateTo: a < b ? b : a });
+      else errors.push(m[0]);
+    } else if (key === 'heure') {
+      const [a, b] = value.split('..');
+      if (_TIME_RE.test(a) && (b == null || _TIME_RE.test(b))) {
+        filter.timeFrom = a.padStart(5, '0');
+        if (b) filter.timeTo = b.padStart(5, '0');
+      } else errors.push(m[0]);
+    } else if (key === 'lieu') {
+      if (yes || no) filter.hasLocation = yes;
+      else filter.place = value;
+    } else if (key === 'code') {
+      filter.barcode = yes ? true : value;
+    } else if (_QUERY_RANGES[key]) {
+      const r = _parseRangeValue(value);
+      const [minKey, maxKey] = _QUERY_RANGES[key];
+      if (!r || (!maxKey && r.min == null)) { errors.push(m[0]); continue; }
+      if (r.min != null) filter[minKey] = r.min;
+      if (maxKey && r.max != null) filter[maxKey] = r.max;
+    } else {
+      text.push(m[0]);
+    }
+  }
+  if (text.length) filter.text = text.join(' ');
+  return { filter, errors };
+}
+
+const _drinkRef = (d) => (d.id != null ? `id:${d.id}` : `${d.date}T${d.time}|${d.name}`);
+const _fold = (s) => canonicalCat(s || '').toLowerCase();
+
+// Prédicat (drink brut → bool). Le texte libre est cherché tel quel dans le
+// nom, la catégorie, le lieu ou le code-barres. `ratings` : map de
+// useRatings ; `drinks` + `model` ne servent qu'au critère de pic (sessions
+// sur TOUT l'historique, une session pouvant déborder des dates filtrées).
+function compileDrinkFilter(filter, { ratings = {}, drinks = [], model } = {}) {
+  const f = normalizeDrinkFilter(filter);
+  const needle = f.text ? _fold(f.text) : '';
+  let inPeak = null;
+  if (f.peakMin != null) {
+    inPeak = new Set();
+    for (const s of computeBACSessions(drinks, model)) {
+      if (s.peakBac > f.peakMin) s.drinks.forEach(d => inPeak.add(_drinkRef(d)));
+    }
+  }
+  const wraps = f.timeFrom && f.timeTo && f.timeFrom > f.timeTo;
+  return (d) => {
+    if (!d) return false;
+    if (f.category && canonicalCat(d.category) !== canonicalCat(f.category)) return false;
+    if (f.dateFrom && !(d.date >= f.dateFrom)) return false;
+    if (f.dateTo && !(d.date <= f.dateTo)) return false;
+    if (f.timeFrom || f.timeTo) {
+      const hm = (d.time || '').slice(0, 5);
+      if (!hm) return false;
+      const after = !f.timeFrom || hm >= f.timeFrom;
+      const before = !f.timeTo || hm <= f.timeTo;
+      if (wraps ? !(after || before) : !(after && before)) return false;
+    }
+    const abv = Number(d.alcoholContent) || 0;
+    if (f.abvMin != null && abv < f.abvMin) return false;
+    if (f.abvMax != null && abv > f.abvMax) return false;
+    if (f.volMin != null || f.volMax != null) {
+      const cl = drinkCl(d);
+      if (f.volMin != null && cl < f.volMin) return false;
+      if (f.volMax != null && cl > f.volMax) return false;
+    }
+    if (f.priceMin != null || f.priceMax != null) {
+      const p = Number(d.price);
+      if (d.price == null || !Number.isFinite(p)) return false;
+      if (f.priceMin != null && p < f.priceMin) return false;
+      if (f.priceMax != null && p > f.priceMax) return false;
+    }
+    if (f.ratingMin != null && !((ratings[ratingKey(d.name)] || 0) >= f.ratingMin)) return false;
+    const place = drinkPlaceLabel(d);
+    if (f.hasLocation != null && !!d.location !== f.hasLocation) return false;
+    if (f.place && !_fold(place).includes(_fold(f.place))) return false;
+    if (f.barcode === true && !d.barcode) return false;
+    if (typeof f.barcode === 'string' && !String(d.barcode || '').includes(f.barcode)) return false;
+    if (inPeak && !inPeak.has(_drinkRef(d))) return false;
+    if (needle && ![d.name, d.category, place, d.barcode].some(v => _fold(v).includes(needle))) return false;
+    return true;
+  };
+}
+
+function filterDrinks(drinks, filter, ctx = {}) {
+  if (isDrinkFilterEmpty(filter)) return drinks;
+  const match = compileDrinkFilter(filter, { drinks, ...ctx });
+  return drinks.filter(match);
+}
+
+// Totaux d'un résultat : nombre, grammes d'alcool pur, dépense (verres
+// sans prix exclus de la somme, comptés dans `unpriced`).
+function drinkFilterTotals(drinks) {
+  let grams = 0, spend = 0, unpriced = 0;
+  for (const d of drinks) {
+    grams += drinkAlcoholGrams(d);
+    const p = Number(d.price);
+    if (d.price != null && Number.isFinite(p)) spend += p; else unpriced++;
+  }
+  return { count: drinks.length, grams, spend, unpriced };
+}
+
+function _rangeLabel(label, min, max, fmt, unit = '') {
+  const u = unit ? ` ${unit}` : '';
+  if (min != null && max != null) return min === max ? `${label} ${fmt(min)}${u}` : `${label} ${fmt(min)}–${fmt(max)}${u}`;
+  return min != null ? `${label} ≥ ${fmt(min)}${u}` : `${label} ≤ ${fmt(max)}${u}`;
+}
+
+// Critères actifs → [{ keys, label }] (puces retirables, résumé d'un filtre).
+function describeDrinkFilter(filter) {
+  const f = normalizeDrinkFilter(filter);
+  const out = [];
+  const num = (n) => fmtNumber(n, 2);
+  if (f.text) out.push({ keys: ['text'], label: t('filters.text', { text: f.text }) });
+  if (f.category) out.push({ keys: ['category'], label: f.category });
+  if (f.dateFrom || f.dateTo) {
+    out.push({ keys: ['dateFrom', 'dateTo'], label: f.dateFrom && f.dateTo
+      ? t('filters.dates.range', { from: fmtDateMedium(f.dateFrom), to: fmtDateMedium(f.dateTo) })
+      : f.dateFrom ? t('filters.dates.from', { date: fmtDateMedium(f.dateFrom) }) : t('filters.dates.to', { date: fmtDateMedium(f.dateTo) }) });
+  }
+  if (f.timeFrom || f.timeTo) {
+    out.push({ keys: ['timeFrom', 'timeTo'], label: f.timeFrom && f.timeTo
+      ? `${f.timeFrom} → ${f.timeTo}` : f.timeFrom ? t('filters.time.from', { time: f.timeFrom }) : t('filters.time.to', { time: f.timeTo }) });
+  }
+  if (f.abvMin != null || f.abvMax != null) out.push({ keys: ['abvMin', 'abvMax'], label: _rangeLabel(t('filters.abv'), f.abvMin, f.abvMax, num, '%') });
+  if (f.volMin != null || f.volMax != null) out.push({ keys: ['volMin', 'volMax'], label: _rangeLabel(t('filters.volume'), f.volMin, f.volMax, num, 'cL') });
+  if (f.priceMin != null || f.priceMax != null) out.push({ keys: ['priceMin', 'priceMax'], label: _rangeLabel(t('filters.price'), f.priceMin, f.priceMax, fmtPrice) });
+  if (f.ratingMin != null) out.push({ keys: ['ratingMin'], label: t('filters.rating', { n: num(f.ratingMin) }) });
+  if (f.hasLocation != null) out.push({ keys: ['hasLocation'], label: t(f.hasLocation ? 'filters.withPlace' : 'filters.withoutPlace') });
+  if (f.place) out.push({ keys: ['place'], label: t('filters.place', { place: f.place }) });
+  if (f.barcode != null) out.push({ keys: ['barcode'], label: f.barcode === true ? t('filters.anyBarcode') : t('filters.barcode', { code: f.barcode }) });
+  if (f.peakMin != null) out.push({ keys: ['peakMin'], label: t('filters.peak', { n: Math.round(f.peakMin) }) });
+  return out;
+}
+
+// ── Filtres nommés (settings) ─────────────────────────────────────
+function parseSavedFilters(raw) {
+  try {
+    const list = JSON.parse(raw || '[]');
+    return Array.isArray(list)
+      ? list.filter(s => s && s.id && s.name && s.filter && typeof s.filter === 'object')
+      : [];
+  } catch { return []; }
+}
+
+// Même nom (sans casse) : le filtre est remplacé, il garde son id.
+async function saveNamedFilter(name, filter) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const label = (name || '').trim();
+  const f = normalizeDrinkFilter(filter);
+  if (!label) throw new Error(t('filters.nameRequired'));
+  if (!Object.keys(f).length) throw new Error(t('filters.empty'));
+  const list = parseSavedFilters(await db.getSetting(SAVED_FILTERS_KEY));
+  const prev = list.find(s => s.name.toLowerCase() === label.toLowerCase());
+  const row = prev
+    ? { ...prev, name: label, filter: f }
+    : { id: `flt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, name: label, filter: f, createdAt: Date.now() };
+  const next = prev ? list.map(s => (s.id === prev.id ? row : s)) : [...list, row];
+  await db.setSetting(SAVED_FILTERS_KEY, JSON.stringify(next));
+  dataBus.bump('settings');
+  return row;
+}
+
+async function deleteNamedFilter(id) {
+  const db = await waitForDb();
+  if (!db) throw new Error(t('data.error.db'));
+  const list = parseSavedFilters(await db.getSetting(SAVED_FILTERS_KEY)).filter(s => s.id !== id);
+  await db.setSetting(SAVED_FILTERS_KEY, list.length ? JSON.stringify(list) : null);
+  dataBus.bump('settings');
+}
+
+function useSavedFilters() {
+  const settings = useSettings();
+  const raw = settings[SAVED_FILTERS_KEY];
+  return React.useMemo(() => parseSavedFilters(raw), [raw]);
+}
+
+// ── UI ────────────────────────────────────────────────────────────
+// Résumé d'un résultat filtré (Historique).
+function FilterTotals({ drinks }) {
+  const totals = React.useMemo(() => drinkFilterTotals(drinks), [drinks]);
+  const priced = totals.count - totals.unpriced;
+  return (
+    <div role="status" aria-label={t('filters.totalsAria')} style={{
+      display: 'flex', flexWrap: 'wrap', gap: '4px 12px', padding: '8px 12px', borderRadius: 12,
+      background: T.surface2, border: `1px solid ${T.rule}`, color: T.ink2, ...type(11.5), ...TYPE.num }}>
+      <span><b style={{ color: T.ink }}>{totals.count}</b> {t('filters.drinksWord', { count: totals.count })}</span>
+      <span><b style={{ color: T.ink }}>{fmtNumber(Math.round(totals.grams), 0)}</b> {t('filters.gramsWord')}</span>
+      <span><b style={{ color: T.ink }}>{priced ? fmtPrice(totals.spend) : '—'}</b>{totals.unpriced && priced ? t('filters.unpriced', { count: totals.unpriced }) : ''}</span>
+    </div>
+  );
+}
+
+// Puces des critères actifs, chacune retirable.
+function FilterChips({ filter, onRemove }) {
+  const parts = describeDrinkFilter(filter);
+  if (!parts.length) return null;
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+      {parts.map(p => (
+        <button key={p.keys.join('+')} type="button" className="alco-press"
+          aria-label={t('filters.removeChip', { label: p.label })} onClick={() => onRemove(p.keys)} style={{
+            display: 'flex', alignItems: 'center', gap: 6, padding: '5px 8px 5px 10px', borderRadius: 99,
+            background: T.accentSoft, border: `1px solid ${T.accentSoftBorder}`, color: T.ink,
+            cursor: 'pointer', fontFamily: 'inherit', ...type(11.5) }}>
+          {p.label}
+          <SvgIcon icon={Ic.close} size={10} color={T.muted} />
+        </button>
+      ))}
+    </div>
+  );
+}
+
+const _str = (v) => (v == null ? '' : String(v).replace('.', ','));
+
+function _filterToForm(f) {
+  return {
+    dateFrom: f.dateFrom || '', dateTo: f.dateTo || '', timeFrom: f.timeFrom || '', timeTo: f.timeTo || '',
+    abvMin: _str(f.abvMin), abvMax: _str(f.abvMax), volMin: _str(f.volMin), volMax: _str(f.volMax),
+    priceMin: _str(f.priceMin), priceMax: _str(f.priceMax), ratingMin: f.ratingMin || 0,
+    hasLocation: f.hasLocation == null ? null : f.hasLocation, place: f.place || '',
+    barcode: f.barcode === true ? '' : (f.barcode || ''), anyBarcode: f.barcode === true,
+    peakMin: _str(f.peakMin),
+  };
+}
+
+function _formToFilter(form, base) {
+  const num = (s) => { const n = parseDecimal(s); return Number.isFinite(n) ? n : null; };
+  return normalizeDrinkFilter({
+    text: base.text, category: base.category,
+    dateFrom: form.dateFrom, dateTo: form.dateTo, timeFrom: form.timeFrom, timeTo: form.timeTo,
+    abvMin: num(form.abvMin), abvMax: num(form.abvMax), volMin: num(form.volMin), volMax: num(form.volMax),
+    priceMin: num(form.priceMin), priceMax: num(form.priceMax), ratingMin: form.ratingMin || null,
+    hasLocation: form.hasLocation, place: form.place,
+    barcode: form.anyBarcode ? true : form.barcode, peakMin: num(form.peakMin),
+  });
+}
+
+// Panneau de filtres : édite `value` (le texte libre et la catégorie sont
+// conservés tels quels), applique, ou enregistre sous un nom.
+function DrinkFilterSheet({ value, onApply, onClose }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const [form, setForm] = React.useState(() => _filterToForm(normalizeDrinkFilter(value)));
+  const [name, setName] = React.useState('');
+  const [busy, setBusy] = React.useState(false);
+  const set = (k) => (v) => setForm(prev => ({ ...prev, [k]: v }));
+  const result = _formToFilter(form, normalizeDrinkFilter(value));
+
+  const apply = () => { onApply(result); close(); };
+  const save = async () => {
+    setBusy(true);
+    try {
+      const row = await saveNamedFilter(name, result);
+      Toast.show(t('filters.saved', { name: row.name }));
+      onApply(result, row);
+      close();
+    } catch (e) {
+      const known = e.message === t('filters.empty') || e.message === t('filters.nameRequired');
+      Toast.show(known ? e.message : t('filters.saveError'));
+      setBusy(false);
+    }
+  };
+
+  const row = (children) => <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>{children}</div>;
+  const textInput = (k, label, props = {}) => (
+    <input value={form[k]} onChange={(ev) => set(k)(ev.target.value)} aria-label={label} {...props}
+      style={{ ...inputBaseStyle(), padding: '9px 12px', ...type(13), flex: 1, minWidth: 0 }} />
+  );
+  const range = (minK, maxK, label, suffix) => row(<>
+    <NumberField value={form[minK]} onChange={set(minK)} ariaLabel={t('filters.rangeMin', { label })} suffix={suffix} placeholder="min" style={{ flex: 1 }} />
+    <span style={{ color: T.muted, ...type(12) }}>→</span>
+    <NumberField value={form[maxK]} onChange={set(maxK)} ariaLabel={t('filters.rangeMax', { label })} suffix={suffix} placeholder="max" style={{ flex: 1 }} />
+  </>);
+  const choice = (on, label, onClick) => (
+    <button type="button" role="radio" aria-checked={on} onClick={onClick} style={{
+      padding: '6px 10px', borderRadius: 99, cursor: 'pointer', fontFamily: 'inherit',
+      ...type(11.5, { weight: on ? 600 : 400 }),
+      background: on ? T.ink : T.surface3, color: on ? T.bg : T.ink2,
+      border: `1px solid ${on ? T.ink : T.rule}` }}>{label}</button>
+  );
+
+  return (
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('filters.title')}>
+      <div className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', maxHeight: '92dvh',
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{
+          padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}`,
+          display: 'flex', alignItems: 'flex-start', gap: 12 }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{
+              ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>{t('filters.title')}</div>
+            <div style={{
+              color: T.muted, ...TYPE.label, marginTop: 6 }}>{t('filters.sub')}</div>
+          </div>
+          <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
+            width: 32, height: 32, borderRadius: 99, background: T.surface2,
+            display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
+            border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit', flexShrink: 0,
+            touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
+        </div>
+        </SheetGrabber>
+
+        <div style={{ overflow: 'auto', padding: '14px 22px 2px' }}>
+          <FieldGroup label={t('filters.dates')}>{row(<>
+            {textInput('dateFrom', t('filters.dateFrom'), { type: 'date' })}
+            <span style={{ color: T.muted, ...type(12) }}>→</span>
+            {textInput('dateTo', t('filters.dateTo'), { type: 'date' })}
+          </>)}</FieldGroup>
+          <FieldGroup label={t('filters.time')}>{row(<>
+            {textInput('timeFrom', t('filters.timeFrom'), { type: 'time' })}
+            <span style={{ color: T.muted, ...type(12) }}>→</span>
+            {textInput('timeTo', t('filters.timeTo'), { type: 'time' })}
+          </>)}</FieldGroup>
+          <FieldGroup label={t('filters.abv')}>{range('abvMin', 'abvMax', t('filters.abv'), '%')}</FieldGroup>
+          <FieldGroup label={t('filters.volume')}>{range('volMin', 'volMax', t('filters.volume'), 'cL')}</FieldGroup>
+          <FieldGroup label={t('filters.price')}>{range('priceMin', 'priceMax', t('filters.price'), '€')}</FieldGroup>
+          <FieldGroup label={t('filters.ratingMin')}>
+            <div role="radiogroup" aria-label={t('filters.ratingMin')} style={{ display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+              {[0, 1, 2, 3, 4, 5].map(n => choice(form.ratingMin === n, n ? t('filters.ratingOption', { n }) : t('filters.ratingAll'), () => set('ratingMin')(n)))}
+            </div>
+          </FieldGroup>
+          <FieldGroup label={t('filters.placeGroup')}>
+            <div role="radiogroup" aria-label={t('filters.placeAria')} style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginBottom: 8 }}>
+              {choice(form.hasLocation == null, t('filters.anyPlace'), () => set('hasLocation')(null))}
+              {choice(form.hasLocation === true, t('filters.withPlace'), () => set('hasLocation')(true))}
+              {choice(form.hasLocation === false, t('filters.withoutPlace'), () => set('hasLocation')(false))}
+            </div>
+            {textInput('place', t('filters.placeContains'), { placeholder: t('filters.placePh') })}
+          </FieldGroup>
+          <FieldGroup label={t('filters.barcodeGroup')}>
+            {row(<>
+              {textInput('barcode', t('filters.barcodeContains'), { placeholder: t('filters.barcodePh'), inputMode: 'numeric', disabled: form.anyBarcode })}
+              {choice(form.anyBarcode, t('filters.barcodeAny'), () => set('anyBarcode')(!form.anyBarcode))}
+            </>)}
+          </FieldGroup>
+          <FieldGroup label={t('filters.peakGroup')}>
+            <NumberField value={form.peakMin} onChange={set('peakMin')} ariaLabel={t('filters.peakAria')} suffix="mg/L" allowDecimal={false} />
+          </FieldGroup>
+          <FieldGroup label={t('filters.saveGroup')}>
+            {row(<>
+              <input value={name} onChange={(ev) => setName(ev.target.value)} aria-label={t('filters.nameAria')} placeholder={t('filters.namePh')}
+                style={{ ...inputBaseStyle(), padding: '9px 12px', ...type(13), flex: 1, minWidth: 0 }} />
+              <button type="button" onClick={save} disabled={busy || !name.trim()} style={{
+                ...ghostButton, color: T.accent, ...type(12, { weight: 600 }), padding: '8px 4px',
+                opacity: busy || !name.trim() ? 0.5 : 1 }}>{t('filters.saveButton')}</button>
+            </>)}
+          </FieldGroup>
+        </div>
+
+        <div style={{
+          display: 'flex', alignItems: 'center', gap: 8, borderTop: `1px solid ${T.rule}`,
+          padding: '12px 22px calc(14px + env(safe-area-inset-bottom))' }}>
+          <button type="button" onClick={() => setForm(_filterToForm({}))} style={{ ...ghostButton, color: T.ink2, ...type(12), marginRight: 'auto' }}>{t('filters.reset')}</button>
+          <button type="button" onClick={close} style={{ ...ghostButton, color: T.ink2, ...type(12) }}>{t('common.cancel')}</button>
+          <button type="button" onClick={apply} style={{
+            border: 'none', fontFamily: 'inherit', cursor: 'pointer',
+            background: T.accent, color: T.accentInk, ...type(12, { weight: 600 }),
+            padding: '9px 14px', borderRadius: 10 }}>{t('filters.apply')}</button>
+        </div>
+      </div>
+    </SheetOverlay>
+  );
+}
+
+// Rangée de filtres nommés (onglet Stats) : « Tout » + un bouton par filtre.
+function SavedFilterPills({ saved, activeId, onSelect }) {
+  if (!saved.length) return null;
+  return (
+    <div className="alco-fade-x" role="group" aria-label={t('filters.savedAria')} style={{
+      display: 'flex', gap: 8, padding: '0 16px 14px', overflowX: 'auto', scrollbarWidth: 'none' }}>
+      <Pill active={!activeId} onClick={() => onSelect(null)}>{t('filters.all')}</Pill>
+      {saved.map(s => (
+        <Pill key={s.id} active={activeId === s.id} onClick={() => onSelect(s.id)}>
+          <SvgIcon icon={Ic.filter} size={11} />{s.name}
+        </Pill>
+      ))}
+    </div>
+  );
+}
+
+Object.assign(window, {
+  SAVED_FILTERS_KEY, normalizeDrinkFilter, isDrinkFilterEmpty, mergeDrinkFilters, parseDrinkQuery,
+  compileDrinkFilter, filterDrinks, drinkFilterTotals, describeDrinkFilter,
+  parseSavedFilters, saveNamedFilter, deleteNamedFilter, useSavedFilters,
+  FilterTotals, FilterChips, DrinkFilterSheet, SavedFilterPills,
+});
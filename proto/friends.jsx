@@ -16,7 +16,7 @@
 function FriendRow({ member, bac, onOpen, favorite, onToggleFav, index = 0, stagger = false }) {
   const press = usePressScale();
   const reduced = useReducedMotion();
-  const name = member.displayName || 'Anonyme';
+  const name = member.displayName || t('friends.anonymous');
   return (
     <div style={{
       display: 'flex', alignItems: 'stretch',
@@ -24,7 +24,7 @@ function FriendRow({ member, bac, onOpen, favorite, onToggleFav, index = 0, stag
       ...staggerStyle(index, { reduced: reduced || !stagger }) }}>
       {member.shareBac && (
         <button type="button"
-          aria-label={favorite ? `Retirer ${name} des favoris` : `Mettre ${name} en favori`}
+          aria-label={t(favorite ? 'friends.unfavAria' : 'friends.favAria', { name })}
           aria-pressed={!!favorite}
           onClick={() => onToggleFav && onToggleFav()}
           style={{
@@ -35,7 +35,7 @@ function FriendRow({ member, bac, onOpen, favorite, onToggleFav, index = 0, stag
         </button>
       )}
       <button type="button" {...press.handlers} onClick={() => onOpen(member)}
-        aria-label={`Voir les statistiques de ${name}, ${member.shareBac ? 'Alcoolémie en direct' : 'BAC non partagé'}`}
+        aria-label={t('friends.openAria', { name, bac: t(member.shareBac ? 'friends.bacLive' : 'friends.bacHidden') })}
         style={{
           flex: 1, minWidth: 0, display: 'flex', alignItems: 'center', gap: 10,
           paddingTop: 14, paddingBottom: 14, paddingRight: 16,
@@ -48,9 +48,9 @@ function FriendRow({ member, bac, onOpen, favorite, onToggleFav, index = 0, stag
             fontSize: remSize(15), letterSpacing: tracking(15), fontWeight: 600, color: T.ink,
             overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{name}</div>
           <div style={{
-            fontSize: remSize(9.5), letterSpacing: tracking(9.5, { caps: true }), color: T.muted, textTransform: 'uppercase', marginTop: 2, fontWeight: 500 }}>{member.shareBac ? 'Alcoolémie en direct' : 'BAC non partagé'}</div>
+            fontSize: remSize(9.5), letterSpacing: tracking(9.5, { caps: true }), color: T.muted, textTransform: 'uppercase', marginTop: 2, fontWeight: 500 }}>{t(member.shareBac ? 'friends.bacLive' : 'friends.bacHidden')}</div>
         </div>
-        <BacPill bac={bac == null ? null : bac} ariaLabel={`Alcoolémie de ${name}`} />
+        <BacPill bac={bac == null ? null : bac} ariaLabel={t('friends.bacAria', { name })} />
         <span style={{ display: 'flex', color: T.muted, marginLeft: 2 }}>
           <SvgIcon icon={Ic.chevR} size={18} />
         </span>
@@ -70,23 +70,23 @@ function GroupAdminPanel({ members }) {
   const isCreator = !!s.groupId && !!s.userId && s.creatorId === s.userId;
   if (!isCreator || !members || members.length === 0) return null;
   const remove = async (m) => {
-    const name = m.displayName || 'Anonyme';
+    const name = m.displayName || t('friends.anonymous');
     const ok = await Confirm.ask({
-      title: `Retirer ${name} du groupe ?`,
-      message: 'Son profil et ses boissons partagées seront supprimés du groupe pour tout le monde. Ses données personnelles sur son appareil ne sont pas touchées.',
-      confirmText: 'Retirer', danger: true,
+      title: t('friends.removeMember.title', { name }),
+      message: t('friends.removeMember.message'),
+      confirmText: t('friends.remove'), danger: true,
     });
     if (!ok) return;
     try {
       await shareEngine.removeMember(m.userId);
-      Toast.show(`${name} retiré du groupe`);
+      Toast.show(t('friends.removed', { name }));
     } catch (e) {
       Toast.show(shareErrorMessage(e));
     }
   };
   return (
     <div style={{ marginTop: 18 }}>
-      <SectionHead>Administration du groupe</SectionHead>
+      <SectionHead>{t('friends.admin')}</SectionHead>
       <div style={{
         marginTop: 10, background: T.surface2, border: `1px solid ${T.rule}`,
         borderRadius: 14, overflow: 'hidden' }}>
@@ -96,22 +96,21 @@ function GroupAdminPanel({ members }) {
             borderBottom: i === members.length - 1 ? 'none' : `1px solid ${T.rule}` }}>
             <div style={{
               flex: 1, minWidth: 0, fontSize: remSize(14), letterSpacing: tracking(14), color: T.ink,
-              overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{m.displayName || 'Anonyme'}</div>
+              overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{m.displayName || t('friends.anonymous')}</div>
             <button type="button" onClick={() => remove(m)}
-              aria-label={`Retirer ${m.displayName || 'Anonyme'} du groupe`}
+              aria-label={t('friends.removeAria', { name: m.displayName || t('friends.anonymous') })}
               style={{
                 ...ghostButton, display: 'flex', alignItems: 'center', gap: 6,
                 padding: '7px 12px', borderRadius: 10, flexShrink: 0,
                 background: T.dangerSoftBg, border: `1px solid ${T.dangerSoftBorder}`,
                 color: T.accent2, fontSize: remSize(11.5), letterSpacing: tracking(11.5), fontWeight: 500 }}>
-              <SvgIcon icon={Ic.userMinus} size={13} /> Retirer
+              <SvgIcon icon={Ic.userMinus} size={13} /> {t('friends.remove')}
             </button>
           </div>
         ))}
       </div>
       <div style={{ marginTop: 8, color: T.muted, fontSize: remSize(10.5), letterSpacing: tracking(10.5), lineHeight: 1.5 }}>
-        Visible uniquement par la personne qui a créé le groupe — le serveur
-        re-vérifie ce droit à chaque retrait.
+        {t('friends.adminNote')}
       </div>
     </div>
   );
@@ -120,22 +119,72 @@ function GroupAdminPanel({ members }) {
 // Pied de l'onglet quand on est dans un groupe : action « Quitter le groupe ».
 // Le code d'invitation N'EST PLUS affiché ici (déjà dans un groupe) — il reste
 // accessible dans Paramètres › Partage, pour inviter d'autres personnes.
+// QR code d'invitation à faire scanner par un ami (écran « Rejoins tes
+// amis » › Scanner un QR code) ; le code reste lisible en dessous.
+function InviteQrSheet({ code, onClose }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  return (
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('friends.inviteQr')}>
+      <div className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', maxHeight: '92dvh',
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{
+          padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}`,
+          display: 'flex', alignItems: 'center', gap: 12 }}>
+          <div style={{ flex: 1, fontFamily: fontSerif, fontStyle: 'italic', fontSize: remSize(22), letterSpacing: tracking(22), color: T.ink }}>
+            {t('friends.inviteTitle')}
+          </div>
+          <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
+            width: 32, height: 32, borderRadius: 99, background: T.surface2,
+            display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
+            border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit', flexShrink: 0,
+            touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
+        </div>
+        </SheetGrabber>
+        <div style={{
+          overflow: 'auto', padding: '22px 22px calc(26px + env(safe-area-inset-bottom))',
+          display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 14 }}>
+          <QrCode text={inviteQrPayload(code)} size={220} label={t('friends.inviteQrAria', { code })} />
+          <div style={{ fontFamily: fontNum, fontSize: remSize(20), letterSpacing: tracking(20, { caps: true }), color: T.ink }}>{code}</div>
+          <div style={{ fontSize: remSize(12.5), letterSpacing: tracking(12.5), color: T.muted, lineHeight: 1.5, textAlign: 'center', maxWidth: 280 }}>
+            {t('friends.inviteHint')}
+          </div>
+        </div>
+      </div>
+    </SheetOverlay>
+  );
+}
+
 function GroupFooter() {
+  const s = useShare();
+  const [showQr, setShowQr] = React.useState(false);
   const onLeave = async () => {
     const ok = await Confirm.ask({
-      title: 'Quitter le groupe ?',
-      message: 'Tes données partagées seront retirées du groupe et tu ne verras plus celles des autres membres.',
-      confirmText: 'Quitter', danger: true,
+      title: t('friends.leave.title'),
+      message: t('friends.leave.message'),
+      confirmText: t('friends.leave.confirm'), danger: true,
     });
     if (!ok) return;
-    try { await shareEngine.leaveGroup(); Toast.show('Groupe quitté'); }
+    try { await shareEngine.leaveGroup(); Toast.show(t('friends.left')); }
     catch (e) { Toast.show(shareErrorMessage(e)); }
   };
   return (
     <div style={{ marginTop: 18, display: 'flex', flexDirection: 'column', gap: 10 }}>
+      {s.inviteCode && (
+        <button type="button" onClick={() => setShowQr(true)} style={{
+          ...ghostButton, padding: '10px 12px', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: 8,
+          color: T.accent, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 600, alignSelf: 'center' }}>
+          <SvgIcon icon={Ic.users} size={15} /> {t('friends.inviteWithQr')}
+        </button>
+      )}
+      {showQr && <InviteQrSheet code={s.inviteCode} onClose={() => setShowQr(false)} />}
       <button type="button" onClick={onLeave} style={{
         ...ghostButton, padding: '10px 12px', cursor: 'pointer',
-        color: T.accent2, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 600, alignSelf: 'center' }}>Quitter le groupe</button>
+        color: T.accent2, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 600, alignSelf: 'center' }}>{t('friends.leave')}</button>
     </div>
   );
 }
@@ -145,11 +194,12 @@ function FriendsEmpty() {
   const s = useShare();
   const [code, setCode] = React.useState('');
   const [busy, setBusy] = React.useState(false);
+  const [scanning, setScanning] = React.useState(false);
 
   if (!s.available) {
     return (
       <div style={{ padding: '40px 20px', textAlign: 'center', color: T.muted, fontSize: remSize(13), letterSpacing: tracking(13), lineHeight: 1.6 }}>
-        Le partage n'est pas configuré sur cette installation.
+        {t('friends.unavailable')}
       </div>
     );
   }
@@ -160,11 +210,10 @@ function FriendsEmpty() {
           <SvgIcon icon={Ic.users} size={34} />
         </div>
         <div style={{ fontFamily: fontSerif, fontStyle: 'italic', fontSize: remSize(22), letterSpacing: tracking(22), color: T.ink, marginBottom: 8 }}>
-          Partage entre amis
+          {t('share.title')}
         </div>
         <div style={{ fontSize: remSize(13), letterSpacing: tracking(13), color: T.muted, lineHeight: 1.6, maxWidth: 300, margin: '0 auto' }}>
-          Active le partage dans les <strong style={{ color: T.ink }}>Paramètres</strong> (menu en haut à gauche)
-          pour voir l'alcoolémie et les statistiques de tes amis ici.
+          {t('friends.disabled.before')}<strong style={{ color: T.ink }}>{t('friends.disabled.settings')}</strong>{t('friends.disabled.after')}
         </div>
       </div>
     );
@@ -172,14 +221,14 @@ function FriendsEmpty() {
 
   const create = async () => {
     setBusy(true);
-    try { await shareEngine.createGroup(); Toast.show('Groupe créé'); }
+    try { await shareEngine.createGroup(); Toast.show(t('friends.created')); }
     catch (e) { Toast.show(shareErrorMessage(e)); }
     finally { setBusy(false); }
   };
-  const join = async () => {
-    if (!code.trim()) return;
+  const join = async (value = code) => {
+    if (!value.trim()) return;
     setBusy(true);
-    try { await shareEngine.joinGroup(code); Toast.show('Groupe rejoint'); }
+    try { await shareEngine.joinGroup(value); Toast.show(t('friends.joined')); }
     catch (e) { Toast.show(shareErrorMessage(e)); }
     finally { setBusy(false); }
   };
@@ -191,38 +240,52 @@ function FriendsEmpty() {
           <SvgIcon icon={Ic.users} size={32} />
         </div>
         <div style={{ fontFamily: fontSerif, fontStyle: 'italic', fontSize: remSize(22), letterSpacing: tracking(22), color: T.ink, marginBottom: 6 }}>
-          Rejoins tes amis
+          {t('friends.join.title')}
         </div>
         <div style={{ fontSize: remSize(13), letterSpacing: tracking(13), color: T.muted, lineHeight: 1.5 }}>
-          Crée un groupe et partage le code, ou saisis le code d'un ami.
+          {t('friends.join.sub')}
         </div>
       </div>
 
       <button type="button" onClick={create} disabled={busy} style={{
         padding: '13px 18px', borderRadius: 14, fontSize: remSize(14), letterSpacing: tracking(14), fontWeight: 600,
         background: T.accent, color: T.accentInk, border: 'none',
-        cursor: busy ? 'default' : 'pointer', fontFamily: 'inherit', opacity: busy ? 0.6 : 1 }}>Créer un groupe</button>
+        cursor: busy ? 'default' : 'pointer', fontFamily: 'inherit', opacity: busy ? 0.6 : 1 }}>{t('share.createGroup')}</button>
 
       <div style={{ display: 'flex', alignItems: 'center', gap: 10, color: T.muted, fontSize: remSize(11), letterSpacing: tracking(11) }}>
         <div style={{ flex: 1, height: 1, background: T.rule }} />
-        OU
+        {t('friends.or')}
         <div style={{ flex: 1, height: 1, background: T.rule }} />
       </div>
 
       <div style={{ display: 'flex', gap: 8 }}>
         <input value={code} onChange={e => setCode(e.target.value.toUpperCase())}
-          placeholder="CODE-AMI" aria-label="Code d'invitation"
+          placeholder={t('friends.codePh')} aria-label={t('share.inviteCode')}
           style={{
             flex: 1, padding: '12px 14px', borderRadius: 12,
             background: T.surface3, border: `1px solid ${T.rule}`, color: T.ink,
             fontFamily: fontNum, fontSize: remSize(14), letterSpacing: tracking(14, { caps: true }), textTransform: 'uppercase',
           }} />
-        <button type="button" onClick={join} disabled={busy || !code.trim()} style={{
+        <button type="button" onClick={() => join()} disabled={busy || !code.trim()} style={{
           padding: '12px 18px', borderRadius: 12, fontSize: remSize(14), letterSpacing: tracking(14), fontWeight: 600,
           background: T.surface2, color: T.ink, border: `1px solid ${T.rule}`,
           cursor: (busy || !code.trim()) ? 'default' : 'pointer', fontFamily: 'inherit',
-          opacity: (busy || !code.trim()) ? 0.5 : 1 }}>Rejoindre</button>
+          opacity: (busy || !code.trim()) ? 0.5 : 1 }}>{t('friends.join')}</button>
       </div>
+
+      <button type="button" onClick={() => setScanning(true)} disabled={busy} style={{
+        ...ghostButton, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8,
+        padding: '10px 12px', cursor: busy ? 'default' : 'pointer',
+        color: T.accent, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 600 }}>
+        <SvgIcon icon={Ic.scan} size={16} /> {t('friends.scanQr')}
+      </button>
+      {scanning && (
+        <ScannerSheet mode="invite" onClose={() => setScanning(false)} onScanned={(scanned) => {
+          setScanning(false);
+          setCode(scanned);
+          join(scanned);
+        }} />
+      )}
     </div>
   );
 }
@@ -249,15 +312,15 @@ function FriendsTab({ onOpenFriend }) {
           display: 'flex', alignItems: 'center', justifyContent: 'space-between',
           padding: '10px 16px', gap: 10 }}>
           <div style={{ fontSize: remSize(9.5), letterSpacing: tracking(9.5, { caps: true }), color: T.muted, textTransform: 'uppercase', fontWeight: 500 }}>
-            {s.syncing ? 'Synchronisation…' :
-              (s.lastPullAt ? `Mis à jour ${fmtRelTime(s.lastPullAt)}` : 'Prêt')}
+            {s.syncing ? t('friends.syncing') :
+              (s.lastPullAt ? t('friends.updated', { when: fmtRelTime(s.lastPullAt) }) : t('friends.ready'))}
           </div>
-          <button type="button" onClick={onRefresh} aria-label="Rafraîchir"
+          <button type="button" onClick={onRefresh} aria-label={t('friends.refresh')}
             disabled={s.syncing} style={{
               ...ghostButton, display: 'flex', alignItems: 'center', gap: 6,
               color: T.accent, fontSize: remSize(12), letterSpacing: tracking(12), fontWeight: 600, cursor: 'pointer',
               opacity: s.syncing ? 0.5 : 1, padding: '4px 6px' }}>
-            <SvgIcon icon={Ic.refresh} size={15} /> Rafraîchir
+            <SvgIcon icon={Ic.refresh} size={15} /> {t('friends.refresh')}
           </button>
         </div>
       )}
@@ -266,7 +329,7 @@ function FriendsTab({ onOpenFriend }) {
         <div style={{
           margin: '0 16px 8px', padding: '8px 12px', borderRadius: 10,
           background: T.surface2, border: `1px solid ${T.rule}`,
-          color: T.ink2, fontSize: remSize(11.5), letterSpacing: tracking(11.5), lineHeight: 1.4, textAlign: 'center' }}>Vous n'êtes pas connecté·e à Internet</div>
+          color: T.ink2, fontSize: remSize(11.5), letterSpacing: tracking(11.5), lineHeight: 1.4, textAlign: 'center' }}>{t('friends.offline')}</div>
       )}
 
       {hasGroup && s.online && s.errorDetail && (
@@ -281,9 +344,9 @@ function FriendsTab({ onOpenFriend }) {
 
         {hasGroup && members.length === 0 && (
           <div style={{ padding: '32px 22px 8px', textAlign: 'center' }}>
-            <div style={{ fontSize: remSize(14), letterSpacing: tracking(14), color: T.ink, marginBottom: 8 }}>Aucun ami pour l'instant</div>
+            <div style={{ fontSize: remSize(14), letterSpacing: tracking(14), color: T.ink, marginBottom: 8 }}>{t('friends.empty')}</div>
             <div style={{ fontSize: remSize(12.5), letterSpacing: tracking(12.5), color: T.muted, lineHeight: 1.6 }}>
-              Partage ton code d'invitation ci-dessous pour que tes amis te rejoignent.
+              {t('friends.emptySub')}
             </div>
           </div>
         )}
@@ -311,10 +374,10 @@ function FriendsTab({ onOpenFriend }) {
 // Libellé relatif court ("à l'instant", "il y a 8 min", "il y a 2 h").
 function fmtRelTime(ts) {
   const s = Math.max(0, Math.round((Date.now() - ts) / 1000));
-  if (s < 30) return "à l'instant";
-  if (s < 3600) return `il y a ${Math.round(s / 60)} min`;
-  if (s < 86400) return `il y a ${Math.round(s / 3600)} h`;
-  return `il y a ${Math.round(s / 86400)} j`;
+  if (s < 30) return t('rel.now');
+  if (s < 3600) return t('rel.minutes', { count: Math.round(s / 60) });
+  if (s < 86400) return t('rel.hours', { count: Math.round(s / 3600) });
+  return t('rel.days', { count: Math.round(s / 86400) });
 }
 
 // Vue plein écran : stats d'un ami via StatsTab + contextes surchargés.
@@ -344,18 +407,18 @@ function FriendStatsView({ friend, onClose }) {
   // membre quand le créateur est inconnu (created_by NULL) — le serveur
   // re-vérifie ces droits dans remove_member quoi qu'affiche l'UI.
   const canRemove = !!s.groupId && (s.creatorId == null || s.creatorId === s.userId);
-  const name = friend.displayName || 'Anonyme';
+  const name = friend.displayName || t('friends.anonymous');
   const onRemove = async () => {
     const ok = await Confirm.ask({
-      title: `Retirer ${name} ?`,
-      message: 'Ses boissons partagées seront supprimées du groupe pour tout le monde. Ses données personnelles sur son appareil ne sont pas touchées.',
-      confirmText: 'Retirer',
+      title: t('friends.removeFriend.title', { name }),
+      message: t('friends.removeFriend.message'),
+      confirmText: t('friends.remove'),
       danger: true,
     });
     if (!ok) return;
     try {
       await shareEngine.removeMember(friend.userId);
-      Toast.show(`${name} retiré du groupe`);
+      Toast.show(t('friends.removed', { name }));
       close();
     } catch (e) {
       Toast.show(shareErrorMessage(e));
@@ -366,7 +429,10 @@ function FriendStatsView({ friend, onClose }) {
   const settingsValue = React.useMemo(() => ({
     userWeight: friend.bacWeight != null ? friend.bacWeight : undefined,
     userGender: friend.bacGender || undefined,
-  }), [friend.bacWeight, friend.bacGender]);
+    bacModel: friend.bacModel || undefined,
+    userAge: friend.bacAge != null ? friend.bacAge : undefined,
+    userHeight: friend.bacHeight != null ? friend.bacHeight : undefined,
+  }), [friend.bacWeight, friend.bacGender, friend.bacModel, friend.bacAge, friend.bacHeight]);
 
   // ── Retour au doigt ────────────────────────────────────────────
   // La fiche est une PAGE poussée depuis la droite : on doit pouvoir la
@@ -456,7 +522,7 @@ function FriendStatsView({ friend, onClose }) {
         display: 'flex', alignItems: 'center', gap: 12, flexShrink: 0,
         position: 'relative', zIndex: 2,
         borderBottom: `1px solid ${T.rule}` }}>
-        <button type="button" className="alco-press" onClick={close} aria-label="Retour" style={{
+        <button type="button" className="alco-press" onClick={close} aria-label={t('friends.back')} style={{
           width: 38, height: 38, borderRadius: 12, background: T.surface2,
           display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
           border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit',
@@ -467,17 +533,17 @@ function FriendStatsView({ friend, onClose }) {
           <div style={{
             fontFamily: fontSerif, fontStyle: 'italic', fontSize: remSize(19), letterSpacing: tracking(19), color: T.ink,
             lineHeight: 1.1,
-            overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{friend.displayName || 'Anonyme'}</div>
+            overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{name}</div>
           <div style={{
             fontSize: remSize(9.5), letterSpacing: tracking(9.5, { caps: true }), color: T.muted, textTransform: 'uppercase',
-            marginTop: 2, fontWeight: 500 }}>Statistiques partagées</div>
+            marginTop: 2, fontWeight: 500 }}>{t('friends.sharedStats')}</div>
         </div>
         <button type="button"
-          aria-label="Télécharger tout l'historique"
+          aria-label={t('friends.pullAll')}
           disabled={s.syncing}
           onClick={async () => {
             const errDetail = await shareEngine.pullFullHistory();
-            Toast.show(errDetail ? 'Échec du téléchargement' : 'Historique à jour');
+            Toast.show(t(errDetail ? 'friends.pullFailed' : 'friends.pullDone'));
           }}
           style={{
             width: 38, height: 38, borderRadius: 12, background: T.surface2,
@@ -488,7 +554,7 @@ function FriendStatsView({ friend, onClose }) {
         </button>
         {canRemove && (
           <button type="button"
-            aria-label={`Retirer ${name} du groupe`}
+            aria-label={t('friends.removeAria', { name })}
             onClick={onRemove}
             style={{
               width: 38, height: 38, borderRadius: 12, background: T.surface2,
@@ -500,7 +566,7 @@ function FriendStatsView({ friend, onClose }) {
         )}
         {friend.shareBac && (
           <button type="button"
-            aria-label={isFav ? 'Retirer des favoris' : 'Mettre en favori'}
+            aria-label={t(isFav ? 'friends.unfav' : 'friends.fav')}
             aria-pressed={isFav}
             onClick={() => shareEngine.toggleFavorite(friend.userId)}
             style={{
@@ -552,10 +618,10 @@ function HeaderBacStack() {
       {two && (
         <BacPill bac={bacMap[fav.userId] == null ? null : bacMap[fav.userId]}
           tone="good" compact
-          ariaLabel={`Alcoolémie de ${fav.displayName || 'mon favori'}`} />
+          ariaLabel={t('friends.bacAria', { name: fav.displayName || t('friends.myFavorite') })} />
       )}
     </div>
   );
 }
 
-Object.assign(window, { FriendsTab, FriendStatsView, FriendRow, GroupFooter, GroupAdminPanel, HeaderBacStack });
+Object.assign(window, { FriendsTab, FriendStatsView, FriendRow, GroupFooter, InviteQrSheet, GroupAdminPanel, HeaderBacStack });
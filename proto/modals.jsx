@@ -21,10 +21,16 @@ function ImpactStat({ big, unit, accent }) {
   );
 }
 
-function AddDrinkSheet({ open, prefill, onClose }) {
+// `scanImage` : image partagée vers l'app (share target, cf. app.jsx) — la
+// sheet s'ouvre directement sur le scanner, qui la décode.
+function AddDrinkSheet({ open, prefill, scanImage, onClose }) {
   const { categories } = useCategories();
   const families = useFamilies();
   const [scan, setScan] = React.useState(false);
+  const [scanFrom, setScanFrom] = React.useState(null);
+  // Code-barres du dernier scan : enregistré avec la boisson, il apprend au
+  // catalogue local la fiche telle que corrigée ici (nom, degré, portion).
+  const [barcode, setBarcode] = React.useState(null);
   const [name, setName] = React.useState('');
   const [cat, setCat] = React.useState('');
   const [qty, setQty] = React.useState('');
@@ -44,6 +50,13 @@ function AddDrinkSheet({ open, prefill, onClose }) {
   // MANUELLE dans le champ coupe l'auto pour le reste de la session de la
   // sheet (on n'écrase jamais un prix tapé par l'utilisateur).
   const [priceAuto, setPriceAuto] = React.useState(true);
+  // Contenant partagé (pichet, bouteille…) : Quantité et Prix décrivent alors
+  // le CONTENANT ; l'entrée enregistre ma part (sharedContainerEntry) et la
+  // durée de consommation, qui étale l'absorption dans le BAC.
+  const [shared, setShared] = React.useState(false);
+  const [share, setShare] = React.useState(1 / 2);
+  const [drinkers, setDrinkers] = React.useState('2');
+  const [windowMin, setWindowMin] = React.useState(60);
   // `loc` = position attachée à la boisson (objet location | null). `locTouched`
   // distingue « non touché » (→ auto-capture non bloquante à l'ajout, comme
   // avant) de « choisi/retiré explicitement via le champ Lieu » (→ on respecte
@@ -67,6 +80,8 @@ function AddDrinkSheet({ open, prefill, onClose }) {
     submittingRef.current = false;
     setLoc(null); setLocTouched(false);
     setPriceAuto(true);
+    setShared(false); setShare(1 / 2); setDrinkers('2'); setWindowMin(60);
+    setBarcode((prefill && prefill.barcode) || null);
     if (prefill) {
       // NumberField state stays a string — coerce prefilled numbers so the
       // controlled input never flips number↔string mid-edit.
@@ -85,6 +100,12 @@ function AddDrinkSheet({ open, prefill, onClose }) {
     }
   }, [open, prefill]);
 
+  React.useEffect(() => {
+    if (!open || !scanImage) return;
+    setScanFrom(scanImage);
+    setScan(true);
+  }, [open, scanImage]);
+
   // Backfill the category from the loaded categories list as soon as it
   // becomes available (handles the case where the sheet opens before the
   // first useCategories() resolution). Only applied when the user has not
@@ -100,12 +121,14 @@ function AddDrinkSheet({ open, prefill, onClose }) {
   const suggestion = React.useMemo(() => {
     const q = parseDecimal(qty) || 0;
     const a = parseDecimal(alc) || 0;
-    return suggestPriceForVolume(families, name, toCl(q, unit), a);
-  }, [families, name, qty, unit, alc]);
+    return suggestPriceForVolume(families, name, toCl(q, unit), a, shared ? share : 1);
+  }, [families, name, qty, unit, alc, shared, share]);
+  // Le champ porte le prix du CONTENANT (= celui de l'entrée hors partage).
+  const suggestedPrice = suggestion ? suggestion.containerPrice : null;
   React.useEffect(() => {
     if (!open || !priceAuto) return;
-    setPrice(suggestion ? String(suggestion.price) : '');
-  }, [open, priceAuto, suggestion]);
+    setPrice(suggestedPrice != null ? String(suggestedPrice) : '');
+  }, [open, priceAuto, suggestedPrice]);
 
   if (!open) return null;
 
@@ -116,26 +139,56 @@ function AddDrinkSheet({ open, prefill, onClose }) {
   // Use the shared toCl so non-canonical units (e.g. "ml" coming from
   // a scanner result) are converted correctly instead of being treated
   // as cL by a local case-sensitive ternary.
-  const volCl = toCl(qtyNum, unit);
+  const priceInput = parseDecimal(price);   // NaN si vide
+  // Ma part : quantité / prix réellement enregistrés pour un contenant partagé.
+  const part = shared
+    ? sharedContainerEntry({ total: qtyNum, share, windowMin,
+        containerPrice: Number.isFinite(priceInput) ? priceInput : null })
+    : null;
+  const volCl = toCl(part ? part.quantity : qtyNum, unit);
   const g = +(ethanolGrams(volCl, alcNum)).toFixed(1);
+  const pickShare = (v) => {
+    setShare(v);
+    const n = Math.round(1 / v);
+    setDrinkers(Math.abs(1 / n - v) < 1e-6 ? String(n) : '');
+  };
+  const typeDrinkers = (v) => {
+    setDrinkers(v);
+    const n = parseInt(v, 10);
+    setShare(n >= 1 ? 1 / n : NaN);
+  };
+  const choice = (on, label, onClick, aria) => (
+    <button key={label} type="button" role="radio" aria-checked={on} aria-label={aria} onClick={onClick} style={{
+      padding: '6px 10px', borderRadius: 99, cursor: 'pointer', fontFamily: 'inherit',
+      ...type(11.5, { weight: on ? 600 : 400 }),
+      background: on ? T.ink : T.surface3, color: on ? T.bg : T.ink2,
+      border: `1px solid ${on ? T.ink : T.rule}`, whiteSpace: 'nowrap' }}>{label}</button>
+  );
+  const stdDrink = getStandardDrink();
 
   const submit = async () => {
     if (submittingRef.current) return;
     setErr('');
-    if (!name.trim()) { setErr('Le nom de la boisson est requis'); return; }
-    if (!cat) { setErr('Choisissez une catégorie'); return; }
-    if (!qtyNum || qtyNum <= 0) { setErr('Quantité invalide'); return; }
-    if (alcNum > 100) { setErr('Degré d\'alcool invalide (0–100 %)'); return; }
+    if (!name.trim()) { setErr(t('drink.error.nameRequired')); return; }
+    if (!cat) { setErr(t('drink.error.category')); return; }
+    if (!qtyNum || qtyNum <= 0) { setErr(t('drink.error.quantity')); return; }
+    if (alcNum > 100) { setErr(t('drink.error.abv')); return; }
+    if (shared && !(share > 0 && share <= 1)) { setErr(t('drink.error.drinkers')); return; }
     submittingRef.current = true;
     setBusy(true);
     try {
       const drinkName = name.trim();
-      const priceNum = parseDecimal(price);   // NaN si vide
-      const hasPrice = Number.isFinite(priceNum);
+      const hasPrice = Number.isFinite(priceInput);
+      // Contenant partagé : ma part du volume et du prix, au même €/L — la
+      // référence de la famille (la portion) reste cohérente avec le contenant.
+      const quantity = part ? part.quantity : qtyNum;
+      const priceNum = part ? part.price : priceInput;
       const created = await addDrink({
-        name: drinkName, category: cat, quantity: qtyNum,
+        name: drinkName, category: cat, quantity,
         unit, alcoholContent: alcNum, date, time,
         location: locTouched ? loc : null,
+        barcode,
+        ...(part && part.shared ? { shared: part.shared } : {}),
         price: hasPrice ? priceNum : null,
         // « Prix habituel » coché ⇒ au prix de référence (suit les cascades) ;
         // décoché ⇒ prix personnalisé (jamais écrasé par un changement de réf.).
@@ -145,16 +198,16 @@ function AddDrinkSheet({ open, prefill, onClose }) {
       // « Prix habituel » coché + valide ⇒ (re)définit la référence de la
       // famille (reprise par le « + »). Décoché ⇒ entrée seule, réf. inchangée.
       if (priceIsReference && hasPrice) {
-        await setReferencePrice({ name: drinkName, quantity: qtyNum, unit, alcohol: alcNum }, priceNum);
+        await setReferencePrice({ name: drinkName, quantity, unit, alcohol: alcNum }, priceNum);
       }
-      Toast.show(`« ${drinkName} » ajoutée`);
+      Toast.show(t('toast.drinkAdded', { name: drinkName }));
       close();
       // Géolocalisation fiable et non bloquante (centralisée dans data.jsx :
       // survit à la fermeture, reverse-geocode borné + retry). Un lieu
       // choisi/retiré explicitement (`locTouched`) est respecté.
       if (!locTouched && created && created.id != null) attachLocationToDrink(created.id);
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Erreur lors de l\'ajout');
+      setErr(errorText(e, 'toast.addError'));
     } finally {
       setBusy(false);
       submittingRef.current = false;
@@ -162,7 +215,7 @@ function AddDrinkSheet({ open, prefill, onClose }) {
   };
 
   return (
-    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label="Nouvelle boisson">
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('addDrink.title')}>
       <div className="alco-material-sheet alco-material-edge" style={{
         borderRadius: '22px 22px 0 0', padding: '10px 0 0',
         maxHeight: '92dvh', display: 'flex', flexDirection: 'column',
@@ -176,9 +229,9 @@ function AddDrinkSheet({ open, prefill, onClose }) {
             padding: '8px 18px 14px' }}>
             <div style={{ width: 30 }}/>
             <div style={{ ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>
-              Nouvelle boisson
+              {t('addDrink.title')}
             </div>
-            <button type="button" className="alco-press" onClick={close} aria-label="Fermer" style={{
+            <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
               width: 30, height: 30, borderRadius: 99, background: T.surface2,
               display: 'grid', placeItems: 'center', color: T.ink2, cursor: 'pointer',
               border: 'none', padding: 0, fontFamily: 'inherit', touchAction: 'manipulation' }}>
@@ -188,7 +241,7 @@ function AddDrinkSheet({ open, prefill, onClose }) {
         </SheetGrabber>
 
         <div style={{ overflowY: 'auto', overflowX: 'hidden', padding: '0 18px 20px', flex: 1 }}>
-          <button type="button" onClick={() => setScan(true)} aria-label="Scanner un code-barres" style={{
+          <button type="button" onClick={() => setScan(true)} aria-label={t('addDrink.scan')} style={{
             ...ghostButton, width: '100%', textAlign: 'left',
             background: `linear-gradient(135deg, ${T.accentSoft}, ${T.surface})`,
             border: `1px solid ${T.rule}`, borderRadius: 16, padding: 16,
@@ -201,77 +254,108 @@ function AddDrinkSheet({ open, prefill, onClose }) {
             </div>
             <div style={{ flex: 1 }}>
               <div style={{ color: T.ink, fontSize: remSize(14), letterSpacing: tracking(14), fontWeight: 500 }}>
-                Scanner un code-barres
+                {t('addDrink.scan')}
               </div>
               <div style={{ color: T.muted, fontSize: remSize(11.5), letterSpacing: tracking(11.5), marginTop: 3 }}>
-                Remplissage auto depuis OpenFoodFacts
+                {t('addDrink.scanSub')}
               </div>
             </div>
             <SvgIcon icon={Ic.chev} size={14} color={T.muted} />
           </button>
 
-          <FieldGroup label="Boisson">
-            <input value={name} onChange={e => setName(e.target.value)} placeholder="Ex. Pilsner Urquell" aria-label="Boisson" style={inputS()} />
+          <FieldGroup label={t('addDrink.drink')}>
+            <input value={name} onChange={e => setName(e.target.value)} placeholder={t('addDrink.namePh')} aria-label={t('addDrink.drink')} style={inputS()} />
           </FieldGroup>
 
-          <FieldGroup label="Catégorie">
+          <FieldGroup label={t('shared.category')}>
             <CategoryChips categories={categories} value={cat} onChange={setCat} />
           </FieldGroup>
 
           <div style={{ display: 'grid', gridTemplateColumns: '1.2fr 1fr', gap: 10 }}>
             <div style={{ minWidth: 0 }}>
-              <FieldGroup label="Quantité">
-                <NumberField value={qty} onChange={setQty} ariaLabel="Quantité" />
+              <FieldGroup label={t(shared ? 'addDrink.container' : 'drink.quantity')}>
+                <NumberField value={qty} onChange={setQty} ariaLabel={t(shared ? 'addDrink.containerVolume' : 'drink.quantity')} />
               </FieldGroup>
             </div>
             <div style={{ minWidth: 0 }}>
-              <FieldGroup label="Unité">
+              <FieldGroup label={t('shared.unit')}>
                 <UnitToggle value={unit} onChange={setUnit} />
               </FieldGroup>
             </div>
           </div>
 
-          <FieldGroup label="Degré d'alcool">
+          <div style={{
+            marginBottom: 14, background: T.surface, border: `1px solid ${T.rule}`,
+            borderRadius: 12, overflow: 'hidden' }}>
+            <ToggleRow label={t('addDrink.shared')}
+              sub={t('addDrink.shared.sub')}
+              on={shared} onToggle={() => setShared(v => !v)} last />
+          </div>
+
+          {shared && (<>
+            <FieldGroup label={t('addDrink.myShare')}>
+              <div style={{ display: 'flex', gap: 10, alignItems: 'center', flexWrap: 'wrap' }}>
+                <div role="radiogroup" aria-label={t('addDrink.myShareAria')} style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                  {SHARED_SHARES.map(v => choice(Math.abs(v - share) < 1e-6, fmtRoundShare(v), () => pickShare(v)))}
+                </div>
+                <NumberField value={drinkers} onChange={typeDrinkers} allowDecimal={false}
+                  ariaLabel={t('addDrink.drinkers')} suffix={t('addDrink.drinkersSuffix')} style={{ width: 110 }} />
+              </div>
+            </FieldGroup>
+            <FieldGroup label={t('addDrink.window')}>
+              <div role="radiogroup" aria-label={t('addDrink.windowAria')} style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                {SHARED_WINDOWS_MIN.map(m => choice(m === windowMin, fmtSharedWindow(m), () => setWindowMin(m)))}
+              </div>
+            </FieldGroup>
+          </>)}
+
+          <FieldGroup label={t('drink.abv')}>
             <NumberField value={alc} onChange={setAlc} step="0.1" suffix="%"
-              ariaLabel="Degré d'alcool" />
+              ariaLabel={t('drink.abv')} />
           </FieldGroup>
 
-          <FieldGroup label="Prix (optionnel)">
+          <FieldGroup label={t(shared ? 'addDrink.containerPriceOpt' : 'addDrink.priceOpt')}>
             <NumberField value={price}
               onChange={(v) => { setPriceAuto(false); setPrice(v); }}
-              step="0.1" suffix="€" ariaLabel="Prix" />
+              step="0.1" suffix="€" ariaLabel={t(shared ? 'addDrink.containerPrice' : 'drink.price')} />
+            {part && part.price != null && (
+              <div style={{ marginTop: 6, color: T.ink2, ...type(11), lineHeight: 1.4 }}>
+                {t('addDrink.myShareColon')}<span style={{ fontFamily: fontNum }}>{fmtPrice(part.price)}</span>
+                {' '}· {part.quantity} {unit}
+              </div>
+            )}
             {priceAuto && suggestion && price !== '' && (
               <div style={{
                 marginTop: 6, color: T.muted, fontSize: remSize(11), letterSpacing: tracking(11), lineHeight: 1.4,
                 display: 'flex', alignItems: 'center', gap: 5 }}>
                 <SvgIcon icon={Ic.check} size={11} color={T.accent} />
                 {suggestion.exact
-                  ? 'Prix habituel de cette boisson'
-                  : <>Suggéré d'après {suggestion.source.quantity} {suggestion.source.unit} à {fmtPrice(suggestion.source.referencePrice)} · <span style={{ fontFamily: fontNum }}>{fmtPrice(suggestion.perLiter)}/L</span></>}
+                  ? t('addDrink.price.usual')
+                  : <>{t('addDrink.price.suggestedFrom', { quantity: suggestion.source.quantity, unit: suggestion.source.unit, price: fmtPrice(suggestion.source.referencePrice) })}<span style={{ fontFamily: fontNum }}>{fmtPrice(suggestion.perLiter)}/L</span></>}
               </div>
             )}
             {/* Après une saisie manuelle, la suggestion reste à un tap : ce
                 bouton ré-active le prix auto (le champ suit alors à nouveau
                 les changements de quantité). Une saisie manuelle n'est JAMAIS
                 écrasée sans ce geste explicite. */}
-            {!priceAuto && suggestion && parseDecimal(price) !== suggestion.price && (
+            {!priceAuto && suggestion && priceInput !== suggestedPrice && (
               <button type="button"
                 onClick={() => setPriceAuto(true)}
-                aria-label={`Appliquer le prix suggéré ${fmtPrice(suggestion.price)}`}
+                aria-label={t('addDrink.price.applyAria', { price: fmtPrice(suggestedPrice) })}
                 style={{
                   ...ghostButton, marginTop: 6, display: 'flex', alignItems: 'center',
                   gap: 5, color: T.accent, fontSize: remSize(11), letterSpacing: tracking(11), lineHeight: 1.4 }}>
                 <SvgIcon icon={Ic.refresh} size={11} />
-                Suggestion : <span style={{ fontFamily: fontNum }}>{fmtPrice(suggestion.price)}</span>
+                {t('addDrink.price.suggestion')}<span style={{ fontFamily: fontNum }}>{fmtPrice(suggestedPrice)}</span>
                 {!suggestion.exact && <span style={{ fontFamily: fontNum, color: T.muted }}>· {fmtPrice(suggestion.perLiter)}/L</span>}
-                — appliquer
+                {t('addDrink.price.apply')}
               </button>
             )}
             <div style={{
               marginTop: 8, background: T.surface, border: `1px solid ${T.rule}`,
               borderRadius: 12, overflow: 'hidden' }}>
-              <ToggleRow label="Prix habituel pour cette boisson"
-                sub="Le « + » et « Ajouter à nouveau » reprendront ce prix"
+              <ToggleRow label={t('addDrink.price.isUsual')}
+                sub={t('addDrink.price.isUsual.sub')}
                 on={priceIsReference} onToggle={() => setPriceIsReference(v => !v)} last />
             </div>
           </FieldGroup>
@@ -279,31 +363,32 @@ function AddDrinkSheet({ open, prefill, onClose }) {
           <div style={{
             display: 'grid', gridTemplateColumns: 'minmax(0, 1fr) minmax(0, 1fr)',
             gap: 10, width: '100%' }}>
-            <FieldGroup label="Date">
-              <input type="date" value={date} onChange={e => setDate(e.target.value)} aria-label="Date"
+            <FieldGroup label={t('drink.date')}>
+              <input type="date" value={date} onChange={e => setDate(e.target.value)} aria-label={t('drink.date')}
                 style={{
                   ...inputS(), padding: '10px 12px', minWidth: 0, maxWidth: '100%',
                   width: '100%', WebkitAppearance: 'none', appearance: 'none',
                 }}/>
             </FieldGroup>
-            <FieldGroup label="Heure">
-              <TimeField value={time} onChange={setTime} ariaLabel="Heure" />
+            <FieldGroup label={t('shared.time')}>
+              <TimeField value={time} onChange={setTime} ariaLabel={t('shared.time')} />
             </FieldGroup>
           </div>
 
-          <FieldGroup label="Note (optionnelle)">
+          <FieldGroup label={t('addDrink.ratingOpt')}>
             <RatingField value={rating} onChange={setRating} />
           </FieldGroup>
 
-          <FieldGroup label="Lieu (optionnel)">
+          <FieldGroup label={t('addDrink.locationOpt')}>
             <LocationField value={loc} onChange={(v) => { setLoc(v); setLocTouched(true); }} />
           </FieldGroup>
 
           <div style={{
             marginTop: 8, padding: 14, background: T.surface, borderRadius: 14,
             border: `1px solid ${T.rule}`, display: 'flex', justifyContent: 'space-around' }}>
-            <ImpactStat big={`${volCl} cL`} unit="volume" />
-            <ImpactStat big={g + 'g'} unit="alcool pur" accent />
+            <ImpactStat big={`${volCl} cL`} unit={t(shared ? 'addDrink.impact.share' : 'addDrink.impact.volume')} />
+            <ImpactStat big={g + 'g'} unit={t('addDrink.impact.grams')} accent />
+            <ImpactStat big={fmtStdDrinks(g, stdDrink)} unit={stdDrinkUnitLabel(toStdDrinks(g, stdDrink), { sd: stdDrink })} />
           </div>
 
           {err && (
@@ -321,31 +406,33 @@ function AddDrinkSheet({ open, prefill, onClose }) {
           <button type="button" onClick={close} style={{
             flex: 1, padding: '14px', textAlign: 'center', borderRadius: 12,
             background: T.surface2, color: T.ink2, fontSize: remSize(13), letterSpacing: tracking(13), cursor: 'pointer',
-            border: `1px solid ${T.rule}`, fontFamily: 'inherit' }}>Annuler</button>
+            border: `1px solid ${T.rule}`, fontFamily: 'inherit' }}>{t('common.cancel')}</button>
           <button type="button" onClick={busy ? undefined : submit} disabled={busy} style={{
             flex: 2, padding: '14px', textAlign: 'center', borderRadius: 12,
             background: T.accent, color: T.accentInk, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 600,
             cursor: busy ? 'wait' : 'pointer', opacity: busy ? 0.5 : 1,
             border: 'none', fontFamily: 'inherit',
-            boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}` }}>{busy ? 'Enregistrement…' : 'Enregistrer'}</button>
+            boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}` }}>{busy ? t('common.saving') : t('common.save')}</button>
         </div>
       </div>
 
-      {scan && <ScannerSheet onClose={() => setScan(false)} onScanned={(p) => {
+      {scan && <ScannerSheet image={scanFrom} onClose={() => { setScan(false); setScanFrom(null); }} onScanned={(p) => {
         setScan(false);
+        setScanFrom(null);
         if (p) {
+          if (p.barcode) setBarcode(p.barcode);
           if (p.name) setName(p.name);
           if (p.category) setCat(p.category);
           if (p.alcoholContent !== undefined) setAlc(String(p.alcoholContent));
           if (p.quantity) setQty(String(p.quantity));
           if (p.unit) setUnit(p.unit);
-          Toast.show(`« ${p.name || 'Produit'} » détecté`);
+          Toast.show(t('scanner.detectedToast', { name: p.name || t('scanner.product') }));
         }
       }} />}
     </SheetOverlay>
   );
 }
-// ── Scanner overlay (wraps QuaggaJS via window.cameraScanner) ─────
+// ── Scanner overlay (wraps window.cameraScanner: BarcodeDetector or QuaggaJS) ─────
 // Chrome du viseur scanner — délibérément hors thème. Ces couleurs sont posées
 // par-dessus le flux vidéo de la caméra (toujours sombre) ; les passer en `T.*`
 // rendrait le chrome illisible en mode clair (fond clair sur vidéo). On les
@@ -357,13 +444,42 @@ const VIEWFINDER_CLOSE_BG = 'rgba(255,255,255,0.18)';
 const VIEWFINDER_MASK = 'rgba(0,0,0,0.45)';
 const VIEWFINDER_CHIP_BG = 'rgba(0,0,0,0.5)';
 const VIEWFINDER_CHIP_BORDER = 'rgba(255,255,255,0.1)';
-
-function ScannerSheet({ onClose, onScanned }) {
+// Provenance d'une fiche hors API (cf. ProductLookup.lookup) : clés i18n.
+const PRODUCT_SOURCE_LABELS = { local: 'scanner.source.local', group: 'scanner.source.group', file: 'scanner.source.file' };
+
+// `image` : photo reçue via le partage système (share target) — décodée
+// d'emblée, sans ouvrir la caméra. `mode="invite"` : lit le QR code
+// d'invitation d'un groupe (cf. parseInviteQr) ; onScanned reçoit le code.
+function ScannerSheet({ onClose, onScanned, image, mode = 'product' }) {
+  const invite = mode === 'invite';
   const [status, setStatus] = React.useState('scanning');
-  const [statusText, setStatusText] = React.useState('Positionnez le code-barres');
+  const [statusText, setStatusText] = React.useState(() => t(image ? 'scanner.reading'
+    : invite ? 'scanner.aimInvite' : 'scanner.aim'));
   const [foundProduct, setFoundProduct] = React.useState(null);
   const viewportRef = React.useRef(null);
+  const fileRef = React.useRef(null);
   const startedRef = React.useRef(false);
+  // Décodage d'une image fixe (fichier, collage, partage) : la caméra est
+  // coupée, le code lu repasse par cam.onBarcodeConfirmed comme un scan.
+  const decodeImage = React.useCallback(async (file) => {
+    const cam = window.cameraScanner;
+    if (!cam || !file) return;
+    if (startedRef.current) {
+      startedRef.current = false;
+      try { cam.stop(); } catch {}
+    }
+    setStatus('scanning');
+    setFoundProduct(null);
+    setStatusText(t('scanner.reading'));
+    try {
+      const code = await cam.decodeImage(file, { mode });
+      if (!code) setStatusText(t(invite ? 'scanner.noQr' : 'scanner.noBarcode'));
+    } catch (e) {
+      console.warn('AlcoNote: image decode failed', e);
+      // Erreur codée (QR illisible par ce navigateur) : message précis.
+      setStatusText(e && e.code ? errorText(e) : t('scanner.readError'));
+    }
+  }, []);
   // Scanner doesn't use SheetOverlay, so register its own back handler
   // (it layers on top of AddDrinkSheet → Back closes the scanner first).
   useBackButton(true, onClose);
@@ -374,12 +490,25 @@ function ScannerSheet({ onClose, onScanned }) {
       try {
         const cam = window.cameraScanner;
         if (!cam) {
-          setStatusText('Scanner indisponible');
+          setStatusText(t('scanner.unavailable'));
           return;
         }
         cam.onBarcodeConfirmed = async (code) => {
           if (cancelled) return;
-          setStatusText('Recherche du produit…');
+          if (invite) {
+            const inviteCode = parseInviteQr(code);
+            if (inviteCode) {
+              setStatus('found');
+              setFoundProduct(inviteCode);
+              setStatusText(t('scanner.invite', { code: inviteCode }));
+            } else {
+              // Autre QR code : on continue de chercher.
+              setStatusText(t('scanner.notInvite'));
+              cam.unlockProcessing();
+            }
+            return;
+          }
+          setStatusText(t('scanner.searching'));
           try {
             const lookup = window.productLookup;
             // `lookup` is the public method on ProductLookup; the legacy
@@ -387,9 +516,18 @@ function ScannerSheet({ onClose, onScanned }) {
             // every scan, surfacing only "Erreur de recherche".
             const product = lookup ? await lookup.lookup(code) : null;
             if (cancelled) return;
-            if (product) {
+            if (product && product.offline) {
+              // Hors ligne : la fiche sera recherchée au retour du réseau et
+              // proposée à la revue (cf. queuePendingLookup, data.jsx).
+              queuePendingLookup(code).catch(() => {});
               setStatus('found');
-              setStatusText(`${product.name || 'Produit'} détecté`);
+              setFoundProduct({ barcode: code });
+              setStatusText(t('scanner.queued', { code }));
+            } else if (product) {
+              setStatus('found');
+              const from = PRODUCT_SOURCE_LABELS[product.source];
+              const found = t('scanner.found', { name: product.name || t('scanner.product') });
+              setStatusText(from ? `${found} · ${t(from)}` : found);
               // ProductLookup returns servingQuantity / servingUnit
               // (computed defaults per category) — the legacy form used
               // `quantity`/`unit` which never existed on the result and
@@ -406,23 +544,42 @@ function ScannerSheet({ onClose, onScanned }) {
             } else {
               setStatus('found');
               setFoundProduct({ barcode: code });
-              setStatusText(`Code ${code} reconnu (sans correspondance)`);
+              setStatusText(t('scanner.noMatch', { code }));
             }
           } catch (e) {
             console.warn('AlcoNote: product lookup failed', e);
-            setStatusText('Erreur de recherche');
+            setStatusText(t('scanner.searchError'));
           }
         };
-        cam.onError = () => setStatusText('Caméra indisponible');
-        cam.onInactivity = () => setStatusText('Scanner arrêté (inactivité)');
-        await cam.start();
+        cam.onError = (e) => setStatusText(e && e.code ? errorText(e) : t('scanner.cameraError'));
+        cam.onInactivity = () => setStatusText(t('scanner.inactive'));
+        if (!(await cam.supportsMode(mode))) {
+          setStatusText(t('scanner.qrUnsupported'));
+          return;
+        }
+        if (image) {
+          decodeImage(image);
+          return;
+        }
+        await cam.start({ mode });
         startedRef.current = true;
       } catch (e) {
-        setStatusText('Erreur démarrage scanner');
+        setStatusText(t('scanner.startError'));
       }
     })();
+    // Coller une capture d'écran / photo (Ctrl+V sur ordinateur).
+    const onPaste = (e) => {
+      const files = Array.from((e.clipboardData && e.clipboardData.files) || []);
+      const img = files.find(f => /^image\//.test(f.type));
+      if (img) {
+        e.preventDefault();
+        decodeImage(img);
+      }
+    };
+    window.addEventListener('paste', onPaste);
     return () => {
       cancelled = true;
+      window.removeEventListener('paste', onPaste);
       try {
         if (window.cameraScanner && startedRef.current) window.cameraScanner.stop();
       } catch {}
@@ -442,8 +599,8 @@ function ScannerSheet({ onClose, onScanned }) {
         display: 'flex', justifyContent: 'space-between', alignItems: 'center', zIndex: 2,
         background: VIEWFINDER_HEADER_SCRIM }}>
         <div style={{
-          color: VIEWFINDER_INK, fontFamily: fontSerif, fontSize: remSize(20), letterSpacing: tracking(20), fontStyle: 'italic' }}>Scanner</div>
-        <button type="button" onClick={onClose} aria-label="Fermer le scanner" style={{
+          color: VIEWFINDER_INK, fontFamily: fontSerif, fontSize: remSize(20), letterSpacing: tracking(20), fontStyle: 'italic' }}>{t('scanner.title')}</div>
+        <button type="button" onClick={onClose} aria-label={t('scanner.close')} style={{
           width: 36, height: 36, borderRadius: 99,
           background: VIEWFINDER_CLOSE_BG, display: 'grid', placeItems: 'center',
           color: VIEWFINDER_INK, cursor: 'pointer',
@@ -452,7 +609,7 @@ function ScannerSheet({ onClose, onScanned }) {
 
       <div style={{ flex: 1, position: 'relative', display: 'grid', placeItems: 'center', zIndex: 2 }}>
         <div style={{
-          width: 240, height: 150, position: 'relative',
+          width: invite ? 220 : 240, height: invite ? 220 : 150, position: 'relative',
           border: `1.5px solid ${status === 'found' ? T.good : T.accent}`,
           borderRadius: 14, overflow: 'hidden',
           boxShadow: `0 0 0 9999px ${VIEWFINDER_MASK}` }}>
@@ -497,6 +654,27 @@ function ScannerSheet({ onClose, onScanned }) {
         </div>
       </div>
 
+      <input ref={fileRef} type="file" accept="image/*" aria-label={t('scanner.imageAria')}
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          const file = e.target.files && e.target.files[0];
+          e.target.value = '';
+          if (file) decodeImage(file);
+        }} />
+      {status !== 'found' && (
+        <div style={{
+          padding: '0 22px calc(40px + env(safe-area-inset-bottom))',
+          position: 'relative', zIndex: 2, display: 'flex', justifyContent: 'center' }}>
+          <button type="button" onClick={() => fileRef.current && fileRef.current.click()} style={{
+            display: 'inline-flex', alignItems: 'center', gap: 8,
+            padding: '10px 16px', borderRadius: 99,
+            background: VIEWFINDER_CLOSE_BG, color: VIEWFINDER_INK,
+            fontSize: remSize(13), letterSpacing: tracking(13), cursor: 'pointer',
+            border: `1px solid ${VIEWFINDER_CHIP_BORDER}`, fontFamily: 'inherit' }}>
+            <SvgIcon icon={Ic.upload} size={14} />{t('scanner.importPhoto')}
+          </button>
+        </div>
+      )}
       {status === 'found' && (
         <div style={{
           padding: '0 22px calc(40px + env(safe-area-inset-bottom))',
@@ -507,7 +685,7 @@ function ScannerSheet({ onClose, onScanned }) {
             padding: '14px', borderRadius: 14,
             textAlign: 'center', fontSize: remSize(14), letterSpacing: tracking(14), fontWeight: 600, cursor: 'pointer',
             border: 'none', fontFamily: 'inherit',
-            boxShadow: `0 8px 30px ${withAlpha(T.accent, 0.32)}` }}>Utiliser ce produit</button>
+            boxShadow: `0 8px 30px ${withAlpha(T.accent, 0.32)}` }}>{t(invite ? 'scanner.joinGroup' : 'scanner.useProduct')}</button>
         </div>
       )}
     </div>
@@ -600,11 +778,11 @@ function DrinkDetailSheet({ family, entry, onClose, onAddAgain, onEdit }) {
   const myRating = ratings[ratingKey(f.name)] ?? f.rating ?? 0;
 
   const rate = async (n) => {
-    try { await saveRating(f.name, n); Toast.show('Note enregistrée'); } catch {}
+    try { await saveRating(f.name, n); Toast.show(t('detail.rated')); } catch {}
   };
 
   return (
-    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label="Détail de la boisson">
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('detail.title')}>
       <div className="alco-material-sheet alco-material-edge" style={{
         borderRadius: '22px 22px 0 0',
         maxHeight: '90dvh', display: 'flex', flexDirection: 'column',
@@ -635,7 +813,7 @@ function DrinkDetailSheet({ family, entry, onClose, onAddAgain, onEdit }) {
                 lineHeight: 1.1,
                 wordBreak: 'break-word' }}>{f.name}</div>
             </div>
-            <button type="button" onClick={close} aria-label="Fermer" style={{
+            <button type="button" onClick={close} aria-label={t('common.close')} style={{
               width: 32, height: 32, borderRadius: 99, background: DETAIL_HEADER_CLOSE_BG,
               display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
               alignSelf: 'flex-start',
@@ -643,17 +821,17 @@ function DrinkDetailSheet({ family, entry, onClose, onAddAgain, onEdit }) {
           </div>
 
           <div style={{ display: 'flex', gap: 0, marginTop: 18 }}>
-            <FactCell label="Quantité" value={`${f.quantity} ${f.unit}`} />
-            <FactCell label="Alcool" value={`${f.alcohol}°`} />
+            <FactCell label={t('drink.quantity')} value={`${f.quantity} ${f.unit}`} />
+            <FactCell label={t('detail.alcohol')} value={`${f.alcohol}°`} />
             <FactCell label="cL" value={toCl(f.quantity, f.unit).toFixed(0)} />
-            {f.referencePrice != null && <FactCell label="Prix" value={fmtPrice(f.referencePrice)} />}
-            <FactCell label="Note" value={<Stars n={myRating} size={11} interactive onChange={rate}/>} last />
+            {f.referencePrice != null && <FactCell label={t('drink.price')} value={fmtPrice(f.referencePrice)} />}
+            <FactCell label={t('shared.rating')} value={<Stars n={myRating} size={11} interactive onChange={rate}/>} last />
           </div>
           {myRating > 0 && (
             <div style={{ display: 'flex', justifyContent: 'center', marginTop: 10 }}>
               <button type="button" className="alco-press" onClick={() => rate(0)} style={{
                 ...ghostButton, color: T.muted, ...type(11), cursor: 'pointer',
-                padding: 4, touchAction: 'manipulation' }}>Effacer la note</button>
+                padding: 4, touchAction: 'manipulation' }}>{t('detail.clearRating')}</button>
             </div>
           )}
         </div>
@@ -661,7 +839,7 @@ function DrinkDetailSheet({ family, entry, onClose, onAddAgain, onEdit }) {
 
         <div style={{ overflow: 'auto', padding: '16px 22px 20px', flex: 1 }}>
           <div style={{
-            color: T.muted, ...TYPE.labelLg, marginBottom: 10 }}>Historique · {f.entries.length} entrée{f.entries.length !== 1 ? 's' : ''}</div>
+            color: T.muted, ...TYPE.labelLg, marginBottom: 10 }}>{t('detail.history', { count: f.entries.length })}</div>
 
           <div style={{
             background: T.surface, borderRadius: 14, border: `1px solid ${T.rule}`, overflow: 'hidden' }}>
@@ -673,7 +851,7 @@ function DrinkDetailSheet({ family, entry, onClose, onAddAgain, onEdit }) {
                   borderBottom: i === f.entries.length - 1 ? 'none' : `1px solid ${T.rule}` }}>
                   <div style={{
                     fontFamily: fontSerif, fontSize: remSize(14), letterSpacing: tracking(14), color: T.ink2,
-                    fontStyle: 'italic', width: 60, flexShrink: 0 }}>{d.getDate()} {FR_MONTHS_SHORT[d.getMonth()]}</div>
+                    fontStyle: 'italic', width: 60, flexShrink: 0 }}>{d.getDate()} {t('date.monthsShort')[d.getMonth()]}</div>
                   <div style={{ flex: 1, minWidth: 0 }}>
                     <div style={{
                       fontFamily: fontNum, fontSize: remSize(13), letterSpacing: tracking(13), color: T.ink, fontWeight: 500 }}>{e.ts.slice(11, 16)}</div>
@@ -693,31 +871,31 @@ function DrinkDetailSheet({ family, entry, onClose, onAddAgain, onEdit }) {
                       {e.raw.priceIsCustom && (
                         <span style={{
                           fontFamily: fontSans, fontSize: remSize(8.5), letterSpacing: tracking(8.5, { caps: true }), color: T.muted,
-                          textTransform: 'uppercase' }}>perso</span>
+                          textTransform: 'uppercase' }}>{t('detail.custom')}</span>
                       )}
                       {fmtPrice(e.raw.price)}
                     </div>
                   )}
-                  <button type="button" aria-label="Supprimer cette entrée"
+                  <button type="button" aria-label={t('detail.deleteEntry')}
                     onClick={async () => {
                       if (deletingRef.current) return;
                       deletingRef.current = true;
                       try {
                         const row = await deleteDrinkWithSnapshot(e.id);
-                        Toast.show('Boisson supprimée', {
+                        Toast.show(t('toast.drinkDeleted'), {
                           undo: async () => {
                             try {
                               await restoreDrinks([row]);
-                              Toast.show('Suppression annulée');
+                              Toast.show(t('toast.deleteUndone'));
                             } catch (err) {
                               console.warn('AlcoNote: restoreDrinks failed', err);
-                              Toast.show('Erreur lors de l\'annulation');
+                              Toast.show(t('toast.undoError'));
                             }
                           },
                         });
                       } catch (err) {
                         console.warn('AlcoNote: deleteDrinkWithSnapshot failed', err);
-                        Toast.show('Erreur lors de la suppression');
+                        Toast.show(t('toast.deleteError'));
                       } finally {
                         deletingRef.current = false;
                       }
@@ -737,23 +915,23 @@ function DrinkDetailSheet({ family, entry, onClose, onAddAgain, onEdit }) {
                 ...ghostButton, width: '100%', padding: '10px 0', cursor: 'pointer',
                 color: T.ink2, fontSize: remSize(12.5), letterSpacing: tracking(12.5), display: 'flex', alignItems: 'center',
                 justifyContent: 'center', gap: 6 }}>
-              <SvgIcon icon={Ic.grid} size={13} /> Déplacer vers une autre catégorie
+              <SvgIcon icon={Ic.grid} size={13} /> {t('detail.move')}
             </button>
             {moving && (
               <div style={{
                 marginTop: 10, padding: 12, background: T.surface,
                 border: `1px solid ${T.rule}`, borderRadius: 14 }}>
                 <CategoryChips categories={categories} value={f.category}
-                  ariaLabel="Déplacer vers la catégorie"
+                  ariaLabel={t('detail.moveAria')}
                   onChange={async (nextCat) => {
                     if (!nextCat || nextCat === f.category) { setMoving(false); return; }
                     try {
                       await updateFamily(f, { category: nextCat });
-                      Toast.show(`Déplacé vers « ${nextCat} »`);
+                      Toast.show(t('detail.moved', { category: nextCat }));
                       setMoving(false);
                     } catch (err) {
                       console.warn('AlcoNote: move family failed', err);
-                      Toast.show('Erreur lors du déplacement');
+                      Toast.show(t('detail.moveError'));
                     }
                   }} />
               </div>
@@ -770,7 +948,7 @@ function DrinkDetailSheet({ family, entry, onClose, onAddAgain, onEdit }) {
             background: T.surface2, color: T.ink2, fontSize: remSize(13), letterSpacing: tracking(13), cursor: 'pointer',
             border: `1px solid ${T.rule}`, display: 'flex', alignItems: 'center',
             justifyContent: 'center', gap: 6, fontFamily: 'inherit' }}>
-            <SvgIcon icon={Ic.edit} size={14} /> Modifier
+            <SvgIcon icon={Ic.edit} size={14} /> {t('common.edit')}
           </button>
           <button type="button" onClick={() => onAddAgain && onAddAgain(f)} style={{
             flex: 2, padding: '12px', textAlign: 'center', borderRadius: 12,
@@ -779,7 +957,7 @@ function DrinkDetailSheet({ family, entry, onClose, onAddAgain, onEdit }) {
             justifyContent: 'center', gap: 6,
             border: 'none', fontFamily: 'inherit',
             boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}` }}>
-            <SvgIcon icon={Ic.plus} size={14} /> Ajouter à nouveau
+            <SvgIcon icon={Ic.plus} size={14} /> {t('shared.addAgain')}
           </button>
         </div>
       </div>
@@ -825,11 +1003,11 @@ function EditEntrySheet({ entry, onClose }) {
   const save = async () => {
     if (savingRef.current || removingRef.current) return;
     setErr('');
-    if (!name.trim()) { setErr('Le nom est requis'); return; }
+    if (!name.trim()) { setErr(t('drink.error.name')); return; }
     const qtyNum = parseDecimal(qty) || 0;
-    if (qtyNum <= 0) { setErr('Quantité invalide'); return; }
-    if (!cat) { setErr('Choisissez une catégorie'); return; }
-    if ((parseDecimal(alc) || 0) > 100) { setErr('Degré d\'alcool invalide (0–100 %)'); return; }
+    if (qtyNum <= 0) { setErr(t('drink.error.quantity')); return; }
+    if (!cat) { setErr(t('drink.error.category')); return; }
+    if ((parseDecimal(alc) || 0) > 100) { setErr(t('drink.error.abv')); return; }
     savingRef.current = true;
     setBusy(true);
     try {
@@ -857,10 +1035,10 @@ function EditEntrySheet({ entry, onClose }) {
       if (rating !== (ratings[ratingKey(finalName)] || 0)) {
         await saveRating(finalName, rating);
       }
-      Toast.show('Boisson modifiée');
+      Toast.show(t('editEntry.saved'));
       close();
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Erreur');
+      setErr(errorText(e));
     } finally { setBusy(false); savingRef.current = false; }
   };
 
@@ -872,26 +1050,26 @@ function EditEntrySheet({ entry, onClose }) {
     setBusy(true);
     try {
       const row = await deleteDrinkWithSnapshot(raw.id);
-      Toast.show('Boisson supprimée', {
+      Toast.show(t('toast.drinkDeleted'), {
         undo: async () => {
           try {
             await restoreDrinks([row]);
-            Toast.show('Suppression annulée');
+            Toast.show(t('toast.deleteUndone'));
           } catch (err) {
             console.warn('AlcoNote: restoreDrinks failed', err);
-            Toast.show('Erreur lors de l\'annulation');
+            Toast.show(t('toast.undoError'));
           }
         },
       });
       close();
     } catch (e) {
       console.warn('AlcoNote: deleteDrinkWithSnapshot failed', e);
-      setErr(e && e.message ? e.message : 'Erreur');
+      setErr(errorText(e));
     } finally { setBusy(false); removingRef.current = false; }
   };
 
   return (
-    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label="Modifier l'entrée">
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('editEntry.title')}>
       <div className="alco-material-sheet alco-material-edge" style={{
         borderRadius: '22px 22px 0 0',
         maxHeight: '92dvh', display: 'flex', flexDirection: 'column',
@@ -905,59 +1083,59 @@ function EditEntrySheet({ entry, onClose }) {
             padding: '8px 18px 14px' }}>
             <div style={{ width: 30 }}/>
             <div style={{ ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>
-              Modifier l'entrée
+              {t('editEntry.title')}
             </div>
-            <button type="button" className="alco-press" onClick={close} aria-label="Fermer" style={{
+            <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
               width: 30, height: 30, borderRadius: 99, background: T.surface2,
               display: 'grid', placeItems: 'center', color: T.ink2, cursor: 'pointer',
               border: 'none', padding: 0, fontFamily: 'inherit', touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
           </div>
         </SheetGrabber>
         <div style={{ overflowY: 'auto', overflowX: 'hidden', padding: '0 18px 20px', flex: 1 }}>
-          <FieldGroup label="Nom"><input value={name} onChange={e => setName(e.target.value)} aria-label="Nom" style={inputS()} /></FieldGroup>
-          <FieldGroup label="Catégorie">
+          <FieldGroup label={t('drink.name')}><input value={name} onChange={e => setName(e.target.value)} aria-label={t('drink.name')} style={inputS()} /></FieldGroup>
+          <FieldGroup label={t('shared.category')}>
             <CategoryChips categories={categories} value={cat} onChange={setCat} />
           </FieldGroup>
           <div style={{ display: 'grid', gridTemplateColumns: '1.2fr 1fr', gap: 10 }}>
             <div style={{ minWidth: 0 }}>
-              <FieldGroup label="Quantité">
-                <NumberField value={qty} onChange={setQty} ariaLabel="Quantité" />
+              <FieldGroup label={t('drink.quantity')}>
+                <NumberField value={qty} onChange={setQty} ariaLabel={t('drink.quantity')} />
               </FieldGroup>
             </div>
             <div style={{ minWidth: 0 }}>
-              <FieldGroup label="Unité">
+              <FieldGroup label={t('shared.unit')}>
                 <UnitToggle value={unit} onChange={setUnit} />
               </FieldGroup>
             </div>
           </div>
-          <FieldGroup label="Degré d'alcool (%)">
-            <NumberField value={alc} onChange={setAlc} step="0.1" ariaLabel="Degré d'alcool" />
+          <FieldGroup label={t('drink.abvPct')}>
+            <NumberField value={alc} onChange={setAlc} step="0.1" ariaLabel={t('drink.abv')} />
           </FieldGroup>
 
-          <FieldGroup label="Prix de cette entrée (optionnel)">
-            <NumberField value={price} onChange={setPrice} step="0.1" suffix="€" ariaLabel="Prix de l'entrée" />
+          <FieldGroup label={t('editEntry.priceOpt')}>
+            <NumberField value={price} onChange={setPrice} step="0.1" suffix="€" ariaLabel={t('editEntry.price')} />
           </FieldGroup>
 
           <div style={{
             display: 'grid', gridTemplateColumns: 'minmax(0, 1fr) minmax(0, 1fr)',
             gap: 10, width: '100%' }}>
-            <FieldGroup label="Date">
-              <input type="date" value={date} onChange={e => setDate(e.target.value)} aria-label="Date"
+            <FieldGroup label={t('drink.date')}>
+              <input type="date" value={date} onChange={e => setDate(e.target.value)} aria-label={t('drink.date')}
                 style={{
                   ...inputS(), padding: '10px 12px', minWidth: 0, maxWidth: '100%',
                   width: '100%', WebkitAppearance: 'none', appearance: 'none',
                 }}/>
             </FieldGroup>
-            <FieldGroup label="Heure">
-              <TimeField value={time} onChange={setTime} ariaLabel="Heure" />
+            <FieldGroup label={t('shared.time')}>
+              <TimeField value={time} onChange={setTime} ariaLabel={t('shared.time')} />
             </FieldGroup>
           </div>
 
-          <FieldGroup label="Note">
+          <FieldGroup label={t('shared.rating')}>
             <RatingField value={rating} onChange={setRating} />
           </FieldGroup>
 
-          <FieldGroup label="Lieu">
+          <FieldGroup label={t('shared.location')}>
             <LocationField value={loc} onChange={setLoc} />
           </FieldGroup>
 
@@ -979,7 +1157,7 @@ function EditEntrySheet({ entry, onClose }) {
             display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 6,
             fontFamily: 'inherit' }}>
             <SvgIcon icon={Ic.trash} size={13} />
-            Supprimer cette entrée
+            {t('detail.deleteEntry')}
           </button>
         </div>
         <div style={{
@@ -988,13 +1166,13 @@ function EditEntrySheet({ entry, onClose }) {
           <button type="button" onClick={close} style={{
             flex: 1, padding: '14px', textAlign: 'center', borderRadius: 12,
             background: T.surface2, color: T.ink2, fontSize: remSize(13), letterSpacing: tracking(13), cursor: 'pointer',
-            border: `1px solid ${T.rule}`, fontFamily: 'inherit' }}>Annuler</button>
+            border: `1px solid ${T.rule}`, fontFamily: 'inherit' }}>{t('common.cancel')}</button>
           <button type="button" onClick={busy ? undefined : save} disabled={busy} style={{
             flex: 2, padding: '14px', textAlign: 'center', borderRadius: 12,
             background: T.accent, color: T.accentInk, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 600,
             cursor: busy ? 'wait' : 'pointer', opacity: busy ? 0.5 : 1,
             border: 'none', fontFamily: 'inherit',
-            boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}` }}>{busy ? 'Enregistrement…' : 'Enregistrer'}</button>
+            boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}` }}>{busy ? t('common.saving') : t('common.save')}</button>
         </div>
       </div>
     </SheetOverlay>
@@ -1038,11 +1216,11 @@ function EditFamilySheet({ family, onClose }) {
   const save = async () => {
     if (savingRef.current || removingRef.current) return;
     setErr('');
-    if (!name.trim()) { setErr('Le nom est requis'); return; }
+    if (!name.trim()) { setErr(t('drink.error.name')); return; }
     const qtyNum = parseDecimal(qty) || 0;
-    if (qtyNum <= 0) { setErr('Quantité invalide'); return; }
-    if (!cat) { setErr('Choisissez une catégorie'); return; }
-    if ((parseDecimal(alc) || 0) > 100) { setErr('Degré d\'alcool invalide (0–100 %)'); return; }
+    if (qtyNum <= 0) { setErr(t('drink.error.quantity')); return; }
+    if (!cat) { setErr(t('drink.error.category')); return; }
+    if ((parseDecimal(alc) || 0) > 100) { setErr(t('drink.error.abv')); return; }
     savingRef.current = true;
     setBusy(true);
     try {
@@ -1099,10 +1277,10 @@ function EditFamilySheet({ family, onClose }) {
         }
         if (!stillUsed) await saveRating(family.name, 0);
       }
-      Toast.show('Boisson mise à jour');
+      Toast.show(t('editFamily.saved'));
       close();
     } catch (e) {
-      setErr(e && e.message ? e.message : 'Erreur');
+      setErr(errorText(e));
     } finally { setBusy(false); savingRef.current = false; }
   };
 
@@ -1115,22 +1293,21 @@ function EditFamilySheet({ family, onClose }) {
     setBusy(true);
     try {
       const { count, snapshot } = await deleteFamily(family);
-      const label = count > 1 ? `${count} entrées supprimées` : 'Boisson supprimée';
-      Toast.show(label, {
+      Toast.show(t('editFamily.deleted', { count }), {
         undo: async () => {
           try {
             await restoreDrinks(snapshot);
-            Toast.show('Suppression annulée');
+            Toast.show(t('toast.deleteUndone'));
           } catch (err) {
             console.warn('AlcoNote: restoreDrinks (family) failed', err);
-            Toast.show('Erreur lors de l\'annulation');
+            Toast.show(t('toast.undoError'));
           }
         },
       });
       close();
     } catch (e) {
       console.warn('AlcoNote: deleteFamily failed', e);
-      setErr(e && e.message ? e.message : 'Erreur');
+      setErr(errorText(e));
     }
     finally { setBusy(false); removingRef.current = false; }
   };
@@ -1139,7 +1316,6 @@ function EditFamilySheet({ family, onClose }) {
   // qui sera modifié : entrées AU PRIX DE RÉFÉRENCE (mises à jour si le toggle
   // est actif) vs PERSONNALISÉES (toujours préservées). Le « dirty » compare la
   // saisie courante au prix de référence enregistré (même calcul qu'au submit).
-  const plur = (n) => (n > 1 ? 's' : '');
   const refPricedCount = family.entries.filter(e => !(e.raw && e.raw.priceIsCustom)).length;
   const customCount = family.entries.length - refPricedCount;
   const liveRefNum = parseDecimal(refPrice);
@@ -1148,7 +1324,7 @@ function EditFamilySheet({ family, onClose }) {
   const refDirty = liveNewVal !== liveOldVal;
 
   return (
-    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label="Modifier la boisson">
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('editFamily.title')}>
       <div className="alco-material-sheet alco-material-edge" style={{
         borderRadius: '22px 22px 0 0',
         maxHeight: '92dvh', display: 'flex', flexDirection: 'column',
@@ -1162,57 +1338,57 @@ function EditFamilySheet({ family, onClose }) {
             padding: '8px 18px 14px' }}>
             <div style={{ width: 30 }}/>
             <div style={{ ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>
-              Modifier la boisson
+              {t('editFamily.title')}
             </div>
-            <button type="button" className="alco-press" onClick={close} aria-label="Fermer" style={{
+            <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
               width: 30, height: 30, borderRadius: 99, background: T.surface2,
               display: 'grid', placeItems: 'center', color: T.ink2, cursor: 'pointer',
               border: 'none', padding: 0, fontFamily: 'inherit', touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
           </div>
         </SheetGrabber>
         <div style={{ overflow: 'auto', padding: '0 18px 20px', flex: 1 }}>
-          <FieldGroup label="Nom"><input value={name} onChange={e => setName(e.target.value)} aria-label="Nom" style={inputS()} /></FieldGroup>
-          <FieldGroup label="Catégorie">
+          <FieldGroup label={t('drink.name')}><input value={name} onChange={e => setName(e.target.value)} aria-label={t('drink.name')} style={inputS()} /></FieldGroup>
+          <FieldGroup label={t('shared.category')}>
             <CategoryChips categories={categories} value={cat} onChange={setCat} />
           </FieldGroup>
           <div style={{ display: 'grid', gridTemplateColumns: '1.2fr 1fr', gap: 10 }}>
-            <FieldGroup label="Quantité">
-              <NumberField value={qty} onChange={setQty} ariaLabel="Quantité" />
+            <FieldGroup label={t('drink.quantity')}>
+              <NumberField value={qty} onChange={setQty} ariaLabel={t('drink.quantity')} />
             </FieldGroup>
-            <FieldGroup label="Unité">
+            <FieldGroup label={t('shared.unit')}>
               <UnitToggle value={unit} onChange={setUnit} />
             </FieldGroup>
           </div>
-          <FieldGroup label="Degré d'alcool (%)">
-            <NumberField value={alc} onChange={setAlc} step="0.1" ariaLabel="Degré d'alcool" />
+          <FieldGroup label={t('drink.abvPct')}>
+            <NumberField value={alc} onChange={setAlc} step="0.1" ariaLabel={t('drink.abv')} />
           </FieldGroup>
 
-          <FieldGroup label="Prix de référence (optionnel)">
-            <NumberField value={refPrice} onChange={setRefPrice} step="0.1" suffix="€" ariaLabel="Prix de référence" />
+          <FieldGroup label={t('editFamily.refPriceOpt')}>
+            <NumberField value={refPrice} onChange={setRefPrice} step="0.1" suffix="€" ariaLabel={t('editFamily.refPrice')} />
             {refPricedCount > 0 ? (
               <div>
                 <div style={{
                   marginTop: 8, background: T.surface, border: `1px solid ${T.rule}`,
                   borderRadius: 12, overflow: 'hidden' }}>
-                  <ToggleRow label="Mettre à jour les boissons existantes"
-                    sub={`${refPricedCount} au prix de référence${customCount > 0 ? ` · ${customCount} personnalisée${plur(customCount)} préservée${plur(customCount)}` : ''}`}
+                  <ToggleRow label={t('editFamily.applyExisting')}
+                    sub={t('editFamily.refPriced', { count: refPricedCount }) + (customCount > 0 ? t('editFamily.customKept', { count: customCount }) : '')}
                     on={applyToExisting} onToggle={() => setApplyToExisting(v => !v)} last />
                 </div>
                 {refDirty && applyToExisting && (
                   <div style={{
                     marginTop: 6, color: T.accent, fontSize: remSize(11), letterSpacing: tracking(11) }}>
-                    {refPricedCount} boisson{plur(refPricedCount)} <span style={{ fontFamily: fontNum }}>→ {liveNewVal != null ? fmtPrice(liveNewVal) : 'sans prix'}</span>
+                    {t('common.drinks', { count: refPricedCount })} <span style={{ fontFamily: fontNum }}>→ {liveNewVal != null ? fmtPrice(liveNewVal) : t('editFamily.noPrice')}</span>
                   </div>
                 )}
               </div>
             ) : (
               <div style={{ marginTop: 6, color: T.muted, fontSize: remSize(11), letterSpacing: tracking(11), lineHeight: 1.4 }}>
-                Toutes les entrées ont un prix personnalisé — ce prix ne sera repris que par les nouveaux ajouts.
+                {t('editFamily.allCustom')}
               </div>
             )}
           </FieldGroup>
 
-          <FieldGroup label="Note">
+          <FieldGroup label={t('shared.rating')}>
             <RatingField value={rating} onChange={setRating} />
           </FieldGroup>
 
@@ -1234,7 +1410,7 @@ function EditFamilySheet({ family, onClose }) {
             display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 6,
             fontFamily: 'inherit' }}>
             <SvgIcon icon={Ic.trash} size={13} />
-            Supprimer toutes les entrées
+            {t('editFamily.deleteAll')}
           </button>
         </div>
         <div style={{
@@ -1243,43 +1419,658 @@ function EditFamilySheet({ family, onClose }) {
           <button type="button" onClick={close} style={{
             flex: 1, padding: '14px', textAlign: 'center', borderRadius: 12,
             background: T.surface2, color: T.ink2, fontSize: remSize(13), letterSpacing: tracking(13), cursor: 'pointer',
-            border: `1px solid ${T.rule}`, fontFamily: 'inherit' }}>Annuler</button>
+            border: `1px solid ${T.rule}`, fontFamily: 'inherit' }}>{t('common.cancel')}</button>
           <button type="button" onClick={busy ? undefined : save} disabled={busy} style={{
             flex: 2, padding: '14px', textAlign: 'center', borderRadius: 12,
             background: T.accent, color: T.accentInk, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 600,
             cursor: busy ? 'wait' : 'pointer', opacity: busy ? 0.5 : 1,
             border: 'none', fontFamily: 'inherit',
-            boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}` }}>{busy ? 'Enregistrement…' : 'Enregistrer'}</button>
+            boxShadow: `0 4px 18px ${withAlpha(T.accent, 0.4)}` }}>{busy ? t('common.saving') : t('common.save')}</button>
+        </div>
+      </div>
+    </SheetOverlay>
+  );
+}
+// ── Sauvegardes (table `backups`) ─────────────────────────────────
+// Navigateur des snapshots locaux : automatiques, pré-import, pré-effacement,
+// migrations… Chaque ligne se déplie sur un aperçu (boissons saisies depuis,
+// qui seraient perdues / supprimées depuis, qui reviendraient) avant la
+// restauration. La restauration snapshote d'abord l'état courant
+// ('pre-restore'), donc elle se défait depuis cette même liste.
+const BACKUP_LABELS = {
+  'auto': 'backups.label.auto',
+  'pre-import': 'backups.label.preImport',
+  'pre-merge': 'backups.label.preMerge',
+  'pre-clear': 'backups.label.preClear',
+  'pre-restore': 'backups.label.preRestore',
+  'pre-v5': 'backups.label.preV5',
+  'pre-normalize-categories': 'backups.label.preNormalize',
+};
+
+function backupLabel(label) {
+  return BACKUP_LABELS[label] ? t(BACKUP_LABELS[label]) : (label || t('backups.label.default'));
+}
+
+function fmtBackupDate(createdAt) {
+  const d = new Date(createdAt);
+  if (isNaN(d.getTime())) return '—';
+  return `${fmtDateMedium(localDate(d))} ${d.getFullYear()} · ${localTime(d)}`;
+}
+
+// Liste compacte des boissons d'un côté du diff (5 premières + « et N autres »).
+function BackupDiffList({ title, drinks }) {
+  if (!drinks.length) return null;
+  const shown = drinks.slice(0, 5);
+  return (
+    <div style={{ marginTop: 10 }}>
+      <div style={{ color: T.muted, ...TYPE.label, marginBottom: 4 }}>{title}</div>
+      {shown.map((d, i) => (
+        <div key={d.uid || d.id || i} style={{
+          color: T.ink2, ...type(12), display: 'flex', justifyContent: 'space-between', gap: 8 }}>
+          <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{d.name}</span>
+          <span style={{ color: T.muted, fontFamily: fontNum, flexShrink: 0 }}>{fmtDateMedium(d.date)} · {d.time}</span>
+        </div>
+      ))}
+      {drinks.length > shown.length && (
+        <div style={{ color: T.muted, ...type(11.5), marginTop: 2 }}>{t('backups.more', { count: drinks.length - shown.length })}</div>
+      )}
+    </div>
+  );
+}
+
+function BackupsSheet({ onClose }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const [list, setList] = React.useState(null);      // null = chargement
+  const [openId, setOpenId] = React.useState(null);
+  const [diff, setDiff] = React.useState(null);      // { id, added, removed, unchanged } | { id, error }
+  const [busy, setBusy] = React.useState(false);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const db = window.dbManager;
+      const rows = db ? await db.listBackups() : [];
+      if (!cancelled) setList(rows);
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  const toggle = async (id) => {
+    if (openId === id) { setOpenId(null); return; }
+    setOpenId(id);
+    setDiff(null);
+    const db = window.dbManager;
+    const r = db ? await db.diffBackup(id) : null;
+    setDiff(r ? { id, ...r } : { id, error: true });
+  };
+
+  const restore = async (b) => {
+    const ok = await Confirm.ask({
+      title: t('backups.restore.title'),
+      message: t('backups.restore.message', { date: fmtBackupDate(b.createdAt), label: t('backups.label.preRestore') }),
+      confirmText: t('backups.restore.confirm'),
+      danger: true,
+    });
+    if (!ok) return;
+    setBusy(true);
+    try {
+      await restoreBackup(b.id);
+      Toast.show(t('backups.restored'));
+      close();
+    } catch (e) {
+      Toast.show(t('backups.restoreError'));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('settings.backups')}>
+      <div className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', maxHeight: '85dvh',
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{
+          padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}`,
+          display: 'flex', alignItems: 'flex-start', gap: 12 }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{
+              ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>{t('settings.backups')}</div>
+            <div style={{
+              color: T.muted, ...TYPE.label, marginTop: 6 }}>{list ? t('backups.count', { count: list.length }) : '…'}</div>
+          </div>
+          <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
+            width: 32, height: 32, borderRadius: 99, background: T.surface2,
+            display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
+            border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit', flexShrink: 0,
+            touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
+        </div>
+        </SheetGrabber>
+
+        <div style={{ overflow: 'auto', padding: '14px 22px calc(20px + env(safe-area-inset-bottom))' }}>
+          {list && list.length === 0 && (
+            <div style={{ color: T.muted, ...type(13), textAlign: 'center', padding: '24px 0' }}>
+              {t('backups.empty')}
+            </div>
+          )}
+          {list && list.length > 0 && (
+            <div style={{
+              background: T.surface, borderRadius: 14, border: `1px solid ${T.rule}`, overflow: 'hidden' }}>
+              {list.map((b, i) => {
+                const isOpen = openId === b.id;
+                const d = diff && diff.id === b.id ? diff : null;
+                return (
+                  <div key={b.id} style={{
+                    borderBottom: i === list.length - 1 ? 'none' : `1px solid ${T.rule}` }}>
+                    <button type="button" className="alco-press-soft" aria-expanded={isOpen}
+                      onClick={() => toggle(b.id)} style={{
+                        ...ghostButton, width: '100%', textAlign: 'left',
+                        display: 'flex', alignItems: 'center', gap: 12, padding: '12px 14px' }}>
+                      <div style={{ flex: 1, minWidth: 0 }}>
+                        <div style={{ color: T.ink, ...type(14, { weight: 500 }) }}>{backupLabel(b.label)}</div>
+                        <div style={{ color: T.muted, fontFamily: fontNum, ...type(11), marginTop: 2 }}>
+                          {fmtBackupDate(b.createdAt)}
+                          {b.counts ? ` · ${t('common.drinks', { count: b.counts.drinks })} · ${t('common.categories', { count: b.counts.categories })}` : ` · ${t('backups.unreadableShort')}`}
+                        </div>
+                      </div>
+                      <span style={{ display: 'inline-flex', transform: isOpen ? 'rotate(180deg)' : 'none', transition: 'transform 0.18s ease' }}>
+                        <SvgIcon icon={Ic.chev} size={14} color={T.muted} />
+                      </span>
+                    </button>
+                    {isOpen && (
+                      <div style={{ padding: '0 14px 14px' }}>
+                        {!d && <div style={{ color: T.muted, ...type(12) }}>{t('backups.comparing')}</div>}
+                        {d && d.error && <div style={{ color: T.accent2, ...type(12) }}>{t('backups.unreadable')}</div>}
+                        {d && !d.error && (
+                          <>
+                            <div style={{ color: T.ink2, ...type(12.5) }}>
+                              {d.added.length === 0 && d.removed.length === 0
+                                ? t('backups.identical')
+                                : `${t('backups.unchanged', { count: d.unchanged })} · ${t('backups.lost', { count: d.added.length })} · ${t('backups.recovered', { count: d.removed.length })}`}
+                            </div>
+                            <BackupDiffList title={t('backups.addedSince')} drinks={d.added} />
+                            <BackupDiffList title={t('backups.removedSince')} drinks={d.removed} />
+                            <button type="button" onClick={busy ? undefined : () => restore(b)} disabled={busy} style={{
+                              width: '100%', marginTop: 14, padding: '11px', textAlign: 'center', borderRadius: 12,
+                              background: T.dangerSoftBg, color: T.accent2,
+                              border: `1px solid ${T.dangerSoftBorder}`,
+                              ...type(12.5, { weight: 500 }), cursor: busy ? 'wait' : 'pointer',
+                              opacity: busy ? 0.5 : 1, fontFamily: 'inherit' }}>
+                              {busy ? t('backups.restoring') : t('backups.restore')}
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </SheetOverlay>
+  );
+}
+
+// ── Historique des modifications (table `journal`) ────────────────
+// Annuler / rétablir persistants (cf. data.jsx › undoLastChange). Les
+// entrées annulées restent listées, barrées, jusqu'à la prochaine
+// modification qui efface la branche « rétablir ».
+function JournalSheet({ onClose }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const list = useJournal();
+  const [busy, setBusy] = React.useState(false);
+  const canUndo = !!list && list.some(e => !e.undone);
+  const canRedo = !!list && list.some(e => e.undone);
+
+  const step = async (redo) => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      const r = redo ? await redoLastChange() : await undoLastChange();
+      if (r) Toast.show(t(redo ? 'journal.redone' : 'journal.undone', { label: r.label }));
+    } catch (e) {
+      console.warn('AlcoNote: journal step failed', e);
+      Toast.show(t(redo ? 'journal.redoError' : 'toast.undoError'));
+    } finally { setBusy(false); }
+  };
+
+  const stepButton = (redo, enabled) => (
+    <button type="button" onClick={() => step(redo)} disabled={!enabled || busy}
+      aria-label={t(redo ? 'journal.redoAria' : 'journal.undoAria')} style={{
+        flex: 1, padding: '11px', textAlign: 'center', borderRadius: 12,
+        background: redo ? T.surface2 : T.accent, color: redo ? T.ink2 : T.accentInk,
+        border: redo ? `1px solid ${T.rule}` : 'none',
+        ...type(12.5, { weight: 600 }), fontFamily: 'inherit',
+        cursor: enabled && !busy ? 'pointer' : 'default', opacity: enabled && !busy ? 1 : 0.5 }}>
+      {t(redo ? 'journal.redo' : 'common.cancel')}
+    </button>
+  );
+
+  return (
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('settings.journal')}>
+      <div className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', maxHeight: '85dvh',
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{
+          padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}`,
+          display: 'flex', alignItems: 'flex-start', gap: 12 }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{
+              ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>{t('settings.journal')}</div>
+            <div style={{
+              color: T.muted, ...TYPE.label, marginTop: 6 }}>{list ? t('journal.count', { count: list.length }) : '…'}</div>
+          </div>
+          <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
+            width: 32, height: 32, borderRadius: 99, background: T.surface2,
+            display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
+            border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit', flexShrink: 0,
+            touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
+        </div>
+        </SheetGrabber>
+
+        <div style={{ display: 'flex', gap: 10, padding: '14px 22px 0' }}>
+          {stepButton(false, canUndo)}
+          {stepButton(true, canRedo)}
+        </div>
+
+        <div style={{ overflow: 'auto', padding: '14px 22px calc(20px + env(safe-area-inset-bottom))' }}>
+          {list && list.length === 0 && (
+            <div style={{ color: T.muted, ...type(13), textAlign: 'center', padding: '24px 0' }}>
+              {t('journal.empty')}
+            </div>
+          )}
+          {list && list.length > 0 && (
+            <div role="list" aria-label={t('journal.listAria')} style={{
+              background: T.surface, borderRadius: 14, border: `1px solid ${T.rule}`, overflow: 'hidden' }}>
+              {list.map((e, i) => (
+                <div key={e.id} role="listitem" style={{
+                  padding: '12px 14px', opacity: e.undone ? 0.55 : 1,
+                  borderBottom: i === list.length - 1 ? 'none' : `1px solid ${T.rule}` }}>
+                  <div style={{
+                    color: T.ink, ...type(14, { weight: 500 }),
+                    textDecoration: e.undone ? 'line-through' : 'none' }}>{e.label}</div>
+                  <div style={{ color: T.muted, fontFamily: fontNum, ...type(11), marginTop: 2 }}>
+                    {fmtBackupDate(e.ts)} · {t('journal.rows', { count: e.count })}{e.undone ? ` · ${t('journal.undoneTag')}` : ''}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </SheetOverlay>
+  );
+}
+
+// ── Import : Remplacer ou Fusionner ───────────────────────────────
+// Ouvert après le choix du fichier, avec l'aperçu calculé par
+// `dbManager.previewImport` (rien n'est écrit avant « Importer »).
+// Fusionner est le choix par défaut : importer l'export d'un ancien
+// téléphone ou d'un ami ne doit plus effacer quoi que ce soit par accident.
+function ImportModeOption({ id, mode, setMode, title, danger, children }) {
+  const on = mode === id;
+  return (
+    <button type="button" role="radio" aria-checked={on} onClick={() => setMode(id)}
+      className="alco-press-soft" style={{
+        ...ghostButton, width: '100%', textAlign: 'left', display: 'block',
+        padding: '12px 14px', borderRadius: 14, marginBottom: 10,
+        background: on ? (danger ? T.dangerSoftBg : T.accentSoft) : T.surface,
+        border: `1px solid ${on ? (danger ? T.dangerSoftBorder : T.accent) : T.rule}` }}>
+      <div style={{ color: on ? (danger ? T.accent2 : T.accent) : T.ink, ...type(14, { weight: 600 }) }}>{title}</div>
+      <div style={{ color: T.ink2, ...type(12), marginTop: 4 }}>{children}</div>
+    </button>
+  );
+}
+
+function ImportSheet({ pending, onClose }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const [mode, setMode] = React.useState('merge');
+  const [busy, setBusy] = React.useState(false);
+  const { preview, fileName } = pending;
+  const m = preview.merge;
+
+  const run = async () => {
+    setBusy(true);
+    try {
+      const report = await window.dbManager.importData(pending.text, { mode, passphrase: pending.passphrase });
+      window.dataBus && window.dataBus.bump();
+      Toast.show(mode === 'merge'
+        ? t('import.merged', {
+          added: t('import.added', { count: report.drinks.added }),
+          updated: t('import.updated', { count: report.drinks.updated }),
+          skipped: t('import.skipped', { count: report.drinks.skipped }),
+        })
+        : t('import.replaced'));
+      close();
+    } catch (e) {
+      Toast.show(t('import.error'));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('settings.import')}>
+      <div className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', maxHeight: '85dvh',
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{ padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}` }}>
+          <div style={{ ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>{t('settings.import')}</div>
+          <div style={{ color: T.muted, ...TYPE.label, marginTop: 6, wordBreak: 'break-word' }}>
+            {fileName}{preview.file.exportDate ? ` · ${t('import.exportedOn', { date: fmtBackupDate(preview.file.exportDate) })}` : ''}
+          </div>
+        </div>
+        </SheetGrabber>
+
+        <div role="radiogroup" aria-label={t('import.modeAria')} style={{ overflow: 'auto', padding: '14px 22px' }}>
+          <div style={{ color: T.ink2, ...type(12.5), marginBottom: 12 }}>
+            {t('import.fileContains', { drinks: t('common.drinks', { count: preview.file.drinks }), categories: t('common.categories', { count: preview.file.categories }) })}
+          </div>
+          <ImportModeOption id="merge" mode={mode} setMode={setMode} title={t('import.merge')}>
+            {t('import.merge.added', { count: m.drinks.added })}
+            {' · '}{t('import.updated', { count: m.drinks.updated })}
+            {' · '}{t('import.present', { count: m.drinks.skipped })}
+            {m.categories.added > 0 && <> · {t('import.merge.newCategories', { count: m.categories.added })}</>}
+            {t('import.merge.keep')}
+          </ImportModeOption>
+          <ImportModeOption id="replace" mode={mode} setMode={setMode} title={t('import.replace')} danger>
+            {t('import.replace.body', { drinks: t('common.drinks', { count: preview.current.drinks }), categories: t('common.categories', { count: preview.current.categories }) })}
+          </ImportModeOption>
+        </div>
+
+        <div style={{
+          padding: '12px 18px calc(22px + env(safe-area-inset-bottom))',
+          borderTop: `1px solid ${T.rule}`, display: 'flex', gap: 10 }}>
+          <button type="button" onClick={close} style={{
+            flex: 1, padding: '14px', textAlign: 'center', borderRadius: 12,
+            background: T.surface2, color: T.ink2, ...type(13), cursor: 'pointer',
+            border: `1px solid ${T.rule}`, fontFamily: 'inherit' }}>{t('common.cancel')}</button>
+          <button type="button" onClick={busy ? undefined : run} disabled={busy} style={{
+            flex: 2, padding: '14px', textAlign: 'center', borderRadius: 12,
+            background: mode === 'replace' ? T.dangerBtn : T.accent,
+            color: mode === 'replace' ? T.dangerBtnInk : T.accentInk,
+            ...type(13, { weight: 600 }),
+            cursor: busy ? 'wait' : 'pointer', opacity: busy ? 0.5 : 1,
+            border: 'none', fontFamily: 'inherit' }}>{busy ? t('import.busy') : t(mode === 'merge' ? 'import.merge' : 'import.replace')}</button>
         </div>
       </div>
     </SheetOverlay>
   );
 }
+
+// ── Import CSV : correspondance des colonnes + validation à blanc ──
+// Le rapport se recalcule à chaque changement de correspondance ; rien n'est
+// écrit avant « Importer ». Les lignes valides sont FUSIONNÉES (mode 'merge'
+// de importData) : un même fichier réimporté ne crée pas de doublons.
+const CSV_FIELD_LABELS = {
+  date: 'drink.date', time: 'shared.time', name: 'drink.name', category: 'shared.category',
+  quantity: 'drink.quantity', unit: 'shared.unit', cl: 'csv.field.cl', abv: 'csv.field.abv',
+  price: 'drink.price', rating: 'shared.rating', place: 'shared.location',
+};
+
+function CsvImportSheet({ pending, onClose }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const { fileName, parsed } = pending;
+  const [mapping, setMapping] = React.useState(() => guessCsvMapping(parsed.headers));
+  const [busy, setBusy] = React.useState(false);
+  const report = React.useMemo(() => csvRowsToDrinks(parsed.rows, mapping), [parsed, mapping]);
+  const badLines = new Set(report.errors.map(e => e.line)).size;
+
+  const run = async () => {
+    setBusy(true);
+    try {
+      const r = await window.dbManager.importData(csvImportPayload(report), { mode: 'merge' });
+      window.dataBus && window.dataBus.bump();
+      Toast.show(t('csv.imported', { added: t('import.added', { count: r.drinks.added }), skipped: t('import.present', { count: r.drinks.skipped }) }));
+      close();
+    } catch (e) {
+      Toast.show(t('import.error'));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('settings.importCsv')}>
+      <div className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', maxHeight: '85dvh',
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{ padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}` }}>
+          <div style={{ ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>{t('settings.importCsv')}</div>
+          <div style={{ color: T.muted, ...TYPE.label, marginTop: 6, wordBreak: 'break-word' }}>
+            {fileName} · {t('journal.rows', { count: parsed.rows.length })}
+          </div>
+        </div>
+        </SheetGrabber>
+
+        <div style={{ overflow: 'auto', padding: '14px 22px' }}>
+          <SettingsGroup label={t('csv.columns')}>
+            {CSV_FIELDS.filter(f => f.key !== 'grams' && f.key !== 'std').map((f, i, list) => (
+              <label key={f.key} style={{
+                display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 10,
+                padding: '8px 14px', borderBottom: i === list.length - 1 ? 'none' : `1px solid ${T.rule}` }}>
+                <span style={{ color: T.ink, ...type(13) }}>{t(CSV_FIELD_LABELS[f.key])}</span>
+                <select value={mapping[f.key]} aria-label={t('csv.columnAria', { field: t(CSV_FIELD_LABELS[f.key]) })}
+                  onChange={(e) => setMapping(m => ({ ...m, [f.key]: Number(e.target.value) }))} style={{
+                    maxWidth: '55%', padding: '6px 8px', borderRadius: 8,
+                    background: T.surface2, color: T.ink, border: `1px solid ${T.rule}`,
+                    ...type(12), fontFamily: 'inherit' }}>
+                  <option value={-1}>{t('csv.ignored')}</option>
+                  {parsed.headers.map((h, idx) => <option key={idx} value={idx}>{h || t('csv.column', { n: idx + 1 })}</option>)}
+                </select>
+              </label>
+            ))}
+          </SettingsGroup>
+
+          <SettingsGroup label={t('csv.check')}>
+            <div style={{ padding: '12px 14px' }}>
+              <div style={{ color: T.ink, ...type(13.5) }}>
+                {t('csv.valid', { count: report.drinks.length })}
+                {badLines > 0 && <span style={{ color: T.accent2 }}> · {t('csv.skippedRows', { count: badLines })}</span>}
+              </div>
+              {report.errors.slice(0, 8).map((e, i) => (
+                <div key={i} style={{ color: T.ink2, ...type(12), marginTop: 4 }}>
+                  <span style={{ fontFamily: fontNum, color: T.muted }}>{t('csv.line', { line: e.line })}</span> · {e.reason}
+                </div>
+              ))}
+              {report.errors.length > 8 && (
+                <div style={{ color: T.muted, ...type(11.5), marginTop: 4 }}>{t('csv.moreErrors', { count: report.errors.length - 8 })}</div>
+              )}
+            </div>
+          </SettingsGroup>
+        </div>
+
+        <div style={{
+          padding: '12px 18px calc(22px + env(safe-area-inset-bottom))',
+          borderTop: `1px solid ${T.rule}`, display: 'flex', gap: 10 }}>
+          <button type="button" onClick={close} style={{
+            flex: 1, padding: '14px', textAlign: 'center', borderRadius: 12,
+            background: T.surface2, color: T.ink2, ...type(13), cursor: 'pointer',
+            border: `1px solid ${T.rule}`, fontFamily: 'inherit' }}>{t('common.cancel')}</button>
+          <button type="button" onClick={busy || !report.drinks.length ? undefined : run}
+            disabled={busy || !report.drinks.length} style={{
+              flex: 2, padding: '14px', textAlign: 'center', borderRadius: 12,
+              background: T.accent, color: T.accentInk, ...type(13, { weight: 600 }),
+              cursor: busy ? 'wait' : 'pointer', opacity: busy || !report.drinks.length ? 0.5 : 1,
+              border: 'none', fontFamily: 'inherit' }}>
+            {busy ? t('import.busy') : t('csv.run', { drinks: t('common.drinks', { count: report.drinks.length }) })}
+          </button>
+        </div>
+      </div>
+    </SheetOverlay>
+  );
+}
+
+// ── Phrase de passe (export chiffré, clé de récupération) ──
+// `confirm` : saisie en double + longueur minimale (création d'un fichier).
+// `onSubmit(passphrase)` est attendu : s'il lève (phrase fausse, fichier
+// altéré), le message s'affiche dans la sheet qui reste ouverte.
+const PASSPHRASE_MIN = 8;
+
+function PassphraseSheet({ request, onClose }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const [value, setValue] = React.useState('');
+  const [again, setAgain] = React.useState('');
+  const [error, setError] = React.useState(null);
+  const [busy, setBusy] = React.useState(false);
+  const { title, sub, confirm, submitLabel, onSubmit } = request;
+
+  const submit = async (ev) => {
+    ev.preventDefault();
+    if (busy) return;
+    if (confirm && value.length < PASSPHRASE_MIN) { setError(t('passphrase.tooShort', { count: PASSPHRASE_MIN })); return; }
+    if (confirm && value !== again) { setError(t('passphrase.mismatch')); return; }
+    if (!value) { setError(t('passphrase.required')); return; }
+    setBusy(true);
+    setError(null);
+    try {
+      await onSubmit(value);
+      close();
+    } catch (e) {
+      setError(errorText(e));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={title}>
+      <form onSubmit={submit} className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', margin: 0,
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{ padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}` }}>
+          <div style={{ ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>{title}</div>
+          {sub && <div style={{ color: T.muted, ...TYPE.label, marginTop: 6 }}>{sub}</div>}
+        </div>
+        </SheetGrabber>
+
+        <div style={{ padding: '16px 22px 4px' }}>
+          <FieldGroup label={t('passphrase.field')}>
+            <input type="password" value={value} autoFocus
+              autoComplete={confirm ? 'new-password' : 'current-password'}
+              aria-label={t('passphrase.field')}
+              onChange={(e) => { setValue(e.target.value); setError(null); }}
+              style={inputBaseStyle()} />
+          </FieldGroup>
+          {confirm && (
+            <FieldGroup label={t('passphrase.confirm')}>
+              <input type="password" value={again} autoComplete="new-password"
+                aria-label={t('passphrase.confirmAria')}
+                onChange={(e) => { setAgain(e.target.value); setError(null); }}
+                style={inputBaseStyle()} />
+            </FieldGroup>
+          )}
+          {confirm && (
+            <div style={{ color: T.ink2, ...type(12), marginBottom: 12 }}>
+              {t('passphrase.warning')}
+            </div>
+          )}
+          {error && (
+            <div role="alert" style={{ color: T.accent2, ...type(12.5, { weight: 600 }), marginBottom: 12 }}>{error}</div>
+          )}
+        </div>
+
+        <div style={{
+          padding: '12px 18px calc(22px + env(safe-area-inset-bottom))',
+          borderTop: `1px solid ${T.rule}`, display: 'flex', gap: 10 }}>
+          <button type="button" onClick={close} style={{
+            flex: 1, padding: '14px', textAlign: 'center', borderRadius: 12,
+            background: T.surface2, color: T.ink2, ...type(13), cursor: 'pointer',
+            border: `1px solid ${T.rule}`, fontFamily: 'inherit' }}>{t('common.cancel')}</button>
+          <button type="submit" disabled={busy} style={{
+            flex: 2, padding: '14px', textAlign: 'center', borderRadius: 12,
+            background: T.accent, color: T.accentInk,
+            ...type(13, { weight: 600 }),
+            cursor: busy ? 'wait' : 'pointer', opacity: busy ? 0.5 : 1,
+            border: 'none', fontFamily: 'inherit' }}>{busy ? '…' : submitLabel}</button>
+        </div>
+      </form>
+    </SheetOverlay>
+  );
+}
+
 // ── Settings drawer ────────────────────────────────────────────────
 function SettingsDrawer({ open, onClose }) {
   const settings = useSettings();
+  useLocale();
+  const ratings = useRatings();
   const fileInputRef = React.useRef(null);
+  const csvInputRef = React.useRef(null);
   // Read the running SW's reported version so the footer always
   // matches the cache actually shipping. Falls back to "—" when no
   // SW is registered (browser preview, file://).
   const swVersion = useSWVersion();
   // Fermeture animée (le tiroir repart vers la gauche) — ré-armée à l'ouverture.
   const [closing, close, cancelClose] = useSheetClose(onClose, open);
+  const [backupsOpen, setBackupsOpen] = React.useState(false);
+  const [journalOpen, setJournalOpen] = React.useState(false);
+  const [unitsOpen, setUnitsOpen] = React.useState(false);
+  const [catalogOpen, setCatalogOpen] = React.useState(false);
+  const [importPending, setImportPending] = React.useState(null);
+  const [csvPending, setCsvPending] = React.useState(null);
+  const [passphraseReq, setPassphraseReq] = React.useState(null);
 
   if (!open) return null;
 
+  const today = () => new Date().toISOString().slice(0,10);
+
   const onExport = async () => {
     try {
-      const json = await window.dbManager.exportData();
-      const blob = new Blob([json], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `alconote-${new Date().toISOString().slice(0,10)}.json`;
-      document.body.appendChild(a); a.click(); a.remove();
-      URL.revokeObjectURL(url);
-      Toast.show('Données exportées');
-    } catch (e) { Toast.show('Erreur d\'export'); }
+      const json = await window.dbManager.exportData({ annotate: exportAnnotations });
+      downloadFile(json, `alconote-${today()}.json`, 'application/json');
+      await markOffsiteBackup();
+      Toast.show(t('settings.exported'));
+    } catch (e) { Toast.show(t('settings.exportError')); }
+  };
+
+  const onExportEncrypted = () => setPassphraseReq({
+    title: t('settings.encrypted.title'), confirm: true, submitLabel: t('settings.encrypted.submit'),
+    sub: t('settings.encrypted.sub', { ext: ENCRYPTED_EXPORT_EXT }),
+    onSubmit: async (passphrase) => {
+      const data = await window.dbManager.exportData({ passphrase, annotate: exportAnnotations });
+      downloadFile(data, `alconote-${today()}${ENCRYPTED_EXPORT_EXT}`, 'application/octet-stream');
+      await markOffsiteBackup();
+      Toast.show(t('settings.encrypted.done'));
+    },
+  });
+
+  // BOM UTF-8 en tête : sans lui, Excel lit le fichier en Latin-1 (accents cassés).
+  const onExportCsv = async () => {
+    try {
+      const drinks = await window.dbManager.getAllDrinks();
+      downloadFile('\uFEFF' + drinksToCsv(drinks, ratings),
+        `alconote-${today()}.csv`, 'text/csv;charset=utf-8');
+      Toast.show(t('settings.csvExported'));
+    } catch (e) { Toast.show(t('settings.exportError')); }
+  };
+
+  const onImportCsv = () => csvInputRef.current && csvInputRef.current.click();
+  const onCsvFile = async (ev) => {
+    const f = ev.target.files && ev.target.files[0];
+    if (!f) return;
+    try {
+      const parsed = parseCsv(await f.text());
+      if (!parsed.headers.length) throw new Error(t('csv.empty'));
+      setCsvPending({ fileName: f.name, parsed });
+    } catch (e) { Toast.show(t('csv.unreadable')); }
+    ev.target.value = '';
   };
 
   const onImport = () => fileInputRef.current && fileInputRef.current.click();
@@ -1288,27 +2079,41 @@ function SettingsDrawer({ open, onClose }) {
     if (!f) return;
     try {
       const text = await f.text();
-      await window.dbManager.importData(text);
-      window.dataBus && window.dataBus.bump();
-      Toast.show('Données importées');
-    } catch (e) { Toast.show('Erreur d\'import'); }
+      const fileName = f.name;
+      if (isEncryptedEnvelope(text)) {
+        // Déchiffré pour l'aperçu ; la phrase suit jusqu'à importData.
+        setPassphraseReq({
+          title: t('settings.decrypt.title'), sub: fileName, submitLabel: t('settings.decrypt.submit'),
+          onSubmit: async (passphrase) => {
+            const preview = await window.dbManager.previewImport(text, { passphrase });
+            setImportPending({ text, preview, fileName, passphrase });
+          },
+        });
+      } else {
+        const preview = await window.dbManager.previewImport(text);
+        setImportPending({ text, preview, fileName });
+      }
+    } catch (e) {
+      // Message précis du validateur (table[ligne].champ : raison).
+      Toast.show(errorText(e, 'import.invalid'));
+    }
     ev.target.value = '';
   };
 
   const onClear = async () => {
     const ok = await Confirm.ask({
-      title: 'Effacer toutes les données ?',
-      message: 'Boissons, catégories, paramètres et records seront définitivement supprimés. Cette action est irréversible.',
-      confirmText: 'Tout effacer',
+      title: t('settings.clear.title'),
+      message: t('settings.clear.message'),
+      confirmText: t('settings.clear'),
       danger: true,
     });
     if (!ok) return;
     try {
       await clearAllData();
-      Toast.show('Données effacées');
+      Toast.show(t('settings.clear.done'));
       close();
     } catch (e) {
-      Toast.show('Erreur lors de l\'effacement');
+      Toast.show(t('settings.clear.error'));
     }
   };
 
@@ -1318,9 +2123,14 @@ function SettingsDrawer({ open, onClose }) {
   // dès la fin de l'animation d'entrée (« le translucide se retire après une
   // seconde »). La liste défilante cesse aussi d'être imbriquée sous une
   // seconde couche filtrée — son défilement redevient composé.
+  // Les sheets ouvertes depuis le tiroir (Sauvegardes, phrase de passe — y
+  // compris celle que demande SharingSection) sont montées À CÔTÉ de lui, pas
+  // dedans : sous l'élément transformé, leur `position: fixed` serait
+  // confinée à la largeur du tiroir.
   return (
+    <>
     <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} side="left"
-      label="Paramètres" sheetClassName="alco-material-panel alco-material-edge">
+      label={t('settings.title')} sheetClassName="alco-material-panel alco-material-edge">
       <div style={{
         width: 'min(360px, 100vw)', height: '100%',
         borderRight: `1px solid ${T.rule}`,
@@ -1330,37 +2140,70 @@ function SettingsDrawer({ open, onClose }) {
           padding: 'calc(36px + env(safe-area-inset-top)) 20px 18px',
           borderBottom: `1px solid ${T.rule}`,
           display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-          <div style={{ ...TYPE.display, color: T.ink }}>Paramètres</div>
+          <div style={{ ...TYPE.display, color: T.ink }}>{t('settings.title')}</div>
           <button type="button" className="alco-press" onClick={close}
-            aria-label="Fermer les paramètres" style={{
+            aria-label={t('settings.close')} style={{
               width: 32, height: 32, borderRadius: 99, background: T.surface2,
               display: 'grid', placeItems: 'center', color: T.ink2, cursor: 'pointer',
               border: 'none', padding: 0, fontFamily: 'inherit', touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
         </div>
 
         <div style={{ flex: 1, overflow: 'auto', padding: '14px 20px' }}>
-          <SettingsGroup label="Apparence">
+          <SettingsGroup label={t('settings.appearance')}>
             <ThemePicker />
+            <LanguagePicker />
+            {getLocale() !== DEFAULT_LOCALE && (
+              <ToggleRow label={t('settings.bacTranslate')} sub={t('settings.bacTranslate.sub')}
+                on={bacTranslationEnabled()} onToggle={() => setBacTranslation(!bacTranslationEnabled())} />
+            )}
             <HapticsRow last />
           </SettingsGroup>
 
-          <SettingsGroup label="Profil">
-            <ProfileRow label="Poids (kg)" numeric min={30} max={200} step={0.5}
+          <SettingsGroup label={t('settings.profile')}>
+            <ProfileRow label={t('settings.weight')} numeric min={30} max={200} step={0.5}
               value={settings.userWeight != null ? String(settings.userWeight) : ''}
               onSave={(v) => { const n = parseDecimal(v); saveSetting('userWeight', (v && !isNaN(n)) ? n : null); }} />
-            <GenderPicker value={settings.userGender || ''} onChange={(v) => saveSetting('userGender', v || null)} last />
+            <GenderPicker value={settings.userGender || ''} onChange={(v) => saveSetting('userGender', v || null)} />
+            <BacModelPicker value={settings.bacModel || 'widmark'} onChange={(v) => saveSetting('bacModel', v)}
+              last={!(BAC_MODELS[settings.bacModel] || BAC_MODELS.widmark).needs.length} />
+            {(BAC_MODELS[settings.bacModel] || BAC_MODELS.widmark).needs.includes('age') && (
+              <ProfileRow label={t('settings.age')} numeric min={14} max={120} step={1}
+                value={settings.userAge != null ? String(settings.userAge) : ''}
+                onSave={(v) => { const n = parseDecimal(v); saveSetting('userAge', (v && !isNaN(n)) ? n : null); }} />
+            )}
+            {(BAC_MODELS[settings.bacModel] || BAC_MODELS.widmark).needs.includes('height') && (
+              <ProfileRow label={t('settings.height')} numeric min={100} max={250} step={1} last
+                value={settings.userHeight != null ? String(settings.userHeight) : ''}
+                onSave={(v) => { const n = parseDecimal(v); saveSetting('userHeight', (v && !isNaN(n)) ? n : null); }} />
+            )}
           </SettingsGroup>
 
-          <SettingsGroup label="Données">
-            <SettingRow label="Exporter" icon={Ic.download} onClick={onExport} />
-            <SettingRow label="Importer" icon={Ic.upload} onClick={onImport} />
-            <SettingRow label="Tout effacer" danger onClick={onClear} last />
+          <DrivingSection />
+          <StandardDrinkSection />
+
+          <NotificationsSection />
+
+          <SettingsGroup label={t('settings.data')}>
+            <SettingRow label={t('settings.units')} icon={Ic.layers} onClick={() => setUnitsOpen(true)} />
+            <SettingRow label={t('settings.catalog')} icon={Ic.scan} onClick={() => setCatalogOpen(true)} />
+            <SettingRow label={t('settings.export')} icon={Ic.download} onClick={onExport} />
+            <SettingRow label={t('settings.exportEncrypted')} icon={Ic.download} onClick={onExportEncrypted} />
+            <SettingRow label={t('settings.import')} icon={Ic.upload} onClick={onImport} />
+            <SettingRow label={t('settings.exportCsv')} icon={Ic.download} onClick={onExportCsv} />
+            <SettingRow label={t('settings.importCsv')} icon={Ic.upload} onClick={onImportCsv} />
+            <SettingRow label={t('settings.backups')} icon={Ic.clockArrow} onClick={() => setBackupsOpen(true)} />
+            <SettingRow label={t('settings.journal')} icon={Ic.refresh} onClick={() => setJournalOpen(true)} />
+            <SettingRow label={t('settings.clear')} danger onClick={onClear} last />
           </SettingsGroup>
 
-          <SharingSection />
+          <OffsiteBackupSection askPassphrase={setPassphraseReq} />
+
+          <SharingSection askPassphrase={setPassphraseReq} />
 
-          <input ref={fileInputRef} type="file" accept=".json,application/json"
+          <input ref={fileInputRef} type="file" accept={`.json,${ENCRYPTED_EXPORT_EXT},application/json`} aria-label={t('settings.importFileAria')}
             style={{ display: 'none' }} onChange={onFile}/>
+          <input ref={csvInputRef} type="file" accept=".csv,text/csv" aria-label={t('settings.importCsvAria')}
+            style={{ display: 'none' }} onChange={onCsvFile}/>
 
           <div style={{
             color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), textAlign: 'center',
@@ -1368,6 +2211,14 @@ function SettingsDrawer({ open, onClose }) {
         </div>
       </div>
     </SheetOverlay>
+    {backupsOpen && <BackupsSheet onClose={() => setBackupsOpen(false)} />}
+    {journalOpen && <JournalSheet onClose={() => setJournalOpen(false)} />}
+    {unitsOpen && <UnitsSheet onClose={() => setUnitsOpen(false)} />}
+    {catalogOpen && <CatalogSheet onClose={() => setCatalogOpen(false)} />}
+    {importPending && <ImportSheet pending={importPending} onClose={() => setImportPending(null)} />}
+    {csvPending && <CsvImportSheet pending={csvPending} onClose={() => setCsvPending(null)} />}
+    {passphraseReq && <PassphraseSheet request={passphraseReq} onClose={() => setPassphraseReq(null)} />}
+    </>
   );
 }
 
@@ -1375,8 +2226,8 @@ function ThemePicker() {
   useTheme();
   const current = T._name;
   return (
-    <div style={{ display: 'flex', gap: 0 }} role="radiogroup" aria-label="Thème">
-      {[['light', 'Clair', Ic.sun], ['dark', 'Sombre', Ic.moon]].map(([id, label, icon], i) => (
+    <div style={{ display: 'flex', gap: 0 }} role="radiogroup" aria-label={t('settings.theme')}>
+      {[['light', t('settings.theme.light'), Ic.sun], ['dark', t('settings.theme.dark'), Ic.moon]].map(([id, label, icon], i) => (
         <button key={id} type="button" role="radio" aria-checked={current === id}
           onClick={() => applyTheme(id)} style={{
             flex: 1, padding: '14px 0', textAlign: 'center',
@@ -1396,6 +2247,28 @@ function ThemePicker() {
   );
 }
 
+// Choix de la langue (réglage `language`, cf. i18n.jsx › applyLocale).
+function LanguagePicker() {
+  const current = useLocale();
+  const ids = Object.keys(LOCALES);
+  return (
+    <div style={{ display: 'flex', gap: 0, borderTop: `1px solid ${T.rule}` }}
+      role="radiogroup" aria-label={t('settings.language')}>
+      {ids.map((id, i) => (
+        <button key={id} type="button" role="radio" aria-checked={current === id} lang={id}
+          onClick={() => applyLocale(id)} style={{
+            flex: 1, padding: '14px 0', textAlign: 'center',
+            ...type(13, { weight: current === id ? 600 : 400 }), cursor: 'pointer',
+            background: current === id ? T.accentSoft : 'transparent',
+            color: current === id ? T.accent : T.ink2,
+            borderTop: 'none', borderLeft: 'none', borderBottom: 'none',
+            borderRight: i < ids.length - 1 ? `1px solid ${T.rule}` : 'none',
+            fontFamily: 'inherit' }}>{LOCALES[id].label}</button>
+      ))}
+    </div>
+  );
+}
+
 function ProfileRow({ label, value, onSave, last, numeric, step, min, max, ...inputProps }) {
   const [v, setV] = React.useState(value);
   React.useEffect(() => setV(value), [value]);
@@ -1431,11 +2304,11 @@ function GenderPicker({ value, onChange, last }) {
       display: 'flex', alignItems: 'center', justifyContent: 'space-between',
       padding: '10px 14px', borderBottom: last ? 'none' : `1px solid ${T.rule}`,
       gap: 10 }}>
-      <span style={{ color: T.ink, fontSize: remSize(13.5), letterSpacing: tracking(13.5) }}>Sexe</span>
-      <div role="radiogroup" aria-label="Sexe" style={{
+      <span style={{ color: T.ink, fontSize: remSize(13.5), letterSpacing: tracking(13.5) }}>{t('settings.gender')}</span>
+      <div role="radiogroup" aria-label={t('settings.gender')} style={{
         display: 'flex', gap: 4, padding: 3,
         background: T.surface2, borderRadius: 10, border: `1px solid ${T.rule}` }}>
-        {[['', '—'], ['male', 'Homme'], ['female', 'Femme']].map(([k, label]) => (
+        {[['', '—'], ['male', t('settings.gender.male')], ['female', t('settings.gender.female')]].map(([k, label]) => (
           <button key={k || 'none'} type="button" role="radio" aria-checked={value === k}
             onClick={() => onChange(k)} style={{
               padding: '6px 10px', borderRadius: 7, textAlign: 'center',
@@ -1449,6 +2322,167 @@ function GenderPicker({ value, onChange, last }) {
   );
 }
 
+// Modèle d'alcoolémie (stats.jsx › BAC_MODELS). Watson et Forrest
+// demandent en plus l'âge et/ou la taille, saisis juste en dessous.
+function BacModelPicker({ value, onChange, last }) {
+  return (
+    <div style={{
+      display: 'flex', alignItems: 'center', justifyContent: 'space-between',
+      padding: '10px 14px', borderBottom: last ? 'none' : `1px solid ${T.rule}`,
+      gap: 10 }}>
+      <span style={{ color: T.ink, ...type(13.5) }}>{t('settings.bacModel')}</span>
+      <div role="radiogroup" aria-label={t('settings.bacModel')} style={{
+        display: 'flex', gap: 4, padding: 3,
+        background: T.surface2, borderRadius: 10, border: `1px solid ${T.rule}` }}>
+        {Object.values(BAC_MODELS).map(m => (
+          <button key={m.id} type="button" role="radio" aria-checked={value === m.id}
+            onClick={() => onChange(m.id)} style={{
+              padding: '6px 8px', borderRadius: 7, textAlign: 'center',
+              ...type(11, { weight: value === m.id ? 600 : 400 }), cursor: 'pointer',
+              background: value === m.id ? T.ink : 'transparent',
+              color: value === m.id ? T.bg : T.ink2,
+              border: 'none', fontFamily: 'inherit' }}>{m.label}</button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Profil de conduite (seuil légal) + unité d'affichage du BAC. Réglage
+// de l'appareil (shared.jsx › applyBacDisplay) : s'applique aussi aux
+// vues d'amis. Le seuil personnalisé se saisit dans l'unité affichée.
+function DrivingSection() {
+  const display = useBacDisplay();
+  const unit = display.unit;
+  const unitIds = Object.keys(BAC_UNITS);
+  const limitText = (mgL) => `${fmtBac(mgL, unit)} ${bacUnitLabel(unit)}`;
+  return (
+    <SettingsGroup label={t('settings.driving')}>
+      <label style={{
+        display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 10,
+        padding: '10px 14px', borderBottom: `1px solid ${T.rule}` }}>
+        <span style={{ color: T.ink, ...type(13.5) }}>{t('settings.drivingProfile')}</span>
+        <select value={display.profile} aria-label={t('settings.drivingProfile')}
+          onChange={(e) => applyBacDisplay({ profile: e.target.value })} style={{
+            maxWidth: '60%', padding: '6px 8px', borderRadius: 8,
+            background: T.surface2, color: T.ink, border: `1px solid ${T.rule}`,
+            ...type(12), fontFamily: 'inherit' }}>
+          {BAC_PROFILES.map(p => (
+            <option key={p.id} value={p.id}>
+              {p.limit != null ? `${t(`bacProfile.${p.id}`)} · ${limitText(p.limit)}` : t(`bacProfile.${p.id}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      {display.profile === 'custom' && (
+        <ProfileRow label={`${t('settings.customLimit')} (${bacUnitLabel(unit)})`} numeric min={0}
+          value={fmtBac(display.customLimit, unit)}
+          onSave={(v) => {
+            const mgL = bacFromUnit(v, unit);
+            if (Number.isFinite(mgL)) applyBacDisplay({ customLimit: mgL });
+          }} />
+      )}
+      <div style={{
+        display: 'flex', alignItems: 'center', justifyContent: 'space-between',
+        padding: '10px 14px', gap: 10 }}>
+        <span style={{ color: T.ink, ...type(13.5) }}>{t('settings.bacUnit')}</span>
+        <div role="radiogroup" aria-label={t('settings.bacUnit')} style={{
+          display: 'flex', gap: 4, padding: 3,
+          background: T.surface2, borderRadius: 10, border: `1px solid ${T.rule}` }}>
+          {unitIds.map(id => (
+            <button key={id} type="button" role="radio" aria-checked={unit === id}
+              onClick={() => applyBacDisplay({ unit: id })} style={{
+                padding: '6px 8px', borderRadius: 7, textAlign: 'center', whiteSpace: 'nowrap',
+                ...type(11, { weight: unit === id ? 600 : 400 }), cursor: 'pointer',
+                background: unit === id ? T.ink : 'transparent',
+                color: unit === id ? T.bg : T.ink2,
+                border: 'none', fontFamily: 'inherit' }}>{BAC_UNITS[id].label}</button>
+          ))}
+        </div>
+      </div>
+    </SettingsGroup>
+  );
+}
+
+// Taille du verre standard (shared.jsx › STANDARD_DRINKS) : unité des
+// colonnes « verres std » des Stats, de l'aperçu d'ajout et des exports.
+function StandardDrinkSection() {
+  const sd = useStandardDrink();
+  return (
+    <SettingsGroup label={t('settings.stdDrink')}>
+      <label style={{
+        display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 10,
+        padding: '10px 14px' }}>
+        <span style={{ color: T.ink, ...type(13.5) }}>{t('settings.stdDrink')}</span>
+        <select value={sd.id} aria-label={t('settings.stdDrink')}
+          onChange={(e) => applyStandardDrink(e.target.value)} style={{
+            maxWidth: '60%', padding: '6px 8px', borderRadius: 8,
+            background: T.surface2, color: T.ink, border: `1px solid ${T.rule}`,
+            ...type(12), fontFamily: 'inherit' }}>
+          {STANDARD_DRINKS.map(s => (
+            <option key={s.id} value={s.id}>{`${t(`stdDrink.${s.id}`)} · ${fmtNumber(s.grams, 2)} g`}</option>
+          ))}
+        </select>
+      </label>
+    </SettingsGroup>
+  );
+}
+
+// Alertes d'alcoolémie (stats.jsx › BacNotifier). Le setting
+// `notifications` ne suffit pas : la permission du navigateur se demande
+// au geste d'activation. Heures calmes : 23:00 → 07:00 par défaut.
+const QUIET_DEFAULT = { start: '23:00', end: '07:00' };
+
+function NotificationsSection() {
+  const settings = useSettings();
+  const [perm, setPerm] = React.useState(() => notificationPermission());
+  const quiet = quietHoursFromSettings(settings);
+  const quietOn = !!(quiet.start && quiet.end);
+  const on = settings.notifications === true && perm === 'granted';
+
+  const onToggle = async () => {
+    if (on) { await saveSetting('notifications', false); return; }
+    const next = await requestNotificationPermission();
+    setPerm(next);
+    if (next === 'granted') await saveSetting('notifications', true);
+    else Toast.show(t('notify.denied'));
+  };
+  const onToggleQuiet = async () => {
+    await saveSetting('notify.quietStart', quietOn ? null : QUIET_DEFAULT.start);
+    await saveSetting('notify.quietEnd', quietOn ? null : QUIET_DEFAULT.end);
+  };
+  const timeRow = (key, label, value, last) => (
+    <div style={{
+      display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 10,
+      padding: '8px 14px', borderBottom: last ? 'none' : `1px solid ${T.rule}` }}>
+      <span style={{ color: T.ink, ...type(13.5) }}>{label}</span>
+      <div style={{ width: 120 }}>
+        <TimeField value={value} ariaLabel={`${t('notify.quiet')} · ${label}`}
+          onChange={(v) => saveSetting(key, v)} />
+      </div>
+    </div>
+  );
+
+  if (perm === 'unsupported') {
+    return (
+      <SettingsGroup label={t('notify.title')}>
+        <div style={{ padding: '12px 14px', color: T.muted, ...type(11) }}>{t('notify.unsupported')}</div>
+      </SettingsGroup>
+    );
+  }
+  return (
+    <SettingsGroup label={t('notify.title')}>
+      <ToggleRow label={t('notify.bac')}
+        sub={perm === 'denied' ? t('notify.denied') : t('notify.bac.sub')}
+        on={on} onToggle={onToggle} last={!on} />
+      {on && <ToggleRow label={t('notify.quiet')} sub={t('notify.quiet.sub')}
+        on={quietOn} onToggle={onToggleQuiet} last={!quietOn} />}
+      {on && quietOn && timeRow('notify.quietStart', t('notify.quietStart'), quiet.start)}
+      {on && quietOn && timeRow('notify.quietEnd', t('notify.quietEnd'), quiet.end, true)}
+    </SettingsGroup>
+  );
+}
+
 function SettingsGroup({ label, children }) {
   return (
     <div style={{ marginBottom: 20 }}>
@@ -1482,7 +2516,7 @@ function HapticsRow({ last }) {
         borderBottom: last ? 'none' : `1px solid ${T.rule}`,
         background: 'transparent', fontFamily: 'inherit', cursor: 'pointer',
         color: 'inherit', textAlign: 'left', touchAction: 'manipulation' }}>
-      <span style={{ color: T.ink, ...type(13.5) }}>Retour haptique</span>
+      <span style={{ color: T.ink, ...type(13.5) }}>{t('settings.haptics')}</span>
       <span aria-hidden="true" style={{
         width: 40, height: 24, borderRadius: 99, flexShrink: 0,
         background: on ? T.accent : T.surface3,
@@ -1523,6 +2557,86 @@ function SettingRow({ label, value, icon, danger, last, onClick }) {
     </Tag>
   );
 }
+// Section « Export automatique » du tiroir Paramètres (cf. data.jsx ›
+// maybeScheduledExport). Sans File System Access API, pas de dossier : le
+// rappel au lancement propose un téléchargement.
+const OFFSITE_OPTIONS = [[null, 'offsite.off'], ['daily', 'offsite.daily'], ['weekly', 'offsite.weekly']];
+
+function OffsiteBackupSection({ askPassphrase }) {
+  const settings = useSettings();
+  const interval = settings['offsite.interval'] || null;
+  const lastAt = Number(settings['offsite.lastAt']) || 0;
+  const encrypted = !!settings['offsite.encrypted'];
+  const overdue = offsiteBackupOverdue(settings);
+  const folderApi = supportsFolderExport();
+  const [folder, setFolder] = React.useState(null);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    if (folderApi) getOffsiteFolder().then((h) => { if (!cancelled) setFolder(h ? h.name : null); });
+    return () => { cancelled = true; };
+  }, [folderApi]);
+
+  const onPickFolder = async () => {
+    try { setFolder(await chooseOffsiteFolder()); }
+    catch (e) { if (e && e.name !== 'AbortError') Toast.show(t('offsite.folderError')); }
+  };
+  const onToggleEncrypted = () => {
+    if (encrypted) { setOffsiteEncryption(null); return; }
+    askPassphrase({
+      title: t('offsite.encrypt.title'), confirm: true, submitLabel: t('offsite.encrypt.submit'),
+      sub: t('offsite.encrypt.files', { ext: ENCRYPTED_EXPORT_EXT }),
+      onSubmit: async (passphrase) => {
+        await setOffsiteEncryption(passphrase);
+        Toast.show(t('offsite.encrypt.done'));
+      },
+    });
+  };
+  const onRunNow = async () => {
+    try {
+      const where = await runOffsiteExportNow();
+      Toast.show(folder ? t('offsite.writtenTo', { path: where }) : t('offsite.exported'));
+    } catch (e) { Toast.show(errorText(e, 'settings.exportError')); }
+  };
+
+  return (
+    <SettingsGroup label={t('offsite.title')}>
+      <div style={{ display: 'flex', gap: 0, borderBottom: `1px solid ${T.rule}` }}
+        role="radiogroup" aria-label={t('offsite.frequency')}>
+        {OFFSITE_OPTIONS.map(([id, label], i) => (
+          <button key={label} type="button" role="radio" aria-checked={interval === id}
+            onClick={() => saveSetting('offsite.interval', id)} style={{
+              flex: 1, padding: '12px 0', textAlign: 'center',
+              ...type(13, { weight: interval === id ? 600 : 400 }), cursor: 'pointer',
+              background: interval === id ? T.accentSoft : 'transparent',
+              color: interval === id ? T.accent : T.ink2,
+              borderTop: 'none', borderLeft: 'none', borderBottom: 'none',
+              borderRight: i < OFFSITE_OPTIONS.length - 1 ? `1px solid ${T.rule}` : 'none',
+              fontFamily: 'inherit' }}>{t(label)}</button>
+        ))}
+      </div>
+      {interval && (folderApi ? (
+        <SettingRow label={t('offsite.folder')} value={folder || t('offsite.chooseFolder')} onClick={onPickFolder} />
+      ) : (
+        <div style={{ padding: '10px 14px', borderBottom: `1px solid ${T.rule}`, color: T.muted, ...type(11) }}>
+          {t('offsite.noFolderApi')}
+        </div>
+      ))}
+      {interval && <ToggleRow label={t('offsite.encrypt')} sub={t('offsite.encrypt.sub')}
+        on={encrypted} onToggle={onToggleEncrypted} />}
+      <div style={{
+        display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 10,
+        padding: '12px 14px', borderBottom: `1px solid ${T.rule}` }}>
+        <span style={{ color: T.ink, ...type(13.5) }}>{t('offsite.last')}</span>
+        <span style={{ color: overdue ? T.accent2 : T.muted, ...type(12.5, { weight: overdue ? 600 : 400 }) }}>
+          {lastAt ? fmtBackupDate(lastAt) : t('offsite.never')}{overdue ? t('offsite.overdue') : ''}
+        </span>
+      </div>
+      <SettingRow label={t('offsite.runNow')} icon={Ic.download} onClick={onRunNow} last />
+    </SettingsGroup>
+  );
+}
+
 // Interrupteur (switch) DA pour les options de partage.
 function ToggleRow({ label, sub, on, onToggle, last }) {
   return (
@@ -1548,7 +2662,7 @@ function ToggleRow({ label, sub, on, onToggle, last }) {
 }
 
 // Section « Partage entre amis » du tiroir Paramètres.
-function SharingSection() {
+function SharingSection({ askPassphrase }) {
   const s = useShare();
   const recoveryRef = React.useRef(null);
   if (!s.available) return null;
@@ -1556,9 +2670,9 @@ function SharingSection() {
   const onToggleEnabled = async () => {
     if (!s.enabled) {
       const ok = await Confirm.ask({
-        title: 'Activer le partage entre amis ?',
-        message: "Tes boissons (sans localisation) et tes notes seront partagées avec les membres de ton groupe, qui pourront voir tes statistiques. Désactivable à tout moment.",
-        confirmText: 'Activer',
+        title: t('share.enable.title'),
+        message: t('share.enable.message'),
+        confirmText: t('share.enable.confirm'),
       });
       if (!ok) return;
     }
@@ -1567,79 +2681,92 @@ function SharingSection() {
   const onToggleBac = async () => {
     if (!s.shareBac) {
       const ok = await Confirm.ask({
-        title: 'Partager ton alcoolémie ?',
-        message: "Pour estimer ton taux d'alcoolémie en direct chez tes amis, ton poids et ton sexe seront partagés avec ton groupe.",
-        confirmText: 'Partager',
+        title: t('share.bac.title'),
+        message: t('share.bac.message'),
+        confirmText: t('share.bac.confirm'),
       });
       if (!ok) return;
     }
     await shareEngine.setShareBac(!s.shareBac);
   };
   const onCreate = async () => {
-    try { await shareEngine.createGroup(); Toast.show('Groupe créé'); }
+    try { await shareEngine.createGroup(); Toast.show(t('friends.created')); }
     catch (e) { Toast.show(shareErrorMessage(e)); }
   };
   const onLeave = async () => {
     const ok = await Confirm.ask({
-      title: 'Quitter le groupe ?',
-      message: 'Tes données partagées seront retirées et tu ne verras plus celles des autres membres.',
-      confirmText: 'Quitter', danger: true,
+      title: t('friends.leave.title'),
+      message: t('share.leave.message'),
+      confirmText: t('friends.leave.confirm'), danger: true,
     });
     if (!ok) return;
-    try { await shareEngine.leaveGroup(); Toast.show('Groupe quitté'); }
+    try { await shareEngine.leaveGroup(); Toast.show(t('friends.left')); }
     catch (e) { Toast.show(shareErrorMessage(e)); }
   };
   const onCopyCode = async () => {
     if (!s.inviteCode) return;
-    try { await navigator.clipboard.writeText(s.inviteCode); Toast.show('Code copié'); }
+    try { await navigator.clipboard.writeText(s.inviteCode); Toast.show(t('share.codeCopied')); }
     catch (e) { Toast.show(s.inviteCode); }
   };
-  const onExportKey = async () => {
-    try {
-      const blob = await shareEngine.exportRecovery();
-      const b = new Blob([JSON.stringify(blob)], { type: 'application/json' });
-      const url = URL.createObjectURL(b);
-      const a = document.createElement('a');
-      a.href = url; a.download = 'alconote-cle-recup.json';
-      document.body.appendChild(a); a.click(); a.remove();
-      URL.revokeObjectURL(url);
-      Toast.show('Clé de récupération exportée');
-    } catch (e) { Toast.show('Erreur'); }
-  };
+  // La clé contient la session du compte : toujours chiffrée.
+  const onExportKey = () => askPassphrase({
+    title: t('share.recoveryKey'), confirm: true, submitLabel: t('settings.encrypted.submit'),
+    sub: t('share.recoveryKey.sub'),
+    onSubmit: async (passphrase) => {
+      const data = await shareEngine.exportRecoveryFile(passphrase);
+      downloadFile(data, `alconote-cle-recup${ENCRYPTED_EXPORT_EXT}`, 'application/octet-stream');
+      Toast.show(t('share.recoveryKey.exported'));
+    },
+  });
   const onImportKey = () => recoveryRef.current && recoveryRef.current.click();
+  const restoreKey = async (text, passphrase) => {
+    await shareEngine.importRecoveryFile(text, passphrase);
+    Toast.show(t('share.recoveryKey.restored'));
+  };
   const onKeyFile = async (ev) => {
     const f = ev.target.files && ev.target.files[0];
     if (!f) return;
-    try { await shareEngine.importRecovery(JSON.parse(await f.text())); Toast.show('Identité restaurée'); }
-    catch (e) { Toast.show('Clé invalide'); }
+    try {
+      const text = await f.text();
+      if (isEncryptedEnvelope(text)) {
+        askPassphrase({
+          title: t('share.recoveryKey'), sub: f.name, submitLabel: t('backups.restore.confirm'),
+          onSubmit: (passphrase) => restoreKey(text, passphrase),
+        });
+      } else {
+        await restoreKey(text); // ancien fichier en clair
+      }
+    } catch (e) { Toast.show(t('share.recoveryKey.invalid')); }
     ev.target.value = '';
   };
 
   const memberCount = (s.members || []).filter(m => m.userId !== s.userId).length;
 
   return (
-    <SettingsGroup label="Partage entre amis">
-      <ToggleRow label="Activer le partage" sub="Boissons (sans lieu) + notes"
+    <SettingsGroup label={t('share.title')}>
+      <ToggleRow label={t('share.enable')} sub={t('share.enable.sub')}
         on={s.enabled} onToggle={onToggleEnabled} last={!s.enabled} />
       {s.enabled && (
         <>
-          <ProfileRow label="Pseudo" value={s.displayName || ''} onSave={(v) => shareEngine.setDisplayName(v)} />
-          <ToggleRow label="Partager mon alcoolémie" sub="Partage poids + sexe (modèle Widmark)"
+          <ProfileRow label={t('share.nickname')} value={s.displayName || ''} onSave={(v) => shareEngine.setDisplayName(v)} />
+          <ToggleRow label={t('share.bac')} sub={t('share.bac.sub')}
             on={s.shareBac} onToggle={onToggleBac} />
+          <ToggleRow label={t('share.catalog')} sub={t('share.catalog.sub')}
+            on={s.shareCatalog} onToggle={() => shareEngine.setShareCatalog(!s.shareCatalog)} />
           {!s.groupId ? (
-            <SettingRow label="Créer un groupe" icon={Ic.users} onClick={onCreate} last />
+            <SettingRow label={t('share.createGroup')} icon={Ic.users} onClick={onCreate} last />
           ) : (
             <>
-              <SettingRow label="Code d'invitation" value={s.inviteCode || '—'} onClick={onCopyCode} />
-              <SettingRow label="Membres" value={String(memberCount)} />
-              <SettingRow label="Exporter la clé de récup." icon={Ic.download} onClick={onExportKey} />
-              <SettingRow label="Restaurer une identité" icon={Ic.upload} onClick={onImportKey} />
-              <SettingRow label="Quitter le groupe" danger onClick={onLeave} last />
+              <SettingRow label={t('share.inviteCode')} value={s.inviteCode || '—'} onClick={onCopyCode} />
+              <SettingRow label={t('share.members')} value={String(memberCount)} />
+              <SettingRow label={t('share.exportKey')} icon={Ic.download} onClick={onExportKey} />
+              <SettingRow label={t('share.restoreKey')} icon={Ic.upload} onClick={onImportKey} />
+              <SettingRow label={t('share.leave')} danger onClick={onLeave} last />
             </>
           )}
         </>
       )}
-      <input ref={recoveryRef} type="file" accept=".json,application/json"
+      <input ref={recoveryRef} type="file" accept={`.json,${ENCRYPTED_EXPORT_EXT},application/json`}
         style={{ display: 'none' }} onChange={onKeyFile} />
     </SettingsGroup>
   );
@@ -1648,6 +2775,6 @@ function SharingSection() {
 Object.assign(window, {
   AddDrinkSheet, ScannerSheet, DrinkDetailSheet, EditFamilySheet, EditEntrySheet,
   SettingsDrawer, ImpactStat, FactCell,
-  ThemePicker, ProfileRow, GenderPicker, SettingsGroup, SettingRow,
-  ToggleRow, SharingSection,
+  ThemePicker, LanguagePicker, ProfileRow, GenderPicker, BacModelPicker, DrivingSection, StandardDrinkSection, SettingsGroup, SettingRow,
+  ToggleRow, SharingSection, OffsiteBackupSection,
 });
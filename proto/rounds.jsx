@@ -0,0 +1,456 @@
+// rounds.jsx — Tournées : modèles de plusieurs boissons (« 2 pintes + 1
+// shot ») ajoutées d'un seul geste depuis l'onglet Catégories ou l'appui
+// long sur le bouton « + ».
+//
+// Table `rounds` (schéma v10) : { name, items: [{ name, category, quantity,
+// unit, alcoholContent, count, share, price }] }. `count` = verres servis,
+// `share` = part bue par l'utilisateur quand le contenant est partagé (1/3
+// d'un pichet → quantité et prix × 1/3). `price` = prix du verre ENTIER ;
+// null = prix de référence de la famille au moment de l'ajout.
+//
+// Toutes les boissons d'une tournée partagent la même date / heure, sont
+// créées dans une seule transaction (logRound, data.jsx) et reçoivent une
+// seule capture de position.
+
+const ROUND_MAX_COUNT = 12;
+const ROUND_SHARES = [1, 1 / 2, 1 / 3, 1 / 4];
+
+const _roundCents = (n) => Math.round(n * 100) / 100;
+const _sameShare = (a, b) => Math.abs(a - b) < 1e-6;
+
+function fmtRoundShare(share) {
+  if (!(share < 1)) return t('rounds.shareAll');
+  const inv = Math.round(1 / share);
+  return _sameShare(1 / inv, share) ? `1/${inv}` : `${Math.round(share * 100)} %`;
+}
+
+function roundItemFromFamily(f) {
+  return {
+    name: f.name, category: f.category, quantity: f.quantity, unit: f.unit,
+    alcoholContent: f.alcohol || 0, count: 1, share: 1, price: null,
+  };
+}
+
+// Tournée prête à enregistrer : nom nettoyé, lignes validées. Lève une
+// Error au message affichable tel quel (déjà traduit).
+function normalizeRound(round) {
+  const name = String((round && round.name) || '').trim();
+  if (!name) throw new Error(t('rounds.error.name'));
+  const items = ((round && round.items) || []).map(it => {
+    const count = Number(it.count);
+    if (!Number.isInteger(count) || count < 1 || count > ROUND_MAX_COUNT) throw new Error(t('rounds.error.count'));
+    const share = it.share == null ? 1 : Number(it.share);
+    if (!(share > 0 && share <= 1)) throw new Error(t('rounds.error.share'));
+    const price = it.price == null || it.price === '' ? null : Number(it.price);
+    if (price != null && !(Number.isFinite(price) && price >= 0)) throw new Error(t('rounds.error.price'));
+    const quantity = Number(it.quantity);
+    if (!it.name || !(quantity > 0)) throw new Error(t('rounds.error.drink'));
+    return {
+      name: String(it.name).trim(), category: it.category, quantity, unit: it.unit,
+      alcoholContent: Number(it.alcoholContent) || 0, count, share, price,
+    };
+  });
+  if (!items.length) throw new Error(t('rounds.error.empty'));
+  return { name, items };
+}
+
+// Payloads addDrink d'une tournée, un par verre. Une part < 1 réduit la
+// quantité et le prix ; le prix devient alors personnalisé (une cascade du
+// prix de référence ne doit pas l'écraser par le prix du contenant entier).
+function roundDrinkPayloads(round, { families = [], date, time } = {}) {
+  const refs = new Map(families.map(f => [familyKey(f.name, f.quantity, f.unit, f.alcohol), f.referencePrice]));
+  const out = [];
+  for (const it of (round && round.items) || []) {
+    const share = it.share > 0 && it.share <= 1 ? it.share : 1;
+    const ref = refs.get(familyKey(it.name, it.quantity, it.unit, it.alcoholContent));
+    const full = it.price != null ? it.price : ref != null ? ref : null;
+    const payload = {
+      name: it.name, category: it.category, unit: it.unit,
+      quantity: _roundCents(it.quantity * share),
+      alcoholContent: it.alcoholContent || 0,
+      price: full != null ? _roundCents(full * share) : null,
+      priceIsCustom: full != null && (it.price != null || share < 1),
+      date, time,
+    };
+    for (let i = 0; i < (it.count || 1); i++) out.push({ ...payload });
+  }
+  return out;
+}
+
+function roundSummary(round) {
+  return ((round && round.items) || [])
+    .map(it => `${it.count} × ${it.name}${it.share < 1 ? ` (${fmtRoundShare(it.share)})` : ''}`)
+    .join(' + ');
+}
+
+// Ajout en un geste + toast d'annulation ; le lieu suit en arrière-plan.
+async function addRoundNow(round, families) {
+  try {
+    const rows = await logRound(round, { families });
+    const ids = rows.map(r => r.id);
+    Toast.show(t('rounds.added', { name: round.name, drinks: t('rounds.drinks', { count: rows.length }) }), {
+      undo: async () => {
+        try {
+          await deleteDrinksWithSnapshot(ids);
+          Toast.show(t('rounds.undone'));
+        } catch (err) {
+          console.warn('AlcoNote: deleteDrinksWithSnapshot failed', err);
+          Toast.show(t('rounds.undoError'));
+        }
+      },
+    });
+    attachLocationToDrinks(ids, t('rounds.locationLabel', { name: round.name }));
+    return rows;
+  } catch (err) {
+    console.warn('AlcoNote: logRound failed', err);
+    Toast.show(t('toast.addError'));
+    return null;
+  }
+}
+
+// ── Onglet Catégories : rangée « Tournées » ───────────────────────
+function RoundsSection() {
+  const rounds = useRounds();
+  const families = useFamilies();
+  const [editing, setEditing] = React.useState(null); // null | 'new' | round
+  if (!rounds) return null;
+  return (
+    <div style={{ marginBottom: 14 }}>
+      <SectionHead right={
+        <button type="button" className="alco-press" onClick={() => setEditing('new')}
+          aria-label={t('rounds.create')} style={{
+            ...ghostButton, display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer',
+            color: T.ink2, ...type(11.5), touchAction: 'manipulation' }}>
+          <SvgIcon icon={Ic.plus} size={12} /> {t('rounds.newShort')}
+        </button>
+      }>{t('rounds.title')}</SectionHead>
+      {rounds.length === 0 ? (
+        <div style={{ color: T.muted, ...type(12), padding: '4px 2px 2px' }}>
+          {t('rounds.emptyRow')}
+        </div>
+      ) : (
+        <div role="list" aria-label={t('rounds.title')} style={{
+          display: 'flex', gap: 10, overflowX: 'auto', padding: '6px 0 2px', margin: '0 -18px',
+          paddingLeft: 18, paddingRight: 18, scrollbarWidth: 'none' }}>
+          {rounds.map(r => (
+            <RoundCard key={r.id} round={r} onAdd={() => addRoundNow(r, families)} onEdit={() => setEditing(r)} />
+          ))}
+        </div>
+      )}
+      {editing && (
+        <RoundEditorSheet round={editing === 'new' ? null : editing} onClose={() => setEditing(null)} />
+      )}
+    </div>
+  );
+}
+
+function RoundCard({ round, onAdd, onEdit }) {
+  useCatPalette();
+  const press = usePressScale();
+  const first = round.items[0] || {};
+  const glasses = round.items.reduce((n, it) => n + it.count, 0);
+  return (
+    <div role="listitem" style={{ position: 'relative', flexShrink: 0, width: 168 }}>
+      <button type="button" onClick={() => { haptic('commit'); onAdd(); }}
+        aria-label={t('rounds.addAria', { name: round.name, summary: roundSummary(round) })}
+        {...press.handlers} style={{
+          width: '100%', textAlign: 'left', fontFamily: 'inherit', cursor: 'pointer',
+          background: T.surface, borderRadius: 16, padding: 12, border: `1px solid ${T.rule}`,
+          display: 'flex', flexDirection: 'column', gap: 8, ...press.style }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+          <div style={{
+            width: 30, height: 30, borderRadius: 10, background: catBg(first.category),
+            display: 'grid', placeItems: 'center', color: catColor(first.category, 70), flexShrink: 0 }}>
+            <CategoryGlyph name={first.category} />
+          </div>
+          <div style={{ color: T.accent, ...type(12, { weight: 600 }), ...TYPE.num }}>×{glasses}</div>
+        </div>
+        <div style={{ minWidth: 0, paddingRight: 22 }}>
+          <div style={{
+            color: T.ink, ...type(13.5, { weight: 500 }),
+            whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{round.name}</div>
+          <div style={{
+            color: T.muted, ...type(11), marginTop: 2,
+            whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{roundSummary(round)}</div>
+        </div>
+      </button>
+      <button type="button" className="alco-press" onClick={onEdit}
+        aria-label={t('rounds.editAria', { name: round.name })} style={{
+          position: 'absolute', top: 8, right: 8, width: 26, height: 26,
+          borderRadius: 8, background: T.surface2, border: `1px solid ${T.rule}`,
+          display: 'grid', placeItems: 'center', color: T.muted, cursor: 'pointer',
+          padding: 0, fontFamily: 'inherit', touchAction: 'manipulation' }}>
+        <SvgIcon icon={Ic.edit} size={11} />
+      </button>
+    </div>
+  );
+}
+
+// ── Feuille d'édition ─────────────────────────────────────────────
+// Les prix restent des chaînes pendant la saisie (NumberField), convertis
+// par normalizeRound à l'enregistrement.
+function RoundEditorSheet({ round, onClose }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const families = useFamilies();
+  const [name, setName] = React.useState(round ? round.name : '');
+  const [items, setItems] = React.useState(() => (round ? round.items : []).map(it => ({
+    ...it, price: it.price != null ? String(it.price).replace('.', ',') : '',
+  })));
+  const [query, setQuery] = React.useState('');
+  const [busy, setBusy] = React.useState(false);
+  const title = t(round ? 'rounds.editTitle' : 'rounds.newTitle');
+
+  const refs = React.useMemo(
+    () => new Map(families.map(f => [familyKey(f.name, f.quantity, f.unit, f.alcohol), f.referencePrice])),
+    [families]
+  );
+  const matches = React.useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const list = q ? families.filter(f => f.name.toLowerCase().includes(q) || f.category.toLowerCase().includes(q)) : families;
+    return [...list].sort((a, b) => b.entries.length - a.entries.length).slice(0, 6);
+  }, [families, query]);
+
+  const patch = (i, changes) => setItems(list => list.map((it, j) => (j === i ? { ...it, ...changes } : it)));
+  const addFamily = (f) => {
+    const key = familyKey(f.name, f.quantity, f.unit, f.alcohol);
+    const i = items.findIndex(it => familyKey(it.name, it.quantity, it.unit, it.alcoholContent) === key);
+    if (i >= 0) patch(i, { count: Math.min(ROUND_MAX_COUNT, items[i].count + 1) });
+    else setItems(list => [...list, { ...roundItemFromFamily(f), price: '' }]);
+    setQuery('');
+  };
+
+  const save = async () => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      await saveRound({
+        id: round ? round.id : undefined, name,
+        items: items.map(it => ({ ...it, price: it.price.trim() === '' ? null : parseDecimal(it.price) })),
+      });
+      Toast.show(t(round ? 'rounds.saved' : 'rounds.created'));
+      close();
+    } catch (err) {
+      Toast.show(errorText(err, 'rounds.saveError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const remove = async () => {
+    const ok = await Confirm.ask({
+      title: t('rounds.delete.title'),
+      message: t('rounds.delete.message'),
+      confirmText: t('common.delete'), danger: true,
+    });
+    if (!ok) return;
+    try {
+      await deleteRound(round.id);
+      Toast.show(t('rounds.deleted'));
+      close();
+    } catch {
+      Toast.show(t('rounds.deleteError'));
+    }
+  };
+
+  const stepBtn = (label, aria, onClick, disabled) => (
+    <button type="button" className="alco-press" onClick={onClick} disabled={disabled} aria-label={aria} style={{
+      width: 28, height: 28, borderRadius: 8, background: T.surface2, border: `1px solid ${T.rule}`,
+      color: T.ink, cursor: disabled ? 'default' : 'pointer', opacity: disabled ? 0.4 : 1,
+      padding: 0, fontFamily: 'inherit', ...type(14, { weight: 600 }), touchAction: 'manipulation' }}>{label}</button>
+  );
+  const glasses = items.reduce((n, it) => n + it.count, 0);
+
+  return (
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={title}>
+      <div className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', maxHeight: '92dvh',
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{
+          padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}`,
+          display: 'flex', alignItems: 'flex-start', gap: 12 }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>{title}</div>
+            <div style={{ color: T.muted, ...TYPE.label, marginTop: 6 }}>{t('rounds.sheetSub')}</div>
+          </div>
+          <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
+            width: 32, height: 32, borderRadius: 99, background: T.surface2,
+            display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
+            border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit', flexShrink: 0,
+            touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
+        </div>
+        </SheetGrabber>
+
+        <div style={{ overflow: 'auto', padding: '14px 22px 2px' }}>
+          <FieldGroup label={t('rounds.name')}>
+            <input value={name} onChange={(e) => setName(e.target.value)} aria-label={t('rounds.nameAria')}
+              placeholder={t('rounds.namePh')} autoComplete="off" style={inputBaseStyle()} />
+          </FieldGroup>
+
+          <FieldGroup label={glasses ? t('rounds.drinksGroupCount', { glasses: t('rounds.glasses', { count: glasses }) }) : t('rounds.drinksGroup')}>
+            {items.length === 0 && (
+              <div style={{ color: T.muted, ...type(12), marginBottom: 8 }}>{t('rounds.pickBelow')}</div>
+            )}
+            {items.map((it, i) => {
+              const ref = refs.get(familyKey(it.name, it.quantity, it.unit, it.alcoholContent));
+              return (
+                <div key={`${it.name}-${it.quantity}-${it.unit}-${it.alcoholContent}`} style={{
+                  background: T.surface, border: `1px solid ${T.rule}`, borderRadius: 14,
+                  padding: 12, marginBottom: 8 }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ color: T.ink, ...type(13.5, { weight: 500 }),
+                        whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{it.name}</div>
+                      <div style={{ color: T.muted, ...type(11), ...TYPE.num }}>{it.quantity} {it.unit} · {it.alcoholContent}°</div>
+                    </div>
+                    {stepBtn('−', t('rounds.less', { name: it.name }), () => patch(i, { count: it.count - 1 }), it.count <= 1)}
+                    <span aria-label={t('rounds.countAria', { glasses: t('rounds.glasses', { count: it.count }), name: it.name })} style={{
+                      minWidth: 22, textAlign: 'center', color: T.ink, ...type(14, { weight: 600 }), ...TYPE.num }}>{it.count}</span>
+                    {stepBtn('+', t('rounds.more', { name: it.name }), () => patch(i, { count: it.count + 1 }), it.count >= ROUND_MAX_COUNT)}
+                    <button type="button" className="alco-press" onClick={() => setItems(list => list.filter((_, j) => j !== i))}
+                      aria-label={t('rounds.remove', { name: it.name })} style={{
+                        ...ghostButton, color: T.muted, cursor: 'pointer', padding: 4, display: 'flex' }}>
+                      <SvgIcon icon={Ic.trash} size={14} />
+                    </button>
+                  </div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 10, flexWrap: 'wrap' }}>
+                    <div role="radiogroup" aria-label={t('rounds.shareAria', { name: it.name })} style={{ display: 'flex', gap: 4 }}>
+                      {ROUND_SHARES.map(sh => {
+                        const on = _sameShare(sh, it.share);
+                        return (
+                          <button key={sh} type="button" role="radio" aria-checked={on} onClick={() => patch(i, { share: sh })} style={{
+                            padding: '5px 9px', borderRadius: 99, cursor: 'pointer', fontFamily: 'inherit',
+                            ...type(11, { weight: on ? 600 : 400 }),
+                            background: on ? T.ink : T.surface3, color: on ? T.bg : T.ink2,
+                            border: `1px solid ${on ? T.ink : T.rule}` }}>{fmtRoundShare(sh)}</button>
+                        );
+                      })}
+                    </div>
+                    <NumberField value={it.price} onChange={(v) => patch(i, { price: v })} suffix="€"
+                      ariaLabel={t('rounds.priceAria', { name: it.name })}
+                      placeholder={ref != null ? String(ref).replace('.', ',') : t('rounds.pricePh')}
+                      style={{ flex: 1, minWidth: 96, padding: '6px 10px' }} />
+                  </div>
+                  {it.share < 1 && (
+                    <div style={{ color: T.muted, ...type(11), marginTop: 6 }}>
+                      {t('rounds.shareNote', { share: fmtRoundShare(it.share) })}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </FieldGroup>
+
+          <FieldGroup label={t('rounds.addDrink')}>
+            <SearchInput value={query} onChange={setQuery} placeholder={t('rounds.searchPh')} />
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginTop: 8 }}>
+              {matches.map(f => (
+                <button key={f.id} type="button" className="alco-press" onClick={() => addFamily(f)}
+                  aria-label={t('rounds.addFamilyAria', { name: f.name, quantity: f.quantity, unit: f.unit, abv: f.alcohol })} style={{
+                    padding: '6px 10px', borderRadius: 99, cursor: 'pointer', fontFamily: 'inherit',
+                    background: T.surface3, color: T.ink2, border: `1px solid ${T.rule}`, ...type(11.5),
+                    display: 'flex', alignItems: 'center', gap: 4 }}>
+                  <SvgIcon icon={Ic.plus} size={11} /> {f.name} · {f.quantity} {f.unit}
+                </button>
+              ))}
+              {matches.length === 0 && (
+                <div style={{ color: T.muted, ...type(12) }}>
+                  {t(families.length ? 'rounds.noMatch' : 'rounds.noHistory')}
+                </div>
+              )}
+            </div>
+          </FieldGroup>
+        </div>
+
+        <div style={{
+          display: 'flex', alignItems: 'center', gap: 8, borderTop: `1px solid ${T.rule}`,
+          padding: '12px 22px calc(14px + env(safe-area-inset-bottom))' }}>
+          {round ? (
+            <button type="button" onClick={remove} style={{ ...ghostButton, color: T.accent2, ...type(12) }}>{t('common.delete')}</button>
+          ) : null}
+          <div style={{ flex: 1 }} />
+          <button type="button" onClick={close} style={{ ...ghostButton, color: T.ink2, ...type(12) }}>{t('common.cancel')}</button>
+          <button type="button" onClick={save} disabled={busy} style={{
+            border: 'none', fontFamily: 'inherit', cursor: busy ? 'default' : 'pointer',
+            background: T.accent, color: T.accentInk, ...type(12, { weight: 600 }),
+            padding: '9px 14px', borderRadius: 10, opacity: busy ? 0.5 : 1 }}>{t('common.save')}</button>
+        </div>
+      </div>
+    </SheetOverlay>
+  );
+}
+
+// ── Appui long sur « + » : choix d'une tournée ────────────────────
+function RoundPickerSheet({ onClose, onSingle }) {
+  const [closing, close, cancelClose] = useSheetClose(onClose);
+  const rounds = useRounds();
+  const families = useFamilies();
+  const [editing, setEditing] = React.useState(false);
+  const pick = (r) => { addRoundNow(r, families); close(); };
+  return (<>
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={t('rounds.pickerAria')}>
+      <div className="alco-material-sheet alco-material-edge" style={{
+        borderRadius: '22px 22px 0 0', maxHeight: '80dvh',
+        display: 'flex', flexDirection: 'column',
+        borderTop: `1px solid ${T.rule}`, borderLeft: `1px solid ${T.rule}`,
+        borderRight: `1px solid ${T.rule}`, overflow: 'hidden',
+        boxShadow: T.shadowSheet }}>
+        <SheetGrabber>
+        <div style={{
+          padding: '14px 22px 16px', borderBottom: `1px solid ${T.rule}`,
+          display: 'flex', alignItems: 'center', gap: 12 }}>
+          <div style={{ flex: 1, ...type(22, { family: fontSerif, italic: true }), color: T.ink }}>{t('rounds.title')}</div>
+          <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
+            width: 32, height: 32, borderRadius: 99, background: T.surface2,
+            display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
+            border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit', flexShrink: 0,
+            touchAction: 'manipulation' }}><SvgIcon icon={Ic.close} size={14} /></button>
+        </div>
+        </SheetGrabber>
+
+        <div role="list" aria-label={t('rounds.title')} style={{ overflow: 'auto', padding: '10px 22px 2px' }}>
+          {rounds && rounds.length === 0 && (
+            <div style={{ color: T.muted, ...type(12.5), padding: '8px 0 12px' }}>
+              {t('rounds.pickerEmpty')}
+            </div>
+          )}
+          {(rounds || []).map(r => (
+            <div key={r.id} role="listitem">
+              <button type="button" className="alco-press" onClick={() => pick(r)}
+                aria-label={t('rounds.addAria', { name: r.name, summary: roundSummary(r) })} style={{
+                  width: '100%', textAlign: 'left', fontFamily: 'inherit', cursor: 'pointer',
+                  display: 'flex', alignItems: 'center', gap: 12, padding: '12px 0',
+                  background: 'transparent', border: 'none', borderBottom: `1px solid ${T.rule}` }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ color: T.ink, ...type(14, { weight: 500 }) }}>{r.name}</div>
+                  <div style={{ color: T.muted, ...type(11.5), marginTop: 2 }}>{roundSummary(r)}</div>
+                </div>
+                <SvgIcon icon={Ic.plus} size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div style={{
+          display: 'flex', alignItems: 'center', gap: 8, borderTop: `1px solid ${T.rule}`,
+          padding: '12px 22px calc(14px + env(safe-area-inset-bottom))' }}>
+          <button type="button" onClick={() => setEditing(true)} style={{ ...ghostButton, color: T.ink2, ...type(12) }}>{t('rounds.newTitle')}</button>
+          <div style={{ flex: 1 }} />
+          <button type="button" onClick={() => { close(); onSingle && onSingle(); }} style={{
+            border: 'none', fontFamily: 'inherit', cursor: 'pointer',
+            background: T.accent, color: T.accentInk, ...type(12, { weight: 600 }),
+            padding: '9px 14px', borderRadius: 10 }}>{t('rounds.single')}</button>
+        </div>
+      </div>
+    </SheetOverlay>
+    {editing && <RoundEditorSheet round={null} onClose={() => setEditing(false)} />}
+  </>);
+}
+
+Object.assign(window, {
+  ROUND_MAX_COUNT, ROUND_SHARES, fmtRoundShare, roundItemFromFamily, normalizeRound,
+  roundDrinkPayloads, roundSummary, addRoundNow,
+  RoundsSection, RoundEditorSheet, RoundPickerSheet,
+});
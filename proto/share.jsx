@@ -41,6 +41,21 @@ function _inviteCode() {
   return s.slice(0, 4) + '-' + s.slice(4);
 }
 
+// QR d'invitation : préfixe AlcoNote + code (cf. QrCode, qr.jsx). Au scan,
+// on accepte aussi le code nu ; tout autre QR est refusé (null).
+const INVITE_QR_PREFIX = 'ALCONOTE:';
+const INVITE_CODE_RE = /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/;
+
+function inviteQrPayload(code) {
+  return INVITE_QR_PREFIX + String(code || '').trim().toUpperCase();
+}
+
+function parseInviteQr(text) {
+  let raw = String(text || '').trim().toUpperCase();
+  if (raw.startsWith(INVITE_QR_PREFIX)) raw = raw.slice(INVITE_QR_PREFIX.length).trim();
+  return INVITE_CODE_RE.test(raw) ? raw : null;
+}
+
 // Instant absolu (epoch ms) depuis la date/heure murale locale d'une boisson.
 function tsFromDateTime(date, time) {
   const t = new Date(`${date}T${time || '00:00'}`).getTime();
@@ -56,10 +71,11 @@ const shareState = {
   displayName: '',
   enabled: false,
   shareBac: false,
+  shareCatalog: false,  // publie le code-barres des boissons (catalogue du groupe)
   groupId: null,
   inviteCode: null,
   creatorId: null,      // créateur du groupe (groups.created_by) | null = inconnu → tout membre peut retirer
-  members: [],          // [{ userId, displayName, shareBac, bacWeight, bacGender }]
+  members: [],          // [{ userId, displayName, shareBac, bacWeight, bacGender, bacModel, bacAge, bacHeight }]
   favoriteId: null,     // userId de l'ami favori (pastille verte du header) | null
   lastPullAt: 0,
   online: (typeof navigator !== 'undefined' ? navigator.onLine !== false : true),
@@ -79,23 +95,23 @@ function shareErrorMessage(e) {
   const msg = String((e && (e.message || e.error_description || e.error)) || e || '').toLowerCase();
   const code = (e && (e.code || e.status)) != null ? String(e.code || e.status) : '';
   if (/anonymous|signups? not allowed|sign-?ins? are disabled/.test(msg))
-    return "Active « Anonymous sign-ins » dans Supabase (Auth › Providers)";
+    return t('share.error.anonymous');
   if (/could not find the function|function .*does not exist|pgrst202|schema cache/.test(msg) || code === '404')
-    return "Exécute supabase/schema.sql dans Supabase (SQL Editor)";
+    return t('share.error.schema');
   if (/permission denied|must be owner|insufficient privilege/.test(msg) || code === '42501')
-    return "Droits manquants : ré-exécute supabase/schema.sql (GRANT/RLS)";
+    return t('share.error.grants');
   if (/violates row-level security|new row violates/.test(msg) || code === '42501')
-    return "RLS : ré-exécute supabase/schema.sql (policies)";
+    return t('share.error.rls');
   if (/relation .*does not exist|undefined table|pgrst205|column .*does not exist|pgrst204/.test(msg) || code === '42p01' || code === '42703')
-    return "Tables/colonnes manquantes : ré-exécute supabase/schema.sql";
+    return t('share.error.tables');
   if (/sdk supabase|chargement sdk/.test(msg))
-    return "SDK Supabase injoignable (vérifie ta connexion / CSP)";
+    return t('share.error.sdk');
   if (/failed to fetch|networkerror|network request failed|load failed/.test(msg))
-    return "Réseau indisponible — réessaie";
+    return t('share.error.network');
   if (/invalid api key|jwt|apikey|401/.test(msg) || code === '401')
-    return "Clé Supabase invalide (vérifie share-config.js)";
-  if (/invalid invite|invite/.test(msg)) return "Code d'invitation invalide";
-  return "Échec partage — voir la console (F12) pour le détail";
+    return t('share.error.apiKey');
+  if (/invalid invite|invite/.test(msg)) return t('share.error.invite');
+  return t('share.error.generic');
 }
 
 // ── helpers DB settings (écriture directe, sans bump global 'settings') ────
@@ -125,7 +141,8 @@ async function _ratingsMap(db) {
   return flat;
 }
 
-// Boisson locale → enregistrement partagé minimisé (sans GPS / barcode).
+// Boisson locale → enregistrement partagé minimisé (sans GPS ; code-barres
+// seulement si l'utilisateur partage son catalogue).
 function localDrinkToShared(d, rating) {
   return {
     uid: d.uid,
@@ -141,6 +158,16 @@ function localDrinkToShared(d, rating) {
     alcoholContent: d.alcoholContent || 0,
     category: d.category || 'Autre',
     rating: rating || 0,
+    // État d'estomac (BAC_FOOD_STATES) : le BAC d'un ami se calcule sur le
+    // même modèle que ses propres stats. null = à jeun.
+    food: d.food || null,
+    // Contenant partagé : seule la durée de consommation compte pour le BAC
+    // (quantity est déjà la part de l'auteur).
+    shared: d.shared && d.shared.windowMin ? { windowMin: d.shared.windowMin } : null,
+    // Catalogue du groupe, sur option seulement : les scans des amis
+    // retrouvent la fiche telle que je l'ai corrigée (cf.
+    // ProductLookup._getFromGroupCatalog). Sinon la clé est absente.
+    ...(shareState.shareCatalog && d.barcode ? { barcode: String(d.barcode) } : {}),
     // Watermark d'ENVOI, jamais le updatedAt du drink : au re-join, la
     // republication du back-catalog doit dépasser le cursor `updated_at`
     // des autres membres — des timestamps anciens la rendraient invisible
@@ -196,8 +223,10 @@ function MockShareTransport() {
     return {
       groupId,
       members: [
-        { userId: 'mock-lea', displayName: 'Léa', shareBac: true, bacWeight: 62, bacGender: 'female' },
-        { userId: 'mock-tom', displayName: 'Tom', shareBac: false, bacWeight: null, bacGender: null },
+        { userId: 'mock-lea', displayName: 'Léa', shareBac: true, bacWeight: 62, bacGender: 'female',
+          bacModel: null, bacAge: null, bacHeight: null },
+        { userId: 'mock-tom', displayName: 'Tom', shareBac: false, bacWeight: null, bacGender: null,
+          bacModel: null, bacAge: null, bacHeight: null },
       ],
       drinks: [...lea, ...tom],
       mine: [],
@@ -277,6 +306,7 @@ function MockShareTransport() {
       const selfRow = srv.kickedSelf ? [] : [{
         userId: shareState.userId, displayName: shareState.displayName || '',
         shareBac: !!shareState.shareBac, bacWeight: null, bacGender: null,
+        bacModel: null, bacAge: null, bacHeight: null,
       }];
       const members = [...srv.members, ...selfRow];
       return {
@@ -343,6 +373,9 @@ function SupabaseShareTransport(cfg) {
         share_enabled: p.shareEnabled, share_bac: p.shareBac,
         bac_weight: p.shareBac ? p.bacWeight : null,
         bac_gender: p.shareBac ? p.bacGender : null,
+        bac_model: p.shareBac ? p.bacModel : null,
+        bac_age: p.shareBac ? p.bacAge : null,
+        bac_height: p.shareBac ? p.bacHeight : null,
         updated_at: Date.now(),
       }, { onConflict: 'user_id,group_id' });
       if (error) throw error;
@@ -377,7 +410,10 @@ function SupabaseShareTransport(cfg) {
         uid: r.uid, group_id: r.groupId, author_id: r.authorId, ts_utc: r.tsUtc,
         date: r.date, time: r.time, name: r.name, quantity: r.quantity, unit: r.unit,
         quantity_in_cl: r.quantityInCL, alcohol_content: r.alcoholContent,
-        category: r.category, rating: r.rating, updated_at: r.updatedAt, deleted: false,
+        category: r.category, rating: r.rating, food: r.food || null,
+        spread_min: (r.shared && r.shared.windowMin) || null,
+        barcode: r.barcode || null,
+        updated_at: r.updatedAt, deleted: false,
       }));
       const { error } = await sb.from('shared_drinks').upsert(rows, { onConflict: 'uid' });
       if (error) throw error;
@@ -395,7 +431,7 @@ function SupabaseShareTransport(cfg) {
       // boucle de drainage multi-pages repasse ici avec withMeta=false et
       // n'interroge alors QUE les boissons (sobriété données mobiles).
       const metaQueries = withMeta ? [
-        sb.from('shared_profiles').select('user_id, display_name, share_bac, bac_weight, bac_gender').eq('group_id', gid),
+        sb.from('shared_profiles').select('user_id, display_name, share_bac, bac_weight, bac_gender, bac_model, bac_age, bac_height').eq('group_id', gid),
         sb.from('group_members').select('user_id, display_name').eq('group_id', gid),
         sb.from('groups').select('created_by').eq('id', gid).maybeSingle(),
       ] : [];
@@ -415,7 +451,10 @@ function SupabaseShareTransport(cfg) {
         uid: r.uid, groupId: r.group_id, authorId: r.author_id, tsUtc: r.ts_utc,
         date: r.date, time: r.time, name: r.name, quantity: r.quantity, unit: r.unit,
         quantityInCL: r.quantity_in_cl, alcoholContent: r.alcohol_content,
-        category: r.category, rating: r.rating, updatedAt: r.updated_at, deleted: !!r.deleted,
+        category: r.category, rating: r.rating, food: r.food || null,
+        shared: r.spread_min ? { windowMin: r.spread_min } : null,
+        barcode: r.barcode || null,
+        updatedAt: r.updated_at, deleted: !!r.deleted,
       }));
       const profById = {};
       for (const pr of ((p && p.data) || [])) profById[pr.user_id] = pr;
@@ -430,6 +469,7 @@ function SupabaseShareTransport(cfg) {
               // group_members.display_name reste vide (rempli par aucune RPC).
               userId: mm.user_id, displayName: pr.display_name || mm.display_name || '',
               shareBac: !!pr.share_bac, bacWeight: pr.bac_weight, bacGender: pr.bac_gender,
+              bacModel: pr.bac_model || null, bacAge: pr.bac_age, bacHeight: pr.bac_height,
             };
           })
         : null;
@@ -606,7 +646,7 @@ async function pull(attempt) {
       if (me && authUserId === me && !memberIds.has(me)) {
         await _resetGroupLocal();
         try {
-          if (typeof Toast !== 'undefined' && Toast.show) Toast.show('Tu ne fais plus partie du groupe');
+          if (typeof Toast !== 'undefined' && Toast.show) Toast.show(t('share.removed'));
         } catch (e) {}
         _pulling = false; shareState.syncing = false; _emit();
         return;
@@ -740,6 +780,9 @@ async function publishMyProfile() {
       shareBac: shareState.shareBac,
       bacWeight: shareState.shareBac ? (Number(settings.userWeight) || null) : null,
       bacGender: shareState.shareBac ? (settings.userGender || null) : null,
+      bacModel: shareState.shareBac ? (settings.bacModel || null) : null,
+      bacAge: shareState.shareBac ? (Number(settings.userAge) || null) : null,
+      bacHeight: shareState.shareBac ? (Number(settings.userHeight) || null) : null,
     });
   } catch (e) {
     // best-effort, mais on trace : un échec ici = pseudo/BAC non publiés
@@ -810,6 +853,17 @@ const shareEngine = {
     publishMyProfile();
   },
 
+  // Republie tout l'historique (index vidé) pour ajouter ou retirer le
+  // code-barres des enregistrements déjà envoyés.
+  async setShareCatalog(on) {
+    shareState.shareCatalog = !!on;
+    await _sset('share.shareCatalog', shareState.shareCatalog);
+    _emit();
+    if (!shareState.enabled || !shareState.groupId) return;
+    await _savePubIndex({});
+    await reconcile();
+  },
+
   // Favori = préférence PUREMENT LOCALE (rien n'est publié au groupe). Bascule
   // l'ami `userId` en favori (ou le retire si déjà favori). Stocké en setting
   // `share.favoriteId` (null ⇒ la clé est supprimée). La pastille verte du
@@ -905,8 +959,26 @@ const shareEngine = {
     _emit();
     if (shareState.enabled && shareState.groupId) { startTimer(); pull(); }
   },
+  // Fichier de clé de récupération : la session du transport est un jeton
+  // d'identité, il ne sort JAMAIS en clair (enveloppe chiffrée, cf.
+  // encryptEnvelope dans js/database.js).
+  async exportRecoveryFile(passphrase) {
+    const blob = await this.exportRecovery();
+    return encryptEnvelope(JSON.stringify(blob), passphrase, RECOVERY_PAYLOAD);
+  },
+  // Accepte aussi les anciens fichiers en clair (avant le chiffrement).
+  async importRecoveryFile(text, passphrase) {
+    const clear = isEncryptedEnvelope(text)
+      ? await decryptEnvelope(text, passphrase, RECOVERY_PAYLOAD)
+      : text;
+    await this.importRecovery(JSON.parse(clear));
+  },
 };
 
+// Nature du contenu chiffré d'un fichier de récupération (`payload` de
+// l'enveloppe) : distinct d'un export de données.
+const RECOVERY_PAYLOAD = 'alconote-recovery';
+
 // ── Initialisation ────────────────────────────────────────────────────────
 async function initShare() {
   try {
@@ -916,6 +988,7 @@ async function initShare() {
     shareState.displayName = (await db.getSetting('share.displayName')) || '';
     shareState.enabled = !!(await db.getSetting('share.enabled'));
     shareState.shareBac = !!(await db.getSetting('share.shareBac'));
+    shareState.shareCatalog = !!(await db.getSetting('share.shareCatalog'));
     shareState.groupId = await db.getSetting('share.groupId');
     shareState.inviteCode = await db.getSetting('share.inviteCode');
     shareState.favoriteId = (await db.getSetting('share.favoriteId')) || null;
@@ -1030,10 +1103,12 @@ function useSharedRatings(authorId) {
 // BAC courant de chaque membre (recalcul local, tick 60 s). null si pas opt-in.
 function useFriendsBac(members) {
   const [map, setMap] = React.useState({});
-  // La clé encode aussi poids/sexe : un ami qui change son profil (republié au
-  // pull) doit recalculer son BAC, pas rester figé sur l'ancienne closure.
+  // La clé encode aussi le profil BAC (poids, sexe, modèle, âge, taille) : un
+  // ami qui change son profil (republié au pull) doit recalculer son BAC, pas
+  // rester figé sur l'ancienne closure.
   const key = (members || [])
-    .map(m => `${m.userId}:${m.shareBac ? 1 : 0}:${m.bacWeight || ''}:${m.bacGender || ''}`)
+    .map(m => `${m.userId}:${m.shareBac ? 1 : 0}:${m.bacWeight || ''}:${m.bacGender || ''}`
+      + `:${m.bacModel || ''}:${m.bacAge || ''}:${m.bacHeight || ''}`)
     .join(',');
   React.useEffect(() => {
     // Aucun membre à évaluer (ex. header sans favori) : on évite le timer 60 s
@@ -1049,7 +1124,12 @@ function useFriendsBac(members) {
         if (!m.shareBac) { out[m.userId] = null; continue; }
         const ds = all.filter(r => r.authorId === m.userId && !r.deleted);
         if (typeof computeBacOverTime === 'function') {
-          const info = computeBacOverTime(ds, Number(m.bacWeight) || undefined, m.bacGender || 'male');
+          // Même modèle que ses propres stats : makeBacModel (stats.jsx).
+          const model = makeBacModel({
+            model: m.bacModel, weight: m.bacWeight, gender: m.bacGender,
+            age: m.bacAge, height: m.bacHeight,
+          });
+          const info = computeBacOverTime(ds, model);
           out[m.userId] = info.current || 0;
         } else out[m.userId] = 0;
       }
@@ -1069,4 +1149,5 @@ Object.assign(window, {
   useShare, useGroupMembers, useFavoriteFriend,
   useSharedDrinks, useSharedRatings, useFriendsBac,
   localDrinkToShared, tsFromDateTime, shareErrorMessage,
+  INVITE_QR_PREFIX, inviteQrPayload, parseInviteQr,
 });
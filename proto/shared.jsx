@@ -562,6 +562,7 @@ const Ic = {
   trendFlat: <svg viewBox="0 0 12 12" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="2" y1="6" x2="10" y2="6"/><polyline points="7 3 10 6 7 9"/></svg>,
   users: <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/></svg>,
   grip:  <svg viewBox="0 0 24 24" fill="currentColor" stroke="none"><circle cx="9" cy="6" r="1.6"/><circle cx="15" cy="6" r="1.6"/><circle cx="9" cy="12" r="1.6"/><circle cx="15" cy="12" r="1.6"/><circle cx="9" cy="18" r="1.6"/><circle cx="15" cy="18" r="1.6"/></svg>,
+  bell:  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"><path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"/><path d="M13.73 21a2 2 0 0 1-3.46 0"/></svg>,
   userMinus: <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"><path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="8.5" cy="7" r="4"/><line x1="17" y1="11" x2="23" y2="11"/></svg>,
 };
 
@@ -676,7 +677,8 @@ function applyCatHueOverrides(byName) {
 // `show(msg)` prints a transient confirmation. `show(msg, opts)` accepts
 // an `undo` callback rendered as an "Annuler" button — used by every
 // delete path so the user can revert a destructive action without a
-// modal confirmation up front.
+// modal confirmation up front. `opts.action = { label, run }` renders the
+// same button with another label (e.g. the backup reminder's download).
 //
 // Only ONE toast lives at a time: a second `show()` replaces the first
 // and its undo callback is dropped on the floor. Mirrors the legacy
@@ -708,12 +710,8 @@ function localTime(d = new Date()) {
   return `${hh}:${mm}`;
 }
 
-// ── Date formatting helpers (French) ──────────────────────────────
-const FR_DAYS_LONG = ['Dimanche', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
-const FR_DAYS_SHORT = ['dim', 'lun', 'mar', 'mer', 'jeu', 'ven', 'sam'];
-const FR_MONTHS_SHORT = ['jan', 'fév', 'mars', 'avr', 'mai', 'juin', 'jul', 'aoû', 'sep', 'oct', 'nov', 'déc'];
-const FR_MONTHS_LONG = ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'];
-const FR_MONTHS_DOTTED = ['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.'];
+// ── Date formatting helpers ───────────────────────────────────────
+// Noms de jours et de mois : catalogues date.* (i18n.jsx), langue courante.
 
 function fmtDateMedium(iso) {
   if (!iso) return '—';
@@ -721,26 +719,126 @@ function fmtDateMedium(iso) {
   // date rendue recule d'un jour. Découper les champs garde le jour calendaire.
   const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(iso);
   if (m && Number(m[2]) >= 1 && Number(m[2]) <= 12) {
-    return `${Number(m[3])} ${FR_MONTHS_DOTTED[Number(m[2]) - 1]}`;
+    return t('date.medium', { day: Number(m[3]), month: t('date.monthsDotted')[Number(m[2]) - 1] });
   }
   const d = new Date(iso);
   if (isNaN(d.getTime())) return '—';
-  return `${d.getDate()} ${FR_MONTHS_DOTTED[d.getMonth()]}`;
+  return t('date.medium', { day: d.getDate(), month: t('date.monthsDotted')[d.getMonth()] });
 }
 
 function fmtDayHeader(d) {
-  return `${FR_DAYS_SHORT[d.getDay()]}. ${d.getDate()} ${FR_MONTHS_SHORT[d.getMonth()]}.`;
+  return t('date.dayHeader', {
+    weekday: t('date.daysShort')[d.getDay()], day: d.getDate(), month: t('date.monthsShort')[d.getMonth()],
+  });
+}
+
+// « Lundi 12 mars » (header, période « Jour » des stats).
+function fmtDateLong(d) {
+  return t('date.long', {
+    weekday: t('date.daysLong')[d.getDay()], day: d.getDate(), month: t('date.monthsLong')[d.getMonth()],
+  });
+}
+
+// ── Unités de contenant ───────────────────────────────────────────
+// Registre éditable (table `units`, cf. Réglages → Unités) : nom, équivalent
+// en cL, icône (clé de GLYPHS), `hidden` (hors du sélecteur), `builtin`
+// (équivalent figé, non supprimable), `defaultFor` (portion par défaut d'une
+// catégorie au scan). Les boissons portent le NOM de l'unité, comparé sans
+// casse. Copie de la table en localStorage pour le premier rendu, comme le
+// verre standard ; app.jsx l'hydrate depuis la base au démarrage.
+// DEFAULT_UNITS — MUST mirror `SEED_UNITS` (js/database.js).
+const DEFAULT_UNITS = [
+  { name: 'cL', cl: 1, icon: null, hidden: false, builtin: true, defaultFor: null },
+  { name: 'L', cl: 100, icon: null, hidden: false, builtin: true, defaultFor: null },
+  { name: 'EcoCup', cl: 25, icon: 'Pinte', hidden: false, builtin: false, defaultFor: 'Bière' },
+  { name: 'mL', cl: 0.1, icon: null, hidden: true, builtin: true, defaultFor: null },
+];
+// Unités courantes proposées à l'ajout (Réglages → Unités).
+const UNIT_PRESETS = [
+  { name: 'Demi', cl: 25, icon: 'Bière' },
+  { name: 'Pinte', cl: 50, icon: 'Pinte' },
+  { name: 'Pinte UK', cl: 56.8, icon: 'Pinte' },
+  { name: 'Galopin', cl: 12.5, icon: 'Bière' },
+  { name: 'Shot', cl: 4, icon: 'Shot' },
+  { name: 'Magnum', cl: 150, icon: 'Champagne' },
+  { name: 'Fût 5 L', cl: 500, icon: 'Bière' },
+  { name: 'Canette 33', cl: 33, icon: 'Bière' },
+  { name: 'Canette 44', cl: 44, icon: 'Bière' },
+  { name: 'Canette 50', cl: 50, icon: 'Bière' },
+];
+const UNITS_KEY = 'alconote.units';
+let _units = DEFAULT_UNITS;
+
+// Lignes de la table (ou de localStorage) → forme du registre ; une liste
+// vide ou illisible redonne les graines.
+function normalizeUnits(list) {
+  const out = (Array.isArray(list) ? list : [])
+    .filter(u => u && String(u.name || '').trim() && Number(u.cl) > 0)
+    .map(u => ({
+      ...(u.id != null ? { id: u.id } : {}),
+      name: String(u.name).trim(), cl: Number(u.cl), icon: u.icon || null,
+      hidden: !!u.hidden, builtin: !!u.builtin, defaultFor: u.defaultFor || null,
+    }));
+  return out.length ? out : DEFAULT_UNITS;
+}
+
+function findUnit(name, units = _units) {
+  const key = String(name || '').trim().toLowerCase();
+  return key ? units.find(u => u.name.toLowerCase() === key) || null : null;
+}
+
+// Clé d'unité des familles (data.jsx `familyKey`) : « ecocup » et « EcoCup »
+// désignent la même unité.
+function unitKey(unit) {
+  return String(unit || '').trim().toLowerCase();
+}
+
+// Quantité → cL — MUST mirror `_quantityInCl` (js/database.js) : facteur du
+// registre, unité inconnue = déjà en cL (repli historique). Arrondi au
+// milliardième : 250 mL donne 25 cL, pas 25.000000000000004.
+function toCl(qty, unit, units = _units) {
+  const u = findUnit(unit, units);
+  if (!u || u.cl === 1) return qty;
+  return Math.round(qty * u.cl * 1e9) / 1e9;
+}
+
+// Volume d'une entrée : une unité absente de MON registre (boisson d'un ami
+// saisie dans une unité à lui) se lit sur le quantityInCL stocké, calculé
+// par son appareil.
+function drinkCl(d) {
+  if (!findUnit(d.unit) && Number(d.quantityInCL) > 0) return Number(d.quantityInCL);
+  return toCl(Number(d.quantity) || 0, d.unit);
+}
+
+window.__unitsListeners = window.__unitsListeners || new Set();
+
+function getUnits() { return _units; }
+
+function useUnits() {
+  const [, force] = React.useReducer(n => n + 1, 0);
+  React.useEffect(() => {
+    window.__unitsListeners.add(force);
+    return () => window.__unitsListeners.delete(force);
+  }, []);
+  return _units;
 }
 
-// ── Quantity helpers (cL conversion mirrors the legacy DB layer) ──
-function toCl(qty, unit) {
-  const u = (unit || '').toLowerCase();
-  if (u === 'ecocup') return qty * 25;
-  if (u === 'l')      return qty * 100;
-  if (u === 'ml')     return qty / 10;
-  return qty;
+// `persist` : recopie en localStorage (la table reste la source — les
+// écritures passent par data.jsx `saveUnit` / `deleteUnit`).
+function applyUnits(list, { persist = true } = {}) {
+  _units = normalizeUnits(list);
+  if (persist) {
+    try { localStorage.setItem(UNITS_KEY, JSON.stringify(_units)); } catch {}
+  }
+  window.__unitsListeners.forEach(f => f());
 }
 
+(function initUnits() {
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(UNITS_KEY) || 'null'); } catch {}
+  if (saved) _units = normalizeUnits(saved);
+})();
+
 // ── Alcool pur (grammes d'éthanol) ────────────────────────────────
 // Source unique de la conversion volume → grammes d'alcool pur, partagée par
 // l'add-drink (stat « impact ») et toutes les sections stats/BAC. Évite que la
@@ -753,17 +851,16 @@ function ethanolGrams(volCl, abvPct) {
 }
 
 function drinkAlcoholGrams(drink) {
-  return ethanolGrams(toCl(drink.quantity, drink.unit), drink.alcoholContent);
+  return ethanolGrams(drinkCl(drink), drink.alcoholContent);
 }
 
 // Formatage prix (€) — jusqu'à 2 décimales sans zéros inutiles, séparateur
-// virgule (FR) ; null/vide/NaN → « — ». Source unique, réutilisée par les
+// de la langue (virgule en FR, cf. fmtCurrency) ; null/vide/NaN → « — ». Source unique, réutilisée par les
 // feuilles (DrinkDetailSheet) et les stats (section Dépenses).
 function fmtPrice(v) {
   const n = Number(v);
   if (v == null || v === '' || !Number.isFinite(n)) return '—';
-  const s = (Math.round(n * 100) / 100).toString().replace('.', ',');
-  return `${s} €`;
+  return fmtCurrency(Math.round(n * 100) / 100);
 }
 
 // ── Search input ──────────────────────────────────────────────────
@@ -779,7 +876,7 @@ function SearchInput({ value, onChange, placeholder }) {
       <input
         value={value || ''} onChange={e => onChange(e.target.value)}
         placeholder={placeholder}
-        aria-label={placeholder || 'Rechercher'}
+        aria-label={placeholder || t('shared.search')}
         style={{
           flex: 1, background: 'transparent', border: 'none', outline: 'none',
           color: T.ink, fontFamily: fontSans, ...TYPE.body,
@@ -790,7 +887,7 @@ function SearchInput({ value, onChange, placeholder }) {
         // Un vrai <button> : atteignable au clavier, et il répond à l'appui
         // (un <span> cliquable ne fait ni l'un ni l'autre).
         <button type="button" className="alco-press" onClick={() => onChange('')}
-          aria-label="Effacer la recherche" style={{
+          aria-label={t('shared.clearSearch')} style={{
             ...ghostButton, color: T.muted, display: 'flex', cursor: 'pointer',
             padding: 4, margin: -4, touchAction: 'manipulation' }}>
           <SvgIcon icon={Ic.close} size={14} />
@@ -857,12 +954,12 @@ function Stars({ rating, n, size = 13, interactive, onChange }) {
   const pad = Math.max(0, Math.ceil((22 - size) / 2));
   return (
     <div style={{ display: 'flex', gap: 1 }} role={interactive ? 'radiogroup' : undefined}
-      aria-label={interactive ? 'Note' : undefined}>
+      aria-label={interactive ? t('shared.rating') : undefined}>
       {cells.map(i => (
         <span key={i}
           role={interactive ? 'radio' : undefined}
           aria-checked={interactive ? (i === value) : undefined}
-          aria-label={interactive ? `${i} étoile${i > 1 ? 's' : ''}` : undefined}
+          aria-label={interactive ? t('shared.stars', { count: i }) : undefined}
           onPointerDown={interactive ? handle(i) : undefined}
           onClick={interactive ? handle(i) : undefined}
           style={{
@@ -1040,7 +1137,7 @@ function QuickAddButton({ onAdd, label, size = 32 }) {
         padding: 0, fontFamily: 'inherit', touchAction: 'manipulation',
         ...press.style,
       }}
-      title="Ajouter à nouveau"
+      title={t('shared.addAgain')}
       aria-label={label}
     >
       <SvgIcon icon={Ic.plus} size={14} />
@@ -1473,7 +1570,7 @@ function ConfirmHost() {
         boxShadow: DIALOG_SHADOW,
         animation: 'scaleIn 0.18s ease' }}>
         <div id="alco-confirm-title" style={{
-          ...type(22, { family: fontSerif, italic: true }), marginBottom: 10 }}>{state.title || 'Confirmer'}</div>
+          ...type(22, { family: fontSerif, italic: true }), marginBottom: 10 }}>{state.title || t('common.confirm')}</div>
         <div style={{
           color: T.ink2, ...type(13.5), marginBottom: 22 }}>{state.message}</div>
         <div style={{ display: 'flex', gap: 10 }}>
@@ -1481,7 +1578,7 @@ function ConfirmHost() {
             flex: 1, padding: '12px', borderRadius: 12,
             background: T.surface2, color: T.ink2,
             border: `1px solid ${T.rule}`, ...type(13),
-            fontFamily: fontSans, cursor: 'pointer', touchAction: 'manipulation' }}>{state.cancelText || 'Annuler'}</button>
+            fontFamily: fontSans, cursor: 'pointer', touchAction: 'manipulation' }}>{state.cancelText || t('common.cancel')}</button>
           <button className="alco-press" autoFocus
             onClick={() => { haptic(state.danger ? 'warning' : 'commit'); close(true); }} style={{
               flex: 1.4, padding: '12px', borderRadius: 12,
@@ -1489,7 +1586,7 @@ function ConfirmHost() {
               color: state.danger ? T.dangerBtnInk : T.accentInk,
               border: 'none', ...type(13, { weight: 600 }),
               fontFamily: fontSans, cursor: 'pointer', touchAction: 'manipulation',
-              boxShadow: `0 4px 18px ${withAlpha(state.danger ? T.dangerBtn : T.accent, state.danger ? 0.5 : 0.4)}` }}>{state.confirmText || 'Confirmer'}</button>
+              boxShadow: `0 4px 18px ${withAlpha(state.danger ? T.dangerBtn : T.accent, state.danger ? 0.5 : 0.4)}` }}>{state.confirmText || t('common.confirm')}</button>
         </div>
       </div>
     </div>
@@ -2224,6 +2321,54 @@ function usePressScale(opts = {}) {
   };
 }
 
+// Appui long : `onLongPress` part après `delay` ms sans relâcher ni glisser
+// (> 10 px). Le click qui suit le relâchement d'un appui long est alors à
+// avaler : `consumeClick()` renvoie true une seule fois. Sans `onLongPress`,
+// les handlers ne font rien (le menu contextuel natif reste).
+const LONG_PRESS_MS = 500;
+function useLongPress(onLongPress, { delay = LONG_PRESS_MS } = {}) {
+  const timer = React.useRef(0);
+  const start = React.useRef(null);
+  const fired = React.useRef(false);
+  const cb = React.useRef(onLongPress);
+  cb.current = onLongPress;
+  const cancel = React.useCallback(() => {
+    clearTimeout(timer.current);
+    timer.current = 0;
+    start.current = null;
+  }, []);
+  React.useEffect(() => cancel, [cancel]);
+  return {
+    handlers: {
+      onPointerDown: (e) => {
+        fired.current = false;
+        if (!cb.current) return;
+        cancel();
+        start.current = { x: e.clientX, y: e.clientY };
+        timer.current = setTimeout(() => {
+          timer.current = 0;
+          fired.current = true;
+          haptic('commit');
+          cb.current && cb.current();
+        }, delay);
+      },
+      onPointerMove: (e) => {
+        const s = start.current;
+        if (s && (Math.abs(e.clientX - s.x) > 10 || Math.abs(e.clientY - s.y) > 10)) cancel();
+      },
+      onPointerUp: cancel,
+      onPointerCancel: cancel,
+      onPointerLeave: cancel,
+      onContextMenu: (e) => { if (cb.current) e.preventDefault(); },
+    },
+    consumeClick: () => {
+      if (!fired.current) return false;
+      fired.current = false;
+      return true;
+    },
+  };
+}
+
 // Repli/dépli à hauteur animée via l'astuce grid-template-rows 0fr→1fr
 // (aucune mesure JS). Le contenu est démonté une fois le repli terminé
 // (perf : un jour d'historique replié ne garde pas ses lignes montées).
@@ -2468,7 +2613,7 @@ function TimeWheelSheet({ value, onConfirm, onClose }) {
 
   return (
     <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose}
-      side="bottom" label="Choisir l'heure">
+      side="bottom" label={t('shared.time.pick')}>
       {/* Matière OPAQUE (glassSolid, aucun backdrop-filter) : elle peut rester
           sur l'enfant — la règle « l'élément flouté est celui qui bouge » ne
           vise que les matières translucides (cf. SheetOverlay › sheetClassName). */}
@@ -2480,18 +2625,18 @@ function TimeWheelSheet({ value, onConfirm, onClose }) {
         <SheetGrabber>
           <div style={{
             textAlign: 'center', padding: '6px 22px 12px',
-            ...type(20, { family: fontSerif, italic: true }), color: T.ink }}>Heure</div>
+            ...type(20, { family: fontSerif, italic: true }), color: T.ink }}>{t('shared.time')}</div>
         </SheetGrabber>
         <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 6, padding: '0 22px' }}>
-          <WheelPicker items={hours} value={pad2(h)} onChange={(v) => setH(parseInt(v, 10))} ariaLabel="Heures" />
+          <WheelPicker items={hours} value={pad2(h)} onChange={(v) => setH(parseInt(v, 10))} ariaLabel={t('shared.time.hours')} />
           <div style={{ fontFamily: fontNum, fontSize: remSize(24), letterSpacing: tracking(24), color: T.muted }}>:</div>
-          <WheelPicker items={mins} value={pad2(mm)} onChange={(v) => setMm(parseInt(v, 10))} ariaLabel="Minutes" />
+          <WheelPicker items={mins} value={pad2(mm)} onChange={(v) => setMm(parseInt(v, 10))} ariaLabel={t('shared.time.minutes')} />
         </div>
         <div style={{ display: 'flex', gap: 10, padding: '14px 22px 0' }}>
           <button type="button" className="alco-press" onClick={close} style={{
             flex: 1, padding: '12px 0', borderRadius: 12, cursor: 'pointer',
             background: T.surface2, border: `1px solid ${T.rule}`, color: T.ink,
-            fontFamily: 'inherit', ...TYPE.body, touchAction: 'manipulation' }}>Annuler</button>
+            fontFamily: 'inherit', ...TYPE.body, touchAction: 'manipulation' }}>{t('common.cancel')}</button>
           <button type="button" className="alco-press"
             onClick={() => { haptic('commit'); confirm(); }} style={{
               flex: 1, padding: '12px 0', borderRadius: 12, cursor: 'pointer',
@@ -2507,7 +2652,7 @@ function TimeWheelSheet({ value, onConfirm, onClose }) {
 // Champ « Heure » : bouton stylé comme un input (inputBaseStyle) qui ouvre
 // la roue. `value` = 'HH:MM', `onChange('HH:MM')`. Remplace l'<input
 // type="time"> natif (peu fluide sur Android) tout en gardant le même état.
-function TimeField({ value, onChange, ariaLabel = 'Heure' }) {
+function TimeField({ value, onChange, ariaLabel = t('shared.time') }) {
   const [open, setOpen] = React.useState(false);
   return (
     <>
@@ -2531,7 +2676,7 @@ function TimeField({ value, onChange, ariaLabel = 'Heure' }) {
 // Category picker rendered as a wrap of selectable chips. Replaces the
 // markup duplicated across AddDrink / EditEntry / EditFamily / the move
 // action. Uses real <button role="radio"> for keyboard accessibility.
-function CategoryChips({ categories, value, onChange, ariaLabel = 'Catégorie' }) {
+function CategoryChips({ categories, value, onChange, ariaLabel = t('shared.category') }) {
   return (
     <div role="radiogroup" aria-label={ariaLabel}
       style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
@@ -2552,24 +2697,38 @@ function CategoryChips({ categories, value, onChange, ariaLabel = 'Catégorie' }
   );
 }
 
-// Segmented unit toggle (cL / L / EcoCup …).
-function UnitToggle({ value, onChange, units = ['cL', 'L', 'EcoCup'] }) {
+// Segmented unit toggle (cL / L / EcoCup …). Par défaut, les unités visibles
+// du registre ; la valeur courante reste affichée même masquée ou inconnue
+// (entrée ancienne, boisson d'un ami). Passe à la ligne au-delà de 4.
+function UnitToggle({ value, onChange, units }) {
+  const registry = useUnits();
+  const list = units || registry.filter(u => !u.hidden).map(u => u.name);
+  const shown = value && !list.some(u => unitKey(u) === unitKey(value)) ? [...list, value] : list;
+  const wrap = shown.length > 4;
   return (
-    <div role="radiogroup" aria-label="Unité" style={{
-      display: 'flex', gap: 4, padding: 3,
+    <div role="radiogroup" aria-label={t('shared.unit')} style={{
+      display: 'flex', flexWrap: wrap ? 'wrap' : 'nowrap', gap: 4, padding: 3,
       background: T.surface2, borderRadius: 10, border: `1px solid ${T.rule}` }}>
-      {units.map(u => {
-        const on = value === u;
+      {shown.map(u => {
+        const on = unitKey(value) === unitKey(u);
+        const icon = (findUnit(u, registry) || {}).icon;
         return (
           <button key={u} type="button" role="radio" aria-checked={on}
             className="alco-press"
             onClick={() => { if (!on) haptic('select'); onChange(u); }} style={{
-              flex: 1, padding: '8px 0', borderRadius: 7, textAlign: 'center',
+              flex: wrap ? '1 0 22%' : 1, padding: '8px 0', borderRadius: 7, textAlign: 'center',
               cursor: 'pointer', ...type(11.5, { weight: on ? 600 : 400 }),
               background: on ? T.ink : 'transparent',
               color: on ? T.bg : T.ink2,
               minWidth: 0, touchAction: 'manipulation',
-              border: 'none', fontFamily: 'inherit' }}>{u}</button>
+              border: 'none', fontFamily: 'inherit' }}>
+            {icon && (
+              <span aria-hidden="true" style={{ display: 'inline-flex', verticalAlign: -2, marginRight: 4 }}>
+                <CategoryGlyph glyph={icon} size={12} />
+              </span>
+            )}
+            {u}
+          </button>
         );
       })}
     </div>
@@ -2587,7 +2746,7 @@ function RatingField({ value, onChange, size = 18 }) {
       {value > 0 && (
         <button type="button" className="alco-press" onClick={() => onChange(0)} style={{
           ...ghostButton, color: T.muted, ...type(11), cursor: 'pointer',
-          padding: 4, margin: -4, touchAction: 'manipulation' }}>Effacer</button>
+          padding: 4, margin: -4, touchAction: 'manipulation' }}>{t('shared.clear')}</button>
       )}
     </div>
   );
@@ -2598,7 +2757,7 @@ function RatingField({ value, onChange, size = 18 }) {
 // géolocalisation éditable depuis l'Historique. La capture vit dans data.jsx
 // (`captureLocationForDrink`, global au runtime). `value` = objet location
 // | null ; `onChange` reçoit le nouvel objet, ou null si le lieu est retiré.
-function LocationField({ value, onChange, ariaLabel = 'Lieu' }) {
+function LocationField({ value, onChange, ariaLabel = t('shared.location') }) {
   const [busy, setBusy] = React.useState(false);
   const label = value && (value.label || value.name || value.address);
   const acc = value && Number.isFinite(value.accuracy) ? Math.round(value.accuracy) : null;
@@ -2609,9 +2768,9 @@ function LocationField({ value, onChange, ariaLabel = 'Lieu' }) {
     try {
       const loc = await captureLocationForDrink();
       if (loc) onChange(loc);
-      else Toast.show('Position indisponible');
+      else Toast.show(t('shared.location.unavailable'));
     } catch {
-      Toast.show('Position indisponible');
+      Toast.show(t('shared.location.unavailable'));
     } finally {
       setBusy(false);
     }
@@ -2627,7 +2786,7 @@ function LocationField({ value, onChange, ariaLabel = 'Lieu' }) {
       <div style={{ flex: 1, minWidth: 0 }}>
         <div style={{
           fontSize: remSize(13), letterSpacing: tracking(13), color: value ? T.ink : T.muted, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
-          {busy ? 'Localisation…' : (label || (value ? 'Position enregistrée' : 'Non localisé'))}
+          {busy ? t('shared.location.busy') : (label || t(value ? 'shared.location.saved' : 'shared.location.none'))}
         </div>
         {acc != null && !busy && (
           <div style={{ fontFamily: fontNum, fontSize: remSize(10.5), letterSpacing: tracking(10.5), color: T.muted, marginTop: 2 }}>
@@ -2637,14 +2796,14 @@ function LocationField({ value, onChange, ariaLabel = 'Lieu' }) {
       </div>
       {value && !busy && (
         <button type="button" className="alco-press" onClick={() => onChange(null)}
-          aria-label="Retirer le lieu" style={{
+          aria-label={t('shared.location.remove')} style={{
             ...ghostButton, color: T.muted, cursor: 'pointer', display: 'flex', padding: 4,
             touchAction: 'manipulation' }}>
           <SvgIcon icon={Ic.close} size={14} />
         </button>
       )}
       <button type="button" className="alco-press" onClick={locate} disabled={busy}
-        aria-label={value ? 'Mettre à jour le lieu' : 'Localiser'} style={{
+        aria-label={t(value ? 'shared.location.update' : 'shared.location.locate')} style={{
           display: 'flex', alignItems: 'center', gap: 6, flexShrink: 0,
           padding: '8px 12px', borderRadius: 9, cursor: busy ? 'wait' : 'pointer',
           background: T.accentSoft, color: T.accent,
@@ -2653,29 +2812,236 @@ function LocationField({ value, onChange, ariaLabel = 'Lieu' }) {
           touchAction: 'manipulation',
           animation: busy ? 'pulse 1s ease-in-out infinite' : 'none' }}>
         <SvgIcon icon={Ic.crosshair} size={14} />
-        {value ? 'Réessayer' : 'Localiser'}
+        {t(value ? 'shared.location.retry' : 'shared.location.locate')}
       </button>
     </div>
   );
 }
 
+// ── Profil de conduite & unité d'affichage du BAC ─────────────────
+// Le moteur calcule TOUJOURS en mg/L de sang ; le profil ne fixe que le
+// seuil légal (cellule « Conduite », zones des charts BAC, pastille du
+// header) et l'unité que l'affichage. Réglage de CET utilisateur, pas de
+// l'ami consulté : il vit hors de SettingsContext (que FriendStatsView
+// surcharge), comme le thème — localStorage pour le premier rendu, setting
+// `bacDisplay` (JSON) pour suivre l'export de données.
+// `limit` en mg/L ; 'custom' lit `customLimit`. Libellés : i18n `bacProfile.<id>`.
+const BAC_PROFILES = [
+  { id: 'fr',       limit: 500 },
+  { id: 'fr-young', limit: 200 },
+  { id: 'be',       limit: 500 },
+  { id: 'ch',       limit: 500 },
+  { id: 'de',       limit: 500 },
+  { id: 'es',       limit: 500 },
+  { id: 'it',       limit: 500 },
+  { id: 'uk',       limit: 800 },
+  { id: 'us',       limit: 800 },
+  { id: 'se',       limit: 200 },
+  { id: 'zero',     limit: 0 },
+  { id: 'custom',   limit: null },
+];
+
+// Unités d'affichage. `factor` convertit des mg/L ; le ‰ suit l'usage
+// courant (0,5 ‰ ≙ 0,5 g/L, les seuils légaux s'écrivent ainsi) et le
+// « % BAC » américain est en g/100 mL (0,08 % = 800 mg/L). Forme lue par
+// les lecteurs d'écran : i18n `bacUnit.spoken.<id>`.
+const BAC_UNITS = {
+  mgL:      { label: 'mg/L',  factor: 1,      digits: 0 },
+  gL:       { label: 'g/L',   factor: 0.001,  digits: 2 },
+  permille: { label: '‰',     factor: 0.001,  digits: 2 },
+  pct:      { label: '% BAC', factor: 0.0001, digits: 3 },
+};
+
+const BAC_DISPLAY_KEY = 'alconote.bacDisplay';
+const BAC_CUSTOM_MAX = 2000;
+const BAC_DISPLAY_DEFAULT = Object.freeze({ profile: 'fr', customLimit: 500, unit: 'mgL' });
+let _bacDisplay = BAC_DISPLAY_DEFAULT;
+
+// Valeur stockée (objet ou JSON, éventuellement partielle / d'une autre
+// version) → réglage complet et valide.
+function normalizeBacDisplay(raw) {
+  let v = raw;
+  if (typeof v === 'string') { try { v = JSON.parse(v); } catch { v = null; } }
+  if (!v || typeof v !== 'object') v = {};
+  const profile = BAC_PROFILES.some(p => p.id === v.profile) ? v.profile : BAC_DISPLAY_DEFAULT.profile;
+  const n = Number(v.customLimit);
+  const customLimit = Number.isFinite(n) && n >= 0
+    ? Math.min(BAC_CUSTOM_MAX, Math.round(n))
+    : BAC_DISPLAY_DEFAULT.customLimit;
+  const unit = BAC_UNITS[v.unit] ? v.unit : BAC_DISPLAY_DEFAULT.unit;
+  return { profile, customLimit, unit };
+}
+
+function getBacDisplay() { return _bacDisplay; }
+
+// Seuil légal (mg/L) du profil courant (ou de `display`).
+function bacLegalLimit(display = _bacDisplay) {
+  const p = BAC_PROFILES.find(x => x.id === display.profile);
+  return p && p.limit != null ? p.limit : display.customLimit;
+}
+
+function bacUnitLabel(unit = _bacDisplay.unit) {
+  return (BAC_UNITS[unit] || BAC_UNITS.mgL).label;
+}
+
+// Unité en toutes lettres, pour les aria-label (« milligrammes par litre »).
+function bacUnitSpoken(unit = _bacDisplay.unit) {
+  return t(`bacUnit.spoken.${BAC_UNITS[unit] ? unit : 'mgL'}`);
+}
+
+// mg/L → texte dans l'unité choisie, sans l'unité. En mg/L la sortie est
+// l'entier arrondi d'avant les profils ("512"), au chiffre près.
+function fmtBac(mgL, unit = _bacDisplay.unit) {
+  const u = BAC_UNITS[unit] || BAC_UNITS.mgL;
+  return fmtNumber(Number(mgL) * u.factor, u.digits);
+}
+
+// Saisie dans l'unité d'affichage → mg/L (NaN si illisible).
+function bacFromUnit(value, unit = _bacDisplay.unit) {
+  const u = BAC_UNITS[unit] || BAC_UNITS.mgL;
+  const n = typeof value === 'number' ? value : parseDecimal(value);
+  return Number.isFinite(n) ? n / u.factor : NaN;
+}
+
+// Mesures d'éthylotest : un éthylomètre lit l'air expiré (mg/L d'air), une
+// prise de sang donne des g/L. Conversion légale française : 0,25 mg/L
+// d'air ≙ 0,5 g/L de sang, soit un rapport air → sang de 2000. `label` est
+// une clé i18n.
+const BREATH_BLOOD_RATIO = 2000;
+const BAC_READING_UNITS = {
+  air:   { label: 'bacReading.air', toMgL: (v) => v * BREATH_BLOOD_RATIO },
+  blood: { label: 'bacReading.blood', toMgL: (v) => v * 1000 },
+};
+
+// Saisie (nombre ou texte FR) → taux sang en mg/L ; NaN si illisible.
+function bacFromReading(value, unit) {
+  const u = BAC_READING_UNITS[unit] || BAC_READING_UNITS.air;
+  const n = typeof value === 'number' ? value : parseDecimal(value);
+  return Number.isFinite(n) && n >= 0 ? u.toMgL(n) : NaN;
+}
+
+window.__bacDisplayListeners = window.__bacDisplayListeners || new Set();
+
+function useBacDisplay() {
+  const [, force] = React.useReducer(n => n + 1, 0);
+  React.useEffect(() => {
+    window.__bacDisplayListeners.add(force);
+    return () => window.__bacDisplayListeners.delete(force);
+  }, []);
+  return _bacDisplay;
+}
+
+// `patch` fusionné au réglage courant. `persist: false` (réhydratation au
+// démarrage) n'écrit ni localStorage ni la base.
+function applyBacDisplay(patch, { persist = true } = {}) {
+  _bacDisplay = normalizeBacDisplay({ ..._bacDisplay, ...patch });
+  if (persist) {
+    const json = JSON.stringify(_bacDisplay);
+    try { localStorage.setItem(BAC_DISPLAY_KEY, json); } catch {}
+    try { window.dbManager && window.dbManager.setSetting && window.dbManager.setSetting('bacDisplay', json); } catch {}
+  }
+  window.__bacDisplayListeners.forEach(f => f());
+}
+
+(function initBacDisplay() {
+  let saved = null;
+  try { saved = localStorage.getItem(BAC_DISPLAY_KEY); } catch {}
+  if (saved) _bacDisplay = normalizeBacDisplay(saved);
+})();
+
+// ── Verre standard ─────────────────────────────────────────────────
+// Les totaux restent en grammes d'alcool pur ; le verre standard n'est
+// qu'une unité d'affichage, et sa taille dépend du pays des repères de santé
+// (10 g en France, 8 g pour l'« unit » britannique, 14 g aux États-Unis…).
+// Réglage de CET utilisateur, rangé comme `bacDisplay` : localStorage pour le
+// premier rendu, setting `standardDrink` (id) pour suivre l'export.
+// Libellés : i18n `stdDrink.<id>`.
+const STANDARD_DRINK_G = 10;
+const STANDARD_DRINKS = [
+  { id: 'fr', grams: 10 },
+  { id: 'be', grams: 10 },
+  { id: 'ch', grams: 10 },
+  { id: 'it', grams: 12 },
+  { id: 'uk', grams: 8, unit: 'unit' },
+  { id: 'ie', grams: 10 },
+  { id: 'us', grams: 14 },
+  { id: 'ca', grams: 13.45 },
+  { id: 'au', grams: 10 },
+];
+const STD_DRINK_KEY = 'alconote.standardDrink';
+let _stdDrink = STANDARD_DRINKS[0];
+
+function normalizeStandardDrink(id) {
+  return STANDARD_DRINKS.find(s => s.id === id) || STANDARD_DRINKS[0];
+}
+
+function getStandardDrink() { return _stdDrink; }
+
+// Grammes → nombre de verres standard (non arrondi).
+function toStdDrinks(grams, sd = _stdDrink) {
+  return (Number(grams) || 0) / sd.grams;
+}
+
+// « 2,4 » (une décimale, sans zéro inutile).
+function fmtStdDrinks(grams, sd = _stdDrink) {
+  return fmtNumber(Math.round(toStdDrinks(grams, sd) * 10) / 10, 1);
+}
+
+// « verres std » / « unités » accordé sur `n` ; `long` : « verres standard ».
+function stdDrinkUnitLabel(n = 2, { long = false, sd = _stdDrink } = {}) {
+  const key = sd.unit === 'unit' ? 'unit' : (long ? 'long' : 'short');
+  return t(`stdDrink.label.${key}`, { count: Math.abs(n) });
+}
+
+window.__stdDrinkListeners = window.__stdDrinkListeners || new Set();
+
+function useStandardDrink() {
+  const [, force] = React.useReducer(n => n + 1, 0);
+  React.useEffect(() => {
+    window.__stdDrinkListeners.add(force);
+    return () => window.__stdDrinkListeners.delete(force);
+  }, []);
+  return _stdDrink;
+}
+
+function applyStandardDrink(id, { persist = true } = {}) {
+  _stdDrink = normalizeStandardDrink(id);
+  if (persist) {
+    try { localStorage.setItem(STD_DRINK_KEY, _stdDrink.id); } catch {}
+    try { window.dbManager && window.dbManager.setSetting && window.dbManager.setSetting('standardDrink', _stdDrink.id); } catch {}
+  }
+  window.__stdDrinkListeners.forEach(f => f());
+}
+
+(function initStandardDrink() {
+  let saved = null;
+  try { saved = localStorage.getItem(STD_DRINK_KEY); } catch {}
+  if (saved) _stdDrink = normalizeStandardDrink(saved);
+})();
+
 // Pastille d'alcoolémie réutilisable (header de l'app + lignes de l'onglet
 // Amis). `bac` en mg/L ; `null` → non communiqué ("—" grisé). `tone='accent'`
 // (ambre, défaut) pour ma pastille / les lignes ; `tone='good'` (vert) pour la
 // pastille de l'ami favori. `compact` : variante dense (≈16px de haut, sans
 // maxWidth pour permettre le `stretch`) utilisée quand deux pastilles doivent
-// tenir dans le slot fixe de 38px du header (cf. HeaderBacStack). Pas de
-// seuils colorés ici : la teinte vient uniquement du `tone`.
+// tenir dans le slot fixe de 38px du header (cf. HeaderBacStack). La teinte
+// vient du `tone` ; seul le point passe au rouge au-delà du seuil légal du
+// profil de conduite. Valeur et unité suivent le réglage d'affichage.
 function BacPill({ bac, ariaLabel, tone = 'accent', compact = false }) {
+  const display = useBacDisplay();
   const known = bac != null && Number.isFinite(bac);
   const active = known && bac > 0;
+  const over = known && bac > bacLegalLimit(display);
   const isGood = tone === 'good';
   const bgSoft = isGood ? T.goodSoft : T.accentSoft;
   const brdSoft = isGood ? T.goodSoftBorder : T.accentSoftBorder;
   const fg = isGood ? T.good : T.accent;
+  const dot = over ? T.bacDanger : fg;
   return (
-    <div aria-label={ariaLabel || "Taux d'alcoolémie"}
-      title={known ? `${bac} mg/L` : 'Non communiqué'} style={{
+    <div aria-label={ariaLabel || t('bacPill.aria')}
+      title={known
+        ? `${fmtBac(bac, display.unit)} ${bacUnitLabel(display.unit)}${over ? t('bacPill.overLimit') : ''}`
+        : t('bacPill.unknown')} style={{
         display: 'flex', alignItems: 'center', gap: compact ? 4 : 5,
         padding: compact ? '2px 8px 2px 6px' : '6px 10px 6px 8px',
         borderRadius: compact ? 8 : 12,
@@ -2684,15 +3050,15 @@ function BacPill({ bac, ariaLabel, tone = 'accent', compact = false }) {
         opacity: known ? (active ? 1 : 0.7) : 0.45,
         transition: 'padding 0.18s ease, border-radius 0.18s ease' }}>
       <div style={{
-        width: compact ? 5 : 6, height: compact ? 5 : 6, borderRadius: 99, background: fg,
-        boxShadow: active ? `0 0 8px ${fg}` : 'none', flexShrink: 0,
+        width: compact ? 5 : 6, height: compact ? 5 : 6, borderRadius: 99, background: dot,
+        boxShadow: active ? `0 0 8px ${dot}` : 'none', flexShrink: 0,
       }} />
       <span style={{
         color: fg, fontSize: compact ? 10 : 11, fontWeight: 600,
         ...(compact ? { lineHeight: 1 } : null),
         ...TYPE.num,
         overflow: 'hidden', textOverflow: 'ellipsis',
-        whiteSpace: 'nowrap', minWidth: 0, flex: '0 1 auto' }}>{known ? bac : '—'}</span>
+        whiteSpace: 'nowrap', minWidth: 0, flex: '0 1 auto' }}>{known ? fmtBac(bac, display.unit) : '—'}</span>
     </div>
   );
 }
@@ -2708,19 +3074,25 @@ Object.assign(window, {
   setLayerHint, useLayerHint,
   HAPTICS, haptic, hapticsEnabled, setHapticsEnabled,
   SheetGrabber, SheetDragContext,
+  BAC_PROFILES, BAC_UNITS, normalizeBacDisplay, getBacDisplay, bacLegalLimit,
+  bacUnitLabel, bacUnitSpoken, fmtBac, bacFromUnit, useBacDisplay, applyBacDisplay,
+  BREATH_BLOOD_RATIO, BAC_READING_UNITS, bacFromReading,
+  STANDARD_DRINK_G, STANDARD_DRINKS, normalizeStandardDrink, getStandardDrink, toStdDrinks,
+  fmtStdDrinks, stdDrinkUnitLabel, useStandardDrink, applyStandardDrink,
   BacPill,
   Ic, SvgIcon, CAT, catColor, catBg, withAlpha, CategoryIconsContext,
   CategoryColorsContext, defaultCatHue, applyCatHueOverrides, useCatPalette,
   Toast,
-  FR_DAYS_LONG, FR_DAYS_SHORT, FR_MONTHS_SHORT, FR_MONTHS_LONG, FR_MONTHS_DOTTED,
+  fmtDateLong,
   fmtDateMedium, fmtDayHeader, localDate, localTime,
-  toCl, ETHANOL_DENSITY_G_PER_ML, ethanolGrams, drinkAlcoholGrams, fmtPrice,
+  DEFAULT_UNITS, UNIT_PRESETS, normalizeUnits, findUnit, unitKey, toCl, drinkCl,
+  getUnits, useUnits, applyUnits, ETHANOL_DENSITY_G_PER_ML, ethanolGrams, drinkAlcoholGrams, fmtPrice,
   SearchInput, SectionHead, Pill, Stars, CategoryGlyph, GLYPH_OPTIONS, canonicalCat,
   SheetOverlay, useSheetClose,
   useBackButton,
   Confirm, ConfirmHost,
   clickable, ghostButton, QuickAddButton,
-  MOTION, useReducedMotion, staggerStyle, usePressScale, Collapse,
+  MOTION, useReducedMotion, staggerStyle, usePressScale, useLongPress, LONG_PRESS_MS, Collapse,
   STAGGER_MAX, ENTER_TOTAL_MS, useEnterOnce,
   useSWVersion,
   inputBaseStyle, inputS: inputBaseStyle, FieldGroup, parseDecimal,
@@ -113,6 +113,7 @@ const CHART = Object.freeze({
   }),
   bar: Object.freeze({ inset: 0.16, widthFrac: 0.68, rx: 2, minH: 2, restOpacity: 0.85 }),
   focus: Object.freeze({ halo: 11, ring: 6, dot: 3.5 }),
+  reading: Object.freeze({ size: 4, stroke: 1.5 }), // marqueur d'éthylotest (losange)
   tooltip: Object.freeze({ minW: 72, charW: 5.8, lineH: 14, headH: 16, padX: 8, offset: 8, edgePad: 8 }),
   label: Object.freeze({ minGapX: 8, minGapY: 11 }),
   heatmap: Object.freeze({
@@ -129,17 +130,38 @@ const CHART = Object.freeze({
 // Plafond d'affichage BAC (mg/L) : cadre des charts (bacChartRange) ET cap
 // de la jauge — un pic projeté pathologique ne doit jamais écraser le reste.
 const BAC_CHART_CAP = 1500;
-// Seuils d'affichage BAC (mg/L) — mêmes valeurs que BAC_RECORD_MIN /
-// BAC_LEGAL_LIMIT (stats.jsx, chargé après ce fichier) ; le gel des
-// formules verrouille les deux côtés.
+// Seuils d'affichage BAC (mg/L) — mêmes valeurs que BAC_RECORD_MIN
+// (stats.jsx, chargé après ce fichier) et le profil 'fr' de BAC_PROFILES
+// (shared.jsx) ; le gel des formules verrouille les deux côtés. Ce sont les valeurs du profil France :
+// les charts lisent les seuils EFFECTIFS via bacZones.
 const BAC_ZONE_LIGHT = 200;
 const BAC_ZONE_LEGAL = 500;
 
+// Seuils effectifs pour un seuil légal donné (profil de conduite, cf.
+// shared.jsx › bacLegalLimit). La zone « léger » ne dépasse jamais le seuil
+// légal : à 200 mg/L (jeune conducteur) elle disparaît, à 0 tout est rouge.
+function bacZones(legal = bacLegalLimit()) {
+  return { light: Math.min(BAC_ZONE_LIGHT, legal), legal };
+}
+
 // Couleur de zone BAC (sobre / léger / au-delà) — lit les tokens du thème à
 // L'APPEL (T est un proxy vivant). Source unique pour les deux charts BAC,
 // leurs dégradés et tout futur indicateur de niveau.
-function bacZoneColor(bac) {
-  return bac > BAC_ZONE_LEGAL ? T.bacDanger : bac > BAC_ZONE_LIGHT ? T.bacWarn : T.good;
+function bacZoneColor(bac, zones = bacZones()) {
+  return bac > zones.legal ? T.bacDanger : bac > zones.light ? T.bacWarn : T.good;
+}
+
+// Lignes de seuil des charts BAC (lane de droite). Une zone « léger »
+// confondue avec le seuil légal (ou nulle) n'a pas de ligne propre.
+function bacThresholdLines(zones, unit, { warn, danger, legalPriority }) {
+  const out = [];
+  if (zones.light > 0 && zones.light < zones.legal) {
+    out.push({ y: zones.light, label: `${fmtBac(zones.light, unit)} ${bacUnitLabel(unit)}`, color: warn, priority: 1 });
+  }
+  if (zones.legal > 0) {
+    out.push({ y: zones.legal, label: t('charts.bac.legal', { value: fmtBac(zones.legal, unit) }), color: danger, priority: legalPriority });
+  }
+  return out;
 }
 
 // ── Anti-collision : deux textes ne se chevauchent JAMAIS ──────────
@@ -521,7 +543,7 @@ function ChartTooltip({ x, y, lines, width = 320, height = null, pad = CHART.too
 // ── Bar chart (hourly distribution) ───────────────────────────────
 function SvgBarChart({
   data, width = 320, height = 140, color, formatX, formatTooltip, valueLabel,
-  ariaLabel = 'Diagramme en barres',
+  ariaLabel = t('charts.barAria'),
 }) {
   const pad = CHART.pad.bar;
   const w = width - pad.l - pad.r;
@@ -598,7 +620,7 @@ function SvgBarChart({
 }
 
 // ── Radar (weekday distribution) ──────────────────────────────────
-function SvgRadar({ data, size = 220, color, valueLabel, ariaLabel = 'Radar par jour' }) {
+function SvgRadar({ data, size = 220, color, valueLabel, ariaLabel = t('charts.radarAria') }) {
   const cx = size / 2, cy = size / 2;
   const r = size / 2 - CHART.pad.radar;
   const n = data.length;
@@ -715,7 +737,7 @@ function donutSegments(data, cx, cy, r) {
 
 function SvgDonut({
   data, size = CHART.donut.size, thickness = CHART.donut.thickness,
-  ariaLabel = 'Répartition par catégorie',
+  ariaLabel = t('charts.donutAria'),
 }) {
   const cx = size / 2, cy = size / 2;
   const r = size / 2 - thickness / 2 - 2;
@@ -740,7 +762,7 @@ function SvgDonut({
   if (!segments.length) {
     return <div style={{
       color: T.muted, fontSize: remSize(11), letterSpacing: tracking(11), padding: '20px 0', textAlign: 'center',
-      fontStyle: 'italic', fontFamily: fontSerif }}>Aucune donnée</div>;
+      fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.noData')}</div>;
   }
 
   const focused = hover != null ? segments[hover] : null;
@@ -748,7 +770,7 @@ function SvgDonut({
   // Le label central vit dans le TROU du donut : tronqué à son diamètre
   // utile pour ne jamais passer sous l'anneau (fitLabel, anti-collision).
   const centerMaxPx = 2 * (r - thickness / 2) - 6;
-  const centerLabel = fitLabel((focused ? focused.d.name : 'Total').toUpperCase(), centerMaxPx);
+  const centerLabel = fitLabel((focused ? focused.d.name : t('charts.total')).toUpperCase(), centerMaxPx);
 
   return (
     // Seul chart à taille FIXE assumée : c'est un glyphe carré posé à côté
@@ -801,7 +823,7 @@ function SvgDonut({
 function SvgLineChart({
   series, labels, width = 320, height = 170,
   tooltipUnits = [], extraLines = null,
-  ariaLabel = 'Courbe d\'évolution',
+  ariaLabel = t('charts.lineAria'),
 }) {
   // Traits de série teintés via catColor → abonnement palette (React.memo
   // bloquerait sinon le repaint sur changement de teinte, cf. useCatPalette).
@@ -907,7 +929,7 @@ function SvgLineChart({
   );
 }
 // ── Polar clock (24h consumption distribution) ───────────────────
-function SvgPolarClock({ hours, size = 260, ariaLabel = 'Horloge des consommations sur 24 heures' }) {
+function SvgPolarClock({ hours, size = 260, ariaLabel = t('charts.clockAria') }) {
   const cx = size / 2, cy = size / 2;
   const rOuter = size / 2 - CHART.pad.clockOuter;
   const rInner = size / 2 * CHART.pad.clockInnerRatio;
@@ -982,7 +1004,7 @@ function SvgPolarClock({ hours, size = 260, ariaLabel = 'Horloge des consommatio
         return (
           <ChartTooltip x={tx} y={ty} width={size} height={size}
             lines={[`${hover}h – ${(hover + 1) % 24}h`,
-              `${v} boisson${v > 1 ? 's' : ''}`]} />
+              t('common.drinks', { count: v })]} />
         );
       })()}
     </svg>
@@ -996,7 +1018,12 @@ function SvgPolarClock({ hours, size = 260, ariaLabel = 'Horloge des consommatio
 // Past = solid stroke with vertical gradient; future = dashed stroke;
 // the gradient runs green → orange → red so the curve is coloured by
 // its BAC level at every point without splitting into segments.
-function SvgBACProjection({ points, width = 320, height = 200, nowMs = Date.now() }) {
+// `readings` : mesures d'éthylotest {t (h, rel. maintenant), bac (mg/L)},
+// posées en losanges sur la courbe — l'écart se lit d'un coup d'œil.
+function SvgBACProjection({
+  points, width = 320, height = 200, nowMs = Date.now(),
+  legalLimit = bacLegalLimit(), unit = getBacDisplay().unit, readings = [],
+}) {
   // Hooks always run first and unconditionally so React's hook order
   // stays stable even when the component is rendered with empty input.
   const idSuffix = React.useId().replace(/:/g, '');
@@ -1009,7 +1036,13 @@ function SvgBACProjection({ points, width = 320, height = 200, nowMs = Date.now(
   // Adaptive framing — full span to sobriety; a small curve still fills the
   // height ; un pic pathologique est plafonné (BAC_CHART_CAP) comme sur la
   // prévision. Computed before the scrubber, which closes over minT/maxT.
-  const { minT, maxT, maxB } = bacChartRange(safePoints, { capRunaway: true });
+  const span = bacChartRange(safePoints, { capRunaway: true });
+  const { minT, maxT } = span;
+  const shownReadings = (readings || []).filter(r => r.t >= minT && r.t <= maxT);
+  // Une mesure au-dessus de la courbe agrandit le cadre (sans dépasser le cap).
+  const maxB = shownReadings.length
+    ? bacChartRange(safePoints, { capRunaway: true, extras: shownReadings.map(r => Math.min(r.bac, BAC_CHART_CAP)) }).maxB
+    : span.maxB;
 
   // The scrubber is a hook (uses useState internally), so it must be
   // called every render — even when `safePoints` is null. We close over
@@ -1028,7 +1061,7 @@ function SvgBACProjection({ points, width = 320, height = 200, nowMs = Date.now(
   // hook order intact.
   if (!safePoints) {
     return <div style={{
-      color: T.muted, fontSize: remSize(11), letterSpacing: tracking(11), padding: '20px 0', textAlign: 'center' }}>Aucune donnée d'alcoolémie</div>;
+      color: T.muted, fontSize: remSize(11), letterSpacing: tracking(11), padding: '20px 0', textAlign: 'center' }}>{t('charts.bac.noData')}</div>;
   }
 
   const h = height - pad.t - pad.b;
@@ -1051,8 +1084,9 @@ function SvgBACProjection({ points, width = 320, height = 200, nowMs = Date.now(
   // Build a vertical gradient that matches the threshold colors. Stops
   // are placed exactly at the zone thresholds so the colour transitions
   // line up with the threshold lines. y goes 0 (top, max BAC) → 1 (bottom, 0).
-  const stopLegal = 1 - Math.min(1, BAC_ZONE_LEGAL / maxB);
-  const stopLight = 1 - Math.min(1, BAC_ZONE_LIGHT / maxB);
+  const zones = bacZones(legalLimit);
+  const stopLegal = 1 - Math.min(1, zones.legal / maxB);
+  const stopLight = 1 - Math.min(1, zones.light / maxB);
   const gradStops = (alpha = 1) => (
     <>
       <stop offset={`${(stopLegal * 100).toFixed(2)}%`} stopColor={danger} stopOpacity={alpha} />
@@ -1081,10 +1115,8 @@ function SvgBACProjection({ points, width = 320, height = 200, nowMs = Date.now(
   // Labels de seuil : posés dans une « lane » verticale au bord droit via
   // resolveLaneLabels — deux seuils proches (petit cadre) ne se chevauchent
   // jamais, le moins prioritaire saute (sa ligne reste).
-  const thresh = [
-    { y: BAC_ZONE_LIGHT, label: `${BAC_ZONE_LIGHT} mg/L`, color: warn, priority: 1 },
-    { y: BAC_ZONE_LEGAL, label: `${BAC_ZONE_LEGAL} légal`, color: danger, priority: 2 },
-  ].filter(l => l.y <= maxB);
+  const thresh = bacThresholdLines(zones, unit, { warn, danger, legalPriority: 2 })
+    .filter(l => l.y <= maxB);
   const threshLabels = resolveLaneLabels(
     thresh.map(l => ({ ...l, pos: ys(l.y) - 3, size: CHART.font.ref })),
     { lo: pad.t, hi: baseY }
@@ -1106,7 +1138,7 @@ function SvgBACProjection({ points, width = 320, height = 200, nowMs = Date.now(
 
   const focusT = scrubT != null ? scrubT : 0;
   const focus = interpAt(focusT);
-  const focusColor = bacZoneColor(focus.bac);
+  const focusColor = bacZoneColor(focus.bac, zones);
 
   const fmtClock = (t) => {
     const d = new Date(nowMs + t * 3600_000);
@@ -1120,19 +1152,19 @@ function SvgBACProjection({ points, width = 320, height = 200, nowMs = Date.now(
     return out;
   })();
 
-  const fmtRel = (t) => {
-    const minutes = Math.round(Math.abs(t) * 60);
-    if (minutes < 1) return 'maintenant';
+  const fmtRel = (hours) => {
+    const minutes = Math.round(Math.abs(hours) * 60);
+    if (minutes < 1) return t('charts.bac.now');
     const hh = Math.floor(minutes / 60);
     const mm = minutes % 60;
     const phrase = hh === 0 ? `${mm}min` : (mm === 0 ? `${hh}h` : `${hh}h${String(mm).padStart(2, '0')}`);
-    return t < 0 ? `il y a ${phrase}` : `dans ${phrase}`;
+    return t(hours < 0 ? 'charts.bac.ago' : 'charts.bac.in', { time: phrase });
   };
-  const fmtStatus = (b) => b > BAC_ZONE_LEGAL ? 'Au-delà' : b > BAC_ZONE_LIGHT ? 'Léger' : 'Sobre';
+  const fmtStatus = (b) => t(b > zones.legal ? 'charts.bac.over' : b > zones.light ? 'charts.bac.light' : 'charts.bac.sober');
 
   return (
     <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} width="100%" height={height}
-      role="img" aria-label="Projection d'alcoolémie dans le temps"
+      role="img" aria-label={t('charts.bac.projectionAria')}
       className={CHART.anim.className}
       style={{ display: 'block', touchAction: CHART.touchAction }} {...scr.handlers}>
       <rect x="0" y="0" width={width} height={height} fill="transparent" />
@@ -1151,7 +1183,7 @@ function SvgBACProjection({ points, width = 320, height = 200, nowMs = Date.now(
           <line x1={pad.l} x2={pad.l + w} y1={pad.t + h * (1 - f)} y2={pad.t + h * (1 - f)}
             stroke={T.rule} strokeDasharray={CHART.grid.dash} strokeWidth={CHART.grid.width} opacity={0.6} />
           <text x={pad.l - 4} y={pad.t + h * (1 - f) + 3} fontSize={CHART.font.tick} fill={T.muted}
-            textAnchor="end" fontFamily={fontNum}>{fmtTick(Math.round(maxB * f))}</text>
+            textAnchor="end" fontFamily={fontNum}>{fmtBac(maxB * f, unit)}</text>
         </g>
       ))}
       {/* Threshold reference lines — labels posés par la lane (jamais deux
@@ -1202,9 +1234,19 @@ function SvgBACProjection({ points, width = 320, height = 200, nowMs = Date.now(
       {scrubT == null && 0 >= minT && 0 <= maxT && (
         <text x={xs(0)} y={pad.t - 6}
           fontSize={CHART.font.tick} fill={T.ink2} textAnchor="middle" fontFamily={fontNum}>
-          maintenant
+          {t('charts.bac.now')}
         </text>
       )}
+      {/* Mesures d'éthylotest */}
+      {shownReadings.map((r, i) => {
+        const x = xs(r.t), y = yc(r.bac), k = CHART.reading.size;
+        return (
+          <path key={`rd-${i}`} d={`M${x},${y - k} L${x + k},${y} L${x},${y + k} L${x - k},${y} Z`}
+            fill={T.bg} stroke={T.ink} strokeWidth={CHART.reading.stroke}>
+            <title>{t('charts.bac.reading', { value: `${fmtBac(r.bac, unit)} ${bacUnitLabel(unit)}` })}</title>
+          </path>
+        );
+      })}
       {/* Scrubber ball + hair line + tooltip */}
       {focus && (
         <>
@@ -1217,7 +1259,7 @@ function SvgBACProjection({ points, width = 320, height = 200, nowMs = Date.now(
           <circle cx={xs(focus.t)} cy={yc(focus.bac)} r={CHART.focus.dot} fill={focusColor} />
           <ChartTooltip x={xs(focus.t)} y={yc(focus.bac)} width={width} height={height}
             lines={[
-              `${Math.round(focus.bac)} mg/L`,
+              `${fmtBac(focus.bac, unit)} ${bacUnitLabel(unit)}`,
               fmtStatus(focus.bac),
               fmtRel(focus.t),
             ]} />
@@ -1244,6 +1286,7 @@ function SvgBACProjection({ points, width = 320, height = 200, nowMs = Date.now(
 function SvgBACForecast({
   realPoints, projectedPoints, meanPeakBac, etaPeakHours, truncated = false,
   width = 320, height = 200, nowMs = Date.now(),
+  legalLimit = bacLegalLimit(), unit = getBacDisplay().unit,
 }) {
   const idSuffix = React.useId().replace(/:/g, '');
   const svgRef = React.useRef(null);
@@ -1283,7 +1326,7 @@ function SvgBACForecast({
 
   if (!hasAnyCurve) {
     return <div style={{
-      color: T.muted, fontSize: remSize(11), letterSpacing: tracking(11), padding: '20px 0', textAlign: 'center' }}>Aucune donnée pour la prévision</div>;
+      color: T.muted, fontSize: remSize(11), letterSpacing: tracking(11), padding: '20px 0', textAlign: 'center' }}>{t('charts.bac.noForecast')}</div>;
   }
 
   const h = height - pad.t - pad.b;
@@ -1298,8 +1341,9 @@ function SvgBACForecast({
 
   const gradStrokeId = `bacf-stroke-${idSuffix}`;
   const gradAreaId = `bacf-area-${idSuffix}`;
-  const stopLegal = 1 - Math.min(1, BAC_ZONE_LEGAL / maxB);
-  const stopLight = 1 - Math.min(1, BAC_ZONE_LIGHT / maxB);
+  const zones = bacZones(legalLimit);
+  const stopLegal = 1 - Math.min(1, zones.legal / maxB);
+  const stopLight = 1 - Math.min(1, zones.light / maxB);
   const gradStops = (alpha = 1) => (
     <>
       <stop offset={`${(stopLegal * 100).toFixed(2)}%`} stopColor={danger} stopOpacity={alpha} />
@@ -1326,11 +1370,9 @@ function SvgBACForecast({
 
   // Lane Y (bord droit) : seuils + « peak moyen » — résolue d'un bloc pour
   // que trois références proches ne s'écrivent jamais l'une sur l'autre
-  // (priorités : 500 légal > peak moyen > 200).
-  const thresh = [
-    { y: BAC_ZONE_LIGHT, label: `${BAC_ZONE_LIGHT} mg/L`, color: warn, priority: 1 },
-    { y: BAC_ZONE_LEGAL, label: `${BAC_ZONE_LEGAL} légal`, color: danger, priority: 3 },
-  ].filter(l => l.y <= maxB);
+  // (priorités : seuil légal > peak moyen > zone « léger »).
+  const thresh = bacThresholdLines(zones, unit, { warn, danger, legalPriority: 3 })
+    .filter(l => l.y <= maxB);
 
   const interpAt = (t) => {
     if (merged.length === 0) return { t, bac: 0 };
@@ -1348,7 +1390,7 @@ function SvgBACForecast({
 
   const focusT = scrubT != null ? scrubT : 0;
   const focus = interpAt(focusT);
-  const focusColor = bacZoneColor(focus.bac);
+  const focusColor = bacZoneColor(focus.bac, zones);
 
   const fmtClock = (t) => {
     const d = new Date(nowMs + t * 3600_000);
@@ -1362,15 +1404,15 @@ function SvgBACForecast({
     return out;
   })();
 
-  const fmtRel = (t) => {
-    const minutes = Math.round(Math.abs(t) * 60);
-    if (minutes < 1) return 'maintenant';
+  const fmtRel = (hours) => {
+    const minutes = Math.round(Math.abs(hours) * 60);
+    if (minutes < 1) return t('charts.bac.now');
     const hh = Math.floor(minutes / 60);
     const mm = minutes % 60;
     const phrase = hh === 0 ? `${mm}min` : (mm === 0 ? `${hh}h` : `${hh}h${String(mm).padStart(2, '0')}`);
-    return t < 0 ? `il y a ${phrase}` : `dans ${phrase}`;
+    return t(hours < 0 ? 'charts.bac.ago' : 'charts.bac.in', { time: phrase });
   };
-  const fmtStatus = (b) => b > BAC_ZONE_LEGAL ? 'Au-delà' : b > BAC_ZONE_LIGHT ? 'Léger' : 'Sobre';
+  const fmtStatus = (b) => t(b > zones.legal ? 'charts.bac.over' : b > zones.light ? 'charts.bac.light' : 'charts.bac.sober');
 
   // ETA marker, three states (contract: shown even if never reached):
   //   • etaKnown=false (eta == null) → peak never reached → "∞", pinned right.
@@ -1385,7 +1427,7 @@ function SvgBACForecast({
   const etaLabelText = !etaKnown
     ? 'peak · ∞'
     : (Math.abs(etaPeakHours) < 1e-3
-        ? 'peak · maintenant'
+        ? `peak · ${t('charts.bac.now')}`
         : (() => {
             const totalMin = Math.round(etaPeakHours * 60);
             if (totalMin < 60) return `peak · ${totalMin}min`;
@@ -1428,7 +1470,7 @@ function SvgBACForecast({
 
   return (
     <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} width="100%" height={height}
-      role="img" aria-label="Prévision d'alcoolémie de la session en cours"
+      role="img" aria-label={t('charts.bac.forecastAria')}
       className={CHART.anim.className}
       style={{ display: 'block', touchAction: CHART.touchAction }} {...scr.handlers}>
       <rect x="0" y="0" width={width} height={height} fill="transparent" />
@@ -1447,7 +1489,7 @@ function SvgBACForecast({
           <line x1={pad.l} x2={pad.l + w} y1={pad.t + h * (1 - f)} y2={pad.t + h * (1 - f)}
             stroke={T.rule} strokeDasharray={CHART.grid.dash} strokeWidth={CHART.grid.width} opacity={0.6} />
           <text x={pad.l - 4} y={pad.t + h * (1 - f) + 3} fontSize={CHART.font.tick} fill={T.muted}
-            textAnchor="end" fontFamily={fontNum}>{fmtTick(Math.round(maxB * f))}</text>
+            textAnchor="end" fontFamily={fontNum}>{fmtBac(maxB * f, unit)}</text>
         </g>
       ))}
       {/* Threshold reference lines — labels résolus par la lane Y */}
@@ -1468,7 +1510,7 @@ function SvgBACForecast({
             stroke={T.ink2} strokeDasharray={CHART.dash.reference}
             strokeWidth={CHART.stroke.reference} opacity={0.65} />
           <text x={pad.l + 4} y={meanPeakY - 3} fontSize={CHART.font.ref} fill={T.ink2}
-            textAnchor="start" fontFamily={fontNum}>peak moyen · {Math.round(meanPeakBac)}</text>
+            textAnchor="start" fontFamily={fontNum}>peak moyen · {fmtBac(meanPeakBac, unit)}</text>
         </g>
       )}
       {/* Past area (filled with vertical color gradient) */}
@@ -1537,7 +1579,7 @@ function SvgBACForecast({
       {scrubT == null && 0 >= minT && 0 <= maxT && (
         <text x={xs(0)} y={pad.t - 6}
           fontSize={CHART.font.tick} fill={T.ink2} textAnchor="middle" fontFamily={fontNum}>
-          maintenant
+          {t('charts.bac.now')}
         </text>
       )}
       {/* Scrubber ball + hair line + tooltip */}
@@ -1552,7 +1594,7 @@ function SvgBACForecast({
           <circle cx={xs(focus.t)} cy={yc(focus.bac)} r={CHART.focus.dot} fill={focusColor} />
           <ChartTooltip x={xs(focus.t)} y={yc(focus.bac)} width={width} height={height}
             lines={[
-              `${Math.round(focus.bac)} mg/L`,
+              `${fmtBac(focus.bac, unit)} ${bacUnitLabel(unit)}`,
               fmtStatus(focus.bac),
               fmtRel(focus.t),
             ]} />
@@ -1569,7 +1611,7 @@ function SvgBACForecast({
 // Les valeurs exactes vivent dans la tooltip.
 function SvgHistogram({
   buckets, width = 320, height = 150, color, valueLabel,
-  ariaLabel = 'Histogramme de distribution',
+  ariaLabel = t('charts.histogramAria'),
 }) {
   const pad = CHART.pad.bar;
   const w = width - pad.l - pad.r;
@@ -1628,7 +1670,7 @@ function SvgHistogram({
         const ty = pad.t + h - (b.v / max) * h;
         return (
           <ChartTooltip x={tx} y={ty} width={width} height={height}
-            lines={[`${b.label}`, `${b.v}${valueLabel ? ' ' + valueLabel : ' session' + (b.v > 1 ? 's' : '')}`]} />
+            lines={[`${b.label}`, valueLabel ? `${b.v} ${valueLabel}` : t('charts.sessions', { count: b.v })]} />
         );
       })()}
     </svg>
@@ -1657,7 +1699,7 @@ const HEATMAP_BAND_ALPHA = CHART.heatmap.bandAlpha;
 // (date, n boissons, g). Hauteur dérivée de la largeur (cellule carrée).
 function SvgCalendarHeatmap({
   cells, cols = 1, scaleMax = 1, mode = 'monthGrid', width = 320,
-  ariaLabel = 'Calendrier de consommation',
+  ariaLabel = t('charts.heatmapAria'),
 }) {
   const svgRef = React.useRef(null);
   const [hover, setHover] = React.useState(null);
@@ -1689,7 +1731,9 @@ function SvgCalendarHeatmap({
 
   if (!cells.length) return null;
 
-  const dayLetters = ['L', 'M', 'M', 'J', 'V', 'S', 'D'];
+  const narrow = t('date.daysNarrow');
+  const dayLetters = [1, 2, 3, 4, 5, 6, 0].map(wd => narrow[wd]); // lundi d'abord
+  const months = t('date.monthsShort');
   // Étiquettes de mois : 1ʳᵉ colonne où apparaît le 1ᵉʳ d'un mois, PUIS
   // passe anti-collision — deux mois dont les colonnes de départ sont trop
   // proches (cellules étroites, mois courts) se chevauchaient.
@@ -1700,7 +1744,7 @@ function SvgCalendarHeatmap({
     const [, m, d] = c.date.split('-');
     if (d === '01' && !seen.has(`${c.col}-${m}`)) {
       seen.add(`${c.col}-${m}`);
-      monthTicks.push({ col: c.col, label: FR_MONTHS_SHORT[Number(m) - 1].slice(0, 4) });
+      monthTicks.push({ col: c.col, label: months[Number(m) - 1].slice(0, 4) });
     }
   }
   const shownMonthTicks = [];
@@ -1713,9 +1757,9 @@ function SvgCalendarHeatmap({
     shownMonthTicks.push({ ...t, x, w: wLbl });
   }
 
-  const fmtFrDate = (iso) => {
+  const fmtDay = (iso) => {
     const [y, m, d] = iso.split('-').map(Number);
-    return `${d} ${FR_MONTHS_SHORT[m - 1]} ${y}`;
+    return `${d} ${months[m - 1]} ${y}`;
   };
 
   return (
@@ -1752,9 +1796,9 @@ function SvgCalendarHeatmap({
         return (
           <ChartTooltip x={tx} y={ty} width={width} height={height}
             lines={[
-              fmtFrDate(hover.date),
-              `${hover.count} boisson${hover.count > 1 ? 's' : ''}`,
-              `${Math.round(hover.grams)} g d'alcool`,
+              fmtDay(hover.date),
+              t('common.drinks', { count: hover.count }),
+              t('charts.gramsAlcohol', { g: Math.round(hover.grams) }),
             ]} />
         );
       })()}
@@ -1779,7 +1823,7 @@ SvgCalendarHeatmap = React.memo(SvgCalendarHeatmap);
 
 Object.assign(window, {
   chartNiceMax, chartTicks, fmtTick, chartTooltipLayout, bacChartRange,
-  CHART, BAC_CHART_CAP, BAC_ZONE_LIGHT, BAC_ZONE_LEGAL, bacZoneColor,
+  CHART, BAC_CHART_CAP, BAC_ZONE_LIGHT, BAC_ZONE_LEGAL, bacZones, bacZoneColor,
   thinnedAxisLabels, resolveLaneLabels, radarLabelLayout, fitLabel,
   donutSegments, ChartLegend,
   SvgBarChart, SvgRadar, SvgDonut, SvgLineChart,
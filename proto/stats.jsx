@@ -30,14 +30,10 @@ function saveCollapsedSections(set, scope) {
 // are now read-only), so drop its orphaned localStorage key.
 try { localStorage.removeItem('alconote.stats.hiddenBacRecords'); } catch {}
 
-const PERIODS = [
-  { id: 'today', label: 'Jour'    },
-  { id: 'week',  label: 'Semaine' },
-  { id: 'month', label: 'Mois'    },
-  { id: 'year',  label: 'Année'   },
-  { id: 'all',   label: 'Tout'    },
-  { id: 'school', label: 'A. scol.' },
-];
+// `label` : getter, relu dans la langue courante à chaque rendu.
+const PERIODS = ['today', 'week', 'month', 'year', 'all', 'school'].map(id => ({
+  id, get label() { return t(`period.${id}`); },
+}));
 
 // BAC level classification — mirrors the legacy app --> never change the messages under no circumstances
 const BAC_LEVELS = [
@@ -52,6 +48,16 @@ function bacLevel(bac) {
   return BAC_LEVELS.find(l => bac <= l.max) || BAC_LEVELS[BAC_LEVELS.length - 1];
 }
 
+// Message affiché pour un palier. Le texte français de BAC_LEVELS est la
+// référence et n'est jamais réécrit ; une traduction n'est servie que si
+// l'utilisateur l'a demandée (i18n.jsx › bacTranslationEnabled, hors FR).
+function bacLevelText(level) {
+  const i = BAC_LEVELS.indexOf(level);
+  if (!bacTranslationEnabled() || getLocale() === DEFAULT_LOCALE || i < 0) return level.text;
+  const msg = t(`bac.level.${i}`);
+  return msg === `bac.level.${i}` ? level.text : msg;
+}
+
 // ── Period helpers ────────────────────────────────────────────────
 function _fmtIso(d) {
   const y = d.getFullYear();
@@ -127,27 +133,30 @@ function shiftAnchor(period, anchor, dir) {
 
 function periodLabel(period, anchor) {
   const { start, end } = getPeriodRange(period, anchor);
-  const sM = FR_MONTHS_LONG[start.getMonth()];
-  const eM = FR_MONTHS_LONG[end.getMonth()];
+  const sM = t('date.monthsLong')[start.getMonth()];
   if (period === 'today') {
-    return `${FR_DAYS_LONG[start.getDay()]} ${start.getDate()} ${sM}`;
+    return fmtDateLong(start);
   }
   if (period === 'week') {
     if (start.getMonth() === end.getMonth()) {
-      return `${start.getDate()} – ${end.getDate()} ${sM} ${end.getFullYear()}`;
+      return t('period.range.sameMonth', { start: start.getDate(), end: end.getDate(), month: sM, year: end.getFullYear() });
     }
-    return `${start.getDate()} ${sM.slice(0,4)}. – ${end.getDate()} ${eM.slice(0,4)}. ${end.getFullYear()}`;
+    const span = t('date.monthsSpan');
+    return t('period.range.span', {
+      start: start.getDate(), startMonth: span[start.getMonth()],
+      end: end.getDate(), endMonth: span[end.getMonth()], year: end.getFullYear(),
+    });
   }
   if (period === 'month') {
-    return `${sM[0].toUpperCase() + sM.slice(1)} ${start.getFullYear()}`;
+    return t('period.label.month', { month: sM[0].toUpperCase() + sM.slice(1), year: start.getFullYear() });
   }
   if (period === 'year') {
     return `${start.getFullYear()}`;
   }
   if (period === 'school') {
-    return `Année ${start.getFullYear()}-${end.getFullYear()}`;
+    return t('period.label.school', { start: start.getFullYear(), end: end.getFullYear() });
   }
-  return 'Depuis le début';
+  return t('period.label.all');
 }
 
 // ── Aggregation helpers (used by sections) ────────────────────────
@@ -195,7 +204,7 @@ function aggregateGeneral(drinks) {
     byDow: [0, 0, 0, 0, 0, 0, 0],
   };
   for (const d of drinks) {
-    const cl = toCl(d.quantity, d.unit);
+    const cl = drinkCl(d);
     stats.volumeCl += cl;
     stats.grams += ethanolGrams(cl, d.alcoholContent); // réutilise `cl` déjà calculé
     // Même normalisation que familyKey/ratingKey (trim + lowercase) : une
@@ -213,11 +222,12 @@ function aggregateGeneral(drinks) {
 }
 
 // BAC-driven sessions: a session begins at the first drink that pushes
-// BAC from 0 to >0 and ends exactly when BAC returns to 0 (Widmark
-// model, linear absorption over BAC_ABSORPTION_H, linear elimination at
-// `elimRate`). Replaces the legacy 4-hour gap heuristic so a "session"
-// reflects a real drinking episode (matches the BAC projection curve and
-// the "Temps bourré" / records-per-session features).
+// BAC from 0 to >0 and ends exactly when BAC returns to 0 (BAC model —
+// Widmark by default — linear absorption over each drink's food-dependent
+// window, linear elimination at `elimRate`). Replaces the legacy 4-hour
+// gap heuristic so a "session" reflects a real drinking episode (matches
+// the BAC projection curve and the "Temps bourré" / records-per-session
+// features).
 //
 // Each session carries its own deterministic id (`sess::<startTs>`) so
 // the user can mask individual records from the BAC list and the
@@ -234,12 +244,195 @@ const WIDMARK_R_FEMALE = 0.55; // facteur de distribution de Widmark (femme)
 // vivait en dur dans les trois fonctions BAC.
 function widmarkR(gender) { return gender === 'female' ? WIDMARK_R_FEMALE : WIDMARK_R_MALE; }
 
-function computeBACSessions(drinks, weight = DEFAULT_WEIGHT_KG, gender = 'male') {
-  const r = widmarkR(gender);
-  const w = weight || DEFAULT_WEIGHT_KG;
+// ── Modèles BAC ───────────────────────────────────────────────────
+// Tous les calculs d'alcoolémie (sessions, courbe temps réel, prévision,
+// BAC des amis) passent par UN objet modèle (makeBacModel) : seul le
+// volume de distribution `r` change d'un modèle à l'autre, l'élimination
+// reste BAC_ELIM_RATE. Les fonctions du moteur ne reçoivent que ce modèle :
+// computeBACSessions(drinks, model), computeBacOverTime(drinks, model, …).
+//   widmark : r fixe par genre (WIDMARK_R_*).
+//   watson  : eau corporelle totale (âge, taille, poids), r = TBW / (0,8·poids)
+//             — le sang contient ≈ 80 % d'eau.
+//   forrest : r fonction de l'IMC (Forrest 1986).
+const DEFAULT_AGE = 30;                                // ans, quand le profil ne renseigne rien
+const DEFAULT_HEIGHT_CM = { male: 175, female: 162 };  // cm, idem
+const BAC_MODELS = {
+  widmark: { id: 'widmark', label: 'Widmark', needs: [],
+    r: (p) => widmarkR(p.gender) },
+  watson:  { id: 'watson',  label: 'Watson',  needs: ['age', 'height'],
+    r: (p) => {
+      const tbw = p.gender === 'female'
+        ? -2.097 + 0.1069 * p.height + 0.2466 * p.weight
+        : 2.447 - 0.09516 * p.age + 0.1074 * p.height + 0.3362 * p.weight;
+      return tbw / (0.8 * p.weight);
+    } },
+  forrest: { id: 'forrest', label: 'Forrest', needs: ['height'],
+    r: (p) => {
+      const bmi = p.weight / ((p.height / 100) ** 2);
+      return p.gender === 'female' ? 0.8736 - 0.0124 * bmi : 1.0178 - 0.012127 * bmi;
+    } },
+};
+// Garde-fou contre un profil aberrant (taille en mètres, poids en livres…).
+const BAC_R_MIN = 0.4;
+const BAC_R_MAX = 1;
+
+// État d'estomac, porté par chaque boisson (`drink.food`, absent = à jeun) :
+// un repas étale l'absorption et en réduit la part qui atteint le sang.
+// « À jeun » reprend exactement l'absorption historique (BAC_ABSORPTION_H).
+// `label` est une clé i18n.
+const BAC_FOOD_STATES = {
+  fasted: { id: 'fasted', label: 'bacFood.fasted', absorptionH: BAC_ABSORPTION_H, bioavailability: 1 },
+  light:  { id: 'light',  label: 'bacFood.light',  absorptionH: 1,                bioavailability: 0.9 },
+  full:   { id: 'full',   label: 'bacFood.full',   absorptionH: 1.5,              bioavailability: 0.75 },
+};
+
+function bacFoodState(food) { return BAC_FOOD_STATES[food] || BAC_FOOD_STATES.fasted; }
+
+// Contenant partagé bu sur une durée (`drink.shared.windowMin`) : la part
+// est consommée régulièrement sur la fenêtre, on allonge donc d'autant la
+// durée d'absorption au lieu de tout absorber d'un coup (h, 0 sinon).
+function drinkSpreadH(d) {
+  const m = Number(d && d.shared && d.shared.windowMin);
+  return m > 0 ? m / 60 : 0;
+}
+
+// Profil → modèle. `pulse(d)` : apport d'une boisson, { grams, peak (mg/L
+// une fois tout absorbé, hors élimination), absH (durée d'absorption, h :
+// état d'estomac + fenêtre d'un contenant partagé) }.
+// `calibration` : { r, elimRate } ajustés sur les mesures d'éthylotest
+// (fitBacCalibration) — ils remplacent le r du modèle et BAC_ELIM_RATE.
+function makeBacModel({ model, weight, gender, age, height, calibration } = {}) {
+  const def = BAC_MODELS[model] || BAC_MODELS.widmark;
+  const g = gender === 'female' ? 'female' : 'male';
+  const w = Number(weight) || DEFAULT_WEIGHT_KG;
+  const p = {
+    weight: w, gender: g,
+    age: Number(age) || DEFAULT_AGE,
+    height: Number(height) || DEFAULT_HEIGHT_CM[g],
+  };
+  const raw = def.r(p);
+  const cal = calibration && Number.isFinite(calibration.r) && Number.isFinite(calibration.elimRate)
+    ? calibration : null;
+  // Widmark n'est jamais borné : ses deux constantes sont gelées.
+  const r = cal ? cal.r : def.id === 'widmark' ? raw : Math.min(BAC_R_MAX, Math.max(BAC_R_MIN, raw));
+  return {
+    id: def.id, r, weight: w, elimRate: cal ? cal.elimRate : BAC_ELIM_RATE, calibrated: !!cal,
+    pulse(d) {
+      const f = bacFoodState(d.food);
+      const grams = drinkAlcoholGrams(d);
+      return { grams, peak: (grams * f.bioavailability * 1000) / (w * r), absH: f.absorptionH + drinkSpreadH(d) };
+    },
+  };
+}
+
+// Réglages (ou profil publié d'un ami) → modèle.
+function bacModelFromSettings(settings) {
+  const s = settings || {};
+  return makeBacModel({
+    model: s.bacModel, weight: s.userWeight, gender: s.userGender,
+    age: s.userAge, height: s.userHeight,
+    calibration: parseBacCalibration(s.bacCalibration),
+  });
+}
+
+// ── Calibrage personnel (mesures d'éthylotest) ────────────────────
+// Le setting `bacCalibration` (JSON) garde le dernier ajustement :
+// { r, elimRate, n, rmse, confidence, fittedAt, since }. « Réinitialiser »
+// n'y laisse que `since` : r / elimRate absents → valeurs du modèle, et
+// seules les mesures postérieures servent au prochain ajustement.
+const BAC_CAL_MIN_READINGS = 3;
+const BAC_CAL_LOOKBACK_H = 24;                      // verres pris en compte avant une mesure
+const BAC_CAL_R_GRID = [BAC_R_MIN, BAC_R_MAX, 0.01];
+const BAC_CAL_ELIM_GRID = [80, 250, 2];             // mg/L/h, bornes physiologiques
+const BAC_CAL_CONFIDENCE = {                      // `label` : clé i18n
+  low:    { id: 'low',    label: 'bacCal.confidence.low' },
+  medium: { id: 'medium', label: 'bacCal.confidence.medium' },
+  high:   { id: 'high',   label: 'bacCal.confidence.high' },
+};
+
+function parseBacCalibration(raw) {
+  if (!raw) return null;
+  try {
+    const c = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return c && typeof c === 'object' ? c : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Ajuste (r, élimination) aux mesures par moindres carrés, sur une grille
+// fine bornée : le modèle est linéaire par morceaux avec un clamp à zéro,
+// une recherche exhaustive reste exacte et sans surprise. Chaque mesure
+// est comparée au taux que la marche du moteur BAC prédit à son instant,
+// à partir des verres des BAC_CAL_LOOKBACK_H heures précédentes (mesures
+// sans verre dans cette fenêtre ignorées). `base` : modèle du profil (son
+// poids sert ; son r est celui qu'on cherche). `since` : ignore les
+// mesures antérieures (réinitialisation). null sous BAC_CAL_MIN_READINGS.
+function fitBacCalibration(readings, drinks, base, { since = 0 } = {}) {
+  const hour = 3600_000;
+  const valid = (drinks || [])
+    .filter(d => d.date && d.time)
+    .map(d => ({ ...d, _ts: new Date(`${d.date}T${d.time}`).getTime() }))
+    .filter(d => Number.isFinite(d._ts));
+
+  // Par mesure : points de rupture à r = 1 (la pente se divise ensuite par r).
+  const cases = [];
+  for (const rd of readings || []) {
+    if (!(rd.ts > since) || !Number.isFinite(rd.bac)) continue;
+    const bps = [];
+    for (const d of valid) {
+      if (d._ts > rd.ts || rd.ts - d._ts > BAC_CAL_LOOKBACK_H * hour) continue;
+      const { peak, absH } = base.pulse(d);
+      const unit = (peak * base.r) / absH; // mg/L/h à r = 1
+      bps.push({ h: (d._ts - rd.ts) / hour, du: unit });
+      bps.push({ h: (d._ts - rd.ts) / hour + absH, du: -unit });
+    }
+    if (!bps.length) continue;
+    bps.sort((a, b) => a.h - b.h);
+    cases.push({ bac: rd.bac, bps });
+  }
+  if (cases.length < BAC_CAL_MIN_READINGS) return null;
+
+  // Taux prédit à h = 0 (instant de la mesure), élimination avec clamp.
+  const predict = (bps, r, elim) => {
+    let bac = 0, rate = 0, h = bps[0].h;
+    for (const bp of bps) {
+      const end = Math.min(bp.h, 0);
+      if (end > h) { bac = Math.max(0, bac + (rate - elim) * (end - h)); h = end; }
+      if (bp.h >= 0) break;
+      rate += bp.du / r;
+    }
+    if (h < 0) bac = Math.max(0, bac + (rate - elim) * -h);
+    return bac;
+  };
+
+  let best = null;
+  const [rLo, rHi, rStep] = BAC_CAL_R_GRID;
+  const [eLo, eHi, eStep] = BAC_CAL_ELIM_GRID;
+  for (let i = 0; i <= Math.round((rHi - rLo) / rStep); i++) {
+    const r = rLo + i * rStep;
+    for (let elim = eLo; elim <= eHi; elim += eStep) {
+      let sse = 0;
+      for (const c of cases) { const e = predict(c.bps, r, elim) - c.bac; sse += e * e; }
+      if (!best || sse < best.sse) best = { sse, r, elim };
+    }
+  }
+  const n = cases.length;
+  const rmse = Math.sqrt(best.sse / n);
+  const confidence = n >= 8 && rmse <= 100 ? 'high'
+    : n >= 5 && rmse <= 150 ? 'medium'
+    : 'low';
+  return {
+    r: Math.round(best.r * 100) / 100,
+    elimRate: Math.round(best.elim),
+    n, rmse: Math.round(rmse), confidence,
+  };
+}
+
+// `model` : makeBacModel / bacModelFromSettings (défaut : Widmark, 70 kg, homme).
+function computeBACSessions(drinks, model = makeBacModel()) {
   const hour = 3600_000;
-  const T = BAC_ABSORPTION_H;   // absorption window, hours
-  const elim = BAC_ELIM_RATE;   // mg/L per hour
+  const elim = model.elimRate;  // mg/L per hour
 
   const valid = drinks
     .filter(d => d.date && d.time)
@@ -249,21 +442,25 @@ function computeBACSessions(drinks, weight = DEFAULT_WEIGHT_KG, gender = 'male')
 
   if (valid.length === 0) return [];
 
-  // Per-drink total contribution (mg/L), absorbed linearly over [_ts, _ts+T·h].
+  // Per-drink total contribution (mg/L), absorbed linearly over
+  // [_ts, _ts + _absH·h] (window set by the drink's food state, lengthened
+  // by the consumption window of a shared container — drinkSpreadH).
   for (const d of valid) {
-    d._grams = drinkAlcoholGrams(d);
-    d._peak = (d._grams * 1000) / (w * r);
+    const pulse = model.pulse(d);
+    d._grams = pulse.grams;
+    d._peak = pulse.peak;
+    d._absH = pulse.absH;
   }
 
   // With linear absorption the BAC curve is piecewise-linear: its slope only
-  // changes when a drink starts absorbing (+peak/T per hour) or finishes one
-  // window later (−peak/T). Walk these breakpoints, integrating each segment
-  // exactly so a session closes at the precise instant BAC returns to 0, and
-  // the peak (always on a breakpoint) is captured exactly.
+  // changes when a drink starts absorbing (+peak/absH per hour) or finishes
+  // one window later (−peak/absH). Walk these breakpoints, integrating each
+  // segment exactly so a session closes at the precise instant BAC returns
+  // to 0, and the peak (always on a breakpoint) is captured exactly.
   const bps = [];
   for (const d of valid) {
-    bps.push({ t: d._ts, dr: d._peak / T, d });          // absorption begins
-    bps.push({ t: d._ts + T * hour, dr: -d._peak / T });  // absorption ends
+    bps.push({ t: d._ts, dr: d._peak / d._absH, d });                // absorption begins
+    bps.push({ t: d._ts + d._absH * hour, dr: -d._peak / d._absH });  // absorption ends
   }
   bps.sort((a, b) => a.t - b.t);
 
@@ -473,8 +670,8 @@ function fmtBourreTime(ms) {
   const days = Math.floor(totalMin / 1440);
   const h = Math.round((totalMin - days * 1440) / 60);
   // The rounded hour can hit 24 (e.g. 1j 23h45 → "1j 24h"); carry it.
-  if (h === 24) return `${days + 1}j`;
-  return h === 0 ? `${days}j` : `${days}j ${h}h`;
+  if (h === 24) return t('stats.daysShort', { n: days + 1 });
+  return h === 0 ? t('stats.daysShort', { n: days }) : `${t('stats.daysShort', { n: days })} ${h}h`;
 }
 
 // Durée en heures → "2h16" (formateur UNIQUE des contextes BAC : cellules
@@ -497,8 +694,10 @@ function fmtDurationHM(h) {
 // dérivées du modèle Widmark (Sessions / Temps bourré / % bourré) qui seraient
 // sinon calculées avec un poids par défaut (70 kg) donc fausses.
 function StatsTab({ storageScope = '', hideMap = false, hideBac = false, hidePrice = false, bacAvailable = true, reorderRef } = {}) {
-  const { drinks, loading } = useDrinks();
+  const { drinks: sourceDrinks, loading } = useDrinks();
   const settings = useSettings();
+  const ratings = useRatings();
+  const savedFilters = useSavedFilters();
   // Plusieurs sections peignent des couleurs de catégorie (donut, sessions,
   // spotlight…) : l'abonnement palette au niveau du tab re-rend toutes les
   // sections (non memoïsées) quand une teinte change (cf. useCatPalette).
@@ -510,9 +709,21 @@ function StatsTab({ storageScope = '', hideMap = false, hideBac = false, hidePri
   const [reorderMode, setReorderMode] = React.useState(false);
   if (reorderRef) reorderRef.current = () => setReorderMode(true);
 
+  // Filtre nommé de l'Historique (filters.jsx) appliqué à tout l'onglet —
+  // sur MA vue seulement ; les objectifs et l'auto-évaluation l'ignorent.
+  const [filterId, setFilterId] = React.useState(() => localStorage.getItem(_statsKey('alconote.stats.filter', storageScope)) || null);
+  const activeFilter = storageScope === '' ? savedFilters.find(s => s.id === filterId) || null : null;
+
   React.useEffect(() => {
     try { localStorage.setItem(_statsKey('alconote.stats.period', storageScope), period); } catch {}
   }, [period, storageScope]);
+  const selectFilter = (id) => {
+    setFilterId(id);
+    try {
+      if (id) localStorage.setItem(_statsKey('alconote.stats.filter', storageScope), id);
+      else localStorage.removeItem(_statsKey('alconote.stats.filter', storageScope));
+    } catch {}
+  };
 
   const toggleSection = (id) => {
     setCollapsed(prev => {
@@ -523,6 +734,21 @@ function StatsTab({ storageScope = '', hideMap = false, hideBac = false, hidePri
     });
   };
 
+  // Hoisted aggregations: every section reads from the same memo so we
+  // never recompute the same sum/session in three places. The BAC model
+  // (Widmark / Watson / Forrest + profile) comes from settings and feeds
+  // `computeBACSessions` so a session reflects the user's real profile.
+  const weight = Number(settings.userWeight) || DEFAULT_WEIGHT_KG;
+  const gender = settings.userGender || 'male';
+  const bacModel = React.useMemo(
+    () => bacModelFromSettings(settings),
+    [settings.bacModel, settings.userWeight, settings.userGender, settings.userAge, settings.userHeight, settings.bacCalibration] // eslint-disable-line react-hooks/exhaustive-deps
+  );
+  const drinks = React.useMemo(
+    () => activeFilter ? filterDrinks(sourceDrinks, activeFilter.filter, { ratings, model: bacModel }) : sourceDrinks,
+    [sourceDrinks, activeFilter, ratings, bacModel]
+  );
+
   const range = React.useMemo(() => getPeriodRange(period, anchor), [period, anchor]);
   const allRange = React.useMemo(() => {
     if (period !== 'all') return range;
@@ -546,31 +772,25 @@ function StatsTab({ storageScope = '', hideMap = false, hideBac = false, hidePri
     [drinks, prevRange]
   );
 
-  // Hoisted aggregations: every section reads from the same memo so we
-  // never recompute the same sum/session in three places. The Widmark
-  // params come from settings and feed `computeBACSessions` so a
-  // session reflects the user's real elimination rate.
-  const weight = Number(settings.userWeight) || DEFAULT_WEIGHT_KG;
-  const gender = settings.userGender || 'male';
   const agg = React.useMemo(() => aggregateGeneral(inRange), [inRange]);
   const prevAgg = React.useMemo(
     () => inPrevRange ? aggregateGeneral(inPrevRange) : null,
     [inPrevRange]
   );
   const sessions = React.useMemo(
-    () => computeBACSessions(inRange, weight, gender),
-    [inRange, weight, gender]
+    () => computeBACSessions(inRange, bacModel),
+    [inRange, bacModel]
   );
   const prevSessions = React.useMemo(
-    () => inPrevRange ? computeBACSessions(inPrevRange, weight, gender) : null,
-    [inPrevRange, weight, gender]
+    () => inPrevRange ? computeBACSessions(inPrevRange, bacModel) : null,
+    [inPrevRange, bacModel]
   );
   // All-time sessions feed BAC records (one per session, ranked by
   // peak) and the streak — those are not constrained to the visible
   // period.
   const allSessions = React.useMemo(
-    () => computeBACSessions(drinks, weight, gender),
-    [drinks, weight, gender]
+    () => computeBACSessions(drinks, bacModel),
+    [drinks, bacModel]
   );
   const streak = React.useMemo(() => computeStreak(drinks), [drinks]);
   const streakRecord = React.useMemo(() => computeStreakRecord(drinks), [drinks]);
@@ -581,12 +801,14 @@ function StatsTab({ storageScope = '', hideMap = false, hideBac = false, hidePri
   );
 
   const sp = {
-    collapsed, toggleSection, period, drinks: inRange, allDrinks: drinks,
+    collapsed, toggleSection, period, drinks: inRange, allDrinks: drinks, unfilteredDrinks: sourceDrinks,
     prevDrinks: inPrevRange, prevRange,
     settings, range: allRange, anchor,
     agg, prevAgg, sessions, prevSessions, allSessions,
     streak, streakRecord, bourreMs, prevBourreMs,
-    weight, gender, bacAvailable,
+    weight, gender, bacModel, bacAvailable,
+    // Vue d'un ami : rien de ce qui écrit en base n'est proposé.
+    readOnly: storageScope !== '',
   };
 
   // Sections visibles, dans l'ordre personnalisé (les flags de la vue
@@ -608,7 +830,7 @@ function StatsTab({ storageScope = '', hideMap = false, hideBac = false, hidePri
 
   // Aucune boisson nulle part : un seul message, pas de sélecteur de
   // période (il n'y a rien à parcourir) ni de sections vides.
-  if (drinks.length === 0) {
+  if (sourceDrinks.length === 0) {
     return (
       <div style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
         <div style={{ flex: 1, overflow: 'auto', padding: '0 16px 120px' }}>
@@ -629,14 +851,14 @@ function StatsTab({ storageScope = '', hideMap = false, hideBac = false, hidePri
             gap: 10, padding: '4px 4px 16px' }}>
             <div style={{
               fontFamily: fontSerif, fontSize: remSize(18), letterSpacing: tracking(18), color: T.ink,
-              fontStyle: 'italic' }}>Réorganiser les sections</div>
+              fontStyle: 'italic' }}>{t('nav.reorderAria')}</div>
             <button type="button" onClick={() => setReorderMode(false)} style={{
               border: 'none', fontFamily: 'inherit', cursor: 'pointer',
               background: T.accent, color: T.accentInk, fontWeight: 600,
-              fontSize: remSize(12), letterSpacing: tracking(12), padding: '8px 14px', borderRadius: 10, flexShrink: 0 }}>Terminé</button>
+              fontSize: remSize(12), letterSpacing: tracking(12), padding: '8px 14px', borderRadius: 10, flexShrink: 0 }}>{t('stats.reorder.done')}</button>
           </div>
           <div style={{
-            color: T.muted, fontSize: remSize(10.5), letterSpacing: tracking(10.5), padding: '0 4px 14px', lineHeight: 1.5 }}>Glisse une section par sa poignée pour changer l'ordre. Il est conservé définitivement.</div>
+            color: T.muted, fontSize: remSize(10.5), letterSpacing: tracking(10.5), padding: '0 4px 14px', lineHeight: 1.5 }}>{t('stats.reorder.hint')}</div>
           <SectionReorderList
             sections={visibleSections}
             onChange={saveSectionOrder}
@@ -660,9 +882,10 @@ function StatsTab({ storageScope = '', hideMap = false, hideBac = false, hidePri
   return (
     <div style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
       <PeriodSwitcher period={period} onChange={(p) => { setPeriod(p); setAnchor(new Date()); }} />
+      {storageScope === '' && <SavedFilterPills saved={savedFilters} activeId={activeFilter && activeFilter.id} onSelect={selectFilter} />}
       <div style={{ flex: 1, overflow: 'auto', padding: '0 16px 120px' }}>
         <PeriodNav period={period} anchor={anchor} onShift={(d) => setAnchor(shiftAnchor(period, anchor, d))} />
-        {!hasPeriodData && <StatsEmptyState scope="period" />}
+        {!hasPeriodData && <StatsEmptyState scope={activeFilter && drinks.length === 0 ? 'filter' : 'period'} />}
         {shownSections.map(({ id, Comp }) => <Comp key={id} {...sp} />)}
       </div>
     </div>
@@ -680,12 +903,10 @@ function StatsEmptyState({ scope }) {
       <div style={{
         fontFamily: fontSerif, fontStyle: 'italic', fontSize: remSize(18), letterSpacing: tracking(18),
         color: T.ink, marginBottom: 8 }}>
-        Pas de données disponibles
+        {t('stats.empty.title')}
       </div>
       <div style={{ fontSize: remSize(12), letterSpacing: tracking(12), color: T.muted, lineHeight: 1.6, maxWidth: 260, margin: '0 auto' }}>
-        {scope === 'global'
-          ? 'Ajoute ta première boisson avec le bouton + pour voir tes statistiques ici.'
-          : 'Aucune boisson enregistrée sur cette période.'}
+        {t(`stats.empty.${scope}`)}
       </div>
     </div>
   );
@@ -696,7 +917,7 @@ function PeriodSwitcher({ period, onChange }) {
     <div style={{
       display: 'flex', padding: '4px 16px 14px',
       overflowX: 'auto', scrollbarWidth: 'none' }}>
-      <div role="tablist" aria-label="Période" style={{
+      <div role="tablist" aria-label={t('stats.period')} style={{
         display: 'flex', gap: 2, padding: 3, background: T.surface2,
         borderRadius: 12, border: `1px solid ${T.rule}`, flexShrink: 0 }}>
         {PERIODS.map(p => (
@@ -731,12 +952,12 @@ function PeriodNav({ period, anchor, onShift }) {
     <div style={{
       display: 'flex', alignItems: 'center', justifyContent: 'space-between',
       padding: '0 4px 18px', gap: 8 }}>
-      {arrowBtn(Ic.chevL, -1, 'Période précédente')}
+      {arrowBtn(Ic.chevL, -1, t('stats.period.prev'))}
       <div style={{
         fontFamily: fontSerif, fontSize: remSize(18), letterSpacing: tracking(18), color: T.ink,
         fontStyle: 'italic', textAlign: 'center', flex: 1,
         whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{label}</div>
-      {arrowBtn(Ic.chevR, 1, 'Période suivante')}
+      {arrowBtn(Ic.chevR, 1, t('stats.period.next'))}
     </div>
   );
 }
@@ -790,7 +1011,8 @@ function StatSection({ id, title, action, children, sub, collapsed, toggleSectio
 // réorganisation) et flag de masquage contextuel (vue ami). Ajouter une
 // section = ajouter une entrée ici — l'ordre par défaut suit ce tableau.
 // Les déclarations `function` plus bas sont hoistées : les références
-// sont valides dès l'évaluation du module.
+// sont valides dès l'évaluation du module. `title` : getter, relu dans la
+// langue courante (stats.section.<id>), comme PERIODS.
 //
 // Pertinence par période (cf. CLAUDE.md § « Pertinence par période ») :
 // - `periods`  : périodes où la section se rend (absent = toutes).
@@ -801,25 +1023,29 @@ function StatSection({ id, title, action, children, sub, collapsed, toggleSectio
 const ALL_PERIODS = ['today', 'week', 'month', 'year', 'school', 'all'];
 const GLOBAL_CHART_PERIODS = ['month', 'year', 'school', 'all'];
 const STATS_SECTIONS = [
-  { id: 'general',  title: 'Statistiques générales',  Comp: GeneralSection },
-  { id: 'temporal', title: 'Analyse temporelle',      Comp: TemporalSection },
-  { id: 'heatmap',  title: 'Calendrier',              Comp: HeatmapSection },
-  { id: 'category', title: 'Analyse par catégorie',   Comp: CategorySection },
-  { id: 'top',      title: 'Top boissons',            Comp: TopDrinksSection },
-  { id: 'bac',      title: 'Alcoolémie',              Comp: BACSection,      hide: (f) => f.hideBac,
+  { id: 'general',  Comp: GeneralSection },
+  { id: 'temporal', Comp: TemporalSection },
+  { id: 'heatmap',  Comp: HeatmapSection },
+  { id: 'category', Comp: CategorySection },
+  { id: 'top',      Comp: TopDrinksSection },
+  { id: 'bac',      Comp: BACSection,      hide: (f) => f.hideBac,
     keepWhenEmpty: ALL_PERIODS },
-  { id: 'sessions', title: 'Sessions',                Comp: SessionsSection, hide: (f) => f.hideBac },
-  { id: 'map',      title: 'Carte des consommations', Comp: MapSection,      hide: (f) => f.hideMap,
+  { id: 'sessions', Comp: SessionsSection, hide: (f) => f.hideBac },
+  { id: 'map',      Comp: MapSection,      hide: (f) => f.hideMap,
     keepWhenEmpty: ALL_PERIODS },
   // Chart mensuel et moyenne mobile 30 j lisent TOUT l'historique : sans
   // objet sur « Jour » (déjà couvert par les sections du dessus), gardés
   // sur période vide dès qu'ils portent une vue globale.
-  { id: 'trends',   title: 'Tendances',     Comp: TrendsSection,
+  { id: 'trends',   Comp: TrendsSection,
     periods: ['week', 'month', 'year', 'school', 'all'], keepWhenEmpty: GLOBAL_CHART_PERIODS },
-  { id: 'advanced', title: 'Analyses avancées',       Comp: AdvancedSection,
+  { id: 'advanced', Comp: AdvancedSection,
     periods: ['week', 'month', 'year', 'school', 'all'], keepWhenEmpty: GLOBAL_CHART_PERIODS },
-  { id: 'spending', title: 'Dépenses',                Comp: SpendingSection, hide: (f) => f.hidePrice },
-];
+  { id: 'spending', Comp: SpendingSection, hide: (f) => f.hidePrice },
+  // Objectifs : chacun a sa propre période (semaine, mois, défi), donc
+  // indépendants de la période affichée (cf. goals.jsx).
+  { id: 'goals',    Comp: GoalsSection,    keepWhenEmpty: ALL_PERIODS },
+  { id: 'audit',    Comp: AuditSection,    keepWhenEmpty: ALL_PERIODS },
+].map(s => ({ ...s, get title() { return t(`stats.section.${s.id}`); } }));
 // Matrice exportée pour les tests : id → { periods, keepWhenEmpty }.
 const STATS_PERIOD_MATRIX = Object.fromEntries(STATS_SECTIONS.map(s => [
   s.id, { periods: s.periods || ALL_PERIODS, keepWhenEmpty: s.keepWhenEmpty || [] },
@@ -939,7 +1165,7 @@ function SectionReorderList({ sections, onChange }) {
             <div style={{
               flex: 1, minWidth: 0, fontSize: remSize(13), letterSpacing: tracking(13), color: T.ink, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{s.title}</div>
             <button type="button"
-              aria-label={`Déplacer « ${s.title} » — glisser, ou flèches haut/bas`}
+              aria-label={t('stats.reorder.moveAria', { title: s.title })}
               onPointerDown={(e) => {
                 e.preventDefault();
                 try {
@@ -1100,17 +1326,24 @@ function buildSessionList(sessions, n = 8) {
     }));
 }
 
-// Distribution des pics d'alcoolémie par session (mg/L), prête pour
-// SvgHistogram : { label, v }[].
-function buildSessionPeakHistogram(sessions) {
+// Distribution des pics d'alcoolémie par session, prête pour
+// SvgHistogram : { label, v }[]. Tranches fixes en mg/L ; seuls les
+// libellés suivent l'unité d'affichage (en mg/L, la forme courte « 1k »).
+const SESSION_PEAK_BOUNDS = [200, 400, 600, 800, 1000];
+function buildSessionPeakHistogram(sessions, unit = 'mgL') {
+  const f = unit === 'mgL'
+    ? (v) => (v >= 1000 ? `${v / 1000}k` : String(v))
+    : (v) => fmtBac(v, unit);
+  const b = SESSION_PEAK_BOUNDS;
   const buckets = [
-    { label: '<200', v: 0 }, { label: '200-400', v: 0 }, { label: '400-600', v: 0 },
-    { label: '600-800', v: 0 }, { label: '800-1k', v: 0 }, { label: '1k+', v: 0 },
+    { label: `<${f(b[0])}`, v: 0 },
+    ...b.slice(1).map((hi, i) => ({ label: `${f(b[i])}-${f(hi)}`, v: 0 })),
+    { label: `${f(b[b.length - 1])}+`, v: 0 },
   ];
   for (const s of (sessions || [])) {
     const p = s.peakBac || 0;
-    const idx = p < 200 ? 0 : p < 400 ? 1 : p < 600 ? 2 : p < 800 ? 3 : p < 1000 ? 4 : 5;
-    buckets[idx].v++;
+    const idx = b.findIndex(x => p < x);
+    buckets[idx < 0 ? b.length : idx].v++;
   }
   return buckets;
 }
@@ -1127,7 +1360,7 @@ function HeatmapSection({ drinks, allDrinks, period, range, anchor, collapsed, t
   );
   const hasData = hm.cells.some(c => c.grams > 0);
   return (
-    <StatSection id="heatmap" title="Calendrier" collapsed={collapsed} toggleSection={toggleSection} sub="Grammes d'alcool pur par jour">
+    <StatSection id="heatmap" title={t('stats.section.heatmap')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.heatmap.sub')}>
       <Card>
         {hasData ? (
           <ChartAutoWidth minHeight={140}>
@@ -1136,7 +1369,7 @@ function HeatmapSection({ drinks, allDrinks, period, range, anchor, collapsed, t
         ) : (
           <div style={{
             color: T.muted, fontSize: remSize(12), letterSpacing: tracking(12), padding: '8px 0', textAlign: 'center',
-            fontStyle: 'italic', fontFamily: fontSerif }}>Aucune donnée pour cette période</div>
+            fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.noData.period')}</div>
         )}
       </Card>
     </StatSection>
@@ -1145,16 +1378,17 @@ function HeatmapSection({ drinks, allDrinks, period, range, anchor, collapsed, t
 
 // ── Historique des sessions (liste + distribution des pics) ───────
 function SessionsSection({ sessions, collapsed, toggleSection }) {
+  const { unit } = useBacDisplay();
   const list = React.useMemo(() => buildSessionList(sessions, 8), [sessions]);
-  const hist = React.useMemo(() => buildSessionPeakHistogram(sessions), [sessions]);
+  const hist = React.useMemo(() => buildSessionPeakHistogram(sessions, unit), [sessions, unit]);
   const total = (sessions || []).length;
 
   return (
-    <StatSection id="sessions" title="Sessions" collapsed={collapsed} toggleSection={toggleSection} sub="Vos dernières sessions · pic d'alcoolémie">
+    <StatSection id="sessions" title={t('stats.section.sessions')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.sessions.sub')}>
       {total === 0 ? (
         <Card><div style={{
           color: T.muted, fontSize: remSize(12), letterSpacing: tracking(12), padding: '8px 0', textAlign: 'center',
-          fontStyle: 'italic', fontFamily: fontSerif }}>Aucune session sur cette période</div></Card>
+          fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.sessions.empty')}</div></Card>
       ) : (
         <>
           <Card style={{ padding: '4px 4px', marginBottom: 10 }}>
@@ -1173,12 +1407,12 @@ function SessionsSection({ sessions, collapsed, toggleSection }) {
                     <div style={{
                       color: T.ink, fontSize: remSize(13), letterSpacing: tracking(13), overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{fmtDateMedium(_fmtIso(d))} · {localTime(d)}</div>
                     <div style={{ color: T.muted, fontSize: remSize(10.5), letterSpacing: tracking(10.5), fontFamily: fontNum, marginTop: 2 }}>
-                      {fmtDurationHM(s.durationMs / 3600_000)} · {s.drinkCount} conso{s.drinkCount > 1 ? 's' : ''}
+                      {fmtDurationHM(s.durationMs / 3600_000)} · {t('stats.sessions.drinks', { count: s.drinkCount })}
                     </div>
                   </div>
                   <div style={{
-                    fontFamily: fontSerif, fontSize: remSize(17), letterSpacing: tracking(17), color: T.ink, whiteSpace: 'nowrap', flexShrink: 0 }}>{Math.round(s.peakBac)}<span style={{
-                    fontSize: remSize(9.5), letterSpacing: tracking(9.5), color: T.muted, fontFamily: fontSans, marginLeft: 2 }}>mg/L</span></div>
+                    fontFamily: fontSerif, fontSize: remSize(17), letterSpacing: tracking(17), color: T.ink, whiteSpace: 'nowrap', flexShrink: 0 }}>{fmtBac(s.peakBac, unit)}<span style={{
+                    fontSize: remSize(9.5), letterSpacing: tracking(9.5), color: T.muted, fontFamily: fontSans, marginLeft: 2 }}>{bacUnitLabel(unit)}</span></div>
                 </div>
               );
             })}
@@ -1186,9 +1420,9 @@ function SessionsSection({ sessions, collapsed, toggleSection }) {
 
           <Card>
             <div style={{
-              color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 3 }}>Distribution des pics</div>
+              color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 3 }}>{t('stats.sessions.peaks')}</div>
             <div style={{
-              color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginBottom: 12, fontStyle: 'italic', fontFamily: fontSerif }}>Pic d'alcoolémie par session (mg/L)</div>
+              color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginBottom: 12, fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.sessions.peaks.sub', { unit: bacUnitLabel(unit) })}</div>
             <ChartAutoWidth minHeight={150}>
               {(w) => <SvgHistogram buckets={hist} width={w} height={150} color={T.accent} />}
             </ChartAutoWidth>
@@ -1198,12 +1432,90 @@ function SessionsSection({ sessions, collapsed, toggleSection }) {
     </StatSection>
   );
 }
+// ── Repères de risque (totaux hebdomadaires) ──────────────────────
+// Santé publique France : « pas plus de 10 verres standard par semaine »,
+// soit 100 g d'alcool pur (verre français de 10 g, quel que soit le verre
+// standard choisi pour l'affichage). OMS (International Guide for
+// Monitoring Alcohol Consumption, 2000) : niveau de risque selon la
+// consommation moyenne par jour, seuils plus bas pour les femmes.
+const SPF_WEEKLY_MAX_G = 100;
+const WHO_RISK_BANDS = {
+  male:   [{ id: 'low', max: 40 }, { id: 'medium', max: 60 }, { id: 'high', max: 100 }, { id: 'veryHigh', max: Infinity }],
+  female: [{ id: 'low', max: 20 }, { id: 'medium', max: 40 }, { id: 'high', max: 60 }, { id: 'veryHigh', max: Infinity }],
+};
+// Libellés : stats.risk.who.<id>.
+const RISK_LEVELS = {
+  none:     { tone: 'good' },
+  low:      { tone: 'good' },
+  medium:   { tone: 'near' },
+  high:     { tone: 'over' },
+  veryHigh: { tone: 'over' },
+};
+
+// Total (g) d'une période → moyenne par semaine. Les jours futurs de la
+// période courante ne comptent pas ; sur 7 jours ou moins, le total tel quel
+// (une semaine entamée se compare déjà aux repères).
+function weeklyGramsForPeriod(grams, range, today = new Date()) {
+  const t = new Date(today); t.setHours(0, 0, 0, 0);
+  const last = t < range.end ? t : range.end;
+  const days = Math.max(1, Math.round((last - range.start) / 86400000) + 1);
+  return days <= 7 ? grams : (grams * 7) / days;
+}
+
+// → { weeklyGrams, dailyGrams, spf: 'within' | 'above', who: id RISK_LEVELS }
+function weeklyRiskBands(weeklyGrams, gender = 'male') {
+  const g = Math.max(0, Number(weeklyGrams) || 0);
+  const daily = g / 7;
+  const bands = WHO_RISK_BANDS[gender === 'female' ? 'female' : 'male'];
+  return {
+    weeklyGrams: g,
+    dailyGrams: daily,
+    spf: g <= SPF_WEEKLY_MAX_G ? 'within' : 'above',
+    who: g === 0 ? 'none' : bands.find(b => daily <= b.max).id,
+  };
+}
+
+const _riskColor = (tone) => tone === 'good' ? T.good : tone === 'near' ? T.accent : T.accent2;
+
+function RiskBandsCard({ weeklyGrams, gender, period, sd }) {
+  const r = weeklyRiskBands(weeklyGrams, gender);
+  const who = RISK_LEVELS[r.who];
+  const rows = [
+    { id: 'spf', name: t('stats.risk.spf'),
+      value: t(`stats.risk.spf.${r.spf}`),
+      hint: t('stats.risk.spf.hint', { grams: SPF_WEEKLY_MAX_G }), tone: r.spf === 'within' ? 'good' : 'over' },
+    { id: 'who', name: t('stats.risk.who'), value: t(`stats.risk.who.${r.who}`),
+      hint: t('stats.risk.who.hint', { grams: fmtNumber(r.dailyGrams, 1) }), tone: who.tone },
+  ];
+  return (
+    <Card style={{ marginBottom: 12 }} aria-label={t('stats.risk.title')}>
+      <div style={{ color: T.ink, ...type(13, { weight: 500 }), marginBottom: 3 }}>{t('stats.risk.title')}</div>
+      <div style={{ color: T.muted, ...type(10.5), marginBottom: 10, ...TYPE.num }}>
+        {t(period === 'week' ? 'stats.risk.thisWeek' : 'stats.risk.weeklyAvg')}{Math.round(r.weeklyGrams)} g · {fmtStdDrinks(r.weeklyGrams, sd)} {stdDrinkUnitLabel(toStdDrinks(r.weeklyGrams, sd), { sd })}
+      </div>
+      {rows.map(row => (
+        <div key={row.id} style={{
+          display: 'flex', alignItems: 'center', gap: 10, padding: '7px 0',
+          borderTop: `1px dashed ${T.rule}` }}>
+          <span aria-hidden="true" style={{ width: 8, height: 8, borderRadius: 99, flexShrink: 0, background: _riskColor(row.tone) }} />
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ color: T.ink2, ...type(11.5) }}>{row.name}</div>
+            <div style={{ color: T.muted, ...type(10) }}>{row.hint}</div>
+          </div>
+          <span style={{ color: _riskColor(row.tone), ...type(12, { weight: 600 }) }}>{row.value}</span>
+        </div>
+      ))}
+    </Card>
+  );
+}
+
 // ── 1. Général ────────────────────────────────────────────────────
 function GeneralSection({
   drinks, prevDrinks, prevRange, period, range, collapsed, toggleSection,
   agg, prevAgg, sessions, prevSessions, streak, streakRecord, bourreMs, prevBourreMs,
-  bacAvailable = true,
+  bacAvailable = true, gender,
 }) {
+  const sd = useStandardDrink();
   const hasPrev = prevDrinks != null && prevRange != null;
   const days = Math.max(1, Math.round((range.end - range.start) / 86400000) + 1);
   const prevDays = hasPrev
@@ -1239,17 +1551,19 @@ function GeneralSection({
     // masquées quand `bacAvailable` est faux (ami qui ne partage pas son BAC),
     // sinon elles seraient calculées avec un poids par défaut donc trompeuses.
     const out = [
-      { v: agg.count, l: 'Boissons',
+      { v: agg.count, l: t('stats.cell.drinks'),
         delta: pctChange(agg.count, prevAgg ? prevAgg.count : null) },
-      ...(bacAvailable ? [{ v: sessions.length, l: 'Sessions',
+      ...(bacAvailable ? [{ v: sessions.length, l: t('stats.section.sessions'),
         delta: pctChange(sessions.length, prevSessions ? prevSessions.length : null) }] : []),
-      { v: `${(agg.volumeCl / 100).toFixed(1)}L`, l: 'Volume',
+      { v: `${(agg.volumeCl / 100).toFixed(1)}L`, l: t('stats.cell.volume'),
         delta: pctChange(agg.volumeCl, prevAgg ? prevAgg.volumeCl : null) },
-      { v: `${Math.round(agg.grams)}g`, l: 'Alcool pur',
+      { v: `${Math.round(agg.grams)}g`, l: t('stats.cell.grams'),
+        delta: pctChange(agg.grams, prevAgg ? prevAgg.grams : null) },
+      { v: fmtStdDrinks(agg.grams, sd), l: t(sd.unit === 'unit' ? 'stats.cell.units' : 'stats.cell.stdDrinks'),
         delta: pctChange(agg.grams, prevAgg ? prevAgg.grams : null) },
-      { v: agg.uniqueCount, l: 'Boissons diff.',
+      { v: agg.uniqueCount, l: t('stats.cell.unique'),
         delta: pctChange(agg.uniqueCount, prevAgg ? prevAgg.uniqueCount : null) },
-      ...(bacAvailable ? [{ v: fmtBourreTime(bourreMs), l: 'Temps bourré',
+      ...(bacAvailable ? [{ v: fmtBourreTime(bourreMs), l: t('stats.cell.drunkTime'),
         delta: pctChange(bourreMs, prevBourreMs),
         icon: Ic.hourglass }] : []),
     ];
@@ -1266,24 +1580,24 @@ function GeneralSection({
         return (min == null || t < min) ? t : min;
       }, null);
       const pct = pctBourreAllTime(sessions, firstTs, now);
-      out.push({ v: `${pct.toFixed(1)}%`, l: '% bourré', icon: Ic.hourglass });
+      out.push({ v: `${pct.toFixed(1)}%`, l: t('stats.cell.drunkPct'), icon: Ic.hourglass });
     }
     // 'all' joins week/month/year/school: the day/week denominators come
     // from `range` (first drink → today), so these rates are meaningful.
     if (period !== 'today') {
-      out.push({ v: sober, l: 'Jours sobres',
+      out.push({ v: sober, l: t('stats.cell.soberDays'),
         delta: pctChange(sober, prevSober) });
-      out.push({ v: (agg.count / days).toFixed(1), l: 'Boissons/jour',
+      out.push({ v: (agg.count / days).toFixed(1), l: t('stats.cell.perDay'),
         delta: pctChange(agg.count / days, prevDays && prevAgg ? prevAgg.count / prevDays : null) });
     }
     if (period === 'month' || period === 'year' || period === 'school' || period === 'all') {
       const weeks = Math.max(1, days / 7);
       const prevWeeks = prevDays ? Math.max(1, prevDays / 7) : 0;
-      out.push({ v: (agg.count / weeks).toFixed(1), l: 'Boissons/sem.',
+      out.push({ v: (agg.count / weeks).toFixed(1), l: t('stats.cell.perWeek'),
         delta: pctChange(agg.count / weeks, prevWeeks && prevAgg ? prevAgg.count / prevWeeks : null) });
     }
     return out;
-  }, [agg, prevAgg, sessions, prevSessions, sober, prevSober, bourreMs, prevBourreMs, days, prevDays, period, drinks, bacAvailable]);
+  }, [agg, prevAgg, sessions, prevSessions, sober, prevSober, bourreMs, prevBourreMs, days, prevDays, period, drinks, bacAvailable, sd]);
 
   // Donut: sort categories by descending count so both the arc order
   // and the legend list match the user's mental "biggest first" model.
@@ -1296,16 +1610,16 @@ function GeneralSection({
   const catTotal = React.useMemo(() => catDist.reduce((s, x) => s + x.v, 0), [catDist]);
 
   return (
-    <StatSection id="general" title="Statistiques générales" sub="Vue d'ensemble de votre consommation" collapsed={collapsed} toggleSection={toggleSection}>
+    <StatSection id="general" title={t('stats.section.general')} sub={t('stats.general.sub')} collapsed={collapsed} toggleSection={toggleSection}>
       {streak > 0 && periodIncludesToday && (
-        <HeroStatCard icon={Ic.flame} label="Streak"
+        <HeroStatCard icon={Ic.flame} label={t('stats.streak')}
           value={streak}
-          suffix={`jour${streak > 1 ? 's' : ''} d'affilée`} />
+          suffix={t('stats.streak.days', { count: streak })} />
       )}
       {period === 'all' && streakRecord > 0 && !(streak > 0 && streakRecord === streak) && (
-        <HeroStatCard icon={Ic.flame} label="Record"
+        <HeroStatCard icon={Ic.flame} label={t('stats.streak.record')}
           value={streakRecord}
-          suffix={`jour${streakRecord > 1 ? 's' : ''} d'affilée`} />
+          suffix={t('stats.streak.days', { count: streakRecord })} />
       )}
 
       {drinks.length > 0 && (
@@ -1318,10 +1632,15 @@ function GeneralSection({
         </div>
       )}
 
+      {drinks.length > 0 && period !== 'today' && (
+        <RiskBandsCard weeklyGrams={weeklyGramsForPeriod(agg.grams, range, today)}
+          gender={gender} period={period} sd={sd} />
+      )}
+
       {catDist.length > 0 && (
         <Card>
           <div style={{
-            color: T.ink, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 500, marginBottom: 12 }}>Répartition par catégorie</div>
+            color: T.ink, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 500, marginBottom: 12 }}>{t('stats.general.byCategory')}</div>
           <div style={{ display: 'flex', alignItems: 'center', gap: 18 }}>
             <div style={{ flexShrink: 0 }}>
               <SvgDonut data={catDist} size={130} thickness={20} />
@@ -1349,7 +1668,7 @@ function GeneralSection({
         <Card>
           <div style={{
             color: T.muted, fontSize: remSize(12), letterSpacing: tracking(12), padding: '12px 0', textAlign: 'center',
-            fontStyle: 'italic', fontFamily: fontSerif }}>Aucune donnée pour cette période</div>
+            fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.noData.period')}</div>
         </Card>
       )}
     </StatSection>
@@ -1433,7 +1752,7 @@ const hourlyFormatX = (d, i) => i % 4 === 0 ? d.label : '';
 
 // ── 2. Analyse temporelle ─────────────────────────────────────────
 function TemporalSection({ drinks, period, collapsed, toggleSection, agg, sessions, bacAvailable = true }) {
-  const dayNames = ['Dim.', 'Lun.', 'Mar.', 'Mer.', 'Jeu.', 'Ven.', 'Sam.'];
+  const dayNames = t('date.daysAbbr');
   // Sur « Jour », les métriques multi-jours n'ont pas de sens (un seul jour
   // de données) : jour de pointe, écart entre sessions et radar hebdo sont
   // masqués — restent l'heure de pointe, la durée de session et le bar horaire.
@@ -1460,10 +1779,11 @@ function TemporalSection({ drinks, period, collapsed, toggleSection, agg, sessio
 
   const dailyData = React.useMemo(() => {
     const todayDow = new Date().getDay();
-    return ['L', 'M', 'M', 'J', 'V', 'S', 'D'].map((label, i) => {
-      const dow = (i + 1) % 7;
-      return { label, day: dow, v: agg.byDow[dow], today: dow === todayDow };
-    });
+    const narrow = t('date.daysNarrow');
+    // Lundi d'abord ; `day` garde l'index JS (0 = dimanche).
+    return [1, 2, 3, 4, 5, 6, 0].map(dow => ({
+      label: narrow[dow], day: dow, v: agg.byDow[dow], today: dow === todayDow,
+    }));
   }, [agg.byDow]);
 
   // Pre-shape hourly data so a parent re-render doesn't allocate a
@@ -1475,36 +1795,36 @@ function TemporalSection({ drinks, period, collapsed, toggleSection, agg, sessio
 
   if (drinks.length === 0) {
     return (
-      <StatSection id="temporal" title="Analyse temporelle" collapsed={collapsed} toggleSection={toggleSection} sub="Répartition par heures et jours">
+      <StatSection id="temporal" title={t('stats.section.temporal')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.temporal.sub')}>
         <Card><div style={{
           color: T.muted, fontSize: remSize(12), letterSpacing: tracking(12), padding: '8px 0', textAlign: 'center',
-          fontStyle: 'italic', fontFamily: fontSerif }}>Aucune donnée pour cette période</div></Card>
+          fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.noData.period')}</div></Card>
       </StatSection>
     );
   }
 
   return (
-    <StatSection id="temporal" title="Analyse temporelle" collapsed={collapsed} toggleSection={toggleSection} sub="Répartition par heures et jours">
+    <StatSection id="temporal" title={t('stats.section.temporal')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.temporal.sub')}>
       <div style={{
         display: 'grid', gridTemplateColumns: 'repeat(2, minmax(0, 1fr))', gap: 8, marginBottom: 10 }}>
-        <MiniStat big={peakHour != null ? `${peakHour}h` : '—'} label="Heure de pointe" />
-        {multiDay && <MiniStat big={peakDow != null ? dayNames[peakDow] : '—'} label="Jour de pointe" />}
+        <MiniStat big={peakHour != null ? `${peakHour}h` : '—'} label={t('stats.temporal.peakHour')} />
+        {multiDay && <MiniStat big={peakDow != null ? dayNames[peakDow] : '—'} label={t('stats.temporal.peakDay')} />}
         {/* Durées de session = modèle BAC (poids/sexe) : masquées pour un ami
             qui ne partage pas son BAC (sinon poids par défaut → valeurs fausses). */}
-        {bacAvailable && <MiniStat big={fmtH(avgDuration)} label="Durée moy. session" />}
-        {bacAvailable && multiDay && <MiniStat big={between > 0 ? `${between.toFixed(1)}j` : '—'} label="Entre sessions" />}
+        {bacAvailable && <MiniStat big={fmtH(avgDuration)} label={t('stats.temporal.avgSession')} />}
+        {bacAvailable && multiDay && <MiniStat big={between > 0 ? t('stats.daysShort', { n: between.toFixed(1) }) : '—'} label={t('stats.temporal.between')} />}
       </div>
 
       <Card style={{ marginBottom: 10 }}>
         <div style={{
-          color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 10 }}>Par heure</div>
+          color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 10 }}>{t('stats.temporal.byHour')}</div>
         <ChartAutoWidth minHeight={150}>
           {(w) => (
             <SvgBarChart
               data={hourlyData}
               width={w} height={150} color={T.accent}
               formatX={hourlyFormatX}
-              valueLabel="boisson(s)"
+              valueLabel={t('stats.valueDrinks')}
             />
           )}
         </ChartAutoWidth>
@@ -1513,9 +1833,9 @@ function TemporalSection({ drinks, period, collapsed, toggleSection, agg, sessio
       {multiDay && (
         <Card>
           <div style={{
-            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 4 }}>Par jour de la semaine</div>
+            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 4 }}>{t('stats.temporal.byDay')}</div>
           <ChartAutoWidth minHeight={250} maxWidth={300}>
-            {(w) => <SvgRadar data={dailyData} size={w} color={T.good} valueLabel="boisson(s)" />}
+            {(w) => <SvgRadar data={dailyData} size={w} color={T.good} valueLabel={t('stats.valueDrinks')} />}
           </ChartAutoWidth>
         </Card>
       )}
@@ -1536,7 +1856,7 @@ function DeltaBadge({ delta }) {
            : positive ? T.deltaPosBg : T.deltaNegBg;
   const value = `${Math.abs(delta).toFixed(0)}%`;
   const arrowIcon = flat ? Ic.trendFlat : rising ? Ic.trendUp : Ic.trendDown;
-  const ariaDir = flat ? 'stable' : (rising ? 'hausse' : 'baisse');
+  const ariaDir = flat ? 'flat' : (rising ? 'up' : 'down');
   return (
     <div style={{
       position: 'absolute', top: 8, right: 8,
@@ -1545,7 +1865,7 @@ function DeltaBadge({ delta }) {
       background: bg, padding: '2px 6px', borderRadius: 99,
       border: `1px solid ${withAlpha(fg, 0.18)}`,
       lineHeight: 1,
-    }} aria-label={`${ariaDir} de ${value} vs période précédente`}>
+    }} aria-label={t(`stats.delta.${ariaDir}`, { value })}>
       <SvgIcon icon={arrowIcon} size={9} />{value}
     </div>
   );
@@ -1568,15 +1888,17 @@ function MiniStat({ big, label }) {
 }
 // ── 3. Analyse par catégorie ─────────────────────────────────────
 function CategorySection({ drinks, collapsed, toggleSection }) {
+  const sd = useStandardDrink();
   const byCat = React.useMemo(() => {
     const map = {};
     for (const d of drinks) {
       const cat = canonicalCat(d.category) || 'Autre';
-      if (!map[cat]) map[cat] = { name: cat, count: 0, volumeCl: 0, abvSum: 0, abvN: 0, names: {} };
+      if (!map[cat]) map[cat] = { name: cat, count: 0, volumeCl: 0, grams: 0, abvSum: 0, abvN: 0, names: {} };
       const e = map[cat];
       e.count++;
-      const cl = toCl(d.quantity, d.unit);
+      const cl = drinkCl(d);
       e.volumeCl += cl;
+      e.grams += ethanolGrams(cl, d.alcoholContent);
       if (d.alcoholContent) { e.abvSum += d.alcoholContent; e.abvN++; }
       // Clé normalisée (comme Top boissons / « Boissons diff. ») : la
       // favorite ne se scinde pas sur une variante de casse/espaces.
@@ -1595,16 +1917,16 @@ function CategorySection({ drinks, collapsed, toggleSection }) {
 
   if (byCat.length === 0) {
     return (
-      <StatSection id="category" title="Analyse par catégorie" collapsed={collapsed} toggleSection={toggleSection} sub="Statistiques par type de boisson">
+      <StatSection id="category" title={t('stats.section.category')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.category.sub')}>
         <Card><div style={{
           color: T.muted, fontSize: remSize(12), letterSpacing: tracking(12), padding: '8px 0', textAlign: 'center',
-          fontStyle: 'italic', fontFamily: fontSerif }}>Aucune donnée</div></Card>
+          fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.noData')}</div></Card>
       </StatSection>
     );
   }
 
   return (
-    <StatSection id="category" title="Analyse par catégorie" collapsed={collapsed} toggleSection={toggleSection} sub="Statistiques par type de boisson">
+    <StatSection id="category" title={t('stats.section.category')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.category.sub')}>
       <div style={{ display: 'grid', gap: 8 }}>
         {byCat.map(c => {
           const fav = c.fav;
@@ -1623,10 +1945,12 @@ function CategorySection({ drinks, collapsed, toggleSection }) {
               </div>
               <div style={{
                 display: 'grid', gridTemplateColumns: 'repeat(2, minmax(0, 1fr))', gap: '5px 14px' }}>
-                <StatRow label="Volume" value={`${(c.volumeCl / 100).toFixed(1)}L`} />
-                <StatRow label="Volume moyen" value={`${avgVol.toFixed(2)}L`} />
-                <StatRow label="Degré moyen" value={`${avgAbv.toFixed(1)}%`} />
-                <StatRow label="Favorite" value={fav ? fav.name : '—'} truncate />
+                <StatRow label={t('stats.cell.volume')} value={`${(c.volumeCl / 100).toFixed(1)}L`} />
+                <StatRow label={t('stats.category.avgVolume')} value={`${avgVol.toFixed(2)}L`} />
+                <StatRow label={t('stats.category.avgAbv')} value={`${avgAbv.toFixed(1)}%`} />
+                <StatRow label={t('stats.category.favorite')} value={fav ? fav.name : '—'} truncate />
+                <StatRow label={t('stats.cell.grams')} value={`${Math.round(c.grams)}g`} />
+                <StatRow label={t(sd.unit === 'unit' ? 'stats.cell.units' : 'stats.cell.stdDrinks')} value={fmtStdDrinks(c.grams, sd)} />
               </div>
             </Card>
           );
@@ -1654,6 +1978,7 @@ function StatRow({ label, value, truncate }) {
 // ── 4. Top 10 des boissons ────────────────────────────────────────
 function TopDrinksSection({ drinks, collapsed, toggleSection }) {
   const ratings = useRatings();
+  const sd = useStandardDrink();
   const top = React.useMemo(() => {
     const map = {};
     for (const d of drinks) {
@@ -1662,11 +1987,13 @@ function TopDrinksSection({ drinks, collapsed, toggleSection }) {
       // la première casse rencontrée.
       const key = drinkNameKey(d.name);
       if (!map[key]) {
-        map[key] = { name: (d.name || '').trim(), count: 0, volumeCl: 0, lastDate: null };
+        map[key] = { name: (d.name || '').trim(), count: 0, volumeCl: 0, grams: 0, lastDate: null };
       }
       const e = map[key];
       e.count++;
-      e.volumeCl += toCl(d.quantity, d.unit);
+      const cl = drinkCl(d);
+      e.volumeCl += cl;
+      e.grams += ethanolGrams(cl, d.alcoholContent);
       if (!e.lastDate || (d.date || '') > e.lastDate) e.lastDate = d.date;
     }
     return Object.values(map).sort((a, b) => b.count - a.count).slice(0, 10);
@@ -1674,16 +2001,16 @@ function TopDrinksSection({ drinks, collapsed, toggleSection }) {
 
   if (top.length === 0) {
     return (
-      <StatSection id="top" title="Top 10 des boissons" collapsed={collapsed} toggleSection={toggleSection} sub="Vos boissons les plus consommées">
+      <StatSection id="top" title={t('stats.top.title')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.top.sub')}>
         <Card><div style={{
           color: T.muted, fontSize: remSize(12), letterSpacing: tracking(12), padding: '8px 0', textAlign: 'center',
-          fontStyle: 'italic', fontFamily: fontSerif }}>Aucune donnée</div></Card>
+          fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.noData')}</div></Card>
       </StatSection>
     );
   }
 
   return (
-    <StatSection id="top" title="Top 10 des boissons" collapsed={collapsed} toggleSection={toggleSection} sub="Vos boissons les plus consommées">
+    <StatSection id="top" title={t('stats.top.title')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.top.sub')}>
       <Card style={{ padding: '4px 4px' }}>
         {top.map((d, i) => (
           <div key={d.name} style={{
@@ -1706,7 +2033,7 @@ function TopDrinksSection({ drinks, collapsed, toggleSection }) {
               </div>
               <div style={{
                 color: T.muted, fontSize: remSize(10.5), letterSpacing: tracking(10.5), fontFamily: fontNum }}>
-                {d.count} fois · {(d.volumeCl / 100).toFixed(2)}L · {fmtDateMedium(d.lastDate)}
+                {t('stats.top.times', { count: d.count })} · {(d.volumeCl / 100).toFixed(2)}L · {fmtStdDrinks(d.grams, sd)} {stdDrinkUnitLabel(toStdDrinks(d.grams, sd), { sd })} · {fmtDateMedium(d.lastDate)}
               </div>
             </div>
             <div style={{
@@ -1718,12 +2045,13 @@ function TopDrinksSection({ drinks, collapsed, toggleSection }) {
   );
 }
 // ── 5. Alcoolémie (BAC + records) ────────────────────────────────
-// Seuil légal de conduite affiché partout (0,5 g/L = 500 mg/L). Constante
-// nommée du moteur BAC, partagée par la cellule « Conduite » et les calculs.
-const BAC_LEGAL_LIMIT = 500;
+// Pas de seuil légal ici : il vient du profil de conduite (shared.jsx ›
+// BAC_PROFILES, bacLegalLimit) et les calculs le reçoivent toujours en
+// paramètre — pas de repli silencieux sur la France.
 
 // Courbe BAC temps réel (fenêtre 48 h) — MÊME modèle que computeBACSessions :
-// absorption linéaire sur BAC_ABSORPTION_H, élimination constante, et marche
+// absorption linéaire sur la fenêtre de chaque verre (BAC_ABSORPTION_H à
+// jeun, plus longue après un repas), élimination constante, et marche
 // exacte des points de rupture avec CLAMP À ZÉRO (l'élimination s'arrête quand
 // le taux touche 0). L'ancienne forme fermée
 //   max(0, Σ absorbé(t) − elim·(t − t_première))
@@ -1738,13 +2066,13 @@ const BAC_LEGAL_LIMIT = 500;
 //   current   : taux maintenant (mg/L, arrondi).
 //   soberInH  : heures avant le retour FINAL à 0 (tient compte de
 //               l'absorption en cours : le taux peut encore monter) ; 0 si sobre.
-//   legalInH  : heures avant de repasser définitivement sous BAC_LEGAL_LIMIT.
+//   legalInH  : heures avant de repasser définitivement sous `legalLimit`
+//               (mg/L, seuil du profil de conduite) ; null sans seuil.
 //   sobrietyT : instant (h, rel. maintenant) du retour final à 0 ; firstT :
 //               première boisson de la fenêtre.
-function computeBacOverTime(drinks, weight, gender) {
-  const r = widmarkR(gender);
-  const w = weight || DEFAULT_WEIGHT_KG;
-  const elimRate = BAC_ELIM_RATE; // mg/L/h elimination (constante partagée du moteur BAC)
+function computeBacOverTime(drinks, model = makeBacModel(), { legalLimit } = {}) {
+  const elimRate = model.elimRate; // mg/L/h elimination (constante partagée du moteur BAC)
+  const hasLimit = Number.isFinite(legalLimit);
   const now = Date.now();
   // 48 h (et non 24) : une session marathon à cheval sur plus d'une journée
   // (festival…) serait tronquée par une fenêtre de 24 h — l'épisode courant
@@ -1758,17 +2086,17 @@ function computeBacOverTime(drinks, weight, gender) {
     .sort((a, b) => a._ts - b._ts);
 
   if (recent.length === 0) {
-    return { points: [], current: 0, drinks: [], elimRate, nowT: 0, soberInH: 0, legalInH: 0 };
+    return { points: [], current: 0, drinks: [], elimRate, nowT: 0, soberInH: 0, legalInH: hasLimit ? 0 : null };
   }
 
   // Points de rupture : la pente ne change qu'au début (+pic/T_abs) et à la
   // fin (−pic/T_abs) de la fenêtre d'absorption de chaque boisson.
   const bps = [];
   for (const d of recent) {
-    const peak = (drinkAlcoholGrams(d) * 1000) / (w * r);
+    const { peak, absH } = model.pulse(d);
     const h0 = (d._ts - now) / 3600_000; // heures relatives à maintenant (≤ 0)
-    bps.push({ h: h0, dr: peak / BAC_ABSORPTION_H });
-    bps.push({ h: h0 + BAC_ABSORPTION_H, dr: -peak / BAC_ABSORPTION_H });
+    bps.push({ h: h0, dr: peak / absH });
+    bps.push({ h: h0 + absH, dr: -peak / absH });
   }
   bps.sort((a, b) => a.h - b.h);
 
@@ -1840,9 +2168,9 @@ function computeBacOverTime(drinks, weight, gender) {
     return null;
   };
   const zeroH = lastDropBelow(0);
-  const legalH = lastDropBelow(BAC_LEGAL_LIMIT);
+  const legalH = hasLimit ? lastDropBelow(legalLimit) : null;
   const soberInH = zeroH != null ? Math.max(0, zeroH) : 0;
-  const legalInH = legalH != null ? Math.max(0, legalH) : 0;
+  const legalInH = hasLimit ? (legalH != null ? Math.max(0, legalH) : 0) : null;
 
   // Début du DERNIER épisode (≤ maintenant) : dernier sommet à 0 suivi d'une
   // montée. La courbe affichée démarre là — un épisode de la veille déjà
@@ -1899,10 +2227,8 @@ function computeBacOverTime(drinks, weight, gender) {
 // which the projected curve first reaches that peak — `null` if the
 // projection never gets there (which the chart renders as an "∞" marker
 // pinned to the right edge).
-function computeBacForecast(currentBac, allSessions, weight, gender, nowMs, futurePoints = []) {
-  const r = widmarkR(gender);
-  const w = weight || DEFAULT_WEIGHT_KG;
-  const elimRate = BAC_ELIM_RATE; // mg/L/h, shared with the rest of the BAC engine
+function computeBacForecast(currentBac, allSessions, model, nowMs, futurePoints = []) {
+  const elimRate = model.elimRate; // mg/L/h, shared with the rest of the BAC engine
 
   const sessions = (allSessions || []).filter(s => s && s.drinks && s.drinks.length > 0);
   // The ongoing session is the one whose BAC window contains "now"
@@ -1959,8 +2285,11 @@ function computeBacForecast(currentBac, allSessions, weight, gender, nowMs, futu
     ? Math.max(nowMs, sessionStartMs + meanDrinkingMs)
     : nowMs;
 
-  // Injection rate of the EXTRA (still-to-come) drinking, at the current pace.
-  const consumptionSlope = (currentRateGph * 1000) / (w * r); // mg/L/h
+  // Injection rate of the EXTRA (still-to-come) drinking, at the current pace
+  // — assumed on the same stomach as the last drink poured.
+  const lastPoured = poured[poured.length - 1];
+  const bio = bacFoodState(lastPoured && lastPoured.food).bioavailability;
+  const consumptionSlope = (currentRateGph * bio * 1000) / (model.weight * model.r); // mg/L/h
   const tStopH = Math.max(0, (estStopMs - nowMs) / 3600_000);
 
   // Projection by the SAME exact breakpoint walk as the BAC engine, starting
@@ -1978,11 +2307,11 @@ function computeBacForecast(currentBac, allSessions, weight, gender, nowMs, futu
   const fbps = [];
   let rate0 = 0; // active absorption rate at t=0 (mg/L/h)
   for (const d of poured) {
-    const peak = ((d._grams || 0) * 1000) / (w * r);
-    const endRelH = (d._ts - nowMs) / 3600_000 + BAC_ABSORPTION_H; // absorption end
+    const { peak, absH } = d._peak != null && d._absH ? { peak: d._peak, absH: d._absH } : model.pulse(d);
+    const endRelH = (d._ts - nowMs) / 3600_000 + absH; // absorption end
     if (endRelH > 1e-9) {            // still absorbing at now
-      rate0 += peak / BAC_ABSORPTION_H;
-      fbps.push({ h: endRelH, dr: -peak / BAC_ABSORPTION_H });
+      rate0 += peak / absH;
+      fbps.push({ h: endRelH, dr: -peak / absH });
     }
     // fully absorbed before now → already baked into currentBac.
   }
@@ -2094,23 +2423,132 @@ function useBacInfo() {
 function BacProvider({ children }) {
   const { drinks } = useDrinks();
   const settings = useSettings();
+  const legalLimit = bacLegalLimit(useBacDisplay());
   const [bacTick, setBacTick] = React.useState(0);
   React.useEffect(() => {
     const id = setInterval(() => setBacTick(t => t + 1), 60_000);
     return () => clearInterval(id);
   }, []);
   const bacInfo = React.useMemo(() => {
-    const w = Number(settings.userWeight) || DEFAULT_WEIGHT_KG;
-    const g = settings.userGender || 'male';
     if (typeof computeBacOverTime !== 'function') return { current: 0, points: [], drinks: [] };
-    return computeBacOverTime(drinks, w, g);
+    return computeBacOverTime(drinks, bacModelFromSettings(settings), { legalLimit });
     // bacTick is an intentional dep: it keeps the value decaying live even
-    // when neither the drinks nor the Widmark settings change.
+    // when neither the drinks nor the BAC profile settings change.
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [drinks, settings.userWeight, settings.userGender, bacTick]);
+  }, [drinks, settings.bacModel, settings.userWeight, settings.userGender,
+    settings.userAge, settings.userHeight, settings.bacCalibration, legalLimit, bacTick]);
   return <BacContext.Provider value={bacInfo}>{children}</BacContext.Provider>;
 }
 
+// ── Alertes BAC (notifications locales) ──────────────────────────
+// Planifiées sur la MÊME courbe que la pastille (BacProvider) : « sous le
+// seuil » à legalInH, « sobre » à soberInH. Transport : data.jsx ›
+// scheduleNotifications (service worker). La plage silencieuse
+// (settings notify.quietStart / notify.quietEnd) écarte les alertes
+// programmées qui y tomberaient ; l'alerte de pic, elle, répond à un verre
+// que l'on vient de saisir — personne n'est réveillé par elle.
+const BAC_NOTIFY_TAGS = { legal: 'alconote-bac-legal', sober: 'alconote-bac-sober', peak: 'alconote-bac-peak' };
+
+const _hmToMinutes = (s) => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(s || '');
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+const _clockHM = (ms) => {
+  const d = new Date(ms);
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+};
+
+function quietHoursFromSettings(settings) {
+  return { start: (settings && settings['notify.quietStart']) || null, end: (settings && settings['notify.quietEnd']) || null };
+}
+
+// `ms` dans la plage [start, end[ (heure locale) ? Franchit minuit quand
+// start > end (23:00 → 07:00). Plage incomplète ou vide → jamais.
+function isQuietTime(ms, quiet) {
+  const start = _hmToMinutes(quiet && quiet.start);
+  const end = _hmToMinutes(quiet && quiet.end);
+  if (start == null || end == null || start === end) return false;
+  const d = new Date(ms);
+  const m = d.getHours() * 60 + d.getMinutes();
+  return start < end ? (m >= start && m < end) : (m >= start || m < end);
+}
+
+// Pic à venir (t ≥ maintenant) de la courbe → { t, bac } ou null.
+function bacUpcomingPeak(bacInfo) {
+  let best = null;
+  for (const p of (bacInfo && bacInfo.points) || []) {
+    if (p.t >= -1e-9 && (!best || p.bac > best.bac)) best = p;
+  }
+  return best;
+}
+
+// Lot programmé → [{ tag, at (ms), title, body }], trié par instant. Avec
+// un seuil à 0 (profil zéro tolérance) « sous le seuil » = « sobre » : une
+// seule alerte.
+function planBacNotifications(bacInfo, { legalLimit, unit, now = Date.now(), quiet } = {}) {
+  const out = [];
+  const push = (tag, inH, body) => {
+    if (!(inH > 0)) return;
+    const at = Math.round(now + inH * 3600_000);
+    if (isQuietTime(at, quiet)) return;
+    out.push({ tag, at, title: 'AlcoNote', body: body(_clockHM(at)) });
+  };
+  if (legalLimit > 0 && bacInfo.legalInH < bacInfo.soberInH) {
+    push(BAC_NOTIFY_TAGS.legal, bacInfo.legalInH,
+      (hm) => t('stats.notify.legal', { limit: `${fmtBac(legalLimit, unit)} ${bacUnitLabel(unit)}`, time: hm }));
+  }
+  push(BAC_NOTIFY_TAGS.sober, bacInfo.soberInH, (hm) => t('stats.notify.sober', { time: hm }));
+  return out;
+}
+
+// Alerte immédiate quand un verre fait passer le pic À VENIR au-dessus du
+// seuil (il ne l'était pas avant ce verre). null sinon.
+function bacPeakWarning(before, after, { legalLimit, unit, now = Date.now() } = {}) {
+  const prev = bacUpcomingPeak(before), next = bacUpcomingPeak(after);
+  if (!next || !(next.bac > legalLimit)) return null;
+  if (prev && prev.bac > legalLimit) return null;
+  return {
+    tag: BAC_NOTIFY_TAGS.peak, at: now, title: 'AlcoNote',
+    body: t('stats.notify.peak', {
+      bac: `${fmtBac(next.bac, unit)} ${bacUnitLabel(unit)}`, time: _clockHM(now + next.t * 3600_000),
+    }),
+  };
+}
+
+// Re-planifie à chaque rechargement des verres (chaque bump 'drinks') et
+// à chaque changement de réglage — pas au tick de 60 s : les instants sont
+// absolus. Monté une seule fois, sous le BacProvider de l'app (jamais pour
+// la vue d'un ami). Une annulation (section BAC) vaut jusqu'au verre suivant.
+function BacNotifier() {
+  const { drinks, loading } = useDrinks();
+  const settings = useSettings();
+  const bacInfo = useBacInfo();
+  const display = useBacDisplay();
+  const legalLimit = bacLegalLimit(display);
+  const enabled = settings.notifications === true;
+  const quiet = quietHoursFromSettings(settings);
+  const infoRef = React.useRef(bacInfo);
+  infoRef.current = bacInfo;
+  const prevDrinksRef = React.useRef(null);
+  React.useEffect(() => {
+    if (loading) return;
+    const prev = prevDrinksRef.current;
+    prevDrinksRef.current = drinks;
+    if (!enabled) { cancelScheduledNotifications(); return; }
+    const opts = { legalLimit, unit: display.unit, quiet };
+    scheduleNotifications(planBacNotifications(infoRef.current, opts));
+    if (prev && drinks.length > prev.length) {
+      const before = computeBacOverTime(prev, bacModelFromSettings(settings), { legalLimit });
+      const warning = bacPeakWarning(before, infoRef.current, opts);
+      if (warning) showNotificationNow(warning);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [drinks, loading, enabled, legalLimit, display.unit, quiet.start, quiet.end,
+    settings.bacModel, settings.userWeight, settings.userGender, settings.userAge,
+    settings.userHeight, settings.bacCalibration]);
+  return null;
+}
+
 // Wraps SvgBACProjection in a width-measured container so the viewBox
 // matches actual pixel dimensions. Eliminates preserveAspectRatio
 // whitespace and prevents truncation of axis/threshold labels.
@@ -2123,20 +2561,20 @@ function BacProvider({ children }) {
 // narrowest phone screens we support.
 const bacChartHeight = (width) => Math.max(180, Math.min(240, Math.round(width * 0.6)));
 
-function BACProjectionResponsive({ points }) {
+function BACProjectionResponsive({ points, legalLimit, unit, readings }) {
   return (
     <ChartAutoWidth minHeight={180}>
       {(width) => (
         <SvgBACProjection
           points={points} width={width} height={bacChartHeight(width)}
-          nowMs={Date.now()}
+          nowMs={Date.now()} legalLimit={legalLimit} unit={unit} readings={readings}
         />
       )}
     </ChartAutoWidth>
   );
 }
 
-function BACForecastResponsive({ realPoints, projectedPoints, meanPeakBac, etaPeakHours, truncated }) {
+function BACForecastResponsive({ realPoints, projectedPoints, meanPeakBac, etaPeakHours, truncated, legalLimit, unit }) {
   return (
     <ChartAutoWidth minHeight={180}>
       {(width) => (
@@ -2144,6 +2582,7 @@ function BACForecastResponsive({ realPoints, projectedPoints, meanPeakBac, etaPe
           realPoints={realPoints} projectedPoints={projectedPoints}
           meanPeakBac={meanPeakBac} etaPeakHours={etaPeakHours} truncated={truncated}
           width={width} height={bacChartHeight(width)} nowMs={Date.now()}
+          legalLimit={legalLimit} unit={unit}
         />
       )}
     </ChartAutoWidth>
@@ -2169,11 +2608,162 @@ function ForecastToggle({ enabled, onChange }) {
       fontWeight: active ? 600 : 500, transition: 'background 0.18s ease, color 0.18s ease' }}>{label}</button>
   );
   return (
-    <div role="group" aria-label="Affichage de la prévision" style={{
+    <div role="group" aria-label={t('stats.forecast.toggleAria')} style={{
       display: 'flex', gap: 2, padding: 2, background: T.surface3,
       borderRadius: 9, border: `1px solid ${T.rule}`, flexShrink: 0 }}>
-      {pill(enabled, 'Affichée', () => onChange(true))}
-      {pill(!enabled, 'Masquée', () => onChange(false))}
+      {pill(enabled, t('stats.forecast.shown'), () => onChange(true))}
+      {pill(!enabled, t('stats.forecast.hidden'), () => onChange(false))}
+    </div>
+  );
+}
+
+// État d'estomac de la session en cours : appliqué à tous ses verres (et
+// repris par les suivants, cf. data.jsx › addDrink). Segmenté radio, comme
+// UnitToggle.
+function FoodToggle({ value, onChange }) {
+  return (
+    <div role="radiogroup" aria-label={t('stats.food.aria')} style={{
+      display: 'flex', gap: 4, padding: 3,
+      background: T.surface2, borderRadius: 10, border: `1px solid ${T.rule}` }}>
+      {Object.values(BAC_FOOD_STATES).map(f => {
+        const on = value === f.id;
+        return (
+          <button key={f.id} type="button" role="radio" aria-checked={on}
+            className="alco-press"
+            onClick={() => { if (!on) { haptic('select'); onChange(f.id); } }} style={{
+              flex: 1, padding: '7px 0', borderRadius: 7, textAlign: 'center',
+              cursor: 'pointer', ...type(11, { weight: on ? 600 : 400 }),
+              background: on ? T.ink : 'transparent',
+              color: on ? T.bg : T.ink2,
+              minWidth: 0, touchAction: 'manipulation',
+              border: 'none', fontFamily: 'inherit' }}>{t(f.label)}</button>
+        );
+      })}
+    </div>
+  );
+}
+
+// Mesures d'éthylotest : saisie (valeur + unité + heure, du jour ou de la
+// veille si l'heure est à venir), trois dernières mesures, et état du
+// calibrage personnel qu'elles alimentent (data.jsx › refitBacCalibration).
+function BreathalyzerCard({ readings, calibration, unit }) {
+  const [value, setValue] = React.useState('');
+  const [readingUnit, setReadingUnit] = React.useState('air');
+  const [time, setTime] = React.useState(() => localTime(new Date()));
+  const [busy, setBusy] = React.useState(false);
+  const cal = calibration && Number.isFinite(calibration.r) ? calibration : null;
+  const missing = Math.max(0, BAC_CAL_MIN_READINGS - (readings || [])
+    .filter(r => r.ts > ((calibration && calibration.since) || 0)).length);
+
+  const onAdd = async () => {
+    const at = new Date(`${localDate(new Date())}T${time}`);
+    if (at.getTime() > Date.now()) at.setDate(at.getDate() - 1);
+    setBusy(true);
+    try {
+      await addBacReading({ ts: at.getTime(), value, unit: readingUnit });
+      setValue('');
+      Toast.show(t('stats.reading.saved'));
+    } catch (e) {
+      Toast.show(e.message === t('data.error.reading') ? e.message : t('stats.reading.saveError'));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const onReset = async () => {
+    const ok = await Confirm.ask({
+      title: t('stats.calibration.reset.title'),
+      message: t('stats.calibration.reset.message'),
+      confirmText: t('stats.calibration.reset'),
+    });
+    if (ok) await resetBacCalibration();
+  };
+
+  const recent = (readings || []).slice(-3).reverse();
+  return (
+    <Card style={{ marginBottom: 10 }}>
+      <div style={{ color: T.ink, ...type(12.5, { weight: 500 }), marginBottom: 10 }}>{t('stats.reading.title')}</div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 8 }}>
+        <NumberField value={value} onChange={setValue} ariaLabel={t('stats.reading.valueAria')}
+          placeholder={readingUnit === 'air' ? '0,25' : '0,50'}
+          style={{ width: 72, padding: '8px 10px', ...type(13), textAlign: 'right', borderRadius: 8 }} />
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div role="radiogroup" aria-label={t('stats.reading.unitAria')} style={{
+            display: 'flex', gap: 4, padding: 3,
+            background: T.surface2, borderRadius: 10, border: `1px solid ${T.rule}` }}>
+            {Object.entries(BAC_READING_UNITS).map(([id, u]) => (
+              <button key={id} type="button" role="radio" aria-checked={readingUnit === id}
+                onClick={() => setReadingUnit(id)} style={{
+                  flex: 1, padding: '7px 0', borderRadius: 7, textAlign: 'center', whiteSpace: 'nowrap',
+                  ...type(11, { weight: readingUnit === id ? 600 : 400 }), cursor: 'pointer',
+                  background: readingUnit === id ? T.ink : 'transparent',
+                  color: readingUnit === id ? T.bg : T.ink2,
+                  border: 'none', fontFamily: 'inherit' }}>{t(u.label)}</button>
+            ))}
+          </div>
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: recent.length ? 10 : 8 }}>
+        <div style={{ flex: 1 }}>
+          <TimeField value={time} onChange={setTime} ariaLabel={t('stats.reading.timeAria')} />
+        </div>
+        <button type="button" onClick={onAdd} disabled={busy || !value} style={{
+          border: 'none', fontFamily: 'inherit', cursor: 'pointer',
+          background: T.accent, color: T.accentInk, ...type(12, { weight: 600 }),
+          padding: '10px 14px', borderRadius: 10, opacity: busy || !value ? 0.5 : 1 }}>{t('stats.reading.add')}</button>
+      </div>
+      {recent.map((r, i) => (
+        <div key={r.id} style={{
+          display: 'flex', alignItems: 'center', gap: 10, padding: '6px 0',
+          borderTop: i === 0 ? 'none' : `1px dashed ${T.rule}` }}>
+          <div style={{ color: T.ink2, ...type(11), ...TYPE.num, flex: 1 }}>
+            {fmtDateMedium(localDate(new Date(r.ts)))} · {localTime(new Date(r.ts))}
+          </div>
+          <div style={{ color: T.ink, ...type(12), ...TYPE.num }}>{fmtBac(r.bac, unit)} {bacUnitLabel(unit)}</div>
+          <button type="button" aria-label={t('stats.reading.deleteAria')}
+            onClick={() => deleteBacReading(r.id)} style={{ ...ghostButton, padding: 4, display: 'flex' }}>
+            <SvgIcon icon={Ic.trash} size={13} color={T.muted} />
+          </button>
+        </div>
+      ))}
+      <div style={{
+        display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 10,
+        marginTop: 6, paddingTop: 8, borderTop: `1px solid ${T.rule}` }}>
+        <div style={{ color: T.muted, ...type(10.5), lineHeight: 1.45 }}>
+          {cal
+            ? t('stats.calibration.fitted', {
+              elim: cal.elimRate, r: fmtNumber(cal.r, 2), n: cal.n,
+              confidence: t((BAC_CAL_CONFIDENCE[cal.confidence] || BAC_CAL_CONFIDENCE.low).label),
+            })
+            : missing > 0
+              ? t('stats.calibration.missing', { count: missing })
+              : t('stats.calibration.default')}
+        </div>
+        {cal && (
+          <button type="button" onClick={onReset} style={{
+            ...ghostButton, color: T.accent, ...type(11, { weight: 600 }), flexShrink: 0 }}>{t('stats.calibration.reset')}</button>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+// Alertes BAC programmées (BacNotifier). « Annuler » vaut jusqu'au verre
+// suivant, qui re-planifie.
+function ScheduledAlertsRow() {
+  const items = useScheduledNotifications();
+  if (!items.length) return null;
+  return (
+    <div style={{
+      display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 10,
+      marginTop: 10, paddingTop: 8, borderTop: `1px solid ${T.rule}` }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6, minWidth: 0 }}>
+        <SvgIcon icon={Ic.bell} size={12} color={T.muted} />
+        <div style={{ color: T.muted, ...type(10.5), lineHeight: 1.45 }}>
+          {items.map(n => n.body).join(' · ')}
+        </div>
+      </div>
+      <button type="button" aria-label={t('stats.alerts.cancelAria')} onClick={cancelScheduledNotifications} style={{
+        ...ghostButton, color: T.accent, ...type(11, { weight: 600 }), flexShrink: 0 }}>{t('common.cancel')}</button>
     </div>
   );
 }
@@ -2182,7 +2772,7 @@ function ForecastToggle({ enabled, onChange }) {
 // mean historical session duration, mean historical peak BAC, ETA peak.
 // Missing values render as "—" so the grid layout stays stable when
 // the user has no past sessions yet.
-function ForecastMiniStats({ forecast, fmtTime }) {
+function ForecastMiniStats({ forecast, fmtTime, unit }) {
   const rate = forecast.hasCurrentSession
     ? `${forecast.currentRateGph.toFixed(1)} g/h`
     : '—';
@@ -2190,10 +2780,10 @@ function ForecastMiniStats({ forecast, fmtTime }) {
     ? fmtTime(forecast.meanDrinkingMs / 3600_000)
     : '—';
   const peak = forecast.meanPeakBac != null
-    ? `${Math.round(forecast.meanPeakBac)}`
+    ? fmtBac(forecast.meanPeakBac, unit)
     : '—';
   const eta = forecast.etaPeakHours === 0
-    ? 'maintenant'
+    ? t('stats.forecast.now')
     : forecast.etaPeakHours != null
     ? fmtTime(forecast.etaPeakHours)
     : (forecast.meanPeakBac != null && forecast.hasCurrentSession ? '∞' : '—');
@@ -2216,16 +2806,26 @@ function ForecastMiniStats({ forecast, fmtTime }) {
   return (
     <div style={{
       display: 'grid', gridTemplateColumns: 'repeat(4, minmax(0, 1fr))', gap: 6, marginBottom: 10 }}>
-      {item(Ic.flame,     'Rythme',    rate,     null)}
-      {item(Ic.hourglass, 'Durée moy', duration, null)}
-      {item(Ic.star,      'Peak moy',  peak,     'mg/L')}
-      {item(Ic.clock,     'ETA peak',  eta,      null)}
+      {item(Ic.flame,     t('stats.forecast.rate'),        rate,     null)}
+      {item(Ic.hourglass, t('stats.forecast.avgDuration'), duration, null)}
+      {item(Ic.star,      t('stats.forecast.avgPeak'),     peak,     bacUnitLabel(unit))}
+      {item(Ic.clock,     t('stats.forecast.eta'),         eta,      null)}
     </div>
   );
 }
 
-function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessions, period, weight, gender }) {
+function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessions, period, bacModel, readOnly, settings }) {
   const bacInfo = useBacInfo();
+  // Mesures d'éthylotest : les MIENNES seulement (jamais sur la vue d'un ami).
+  const allReadings = useBacReadings();
+  const readings = readOnly ? [] : allReadings;
+  const calibration = React.useMemo(
+    () => parseBacCalibration(settings && settings.bacCalibration),
+    [settings && settings.bacCalibration]
+  );
+  const display = useBacDisplay();
+  const legalLimit = bacLegalLimit(display);
+  const unit = display.unit;
   const currentBAC = bacInfo.current || 0;
   const level = bacLevel(currentBAC);
 
@@ -2250,11 +2850,26 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
   // in-flight absorption instead of plunging right after a drink is logged.
   const forecast = React.useMemo(
     () => computeBacForecast(
-      currentBAC, allSessions, weight, gender, Date.now(),
+      currentBAC, allSessions, bacModel, Date.now(),
       (bacInfo.points || []).filter(p => p.t >= -1e-9)
     ),
-    [currentBAC, allSessions, weight, gender, bacInfo.points]
+    [currentBAC, allSessions, bacModel, bacInfo.points]
   );
+  // Session en cours (même définition que la prévision) : cible du toggle
+  // « Repas ». Son état = celui du verre le plus récent.
+  const ongoing = React.useMemo(() => {
+    const now = Date.now();
+    return (allSessions || []).find(s => s.startTs <= now && s.endTs >= now) || null;
+  }, [allSessions, bacInfo]);
+  const ongoingFood = ongoing ? bacFoodState(ongoing.drinks[ongoing.drinks.length - 1].food).id : 'fasted';
+  const onFood = async (food) => {
+    try {
+      await setDrinksFood(ongoing.drinks.map(d => d.id), food);
+    } catch (e) {
+      Toast.show(t('stats.food.saveError'));
+    }
+  };
+
   // Clip the realized curve to the ongoing session so "Prévision de
   // session" shows only the current episode + its projection, not the
   // last 24 h of unrelated (already-sober) sessions.
@@ -2267,12 +2882,13 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
   // l'absorption en cours — le taux peut encore MONTER avant de redescendre,
   // ce que l'ancienne division `currentBAC / élimination` ignorait (sobriété
   // sous-estimée de toute la montée restante juste après une boisson).
+  const elimRate = bacInfo.elimRate || BAC_ELIM_RATE;
   const hoursToSober = bacInfo.soberInH != null
     ? bacInfo.soberInH
-    : currentBAC / BAC_ELIM_RATE;
+    : currentBAC / elimRate;
   const hoursToLegal = bacInfo.legalInH != null
     ? bacInfo.legalInH
-    : Math.max(0, (currentBAC - BAC_LEGAL_LIMIT) / BAC_ELIM_RATE);
+    : Math.max(0, (currentBAC - legalLimit) / elimRate);
 
   const fmtTime = fmtDurationHM;
   // Heure d'horloge cible (« → 23:45 ») sous la durée : lève l'ambiguïté entre
@@ -2316,22 +2932,31 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
   const others = sortedRecords.slice(1);
 
   return (
-    <StatSection id="bac" title="Alcoolémie" collapsed={collapsed} toggleSection={toggleSection} sub="Estimation BAC · Formule de Widmark">
+    <StatSection id="bac" title={t('stats.section.bac')} collapsed={collapsed} toggleSection={toggleSection}
+      sub={t(bacModel && bacModel.calibrated ? 'stats.bac.subCalibrated' : 'stats.bac.sub', {
+        model: (BAC_MODELS[bacModel && bacModel.id] || BAC_MODELS.widmark).label,
+      })}>
       <Card style={{ padding: 16, marginBottom: 10 }}>
         {/* La jauge est du TEMPS RÉEL : elle ignore la période sélectionnée,
             et le dit explicitement plutôt que de laisser croire à un taux
             « de la période ». */}
         <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: 4 }}>
-          <ScopeChip label="En direct" />
+          <ScopeChip label={t('stats.bac.live')} />
         </div>
         <div style={{
           display: 'flex', alignItems: 'center', justifyContent: 'center',
           gap: 18, marginBottom: 14 }}>
-          <BACGauge bac={currentBAC} level={level} />
+          <BACGauge bac={currentBAC} level={level} unit={unit} />
         </div>
         <div style={{
           textAlign: 'center', color: level.color, fontSize: remSize(13), letterSpacing: tracking(13),
-          fontWeight: 500, marginBottom: 14 }}>{level.text}</div>
+          fontWeight: 500, marginBottom: 14 }}>{bacLevelText(level)}</div>
+
+        {ongoing && !readOnly && (
+          <div style={{ marginBottom: 14 }}>
+            <FoodToggle value={ongoingFood} onChange={onFood} />
+          </div>
+        )}
 
         <div style={{
           display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
@@ -2342,7 +2967,7 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
             textAlign: 'center' }}>
             <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6, justifyContent: 'center' }}>
               <SvgIcon icon={Ic.clock} size={12} color={T.muted}/>
-              <div style={{ color: T.muted, fontSize: remSize(9.5), letterSpacing: tracking(9.5, { caps: true }), textTransform: 'uppercase' }}>Sobriété</div>
+              <div style={{ color: T.muted, fontSize: remSize(9.5), letterSpacing: tracking(9.5, { caps: true }), textTransform: 'uppercase' }}>{t('stats.bac.sober')}</div>
             </div>
             <div style={{
               fontFamily: fontSerif, fontSize: remSize(20), letterSpacing: tracking(20), color: T.ink }}>{fmtTime(hoursToSober)}</div>
@@ -2356,7 +2981,7 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
             textAlign: 'center' }}>
             <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6, justifyContent: 'center' }}>
               <SvgIcon icon={Ic.car} size={12} color={T.muted}/>
-              <div style={{ color: T.muted, fontSize: remSize(9.5), letterSpacing: tracking(9.5, { caps: true }), textTransform: 'uppercase' }}>Conduite (&lt;500)</div>
+              <div style={{ color: T.muted, fontSize: remSize(9.5), letterSpacing: tracking(9.5, { caps: true }), textTransform: 'uppercase' }}>{legalLimit > 0 ? t('stats.bac.driving', { limit: fmtBac(legalLimit, unit) }) : t('stats.bac.drivingZero')}</div>
             </div>
             <div style={{
               fontFamily: fontSerif, fontSize: remSize(20), letterSpacing: tracking(20), color: T.ink }}>{fmtTime(hoursToLegal)}</div>
@@ -2364,6 +2989,7 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
               color: T.muted, fontSize: remSize(10.5), letterSpacing: tracking(10.5), fontFamily: fontNum, marginTop: 3 }}>{fmtEtaClock(hoursToLegal) ? `→ ${fmtEtaClock(hoursToLegal)}` : '—'}</div>
           </div>
         </div>
+        {!readOnly && <ScheduledAlertsRow />}
       </Card>
 
       {periodAvgSession != null && (
@@ -2373,15 +2999,15 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
             <div style={{ minWidth: 0 }}>
               <div style={{
                 color: T.muted, fontSize: remSize(9.5), letterSpacing: tracking(9.5, { caps: true }), textTransform: 'uppercase',
-                marginBottom: 4 }}>Taux moyen par session</div>
+                marginBottom: 4 }}>{t('stats.bac.avgSession')}</div>
               <div style={{ color: T.ink2, fontSize: remSize(11), letterSpacing: tracking(11), lineHeight: 1.4 }}>
-                Moyenne intra-session, puis moyenne sur la période
+                {t('stats.bac.avgSession.sub')}
               </div>
             </div>
             <div style={{
               fontFamily: fontSerif, fontSize: remSize(24), letterSpacing: tracking(24), color: T.ink, lineHeight: 1, whiteSpace: 'nowrap', flexShrink: 0 }}>
-              {Math.round(periodAvgSession)}
-              <span style={{ fontFamily: fontSans, fontSize: remSize(12), letterSpacing: tracking(12), color: T.ink2, marginLeft: 5 }}>mg/L</span>
+              {fmtBac(periodAvgSession, unit)}
+              <span style={{ fontFamily: fontSans, fontSize: remSize(12), letterSpacing: tracking(12), color: T.ink2, marginLeft: 5 }}>{bacUnitLabel(unit)}</span>
             </div>
           </div>
           {periodAvgDelta != null && period !== 'all' && <DeltaBadge delta={periodAvgDelta} />}
@@ -2391,10 +3017,11 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
       {bacInfo.points.length > 0 && (
         <Card style={{ marginBottom: 10 }}>
           <div style={{
-            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 8 }}>Projection d'alcoolémie</div>
-          <BACProjectionResponsive points={bacInfo.points} />
+            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 8 }}>{t('stats.bac.projection')}</div>
+          <BACProjectionResponsive points={bacInfo.points} legalLimit={legalLimit} unit={unit}
+            readings={readings.map(r => ({ t: (r.ts - Date.now()) / 3600_000, bac: r.bac }))} />
           <div style={{
-            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginTop: 6, fontStyle: 'italic', fontFamily: fontSerif }}>Glissez le doigt sur le graphe pour voir le taux à un moment précis</div>
+            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginTop: 6, fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.bac.scrubHint')}</div>
         </Card>
       )}
 
@@ -2404,23 +3031,23 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
             display: 'flex', alignItems: 'center', justifyContent: 'space-between',
             gap: 10, marginBottom: forecastEnabled ? 8 : 0 }}>
             <div style={{
-              color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500 }}>Prévision de session</div>
+              color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500 }}>{t('stats.forecast.title')}</div>
             <ForecastToggle enabled={forecastEnabled} onChange={setForecastEnabled} />
           </div>
           {forecastEnabled && (
             <>
-              <ForecastMiniStats forecast={forecast} fmtTime={fmtTime} />
+              <ForecastMiniStats forecast={forecast} fmtTime={fmtTime} unit={unit} />
               <BACForecastResponsive
                 realPoints={realPastPoints}
                 projectedPoints={forecast.projectedPoints}
                 meanPeakBac={forecast.meanPeakBac}
                 etaPeakHours={forecast.etaPeakHours}
                 truncated={forecast.truncated}
+                legalLimit={legalLimit} unit={unit}
               />
               <div style={{
-                color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginTop: 6, fontStyle: 'italic', fontFamily: fontSerif }}>{forecast.hasHistory
-                ? 'Extrapolation au rythme actuel jusqu\'à la durée moyenne de vos sessions passées'
-                : 'Rythme actuel · pas encore de session passée pour estimer la durée'}</div>
+                color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginTop: 6, fontStyle: 'italic', fontFamily: fontSerif }}>{t(forecast.hasHistory
+                ? 'stats.forecast.hint.history' : 'stats.forecast.hint.noHistory')}</div>
             </>
           )}
         </Card>
@@ -2429,9 +3056,9 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
       {relevantDrinks.length > 0 && (
         <Card style={{ marginBottom: 10 }}>
           <div style={{
-            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 10 }}>Consommations prises en compte ({bacInfo.drinks.length})
+            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 10 }}>{t('stats.bac.counted', { n: bacInfo.drinks.length })}
             {bacInfo.drinks.length > relevantDrinks.length
-              ? ` · ${relevantDrinks.length} plus récentes` : ''}</div>
+              ? t('stats.bac.countedRecent', { n: relevantDrinks.length }) : ''}</div>
           {relevantDrinks.map((d, i) => (
             <div key={i} style={{
               display: 'flex', alignItems: 'center', gap: 10,
@@ -2442,23 +3069,27 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
               <div style={{
                 color: T.ink2, fontSize: remSize(10.5), letterSpacing: tracking(10.5), fontFamily: fontNum }}>{d.qty} · {d.abv}%</div>
               <div style={{
-                color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), fontFamily: fontNum, minWidth: 52, textAlign: 'right' }}>il y a {d.hoursAgo}h</div>
+                color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), fontFamily: fontNum, minWidth: 52, textAlign: 'right' }}>{t('stats.bac.hoursAgo', { n: d.hoursAgo })}</div>
             </div>
           ))}
         </Card>
       )}
 
+      {!readOnly && (
+        <BreathalyzerCard readings={readings} calibration={calibration} unit={unit} />
+      )}
+
       {sortedRecords.length > 0 && (
         <div>
           <div style={{
             display: 'flex', alignItems: 'baseline', justifyContent: 'space-between',
             gap: 8, padding: '0 2px 8px' }}>
             <div style={{
-              color: T.ink, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 500 }}>Records d'alcoolémie</div>
+              color: T.ink, fontSize: remSize(13), letterSpacing: tracking(13), fontWeight: 500 }}>{t('stats.records.title')}</div>
             <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
               {/* Records ABSOLUS (toutes sessions confondues), pas ceux de la
                   période sélectionnée — l'étiquette lève l'ambiguïté. */}
-              <ScopeChip label="Records absolus" />
+              <ScopeChip label={t('stats.records.absolute')} />
               <div style={{
                 color: T.muted, fontSize: remSize(10.5), letterSpacing: tracking(10.5), fontFamily: fontNum,
                 background: T.surface2, padding: '2px 8px', borderRadius: 99,
@@ -2466,8 +3097,8 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
             </div>
           </div>
           <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
-            {highest && <BACRecordRow record={highest} isHighest />}
-            {others.map(r => <BACRecordRow key={r.id} record={r} />)}
+            {highest && <BACRecordRow record={highest} isHighest unit={unit} />}
+            {others.map(r => <BACRecordRow key={r.id} record={r} unit={unit} />)}
           </div>
         </div>
       )}
@@ -2475,7 +3106,7 @@ function BACSection({ collapsed, toggleSection, allSessions, sessions, prevSessi
   );
 }
 
-function BACGauge({ bac, level }) {
+function BACGauge({ bac, level, unit = getBacDisplay().unit }) {
   const { size, thickness } = CHART.gauge;
   const cx = size / 2, cy = size / 2;
   const r = size / 2 - thickness / 2 - 2;
@@ -2488,7 +3119,7 @@ function BACGauge({ bac, level }) {
   return (
     <div style={{ position: 'relative', width: size, height: size }}>
       <svg viewBox={`0 0 ${size} ${size}`} width={size} height={size}
-        role="img" aria-label={`Alcoolémie estimée : ${bac} milligrammes par litre`}>
+        role="img" aria-label={t('stats.bac.gaugeAria', { value: `${fmtBac(bac, unit)} ${bacUnitSpoken(unit)}` })}>
         <circle cx={cx} cy={cy} r={r} fill="none" stroke={T.rule} strokeWidth={thickness} />
         <circle cx={cx} cy={cy} r={r} fill="none" stroke={level.color}
           strokeWidth={thickness} strokeLinecap="round"
@@ -2500,8 +3131,8 @@ function BACGauge({ bac, level }) {
         flexDirection: 'column', alignItems: 'center', justifyContent: 'center' }}>
         <div style={{
           fontFamily: fontSerif, fontSize: remSize(36), letterSpacing: tracking(36), color: T.ink,
-          lineHeight: 1 }}>{bac}</div>
-        <div style={{ color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginTop: 2 }}>MG/L</div>
+          lineHeight: 1 }}>{fmtBac(bac, unit)}</div>
+        <div style={{ color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginTop: 2 }}>{bacUnitLabel(unit).toUpperCase()}</div>
       </div>
     </div>
   );
@@ -2510,7 +3141,7 @@ function BACGauge({ bac, level }) {
 // Read-only record row. Records are derived automatically from the
 // Widmark sessions, so there's no manual delete — to remove a record
 // the user deletes the underlying drink in the Historique tab.
-function BACRecordRow({ record, isHighest }) {
+function BACRecordRow({ record, isHighest, unit = getBacDisplay().unit }) {
   const level = bacLevel(record.bacValue);
   const d = new Date(record.timestamp || record.date);
   // Compare calendar days (midnight to midnight) so a peak logged late
@@ -2518,10 +3149,11 @@ function BACRecordRow({ record, isHighest }) {
   const dMid = new Date(d); dMid.setHours(0, 0, 0, 0);
   const todayMid = new Date(); todayMid.setHours(0, 0, 0, 0);
   const daysAgo = Math.round((todayMid - dMid) / 86400_000);
-  const dateLabel = daysAgo === 0 ? `Aujourd'hui à ${d.getHours()}h${String(d.getMinutes()).padStart(2, '0')}`
-                  : daysAgo === 1 ? `Hier à ${d.getHours()}h${String(d.getMinutes()).padStart(2, '0')}`
-                  : daysAgo < 7   ? `${daysAgo} jours · ${d.getHours()}h${String(d.getMinutes()).padStart(2, '0')}`
-                                  : `${d.getDate()} ${FR_MONTHS_DOTTED[d.getMonth()]} · ${d.getHours()}h${String(d.getMinutes()).padStart(2, '0')}`;
+  const time = `${d.getHours()}h${String(d.getMinutes()).padStart(2, '0')}`;
+  const dateLabel = daysAgo === 0 ? t('stats.records.today', { time })
+                  : daysAgo === 1 ? t('stats.records.yesterday', { time })
+                  : daysAgo < 7   ? t('stats.records.daysAgo', { n: daysAgo, time })
+                                  : t('stats.records.date', { day: d.getDate(), month: t('date.monthsDotted')[d.getMonth()], time });
 
   return (
     <div style={{
@@ -2539,16 +3171,16 @@ function BACRecordRow({ record, isHighest }) {
           display: 'flex', alignItems: 'center', gap: 8, marginBottom: 2 }}>
           <span style={{
             fontFamily: fontSerif, fontSize: remSize(17), letterSpacing: tracking(17), color: T.ink,
-            fontStyle: isHighest ? 'italic' : 'normal' }}>{record.bacValue}<span style={{ fontSize: remSize(10), letterSpacing: tracking(10), color: T.muted, fontStyle: 'normal', fontFamily: fontSans, marginLeft: 2 }}>mg/L</span></span>
+            fontStyle: isHighest ? 'italic' : 'normal' }}>{fmtBac(record.bacValue, unit)}<span style={{ fontSize: remSize(10), letterSpacing: tracking(10), color: T.muted, fontStyle: 'normal', fontFamily: fontSans, marginLeft: 2 }}>{bacUnitLabel(unit)}</span></span>
           {isHighest && (
             <span style={{
               fontSize: remSize(8.5), letterSpacing: tracking(8.5, { caps: true }), color: T.accent, background: T.accentSoft,
               padding: '2px 6px', borderRadius: 99, border: `1px solid ${T.accentSoftBorder}`,
-              textTransform: 'uppercase', fontWeight: 600 }}>Record</span>
+              textTransform: 'uppercase', fontWeight: 600 }}>{t('stats.records.badge')}</span>
           )}
         </div>
         <div style={{
-          color: T.muted, fontSize: remSize(10.5), letterSpacing: tracking(10.5), fontFamily: fontNum }}>{dateLabel} · {record.drinkCount || 0} conso{(record.drinkCount || 0) > 1 ? 's' : ''}</div>
+          color: T.muted, fontSize: remSize(10.5), letterSpacing: tracking(10.5), fontFamily: fontNum }}>{dateLabel} · {t('stats.sessions.drinks', { count: record.drinkCount || 0 })}</div>
       </div>
     </div>
   );
@@ -2600,7 +3232,7 @@ function groupDrinksForMap(drinks) {
     const key = `${(d.name || '').trim().toLowerCase()}::${d.quantity}::${(d.unit || '').toLowerCase()}::${d.alcoholContent || 0}`;
     if (!map.has(key)) {
       map.set(key, {
-        key, name: d.name || 'Boisson', category: canonicalCat(d.category) || 'Autre',
+        key, name: d.name || t('addDrink.drink'), category: canonicalCat(d.category) || 'Autre',
         quantity: d.quantity, unit: d.unit, alcohol: d.alcoholContent || 0, count: 0,
       });
     }
@@ -2626,7 +3258,7 @@ function MapDrinksSheet({ drinks, onClose }) {
   }, [drinks]);
 
   return (
-    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={sharedPlace || 'Consommations ici'}>
+    <SheetOverlay onClose={close} closing={closing} onCancelClose={cancelClose} label={sharedPlace || t('stats.map.here')}>
       <div className="alco-material-sheet alco-material-edge" style={{
         borderRadius: '22px 22px 0 0', maxHeight: '85dvh',
         display: 'flex', flexDirection: 'column',
@@ -2640,11 +3272,11 @@ function MapDrinksSheet({ drinks, onClose }) {
           <div style={{ flex: 1, minWidth: 0 }}>
             <div style={{
               ...type(22, { family: fontSerif, italic: true }),
-              color: T.ink, wordBreak: 'break-word' }}>{sharedPlace || 'Consommations ici'}</div>
+              color: T.ink, wordBreak: 'break-word' }}>{sharedPlace || t('stats.map.here')}</div>
             <div style={{
-              color: T.muted, ...TYPE.label, marginTop: 6 }}>{total} boisson{total !== 1 ? 's' : ''} · {groups.length} type{groups.length !== 1 ? 's' : ''}</div>
+              color: T.muted, ...TYPE.label, marginTop: 6 }}>{t('stats.map.total', { count: total })} · {t('stats.map.types', { count: groups.length })}</div>
           </div>
-          <button type="button" className="alco-press" onClick={close} aria-label="Fermer" style={{
+          <button type="button" className="alco-press" onClick={close} aria-label={t('common.close')} style={{
             width: 32, height: 32, borderRadius: 99, background: T.surface2,
             display: 'grid', placeItems: 'center', color: T.ink, cursor: 'pointer',
             border: `1px solid ${T.rule}`, padding: 0, fontFamily: 'inherit', flexShrink: 0,
@@ -2755,7 +3387,7 @@ function MapSection({ drinks, allDrinks, collapsed, toggleSection }) {
         }
         if (!cancelled) setReady(true);
       } catch (e) {
-        if (!cancelled) setError('Carte indisponible (réseau ?)');
+        if (!cancelled) setError(t('stats.map.unavailable'));
       }
     };
     load();
@@ -2828,7 +3460,7 @@ function MapSection({ drinks, allDrinks, collapsed, toggleSection }) {
         const { latitude, longitude } = pos.coords;
         m.setView([latitude, longitude], 15);
       } catch (e) {
-        Toast.show('Position indisponible');
+        Toast.show(t('stats.map.noPosition'));
       } finally {
         btn && btn.setAttribute('aria-pressed', 'false');
       }
@@ -2846,8 +3478,8 @@ function MapSection({ drinks, allDrinks, collapsed, toggleSection }) {
       options: { position: 'topright' },
       onAdd() {
         const wrap = L.DomUtil.create('div', 'alco-map-ctrls');
-        wrap.appendChild(mkBtn(MAP_ICON_RECENTER, 'Recentrer', () => recenter()));
-        wrap.appendChild(mkBtn(MAP_ICON_LOCATE, 'Ma position', (b) => locateMe(b)));
+        wrap.appendChild(mkBtn(MAP_ICON_RECENTER, t('stats.map.recenter'), () => recenter()));
+        wrap.appendChild(mkBtn(MAP_ICON_LOCATE, t('stats.map.locate'), (b) => locateMe(b)));
         return wrap;
       },
     });
@@ -2921,19 +3553,19 @@ function MapSection({ drinks, allDrinks, collapsed, toggleSection }) {
 
   return (
     <>
-    <StatSection id="map" title="Carte des consommations"
-      sub={`${geoPoints.length} consommation${geoPoints.length !== 1 ? 's' : ''} géolocalisée${geoPoints.length !== 1 ? 's' : ''}${scope === 'all' ? ' · tout l’historique' : ''}`}
+    <StatSection id="map" title={t('stats.section.map')}
+      sub={t(scope === 'all' ? 'stats.map.sub.all' : 'stats.map.sub', { count: geoPoints.length })}
       collapsed={collapsed} toggleSection={toggleSection}>
       <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center', marginBottom: 10 }}>
         <div style={{ display: 'flex', gap: 6 }}>
-          <Pill active={scope === 'period'} onClick={() => setScope('period')}>Période</Pill>
-          <Pill active={scope === 'all'} onClick={() => setScope('all')}>Tout</Pill>
+          <Pill active={scope === 'period'} onClick={() => setScope('period')}>{t('stats.period')}</Pill>
+          <Pill active={scope === 'all'} onClick={() => setScope('all')}>{t('period.all')}</Pill>
         </div>
         <div style={{ flex: 1 }} />
         {heatReady && (
           <div style={{ display: 'flex', gap: 6 }}>
-            <Pill active={mode === 'points'} onClick={() => setMode('points')}>Points</Pill>
-            <Pill active={mode === 'heat'} onClick={() => setMode('heat')}>Chaleur</Pill>
+            <Pill active={mode === 'points'} onClick={() => setMode('points')}>{t('stats.map.points')}</Pill>
+            <Pill active={mode === 'heat'} onClick={() => setMode('heat')}>{t('stats.map.heat')}</Pill>
           </div>
         )}
       </div>
@@ -2944,12 +3576,10 @@ function MapSection({ drinks, allDrinks, collapsed, toggleSection }) {
         // pour que la liste déroulante (SheetOverlay, z-index 100) passe bien
         // au-dessus de la carte au lieu d'être masquée par ses contrôles.
         isolation: 'isolate' }}>
-        {!ready && !error && overlay('Chargement de la carte…', true)}
+        {!ready && !error && overlay(t('stats.map.loading'), true)}
         {error && overlay(error, false)}
         {ready && geoPoints.length === 0 && overlay(
-          scope === 'all'
-            ? 'Aucune consommation géolocalisée'
-            : 'Aucune consommation géolocalisée sur cette période — essayez « Tout »',
+          t(scope === 'all' ? 'stats.map.empty.all' : 'stats.map.empty'),
           true)}
       </div>
     </StatSection>
@@ -2991,7 +3621,7 @@ function computeMonthlyTrends(allDrinks) {
   const multiYear = new Set(keys.map(k => k.slice(0, 4))).size > 1;
   const label = (k) => {
     const [y, m] = k.split('-').map(Number);
-    const base = FR_MONTHS_SHORT[m - 1].replace(/^[a-zà]/, c => c.toUpperCase());
+    const base = t('date.monthsShort')[m - 1].replace(/^[a-zà]/, c => c.toUpperCase());
     return multiYear ? `${base} ${String(y).slice(2)}` : base;
   };
   return {
@@ -3034,7 +3664,7 @@ function buildCumulativeComparison(curDrinks, prevDrinks, range, prevRange, metr
   const prev = cumulate(prevDrinks, prevRange, len);
   const everyN = Math.max(1, Math.ceil(len / 8));
   const labels = Array.from({ length: len }, (_, i) =>
-    (i % everyN === 0 || i === len - 1) ? `J${i + 1}` : '');
+    (i % everyN === 0 || i === len - 1) ? t('stats.trends.day', { n: i + 1 }) : '');
   return { labels, cur, prev };
 }
 
@@ -3064,24 +3694,24 @@ function TrendsSection({ allDrinks, drinks, prevDrinks, range, prevRange, period
     // que les périodes où le chart mensuel est proposé).
     if (!monthlyRelevant) return null;
     return (
-      <StatSection id="trends" title="Tendances" collapsed={collapsed} toggleSection={toggleSection} sub="Consommation dans le temps">
+      <StatSection id="trends" title={t('stats.section.trends')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.trends.sub')}>
         <Card><div style={{
           color: T.muted, fontSize: remSize(12), letterSpacing: tracking(12), padding: '8px 0', textAlign: 'center',
-          fontStyle: 'italic', fontFamily: fontSerif }}>Pas assez d'historique (au moins 2 mois requis)</div></Card>
+          fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.trends.notEnough')}</div></Card>
       </StatSection>
     );
   }
 
   return (
-    <StatSection id="trends" title="Tendances" collapsed={collapsed} toggleSection={toggleSection} sub="Consommation dans le temps">
+    <StatSection id="trends" title={t('stats.section.trends')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.trends.sub')}>
       {showMonthly && (
         <Card style={cumHasData ? { marginBottom: 10 } : undefined}>
           <div style={{
             display: 'flex', alignItems: 'center', justifyContent: 'space-between',
             gap: 8, marginBottom: 8 }}>
             <div style={{
-              color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500 }}>Par mois</div>
-            <ScopeChip label="6 derniers mois" />
+              color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500 }}>{t('stats.trends.byMonth')}</div>
+            <ScopeChip label={t('stats.trends.lastMonths')} />
           </div>
           {/* UNE série tracée (grammes — la mesure d'intensité, cohérente
               avec heatmap/cumul/moyennes mobiles) ; les verres vivent dans
@@ -3093,9 +3723,9 @@ function TrendsSection({ allDrinks, drinks, prevDrinks, range, prevRange, period
               <SvgLineChart
                 labels={trends.labels}
                 series={[{ data: trends.alcoholG.map(v => Math.round(v)) }]}
-                tooltipUnits={["g d'alcool"]}
-                extraLines={(i) => [`${trends.drinks[i]} verre${trends.drinks[i] > 1 ? 's' : ''}`]}
-                ariaLabel="Alcool pur par mois, six derniers mois"
+                tooltipUnits={[t('stats.trends.gramsUnit')]}
+                extraLines={(i) => [t('stats.trends.glasses', { count: trends.drinks[i] })]}
+                ariaLabel={t('stats.trends.monthlyAria')}
                 width={w} height={170}
               />
             )}
@@ -3106,23 +3736,23 @@ function TrendsSection({ allDrinks, drinks, prevDrinks, range, prevRange, period
       {cumHasData && (
         <Card>
           <div style={{
-            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 3 }}>Cumul vs période précédente</div>
+            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 3 }}>{t('stats.trends.cumulative')}</div>
           <div style={{
-            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginBottom: 10, fontStyle: 'italic', fontFamily: fontSerif }}>Grammes d'alcool cumulés, jour par jour</div>
+            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginBottom: 10, fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.trends.cumulative.sub')}</div>
           <ChartAutoWidth minHeight={170}>
             {(w) => (
               <SvgLineChart
                 labels={cum.labels}
                 series={[{ data: cum.cur }, { data: cum.prev }]}
                 width={w} height={170}
-                tooltipUnits={['g · actuel', 'g · précédent']}
-                ariaLabel="Grammes d'alcool cumulés, période courante et précédente"
+                tooltipUnits={[t('stats.trends.unitCurrent'), t('stats.trends.unitPrevious')]}
+                ariaLabel={t('stats.trends.cumulativeAria')}
               />
             )}
           </ChartAutoWidth>
           <ChartLegend items={[
-            { label: 'Actuelle', color: T.accent },
-            { label: 'Précédente', color: T.accent2, dashed: true },
+            { label: t('stats.trends.current'), color: T.accent },
+            { label: t('stats.trends.previous'), color: T.accent2, dashed: true },
           ]} />
         </Card>
       )}
@@ -3190,29 +3820,29 @@ function AdvancedSection({ drinks, allDrinks, period, hasPeriodData = true, coll
   if (!showRolling && !showPeriodCards) return null;
 
   return (
-    <StatSection id="advanced" title="Analyses avancées" collapsed={collapsed} toggleSection={toggleSection} sub={bacAvailable ? 'Moyennes mobiles · Horloge · Distribution des sessions' : 'Moyennes mobiles · Horloge'}>
+    <StatSection id="advanced" title={t('stats.section.advanced')} collapsed={collapsed} toggleSection={toggleSection} sub={t(bacAvailable ? 'stats.advanced.sub' : 'stats.advanced.subNoBac')}>
       {showRolling && (
         <Card style={{ marginBottom: 10 }}>
           <div style={{
             display: 'flex', alignItems: 'center', justifyContent: 'space-between',
             gap: 8, marginBottom: 3 }}>
             <div style={{
-              color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500 }}>Moyenne mobile</div>
-            <ScopeChip label="30 derniers jours" />
+              color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500 }}>{t('stats.advanced.rolling')}</div>
+            <ScopeChip label={t('stats.advanced.lastDays')} />
           </div>
           <div style={{
-            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginBottom: 10, fontStyle: 'italic', fontFamily: fontSerif }}>Alcool quotidien lissé sur 7 et 30 jours</div>
+            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginBottom: 10, fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.advanced.rolling.sub')}</div>
           {rolling.length > 0 ? (
             <ChartAutoWidth minHeight={160}>
               {(w) => <RollingChart data={rolling} width={w} />}
             </ChartAutoWidth>
           ) : (
-            <div style={{ color: T.muted, fontSize: remSize(11), letterSpacing: tracking(11), padding: '12px 0', textAlign: 'center' }}>Aucune donnée</div>
+            <div style={{ color: T.muted, fontSize: remSize(11), letterSpacing: tracking(11), padding: '12px 0', textAlign: 'center' }}>{t('stats.noData')}</div>
           )}
           <ChartLegend items={[
-            { label: 'Brut', color: withAlpha(T.accent, 0.25) },
-            { label: '7j', color: T.accent },
-            { label: '30j', color: T.ink2, dashed: true },
+            { label: t('stats.advanced.raw'), color: withAlpha(T.accent, 0.25) },
+            { label: t('stats.daysShort', { n: 7 }), color: T.accent },
+            { label: t('stats.daysShort', { n: 30 }), color: T.ink2, dashed: true },
           ]} />
         </Card>
       )}
@@ -3220,9 +3850,9 @@ function AdvancedSection({ drinks, allDrinks, period, hasPeriodData = true, coll
       {showPeriodCards && (
         <Card style={{ marginBottom: 10 }}>
           <div style={{
-            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 3 }}>Horloge des consommations</div>
+            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 3 }}>{t('stats.advanced.clock')}</div>
           <div style={{
-            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginBottom: 10, fontStyle: 'italic', fontFamily: fontSerif }}>Répartition sur 24 heures</div>
+            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginBottom: 10, fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.advanced.clock.sub')}</div>
           <ChartAutoWidth minHeight={260} maxWidth={300}>
             {(w) => <SvgPolarClock hours={agg.byHour} size={w} />}
           </ChartAutoWidth>
@@ -3234,14 +3864,14 @@ function AdvancedSection({ drinks, allDrinks, period, hasPeriodData = true, coll
       {showPeriodCards && bacAvailable && (
         <Card>
           <div style={{
-            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 3 }}>Distribution des sessions</div>
+            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 3 }}>{t('stats.advanced.durations')}</div>
           <div style={{
-            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginBottom: 12, fontStyle: 'italic', fontFamily: fontSerif }}>Durée par session</div>
+            color: T.muted, fontSize: remSize(10), letterSpacing: tracking(10), marginBottom: 12, fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.advanced.durations.sub')}</div>
 
           <div>
             <div style={{
               color: T.ink2, fontSize: remSize(10.5), letterSpacing: tracking(10.5, { caps: true }), marginBottom: 4, textAlign: 'center',
-              textTransform: 'uppercase' }}>Durée</div>
+              textTransform: 'uppercase' }}>{t('stats.advanced.duration')}</div>
             <ChartAutoWidth minHeight={150}>
               {(w) => <SvgHistogram buckets={sessionDuration} width={w} height={150} color={T.accent} />}
             </ChartAutoWidth>
@@ -3285,7 +3915,7 @@ function RollingChart({ data, width = 320 }) {
 
   return (
     <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} width="100%" height={height}
-      role="img" aria-label="Moyenne mobile de l'alcool quotidien"
+      role="img" aria-label={t('stats.advanced.rollingAria')}
       className={CHART.anim.className}
       style={{ display: 'block', touchAction: CHART.touchAction }} {...scr.handlers}>
       <rect x="0" y="0" width={width} height={height} fill="transparent" />
@@ -3328,8 +3958,9 @@ function RollingChart({ data, width = 320 }) {
             <circle cx={tx} cy={cy7} r={3} fill={T.accent} stroke={T.bg} strokeWidth={1} />
             <circle cx={tx} cy={ys(r.r30)} r={3} fill={T.ink2} stroke={T.bg} strokeWidth={1} />
             <ChartTooltip x={tx} y={cy7} width={width} height={height}
-              lines={[`${r.date}`, `${Math.round(r.daily)} g brut`,
-                      `${r.r7.toFixed(1)} g · 7j`, `${r.r30.toFixed(1)} g · 30j`]} />
+              lines={[`${r.date}`, t('stats.advanced.tipRaw', { g: Math.round(r.daily) }),
+                      t('stats.advanced.tipAvg', { g: r.r7.toFixed(1), n: 7 }),
+                      t('stats.advanced.tipAvg', { g: r.r30.toFixed(1), n: 30 })]} />
           </>
         );
       })()}
@@ -3383,7 +4014,7 @@ function bucketSpend(priced, period, range) {
     }
     const data = [];
     for (let h = 0; h < 24; h++) data.push({ label: `${h}h`, fullLabel: `${h}h`, v: round2(sum[String(h)] || 0) });
-    return { data, unitLabel: 'par heure', formatX: (d, i) => (i % 3 === 0 ? d.label : '') };
+    return { data, unitLabel: t('stats.spending.perHour'), formatX: (d, i) => (i % 3 === 0 ? d.label : '') };
   }
 
   const granularity = (period === 'year' || period === 'school') ? 'month'
@@ -3398,9 +4029,9 @@ function bucketSpend(priced, period, range) {
     const data = [];
     for (let dt = new Date(start); dt <= last; dt = _addDays(dt, 1)) {
       const k = _fmtIso(dt);
-      data.push({ label: `${dt.getDate()}/${dt.getMonth() + 1}`, fullLabel: `${dt.getDate()} ${FR_MONTHS_SHORT[dt.getMonth()]}`, v: round2(sum[k] || 0) });
+      data.push({ label: `${dt.getDate()}/${dt.getMonth() + 1}`, fullLabel: `${dt.getDate()} ${t('date.monthsShort')[dt.getMonth()]}`, v: round2(sum[k] || 0) });
     }
-    return { data, unitLabel: 'par jour', formatX: null };
+    return { data, unitLabel: t('stats.spending.perDay'), formatX: null };
   }
 
   if (granularity === 'month') {
@@ -3412,10 +4043,10 @@ function bucketSpend(priced, period, range) {
     for (let dt = new Date(start); dt <= end; dt.setMonth(dt.getMonth() + 1)) {
       const y = dt.getFullYear(), m = dt.getMonth();
       const k = `${y}-${String(m + 1).padStart(2, '0')}`;
-      const base = FR_MONTHS_SHORT[m].replace(/^[a-zà]/, c => c.toUpperCase());
+      const base = t('date.monthsShort')[m].replace(/^[a-zà]/, c => c.toUpperCase());
       data.push({ label: multiYear ? `${base} ${String(y).slice(2)}` : base, fullLabel: `${base} ${y}`, v: round2(sum[k] || 0) });
     }
-    return { data, unitLabel: 'par mois', formatX: (d, i) => (i % 2 === 0 ? d.label : '') };
+    return { data, unitLabel: t('stats.spending.perMonth'), formatX: (d, i) => (i % 2 === 0 ? d.label : '') };
   }
 
   // année (Tout)
@@ -3425,7 +4056,7 @@ function bucketSpend(priced, period, range) {
   for (let y = years.length ? years[0] : 0; years.length && y <= years[years.length - 1]; y++) {
     data.push({ label: `'${String(y).slice(2)}`, fullLabel: String(y), v: round2(sum[String(y)] || 0) });
   }
-  return { data, unitLabel: 'par année', formatX: null };
+  return { data, unitLabel: t('stats.spending.perYear'), formatX: null };
 }
 
 // Section Dépenses. N'agrège QUE les entrées portant un prix saisi
@@ -3451,27 +4082,27 @@ function SpendingSection({ drinks, prevDrinks, period, range, collapsed, toggleS
 
   if (priced.length === 0) {
     return (
-      <StatSection id="spending" title="Dépenses" collapsed={collapsed} toggleSection={toggleSection} sub="Coût de la consommation (prix saisis)">
+      <StatSection id="spending" title={t('stats.section.spending')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.spending.sub')}>
         <Card><div style={{
           color: T.muted, fontSize: remSize(12), letterSpacing: tracking(12), padding: '8px 0', textAlign: 'center',
-          fontStyle: 'italic', fontFamily: fontSerif }}>Aucun prix saisi sur cette période</div></Card>
+          fontStyle: 'italic', fontFamily: fontSerif }}>{t('stats.spending.empty')}</div></Card>
       </StatSection>
     );
   }
 
   return (
-    <StatSection id="spending" title="Dépenses" collapsed={collapsed} toggleSection={toggleSection} sub="Coût de la consommation (prix saisis)">
+    <StatSection id="spending" title={t('stats.section.spending')} collapsed={collapsed} toggleSection={toggleSection} sub={t('stats.spending.sub')}>
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, minmax(0, 1fr))', gap: 8, marginBottom: 10 }}>
-        <StatCell value={fmtPrice(total)} label="Total dépensé"
+        <StatCell value={fmtPrice(total)} label={t('stats.spending.total')}
           delta={pctChange(total, prevTotal)} period={period} index={0} />
-        <StatCell value={fmtPrice(avg)} label="Prix moyen / boisson"
+        <StatCell value={fmtPrice(avg)} label={t('stats.spending.avg')}
           delta={avg != null ? pctChange(avg, prevAvg) : null} period={period} index={1} />
       </div>
 
       {byCat.length > 0 && (
         <Card style={{ marginBottom: 10 }}>
           <div style={{
-            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 12 }}>Par catégorie</div>
+            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 12 }}>{t('stats.spending.byCategory')}</div>
           <div style={{ display: 'flex', alignItems: 'center', gap: 18 }}>
             <div style={{ flexShrink: 0 }}>
               <SvgDonut data={catDonut} size={120} thickness={18} />
@@ -3494,7 +4125,7 @@ function SpendingSection({ drinks, prevDrinks, period, range, collapsed, toggleS
       {spend.data.length > 0 && (
         <Card>
           <div style={{
-            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 10 }}>Dépenses {spend.unitLabel}</div>
+            color: T.ink, fontSize: remSize(12.5), letterSpacing: tracking(12.5), fontWeight: 500, marginBottom: 10 }}>{t('stats.spending.chart', { unit: spend.unitLabel })}</div>
           <ChartAutoWidth minHeight={160}>
             {(w) => (
               <SvgBarChart
@@ -3516,7 +4147,8 @@ Object.assign(window, {
   TopDrinksSection, BACSection, MapSection, TrendsSection, AdvancedSection,
   HeatmapSection, SessionsSection,
   SpendingSection, bucketSpend,
-  BACGauge, BACRecordRow, bacLevel, BAC_LEVELS,
+  SPF_WEEKLY_MAX_G, WHO_RISK_BANDS, RISK_LEVELS, weeklyGramsForPeriod, weeklyRiskBands, RiskBandsCard,
+  BACGauge, BACRecordRow, bacLevel, bacLevelText, BAC_LEVELS,
   RollingChart, MiniStat, StatRow, Card, StatSection,
   DeltaBadge, StatCell, HeroStatCard,
   getPeriodRange, shiftAnchor, periodLabel, computeBacOverTime,
@@ -3527,8 +4159,13 @@ Object.assign(window, {
   computeMonthlyTrends, computeRollingDaily, computeSessionDurationBuckets,
   bucketDailyAlcohol, buildHeatmapCells, buildSessionList, buildSessionPeakHistogram,
   buildCumulativeComparison,
-  BAC_ELIM_RATE, BAC_RECORD_MIN, BAC_ABSORPTION_H, BAC_LEGAL_LIMIT, DEFAULT_WEIGHT_KG, widmarkR,
+  BAC_ELIM_RATE, BAC_RECORD_MIN, BAC_ABSORPTION_H, DEFAULT_WEIGHT_KG, widmarkR,
+  BAC_MODELS, BAC_FOOD_STATES, DEFAULT_AGE, DEFAULT_HEIGHT_CM, makeBacModel, bacModelFromSettings,
+  bacFoodState, drinkSpreadH, fitBacCalibration, parseBacCalibration, BAC_CAL_MIN_READINGS,
+  BAC_CAL_CONFIDENCE,
   BacContext, useBacInfo, BacProvider, BACProjectionResponsive,
+  BacNotifier, planBacNotifications, bacPeakWarning, bacUpcomingPeak, isQuietTime,
+  quietHoursFromSettings, BAC_NOTIFY_TAGS,
   computeBacForecast, BACForecastResponsive,
   ForecastToggle, ForecastMiniStats,
   STATS_SECTIONS, STATS_PERIOD_MATRIX, ALL_PERIODS, GLOBAL_CHART_PERIODS,
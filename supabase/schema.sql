@@ -47,12 +47,22 @@ create table if not exists public.shared_drinks (
   alcohol_content numeric,
   category        text,
   rating          int,
+  food            text,
+  spread_min      int,
+  barcode         text,
   updated_at      bigint not null,
   deleted         boolean not null default false
 );
 create index if not exists shared_drinks_group_updated_idx
   on public.shared_drinks (group_id, updated_at);
 
+-- Bases créées avant le modèle BAC par profil : colonnes ajoutées à chaud.
+alter table public.shared_drinks add column if not exists food text;
+-- Contenants partagés : durée (min) sur laquelle l'absorption est étalée.
+alter table public.shared_drinks add column if not exists spread_min int;
+-- Catalogue partagé (opt-in de l'auteur) : code-barres de la boisson.
+alter table public.shared_drinks add column if not exists barcode text;
+
 create table if not exists public.shared_profiles (
   user_id      uuid not null,
   group_id     uuid not null references public.groups(id) on delete cascade,
@@ -61,9 +71,15 @@ create table if not exists public.shared_profiles (
   share_bac    boolean not null default false,
   bac_weight   numeric,
   bac_gender   text,
+  bac_model    text,
+  bac_age      int,
+  bac_height   numeric,
   updated_at   bigint not null,
   primary key (user_id, group_id)
 );
+alter table public.shared_profiles add column if not exists bac_model  text;
+alter table public.shared_profiles add column if not exists bac_age    int;
+alter table public.shared_profiles add column if not exists bac_height numeric;
 
 -- ── Privilèges de table (RLS filtre ENSUITE les lignes) ────────────────────
 -- Les rôles anon/authenticated reçoivent normalement ces droits par défaut sur
@@ -5,9 +5,9 @@
 // source of truth for the displayed version: the GET_VERSION handler returns
 // it and `useSWVersion()` extracts the `vX.Y.Z` suffix. STATIC_CACHE /
 // DYNAMIC_CACHE name the actual Cache Storage buckets.
-const CACHE_NAME = 'alconote-v3.31.1';
-const STATIC_CACHE = 'alconote-static-v3.31.1';
-const DYNAMIC_CACHE = 'alconote-dynamic-v3.31.1';
+const CACHE_NAME = 'alconote-v3.58.0';
+const STATIC_CACHE = 'alconote-static-v3.58.0';
+const DYNAMIC_CACHE = 'alconote-dynamic-v3.58.0';
 
 // Detect local development environment to avoid stale caches on localhost
 const IS_DEV = ['localhost', '127.0.0.1', '::1'].includes(self.location.hostname);
@@ -27,13 +27,22 @@ const STATIC_FILES = [
     '/js/scanner/camera-scanner.js',
     '/js/share-config.js',
     // React UI (precompiled JSX)
+    '/proto/dist/i18n.js',
     '/proto/dist/shared.js',
     '/proto/dist/data.js',
+    '/proto/dist/csv.js',
     '/proto/dist/stats-charts.js',
+    '/proto/dist/goals.js',
+    '/proto/dist/audit.js',
+    '/proto/dist/filters.js',
+    '/proto/dist/rounds.js',
+    '/proto/dist/units.js',
+    '/proto/dist/catalog.js',
     '/proto/dist/categories.js',
     '/proto/dist/history.js',
     '/proto/dist/stats.js',
     '/proto/dist/share.js',
+    '/proto/dist/qr.js',
     '/proto/dist/friends.js',
     '/proto/dist/modals.js',
     '/proto/dist/app.js',
@@ -95,7 +104,7 @@ self.addEventListener('activate', (event) => {
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames.map((cacheName) => {
-                        if (cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE) {
+                        if (cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE && cacheName !== LOOKUP_QUEUE_CACHE && cacheName !== SHARE_TARGET_CACHE) {
                             console.log('Service Worker: Deleting old cache:', cacheName);
                             return caches.delete(cacheName);
                         }
@@ -113,6 +122,12 @@ self.addEventListener('activate', (event) => {
 self.addEventListener('fetch', (event) => {
     const { request } = event;
     const url = new URL(request.url);
+
+    // Share target (manifest.json): a photo shared from another app.
+    if (request.method === 'POST' && url.origin === self.location.origin && url.pathname === SHARE_TARGET_PATH) {
+        event.respondWith(handleShareTarget(request));
+        return;
+    }
     
     // Skip non-GET requests
     if (request.method !== 'GET') {
@@ -427,6 +442,22 @@ self.addEventListener('message', (event) => {
         });
     }
     
+    if (event.data && event.data.type === 'SCHEDULE_NOTIFICATIONS') {
+        event.waitUntil(scheduleNotifications(event.data.items || []));
+    }
+
+    if (event.data && event.data.type === 'CANCEL_NOTIFICATIONS') {
+        event.waitUntil(cancelNotifications());
+    }
+
+    if (event.data && event.data.type === 'SHOW_NOTIFICATION' && event.data.item) {
+        event.waitUntil(showNotification(event.data.item));
+    }
+
+    if (event.data && event.data.type === 'QUEUE_LOOKUPS') {
+        event.waitUntil(writeLookupQueue(event.data.barcodes || []));
+    }
+
     if (event.data && event.data.type === 'CLEAR_CACHE') {
         event.waitUntil(
             caches.keys().then((cacheNames) => {
@@ -440,6 +471,62 @@ self.addEventListener('message', (event) => {
     }
 });
 
+// Notifications locales (alertes BAC, cf. proto/data.jsx ›
+// scheduleNotifications). Chaque SCHEDULE_NOTIFICATIONS remplace tout le lot
+// précédent. Avec les Notification Triggers (TimestampTrigger), le
+// navigateur les délivre même SW arrêté ; sinon minuteries du SW, qui ne
+// survivent pas à son arrêt — la page re-planifie à chaque ouverture et à
+// chaque verre ajouté.
+const NOTIFY_TAG_PREFIX = 'alconote-bac-';
+const NOTIFY_ICON = '/assets/icons/icon-192x192.png';
+const notifyTimers = new Map();
+
+function showNotification(item, extra = {}) {
+    return self.registration.showNotification(item.title || 'AlcoNote', {
+        body: item.body, tag: item.tag, icon: NOTIFY_ICON, badge: NOTIFY_ICON,
+        data: { url: '/' }, ...extra,
+    });
+}
+
+async function cancelNotifications() {
+    notifyTimers.forEach((id) => clearTimeout(id));
+    notifyTimers.clear();
+    try {
+        // includeTriggered : les notifications programmées pas encore affichées.
+        const pending = await self.registration.getNotifications({ includeTriggered: true });
+        pending.filter((n) => (n.tag || '').startsWith(NOTIFY_TAG_PREFIX)).forEach((n) => n.close());
+    } catch (_) { /* getNotifications indisponible → rien à fermer */ }
+}
+
+async function scheduleNotifications(items) {
+    await cancelNotifications();
+    const now = Date.now();
+    for (const item of items) {
+        const delay = item.at - now;
+        if (!(delay > 0)) continue;
+        if (typeof TimestampTrigger === 'function') {
+            await showNotification(item, { showTrigger: new TimestampTrigger(item.at) });
+        } else {
+            notifyTimers.set(item.tag, setTimeout(() => {
+                notifyTimers.delete(item.tag);
+                showNotification(item);
+            }, delay));
+        }
+    }
+}
+
+// Clic sur une alerte → ramène l'app au premier plan (ou l'ouvre).
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((list) => {
+            const open = list.find((c) => 'focus' in c);
+            if (open) return open.focus();
+            return self.clients.openWindow((event.notification.data && event.notification.data.url) || '/');
+        })
+    );
+});
+
 // Délai maxi des APIs tierces (lookup produit / géocodage) : au-delà, on
 // répond depuis le cache ou par le fallback JSON — un scan ne doit pas
 // rester suspendu une minute sur un wifi mourant.
@@ -486,6 +573,83 @@ async function handleOpenFoodFactsRequest(request) {
     }
 }
 
+// Recherches de produit en attente (scans faits hors ligne). La page
+// (proto/data.jsx › queuePendingLookup) envoie les codes restés sans réponse
+// (QUEUE_LOOKUPS) et enregistre une Background Sync. Au retour du réseau,
+// le SW interroge Open Food Facts pour chacun — les fiches trouvées entrent
+// dans le cache dynamique, donc restent lisibles hors ligne — puis prévient
+// les pages ouvertes (LOOKUPS_READY), qui relancent leur résolution. La
+// file vit dans son propre cache, conservé d'une version à l'autre.
+const LOOKUP_SYNC_TAG = 'alconote-lookups';
+const LOOKUP_QUEUE_CACHE = 'alconote-lookups';
+const LOOKUP_QUEUE_URL = '/__alconote/pending-lookups';
+
+async function readLookupQueue() {
+    const cache = await caches.open(LOOKUP_QUEUE_CACHE);
+    const response = await cache.match(LOOKUP_QUEUE_URL);
+    try {
+        return response ? await response.json() : [];
+    } catch (_) {
+        return [];
+    }
+}
+
+async function writeLookupQueue(barcodes) {
+    const cache = await caches.open(LOOKUP_QUEUE_CACHE);
+    if (!barcodes.length) return cache.delete(LOOKUP_QUEUE_URL);
+    return cache.put(LOOKUP_QUEUE_URL, new Response(JSON.stringify(barcodes), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+async function syncPendingLookups() {
+    const barcodes = await readLookupQueue();
+    const left = [];
+    for (const code of barcodes) {
+        const url = `https://world.openfoodfacts.org/api/v0/product/${encodeURIComponent(code)}.json`;
+        const response = await handleOpenFoodFactsRequest(new Request(url));
+        if (response.status === 503) left.push(code);
+    }
+    await writeLookupQueue(left);
+    const done = barcodes.filter((code) => !left.includes(code));
+    if (done.length) {
+        const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        clients.forEach((client) => client.postMessage({ type: 'LOOKUPS_READY', barcodes: done }));
+    }
+    // Encore hors ligne : l'échec fait retenter la sync par le navigateur.
+    if (left.length) throw new Error('Pending lookups still offline');
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === LOOKUP_SYNC_TAG) {
+        event.waitUntil(syncPendingLookups());
+    }
+});
+
+// Photo partagée vers l'app (share_target du manifeste, POST multipart).
+// L'image est déposée dans un cache dédié puis la page est ouverte sur
+// `/?share-target=scan` ; proto/data.jsx › takeSharedImage la récupère
+// (une seule fois) et le scanner la décode.
+const SHARE_TARGET_PATH = '/share-target';
+const SHARE_TARGET_CACHE = 'alconote-share-target';
+const SHARED_IMAGE_URL = '/__alconote/shared-image';
+
+async function handleShareTarget(request) {
+    try {
+        const form = await request.formData();
+        const file = form.get('image');
+        if (file && typeof file !== 'string') {
+            const cache = await caches.open(SHARE_TARGET_CACHE);
+            await cache.put(SHARED_IMAGE_URL, new Response(file, {
+                headers: { 'Content-Type': file.type || 'application/octet-stream' }
+            }));
+        }
+    } catch (error) {
+        console.error('Service Worker: share target failed:', error);
+    }
+    return Response.redirect('/?share-target=scan', 303);
+}
+
 // Handle Nominatim geocoding requests with offline fallback
 async function handleNominatimRequest(request) {
     try {
@@ -1,5 +1,7 @@
 // Flux d'ajout de boisson : AddDrinkSheet (NumberField virgule ET point,
-// chips de catégorie, toggle d'unité) + prefill « Ajouter à nouveau ».
+// chips de catégorie, toggle d'unité) + prefill « Ajouter à nouveau », scan
+// via un fournisseur de produits fixture, scan hors ligne mis en attente puis
+// revu, scan depuis une image (fichier, collage).
 'use strict';
 const test = require('node:test');
 const assert = require('node:assert/strict');
@@ -174,3 +176,199 @@ test('prix intelligent — autre quantité préremplie au prorata du €/L, sais
   const second = (await db().getAllDrinks()).find((x) => x.name === 'Smart Pils' && x.quantity === 50);
   assert.equal(second.price, 3, 'le prix saisi manuellement est enregistré');
 });
+
+test('contenant partagé — volume total, ma part, durée : l\'entrée garde ma part', async () => {
+  // Référence : Rosé Maison 75 cL à 16 € (→ 1/4 = 4 €).
+  await openAddSheet();
+  await ctx.setInput(ctx.findInputByAria(/^Boisson$/), 'Rosé Maison');
+  await pickRadio('Bière');
+  await ctx.setInput(ctx.findInputByAria(/^Quantité$/), '75');
+  await ctx.setInput(ctx.findInputByAria(/^Degré d'alcool$/), '12');
+  await ctx.setInput(ctx.findInputByAria(/^Prix$/), '16');
+  await ctx.clickText(/^Enregistrer$/, 400);
+
+  await openAddSheet();
+  await ctx.setInput(ctx.findInputByAria(/^Boisson$/), 'Rosé Maison');
+  await pickRadio('Bière');
+  await ctx.clickAria(/^Contenant partagé$/, 100);
+  await ctx.setInput(ctx.findInputByAria(/^Volume du contenant$/), '75');
+  await ctx.setInput(ctx.findInputByAria(/^Degré d'alcool$/), '12');
+  await ctx.setInput(ctx.findInputByAria(/^Nombre de buveurs$/), '4');
+  assert.equal(ctx.q('[aria-label="Ma part du contenant"] [aria-checked="true"]').textContent, '1/4',
+    'le nombre de buveurs choisit la part');
+  await pickRadio('3 h');
+  await ctx.waitFor(() => ctx.findInputByAria(/^Prix du contenant$/).value === '16',
+    { label: 'prix du contenant suggéré' });
+  assert.match(ctx.text(), /Ma part : 4\s€ · 18.75 cL/);
+  await ctx.clickText(/^Enregistrer$/, 400);
+
+  const d = (await db().getAllDrinks()).find((x) => x.name === 'Rosé Maison' && x.shared);
+  assert.ok(d, 'entrée partagée en DB');
+  assert.deepEqual([d.quantity, d.quantityInCL, d.price, d.priceIsCustom], [18.75, 18.75, 4, false]);
+  assert.deepEqual(d.shared, { total: 75, share: 0.25, windowMin: 180 });
+  await ctx.waitFor(() => ctx.text().includes('1/4 de 75 cL · sur 3 h'), { label: 'méta dans l’historique' });
+});
+
+test('scan — fournisseur fixture (sans réseau ni caméra) : fiche préremplie, apprise au catalogue', async () => {
+  const { ProductLookup, productLookup, cameraScanner } = ctx.window;
+  const saved = productLookup.getProviders();
+  const realStart = cameraScanner.start;
+  const realStop = cameraScanner.stop;
+  const stub = ProductLookup.fixtureProvider({
+    '5449000000996': { name: 'Lager Fixture', brand: 'Test', category: 'Bière', alcoholContent: 4.8, servingQuantity: 50, servingUnit: 'cL' },
+  }, { id: 'fixture', authoritative: true });
+  productLookup.register(stub, { before: 'openfoodfacts' });
+  cameraScanner.start = async () => {};
+  cameraScanner.stop = () => {};
+  try {
+    await openAddSheet();
+    await ctx.clickText(/^Scanner un code-barres/, 300);
+    await ctx.waitFor(() => typeof cameraScanner.onBarcodeConfirmed === 'function', { label: 'scanner branché' });
+    await ctx.act(async () => { await cameraScanner.onBarcodeConfirmed('5449000000996'); await ctx.sleep(50); });
+    await ctx.waitFor(() => ctx.text().includes('Lager Fixture détecté'), { label: 'produit trouvé' });
+    assert.equal(stub.calls.join(), '5449000000996', 'un seul appel, au fournisseur fixture');
+    await ctx.clickText(/^Utiliser ce produit$/, 300);
+    assert.equal(ctx.findInputByAria(/^Boisson$/).value, 'Lager Fixture');
+    assert.equal(ctx.findInputByAria(/^Quantité$/).value, '50');
+    await ctx.clickText(/^Enregistrer$/, 400);
+
+    const d = (await db().getAllDrinks()).find((x) => x.name === 'Lager Fixture');
+    assert.deepEqual([d.barcode, d.quantityInCL, d.alcoholContent], ['5449000000996', 50, 4.8]);
+    const hit = await productLookup.lookup('5449000000996');
+    assert.deepEqual([hit.source, hit.name], ['local', 'Lager Fixture'], 'le catalogue local répond désormais');
+  } finally {
+    productLookup.providers = saved;
+    cameraScanner.start = realStart;
+    cameraScanner.stop = realStop;
+  }
+});
+
+test('scan hors ligne — mis en attente, retrouvé au retour du réseau, corrections revues puis appliquées', async () => {
+  const { ProductLookup, productLookup, cameraScanner } = ctx.window;
+  const saved = productLookup.getProviders();
+  const realStart = cameraScanner.start;
+  const realStop = cameraScanner.stop;
+  const fixtures = { '4006000000012': 'offline' };
+  productLookup.providers = saved.filter((p) => !p.network);
+  productLookup.register(ProductLookup.fixtureProvider(fixtures, { id: 'net', label: 'Réseau simulé', network: true }));
+  cameraScanner.start = async () => {};
+  cameraScanner.stop = () => {};
+  try {
+    await openAddSheet();
+    await ctx.clickText(/^Scanner un code-barres/, 300);
+    await ctx.waitFor(() => typeof cameraScanner.onBarcodeConfirmed === 'function', { label: 'scanner branché' });
+    await ctx.act(async () => { await cameraScanner.onBarcodeConfirmed('4006000000012'); await ctx.sleep(50); });
+    await ctx.waitFor(() => ctx.text().includes('Hors ligne · code 4006000000012 mis en attente'), { label: 'mis en attente' });
+    await ctx.clickText(/^Utiliser ce produit$/, 300);
+    await ctx.setInput(ctx.findInputByAria(/^Boisson$/), 'Produit 4006000000012');
+    await pickRadio('Bière');
+    await ctx.setInput(ctx.findInputByAria(/^Quantité$/), '50');
+    await pickRadio('cL');
+    await ctx.setInput(ctx.findInputByAria(/^Degré d'alcool$/), '5');
+    await ctx.clickText(/^Enregistrer$/, 400);
+    const pending = await db().getDeviceValue('lookup.pending');
+    assert.equal(pending.map((p) => p.barcode).join(), '4006000000012');
+
+    // Toujours hors ligne : rien ne bouge.
+    assert.equal(await ctx.window.resolvePendingLookups(), 0);
+    // Retour du réseau : la fiche est retrouvée (le catalogue local, qui a
+    // appris le nom provisoire, est ignoré), une correction proposée.
+    fixtures['4006000000012'] = { name: 'Weizen', category: 'Bière', alcoholContent: 5.4 };
+    await ctx.act(async () => { ctx.window.dispatchEvent(new ctx.window.Event('online')); await ctx.sleep(300); });
+    await ctx.waitFor(() => ctx.text().includes('fiche retrouvée'), { label: 'toast de revue' });
+    await ctx.clickText(/^Vérifier$/, 400);
+    const sheet = () => ctx.q('[role="dialog"][aria-label="Scans hors ligne"]');
+    await ctx.waitFor(() => sheet() && sheet().textContent.includes('Weizen'), { label: 'revue ouverte' });
+    const boxes = [...sheet().querySelectorAll('[role="checkbox"]')].map((b) => b.getAttribute('aria-label'));
+    assert.equal(boxes.join(' | '), 'Nom : Produit 4006000000012 → Weizen | Degré : 5 % → 5,4 %');
+    // Le degré saisi à la main est gardé : on décoche sa correction.
+    await ctx.act(async () => { ctx.click(sheet().querySelector('[role="checkbox"][aria-label^="Degré"]')); await ctx.sleep(50); });
+    await ctx.clickText(/^Appliquer$/, 400);
+
+    const d = (await db().getAllDrinks()).find((x) => x.barcode === '4006000000012');
+    assert.deepEqual([d.name, d.alcoholContent], ['Weizen', 5]);
+    assert.equal(await db().getDeviceValue('lookup.pending'), null, 'file vidée');
+    assert.equal((await db().getProduct('4006000000012')).name, 'Weizen', 'catalogue corrigé');
+    await ctx.act(async () => { ctx.click(sheet().querySelector('button[aria-label="Fermer"]')); await ctx.sleep(400); });
+  } finally {
+    productLookup.providers = saved;
+    cameraScanner.start = realStart;
+    cameraScanner.stop = realStop;
+  }
+});
+
+// Images « fixtures » : le contenu du fichier tient lieu de pixels, les
+// décodeurs simulés y lisent le code (ou rien).
+function fixtureImage(content, name = 'etiquette.png') {
+  return new ctx.window.File([content], name, { type: 'image/png' });
+}
+
+test('scan depuis une image — fichier via BarcodeDetector, collage via Quagga.decodeSingle', async () => {
+  const { ProductLookup, productLookup, cameraScanner } = ctx.window;
+  const saved = productLookup.getProviders();
+  const realStart = cameraScanner.start;
+  const realStop = cameraScanner.stop;
+  const stub = ProductLookup.fixtureProvider({
+    '3119780000017': { name: 'Cidre Fixture', category: 'Autre', alcoholContent: 4.5, servingQuantity: 33, servingUnit: 'cL' },
+    '4000000000006': { name: 'Stout Fixture', category: 'Bière', alcoholContent: 7, servingQuantity: 33, servingUnit: 'cL' },
+  }, { id: 'fixture', authoritative: true });
+  productLookup.register(stub, { before: 'openfoodfacts' });
+  let stops = 0;
+  cameraScanner.start = async () => {};
+  cameraScanner.stop = () => { stops++; };
+  const readBlob = (blob) => new Promise((resolve) => {
+    const r = new ctx.window.FileReader();
+    r.onload = () => resolve(r.result);
+    r.readAsText(blob);
+  });
+  ctx.window.BarcodeDetector = class {
+    static async getSupportedFormats() { return ['ean_13', 'ean_8', 'upc_a', 'upc_e']; }
+    async detect(image) {
+      const content = await readBlob(image);
+      return /^\d+$/.test(content) ? [{ rawValue: content, format: 'ean_13' }] : [];
+    }
+  };
+  try {
+    await openAddSheet();
+    await ctx.clickText(/^Scanner un code-barres/, 300);
+    await ctx.waitFor(() => ctx.findInputByAria(/^Image du code-barres$/), { label: 'import d’image proposé' });
+    const input = ctx.findInputByAria(/^Image du code-barres$/);
+    Object.defineProperty(input, 'files', { value: [fixtureImage('3119780000017')], configurable: true });
+    await ctx.act(async () => { input.dispatchEvent(new ctx.window.Event('change', { bubbles: true })); await ctx.sleep(100); });
+    await ctx.waitFor(() => ctx.text().includes('Cidre Fixture détecté'), { label: 'image décodée' });
+    assert.equal(stops, 1, 'caméra coupée avant le décodage');
+    await ctx.clickText(/^Utiliser ce produit$/, 300);
+    assert.equal(ctx.findInputByAria(/^Boisson$/).value, 'Cidre Fixture');
+
+    // Sans BarcodeDetector : repli sur Quagga.decodeSingle (image en data: URL).
+    delete ctx.window.BarcodeDetector;
+    const decoded = [];
+    ctx.window.Quagga = {
+      decodeSingle(config, cb) {
+        const content = Buffer.from(config.src.split(',')[1], 'base64').toString();
+        decoded.push(content);
+        setTimeout(() => cb(/^\d+$/.test(content) ? { codeResult: { code: content } } : undefined), 0);
+      },
+    };
+    const paste = async (file) => {
+      const e = new ctx.window.Event('paste', { bubbles: true, cancelable: true });
+      Object.defineProperty(e, 'clipboardData', { value: { files: [file] } });
+      await ctx.act(async () => { ctx.window.dispatchEvent(e); await ctx.sleep(100); });
+    };
+    await ctx.clickText(/^Scanner un code-barres/, 300);
+    await paste(fixtureImage('flou'));
+    await ctx.waitFor(() => ctx.text().includes('Aucun code-barres lisible sur cette image'), { label: 'image illisible' });
+    await paste(fixtureImage('4000000000006'));
+    await ctx.waitFor(() => ctx.text().includes('Stout Fixture détecté'), { label: 'image collée décodée' });
+    assert.equal(decoded.join(), 'flou,4000000000006');
+    assert.equal(stub.calls.join(), '3119780000017,4000000000006');
+    await ctx.clickAria(/^Fermer le scanner$/, 300);
+    await ctx.clickText(/^Annuler$/, 400);
+  } finally {
+    delete ctx.window.BarcodeDetector;
+    delete ctx.window.Quagga;
+    productLookup.providers = saved;
+    cameraScanner.start = realStart;
+    cameraScanner.stop = realStop;
+  }
+});
@@ -0,0 +1,68 @@
+// Auto-évaluation : questionnaire AUDIT-C depuis la section Stats (pré-rempli
+// par l'historique semé), score et zone de risque, courbe à partir de deux
+// questionnaires, suppression (Confirm).
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/boot-app');
+
+let ctx;
+test.before(async () => {
+  ctx = await bootApp();
+  await ctx.waitFor(() => ctx.text().includes('Bière'), { label: 'seed' });
+});
+test.after(() => ctx && ctx.cleanup());
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const isoToday = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+};
+const answers = () => ctx.qa('[role="radiogroup"][aria-labelledby^="audit-q-"] [role="radio"]');
+const radio = (label) => answers().find((b) => b.textContent === label);
+const db = () => ctx.window.dbManager;
+
+test('Stats : AUDIT-C pré-rempli, enregistré avec son score et sa zone', async () => {
+  await ctx.act(async () => {
+    await ctx.window.addDrink({
+      name: 'Pinte', category: 'Bière', quantity: 50, unit: 'cL',
+      alcoholContent: 5, date: isoToday(), time: '00:05',
+    });
+    await ctx.sleep(300);
+  });
+  await ctx.clickAria(/^Stats$/, 350);
+  await ctx.waitFor(() => ctx.text().includes('Questionnaire AUDIT-C de l\'OMS'), { label: 'section Auto-évaluation' });
+  await ctx.clickText(/^Faire l'AUDIT-C$/, 350);
+  await ctx.waitFor(() => ctx.text().includes('pré-rempli depuis ton historique'), { label: 'sheet pré-rempli' });
+  assert.ok(ctx.text().includes('D\'après ton historique'));
+  assert.equal(answers().filter((b) => b.getAttribute('aria-checked') === 'true').length, 3, 'trois réponses proposées');
+
+  await ctx.act(async () => {
+    ctx.click(radio('2 à 3 fois par semaine'));
+    ctx.click(radio('3 ou 4'));
+    ctx.click(radio('Une fois par mois'));
+    await ctx.sleep(100);
+  });
+  assert.ok(ctx.text().includes('Score : 6/12'));
+  await ctx.clickText(/^Enregistrer$/, 400);
+
+  await ctx.waitFor(() => ctx.text().includes('Dernier questionnaire le'), { label: 'score affiché' });
+  const rows = await db().getAllAssessments();
+  assert.equal(rows.length, 1);
+  assert.deepEqual([rows[0].kind, rows[0].answers, rows[0].score, rows[0].auditC], ['auditc', [3, 1, 2], 6, 6]);
+  assert.ok(ctx.text().includes('Consommation à risque'));
+});
+
+test('Stats : courbe à partir de deux questionnaires, suppression confirmée', async () => {
+  await ctx.act(async () => {
+    await ctx.window.addAssessment({ kind: 'auditc', answers: [1, 0, 0], ts: Date.now() + 1000 });
+    await ctx.sleep(300);
+  });
+  await ctx.waitFor(() => ctx.q('[aria-label="Score AUDIT-C au fil des questionnaires"]'), { label: 'courbe' });
+  assert.ok(ctx.text().includes('Faible risque'), 'zone du dernier score');
+
+  await ctx.clickAria(/^Supprimer l'auto-évaluation$/, 250);
+  await ctx.clickText(/^Supprimer$/, 350);
+  await ctx.waitFor(() => !ctx.q('[aria-label="Score AUDIT-C au fil des questionnaires"]'), { label: 'courbe retirée' });
+  assert.deepEqual((await db().getAllAssessments()).map((a) => a.score), [6], 'le plus récent supprimé');
+});
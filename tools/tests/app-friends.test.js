@@ -1,6 +1,7 @@
 // Partage entre amis (transport mock Léa/Tom) : activation, groupe, liste,
 // régression « pull partiel ne vide pas les membres », stats d'un ami
-// (carte masquée, sections BAC conditionnées), Paramètres › Partage.
+// (carte masquée, sections BAC conditionnées), Paramètres › Partage,
+// invitation par QR code.
 // Migration de la phase B de l'ancien tools/smoke-test.js.
 'use strict';
 const test = require('node:test');
@@ -96,3 +97,46 @@ test('Paramètres › Partage : pseudo, code d’invitation, toggles', async ()
   // d'invitation vit désormais dans Paramètres › Partage.
   assert.ok(t.includes("Code d'invitation"), 'code d’invitation dans le tiroir');
 });
+
+test('invitation par QR code : QR affiché au pied de l’onglet, scanné depuis l’écran d’amorçage', async () => {
+  await ctx.clickAria(/Fermer les paramètres/, 350);
+  const code = engine().state.inviteCode;
+  assert.ok(code, 'code d’invitation connu');
+  await ctx.clickText(/Inviter avec un QR code$/, 350);
+  const qr = ctx.q(`svg[aria-label="QR code d'invitation ${code}"]`);
+  assert.ok(qr && qr.querySelector('path').getAttribute('d').length > 100, 'QR dessiné');
+  await ctx.act(async () => {
+    ctx.click(ctx.q('[role="dialog"][aria-label="QR code d\'invitation"] button[aria-label="Fermer"]'));
+    await ctx.sleep(400);
+  });
+
+  await ctx.act(async () => { await engine().leaveGroup(); await ctx.sleep(250); });
+  const { cameraScanner } = ctx.window;
+  const realStart = cameraScanner.start;
+  const realStop = cameraScanner.stop;
+  const tr = ctx.window.getTransport();
+  const realJoin = tr.joinGroup.bind(tr);
+  const joined = [];
+  tr.joinGroup = (c) => { joined.push(c); return realJoin(c); };
+  const starts = [];
+  cameraScanner.start = async (opts) => { starts.push(opts && opts.mode); };
+  cameraScanner.stop = () => {};
+  ctx.window.BarcodeDetector = class { static async getSupportedFormats() { return ['qr_code', 'ean_13']; } };
+  try {
+    await ctx.clickText(/Scanner un QR code$/, 300);
+    await ctx.waitFor(() => starts.length === 1, { label: 'scanner ouvert' });
+    assert.equal(starts[0], 'invite');
+    await ctx.act(async () => { cameraScanner.onBarcodeConfirmed('https://example.com/menu'); await ctx.sleep(50); });
+    assert.ok(ctx.text().includes('n\'est pas une invitation AlcoNote'), 'QR étranger refusé');
+    await ctx.act(async () => { cameraScanner.onBarcodeConfirmed(ctx.window.inviteQrPayload(code)); await ctx.sleep(50); });
+    await ctx.waitFor(() => ctx.text().includes(`Invitation ${code}`), { label: 'invitation lue' });
+    await ctx.clickText(/^Rejoindre ce groupe$/, 600);
+    await ctx.waitFor(() => engine().state.groupId, { label: 'groupe rejoint' });
+    assert.equal(joined.join(), code, 'code lu transmis au transport');
+  } finally {
+    tr.joinGroup = realJoin;
+    delete ctx.window.BarcodeDetector;
+    cameraScanner.start = realStart;
+    cameraScanner.stop = realStop;
+  }
+});
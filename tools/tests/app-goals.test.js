@@ -0,0 +1,62 @@
+// Objectifs : création depuis la section Stats « Objectifs », statut de la
+// période en cours, badge de l'onglet Catégories quand la limite est
+// dépassée, suppression (Confirm) qui efface objectif et historique.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/boot-app');
+
+let ctx;
+test.before(async () => {
+  ctx = await bootApp();
+  await ctx.waitFor(() => ctx.text().includes('Bière'), { label: 'seed' });
+});
+test.after(() => ctx && ctx.cleanup());
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const isoToday = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+};
+const badge = () => ctx.qa('[role="status"]').find((el) => /^Objectif :/.test(el.getAttribute('aria-label') || ''));
+
+test('Stats : créer « 1 verre standard par semaine », dépassé par une pinte', async () => {
+  await ctx.act(async () => {
+    await ctx.window.addDrink({
+      name: 'Pinte', category: 'Bière', quantity: 50, unit: 'cL',
+      alcoholContent: 5, date: isoToday(), time: '00:05',
+    });
+    await ctx.sleep(300);
+  });
+  await ctx.clickAria(/^Stats$/, 350);
+  await ctx.waitFor(() => ctx.text().includes('Fixe-toi une limite'), { label: 'section Objectifs' });
+
+  await ctx.clickAria(/^Ajouter un objectif$/, 250);
+  const radio = ctx.qa('[role="radio"]').find((b) => b.textContent === 'Verres standard par semaine');
+  assert.equal(radio.getAttribute('aria-checked'), 'true', 'type par défaut');
+  await ctx.setInput(ctx.findInputByAria(/^Limite de l'objectif$/), '1');
+  await ctx.clickText(/^Créer l'objectif$/, 350);
+
+  await ctx.waitFor(() => ctx.text().includes('Au plus 1 verre standard par semaine'), { label: 'carte objectif' });
+  const goals = JSON.parse(await ctx.window.dbManager.getSetting('goals'));
+  assert.equal(goals.length, 1);
+  assert.deepEqual([goals[0].type, goals[0].limit], ['weeklyDrinks', 1]);
+  assert.match(ctx.text(), /Dépassé · 2 \/ 1 verres std/);
+  assert.ok(ctx.text().includes('Pas encore de semaine terminée'), 'historique vide à la création');
+});
+
+test('Catégories : badge « dépassé », retiré avec l’objectif', async () => {
+  await ctx.clickAria(/^Catégories$/, 350);
+  await ctx.waitFor(badge, { label: 'badge objectif' });
+  assert.equal(badge().getAttribute('aria-label'), 'Objectif : dépassé');
+
+  await ctx.clickAria(/^Stats$/, 350);
+  await ctx.clickAria(/^Supprimer l'objectif$/, 250);
+  await ctx.clickText(/^Supprimer$/, 350);
+  await ctx.waitFor(() => ctx.text().includes('Fixe-toi une limite'), { label: 'objectif supprimé' });
+  assert.equal(await ctx.window.dbManager.getSetting('goals'), null);
+  assert.equal(await ctx.window.dbManager.getSetting('goals.history'), null);
+
+  await ctx.clickAria(/^Catégories$/, 350);
+  assert.ok(!badge(), 'plus de badge');
+});
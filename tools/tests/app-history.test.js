@@ -131,3 +131,77 @@ test('recherche dans l’historique', async () => {
   assert.ok(!t.includes('Histo A'), 'les autres familles sont filtrées');
   await ctx.setInput(search, '', 250);
 });
+
+test('requête `clé:valeur` : critères + totaux du résultat', async () => {
+  const search = ctx.findInputByAria(/Rechercher dans l/);
+  await ctx.setInput(search, 'degre:>10 histo', 300);
+  const t = ctx.text();
+  assert.ok(t.includes('Histo C') && !t.includes('Histo A'), 'seul le vin à 13 % reste');
+  const totals = ctx.q('[aria-label="Totaux du filtre"]');
+  assert.ok(totals, 'totaux affichés');
+  assert.match(totals.textContent, /^1 boisson12 g d'alcool—$/);
+  await ctx.setInput(search, '', 250);
+  assert.ok(!ctx.q('[aria-label="Totaux du filtre"]'), 'pas de totaux sans filtre');
+});
+
+test('panneau de filtres : critère appliqué, filtre nommé, repris par l’onglet Stats', async () => {
+  await ctx.clickAria(/^Filtres avancés$/, 350);
+  await ctx.setInput(ctx.findInputByAria(/^Volume minimum$/), '30');
+  await ctx.setInput(ctx.findInputByAria(/^Nom du filtre$/), 'Grands verres');
+  await ctx.clickText(/^Enregistrer le filtre$/, 400);
+  await ctx.waitFor(() => ctx.q('[aria-label="Retirer le critère Volume ≥ 30 cL"]'), { label: 'critère actif' });
+  assert.ok(ctx.text().includes('Histo A') && !ctx.text().includes('Histo C'));
+  const saved = JSON.parse(await db().getSetting('filters.saved'));
+  assert.deepEqual(saved.map((s) => [s.name, s.filter]), [['Grands verres', { volMin: 30 }]]);
+
+  // Retirer le critère : le filtre nommé n'est plus actif.
+  await ctx.clickAria(/^Retirer le critère Volume/, 250);
+  assert.ok(ctx.text().includes('Histo C'));
+
+  await ctx.clickAria(/^Stats$/, 350);
+  const pill = () => ctx.qa('[aria-label="Filtres enregistrés"] button').find((b) => b.textContent === 'Grands verres');
+  await ctx.waitFor(pill, { label: 'pilule Stats' });
+  await ctx.act(async () => { ctx.click(pill()); await ctx.sleep(300); });
+  assert.equal(pill().getAttribute('aria-pressed'), 'true');
+  assert.equal(ctx.window.localStorage.getItem('alconote.stats.filter'), saved[0].id);
+  await ctx.clickText(/^Tout$/, 300);
+  await ctx.clickAria(/^Historique$/, 350);
+});
+
+test('sélection multiple : décalage d’heure en lot, suppression en lot, une seule annulation chacun', async () => {
+  await ctx.clickAria(/^Sélection multiple$/, 300);
+  assert.ok(!ctx.buttons().some((b) => /^Modifier Histo/.test(b.getAttribute('aria-label') || '')), 'lignes en cases à cocher');
+  for (const name of ['Histo B', 'Histo C']) {
+    await ctx.clickAria(new RegExp(`^Sélectionner ${name},`), 150);
+  }
+  const box = ctx.buttons().find((b) => /^Sélectionner Histo C,/.test(b.getAttribute('aria-label')));
+  assert.equal(box.getAttribute('role'), 'checkbox');
+  assert.equal(box.getAttribute('aria-checked'), 'true');
+  assert.match(ctx.text(), /2 sélectionnées/);
+
+  const times = async () => (await db().getAllDrinks())
+    .filter((d) => d.name === 'Histo B' || d.name === 'Histo C').map((d) => `${d.name} ${d.time}`).sort();
+  await ctx.clickAria(/^Décaler l'heure$/, 350);
+  await ctx.waitFor(() => ctx.findInputByAria(/^Heures$/), { label: 'BatchEditSheet' });
+  assert.match(ctx.text(), /\+1 h sur 2 boissons/);
+  await ctx.setInput(ctx.findInputByAria(/^Minutes$/), '30');
+  await ctx.clickText(/^Appliquer$/, 450);
+  assert.deepEqual(await times(), ['Histo B 15:30', 'Histo C 16:30']);
+  assert.match(ctx.text(), /2 boissons modifiées/);
+  assert.ok(!ctx.q('[aria-label="Supprimer la sélection"]'), 'sortie du mode sélection');
+  await ctx.clickText(/^Annuler$/, 400);
+  assert.deepEqual(await times(), ['Histo B 14:00', 'Histo C 15:00'], 'annulation en un geste');
+
+  // Tout le jour d'un coup, puis suppression + annulation via restoreDrinks.
+  const before = await db().getAllDrinks();
+  await ctx.clickAria(/^Sélection multiple$/, 300);
+  const dayBox = ctx.buttons().find((b) => /^Sélectionner les boissons du /.test(b.getAttribute('aria-label') || ''));
+  await ctx.act(async () => { ctx.click(dayBox); await ctx.sleep(200); });
+  const todayCount = before.filter((d) => d.date === today()).length;
+  assert.match(ctx.text(), new RegExp(`${todayCount} sélectionnées`));
+  await ctx.clickAria(/^Supprimer la sélection$/, 450);
+  assert.equal((await db().getAllDrinks()).length, before.length - todayCount);
+  await ctx.clickText(/^Annuler$/, 500);
+  const names = (arr) => arr.map((d) => `${d.name}|${d.date}|${d.time}`).sort();
+  assert.deepEqual(names(await db().getAllDrinks()), names(before));
+});
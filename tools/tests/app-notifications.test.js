@@ -0,0 +1,92 @@
+// Alertes d'alcoolémie : activation (permission demandée au geste), heures
+// calmes, alerte immédiate quand un verre fait passer le pic au-dessus du
+// seuil, alertes programmées affichées dans Stats et annulables. Sans
+// service worker sous jsdom : chemin de repli (minuteries de la page).
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/boot-app');
+
+let ctx;
+const shown = [];
+test.before(async () => {
+  ctx = await bootApp();
+  await ctx.waitFor(() => ctx.text().includes('Bière'), { label: 'seed' });
+  // Notification absente de jsdom : permission accordée à la demande.
+  class FakeNotification {
+    constructor(title, opts) { shown.push({ title, ...opts }); }
+    static async requestPermission() { FakeNotification.permission = 'granted'; return 'granted'; }
+  }
+  FakeNotification.permission = 'default';
+  ctx.window.Notification = FakeNotification;
+});
+test.after(() => {
+  if (ctx) ctx.window.cancelScheduledNotifications();
+  return ctx && ctx.cleanup();
+});
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const now = () => {
+  const d = new Date();
+  return { date: `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`, time: `${pad2(d.getHours())}:${pad2(d.getMinutes())}` };
+};
+const db = () => ctx.window.dbManager;
+const sw = (label) => ctx.qa('[role="switch"]').find((b) => b.getAttribute('aria-label') === label);
+
+test('paramètres : activation (permission demandée), heures calmes 23:00 → 07:00', async () => {
+  await ctx.clickAria(/Ouvrir les paramètres/, 350);
+  await ctx.waitFor(() => sw('Alertes d\'alcoolémie'), { label: 'section Alertes' });
+  assert.equal(sw('Alertes d\'alcoolémie').getAttribute('aria-checked'), 'false',
+    'semé à true en base, mais rien sans permission');
+
+  await ctx.act(async () => { ctx.click(sw('Alertes d\'alcoolémie')); await ctx.sleep(250); });
+  await ctx.waitFor(() => sw('Alertes d\'alcoolémie').getAttribute('aria-checked') === 'true', { label: 'activé' });
+  assert.equal(ctx.window.Notification.permission, 'granted');
+  assert.equal(await db().getSetting('notifications'), true);
+
+  await ctx.act(async () => { ctx.click(sw('Heures calmes')); await ctx.sleep(250); });
+  await ctx.waitFor(() => ctx.q('[aria-label="Heures calmes · Début"]'), { label: 'plage affichée' });
+  assert.equal(await db().getSetting('notify.quietStart'), '23:00');
+  assert.equal(await db().getSetting('notify.quietEnd'), '07:00');
+  assert.equal(ctx.q('[aria-label="Heures calmes · Fin"]').textContent, '07:00');
+
+  // Désactivée pour la suite : l'heure réelle du test ne doit pas filtrer.
+  await ctx.act(async () => { ctx.click(sw('Heures calmes')); await ctx.sleep(250); });
+  await ctx.waitFor(() => !ctx.q('[aria-label="Heures calmes · Début"]'), { label: 'plage masquée' });
+  assert.equal(await db().getSetting('notify.quietStart'), null);
+  await ctx.clickAria(/Fermer les paramètres/, 350);
+});
+
+test('verres : sobriété programmée, alerte de pic au franchissement, annulation', async () => {
+  await ctx.clickAria(/^Stats$/, 350);
+  await ctx.act(async () => {
+    await ctx.window.addDrink({ name: 'Demi', category: 'Bière', quantity: 25, unit: 'cL', alcoholContent: 5, ...now() });
+    await ctx.sleep(300);
+  });
+  await ctx.waitFor(() => ctx.q('[aria-label="Annuler les alertes"]'), { label: 'alertes programmées' });
+  assert.match(ctx.text(), /Sobre à \d\d:\d\d/);
+  assert.ok(!ctx.text().includes('Tu repasses sous'), 'jamais au-dessus du seuil');
+  assert.equal(shown.length, 0, 'pic sous le seuil : pas d’alerte immédiate');
+
+  await ctx.act(async () => {
+    await ctx.window.addDrink({ name: 'Whisky', category: 'Spiritueux', quantity: 20, unit: 'cL', alcoholContent: 40, ...now() });
+    await ctx.sleep(300);
+  });
+  await ctx.waitFor(() => shown.length === 1, { label: 'alerte de pic' });
+  assert.equal(shown[0].tag, 'alconote-bac-peak');
+  assert.match(shown[0].body, /^Pic prévu à \d+ mg\/L vers \d\d:\d\d : au-dessus du seuil de conduite$/);
+  await ctx.waitFor(() => ctx.text().includes('Tu repasses sous 500 mg/L à'), { label: 'retour sous le seuil programmé' });
+
+  await ctx.clickAria(/^Annuler les alertes$/, 250);
+  assert.ok(!ctx.q('[aria-label="Annuler les alertes"]'), 'lot annulé');
+  assert.ok(!ctx.text().includes('Tu repasses sous'));
+
+  // Le verre suivant re-planifie ; le pic était déjà au-dessus : pas de
+  // nouvelle alerte immédiate.
+  await ctx.act(async () => {
+    await ctx.window.addDrink({ name: 'Demi', category: 'Bière', quantity: 25, unit: 'cL', alcoholContent: 5, ...now() });
+    await ctx.sleep(300);
+  });
+  await ctx.waitFor(() => ctx.q('[aria-label="Annuler les alertes"]'), { label: 're-planifié' });
+  assert.equal(shown.length, 1);
+});
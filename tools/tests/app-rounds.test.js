@@ -0,0 +1,80 @@
+// Tournées : création depuis l'onglet Catégories (boissons, nombre de verres,
+// part « pour moi seulement »), ajout en un geste (même heure, une seule
+// entrée de journal, undo via le toast), appui long sur le FAB.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootApp } = require('./helpers/boot-app');
+
+let ctx;
+test.before(async () => {
+  ctx = await bootApp();
+  await ctx.waitFor(() => ctx.text().includes('Bière'), { label: 'seed' });
+  await ctx.act(async () => {
+    for (const [name, quantity, unit] of [['Pinte', 50, 'cL'], ['Pichet', 1.5, 'L']]) {
+      await ctx.window.addDrink({
+        name, category: 'Bière', quantity, unit, alcoholContent: 5,
+        date: '2025-05-01', time: '20:00', price: name === 'Pichet' ? 18 : null,
+      });
+    }
+    await ctx.sleep(300);
+  });
+});
+test.after(() => ctx && ctx.cleanup());
+
+const db = () => ctx.window.dbManager;
+const byAria = (re) => ctx.buttons().find((b) => re.test(b.getAttribute('aria-label') || ''));
+
+test('Catégories : créer « Vendredi » = 2 pintes + 1/3 de pichet', async () => {
+  await ctx.waitFor(() => byAria(/^Créer une tournée$/), { label: 'section Tournées' });
+  await ctx.clickAria(/^Créer une tournée$/, 300);
+  await ctx.setInput(ctx.findInputByAria(/^Nom de la tournée$/), 'Vendredi');
+  await ctx.clickAria(/^Ajouter Pinte \(50 cL, 5°\) à la tournée$/, 150);
+  await ctx.clickAria(/^Un verre de plus : Pinte$/, 100);
+  await ctx.clickAria(/^Ajouter Pichet \(1.5 L, 5°\) à la tournée$/, 150);
+  const third = ctx.qa('[role="radiogroup"][aria-label="Ma part : Pichet"] [role="radio"]').find((b) => b.textContent === '1/3');
+  await ctx.act(async () => { ctx.click(third); await ctx.sleep(100); });
+  assert.ok(ctx.text().includes('Pour moi seulement : 1/3 du verre'));
+  await ctx.clickText(/^Enregistrer$/, 400);
+
+  const rounds = await db().getAllRounds();
+  assert.equal(rounds.length, 1);
+  assert.deepEqual(rounds[0].items.map((it) => [it.name, it.count, Math.round(it.share * 100) / 100]), [['Pinte', 2, 1], ['Pichet', 1, 0.33]]);
+  await ctx.waitFor(() => byAria(/^Ajouter la tournée Vendredi — 2 × Pinte \+ 1 × Pichet \(1\/3\)$/), { label: 'carte tournée' });
+});
+
+test('un geste ajoute la tournée entière, une seule annulation', async () => {
+  const known = new Set((await db().getAllDrinks()).map((d) => d.id));
+  const before = known.size;
+  await ctx.clickAria(/^Ajouter la tournée Vendredi/, 500);
+  const added = (await db().getAllDrinks()).filter((d) => !known.has(d.id));
+  assert.equal(added.length, 3);
+  assert.equal(new Set(added.map((d) => `${d.date} ${d.time}`)).size, 1, 'même horodatage');
+  const pichet = added.find((d) => d.name === 'Pichet');
+  assert.deepEqual([pichet.quantity, pichet.price, pichet.priceIsCustom], [0.5, 6, true]);
+  assert.match(ctx.text(), /Tournée « Vendredi » ajoutée · 3 boissons/);
+  assert.equal((await db().listJournal())[0].label, 'Tournée « Vendredi »');
+
+  await ctx.clickText(/^Annuler$/, 400);
+  assert.equal((await db().getAllDrinks()).length, before, 'tournée retirée');
+});
+
+test('appui long sur « + » : choix de la tournée, sans ouvrir la feuille d\'ajout', async () => {
+  const before = (await db().getAllDrinks()).length;
+  const fab = byAria(/^Ajouter une boisson$/);
+  await ctx.act(async () => {
+    fab.dispatchEvent(new ctx.window.MouseEvent('pointerdown', { bubbles: true }));
+    await ctx.sleep(650);
+    fab.dispatchEvent(new ctx.window.MouseEvent('pointerup', { bubbles: true }));
+    fab.dispatchEvent(new ctx.window.MouseEvent('click', { bubbles: true }));
+    await ctx.sleep(300);
+  });
+  const dialog = ctx.q('[role="dialog"][aria-label="Ajouter une tournée"]');
+  assert.ok(dialog, 'sélecteur de tournée ouvert');
+  assert.equal(ctx.qa('[role="dialog"]').length, 1, 'feuille d\'ajout non ouverte');
+  const pickBtn = () => [...dialog.querySelectorAll('button')].find((b) => /^Ajouter la tournée Vendredi/.test(b.getAttribute('aria-label') || ''));
+  await ctx.waitFor(pickBtn, { label: 'tournée dans le sélecteur' });
+  const pick = pickBtn();
+  await ctx.act(async () => { ctx.click(pick); await ctx.sleep(500); });
+  assert.equal((await db().getAllDrinks()).length, before + 3);
+});
@@ -1,5 +1,10 @@
 // Tiroir Paramètres : poids (NumberField virgule, suppression de la clé),
-// sexe, thème clair/sombre, export/import présents.
+// sexe, thème clair/sombre, export/import présents, navigateur de sauvegardes,
+// import Fusionner / Remplacer, import chiffré (phrase de passe), import CSV,
+// export automatique (retard signalé dans le header, export manuel), langue,
+// profil de conduite, verre standard, modèle BAC (âge / taille), historique des
+// modifications (annuler / rétablir), unités de contenant, catalogue des
+// produits et fichier de produits JSON.
 'use strict';
 const test = require('node:test');
 const assert = require('node:assert/strict');
@@ -64,3 +69,333 @@ test('export / import : actions présentes dans le tiroir', () => {
 test('section Partage entre amis présente (désactivée par défaut)', () => {
   assert.ok(ctx.text().includes('Partage entre amis'));
 });
+
+test('sauvegardes : liste des snapshots et aperçu avant restauration', async () => {
+  await db().db.backups.add({
+    createdAt: new Date(), label: 'auto',
+    json: JSON.stringify({ version: '1.0', categories: [], drinks: [] }),
+  });
+  await ctx.clickText(/^Sauvegardes$/, 350);
+  await ctx.waitFor(() => ctx.text().includes('Automatique'), { label: 'liste chargée' });
+  await ctx.clickText(/^Automatique/, 350);
+  await ctx.waitFor(() => ctx.text().includes('Restaurer cette sauvegarde'), { label: 'aperçu' });
+});
+
+test('import : aperçu Fusionner / Remplacer, la fusion n’efface rien', async () => {
+  await ctx.clickAria(/^Fermer$/, 400); // referme la sheet Sauvegardes
+  const before = (await db().getAllDrinks()).length;
+  const json = JSON.stringify({
+    version: '1.0', categories: [{ name: 'Bière' }],
+    drinks: [{ name: 'Import test', category: 'Bière', quantity: 25, unit: 'cL',
+      alcoholContent: 5, date: '2026-01-05', time: '21:00' }],
+  });
+  const input = ctx.document.querySelector('input[aria-label="Fichier à importer"]');
+  const file = new ctx.window.File([json], 'ami.json', { type: 'application/json' });
+  Object.defineProperty(input, 'files', { value: [file], configurable: true });
+  await ctx.act(async () => {
+    input.dispatchEvent(new ctx.window.Event('change', { bubbles: true }));
+    await ctx.sleep(300);
+  });
+  await ctx.waitFor(() => ctx.text().includes('1 boisson ajoutée'), { label: 'aperçu fusion' });
+  assert.ok(ctx.text().includes('Remplacer'));
+  const radio = ctx.qa('[role="radio"]').find((b) => b.textContent.startsWith('Fusionner'));
+  assert.equal(radio.getAttribute('aria-checked'), 'true', 'Fusionner par défaut');
+  const go = ctx.qa('button').filter((b) => b.textContent === 'Fusionner').pop();
+  await ctx.act(async () => { ctx.click(go); await ctx.sleep(400); });
+  await ctx.waitFor(async () => (await db().getAllDrinks()).length === before + 1, { label: 'fusion appliquée' });
+});
+
+test('import chiffré : phrase demandée, erreur affichée sans fermer, puis aperçu', async () => {
+  const before = (await db().getAllDrinks()).length;
+  const file = await db().exportData({ passphrase: 'une phrase longue' });
+  const input = ctx.document.querySelector('input[aria-label="Fichier à importer"]');
+  assert.match(input.getAttribute('accept'), /\.alconote/);
+  Object.defineProperty(input, 'files', {
+    value: [new ctx.window.File([file], 'sauvegarde.alconote')], configurable: true });
+  await ctx.act(async () => {
+    input.dispatchEvent(new ctx.window.Event('change', { bubbles: true }));
+    await ctx.sleep(300);
+  });
+  await ctx.waitFor(() => ctx.text().includes('Fichier chiffré'), { label: 'phrase demandée' });
+  const field = ctx.findInputByAria(/^Phrase de passe$/);
+  await ctx.setInput(field, 'pas la bonne');
+  await ctx.clickText(/^Déchiffrer$/, 1500);
+  await ctx.waitFor(() => ctx.text().includes('Phrase de passe incorrecte'), { label: 'erreur', timeout: 5000 });
+  await ctx.setInput(field, 'une phrase longue');
+  await ctx.clickText(/^Déchiffrer$/, 1500);
+  await ctx.waitFor(() => ctx.text().includes('0 boisson ajoutée'), { label: 'aperçu déchiffré', timeout: 5000 });
+  const go = ctx.qa('button').filter((b) => b.textContent === 'Fusionner').pop();
+  await ctx.act(async () => { ctx.click(go); await ctx.sleep(1500); });
+  await ctx.waitFor(() => !ctx.text().includes('0 boisson ajoutée'), { label: 'sheet refermée', timeout: 5000 });
+  assert.equal((await db().getAllDrinks()).length, before);
+});
+
+test('import CSV : correspondance proposée, rapport à blanc, lignes valides fusionnées', async () => {
+  const before = (await db().getAllDrinks()).length;
+  const csv = 'date;heure;nom;catégorie;quantité;unité;degré (%)\n'
+    + '05/01/2026;22h;Spritz;Cocktail;15;cL;11\n'
+    + '2026-13-01;22:00;Raté;Cocktail;15;cL;11\n';
+  const input = ctx.document.querySelector('input[aria-label="Fichier CSV à importer"]');
+  const file = new ctx.window.File([csv], 'journal.csv', { type: 'text/csv' });
+  Object.defineProperty(input, 'files', { value: [file], configurable: true });
+  await ctx.act(async () => {
+    input.dispatchEvent(new ctx.window.Event('change', { bubbles: true }));
+    await ctx.sleep(300);
+  });
+  await ctx.waitFor(() => ctx.text().includes('1 boisson valide'), { label: 'rapport CSV' });
+  assert.ok(ctx.text().includes('Ligne 3'), 'erreur localisée');
+  assert.equal((await db().getAllDrinks()).length, before, 'rien d’écrit avant confirmation');
+  await ctx.clickText(/^Importer 1 boisson$/, 400);
+  await ctx.waitFor(async () => (await db().getAllDrinks()).length === before + 1, { label: 'CSV importé' });
+  const spritz = (await db().getAllDrinks()).find((d) => d.name === 'Spritz');
+  assert.equal(spritz.date, '2026-01-05');
+  assert.equal(spritz.time, '22:00');
+});
+
+test('export automatique : retard signalé dans le header, levé par « Exporter maintenant »', async () => {
+  const menu = () => ctx.qa('button').find((b) => /^Ouvrir les paramètres/.test(b.getAttribute('aria-label') || ''));
+  assert.equal(menu().getAttribute('aria-label'), 'Ouvrir les paramètres');
+  const daily = ctx.qa('[role="radio"]').find((b) => b.textContent === 'Quotidien');
+  await ctx.act(async () => { ctx.click(daily); await ctx.sleep(250); });
+  await ctx.waitFor(() => /sauvegarde en retard/.test(menu().getAttribute('aria-label')), { label: 'pastille header' });
+  assert.ok(ctx.text().includes('Jamais · en retard'));
+  assert.ok(ctx.text().includes('Navigateur sans accès aux dossiers'), 'jsdom : repli téléchargement');
+
+  await ctx.clickText(/^Exporter maintenant$/, 400);
+  await ctx.waitFor(async () => Number(await db().getSetting('offsite.lastAt')) > 0, { label: 'export daté' });
+  await ctx.waitFor(() => menu().getAttribute('aria-label') === 'Ouvrir les paramètres', { label: 'retard levé' });
+  assert.ok(!ctx.text().includes('en retard'));
+});
+
+test('export automatique chiffré importé sans sa clé : planning suspendu, reconfiguration demandée', async () => {
+  // Réglages venus d'un import : la clé dérivée est restée sur l'autre appareil.
+  await ctx.act(async () => {
+    await db().setSetting('offsite.interval', 'daily');
+    await db().setSetting('offsite.encrypted', true);
+    await db().setSetting('offsite.lastAt', null);
+    await ctx.sleep(100);
+  });
+  assert.equal(await db().getDeviceValue('offsite.key'), null);
+  let ran;
+  await ctx.act(async () => { ran = await ctx.window.maybeScheduledExport(); await ctx.sleep(250); });
+  assert.equal(ran, false);
+  assert.equal(await db().getSetting('offsite.encrypted'), null, 'chiffrement oublié');
+  assert.equal(await db().getSetting('offsite.interval'), null, 'pas d’export en clair à la place');
+  assert.ok(ctx.text().includes('clé absente sur cet appareil'));
+  assert.ok(!(Number(await db().getSetting('offsite.lastAt')) > 0), 'rien exporté');
+});
+
+test('langue : bascule en anglais (tiroir, header, navigation), réglage persisté, retour au français', async () => {
+  const radio = (label) => ctx.qa('[role="radio"]').find((b) => b.textContent === label);
+  await ctx.act(async () => { ctx.click(radio('English')); await ctx.sleep(250); });
+  assert.equal(radio('English').getAttribute('aria-checked'), 'true');
+  assert.equal(await db().getSetting('language'), 'en');
+  assert.equal(ctx.document.documentElement.getAttribute('lang'), 'en');
+  const t = ctx.text();
+  assert.ok(t.includes('Settings') && t.includes('Weight (kg)') && t.includes('Erase everything'));
+  assert.ok(ctx.qa('[role="tab"]').some((b) => b.getAttribute('aria-label') === 'History'), 'navigation traduite');
+  assert.ok(t.includes('Translate BAC messages'), 'opt-in proposé hors français');
+
+  // Les écrans derrière le tiroir suivent aussi : stats, historique.
+  await ctx.clickAria(/^Stats$/, 350);
+  await ctx.waitFor(() => ctx.text().includes('Blood alcohol') && ctx.text().includes('Self-assessment'), { label: 'stats en anglais' });
+  assert.ok(!ctx.text().includes('Alcoolémie'));
+  await ctx.clickAria(/^History$/, 350);
+  await ctx.waitFor(() => /\d+ drinks?/.test(ctx.text()), { label: 'historique en anglais' });
+
+  await ctx.act(async () => { ctx.click(radio('Français')); await ctx.sleep(250); });
+  assert.equal(await db().getSetting('language'), 'fr');
+  assert.ok(ctx.text().includes('Poids (kg)'));
+  assert.ok(!ctx.text().includes('Translate BAC messages'));
+});
+
+test('langue : erreurs d’import et de déchiffrement traduites en anglais', async () => {
+  const radio = (label) => ctx.qa('[role="radio"]').find((b) => b.textContent === label);
+  await ctx.act(async () => { ctx.click(radio('English')); await ctx.sleep(250); });
+  const importFile = async (file) => {
+    const input = ctx.document.querySelector('input[aria-label="File to import"]');
+    Object.defineProperty(input, 'files', { value: [file], configurable: true });
+    await ctx.act(async () => {
+      input.dispatchEvent(new ctx.window.Event('change', { bubbles: true }));
+      await ctx.sleep(300);
+    });
+  };
+
+  const invalid = JSON.stringify({ version: 2, categories: [{ id: 1, name: 'Bière' }],
+    drinks: [{ uid: 'u-1', name: 'X', category: 'Bière', quantity: 25, unit: 'cL', alcoholContent: 5, date: '05/01/2026', time: '21:00' }] });
+  await importFile(new ctx.window.File([invalid], 'bad.json', { type: 'application/json' }));
+  await ctx.waitFor(() => ctx.text().includes('Invalid data format — drinks[0].date: YYYY-MM-DD format expected'),
+    { label: 'import invalide en anglais' });
+  assert.ok(!ctx.text().includes('Format de données invalide'));
+
+  const file = await db().exportData({ passphrase: 'une phrase longue' });
+  await importFile(new ctx.window.File([file], 'backup.alconote'));
+  await ctx.setInput(await ctx.waitFor(() => ctx.findInputByAria(/^Passphrase$/), { label: 'phrase demandée' }), 'pas la bonne');
+  await ctx.clickText(/^Decrypt$/, 1500);
+  await ctx.waitFor(() => ctx.text().includes('Wrong passphrase or tampered file'), { label: 'erreur en anglais', timeout: 5000 });
+  assert.ok(!ctx.text().includes('Phrase de passe incorrecte'));
+  await ctx.clickText(/^Cancel$/, 400);
+
+  await ctx.act(async () => { ctx.click(radio('Français')); await ctx.sleep(250); });
+  assert.equal(await db().getSetting('language'), 'fr');
+});
+
+test('conduite : profil jeune conducteur / personnalisé et unité g/L, appliqués à la pastille du header', async () => {
+  const select = ctx.q('select[aria-label="Profil de conduite"]');
+  assert.ok(select, 'sélecteur de profil présent');
+  assert.ok([...select.options].some((o) => o.textContent === 'France — jeune conducteur · 200 mg/L'));
+  const choose = async (value) => ctx.act(async () => {
+    select.value = value;
+    select.dispatchEvent(new ctx.window.Event('change', { bubbles: true }));
+    await ctx.sleep(150);
+  });
+  await choose('custom');
+  assert.ok(ctx.findInputByAria(/^Seuil légal \(mg\/L\)$/), 'seuil personnalisé saisissable');
+
+  const radio = (label) => ctx.qa('[role="radio"]').find((b) => b.textContent === label);
+  await ctx.act(async () => { ctx.click(radio('g/L')); await ctx.sleep(150); });
+  const limit = ctx.findInputByAria(/^Seuil légal \(g\/L\)$/);
+  assert.ok(limit, 'le seuil se saisit dans l’unité affichée');
+  await ctx.setInput(limit, '0,2');
+  await ctx.blurInput(limit, 150);
+  await ctx.waitFor(async () => JSON.parse((await db().getSetting('bacDisplay')) || '{}').customLimit === 200,
+    { label: 'seuil enregistré en mg/L' });
+  assert.equal(ctx.q('[aria-label="Taux d\'alcoolémie"]').getAttribute('title'), '0 g/L');
+
+  await choose('fr');
+  await ctx.act(async () => { ctx.click(radio('mg/L')); await ctx.sleep(150); });
+  assert.deepEqual(JSON.parse(await db().getSetting('bacDisplay')),
+    { profile: 'fr', customLimit: 200, unit: 'mgL' });
+  assert.equal(ctx.q('[aria-label="Taux d\'alcoolémie"]').getAttribute('title'), '0 mg/L');
+});
+
+test('verre standard : pays choisi, persisté en setting et en localStorage', async () => {
+  const select = ctx.q('select[aria-label="Verre standard"]');
+  assert.ok(select, 'sélecteur présent');
+  assert.ok([...select.options].some((o) => o.textContent === 'États-Unis · 14 g'));
+  await ctx.act(async () => {
+    select.value = 'us';
+    select.dispatchEvent(new ctx.window.Event('change', { bubbles: true }));
+    await ctx.sleep(150);
+  });
+  assert.equal(await db().getSetting('standardDrink'), 'us');
+  assert.equal(ctx.window.localStorage.getItem('alconote.standardDrink'), 'us');
+  assert.equal(ctx.window.getStandardDrink().grams, 14);
+  await ctx.act(async () => { ctx.window.applyStandardDrink('fr'); await ctx.sleep(100); });
+});
+
+test('modèle BAC : Watson demande âge et taille, Widmark les masque', async () => {
+  const radio = (label) => ctx.qa('[role="radiogroup"][aria-label="Modèle BAC"] [role="radio"]')
+    .find((b) => b.textContent === label);
+  assert.ok(radio('Widmark'), 'sélecteur de modèle présent');
+  assert.ok(!ctx.findInputByAria(/^Âge$/), 'Widmark : pas de champ âge');
+  await ctx.act(async () => { ctx.click(radio('Watson')); await ctx.sleep(200); });
+  await ctx.waitFor(async () => (await db().getSetting('bacModel')) === 'watson', { label: 'modèle enregistré' });
+  await ctx.waitFor(() => ctx.findInputByAria(/^Taille \(cm\)$/), { label: 'champs affichés' });
+  const height = ctx.findInputByAria(/^Taille \(cm\)$/);
+  assert.ok(ctx.findInputByAria(/^Âge$/), 'âge saisissable');
+  await ctx.setInput(height, '182');
+  await ctx.blurInput(height, 200);
+  await ctx.waitFor(async () => (await db().getSetting('userHeight')) === 182, { label: 'taille enregistrée' });
+
+  await ctx.act(async () => { ctx.click(radio('Widmark')); await ctx.sleep(200); });
+  await ctx.waitFor(() => !ctx.findInputByAria(/^Taille \(cm\)$/), { label: 'champs masqués' });
+});
+
+test('historique des modifications : entrées listées, annuler puis rétablir', async () => {
+  await ctx.act(async () => {
+    await ctx.window.addDrink({ name: 'Journal test', category: 'Bière', quantity: 25, unit: 'cL',
+      alcoholContent: 5, date: '2026-01-06', time: '20:00' });
+    await ctx.window.saveRating('Journal test', 4);
+    await ctx.sleep(200);
+  });
+  await ctx.clickText(/^Historique des modifications$/, 400);
+  await ctx.waitFor(() => ctx.text().includes('Note de « Journal test »'), { label: 'journal chargé' });
+  const labels = () => ctx.qa('[aria-label="Modifications"] [role="listitem"]').map((li) => li.firstChild.textContent);
+  assert.deepEqual(labels().slice(0, 2), ['Note de « Journal test »', 'Ajout de « Journal test »']);
+
+  const count = async () => (await db().getAllDrinks()).filter((d) => d.name === 'Journal test').length;
+  await ctx.clickAria(/^Annuler la dernière modification$/, 400);
+  assert.equal((await db().getAllRatings()).some((r) => r.drinkName === 'journal test'), false, 'note retirée');
+  await ctx.clickAria(/^Annuler la dernière modification$/, 400);
+  assert.equal(await count(), 0, 'ajout défait');
+  assert.match(ctx.text(), /Annulé : Ajout de « Journal test »/);
+
+  await ctx.clickAria(/^Rétablir la modification annulée$/, 400);
+  assert.equal(await count(), 1, 'ajout refait');
+  await ctx.waitFor(() => ctx.text().includes('annulée'), { label: 'entrée annulée marquée' });
+  await ctx.clickAria(/^Fermer$/, 400);
+});
+
+test('unités de contenant : unité courante ajoutée, équivalent et portion par défaut, proposée à la saisie', async () => {
+  await ctx.clickText(/^Unités de contenant$/, 400);
+  const sheet = () => ctx.q('[role="dialog"][aria-label="Unités de contenant"]');
+  await ctx.waitFor(() => sheet() && sheet().textContent.includes('EcoCup'), { label: 'registre chargé' });
+  await ctx.clickAria(/^Ajouter l'unité Pinte UK \(56.8 cL\)$/, 400);
+  await ctx.waitFor(() => byAriaIn(sheet(), /^Modifier l'unité Pinte UK$/), { label: 'unité ajoutée' });
+  assert.ok(!byAriaIn(sheet(), /^Ajouter l'unité Pinte UK/), 'retirée des unités courantes');
+
+  await ctx.clickAria(/^Modifier l'unité Pinte UK$/, 400);
+  await ctx.setInput(ctx.findInputByAria(/^Équivalent en cL$/), '57');
+  const bière = ctx.qa('[role="radiogroup"][aria-label="Portion par défaut au scan"] [role="radio"]').find((b) => b.textContent === 'Bière');
+  await ctx.act(async () => { ctx.click(bière); await ctx.sleep(100); });
+  await ctx.clickText(/^Enregistrer$/, 500);
+
+  const units = await db().getAllUnits();
+  const pinte = units.find((u) => u.name === 'Pinte UK');
+  assert.deepEqual([pinte.cl, pinte.defaultFor], [57, 'Bière']);
+  assert.equal(units.find((u) => u.name === 'EcoCup').defaultFor, null, 'une seule portion par défaut par catégorie');
+  assert.equal(ctx.window.toCl(2, 'Pinte UK'), 114, 'registre synchrone rafraîchi');
+  const serving = ctx.window.productLookup._computeServingDefaults('Bière');
+  assert.deepEqual([serving.servingQuantity, serving.servingUnit], [1, 'Pinte UK'], 'portion par défaut au scan');
+  assert.ok(ctx.window.localStorage.getItem('alconote.units').includes('Pinte UK'), 'copie locale pour le premier rendu');
+
+  await ctx.act(async () => { ctx.click(byAriaIn(sheet(), /^Fermer$/)); await ctx.sleep(400); });
+});
+
+test('catalogue des produits : fiche apprise d\'une boisson scannée, corrigée, consultée avant le réseau ; fichier de produits', async () => {
+  await db().addDrink({ name: 'Triple maison', category: 'Bière', quantity: 33, unit: 'cL', alcoholContent: 8,
+    date: '2025-06-01', time: '21:00', barcode: '5410000000013' });
+  let fetched = 0;
+  const realFetch = ctx.window.fetch;
+  ctx.window.fetch = async () => { fetched++; throw new Error('hors ligne'); };
+  try {
+    await ctx.clickText(/^Catalogue des produits$/, 400);
+    const sheet = () => ctx.q('[role="dialog"][aria-label="Catalogue des produits"]');
+    await ctx.waitFor(() => byAriaIn(sheet(), /^Modifier la fiche Triple maison \(5410000000013\)$/), { label: 'fiche apprise' });
+    assert.ok(sheet().textContent.includes('appris'));
+
+    await ctx.clickAria(/^Modifier la fiche Triple maison/, 400);
+    await ctx.setInput(ctx.findInputByAria(/^Nom du produit$/), 'Triple du Mont');
+    await ctx.setInput(ctx.findInputByAria(/^Degré du produit$/), '8,5');
+    await ctx.clickText(/^Enregistrer$/, 500);
+    await ctx.waitFor(() => byAriaIn(sheet(), /^Modifier la fiche Triple du Mont/), { label: 'fiche modifiée' });
+    assert.ok(sheet().textContent.includes('modifié'));
+
+    const hit = await ctx.window.productLookup.lookup('5410000000013');
+    assert.deepEqual([hit.name, hit.alcoholContent, hit.servingQuantity, hit.servingUnit, hit.source],
+      ['Triple du Mont', 8.5, 33, 'cL', 'local']);
+    assert.equal(fetched, 0, 'aucun appel réseau');
+
+    // Fichier de produits JSON : fournisseur inséré avant Internet, mémorisé sur l'appareil.
+    const input = ctx.document.querySelector('input[aria-label="Fichier de produits"]');
+    const json = JSON.stringify({ 7610000000019: { name: 'Absinthe', category: 'Spiritueux', abv: 68 } });
+    Object.defineProperty(input, 'files', { value: [new ctx.window.File([json], 'cave.json', { type: 'application/json' })], configurable: true });
+    await ctx.act(async () => { input.dispatchEvent(new ctx.window.Event('change', { bubbles: true })); await ctx.sleep(300); });
+    await ctx.waitFor(() => sheet().textContent.includes('cave.json · 1 code-barres'), { label: 'fichier chargé' });
+    assert.ok(sheet().textContent.includes('Mon catalogue → Catalogue du groupe → cave.json → Open Food Facts'));
+    const absinthe = await ctx.window.productLookup.lookup('7610000000019');
+    assert.deepEqual([absinthe.name, absinthe.alcoholContent, absinthe.source], ['Absinthe', 68, 'file']);
+    assert.equal((await db().getDeviceValue('lookup.productFile')).name, 'cave.json');
+    await ctx.clickText(/^Retirer$/, 300);
+    assert.equal(await db().getDeviceValue('lookup.productFile'), null);
+    assert.ok(!ctx.window.productLookup.getProviders().some((x) => x.id === 'file'));
+    await ctx.act(async () => { ctx.click(byAriaIn(sheet(), /^Fermer$/)); await ctx.sleep(400); });
+  } finally {
+    ctx.window.fetch = realFetch;
+  }
+});
+
+function byAriaIn(root, re) {
+  return root && [...root.querySelectorAll('button')].find((b) => re.test(b.getAttribute('aria-label') || ''));
+}
@@ -1,5 +1,6 @@
-// Onglet Stats : états vides (global / période) et réorganisation des
-// sections (ordre persisté en setting `stats.sectionOrder`).
+// Onglet Stats : états vides (global / période), repas de la session,
+// mesures d'éthylotest, réorganisation des sections (ordre persisté en
+// setting `stats.sectionOrder`), verres standard et repères de risque.
 'use strict';
 const test = require('node:test');
 const assert = require('node:assert/strict');
@@ -70,6 +71,65 @@ test('chips de portée : la jauge BAC est étiquetée « En direct »', async ()
   assert.ok(ctx.text().includes('En direct'), 'chip de portée sur la jauge');
 });
 
+test('repas de la session en cours : appliqué à ses verres, repris par le suivant', async () => {
+  const at = new Date(Date.now() - 5 * 60_000);
+  const hhmm = (d) => `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+  const day = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+  await ctx.act(async () => {
+    await ctx.window.addDrink({
+      name: 'Pinte repas', category: 'Bière', quantity: 50, unit: 'cL',
+      alcoholContent: 5, date: day(at), time: hhmm(at),
+    });
+    await ctx.sleep(300);
+  });
+  const radio = () => ctx.qa('[role="radiogroup"][aria-label="Repas"] [role="radio"]')
+    .find((el) => el.textContent === 'Repas copieux');
+  await ctx.waitFor(() => radio(), { label: 'toggle repas' });
+  assert.ok(ctx.text().includes('Modèle Widmark'), 'modèle affiché en sous-titre');
+  await ctx.act(async () => { radio().click(); await ctx.sleep(300); });
+  await ctx.waitFor(() => radio().getAttribute('aria-checked') === 'true', { label: 'repas coché' });
+  const db = ctx.window.dbManager;
+  const pinte = (await db.getAllDrinks()).find((d) => d.name === 'Pinte repas');
+  assert.equal(pinte.food, 'full');
+
+  await ctx.act(async () => {
+    await ctx.window.addDrink({
+      name: 'Pinte suivante', category: 'Bière', quantity: 50, unit: 'cL',
+      alcoholContent: 5, date: day(new Date()), time: hhmm(new Date()),
+    });
+    await ctx.sleep(300);
+  });
+  const next = (await db.getAllDrinks()).find((d) => d.name === 'Pinte suivante');
+  assert.equal(next.food, 'full', 'repas hérité du verre précédent (< 4 h)');
+});
+
+test('éthylotest : mesure saisie, calibrage affiché après 3 mesures, réinitialisation', async () => {
+  const input = ctx.findInputByAria(/^Mesure d'éthylotest$/);
+  assert.ok(input, 'champ de mesure présent');
+  await ctx.setInput(input, '0,2');
+  await ctx.clickText(/^Ajouter$/, 400);
+  const db = ctx.window.dbManager;
+  await ctx.waitFor(async () => (await db.getAllBacReadings()).length === 1, { label: 'mesure enregistrée' });
+  assert.equal((await db.getAllBacReadings())[0].bac, 400, '0,2 mg/L d’air → 400 mg/L de sang');
+  assert.match(ctx.text(), /Encore 2 mesures/);
+
+  await ctx.act(async () => {
+    await ctx.window.addBacReading({ ts: Date.now() - 60_000, value: 0.15, unit: 'air' });
+    await ctx.window.addBacReading({ ts: Date.now(), value: 0.3, unit: 'blood' });
+    await ctx.sleep(300);
+  });
+  await ctx.waitFor(() => ctx.text().includes('Calibrage perso'), { label: 'calibrage affiché' });
+  assert.match(ctx.text(), /confiance faible \(3 mesures\)/);
+  assert.ok(ctx.text().includes('Modèle Widmark calibré'), 'sous-titre de la section');
+
+  await ctx.clickText(/^Réinitialiser$/, 300);
+  const dialog = ctx.q('[aria-labelledby="alco-confirm-title"]');
+  const confirm = [...dialog.querySelectorAll('button')].find((b) => b.textContent === 'Réinitialiser');
+  await ctx.act(async () => { confirm.click(); await ctx.sleep(300); });
+  await ctx.waitFor(() => !ctx.text().includes('Calibrage perso'), { label: 'calibrage levé' });
+  assert.ok(JSON.parse(await db.getSetting('bacCalibration')).since > 0);
+});
+
 const sectionDomOrder = () =>
   ctx.qa('[id^="alco-section-"]').map((el) => el.id.replace('alco-section-', ''));
 
@@ -121,7 +181,7 @@ test('mode Réorganiser : flèche clavier déplace une section, ordre persisté
   await ctx.clickAria(/Réorganiser les sections/, 300);
   assert.ok(ctx.text().includes('Terminé'), 'mode édition actif');
   const handles = ctx.qa('button').filter((b) => /^Déplacer «/.test(b.getAttribute('aria-label') || ''));
-  assert.equal(handles.length, 11, '11 lignes compactes (toutes les sections visibles)');
+  assert.equal(handles.length, 13, '13 lignes compactes (toutes les sections visibles)');
 
   // ↓ sur la première poignée : « Statistiques générales » passe en 2e.
   await ctx.act(async () => {
@@ -155,3 +215,23 @@ test('mode Réorganiser : drag à la poignée (pointer events)', async () => {
   const saved = JSON.parse(await ctx.window.dbManager.getSetting('stats.sectionOrder'));
   assert.deepEqual(saved.slice(0, 2), ['general', 'temporal'], 'persistance après drag');
 });
+
+// ── Verres standard et repères de risque ────────────────────────────
+
+test('Général : tuile verres standard et repères de risque, suivant l’unité choisie', async () => {
+  const general = () => ctx.q('#alco-section-general');
+  await ctx.waitFor(() => general() && general().textContent.includes('Repères de risque'), { label: 'repères' });
+  const t = general().textContent;
+  assert.ok(t.includes('Verres std'), 'tuile en verres standard (France, 10 g)');
+  assert.ok(t.includes('Santé publique France') && t.includes('Dans les repères'));
+  assert.match(t, /Risque faible/);
+
+  await ctx.act(async () => { ctx.window.applyStandardDrink('uk'); await ctx.sleep(200); });
+  assert.ok(general().textContent.includes('Unités'), 'tuile en unités britanniques');
+  assert.equal(await ctx.window.dbManager.getSetting('standardDrink'), 'uk');
+  const json = JSON.parse(await ctx.window.dbManager.exportData({ annotate: ctx.window.exportAnnotations }));
+  assert.equal(json.standardDrinks.unit, 'uk');
+  assert.equal(json.standardDrinks.grams, 8);
+  assert.equal(Object.keys(json.standardDrinks.byUid).length, json.drinks.length, 'une valeur par boisson');
+  await ctx.act(async () => { ctx.window.applyStandardDrink('fr'); await ctx.sleep(200); });
+});
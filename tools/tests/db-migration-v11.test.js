@@ -0,0 +1,62 @@
+// Migration Dexie v10 → v11 : registre `units`. On pré-seed une base au
+// schéma v10 avec des boissons en unités connues ET inconnues (saisies par un
+// ancien import), puis on laisse js/database.js (v11) migrer : aucune boisson
+// ne change de volume.
+'use strict';
+require('fake-indexeddb/auto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { installStubs, ROOT } = require('./helpers/stub-globals');
+
+const Dexie = require('dexie');
+
+test('v10 → v11 : graines + une unité par nom inconnu, équivalent déduit du quantityInCL', async () => {
+  // ── Pré-seed v10 (schéma courant avant les unités) ──
+  const pre = new Dexie('AlcoNoteDB');
+  pre.version(10).stores({
+    categories: '++id, name, drinkCount, createdAt, updatedAt',
+    drinks: '++id, uid, name, category, quantity, unit, alcoholContent, date, time, location, barcode, createdAt, updatedAt',
+    settings: 'key, value, updatedAt',
+    drinkRatings: 'drinkName, rating, updatedAt',
+    sharedPool: 'uid, groupId, authorId, tsUtc, updatedAt, deleted',
+    shareOutbox: '++id, uid, op, queuedAt',
+    backups: '++id, createdAt',
+    deviceStore: 'key',
+    bacReadings: '++id, ts',
+    assessments: '++id, ts',
+    journal: '++id, ts',
+    rounds: '++id, name',
+  });
+  await pre.open();
+  await pre.table('categories').add({ name: 'Bière', drinkCount: 4, createdAt: new Date(), updatedAt: new Date() });
+  const base = { category: 'Bière', alcoholContent: 5, date: '2025-05-01', time: '20:00', createdAt: new Date(), updatedAt: new Date() };
+  await pre.table('drinks').bulkAdd([
+    { ...base, uid: 'u1', name: 'Pression', quantity: 2, unit: 'ecocup', quantityInCL: 50 },
+    { ...base, uid: 'u2', name: 'Stout', quantity: 1, unit: 'Pinte UK', quantityInCL: 56.8 },
+    { ...base, uid: 'u3', name: 'Stout', quantity: 2, unit: 'Pinte UK', quantityInCL: 113.6 },
+    { ...base, uid: 'u4', name: 'Mystère', quantity: 3, unit: 'Verre', quantityInCL: 3 },
+  ]);
+  await pre.close();
+
+  // ── Boot de la vraie couche DB (v11) ──
+  installStubs();
+  global.Dexie = Dexie;
+  require(path.join(ROOT, 'js', 'database.js'));
+  const dbManager = global.window.dbManager;
+  await dbManager.db.open();
+
+  const units = await dbManager.getAllUnits();
+  assert.deepEqual(units.map((u) => [u.name, u.cl, u.builtin]), [
+    ['cL', 1, true], ['L', 100, true], ['EcoCup', 25, false], ['mL', 0.1, true],
+    ['Pinte UK', 56.8, false], ['Verre', 1, false],
+  ], '« ecocup » reconnu sans casse, une seule ligne par nom');
+
+  // Volumes inchangés, y compris en réécrivant une boisson.
+  const drinks = await dbManager.getAllDrinks();
+  assert.deepEqual(drinks.map((d) => d.quantityInCL).sort((a, b) => a - b), [3, 50, 56.8, 113.6]);
+  await dbManager.ensureUnits();
+  const stout = drinks.find((d) => d.uid === 'u2');
+  assert.equal((await dbManager.updateDrink(stout.id, { quantity: 1 })).quantityInCL, 56.8);
+  assert.equal((await dbManager.getAllUnits()).length, 6, 'ensureUnits idempotent');
+});
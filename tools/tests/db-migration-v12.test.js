@@ -0,0 +1,53 @@
+// Migration Dexie v11 → v12 : catalogue `products`. On pré-seed une base au
+// schéma v11 avec plusieurs scans du même code, puis on laisse
+// js/database.js (v12) migrer : une fiche par code, la boisson la plus
+// récente fait foi.
+'use strict';
+require('fake-indexeddb/auto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { installStubs, ROOT } = require('./helpers/stub-globals');
+
+const Dexie = require('dexie');
+
+test('v11 → v12 : une fiche par code-barres, amorcée avec le scan le plus récent', async () => {
+  // ── Pré-seed v11 ──
+  const pre = new Dexie('AlcoNoteDB');
+  pre.version(11).stores({
+    categories: '++id, name, drinkCount, createdAt, updatedAt',
+    drinks: '++id, uid, name, category, quantity, unit, alcoholContent, date, time, location, barcode, createdAt, updatedAt',
+    settings: 'key, value, updatedAt',
+    drinkRatings: 'drinkName, rating, updatedAt',
+    sharedPool: 'uid, groupId, authorId, tsUtc, updatedAt, deleted',
+    shareOutbox: '++id, uid, op, queuedAt',
+    backups: '++id, createdAt',
+    deviceStore: 'key',
+    bacReadings: '++id, ts',
+    assessments: '++id, ts',
+    journal: '++id, ts',
+    rounds: '++id, name',
+    units: '++id, &name',
+  });
+  await pre.open();
+  await pre.table('categories').add({ name: 'Bière', drinkCount: 3, createdAt: new Date(), updatedAt: new Date() });
+  const base = { category: 'Bière', quantity: 33, unit: 'cL', quantityInCL: 33, createdAt: new Date(), updatedAt: new Date() };
+  await pre.table('drinks').bulkAdd([
+    { ...base, uid: 'u1', name: 'Blonde OFF', alcoholContent: 5, date: '2025-05-01', time: '20:00', barcode: '3000000000017' },
+    { ...base, uid: 'u2', name: 'Blonde corrigée', alcoholContent: 6.5, date: '2025-05-02', time: '19:00', barcode: '3000000000017' },
+    { ...base, uid: 'u3', name: 'Sans code', alcoholContent: 5, date: '2025-05-03', time: '20:00' },
+  ]);
+  await pre.close();
+
+  // ── Boot de la vraie couche DB (v12) ──
+  installStubs();
+  global.Dexie = Dexie;
+  require(path.join(ROOT, 'js', 'database.js'));
+  const dbManager = global.window.dbManager;
+  await dbManager.db.open();
+
+  const products = await dbManager.getAllProducts();
+  assert.deepEqual(products.map((p) => [p.barcode, p.name, p.alcoholContent, p.source]),
+    [['3000000000017', 'Blonde corrigée', 6.5, 'learned']]);
+  assert.equal((await dbManager.getAllDrinks()).length, 3, 'boissons intactes');
+});
@@ -88,6 +88,13 @@ test('getDrinkByUid — retrouve une boisson par uid stable', async () => {
   assert.equal(found.id, target.id);
 });
 
+test('getDrinksBetweenDates — bornes incluses, par l’index date', async () => {
+  const names = async (from, to) => (await dbManager.getDrinksBetweenDates(from, to)).map(d => d.name).sort();
+  assert.deepEqual(await names('2026-06-02', '2026-06-02'), ['Bière pression', 'Canette']);
+  assert.equal((await names('2026-06-01', '2026-06-02')).length, 4);
+  assert.deepEqual(await names('2026-06-03', '2026-06-09'), []);
+});
+
 test('updateDrink — recalcul quantityInCL et drinkCounts croisés', async () => {
   const all = await dbManager.getAllDrinks();
   const pils = all.find((d) => d.name === 'Pils');
@@ -153,7 +160,8 @@ test('export / import — round-trip complet, import invalide → rollback', asy
   };
   const json = await dbManager.exportData();
   const parsed = JSON.parse(json);
-  assert.equal(parsed.version, '1.0');
+  assert.equal(parsed.format, 'alconote-export');
+  assert.equal(parsed.version, 2, 'version entière du format, plus de « 1.0 » figé');
   assert.equal(parsed.drinks.length, before.drinks.length);
 
   // Import d'un JSON invalide → throw, données INTACTES.
@@ -317,6 +325,9 @@ test('maybeAutoBackup — snapshot quotidien, rotation des « auto » seulement'
   assert.equal(auto.label, 'auto');
   const parsed = JSON.parse(auto.json);
   assert.ok(Array.isArray(parsed.drinks) && parsed.drinks.length > 0, 'les boissons sont dedans');
+  for (const table of ['bacReadings', 'assessments', 'rounds', 'units', 'products']) {
+    assert.ok(Array.isArray(parsed[table]), `${table} aussi, comme un snapshot manuel`);
+  }
 
   // Garde-fou d'intervalle : un second appel immédiat est un no-op.
   assert.equal(await dbManager.maybeAutoBackup(), false, 'intervalle non échu → no-op');
@@ -361,3 +372,585 @@ test('import / clearAllData — snapshot de sécurité AVANT l’étape destruct
   assert.ok(parsed.drinks.length > 0, 'le snapshot contient bien les boissons effacées');
   assert.equal((await dbManager.getAllDrinks()).length, 0, 'le wipe a bien eu lieu');
 });
+
+// ── Navigateur de sauvegardes : liste, aperçu, restauration ─────────
+
+test('listBackups — du plus récent au plus ancien, compteurs sans le JSON', async () => {
+  const rows = await dbManager.listBackups();
+  const raw = await dbManager.db.backups.toArray();
+  assert.equal(rows.length, raw.length);
+  assert.equal(rows[0].label, 'pre-clear', 'le plus récent en tête');
+  assert.ok(rows.every((r, i) => i === 0 || rows[i - 1].id > r.id), 'ordre décroissant');
+  assert.ok(!('json' in rows[0]), 'le JSON complet n’est pas renvoyé');
+  const parsed = JSON.parse(raw[raw.length - 1].json);
+  assert.deepEqual(rows[0].counts, {
+    categories: parsed.categories.length, drinks: parsed.drinks.length,
+    settings: parsed.settings.length, drinkRatings: parsed.drinkRatings.length,
+  });
+  assert.deepEqual(raw[raw.length - 1].counts, rows[0].counts, 'compteurs enregistrés avec le snapshot');
+  assert.equal(raw[raw.length - 1].reason, 'pre-clear');
+
+  // Snapshot d'avant les compteurs enregistrés : relu depuis son JSON.
+  const legacy = await dbManager.db.backups.add({
+    createdAt: new Date(), label: 'pre-v5',
+    json: JSON.stringify({ reason: 'pre-v5-migration', categories: [{}], drinks: [{}, {}] }),
+  });
+  const listed = (await dbManager.listBackups()).find((b) => b.id === legacy);
+  assert.deepEqual([listed.reason, listed.counts], ['pre-v5-migration', { categories: 1, drinks: 2, settings: 0, drinkRatings: 0 }]);
+  await dbManager.db.backups.delete(legacy);
+});
+
+test('diffBackup + restoreBackup — aperçu exact, snapshot pre-restore, puis retour arrière', async () => {
+  const preClear = (await dbManager.listBackups())[0];
+  const snap = await dbManager.getBackupData(preClear.id);
+
+  // Une boisson saisie APRÈS le snapshot : elle serait perdue à la restauration.
+  await dbManager.addCategory({ name: 'Cidre' });
+  const fresh = await dbManager.addDrink({
+    name: 'Cidre brut', category: 'Cidre', quantity: 33, unit: 'cL',
+    alcoholContent: 5, date: '2026-01-02', time: '20:00',
+  });
+
+  const diff = await dbManager.diffBackup(preClear.id);
+  assert.deepEqual(diff.added.map((d) => d.uid), [fresh.uid], 'saisie depuis → perdue');
+  assert.equal(diff.removed.length, snap.drinks.length, 'tout le snapshot revient');
+  assert.equal(diff.unchanged, 0);
+
+  const before = (await dbManager.db.backups.toArray()).length;
+  assert.equal(await dbManager.restoreBackup(preClear.id), true);
+  const drinks = await dbManager.getAllDrinks();
+  assert.deepEqual(drinks.map((d) => d.uid).sort(), snap.drinks.map((d) => d.uid).sort());
+  const latest = await dbManager.getLatestBackup();
+  assert.equal((await dbManager.db.backups.toArray()).length, before + 1);
+  assert.equal(latest.label, 'pre-restore');
+  assert.ok(JSON.parse(latest.json).drinks.some((d) => d.uid === fresh.uid),
+    'l’état remplacé est récupérable');
+
+  // Plus rien à restaurer depuis pre-clear : aperçu vide.
+  const same = await dbManager.diffBackup(preClear.id);
+  assert.equal(same.added.length + same.removed.length, 0);
+  assert.equal(same.unchanged, snap.drinks.length);
+
+  // Restaurer le snapshot pre-restore défait la restauration.
+  await dbManager.restoreBackup(latest.id);
+  assert.ok((await dbManager.getAllDrinks()).some((d) => d.uid === fresh.uid));
+});
+
+test('diffBackup — appariement par contenu quand le snapshot n’a pas de uid', async () => {
+  const current = await dbManager.getAllDrinks();
+  const legacy = current.map(({ uid, ...rest }) => rest);
+  const id = await dbManager.db.backups.add({
+    createdAt: new Date(), label: 'pre-v5',
+    json: JSON.stringify({ version: '1.0', categories: [], drinks: legacy.slice(1) }),
+  });
+  const diff = await dbManager.diffBackup(id);
+  assert.equal(diff.unchanged, current.length - 1);
+  assert.equal(diff.added.length, 1);
+  assert.equal(diff.removed.length, 0);
+  await dbManager.db.backups.delete(id);
+});
+
+test('restoreBackup — snapshot partiel : réglages et notes conservés ; illisible → rejet', async () => {
+  await dbManager.setSetting('userWeight', 81);
+  const cats = await dbManager.getAllCategories();
+  const drinks = await dbManager.getAllDrinks();
+  const id = await dbManager.db.backups.add({
+    createdAt: new Date(), label: 'pre-normalize-categories',
+    json: JSON.stringify({ version: '1.0', categories: cats, drinks: drinks.slice(0, 1) }),
+  });
+  await dbManager.restoreBackup(id);
+  assert.equal((await dbManager.getAllDrinks()).length, 1);
+  assert.equal(await dbManager.getSetting('userWeight'), 81, 'réglages absents du snapshot → intacts');
+
+  const broken = await dbManager.db.backups.add({ createdAt: new Date(), label: 'auto', json: '{oops' });
+  const count = await dbManager.db.backups.count();
+  await assert.rejects(() => dbManager.restoreBackup(broken), /illisible/);
+  assert.equal(await dbManager.db.backups.count(), count, 'pas de snapshot pre-restore inutile');
+  assert.equal((await dbManager.getAllDrinks()).length, 1, 'données intactes');
+  const listed = (await dbManager.listBackups()).find((b) => b.id === broken);
+  assert.equal(listed.counts, null, 'listé mais marqué illisible');
+});
+
+// ── Import en mode fusion ───────────────────────────────────────────
+
+test('import fusion — dédoublonnage uid/contenu, plus récent gagne, union canonique, réglages intacts', async () => {
+  const [l1] = await dbManager.getAllDrinks();
+  const l2 = await dbManager.addDrink({
+    name: 'Pastis', category: l1.category, quantity: 2, unit: 'cL',
+    alcoholContent: 45, date: '2026-01-03', time: '19:00',
+  });
+  const nfd = 'Rhum ambré';
+  const file = JSON.stringify({
+    version: '1.0',
+    categories: [{ id: 999, name: `  ${nfd} `, drinkCount: 4 }, { id: 1, name: l1.category }],
+    drinks: [
+      { ...l1, id: 555, price: 9, updatedAt: '2099-01-01T00:00:00.000Z' },             // plus récent → mis à jour
+      { ...l2, id: 556, uid: undefined, updatedAt: '2000-01-01T00:00:00.000Z' },       // même contenu, plus vieux → ignoré
+      { id: 557, name: 'Ti punch', category: nfd, quantity: 10, unit: 'cL',
+        alcoholContent: 40, date: '2026-01-04', time: '18:00' },                       // nouveau → ajouté
+    ],
+    settings: [{ key: 'userWeight', value: 50 }],
+    drinkRatings: [{ drinkName: 'Ti punch', rating: 4, updatedAt: '2026-01-04T00:00:00.000Z' }],
+  });
+
+  const preview = await dbManager.previewImport(file);
+  const expected = {
+    drinks: { added: 1, updated: 1, skipped: 1 },
+    categories: { added: 1, skipped: 1 },
+    ratings: { added: 1, updated: 0, skipped: 0 },
+  };
+  assert.deepEqual(preview.merge, expected);
+  assert.equal(preview.file.drinks, 3);
+  assert.equal(preview.current.drinks, 2);
+  assert.equal((await dbManager.getAllDrinks()).length, 2, 'l’aperçu n’écrit rien');
+
+  const report = await dbManager.importData(file, { mode: 'merge' });
+  assert.deepEqual(report, expected, 'rapport = aperçu');
+  assert.equal((await dbManager.getLatestBackup()).label, 'pre-merge');
+
+  const drinks = await dbManager.getAllDrinks();
+  assert.equal(drinks.length, 3);
+  const updated = drinks.find((d) => d.uid === l1.uid);
+  assert.equal(updated.id, l1.id, 'la ligne locale est réécrite, pas dupliquée');
+  assert.equal(updated.price, 9);
+  assert.equal(drinks.find((d) => d.id === l2.id).uid, l2.uid, 'uid local conservé');
+  const added = drinks.find((d) => d.name === 'Ti punch');
+  assert.ok(added.uid, 'uid attribué');
+  assert.notEqual(added.id, 557, 'id du fichier ignoré');
+  assert.equal(added.category, nfd.normalize('NFC'));
+  const rhum = await dbManager.getCategoryByName(nfd);
+  assert.equal(rhum.name, nfd.normalize('NFC'));
+  assert.equal(rhum.drinkCount, 1, 'compteur recalculé');
+  assert.equal(await dbManager.getSetting('userWeight'), 81, 'réglages locaux conservés');
+  assert.equal((await dbManager.getAllRatings()).find((r) => r.drinkName === 'Ti punch').rating, 4);
+
+  // Rejouer la même fusion ne change plus rien.
+  const again = await dbManager.importData(file, { mode: 'merge' });
+  assert.deepEqual(again.drinks, { added: 0, updated: 0, skipped: 3 });
+  assert.equal(again.categories.added, 0);
+  assert.equal((await dbManager.getAllDrinks()).length, 3);
+});
+
+test('import fusion — les dates de modification du fichier sont conservées', async () => {
+  const stamp = '2001-02-03T04:05:06.000Z';
+  const base = { name: 'Cidre brut', category: 'Bière', quantity: 33, unit: 'cL', alcoholContent: 5, date: '2001-02-03', time: '20:00' };
+  const file = (drink) => JSON.stringify({
+    version: '1.0', categories: [], drinks: [drink],
+    drinkRatings: [{ drinkName: base.name, rating: 3, updatedAt: stamp }],
+  });
+  await dbManager.importData(file({ ...base, uid: 'cidre-1', updatedAt: stamp }), { mode: 'merge' });
+  const added = (await dbManager.getAllDrinks()).find((d) => d.uid === 'cidre-1');
+  assert.equal(new Date(added.updatedAt).toISOString(), stamp, 'ajout : date du fichier');
+  const rating = (await dbManager.getAllRatings()).find((r) => r.drinkName === base.name);
+  assert.equal(new Date(rating.updatedAt).toISOString(), stamp, 'note : date du fichier');
+
+  // Version du fichier à peine plus récente : elle gagne, et garde sa date.
+  const newer = '2001-02-04T00:00:00.000Z';
+  const report = await dbManager.importData(file({ ...base, uid: 'cidre-1', price: 4, updatedAt: newer }), { mode: 'merge' });
+  assert.equal(report.drinks.updated, 1);
+  const updated = (await dbManager.getAllDrinks()).find((d) => d.uid === 'cidre-1');
+  assert.equal(new Date(updated.updatedAt).toISOString(), newer, 'mise à jour : date du fichier');
+
+  // Une modification locale reprend la main sur l'horodatage.
+  await dbManager.updateDrink(updated.id, { price: 5 });
+  const edited = (await dbManager.getAllDrinks()).find((d) => d.uid === 'cidre-1');
+  assert.ok(new Date(edited.updatedAt) > new Date(newer));
+});
+
+// ── Format d'export versionné : validation + upgraders ──────────────
+
+test('import — fichier invalide rejeté AVANT le snapshot, avec table/ligne/champ/raison', async () => {
+  const drinksBefore = (await dbManager.getAllDrinks()).length;
+  const backupsBefore = await dbManager.db.backups.count();
+  const good = { uid: 'u-ok', name: 'Bière', category: 'Bière', quantity: 25, unit: 'cL',
+    alcoholContent: 5, date: '2026-01-01', time: '20:00' };
+  const file = JSON.stringify({
+    format: 'alconote-export', version: 2,
+    categories: [{ id: 1, name: 'Bière' }, { id: 1, name: 'Vin' }],
+    drinks: [
+      good,
+      { ...good, uid: 'u-2', date: '01/01/2026' },
+      { ...good, uid: 'u-3', quantity: '25' },
+      { ...good, uid: 'u-ok', alcoholContent: 140 },
+      'oops',
+    ],
+    drinkRatings: [{ drinkName: 'bière', rating: 9 }],
+  });
+  for (const mode of ['replace', 'merge']) {
+    const err = await dbManager.importData(file, { mode }).then(() => null, (e) => e);
+    assert.ok(err, `mode ${mode} rejeté`);
+    assert.match(err.message, /invalide — categories\[1\]\.id : doublon \(1\)/);
+    assert.deepEqual(err.details.map((e) => [e.table, e.row, e.field]), [
+      ['categories', 1, 'id'],
+      ['drinks', 1, 'date'],
+      ['drinks', 2, 'quantity'],
+      ['drinks', 3, 'alcoholContent'],
+      ['drinks', 3, 'uid'],
+      ['drinks', 4, null],
+      ['drinkRatings', 0, 'rating'],
+    ]);
+    assert.equal(err.details[1].reason, 'format AAAA-MM-JJ attendu');
+    assert.equal(err.details[2].reason, 'nombre attendu');
+  }
+  await assert.rejects(() => dbManager.previewImport(file), /invalide/);
+  assert.equal(await dbManager.db.backups.count(), backupsBefore, 'aucun snapshot pour un fichier cassé');
+  assert.equal((await dbManager.getAllDrinks()).length, drinksBefore, 'rien effacé');
+});
+
+test('import — version future refusée, export v1 migré (uid, prix, lieu texte)', async () => {
+  await assert.rejects(
+    () => dbManager.importData(JSON.stringify({ version: 3, categories: [], drinks: [] })),
+    /version 3.*mettez-la à jour/);
+  await assert.rejects(
+    () => dbManager.importData(JSON.stringify({ version: 'beta', categories: [], drinks: [] })),
+    /version « beta » inconnue/);
+
+  const data = global.parseExportData(JSON.stringify({
+    version: '1.0',
+    categories: [{ name: 'Vin' }],
+    drinks: [{ name: 'Bordeaux', category: 'Vin', quantity: 12, unit: 'cL',
+      alcoholContent: 13, date: '2019-05-01', time: '20:00', location: '12 rue du Port' }],
+  }));
+  assert.equal(data.version, 2);
+  const [d] = data.drinks;
+  assert.ok(d.uid);
+  assert.equal(d.price, null);
+  assert.equal(d.priceIsCustom, false);
+  assert.deepEqual(d.location, { address: '12 rue du Port' });
+
+  // Un export courant relu tel quel passe la validation.
+  const current = global.parseExportData(await dbManager.exportData());
+  assert.equal(current.version, 2);
+});
+
+test('export chiffré — aller-retour, phrase fausse rejetée AVANT le snapshot, enveloppes non interchangeables', async () => {
+  const plain = global.parseExportData(await dbManager.exportData());
+  const file = await dbManager.exportData({ passphrase: 'correct horse battery' });
+  const env = JSON.parse(file);
+  assert.equal(env.format, 'alconote-encrypted');
+  assert.equal(env.payload, 'alconote-export');
+  assert.equal(env.kdf.name, 'PBKDF2');
+  assert.equal(env.cipher.name, 'AES-GCM');
+  assert.ok(!file.includes(plain.drinks[0].name), 'aucun nom de boisson en clair');
+  assert.ok(global.isEncryptedEnvelope(file));
+  assert.ok(!global.isEncryptedEnvelope(await dbManager.exportData()));
+
+  const backupsBefore = await dbManager.db.backups.count();
+  await assert.rejects(() => dbManager.previewImport(file),
+    (e) => e.needsPassphrase === true && /phrase de passe requise/.test(e.message));
+  await assert.rejects(() => dbManager.importData(file, { passphrase: 'mauvaise phrase' }),
+    /Phrase de passe incorrecte ou fichier altéré/);
+  const tampered = JSON.stringify({ ...env, data: env.data.slice(0, -4) + 'AAAA' });
+  await assert.rejects(() => dbManager.importData(tampered, { passphrase: 'correct horse battery' }),
+    /incorrecte ou fichier altéré/);
+  assert.equal(await dbManager.db.backups.count(), backupsBefore, 'aucun snapshot sans déchiffrement');
+
+  const preview = await dbManager.previewImport(file, { passphrase: 'correct horse battery' });
+  assert.equal(preview.file.drinks, plain.drinks.length);
+  assert.equal(preview.merge.drinks.added, 0, 'même contenu : rien à ajouter');
+  assert.equal(await dbManager.importData(file, { passphrase: 'correct horse battery' }), true);
+  assert.equal((await dbManager.getAllDrinks()).length, plain.drinks.length);
+
+  // Une clé de récupération chiffrée n'est pas un export (et réciproquement).
+  const recovery = await global.encryptEnvelope('{"v":1}', 'phrase-recup', 'alconote-recovery', { iterations: 100000 });
+  await assert.rejects(() => dbManager.importData(recovery, { passphrase: 'phrase-recup' }),
+    /type de données attendu/);
+  assert.equal(await global.decryptEnvelope(recovery, 'phrase-recup', 'alconote-recovery'), '{"v":1}');
+  const forged = JSON.stringify({ ...JSON.parse(recovery), payload: 'alconote-export' });
+  await assert.rejects(() => global.decryptEnvelope(forged, 'phrase-recup', 'alconote-export'),
+    /incorrecte ou fichier altéré/, 'payload lié au chiffré (AAD)');
+
+  // Itérations lues dans le fichier : bornées avant toute dérivation.
+  const withIterations = (n) => JSON.stringify({ ...JSON.parse(recovery), kdf: { ...JSON.parse(recovery).kdf, iterations: n } });
+  for (const n of [1, 99999, 2000001, 1e12, '600000', null]) {
+    await assert.rejects(() => global.decryptEnvelope(withIterations(n), 'phrase-recup', 'alconote-recovery'),
+      /Fichier chiffré illisible/, `itérations ${n}`);
+  }
+});
+
+test('deviceStore — clé dérivée réutilisable hors settings/exports, effacée par clearAllData', async () => {
+  const record = await global.deriveEnvelopeKeyRecord('phrase du planifié', { iterations: 100000 });
+  await dbManager.setDeviceValue('offsite.key', record);
+  const stored = await dbManager.getDeviceValue('offsite.key');
+  assert.equal(stored.salt, record.salt);
+
+  const file = await dbManager.exportData({ keyRecord: stored });
+  assert.ok(global.isEncryptedEnvelope(file));
+  const plain = global.parseExportData(await global.decryptEnvelope(file, 'phrase du planifié', 'alconote-export'));
+  assert.ok(!plain.settings.some((s) => s.key === 'offsite.key'), 'jamais dans un export');
+
+  await dbManager.clearAllData();
+  assert.equal(await dbManager.getDeviceValue('offsite.key'), null);
+});
+
+test('bacReadings — ajout trié par instant, export / fusion / remplacement, effacées par clearAllData', async () => {
+  await dbManager.addBacReading({ ts: 2000, value: 0.3, unit: 'air', bac: 600 });
+  const first = await dbManager.addBacReading({ ts: 1000, value: 0.5, unit: 'blood', bac: 500 });
+  assert.ok(first.id && first.createdAt);
+  assert.deepEqual((await dbManager.getAllBacReadings()).map((r) => r.ts), [1000, 2000]);
+
+  const json = await dbManager.exportData();
+  assert.equal(JSON.parse(json).bacReadings.length, 2, 'mesures exportées');
+
+  // Fusion : une mesure au même instant n'est pas dupliquée.
+  const data = JSON.parse(json);
+  data.bacReadings.push({ ts: 3000, value: 0.1, unit: 'air', bac: 200 });
+  await dbManager.importData(JSON.stringify(data), { mode: 'merge' });
+  assert.deepEqual((await dbManager.getAllBacReadings()).map((r) => r.ts), [1000, 2000, 3000]);
+
+  await dbManager.deleteBacReading(first.id);
+  assert.equal((await dbManager.getAllBacReadings()).length, 2);
+
+  // Remplacement : le fichier fait foi.
+  await dbManager.importData(json);
+  assert.deepEqual((await dbManager.getAllBacReadings()).map((r) => r.ts), [1000, 2000]);
+
+  await dbManager.clearAllData();
+  assert.equal((await dbManager.getAllBacReadings()).length, 0);
+});
+
+test('assessments — triées par instant, export / fusion / validation, effacées par clearAllData', async () => {
+  await dbManager.addAssessment({ ts: 2000, kind: 'audit', answers: [2, 1, 1, 0, 0, 0, 1, 0, 0, 2], score: 7, auditC: 4 });
+  const first = await dbManager.addAssessment({ ts: 1000, kind: 'auditc', answers: [3, 2, 2], score: 7, auditC: 7 });
+  assert.ok(first.id && first.createdAt);
+  assert.deepEqual((await dbManager.getAllAssessments()).map((a) => a.ts), [1000, 2000]);
+
+  const json = await dbManager.exportData();
+  const data = JSON.parse(json);
+  assert.deepEqual(data.assessments.find((a) => a.ts === 1000).answers, [3, 2, 2], 'réponses exportées');
+
+  // Fusion : même instant ignoré. Réponses qui ne sont pas un tableau : refus.
+  data.assessments.push({ ts: 3000, kind: 'auditc', answers: [1, 0, 0], score: 1, auditC: 1 });
+  await dbManager.importData(JSON.stringify(data), { mode: 'merge' });
+  assert.deepEqual((await dbManager.getAllAssessments()).map((a) => a.ts), [1000, 2000, 3000]);
+  data.assessments[0].answers = '3,2,2';
+  const err = await dbManager.importData(JSON.stringify(data), { mode: 'merge' }).then(() => null, (e) => e);
+  assert.deepEqual(err.details.map((e) => [e.table, e.field, e.reason]), [['assessments', 'answers', 'tableau attendu']]);
+
+  await dbManager.deleteAssessment(first.id);
+  assert.equal((await dbManager.getAllAssessments()).length, 2);
+  await dbManager.clearAllData();
+  assert.equal((await dbManager.getAllAssessments()).length, 0);
+});
+
+test('updateDrinksBatch / deleteDrinksBatch — une transaction, tout ou rien, drinkCounts', async () => {
+  for (const name of ['Lot A', 'Lot B']) {
+    if (!(await dbManager.getCategoryByName(name))) await dbManager.addCategory({ name });
+  }
+  const a = await dbManager.addDrink({ name: 'L1', category: 'Lot A', quantity: 25, unit: 'cL', alcoholContent: 5, date: '2025-05-10', time: '23:30' });
+  const b = await dbManager.addDrink({ name: 'L2', category: 'Lot A', quantity: 25, unit: 'cL', alcoholContent: 5, date: '2025-05-10', time: '22:00' });
+
+  const before = await dbManager.updateDrinksBatch([a.id, b.id], () => ({ category: 'Lot B' }));
+  assert.deepEqual(before.map((r) => r.category), ['Lot A', 'Lot A'], 'instantané AVANT écriture');
+  assert.equal((await dbManager.getCategoryByName('Lot A')).drinkCount, 0);
+  assert.equal((await dbManager.getCategoryByName('Lot B')).drinkCount, 2);
+  assert.ok((await dbManager.getDrinkById(a.id)).updatedAt >= before[0].updatedAt, 'updatedAt rafraîchi (reconcile)');
+
+  // Un id manquant annule TOUT le lot.
+  await assert.rejects(() => dbManager.updateDrinksBatch([a.id, 99999], () => ({ category: 'Lot A' })), /non trouvée/);
+  assert.equal((await dbManager.getDrinkById(a.id)).category, 'Lot B', 'rollback');
+
+  const rows = await dbManager.deleteDrinksBatch([a.id, b.id]);
+  assert.deepEqual(rows.map((r) => r.name), ['L1', 'L2']);
+  assert.equal(await dbManager.getDrinkById(a.id), undefined);
+  assert.equal((await dbManager.getCategoryByName('Lot B')).drinkCount, 0);
+  await assert.rejects(() => dbManager.deleteDrinksBatch([b.id]), /non trouvée/);
+});
+
+test('rounds — CRUD trié par nom, addDrinksBatch atomique, export / fusion, effacées par clearAllData', async () => {
+  if (!(await dbManager.getCategoryByName('Tournée'))) await dbManager.addCategory({ name: 'Tournée' });
+  const items = [{ name: 'Pinte', category: 'Tournée', quantity: 50, unit: 'cL', alcoholContent: 5, count: 2, share: 1, price: null }];
+  const r = await dbManager.addRound({ name: 'Vendredi', items });
+  await dbManager.addRound({ name: 'Apéro', items });
+  assert.deepEqual((await dbManager.getAllRounds()).map((x) => x.name), ['Apéro', 'Vendredi']);
+  assert.equal((await dbManager.updateRound(r.id, { name: 'Samedi' })).name, 'Samedi');
+  await assert.rejects(() => dbManager.updateRound(99999, { name: 'X' }), /non trouvée/);
+
+  const rows = await dbManager.addDrinksBatch([
+    { name: 'Pinte', category: 'Tournée', quantity: 50, unit: 'cL', alcoholContent: 5, date: '2025-05-10', time: '21:00' },
+    { name: 'Pichet', category: 'Tournée', quantity: 0.5, unit: 'L', alcoholContent: 5, date: '2025-05-10', time: '21:00' },
+  ]);
+  assert.deepEqual(rows.map((d) => [d.name, d.quantityInCL, d.time]), [['Pinte', 50, '21:00'], ['Pichet', 50, '21:00']]);
+  assert.ok(rows.every((d) => d.id && d.uid), 'lignes complètes');
+  assert.equal((await dbManager.getCategoryByName('Tournée')).drinkCount, 2);
+  // Une ligne non enregistrable (lieu non sérialisable) annule tout le lot.
+  await assert.rejects(() => dbManager.addDrinksBatch([
+    { name: 'A', category: 'Tournée', quantity: 1, unit: 'cL', date: '2025-05-10', time: '21:00' },
+    { name: 'B', category: 'Tournée', quantity: 1, unit: 'cL', date: '2025-05-10', time: '21:00', location: { at: () => 0 } },
+  ]));
+  assert.equal((await dbManager.getCategoryByName('Tournée')).drinkCount, 2, 'rollback');
+
+  const data = JSON.parse(await dbManager.exportData());
+  assert.deepEqual(data.rounds.map((x) => x.name).sort(), ['Apéro', 'Samedi']);
+  // Fusion : même nom (canonique) ignoré ; items non tableau : refus.
+  data.rounds.push({ name: 'apéro ', items }, { name: 'Dimanche', items });
+  await dbManager.importData(JSON.stringify(data), { mode: 'merge' });
+  assert.deepEqual((await dbManager.getAllRounds()).map((x) => x.name), ['Apéro', 'Dimanche', 'Samedi']);
+  data.rounds[0].items = 'Pinte';
+  const err = await dbManager.importData(JSON.stringify(data), { mode: 'merge' }).then(() => null, (e) => e);
+  assert.deepEqual(err.details.map((e) => [e.table, e.field, e.reason]), [['rounds', 'items', 'tableau attendu']]);
+
+  await dbManager.deleteRound(r.id);
+  assert.equal((await dbManager.getAllRounds()).length, 2);
+  await dbManager.clearAllData();
+  assert.equal((await dbManager.getAllRounds()).length, 0);
+});
+
+test('units — graines, CRUD, équivalent modifié → volumes recalculés, export / fusion, réensemencées par clearAllData', async () => {
+  await dbManager.ensureUnits();
+  assert.deepEqual((await dbManager.getAllUnits()).map((u) => [u.name, u.cl, u.builtin]),
+    [['cL', 1, true], ['L', 100, true], ['EcoCup', 25, false], ['mL', 0.1, true]]);
+  if (!(await dbManager.getCategoryByName('Unités'))) await dbManager.addCategory({ name: 'Unités' });
+  const pinte = await dbManager.addUnit({ name: ' Pinte UK ', cl: 56.8, icon: 'Pinte', builtin: true });
+  assert.deepEqual([pinte.name, pinte.builtin], ['Pinte UK', false], 'nom nettoyé, jamais intégrée');
+  await assert.rejects(() => dbManager.addUnit({ name: 'pinte uk', cl: 50 }), /existe déjà/);
+
+  const d = await dbManager.addDrink({ name: 'Stout', category: 'Unités', quantity: 2, unit: 'pinte UK', alcoholContent: 4.2, date: '2025-05-10', time: '20:00' });
+  assert.equal(d.quantityInCL, 113.6, 'facteur du registre, nom sans casse');
+  const ml = await dbManager.addDrink({ name: 'Canette', category: 'Unités', quantity: 250, unit: 'mL', alcoholContent: 5, date: '2025-05-10', time: '20:00' });
+  assert.equal(ml.quantityInCL, 25, 'arrondi : pas de 25.000000000000004');
+
+  await dbManager.updateUnit(pinte.id, { cl: 57, name: 'Autre' });
+  assert.equal((await dbManager.getDrinkById(d.id)).quantityInCL, 114, 'volumes recalculés');
+  assert.equal((await dbManager.getAllUnits()).find((u) => u.id === pinte.id).name, 'Pinte UK', 'nom immuable');
+  const cl = (await dbManager.getAllUnits()).find((u) => u.name === 'cL');
+  await assert.rejects(() => dbManager.updateUnit(cl.id, { cl: 2 }), /non modifiable/);
+  await dbManager.updateUnit(cl.id, { hidden: true });
+  await assert.rejects(() => dbManager.deleteUnit(cl.id), /intégrée/);
+  await assert.rejects(() => dbManager.deleteUnit(pinte.id), /utilisée par 1 boisson$/);
+  await assert.rejects(() => dbManager.updateUnit(99999, { cl: 1 }), /non trouvée/);
+
+  const data = JSON.parse(await dbManager.exportData());
+  assert.ok(data.units.some((u) => u.name === 'Pinte UK' && u.cl === 57));
+  // Fusion : même nom (sans casse) garde l'équivalent local ; unité inconnue
+  // d'une boisson importée créée à partir de son quantityInCL.
+  data.units.push({ name: 'pinte uk', cl: 50, hidden: false, builtin: false }, { name: 'Demi', cl: 25, icon: 'Bière' });
+  data.drinks.push({ ...data.drinks.find((x) => x.id === d.id), id: undefined, uid: 'unit-import-1', unit: 'Galopin', quantity: 2, quantityInCL: 25 });
+  await dbManager.importData(JSON.stringify(data), { mode: 'merge' });
+  const units = await dbManager.getAllUnits();
+  assert.equal(units.find((u) => u.name === 'Pinte UK').cl, 57);
+  assert.equal(units.find((u) => u.name === 'Demi').cl, 25);
+  assert.equal(units.find((u) => u.name === 'Galopin').cl, 12.5);
+  data.units[0].cl = 'beaucoup';
+  const err = await dbManager.importData(JSON.stringify(data), { mode: 'merge' }).then(() => null, (e) => e);
+  assert.deepEqual(err.details.map((e) => [e.table, e.field]), [['units', 'cl']]);
+
+  await dbManager.deleteDrink(d.id);
+  await dbManager.clearAllData();
+  assert.deepEqual((await dbManager.getAllUnits()).map((u) => u.name), ['cL', 'L', 'EcoCup', 'mL']);
+});
+
+test('products — appris des boissons scannées (après correction), modifiés à la main, export / fusion, vidés par clearAllData', async () => {
+  if (!(await dbManager.getCategoryByName('Scans'))) await dbManager.addCategory({ name: 'Scans' });
+  const base = { category: 'Scans', quantity: 33, unit: 'cL', alcoholContent: 5, date: '2025-06-01', time: '20:00' };
+  await dbManager.addDrink({ ...base, name: 'Sans code' });
+  const d = await dbManager.addDrink({ ...base, name: 'Blonde OFF', barcode: '3000000000017' });
+  let p = await dbManager.getProduct('3000000000017');
+  assert.deepEqual([p.name, p.category, p.alcoholContent, p.quantity, p.unit, p.source], ['Blonde OFF', 'Scans', 5, 33, 'cL', 'learned']);
+  assert.equal((await dbManager.getAllProducts()).length, 1, 'sans code-barres : rien appris');
+
+  // Correction de la boisson → la fiche suit ; une mise à jour d'autre chose ne la touche pas.
+  await dbManager.updateDrink(d.id, { name: 'Blonde de l\'Abbaye', alcoholContent: 6.5 });
+  assert.equal((await dbManager.getProduct('3000000000017')).alcoholContent, 6.5);
+  await dbManager.updateProduct('3000000000017', { name: 'Abbaye Blonde', brand: 'Brasserie X', barcode: 'ignoré' });
+  p = await dbManager.getProduct('3000000000017');
+  assert.deepEqual([p.name, p.brand, p.source], ['Abbaye Blonde', 'Brasserie X', 'manual']);
+  await dbManager.updateDrink(d.id, { time: '21:00' });
+  assert.equal((await dbManager.getProduct('3000000000017')).name, 'Abbaye Blonde');
+  await assert.rejects(() => dbManager.updateProduct('0000', { name: 'x' }), /non trouvé/);
+
+  // Rescan corrigé : la dernière boisson fait foi, la marque est conservée.
+  await dbManager.addDrinksBatch([{ ...base, name: 'Abbaye Blonde 75', quantity: 75, barcode: '3000000000017' }]);
+  p = await dbManager.getProduct('3000000000017');
+  assert.deepEqual([p.name, p.quantity, p.brand, p.source], ['Abbaye Blonde 75', 75, 'Brasserie X', 'learned']);
+
+  const data = JSON.parse(await dbManager.exportData());
+  assert.deepEqual(data.products.map((x) => x.barcode), ['3000000000017']);
+  // Fusion : la fiche locale fait foi, un code inconnu est ajouté.
+  data.products[0].name = 'Autre nom';
+  data.products.push({ barcode: '4000000000016', name: 'Cidre', brand: null, category: 'Cidre', alcoholContent: 4.5, quantity: 50, unit: 'cL', source: 'manual' });
+  await dbManager.importData(JSON.stringify(data), { mode: 'merge' });
+  assert.equal((await dbManager.getProduct('3000000000017')).name, 'Abbaye Blonde 75');
+  assert.equal((await dbManager.getProduct('4000000000016')).name, 'Cidre');
+  data.products[1].alcoholContent = 140;
+  const err = await dbManager.importData(JSON.stringify(data), { mode: 'merge' }).then(() => null, (e) => e);
+  assert.deepEqual(err.details.map((e) => [e.table, e.field]), [['products', 'alcoholContent']]);
+
+  await dbManager.deleteProduct('4000000000016');
+  assert.equal(await dbManager.getProduct('4000000000016'), undefined);
+  await dbManager.clearAllData();
+  assert.deepEqual(await dbManager.getAllProducts(), []);
+});
+
+test('journal — diff avant/après, annuler / rétablir, branche effacée, borné, vidé par clearAllData', async () => {
+  await dbManager.clearJournal();
+  const cat = (await dbManager.getCategoryByName('Lot A')) || await dbManager.addCategory({ name: 'Lot A' });
+  const added = await dbManager.journaled((r) => `Ajout de « ${r.name} »`, () =>
+    dbManager.addDrink({ name: 'J1', category: 'Lot A', quantity: 25, unit: 'cL', alcoholContent: 5, date: '2025-05-10', time: '20:00' }));
+  await dbManager.journaled('Renommage', () => dbManager.updateDrink(added.id, { name: 'J2' }));
+  let list = await dbManager.listJournal();
+  assert.deepEqual(list.map((e) => [e.label, e.count, e.undone]), [['Renommage', 1, false], ['Ajout de « J1 »', 1, false]],
+    'drinkCount / updatedAt seuls ne comptent pas');
+
+  assert.equal((await dbManager.undoJournal()).label, 'Renommage');
+  assert.equal((await dbManager.getDrinkById(added.id)).name, 'J1');
+  await dbManager.undoJournal();
+  assert.equal(await dbManager.getDrinkById(added.id), undefined);
+  assert.equal((await dbManager.getCategoryById(cat.id)).drinkCount, 0, 'compteur recalculé');
+  assert.equal(await dbManager.undoJournal(), null, 'plus rien à annuler');
+
+  await dbManager.redoJournal();
+  const back = await dbManager.getDrinkById(added.id);
+  assert.equal(back.name, 'J1', 'même id, même uid');
+  assert.equal(back.uid, added.uid);
+  assert.equal((await dbManager.getCategoryById(cat.id)).drinkCount, 1);
+
+  // Nouvelle modification : la branche « rétablir » (Renommage) disparaît.
+  await dbManager.journaled('Note', () => dbManager.setRating('j1', 4));
+  assert.deepEqual((await dbManager.listJournal()).map((e) => e.label), ['Note', 'Ajout de « J1 »']);
+  assert.equal(await dbManager.redoJournal(), null);
+
+  // Seules les lignes écrites comptent, et parmi les réglages ceux des
+  // données : l'étalonnage écrit pendant l'entrée ouverte n'y entre pas.
+  let release;
+  const open = dbManager.journaled('Prix', async () => {
+    await dbManager.setSetting('price.ref.test', 3);
+    await new Promise((r) => { release = r; });
+  });
+  while (!release) await new Promise((r) => setTimeout(r, 5));
+  await dbManager.setSetting('bacCalibration', '{"since":1}');
+  release();
+  await open;
+  const [prix] = await dbManager.listJournal();
+  assert.deepEqual([prix.label, prix.count], ['Prix', 1]);
+  await dbManager.undoJournal();
+  assert.equal(await dbManager.getSetting('price.ref.test'), null);
+  assert.equal(await dbManager.getSetting('bacCalibration'), '{"since":1}');
+  await dbManager.setSetting('bacCalibration', null);
+
+  // Annuler ne recompte que les catégories touchées.
+  const other = (await dbManager.getCategoryByName('Lot B')) || await dbManager.addCategory({ name: 'Lot B' });
+  await dbManager.updateCategory(other.id, { drinkCount: 42 });
+  await dbManager.journaled('Déplacement', () => dbManager.updateDrink(added.id, { category: 'Lot C' }));
+  await dbManager.undoJournal();
+  assert.equal((await dbManager.getCategoryById(cat.id)).drinkCount, 1);
+  assert.equal((await dbManager.getCategoryById(other.id)).drinkCount, 42, 'catégorie non touchée');
+
+  // Échec à mi-chemin : ce qui a été écrit reste annulable.
+  await assert.rejects(() => dbManager.journaled('Lot raté', async () => {
+    await dbManager.updateDrink(added.id, { name: 'J3' });
+    await dbManager.updateDrink(99999, { name: 'x' });
+  }), /non trouvée/);
+  await dbManager.undoJournal();
+  assert.equal((await dbManager.getDrinkById(added.id)).name, 'J1');
+
+  for (let i = 0; i < 105; i++) {
+    await dbManager.journaled(`Réglage ${i}`, () => dbManager.setSetting('price.ref.test', i));
+  }
+  list = await dbManager.listJournal();
+  assert.equal(list.length, 100);
+  assert.equal(list[0].label, 'Réglage 104');
+
+  await dbManager.clearAllData();
+  assert.equal((await dbManager.listJournal()).length, 0);
+});
@@ -39,13 +39,22 @@ const SCRIPTS = [
   'js/database.js',
   'js/scanner/product-lookup.js',
   'js/scanner/camera-scanner.js',
+  'proto/dist/i18n.js',
   'proto/dist/shared.js',
   'proto/dist/data.js',
+  'proto/dist/csv.js',
   'proto/dist/stats-charts.js',
+  'proto/dist/goals.js',
+  'proto/dist/audit.js',
+  'proto/dist/filters.js',
+  'proto/dist/rounds.js',
+  'proto/dist/units.js',
+  'proto/dist/catalog.js',
   'proto/dist/categories.js',
   'proto/dist/history.js',
   'proto/dist/stats.js',
   'proto/dist/share.js',
+  'proto/dist/qr.js',
   'proto/dist/friends.js',
   'proto/dist/modals.js',
   'proto/dist/app.js',
@@ -88,7 +97,8 @@ async function bootApp({ preSeed, shareConfig } = {}) {
   window.IntersectionObserver = window.IntersectionObserver || NoopObs;
   if (!window.requestAnimationFrame) window.requestAnimationFrame = (cb) => setTimeout(() => cb(Date.now()), 0);
   if (!window.cancelAnimationFrame) window.cancelAnimationFrame = (id) => clearTimeout(id);
-  if (!window.crypto) {
+  // jsdom n'expose que getRandomValues : WebCrypto (export chiffré) vient de Node.
+  if (!window.crypto || !window.crypto.subtle) {
     Object.defineProperty(window, 'crypto', { value: global.crypto, configurable: true });
   }
   window.fetch = () => Promise.reject(new Error('no network in test'));
@@ -89,9 +89,10 @@ test('DA : window.confirm/alert interdits (Confirm.ask / Toast.show)', () => {
 });
 
 test('DA : pas de <svg> inline hors fichiers système (Ic/SvgIcon, charts, map)', () => {
-  // shared.jsx (banque d'icônes Ic), stats-charts.jsx (primitives SVG) et
-  // stats.jsx (jauge BAC, carte) SONT le système — les autres consomment.
-  const consumers = jsxFiles.filter((f) => !['shared.jsx', 'stats-charts.jsx', 'stats.jsx'].includes(f));
+  // shared.jsx (banque d'icônes Ic), stats-charts.jsx (primitives SVG),
+  // stats.jsx (jauge BAC, carte) et qr.jsx (rendu des QR codes) SONT le
+  // système — les autres consomment.
+  const consumers = jsxFiles.filter((f) => !['shared.jsx', 'stats-charts.jsx', 'stats.jsx', 'qr.jsx'].includes(f));
   const offenders = [];
   for (const f of consumers) {
     const src = read(path.join('proto', f));
@@ -419,11 +420,11 @@ test('gel — déclarations littérales des constantes de formules', () => {
     [statsSrc, 'proto/stats.jsx', /const DEFAULT_WEIGHT_KG = 70;/],
     [statsSrc, 'proto/stats.jsx', /const WIDMARK_R_MALE = 0\.68;/],
     [statsSrc, 'proto/stats.jsx', /const WIDMARK_R_FEMALE = 0\.55;/],
-    [statsSrc, 'proto/stats.jsx', /const BAC_LEGAL_LIMIT = 500;/],
     [statsSrc, 'proto/stats.jsx', /const BAC_RECORD_MIN = 200;/],
     [statsSrc, 'proto/stats.jsx', /const FORECAST_MAX_RATE_GPH = 60;/],
     [statsSrc, 'proto/stats.jsx', /const FORECAST_HORIZON_H = 12;/],
     [sharedSrc, 'proto/shared.jsx', /const ETHANOL_DENSITY_G_PER_ML = 0\.789;/],
+    [sharedSrc, 'proto/shared.jsx', /\{ id: 'fr', +limit: 500 \}/],
   ];
   for (const [src, file, re] of frozen) {
     assert.match(src, re,
@@ -0,0 +1,71 @@
+// Auto-évaluation (proto/audit.jsx) : barème AUDIT-C / AUDIT, zones de
+// risque (seuil selon le sexe pour l'AUDIT-C), pré-remplissage des trois
+// premières questions depuis les sessions de l'historique.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installStubs, loadDist } = require('./helpers/stub-globals');
+
+installStubs();
+loadDist('i18n', 'shared', 'data', 'goals', 'audit', 'stats');
+
+const { scoreAssessment, auditCBand, auditBand, assessmentBand, auditPrefill, AUDIT_QUESTIONS, STANDARD_DRINKS } = global;
+
+const NOW = new Date('2025-05-14T12:00').getTime();
+const pad2 = (n) => String(n).padStart(2, '0');
+const day = (daysAgo) => {
+  const d = new Date(NOW - daysAgo * 86400000);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+};
+// 25 cL à 5 % = 9,86 g ≈ 1 verre standard (10 g).
+const beers = (daysAgo, n) => Array.from({ length: n }, (_, i) => ({
+  date: day(daysAgo), time: `20:${pad2(i * 8)}`, quantity: 25, unit: 'cL', alcoholContent: 5,
+}));
+
+test('scoreAssessment — somme, sous-score AUDIT-C, questionnaire incomplet refusé', () => {
+  assert.equal(AUDIT_QUESTIONS.length, 10);
+  assert.deepEqual(scoreAssessment('auditc', [3, 2, 1]), { kind: 'auditc', answers: [3, 2, 1], score: 6, auditC: 6 });
+  const full = scoreAssessment('audit', [4, 4, 4, 4, 4, 4, 4, 4, 4, 4]);
+  assert.deepEqual([full.score, full.auditC], [40, 12]);
+  assert.throws(() => scoreAssessment('auditc', [3, 2]), /incomplet/);
+  assert.throws(() => scoreAssessment('audit', [0, 0, 0, 0, 0, 0, 0, 0, 1, 0]), /incomplet/, 'Q9 vaut 0, 2 ou 4');
+  assert.throws(() => scoreAssessment('quiz', [0]), /incomplet/);
+});
+
+test('zones — AUDIT-C 4 chez l’homme / 3 chez la femme, zones OMS de l’AUDIT', () => {
+  assert.equal(auditCBand(3, 'male').id, 'low');
+  assert.equal(auditCBand(3, 'female').id, 'risk');
+  assert.equal(auditCBand(4, 'male').id, 'risk');
+  assert.equal(auditCBand(8, 'male').id, 'high');
+  assert.deepEqual([7, 8, 15, 16, 19, 20].map(s => auditBand(s).id),
+    ['low', 'risk', 'risk', 'harmful', 'harmful', 'dependent']);
+  assert.equal(assessmentBand({ kind: 'audit', score: 9 }, 'female').id, 'risk');
+  assert.equal(assessmentBand({ kind: 'auditc', score: 9 }, 'female').id, 'high');
+});
+
+test('auditPrefill — rien sans historique récent', () => {
+  assert.equal(auditPrefill([], { now: NOW }), null);
+  assert.equal(auditPrefill(beers(400, 3), { now: NOW }), null, 'plus d’un an');
+});
+
+test('auditPrefill — deux soirées par semaine à 3 verres, une cuite par mois', () => {
+  const drinks = [];
+  for (let w = 0; w < 12; w++) {
+    drinks.push(...beers(w * 7 + 1, 3), ...beers(w * 7 + 4, 3));
+    if (w % 4 === 0) drinks.push(...beers(w * 7 + 2, 7));
+  }
+  const p = auditPrefill(drinks, { now: NOW });
+  assert.equal(p.basis.sessions, 27);
+  assert.equal(p.basis.binges, 3);
+  assert.deepEqual(p.answers, [3, 1, 2], '2 à 3 fois / semaine · 3 ou 4 verres · une fois par mois');
+});
+
+test('auditPrefill — fenêtre minimale d’un mois, taille du verre standard', () => {
+  // Une seule soirée hier : une fois par mois ou moins, pas extrapolée à 30/mois.
+  const p = auditPrefill(beers(1, 5), { now: NOW });
+  assert.equal(p.basis.days, 31);
+  assert.deepEqual(p.answers, [1, 2, 0]);
+  // Verre américain (14 g) : 5 × 9,86 g ≈ 3,5 verres → « 3 ou 4 ».
+  const us = STANDARD_DRINKS.find(s => s.id === 'us');
+  assert.equal(auditPrefill(beers(1, 5), { now: NOW, sd: us }).answers[1], 1);
+});
@@ -0,0 +1,191 @@
+// js/scanner/camera-scanner.js : choix du backend (BarcodeDetector natif ou
+// Quagga), confirmation après deux lectures concordantes et arrêt sur
+// inactivité communs aux deux, QR d'invitation réservé au natif.
+// Caméra, détecteur et Quagga sont des doublures.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { installStubs, ROOT } = require('./helpers/stub-globals');
+
+installStubs();
+require(path.join(ROOT, 'js', 'scanner', 'camera-scanner.js'));
+const { CameraScanner } = global;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Caméra simulée : flux à une piste, <video> prête à décoder.
+function fakeCamera() {
+  const cam = { tracks: [], videos: [] };
+  navigator.mediaDevices = {
+    getUserMedia: async (constraints) => {
+      const track = { stopped: false, stop() { this.stopped = true; } };
+      cam.tracks.push(track);
+      cam.constraints = constraints;
+      return { getTracks: () => [track] };
+    },
+  };
+  const realCreate = document.createElement;
+  document.getElementById = (id) => (id === 'scanner-viewport' ? { appendChild() {} } : null);
+  document.createElement = (tag) => {
+    if (tag !== 'video') return realCreate(tag);
+    const video = { style: {}, readyState: 4, removed: false, setAttribute() {}, play: async () => {}, remove() { this.removed = true; } };
+    cam.videos.push(video);
+    return video;
+  };
+  cam.restore = () => {
+    document.createElement = realCreate;
+    document.getElementById = () => null;
+    delete navigator.mediaDevices;
+  };
+  return cam;
+}
+
+// BarcodeDetector simulé : formats pris en charge, lectures successives.
+function fakeDetector(supported, reads = []) {
+  const created = [];
+  global.BarcodeDetector = class {
+    static async getSupportedFormats() { return supported; }
+    constructor(opts) { created.push(opts.formats); }
+    async detect() {
+      const next = reads.length ? reads.shift() : null;
+      return next ? [{ rawValue: next }] : [];
+    }
+  };
+  return created;
+}
+
+function scannerWithCallbacks() {
+  const scanner = new CameraScanner();
+  const events = { confirmed: [], errors: [], inactive: 0 };
+  scanner.onBarcodeConfirmed = (code) => events.confirmed.push(code);
+  scanner.onError = (e) => events.errors.push(e.message);
+  scanner.onInactivity = () => { events.inactive++; };
+  return { scanner, events };
+}
+
+test('sélection : natif si le format principal est lu, Quagga sinon ; QR sans natif refusé', async () => {
+  const scanner = new CameraScanner();
+  delete global.BarcodeDetector;
+  assert.equal((await scanner._selectBackend('product')).backend.id, 'quagga');
+  assert.equal(await scanner.supportsMode('invite'), false);
+  await assert.rejects(scanner._selectBackend('invite'), /QR codes non prise en charge/);
+
+  fakeDetector(['qr_code', 'ean_13', 'ean_8', 'aztec']);
+  const product = await scanner._selectBackend('product');
+  assert.deepEqual([product.backend.id, product.formats.join()], ['native', 'ean_13,ean_8']);
+  assert.equal((await scanner._selectBackend('invite')).backend.id, 'native');
+  assert.equal(await scanner.supportsMode('invite'), true);
+
+  fakeDetector(['qr_code']);
+  assert.equal((await scanner._selectBackend('product')).backend.id, 'quagga', 'pas d’EAN natif → Quagga');
+  delete global.BarcodeDetector;
+});
+
+test('natif : confirmation après deux lectures concordantes, une seule fois, caméra rendue à l’arrêt', async () => {
+  const cam = fakeCamera();
+  const created = fakeDetector(['ean_13', 'qr_code'], ['111', '222', '111', '111', '111']);
+  const { scanner, events } = scannerWithCallbacks();
+  try {
+    await scanner.start();
+    assert.equal(scanner.backend.id, 'native');
+    assert.equal(created[0].join(), 'ean_13');
+    assert.equal(cam.constraints.video.facingMode, 'environment');
+    await sleep(650);
+    assert.deepEqual(events.confirmed, ['111'], '222 isolé ignoré, puis verrou jusqu’à unlockProcessing');
+    scanner.stop();
+    assert.equal(cam.tracks[0].stopped, true);
+    assert.equal(cam.videos[0].removed, true);
+    assert.equal(scanner.backend, null);
+  } finally {
+    scanner.stop();
+    cam.restore();
+    delete global.BarcodeDetector;
+  }
+});
+
+test('natif : arrêt pendant la demande de caméra → flux rendu dès son arrivée', async () => {
+  const cam = fakeCamera();
+  fakeDetector(['ean_13']);
+  let grant;
+  const getUserMedia = navigator.mediaDevices.getUserMedia;
+  navigator.mediaDevices.getUserMedia = (constraints) => new Promise((resolve) => {
+    grant = () => resolve(getUserMedia(constraints));
+  });
+  const { scanner, events } = scannerWithCallbacks();
+  try {
+    const starting = scanner.start();
+    while (!grant) await sleep(5);
+    scanner.stop();
+    grant();
+    await starting;
+    assert.equal(cam.tracks.length, 1);
+    assert.equal(cam.tracks[0].stopped, true, 'caméra rendue');
+    assert.deepEqual([cam.videos.length, scanner.isScanning, scanner.backend], [0, false, null]);
+    assert.deepEqual(events.errors, []);
+  } finally {
+    scanner.stop();
+    cam.restore();
+    delete global.BarcodeDetector;
+  }
+});
+
+test('mode invitation : QR code seulement, arrêt sur inactivité', async () => {
+  const cam = fakeCamera();
+  const created = fakeDetector(['ean_13', 'qr_code']);
+  const { scanner, events } = scannerWithCallbacks();
+  scanner.inactivityDuration = 80;
+  try {
+    await scanner.start({ mode: 'invite' });
+    assert.deepEqual([scanner.mode, created[0].join()], ['invite', 'qr_code']);
+    await sleep(200);
+    assert.equal(events.inactive, 1);
+    assert.equal(scanner.isScanning, false);
+    assert.equal(cam.tracks[0].stopped, true);
+
+    // Sans BarcodeDetector : pas de repli Quagga possible pour un QR.
+    delete global.BarcodeDetector;
+    await scanner.start({ mode: 'invite' });
+    assert.match(events.errors.join(), /QR codes non prise en charge/);
+    assert.deepEqual([scanner.isScanning, cam.tracks.length], [false, 1], 'caméra jamais ouverte');
+  } finally {
+    scanner.stop();
+    cam.restore();
+    delete global.BarcodeDetector;
+  }
+});
+
+test('Quagga : mêmes règles de confirmation, abonnements détachés à l’arrêt', async () => {
+  const cam = fakeCamera();
+  const handlers = { detected: new Set(), processed: new Set() };
+  global.Quagga = {
+    init: (config, cb) => setTimeout(() => cb(null), 0),
+    start() {}, stop() {},
+    onDetected: (fn) => handlers.detected.add(fn),
+    offDetected: (fn) => handlers.detected.delete(fn),
+    onProcessed: (fn) => handlers.processed.add(fn),
+    offProcessed: (fn) => handlers.processed.delete(fn),
+  };
+  const emit = (code) => handlers.detected.forEach((fn) => fn({ codeResult: { code } }));
+  const { scanner, events } = scannerWithCallbacks();
+  try {
+    await scanner.start();
+    assert.equal(scanner.backend.id, 'quagga');
+    emit('3333');
+    assert.deepEqual(events.confirmed, []);
+    emit('3333');
+    assert.deepEqual(events.confirmed, ['3333']);
+    scanner.stop();
+    assert.equal(handlers.detected.size + handlers.processed.size, 0);
+
+    // Second scan de la session : une seule confirmation, pas de doublon.
+    await scanner.start();
+    emit('4444');
+    emit('4444');
+    assert.deepEqual(events.confirmed, ['3333', '4444']);
+  } finally {
+    scanner.stop();
+    cam.restore();
+    delete global.Quagga;
+  }
+});
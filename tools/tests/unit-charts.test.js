@@ -7,7 +7,7 @@ const assert = require('node:assert/strict');
 const { installStubs, loadDist } = require('./helpers/stub-globals');
 
 installStubs();
-loadDist('shared', 'stats-charts');
+loadDist('i18n', 'shared', 'stats-charts');
 
 const { chartNiceMax, chartTicks, fmtTick, chartTooltipLayout, bacChartRange } = global;
 
@@ -166,12 +166,24 @@ test('CHART — spec gelée, valeurs numériques saines', () => {
   assert.ok(CHART.label.minGapX > 0 && CHART.label.minGapY > 0);
   assert.equal(CHART.heatmap.bandAlpha.length, 5);
   // Seuils d'affichage BAC alignés sur les constantes du moteur (gel croisé
-  // avec unit-formulas : BAC_LEGAL_LIMIT = 500, BAC_RECORD_MIN = 200).
+  // avec unit-formulas : profil 'fr' à 500, BAC_RECORD_MIN = 200).
   assert.equal(BAC_ZONE_LEGAL, 500);
   assert.equal(BAC_ZONE_LIGHT, 200);
   assert.equal(BAC_CHART_CAP, 1500);
 });
 
+test('bacZones / bacZoneColor — seuils du profil de conduite', () => {
+  const { bacZones, bacZoneColor, T } = global;
+  assert.deepEqual(bacZones(500), { light: 200, legal: 500 }, 'France');
+  assert.deepEqual(bacZones(800), { light: 200, legal: 800 });
+  assert.deepEqual(bacZones(200), { light: 200, legal: 200 }, 'jeune conducteur : pas de zone « léger »');
+  assert.deepEqual(bacZones(0), { light: 0, legal: 0 });
+  assert.equal(bacZoneColor(600, bacZones(800)), T.bacWarn);
+  assert.equal(bacZoneColor(600, bacZones(500)), T.bacDanger);
+  assert.equal(bacZoneColor(50, bacZones(0)), T.bacDanger, 'tolérance zéro');
+  assert.equal(bacZoneColor(0, bacZones(0)), T.good);
+});
+
 // Extents réels d'un label rendu selon son ancre — l'invariant se vérifie
 // sur les extents, pas sur les centres.
 function labelExtent(item, labels, charW) {
@@ -0,0 +1,122 @@
+// Export / import CSV (proto/csv.jsx) : colonnes et chiffres identiques aux
+// Stats, parseur RFC 4180, correspondance des colonnes, validation à blanc.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installStubs, loadDist } = require('./helpers/stub-globals');
+
+installStubs();
+// Fournis par js/database.js (non chargé ici).
+let uidSeq = 0;
+global.genUid = () => `uid-${++uidSeq}`;
+global.exportEnvelope = (tables, reason) => ({ format: 'alconote-export', version: 2, reason, ...tables });
+loadDist('i18n', 'shared', 'data', 'csv');
+
+const {
+  drinksToCsv, parseCsv, guessCsvMapping, csvRowsToDrinks, csvImportPayload,
+  parseCsvDate, parseCsvTime, drinkAlcoholGrams, ratingKey, STANDARD_DRINKS,
+} = global;
+
+const DRINK = {
+  name: 'Chouffe; blonde', category: 'Bière', quantity: 1, unit: 'EcoCup',
+  alcoholContent: 8, date: '2026-06-09', time: '21:30', price: 4.5,
+  location: { latitude: 50.1, longitude: 4.2, address: 'Rue "Haute", Bruxelles' },
+};
+
+test('drinksToCsv — une ligne par boisson, séparateur ; et virgule décimale', () => {
+  const csv = drinksToCsv([DRINK], { [ratingKey('Chouffe; blonde')]: 4 });
+  const [header, line] = csv.trim().split('\r\n');
+  assert.equal(header, 'date;heure;nom;catégorie;quantité;unité;cL;degré (%);alcool (g);verres std (10 g);prix (€);note;lieu');
+  const grams = String(Math.round(drinkAlcoholGrams(DRINK) * 10) / 10).replace('.', ',');
+  const std = String(Math.round(drinkAlcoholGrams(DRINK)) / 10).replace('.', ',');
+  assert.equal(line,
+    `2026-06-09;21:30;"Chouffe; blonde";Bière;1;EcoCup;25;8;${grams};${std};4,5;4;"Rue ""Haute"", Bruxelles"`);
+});
+
+test('drinksToCsv — colonne verres std dans l’unité choisie (unit britannique de 8 g)', () => {
+  const uk = STANDARD_DRINKS.find((s) => s.id === 'uk');
+  const [header, line] = drinksToCsv([DRINK], {}, uk).trim().split('\r\n');
+  assert.equal(header.split(';')[9], 'verres std (8 g)');
+  assert.equal(line.split(';')[10], String(Math.round(drinkAlcoholGrams(DRINK) / 8 * 10) / 10).replace('.', ','));
+});
+
+test('parseCsv — round-trip de l’export (guillemets, BOM, CRLF)', () => {
+  const parsed = parseCsv('\uFEFF' + drinksToCsv([DRINK]));
+  assert.equal(parsed.delimiter, ';');
+  assert.equal(parsed.headers[2], 'nom');
+  assert.equal(parsed.rows.length, 1);
+  assert.equal(parsed.rows[0][2], 'Chouffe; blonde');
+  assert.equal(parsed.rows[0][12], 'Rue "Haute", Bruxelles');
+
+  const mapping = guessCsvMapping(parsed.headers);
+  const { drinks, errors } = csvRowsToDrinks(parsed.rows, mapping);
+  assert.deepEqual(errors, []);
+  assert.equal(drinks[0].name, DRINK.name);
+  assert.equal(drinks[0].quantity, 1);
+  assert.equal(drinks[0].unit, 'EcoCup');
+  assert.equal(drinks[0].quantityInCL, 25);
+  assert.equal(drinks[0].price, 4.5);
+  assert.deepEqual(drinks[0].location, { label: 'Rue "Haute", Bruxelles' });
+});
+
+test('parseCsv — séparateur virgule détecté, cellule multi-ligne, lignes vides ignorées', () => {
+  const parsed = parseCsv('Name,Date,Volume (cL)\n"Vin\nrouge",09/06/2026,12\n\n');
+  assert.equal(parsed.delimiter, ',');
+  assert.deepEqual(parsed.rows, [['Vin\nrouge', '09/06/2026', '12']]);
+  const mapping = guessCsvMapping(parsed.headers);
+  assert.equal(mapping.name, 0);
+  assert.equal(mapping.date, 1);
+  assert.equal(mapping.cl, 2);
+  assert.equal(mapping.price, -1, 'colonne absente → non mappée');
+});
+
+test('csvRowsToDrinks — virgule décimale, volume via cL seul, valeurs par défaut', () => {
+  const parsed = parseCsv('date;nom;volume (cL);degré;prix\n9/6/26;Pastis;2,5;45 %;3,20 €\n');
+  const { drinks, errors } = csvRowsToDrinks(parsed.rows, guessCsvMapping(parsed.headers));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    { ...drinks[0], location: undefined },
+    {
+      name: 'Pastis', category: 'Autre', quantity: 2.5, unit: 'cL', quantityInCL: 2.5,
+      alcoholContent: 45, date: '2026-06-09', time: '12:00', price: 3.2, priceIsCustom: true,
+      location: undefined, barcode: null,
+    });
+});
+
+test('csvRowsToDrinks — rapport précis (ligne, champ, raison), lignes fautives exclues', () => {
+  const parsed = parseCsv([
+    'date;heure;nom;quantité;unité;degré;note',
+    '2026-02-30;21:00;Bière;25;cL;5;',      // date impossible
+    '2026-03-01;25:00;Bière;25;cL;5;',      // heure invalide
+    '2026-03-01;21h15;;25;pinte;5;',        // nom manquant + unité inconnue
+    '2026-03-01;21:15;Vin;;cL;130;6',       // quantité manquante, degré, note
+    '2026-03-01;21h15;Cidre;33;cl;4,5;3',   // OK
+  ].join('\n'));
+  const { drinks, ratings, errors } = csvRowsToDrinks(parsed.rows, guessCsvMapping(parsed.headers));
+  assert.equal(drinks.length, 1);
+  assert.equal(drinks[0].time, '21:15');
+  assert.equal(drinks[0].unit, 'cL');
+  assert.deepEqual(ratings, [{ drinkName: 'cidre', rating: 3 }]);
+  assert.deepEqual(errors.map((e) => [e.line, e.field]), [
+    [2, 'date'], [3, 'time'], [4, 'name'], [4, 'unit'],
+    [5, 'quantity'], [5, 'abv'], [5, 'rating'],
+  ]);
+  assert.match(errors[0].reason, /date invalide/);
+
+  const payload = JSON.parse(csvImportPayload({ drinks, ratings }));
+  assert.equal(payload.version, 2);
+  assert.equal(payload.reason, 'csv-import');
+  assert.equal(payload.drinks.length, 1);
+  assert.ok(payload.drinks[0].uid, 'uid neuf par boisson');
+  assert.deepEqual(payload.categories, []);
+});
+
+test('parseCsvDate / parseCsvTime — formats tableur courants', () => {
+  assert.equal(parseCsvDate('2026-6-9'), '2026-06-09');
+  assert.equal(parseCsvDate('09.06.2026'), '2026-06-09');
+  assert.equal(parseCsvDate('31/04/2026'), null);
+  assert.equal(parseCsvDate('hier'), null);
+  assert.equal(parseCsvTime('8h'), '08:00');
+  assert.equal(parseCsvTime('21:30:59'), '21:30');
+  assert.equal(parseCsvTime('21:75'), null);
+});
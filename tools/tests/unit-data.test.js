@@ -1,5 +1,5 @@
 // Helpers purs de proto/data.jsx : familles, stats de catégories, prix de
-// référence, coordonnées. Reprend 100 % des assertions de l'ancien
+// référence, coordonnées, traduction des erreurs codées. Reprend 100 % des assertions de l'ancien
 // tools/test-icons.js (computeCategoryStats / sameFamily) et les complète.
 'use strict';
 const test = require('node:test');
@@ -7,12 +7,13 @@ const assert = require('node:assert/strict');
 const { installStubs, loadDist } = require('./helpers/stub-globals');
 
 installStubs();
-loadDist('shared', 'data');
+loadDist('i18n', 'shared', 'data', 'rounds');
 
 const {
   canonicalCat, computeCategoryStats, sameFamily, familyKey, buildFamilies,
   flattenEntries, ratingKey, priceRefsFromSettings, familyPriceKey,
-  getDrinkCoords, drinkPlaceLabel,
+  getDrinkCoords, drinkPlaceLabel, offsiteBackupOverdue, drinkBatchChanges,
+  pendingLookupChanges, errorText, setLocale,
 } = global;
 
 test('computeCategoryStats — dédoublonne les graphies d’une même catégorie', () => {
@@ -151,7 +152,7 @@ test('suggestPriceForVolume — €/L hérité de la famille homonyme, prorata a
   // 50 cL → 4 € ; 33 cL → 2.64 € (8 €/L × 0,33 L) ; unités converties.
   assert.deepEqual(
     suggestPriceForVolume(fams, 'Jupiler', 50, 5.2),
-    { price: 4, perLiter: 8, exact: false,
+    { price: 4, containerPrice: 4, perLiter: 8, exact: false,
       source: { name: 'Jupiler', quantity: 25, unit: 'cL', referencePrice: 2 } }
   );
   assert.equal(suggestPriceForVolume(fams, 'jupiler ', 33, 5.2).price, 2.64,
@@ -166,6 +167,33 @@ test('suggestPriceForVolume — €/L hérité de la famille homonyme, prorata a
   assert.equal(suggestPriceForVolume(fams, '', 33, 5.2), null);
 });
 
+test('suggestPriceForVolume — contenant partagé : ma part du prix du contenant', () => {
+  const { suggestPriceForVolume, toCl } = global;
+  const fams = [{ name: 'Rosé', quantity: 75, unit: 'cL', alcohol: 12, referencePrice: 15, entries: [] }];
+  const quarter = suggestPriceForVolume(fams, 'Rosé', 75, 12, 1 / 4);
+  assert.deepEqual([quarter.price, quarter.containerPrice, quarter.exact], [3.75, 15, true]);
+  // Magnum partagé à trois : 30 € le contenant (20 €/L), 10 € pour moi.
+  const third = suggestPriceForVolume(fams, 'Rosé', toCl(1.5, 'L'), 12, 1 / 3);
+  assert.deepEqual([third.price, third.containerPrice], [10, 30]);
+  // Part absente / hors bornes → tout le contenant.
+  assert.equal(suggestPriceForVolume(fams, 'Rosé', 75, 12, 0).price, 15);
+  assert.equal(suggestPriceForVolume(fams, 'Rosé', 75, 12, 2).price, 15);
+});
+
+test('sharedContainerEntry — ma part du contenant, contexte gardé dans `shared`', () => {
+  const { sharedContainerEntry, fmtSharedWindow, fmtSharedDrink } = global;
+  assert.deepEqual(sharedContainerEntry({ total: 75, share: 1 / 4, windowMin: 180, containerPrice: 15 }),
+    { quantity: 18.75, price: 3.75, shared: { total: 75, share: 0.25, windowMin: 180 } });
+  assert.deepEqual(sharedContainerEntry({ total: 1.5, share: 1 / 3, windowMin: 45 }),
+    { quantity: 0.5, price: null, shared: { total: 1.5, share: 1 / 3, windowMin: 45 } });
+  // Tout le contenant, bu d'un coup : rien à retenir.
+  assert.deepEqual(sharedContainerEntry({ total: 75, containerPrice: 15 }), { quantity: 75, price: 15, shared: null });
+  assert.deepEqual([0, 30, 60, 90, 180].map(fmtSharedWindow), ['d\'un coup', '30 min', '1 h', '1 h 30', '3 h']);
+  assert.equal(fmtSharedDrink({ unit: 'cL', shared: { total: 75, share: 1 / 4, windowMin: 180 } }), '1/4 de 75 cL · sur 3 h');
+  assert.equal(fmtSharedDrink({ unit: 'L', shared: { total: 1.5, share: 1, windowMin: 60 } }), '1.5 L · sur 1 h');
+  assert.equal(fmtSharedDrink({ unit: 'cL' }), '');
+});
+
 test('suggestPriceForVolume — priorités : contenant exact > degré > première famille tarifée', () => {
   const { suggestPriceForVolume } = global;
   const fams = [
@@ -214,3 +242,73 @@ test('suggestPriceForVolume — cas limites : EcoCup, prix négatif/invalide ign
   // Volume énorme : prorata linéaire, fini.
   assert.equal(suggestPriceForVolume(fams, 'Kro', 1000, 5).price, 120);
 });
+
+test('offsiteBackupOverdue — seulement si activé et plus vieux que l’intervalle', () => {
+  const now = Date.parse('2026-03-10T12:00:00');
+  const h = 3600 * 1000;
+  assert.equal(offsiteBackupOverdue({}, now), false, 'désactivé');
+  assert.equal(offsiteBackupOverdue({ 'offsite.interval': 'daily' }, now), true, 'jamais exporté');
+  assert.equal(offsiteBackupOverdue({ 'offsite.interval': 'daily', 'offsite.lastAt': now - 23 * h }, now), false);
+  assert.equal(offsiteBackupOverdue({ 'offsite.interval': 'daily', 'offsite.lastAt': now - 24 * h }, now), true);
+  assert.equal(offsiteBackupOverdue({ 'offsite.interval': 'weekly', 'offsite.lastAt': now - 3 * 24 * h }, now), false);
+  assert.equal(offsiteBackupOverdue({ 'offsite.interval': 'weekly', 'offsite.lastAt': now - 8 * 24 * h }, now), true);
+  assert.equal(offsiteBackupOverdue({ 'offsite.interval': 'hourly' }, now), false, 'valeur inconnue = désactivé');
+});
+
+test('drinkBatchChanges — décalage qui passe minuit, catégorie, lieu, prix personnalisé', () => {
+  const row = { date: '2025-05-10', time: '23:30', category: 'Bière', price: 5 };
+  assert.deepEqual(drinkBatchChanges(row, { shiftMinutes: 60 }), { date: '2025-05-11', time: '00:30' });
+  assert.deepEqual(drinkBatchChanges(row, { shiftMinutes: -24 * 60 - 30 }), { date: '2025-05-09', time: '23:00' });
+  assert.deepEqual(drinkBatchChanges(row, { category: 'Vin' }), { category: 'Vin' });
+  assert.deepEqual(drinkBatchChanges(row, { location: null }), { location: null });
+  assert.deepEqual(drinkBatchChanges(row, { price: 4.5 }), { price: 4.5, priceIsCustom: true });
+  assert.deepEqual(drinkBatchChanges(row, { price: null }), { price: null, priceIsCustom: false }, 'retour au prix de référence');
+  assert.equal(drinkBatchChanges({ date: 'x' }, { shiftMinutes: 15 }), null);
+  assert.equal(drinkBatchChanges(row, {}), null);
+});
+
+test('pendingLookupChanges — une ligne par famille du code, seuls les champs qui diffèrent', () => {
+  const base = { quantity: 33, unit: 'cL', category: 'Autre', alcoholContent: 0, barcode: '123' };
+  const drinks = [
+    { ...base, name: 'Produit 123' },
+    { ...base, name: 'produit 123 ' },           // même famille (nom sans casse ni espaces)
+    { ...base, name: 'Chouffe', category: 'Bière', alcoholContent: 8 }, // déjà corrigée à la main
+    { ...base, name: 'Produit 123', quantity: 75 },
+    { ...base, name: 'Autre code', barcode: '999' },
+  ];
+  const entry = { barcode: '123', proposal: { name: 'Chouffe', category: 'Bière', alcoholContent: 8, source: 'openfoodfacts' } };
+  const changes = pendingLookupChanges(drinks, entry);
+  assert.deepEqual(changes.map((c) => [c.family.name, c.family.quantity, c.count, Object.keys(c.updates).join()]), [
+    ['Produit 123', 33, 2, 'name,category,alcoholContent'],
+    ['Produit 123', 75, 1, 'name,category,alcoholContent'],
+  ]);
+  assert.ok(sameFamily(drinks[1], changes[0].family), 'famille utilisable par updateFamily');
+  assert.deepEqual(pendingLookupChanges(drinks, { barcode: '123', proposal: null }), []);
+});
+
+test('errorText — erreurs codées de la couche DB traduites, message brut sinon', () => {
+  const coded = (code, message, params = {}) => Object.assign(new Error(message), { code, params });
+  const inUse = coded('unit.inUse', 'Unité utilisée par 2 boissons', { count: 2 });
+  const invalid = coded('import.invalid', 'Format de données invalide — …');
+  invalid.details = [
+    { table: 'drinks', row: 0, field: 'date', code: 'format', params: { format: 'date' } },
+    { table: 'drinks', row: 1, field: 'quantity', code: 'type', params: { type: 'number' } },
+    { table: 'categories', row: 1, field: 'id', code: 'duplicate', params: { value: 1 } },
+    { table: 'settings', row: null, field: null, code: 'tableType', params: {} },
+  ];
+  assert.equal(errorText(inUse), inUse.message, 'français : identique au message de js/database.js');
+  assert.equal(errorText(invalid), 'Format de données invalide — drinks[0].date : format AAAA-MM-JJ attendu ; '
+    + 'drinks[1].quantity : nombre attendu ; categories[1].id : doublon (1) (+1 autre)');
+  setLocale('en');
+  try {
+    assert.equal(errorText(inUse), 'Unit used by 2 drinks');
+    assert.equal(errorText(coded('crypto.wrongPassphrase', 'Phrase de passe incorrecte ou fichier altéré')),
+      'Wrong passphrase or tampered file');
+    assert.equal(errorText(invalid), 'Invalid data format — drinks[0].date: YYYY-MM-DD format expected; '
+      + 'drinks[1].quantity: number expected; categories[1].id: duplicate (1) (+1 more)');
+    assert.equal(errorText(new Error('Quota dépassé')), 'Quota dépassé', 'erreur non codée : message brut');
+    assert.equal(errorText(null, 'units.saveError'), 'Could not save');
+  } finally {
+    setLocale('fr');
+  }
+});
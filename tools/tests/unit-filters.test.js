@@ -0,0 +1,88 @@
+// Recherche structurée (proto/filters.jsx) : mini-langage de requête,
+// prédicat (plages, heure qui passe minuit, lieu, code-barres, note, pic de
+// session), totaux, libellés des critères.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installStubs, loadDist } = require('./helpers/stub-globals');
+
+installStubs();
+loadDist('i18n', 'shared', 'data', 'goals', 'audit', 'filters', 'stats');
+
+const {
+  parseDrinkQuery, compileDrinkFilter, filterDrinks, mergeDrinkFilters, normalizeDrinkFilter,
+  isDrinkFilterEmpty, drinkFilterTotals, describeDrinkFilter, parseSavedFilters, setLocale,
+} = global;
+
+const D = (id, over) => ({
+  id, name: 'Pils', category: 'Bière', quantity: 25, unit: 'cL', alcoholContent: 5,
+  date: '2025-05-10', time: '20:00', ...over,
+});
+const DRINKS = [
+  D(1),
+  D(2, { name: 'IPA', alcoholContent: 7, quantity: 50, price: 7.5, time: '23:30', location: { label: 'Le Comptoir' } }),
+  D(3, { name: 'Rouge', category: 'Vin', quantity: 12, alcoholContent: 13, date: '2025-05-11', time: '01:15', price: 4, barcode: '3017620422003' }),
+  D(4, { name: 'Whisky', category: 'Spiritueux ', quantity: 4, alcoholContent: 40, date: '2025-06-01', time: '18:00' }),
+];
+const ids = (filter, ctx) => filterDrinks(DRINKS, filter, ctx).map(d => d.id);
+
+test('parseDrinkQuery — clés, guillemets, plages, texte libre, erreurs', () => {
+  const { filter, errors } = parseDrinkQuery('cat:Bière degré:>6 heure:22:00..4:00 lieu:"Le Comptoir" prix:3..8 pic:>500 ipa note:x');
+  assert.deepEqual(filter, {
+    category: 'Bière', abvMin: 6, timeFrom: '22:00', timeTo: '04:00', place: 'Le Comptoir',
+    priceMin: 3, priceMax: 8, peakMin: 500, text: 'ipa',
+  });
+  assert.deepEqual(errors, ['note:x']);
+  assert.deepEqual(parseDrinkQuery('date:2025-05-31..2025-05-01 lieu:non code:oui vol:<=25,5').filter, {
+    dateFrom: '2025-05-01', dateTo: '2025-05-31', hasLocation: false, barcode: true, volMax: 25.5,
+  });
+  assert.deepEqual(parseDrinkQuery('prix:4,5..6 vieux').filter, { priceMin: 4.5, priceMax: 6, text: 'vieux' });
+  assert.equal(parseDrinkQuery('truc:1').filter.text, 'truc:1', 'clé inconnue = texte');
+});
+
+test('compileDrinkFilter — plages, heure qui passe minuit, catégorie canonique', () => {
+  assert.deepEqual(ids({ abvMin: 6, abvMax: 20 }), [2, 3]);
+  assert.deepEqual(ids({ volMin: 25 }), [1, 2]);
+  assert.deepEqual(ids({ timeFrom: '22:00', timeTo: '04:00' }), [2, 3]);
+  assert.deepEqual(ids({ timeFrom: '19:00', timeTo: '21:00' }), [1]);
+  assert.deepEqual(ids({ dateFrom: '2025-05-11', dateTo: '2025-05-31' }), [3]);
+  assert.deepEqual(ids({ category: 'Spiritueux' }), [4], 'espace final toléré');
+  assert.deepEqual(ids({ priceMax: 5 }), [3], 'sans prix = exclu');
+});
+
+test('compileDrinkFilter — lieu, code-barres, note, texte libre', () => {
+  assert.deepEqual(ids({ hasLocation: true }), [2]);
+  assert.deepEqual(ids({ hasLocation: false }), [1, 3, 4]);
+  assert.deepEqual(ids({ place: 'comptoir' }), [2]);
+  assert.deepEqual(ids({ barcode: true }), [3]);
+  assert.deepEqual(ids({ barcode: '30176' }), [3]);
+  assert.deepEqual(ids({ ratingMin: 4 }, { ratings: { ipa: 5, pils: 3 } }), [2]);
+  assert.deepEqual(ids({ text: 'comptoir' }), [2], 'lieu');
+  assert.deepEqual(ids({ text: 'spiritueux' }), [4], 'catégorie');
+  assert.deepEqual(ids({ text: 'pils comptoir' }), [], 'expression entière');
+});
+
+test('compileDrinkFilter — session au pic au-dessus du seuil, toute la session', () => {
+  // Pils seule ≈ 207 mg/L, whisky seul ≈ 265 mg/L ; la soirée IPA + vin
+  // (de 23:30 à 01:15) dépasse 300 : ses deux verres sortent.
+  const match = compileDrinkFilter({ peakMin: 300 }, { drinks: DRINKS });
+  assert.deepEqual(DRINKS.filter(match).map(d => d.id), [2, 3]);
+  assert.deepEqual(ids({ peakMin: 5000 }), []);
+});
+
+test('filtres — fusion, normalisation, totaux, libellés, filtres enregistrés', () => {
+  assert.ok(isDrinkFilterEmpty({ text: '  ', abvMin: null, place: '' }));
+  assert.deepEqual(normalizeDrinkFilter({ hasLocation: false, x: 1, text: ' a ' }), { text: 'a', hasLocation: false });
+  assert.deepEqual(mergeDrinkFilters({ text: 'a', abvMin: 4 }, { text: 'b', abvMin: 6 }, null), { text: 'a b', abvMin: 6 });
+  const t = drinkFilterTotals(DRINKS.slice(0, 3));
+  assert.deepEqual([t.count, t.spend, t.unpriced], [3, 11.5, 1]);
+  assert.ok(Math.abs(t.grams - (9.8625 + 27.615 + 12.3084)) < 0.01);
+  assert.deepEqual(describeDrinkFilter({ abvMin: 4, abvMax: 6, timeFrom: '22:00', barcode: true, peakMin: 500 }).map(p => p.label),
+    ['Après 22:00', 'Degré 4–6 %', 'Avec code-barres', 'Session > 500 mg/L']);
+  setLocale('en');
+  assert.deepEqual(describeDrinkFilter({ dateFrom: '2025-03-01', abvMin: 4.5, hasLocation: false }).map(p => p.label),
+    ['Since 1 Mar', 'ABV ≥ 4.5 %', 'Without a place']);
+  setLocale('fr');
+  assert.deepEqual(parseSavedFilters('[{"id":"a","name":"Bar","filter":{"hasLocation":true}},{"id":"b"}]').map(s => s.id), ['a']);
+  assert.deepEqual(parseSavedFilters('oops'), []);
+});
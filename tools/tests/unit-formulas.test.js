@@ -12,15 +12,16 @@ const assert = require('node:assert/strict');
 const { installStubs, loadDist } = require('./helpers/stub-globals');
 
 installStubs();
-loadDist('shared', 'data', 'stats');
+loadDist('i18n', 'shared', 'data', 'goals', 'audit', 'stats');
 
 const {
   // shared
   toCl, ethanolGrams, drinkAlcoholGrams, ETHANOL_DENSITY_G_PER_ML,
   localDate, localTime,
   // stats — moteur BAC
-  computeBACSessions, computeBacForecast, widmarkR,
-  BAC_ELIM_RATE, BAC_ABSORPTION_H, BAC_LEGAL_LIMIT, BAC_RECORD_MIN,
+  computeBACSessions, computeBacForecast, computeBacOverTime, widmarkR,
+  makeBacModel, bacModelFromSettings, BAC_FOOD_STATES,
+  BAC_ELIM_RATE, BAC_ABSORPTION_H, BAC_RECORD_MIN, BAC_PROFILES,
   DEFAULT_WEIGHT_KG, bacLevel, BAC_LEVELS,
   // stats — helpers de sections
   peakIndex, drinkNameKey, meanSessionBac, sessionGapStats,
@@ -36,13 +37,14 @@ const mk = (d, qty, unit, abv, extra = {}) => ({
   name: 'Test', quantity: qty, unit, alcoholContent: abv,
   date: localDate(d), time: localTime(d), ...extra,
 });
+const widmark = (weight, gender) => makeBacModel({ weight, gender });
 
 // ── Constantes physiologiques ──────────────────────────────────────
 
 test('gel — constantes du modèle (Widmark, éthanol, seuils)', () => {
   assert.equal(BAC_ELIM_RATE, 150, FROZEN);          // β = 0,15 g/L/h
   assert.equal(BAC_ABSORPTION_H, 0.5, FROZEN);       // absorption linéaire 30 min
-  assert.equal(BAC_LEGAL_LIMIT, 500, FROZEN);        // 0,5 g/L en mg/L
+  assert.equal(BAC_PROFILES.find((p) => p.id === 'fr').limit, 500, FROZEN); // 0,5 g/L en mg/L
   assert.equal(BAC_RECORD_MIN, 200, FROZEN);
   assert.equal(DEFAULT_WEIGHT_KG, 70, FROZEN);
   assert.equal(ETHANOL_DENSITY_G_PER_ML, 0.789, FROZEN);
@@ -73,7 +75,7 @@ test('gel — grammes d\'alcool pur (volCl ×10 ×°/100 ×0,789)', () => {
 
 test('gel — pic Widmark d\'un verre unique = g·1000/(poids·r) − élimination pendant l\'absorption', () => {
   const d = new Date(2026, 0, 10, 20, 0);
-  const sessions = computeBACSessions([mk(d, 50, 'cL', 5)], 70, 'male');
+  const sessions = computeBACSessions([mk(d, 50, 'cL', 5)], widmark(70, 'male'));
   assert.equal(sessions.length, 1);
   const theoreticalPeak = (19.725 * 1000) / (70 * 0.68);
   closeTo(sessions[0].peakBac, theoreticalPeak - BAC_ELIM_RATE * BAC_ABSORPTION_H);
@@ -91,7 +93,7 @@ test('gel — session 3 verres : grammes, pic, durée, taux moyen', () => {
     mk(new Date(2026, 0, 10, 21, 0), 10, 'cL', 24),
     mk(new Date(2026, 0, 10, 22, 30), 33, 'cL', 8.5),
   ];
-  const sessions = computeBACSessions(drinks, 60, 'female');
+  const sessions = computeBACSessions(drinks, widmark(60, 'female'));
   assert.equal(sessions.length, 1, `un seul épisode — ${FROZEN}`);
   const s = sessions[0];
   closeTo(s.grams, 60.79245, 1e-6);
@@ -116,10 +118,10 @@ test('gel — computeBacForecast : peak moyen, ETA, montée puis retour à 0', (
     mk(new Date(2026, 0, 10, 20, 0), 50, 'cL', 5),
     mk(new Date(2026, 0, 10, 20, 30), 50, 'cL', 5),
   ];
-  const all = computeBACSessions([...past, ...ongoing], 70, 'male');
+  const all = computeBACSessions([...past, ...ongoing], widmark(70, 'male'));
   assert.equal(all.length, 2);
   const nowMs = new Date(2026, 0, 10, 20, 40).getTime();
-  const fc = computeBacForecast(250, all, 70, 'male', nowMs, []);
+  const fc = computeBacForecast(250, all, widmark(70, 'male'), nowMs, []);
   closeTo(fc.meanPeakBac, 603.7815126050419, 1e-6);
   closeTo(fc.etaPeakHours, 0.2, 1e-9);
   assert.equal(fc.truncated, false);
@@ -131,6 +133,99 @@ test('gel — computeBacForecast : peak moyen, ETA, montée puis retour à 0', (
   assert.ok(last.bac < 1, `la courbe redescend à ~0 (${last.bac}) — ${FROZEN}`);
 });
 
+// ── Modèles BAC (Widmark / Watson / Forrest) et repas ──────────────
+// Profil de référence : homme 80 kg, 180 cm, 30 ans ; femme 60 kg, 165 cm.
+
+test('modèle par défaut = Widmark, 70 kg, homme', () => {
+  const drinks = [
+    mk(new Date(2026, 0, 10, 20, 0), 50, 'cL', 5),
+    mk(new Date(2026, 0, 10, 21, 0), 10, 'cL', 24),
+  ];
+  const byDefault = computeBACSessions(drinks);
+  const explicit = computeBACSessions(drinks, makeBacModel({ model: 'widmark', weight: 70, gender: 'male' }));
+  assert.equal(byDefault.length, explicit.length);
+  closeTo(byDefault[0].peakBac, explicit[0].peakBac);
+  assert.equal(byDefault[0].endTs, explicit[0].endTs);
+  // Modèle inconnu ou absent → Widmark ; réglages vides → profil par défaut.
+  assert.equal(makeBacModel({ model: 'nope', weight: 70 }).r, 0.68);
+  const def = bacModelFromSettings({});
+  assert.equal(def.id, 'widmark');
+  assert.equal(def.weight, DEFAULT_WEIGHT_KG);
+});
+
+test('modèles Watson et Forrest — r du profil de référence', () => {
+  const male = { weight: 80, gender: 'male', age: 30, height: 180 };
+  const female = { weight: 60, gender: 'female', age: 30, height: 165 };
+  closeTo(makeBacModel({ model: 'watson', ...male }).r,
+    (2.447 - 0.09516 * 30 + 0.1074 * 180 + 0.3362 * 80) / (0.8 * 80));
+  closeTo(makeBacModel({ model: 'watson', ...female }).r,
+    (-2.097 + 0.1069 * 165 + 0.2466 * 60) / (0.8 * 60));
+  closeTo(makeBacModel({ model: 'forrest', ...male }).r, 1.0178 - 0.012127 * (80 / 1.8 ** 2));
+  closeTo(makeBacModel({ model: 'forrest', ...female }).r, 0.8736 - 0.0124 * (60 / 1.65 ** 2));
+  // Le pic suit r : même verre, même poids → pic ∝ 1/r.
+  const d = mk(new Date(2026, 0, 10, 20, 0), 50, 'cL', 5);
+  const w = makeBacModel({ model: 'watson', ...male });
+  closeTo(w.pulse(d).peak, (19.725 * 1000) / (80 * w.r));
+  // Âge / taille absents → valeurs par défaut, jamais NaN.
+  assert.ok(Number.isFinite(makeBacModel({ model: 'watson', weight: 70 }).r));
+});
+
+test('modèles — r borné pour un profil aberrant (Widmark jamais borné)', () => {
+  // Taille saisie en mètres : IMC démesuré → r négatif sans garde-fou.
+  assert.equal(makeBacModel({ model: 'forrest', weight: 80, gender: 'male', height: 1.8 }).r, 0.4);
+  assert.equal(makeBacModel({ model: 'watson', weight: 30, gender: 'female', height: 250 }).r, 1);
+  assert.equal(makeBacModel({ model: 'widmark', weight: 80, gender: 'female' }).r, 0.55);
+});
+
+test('repas — pic plus bas et absorption plus longue, à jeun = historique', () => {
+  const model = makeBacModel({ weight: 70, gender: 'male' });
+  const at = new Date(2026, 0, 10, 20, 0);
+  const fasted = model.pulse(mk(at, 50, 'cL', 5));
+  const light = model.pulse(mk(at, 50, 'cL', 5, { food: 'light' }));
+  const full = model.pulse(mk(at, 50, 'cL', 5, { food: 'full' }));
+  assert.equal(fasted.absH, BAC_ABSORPTION_H);
+  assert.deepEqual(model.pulse(mk(at, 50, 'cL', 5, { food: 'fasted' })), fasted);
+  assert.ok(light.peak < fasted.peak && full.peak < light.peak);
+  assert.ok(light.absH > fasted.absH && full.absH > light.absH);
+  closeTo(full.peak, fasted.peak * BAC_FOOD_STATES.full.bioavailability);
+
+  const s0 = computeBACSessions([mk(at, 50, 'cL', 5)], model)[0];
+  const s1 = computeBACSessions([mk(at, 50, 'cL', 5, { food: 'full' })], model)[0];
+  assert.ok(s1.peakBac < s0.peakBac, 'pic de session plus bas après un repas');
+  assert.ok(s1.peakTs > s0.peakTs, 'pic atteint plus tard');
+  closeTo(s1.peakBac, full.peak - BAC_ELIM_RATE * full.absH);
+});
+
+test('contenant partagé — absorption étalée sur la durée de consommation', () => {
+  const model = makeBacModel({ weight: 70, gender: 'male' });
+  const at = new Date(2026, 0, 10, 20, 0);
+  // Ma part d'une bouteille (1/2 de 75 cL), bue d'un coup ou sur 1 h.
+  const once = mk(at, 37.5, 'cL', 12);
+  const spread = mk(at, 37.5, 'cL', 12, { shared: { total: 75, share: 0.5, windowMin: 60 } });
+  const p0 = model.pulse(once), p1 = model.pulse(spread);
+  assert.equal(p1.grams, p0.grams, 'même quantité d\'alcool');
+  assert.equal(p1.absH, BAC_ABSORPTION_H + 1);
+  assert.deepEqual(model.pulse(mk(at, 37.5, 'cL', 12, { shared: { total: 75, share: 0.5, windowMin: 0 } })), p0);
+
+  const s0 = computeBACSessions([once], model)[0];
+  const s1 = computeBACSessions([spread], model)[0];
+  assert.ok(s1.peakBac < s0.peakBac, 'pic plus bas');
+  assert.ok(s1.peakTs > s0.peakTs, 'pic atteint en fin de fenêtre');
+  closeTo(s1.peakBac, p1.peak - BAC_ELIM_RATE * p1.absH);
+});
+
+test('modèles — courbe temps réel et sessions d\'accord (même modèle)', () => {
+  const model = makeBacModel({ model: 'watson', weight: 80, gender: 'male', age: 30, height: 180 });
+  const at = new Date(Math.floor((Date.now() - 3600_000) / 60_000) * 60_000);
+  const drinks = [
+    mk(at, 50, 'cL', 5, { food: 'light' }),
+    mk(new Date(at.getTime() + 20 * 60_000), 4, 'cL', 40),
+  ];
+  const [session] = computeBACSessions(drinks, model);
+  const info = computeBacOverTime(drinks, model);
+  closeTo(Date.now() / 3600_000 + info.sobrietyT, session.endTs / 3600_000, 1e-3);
+});
+
 // ── Niveaux BAC (messages « never change ») ────────────────────────
 
 test('gel — bacLevel : bornes et messages verbatim', () => {
@@ -0,0 +1,135 @@
+// Objectifs (proto/goals.jsx) : périodes, évaluation par type (verres
+// standard, g par session, jours sans alcool, défi), historique des
+// périodes terminées (gel après le délai de grâce), séries, alertes.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installStubs, loadDist } = require('./helpers/stub-globals');
+
+installStubs();
+loadDist('i18n', 'shared', 'data', 'goals', 'audit', 'stats');
+
+const {
+  goalPeriod, evaluateGoal, completedGoalPeriods, nextGoalHistory, goalStreak,
+  goalAlerts, parseGoals, dryJanuaryRange, standardDrinks, GOAL_HISTORY_GRACE_DAYS, localDate,
+} = global;
+
+// Mercredi 14 mai 2025, 12:00 (semaine du lundi 12 mai).
+const NOW = new Date('2025-05-14T12:00').getTime();
+// 25 cL à 5 % = 9,86 g ; 4 cL à 40 % = 12,62 g.
+const beer = (date, time = '20:00') => ({ date, time, quantity: 25, unit: 'cL', alcoholContent: 5 });
+const shot = (date, time = '21:00') => ({ date, time, quantity: 4, unit: 'cL', alcoholContent: 40 });
+const CREATED = new Date('2025-04-01T09:00').getTime();
+
+test('goalPeriod — semaine du lundi, mois civil, plage du défi', () => {
+  const w = goalPeriod({ type: 'weeklyDrinks' }, NOW);
+  assert.equal(w.key, 'w:2025-05-12');
+  assert.equal(localDate(w.end), '2025-05-18');
+  assert.equal(goalPeriod({ type: 'soberDays' }, NOW).key, 'm:2025-05-01');
+  const c = goalPeriod({ type: 'dry', start: '2026-01-01', end: '2026-01-31' });
+  assert.equal(c.key, 'c:2026-01-01');
+  assert.equal(localDate(c.end), '2026-01-31');
+  assert.deepEqual(dryJanuaryRange(NOW), { start: '2026-01-01', end: '2026-01-31' });
+  assert.deepEqual(dryJanuaryRange(new Date('2026-01-10T12:00').getTime()), { start: '2026-01-01', end: '2026-01-31' });
+});
+
+test('evaluateGoal — verres standard par semaine : ok → proche → dépassé', () => {
+  const goal = { type: 'weeklyDrinks', limit: 5 };
+  const p = goalPeriod(goal, NOW);
+  const some = [beer('2025-05-12'), beer('2025-05-13'), beer('2025-05-11')]; // dimanche : semaine d'avant
+  let e = evaluateGoal(goal, some, p, { now: NOW });
+  assert.ok(Math.abs(e.value - standardDrinks(2 * 9.8625)) < 1e-9);
+  assert.equal(e.status, 'ok');
+  e = evaluateGoal(goal, [...some, shot('2025-05-14'), shot('2025-05-14', '21:30')], p, { now: NOW });
+  assert.equal(e.status, 'near', '4,5 verres std sur 5');
+  e = evaluateGoal(goal, [...some, shot('2025-05-14'), shot('2025-05-14'), shot('2025-05-14')], p, { now: NOW });
+  assert.equal(e.status, 'over');
+  assert.equal(e.done, false);
+  // Période terminée : tenu / raté.
+  const next = new Date('2025-05-19T08:00').getTime();
+  assert.equal(evaluateGoal(goal, some, p, { now: next }).status, 'met');
+});
+
+test('evaluateGoal — g par session : max des sessions commencées dans la semaine', () => {
+  const goal = { type: 'sessionGrams', limit: 30 };
+  const p = goalPeriod(goal, NOW);
+  // Session du dimanche 11 à cheval sur minuit : hors de la semaine.
+  const drinks = [shot('2025-05-11', '23:30'), shot('2025-05-12', '00:10'), shot('2025-05-12', '00:40'),
+    beer('2025-05-13', '19:00'), beer('2025-05-13', '20:00')];
+  const e = evaluateGoal(goal, drinks, p, { now: NOW });
+  assert.ok(Math.abs(e.value - 2 * 9.8625) < 1e-6, `seule la session du mardi compte (${e.value})`);
+  assert.equal(e.status, 'ok');
+  const heavy = [...drinks, shot('2025-05-14', '10:00'), shot('2025-05-14', '10:20'), shot('2025-05-14', '10:40')];
+  assert.equal(evaluateGoal(goal, heavy, p, { now: NOW }).status, 'over');
+});
+
+test('evaluateGoal — jours sans alcool : aujourd’hui compte, marge sur les jours restants', () => {
+  const goal = { type: 'soberDays', limit: 20 };
+  const p = goalPeriod(goal, NOW); // mai : 14 jours écoulés, 17 à venir
+  const drinks = ['01', '03', '05', '08', '10'].map(d => beer(`2025-05-${d}`));
+  let e = evaluateGoal(goal, drinks, p, { now: NOW });
+  assert.equal(e.value, 9);
+  assert.equal(e.status, 'ok', '9 + 17 restants ≥ 20 + 2');
+  const more = [...drinks, beer('2025-05-11'), beer('2025-05-12'), beer('2025-05-13'), beer('2025-05-14')];
+  e = evaluateGoal(goal, more, p, { now: NOW });
+  assert.equal(e.value, 5);
+  assert.equal(e.status, 'near', 'marge de 2 jours');
+  e = evaluateGoal(goal, [...more, beer('2025-05-02'), beer('2025-05-04'), beer('2025-05-06')], p, { now: NOW });
+  assert.equal(e.status, 'over', 'plus atteignable');
+});
+
+test('evaluateGoal — défi sans alcool : un seul verre le rate', () => {
+  const goal = { type: 'dry', start: '2025-05-01', end: '2025-05-31', limit: 0 };
+  const p = goalPeriod(goal);
+  assert.equal(evaluateGoal(goal, [beer('2025-04-30')], p, { now: NOW }).status, 'ok');
+  assert.equal(evaluateGoal(goal, [beer('2025-05-02')], p, { now: NOW }).status, 'over');
+  assert.equal(evaluateGoal(goal, [], p, { now: new Date('2025-06-01T10:00').getTime() }).status, 'met');
+});
+
+test('completedGoalPeriods — depuis la première période COMPLÈTE après la création', () => {
+  const goal = { id: 'g', type: 'weeklyDrinks', limit: 5, createdAt: CREATED }; // mardi 1er avril
+  const keys = completedGoalPeriods(goal, NOW).map(p => p.key);
+  assert.deepEqual(keys, ['w:2025-04-07', 'w:2025-04-14', 'w:2025-04-21', 'w:2025-04-28', 'w:2025-05-05']);
+  const monthly = completedGoalPeriods({ ...goal, type: 'soberDays' }, NOW).map(p => p.key);
+  assert.deepEqual(monthly, ['m:2025-04-01'], 'créé le 1er : avril compte');
+  assert.deepEqual(completedGoalPeriods({ type: 'dry', start: '2025-05-01', end: '2025-05-31' }, NOW), []);
+});
+
+test('nextGoalHistory — calcule, fige après le délai de grâce, oublie les objectifs supprimés', () => {
+  const goal = { id: 'g', type: 'weeklyDrinks', limit: 2, createdAt: CREATED };
+  const drinks = [beer('2025-04-08'), beer('2025-04-09'), beer('2025-04-10'), beer('2025-05-06')];
+  const h = nextGoalHistory([goal], { ghost: { 'w:2025-01-06': { met: true } } }, drinks, { now: NOW });
+  assert.deepEqual(Object.keys(h), ['g']);
+  assert.equal(h.g['w:2025-04-07'].met, false);
+  assert.equal(h.g['w:2025-04-07'].value, 3);
+  assert.equal(h.g['w:2025-05-05'].met, true);
+
+  // Verre ajouté après coup : la semaine dernière (dans le délai) est
+  // recalculée, celle d'avril (hors délai) reste figée.
+  const late = [...drinks, beer('2025-04-09'), beer('2025-05-07'), beer('2025-05-08')];
+  const h2 = nextGoalHistory([goal], h, late, { now: NOW });
+  assert.equal(h2.g['w:2025-04-07'].value, 3, 'figée');
+  assert.equal(h2.g['w:2025-05-05'].met, false, 'recalculée');
+  assert.ok(GOAL_HISTORY_GRACE_DAYS >= 7);
+});
+
+test('goalStreak — série en cours et record', () => {
+  const r = (...mets) => Object.fromEntries(mets.map((met, i) => [`w:2025-0${1 + Math.floor(i / 4)}-${String(1 + (i % 4) * 7).padStart(2, '0')}`, { met }]));
+  assert.deepEqual(goalStreak({}), { current: 0, best: 0, met: 0, total: 0 });
+  assert.deepEqual(goalStreak(r(true, true, true, false, true, true)), { current: 2, best: 3, met: 5, total: 6 });
+  assert.equal(goalStreak(r(true, false)).current, 0);
+});
+
+test('goalAlerts — seulement proche / dépassé, ratés d’abord ; défi à venir ignoré', () => {
+  const goals = parseGoals(JSON.stringify([
+    { id: 'a', type: 'weeklyDrinks', limit: 20 },
+    { id: 'b', type: 'weeklyDrinks', limit: 2.2 },
+    { id: 'c', type: 'sessionGrams', limit: 9 },
+    { id: 'd', type: 'dry', start: '2025-06-01', end: '2025-06-30' },
+    { id: 'e', type: 'inconnu', limit: 1 },
+  ]));
+  assert.equal(goals.length, 4, 'type inconnu écarté');
+  const drinks = [beer('2025-05-12'), beer('2025-05-14', '10:00'), beer('2025-06-02')];
+  const alerts = goalAlerts(goals, drinks, { now: NOW });
+  assert.deepEqual(alerts.map(a => [a.goal.id, a.status]), [['c', 'over'], ['b', 'near']]);
+});
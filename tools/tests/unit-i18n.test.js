@@ -0,0 +1,130 @@
+// Couche i18n (proto/i18n.jsx) : repli sur le français, pluriels,
+// paramètres, formats localisés ; sorties françaises inchangées à l'octet
+// près ; messages BAC_LEVELS jamais traduits sans opt-in.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installStubs, loadDist } = require('./helpers/stub-globals');
+
+installStubs();
+// localStorage en mémoire : l'opt-in de traduction BAC y vit.
+const store = new Map();
+global.localStorage = {
+  getItem: (k) => (store.has(k) ? store.get(k) : null),
+  setItem: (k, v) => store.set(k, String(v)),
+  removeItem: (k) => store.delete(k),
+};
+loadDist('i18n', 'shared', 'data', 'goals', 'audit', 'stats', 'units', 'catalog');
+
+const {
+  t, setLocale, getLocale, fmtNumber, fmtPrice, fmtDateMedium, fmtDayHeader, fmtDateLong,
+  periodLabel, stdDrinkUnitLabel, bacUnitSpoken, bacLevel, bacLevelText, setBacTranslation, MESSAGES, goalTitle, fmtGoalValue,
+  AUDIT_QUESTIONS, normalizeUnit, normalizeProduct, parseProductFile,
+} = global;
+
+test.afterEach(() => { setLocale('fr'); setBacTranslation(false); });
+
+test('t — paramètres, repli FR puis clé brute', () => {
+  assert.equal(getLocale(), 'fr');
+  assert.equal(t('toast.drinkAdded', { name: 'Pils' }), '« Pils » ajoutée');
+  setLocale('en');
+  assert.equal(t('toast.drinkAdded', { name: 'Pils' }), '“Pils” added');
+  MESSAGES.fr['test.onlyFr'] = 'seulement FR';
+  assert.equal(t('test.onlyFr'), 'seulement FR', 'clé absente en EN → français');
+  delete MESSAGES.fr['test.onlyFr'];
+  assert.equal(t('test.nowhere'), 'test.nowhere');
+  setLocale('xx');
+  assert.equal(getLocale(), 'fr', 'langue inconnue → français');
+});
+
+test('t — pluriels par Intl.PluralRules (0 est singulier en français)', () => {
+  MESSAGES.fr['test.n'] = { one: '{count} boisson', other: '{count} boissons' };
+  assert.equal(t('test.n', { count: 0 }), '0 boisson');
+  assert.equal(t('test.n', { count: 1 }), '1 boisson');
+  assert.equal(t('test.n', { count: 2 }), '2 boissons');
+  delete MESSAGES.fr['test.n'];
+  setLocale('en');
+  assert.equal(t('rel.days', { count: 1 }), '1 day ago');
+  assert.equal(t('rel.days', { count: 0 }), '0 days ago');
+  assert.equal(t('passphrase.tooShort', { count: 8 }), 'At least 8 characters');
+});
+
+test('formats FR inchangés, formats EN localisés', () => {
+  const d = new Date(2026, 2, 9); // lundi 9 mars 2026
+  assert.equal(fmtPrice(4.5), '4,5 €');
+  assert.equal(fmtNumber(1234.567), '1234,57', 'sans séparateur de milliers');
+  assert.equal(fmtDateMedium('2026-03-09'), '9 mars');
+  assert.equal(fmtDayHeader(d), 'lun. 9 mars.');
+  assert.equal(fmtDateLong(d), 'Lundi 9 mars');
+  assert.equal(periodLabel('month', d), 'Mars 2026');
+  assert.equal(periodLabel('all', d), 'Depuis le début');
+
+  setLocale('en');
+  assert.equal(fmtPrice(4.5), '€4.5');
+  assert.equal(fmtDateMedium('2026-03-09'), '9 Mar');
+  assert.equal(fmtDayHeader(d), 'Mon 9 Mar');
+  assert.equal(fmtDateLong(d), 'Monday 9 March');
+  assert.equal(periodLabel('month', d), 'March 2026');
+  assert.equal(periodLabel('all', d), 'All time');
+  assert.equal(stdDrinkUnitLabel(1.5), 'std drinks', '1,5 est singulier en français seulement');
+  assert.equal(stdDrinkUnitLabel(1, { long: true }), 'standard drink');
+  assert.equal(bacUnitSpoken('gL'), 'grams per litre');
+});
+
+test('BAC_LEVELS — texte français servi tel quel, traduction seulement sur opt-in', () => {
+  const level = bacLevel(700);
+  assert.equal(bacLevelText(level), level.text);
+  setLocale('en');
+  assert.equal(bacLevelText(level), level.text, 'anglais sans opt-in → message d’origine');
+  setBacTranslation(true);
+  assert.equal(bacLevelText(level), 'Are we swimming in the BDC lake?');
+  setLocale('fr');
+  assert.equal(bacLevelText(level), level.text, 'opt-in sans effet en français');
+  assert.ok(!Object.keys(MESSAGES.fr).some((k) => k.startsWith('bac.level.')),
+    'aucune copie française des messages hors BAC_LEVELS');
+});
+
+test('catalogues — chaque clé française existe en anglais', () => {
+  assert.deepEqual(Object.keys(MESSAGES.fr).filter((k) => !(k in MESSAGES.en)), []);
+});
+
+test('objectifs — libellés français inchangés, anglais accordés', () => {
+  const weekly = { type: 'weeklyDrinks', limit: 10 };
+  const sober = { type: 'soberDays', limit: 1 };
+  assert.equal(goalTitle(weekly), 'Au plus 10 verres standard par semaine');
+  assert.equal(goalTitle(sober), 'Au moins 1 jour sans alcool par mois');
+  assert.equal(fmtGoalValue(weekly, 8.4), '8,4 / 10 verres std');
+  assert.equal(fmtGoalValue({ type: 'dry', limit: 0 }, 1), '1 verre');
+  setLocale('en');
+  assert.equal(goalTitle(weekly), 'At most 10 standard drinks per week');
+  assert.equal(goalTitle(sober), 'At least 1 alcohol-free day per month');
+  assert.equal(fmtGoalValue(weekly, 8.4), '8.4 / 10 std drinks');
+  assert.equal(fmtGoalValue({ type: 'dry', limit: 0 }, 0), '0 drinks');
+});
+
+test('AUDIT — énoncé et réponses dans les deux langues, alignés sur le barème', () => {
+  for (const lang of ['fr', 'en']) {
+    setLocale(lang);
+    for (const q of AUDIT_QUESTIONS) {
+      assert.notEqual(t(`audit.q.${q.id}`), `audit.q.${q.id}`);
+      assert.equal(t(q.options).length, q.points.length, `${lang} ${q.id}`);
+    }
+  }
+});
+
+test('unités — erreurs de saisie traduites', () => {
+  assert.throws(() => normalizeUnit({ name: ' ', cl: 50 }), /^Error: Donnez un nom à l'unité$/);
+  setLocale('en');
+  assert.throws(() => normalizeUnit({ name: ' ', cl: 50 }), /^Error: Give the unit a name$/);
+  assert.throws(() => normalizeUnit({ name: 'x'.repeat(30), cl: 50 }), /\(24 characters at most\)/);
+  assert.throws(() => normalizeUnit({ name: 'Demi', cl: '0' }), /Invalid cL equivalent/);
+});
+
+test('catalogue — fiche et fichier de produits : erreurs traduites', () => {
+  assert.throws(() => normalizeProduct({ name: 'Pils', alcoholContent: '120' }), /^Error: Degré invalide \(0–100 %\)$/);
+  setLocale('en');
+  assert.throws(() => normalizeProduct({ name: '' }), /^Error: Give the product a name$/);
+  assert.throws(() => normalizeProduct({ name: 'Pils', quantity: '-1' }), /^Error: Invalid serving$/);
+  assert.throws(() => parseProductFile('{'), /^Error: Unreadable JSON file$/);
+  assert.equal(t('catalog.barcodes', { count: 1 }), '1 barcode');
+});
@@ -8,7 +8,7 @@ const assert = require('node:assert/strict');
 const { installStubs, loadDist } = require('./helpers/stub-globals');
 
 installStubs();
-const W = loadDist('shared');
+const W = loadDist('i18n', 'shared');
 
 const {
   MOTION, springStep, springAtRest, projectMomentum, rubberband, clampRubber,
@@ -0,0 +1,142 @@
+// js/scanner/product-lookup.js : chaîne de fournisseurs (ordre, délais,
+// fusion champ par champ), fichier de produits JSON, heuristiques OFF.
+// Aucun appel réseau : les fournisseurs sont des fixtures.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { installStubs, ROOT } = require('./helpers/stub-globals');
+
+installStubs();
+require(path.join(ROOT, 'js', 'scanner', 'product-lookup.js'));
+const { ProductLookup } = global;
+const fixture = ProductLookup.fixtureProvider;
+
+test('ordre par défaut : catalogues locaux, puis Open Food Facts, puis UPCitemdb', () => {
+  assert.deepEqual(global.productLookup.getProviders().map((p) => p.id),
+    ['local', 'group', 'openfoodfacts', 'upcitemdb']);
+});
+
+test('fusion : marque et degré d\'une source, nom d\'une autre, défauts de catégorie appliqués après', async () => {
+  const a = fixture({ 123: { brand: 'Abbaye', category: 'Bière', alcoholContent: 8.5 } }, { id: 'a' });
+  const b = fixture({ 123: { name: 'Triple', alcoholContent: 1, image: 'b.png' } }, { id: 'b' });
+  const c = fixture({ 123: { name: 'Autre nom' } }, { id: 'c' });
+  const lookup = new ProductLookup([a, b, c]);
+  const p = await lookup.lookup('123');
+  assert.deepEqual([p.name, p.brand, p.alcoholContent, p.image, p.source], ['Triple', 'Abbaye', 8.5, 'b.png', 'a']);
+  assert.deepEqual(p.sources, { name: 'b', brand: 'a', category: 'a', alcoholContent: 'a', image: 'b' });
+  assert.deepEqual([p.servingQuantity, p.servingUnit], [1, 'EcoCup'], 'portion par défaut de la catégorie fusionnée');
+  assert.deepEqual(c.calls, [], 'nom, catégorie et degré réunis : la chaîne s\'arrête');
+});
+
+test('nom d\'un fournisseur, degré d\'un suivant : la chaîne continue tant qu\'un champ clé manque', async () => {
+  const named = fixture({ 9: { name: 'Rouge', category: 'Vin' } }, { id: 'a' });
+  const abv = fixture({ 9: { name: 'Autre nom', alcoholContent: 12 } }, { id: 'b' });
+  const last = fixture({ 9: { image: 'c.png' } }, { id: 'c' });
+  const p = await new ProductLookup([named, abv, last]).lookup('9');
+  assert.deepEqual([p.name, p.category, p.alcoholContent, p.source], ['Rouge', 'Vin', 12, 'a']);
+  assert.deepEqual(p.sources, { name: 'a', category: 'a', alcoholContent: 'b' });
+  assert.deepEqual(last.calls, [], 'champs clés réunis : la chaîne s\'arrête');
+
+  // L'attente reste bornée par le délai du fournisseur suivant.
+  const slow = fixture({ 9: { alcoholContent: 12 } }, { id: 'slow', delayMs: 200, timeoutMs: 30 });
+  const started = Date.now();
+  const partial = await new ProductLookup([fixture({ 9: { name: 'Rouge' } }, { id: 'named' }), slow]).lookup('9');
+  assert.ok(Date.now() - started < 150, 'délai du fournisseur lent respecté');
+  assert.deepEqual([partial.name, partial.category, partial.alcoholContent], ['Rouge', 'Autre', null]);
+  assert.deepEqual(partial.sources, { name: 'named' });
+  assert.deepEqual(slow.calls, ['9']);
+});
+
+test('portion par défaut : unité du registre marquée pour la catégorie, sinon portions fixes (bière = 1 EcoCup)', () => {
+  const lookup = new ProductLookup([]);
+  const serving = (cat, units) => Object.values(lookup._computeServingDefaults(cat, units));
+  const units = [{ name: 'Pinte UK', defaultFor: 'Bière' }, { name: 'Ballon', defaultFor: 'Vin', hidden: true }];
+  assert.deepEqual(serving('Bière', units), [1, 'Pinte UK']);
+  assert.deepEqual(serving('Bière', []), [1, 'EcoCup'], 'aucune unité marquée → EcoCup historique');
+  assert.deepEqual(serving('Vin', units), [15, 'cL'], 'unité masquée ignorée');
+});
+
+test('fournisseur faisant foi : la chaîne s\'arrête, même sur une fiche partielle', async () => {
+  const local = fixture({ 1: { name: 'Ma bière' } }, { id: 'local', authoritative: true });
+  const net = fixture({ 1: { name: 'OFF', category: 'Bière', alcoholContent: 5 } }, { id: 'net' });
+  const p = await new ProductLookup([local, net]).lookup('1');
+  assert.deepEqual([p.name, p.source], ['Ma bière', 'local']);
+  assert.deepEqual(net.calls, []);
+});
+
+test('délai dépassé ou erreur : fournisseur ignoré, les suivants répondent', async () => {
+  const slow = fixture({ 5: { name: 'Trop tard' } }, { id: 'slow', delayMs: 200, timeoutMs: 20 });
+  const broken = fixture({ 5: new Error('HTTP 500') }, { id: 'broken' });
+  const ok = fixture({ 5: { name: 'Cidre', category: 'Autre', alcoholContent: 4.5 } }, { id: 'ok' });
+  const p = await new ProductLookup([slow, broken, ok]).lookup('5');
+  assert.deepEqual([p.name, p.source, p.sources.name], ['Cidre', 'ok', 'ok']);
+
+  const none = await new ProductLookup([slow, broken]).lookup('5');
+  assert.deepEqual([none.name, none.source, none.category], ['Produit 5', 'unknown', 'Autre']);
+});
+
+test('registre : remplacement en place, insertion avant / après, ordre imposé', () => {
+  const lookup = new ProductLookup([fixture({}, { id: 'a' }), fixture({}, { id: 'b' }), fixture({}, { id: 'c' })]);
+  const ids = () => lookup.getProviders().map((p) => p.id);
+  lookup.register(fixture({}, { id: 'x' }), { after: 'a' });
+  assert.deepEqual(ids(), ['a', 'x', 'b', 'c']);
+  lookup.register(fixture({}, { id: 'x', label: 'X2' }));
+  assert.deepEqual(ids(), ['a', 'x', 'b', 'c'], 'même id : remplacé à sa place');
+  lookup.register(fixture({}, { id: 'x' }), { before: 'a' });
+  assert.deepEqual(ids(), ['x', 'a', 'b', 'c']);
+  lookup.setOrder(['c', 'a']);
+  assert.deepEqual(ids(), ['c', 'a', 'x', 'b'], 'non listés : à la suite, ordre conservé');
+  assert.equal(lookup.unregister('x'), true);
+  assert.equal(lookup.unregister('x'), false);
+  assert.throws(() => lookup.register({ id: 'sans-lookup' }), /lookup/);
+});
+
+test('fichier de produits JSON : tableau ou objet indexé, vocabulaire des boissons', async () => {
+  const arr = ProductLookup.jsonFileProvider([
+    { barcode: 111, name: 'Kriek', category: 'Bière', abv: '4.0', quantity: 37.5, unit: 'cL' },
+    { name: 'sans code' },
+  ]);
+  assert.equal(arr.size, 1);
+  const byCode = ProductLookup.jsonFileProvider({ 222: { name: 'Pastis', category: 'Spiritueux', alcoholContent: 45 } }, { id: 'file2' });
+  const lookup = new ProductLookup([arr, byCode]);
+  const kriek = await lookup.lookup('111');
+  assert.deepEqual([kriek.name, kriek.alcoholContent, kriek.servingQuantity, kriek.servingUnit, kriek.source],
+    ['Kriek', 4, 37.5, 'cL', 'file']);
+  const pastis = await lookup.lookup('222');
+  assert.deepEqual([pastis.name, pastis.alcoholContent, pastis.servingQuantity], ['Pastis', 45, 4]);
+});
+
+test('Open Food Facts : fiche mappée, degré absent → demandé à UPCitemdb', async () => {
+  const realFetch = global.fetch;
+  const urls = [];
+  global.fetch = async (url) => (urls.push(String(url)), {
+    ok: true,
+    json: async () => (String(url).includes('openfoodfacts')
+      ? { status: 1, product: { product_name: 'Leffe Blonde 33cl', brands: 'Leffe', categories: 'Beers' } }
+      : { items: [{ title: 'Leffe Blonde 6.6% beer', brand: 'Leffe' }] }),
+  });
+  try {
+    const { openFoodFactsProvider, upcItemDbProvider } = ProductLookup.providers;
+    const p = await new ProductLookup([openFoodFactsProvider, upcItemDbProvider]).lookup('5410228141969');
+    assert.deepEqual([p.name, p.category, p.alcoholContent, p.sources.alcoholContent], ['Blonde', 'Bière', 6.6, 'upcitemdb']);
+    assert.deepEqual(urls.map((u) => u.includes('openfoodfacts')), [true, false], 'UPCitemdb complète le degré');
+  } finally {
+    global.fetch = realFetch;
+  }
+  assert.equal(ProductLookup.heuristics.cleanProductName('Chimay Bleue 75 cl 9% vol', 'Chimay'), 'Bleue');
+});
+
+test('hors ligne : fournisseur réseau injoignable → fallback marqué `offline`, `exclude` saute un fournisseur', async () => {
+  const local = fixture({ 77: { name: 'Produit 77' } }, { id: 'local', authoritative: true });
+  const net = fixture({ 77: 'offline', 78: 'offline' }, { id: 'net', network: true });
+  const lookup = new ProductLookup([local, net]);
+  assert.equal((await lookup.lookup('77')).name, 'Produit 77', 'le catalogue local répond sans réseau');
+  const queued = await lookup.lookup('77', { exclude: ['local'] });
+  assert.deepEqual([queued.source, queued.offline], ['unknown', true]);
+  assert.deepEqual(local.calls, ['77']);
+
+  const offlineLocal = fixture({ 78: new Error('disque') }, { id: 'files' });
+  const notFound = await new ProductLookup([offlineLocal, fixture({}, { id: 'net2', network: true })]).lookup('78');
+  assert.equal(notFound.offline, undefined, 'introuvable en ligne : pas de mise en attente');
+});
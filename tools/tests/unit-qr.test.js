@@ -0,0 +1,121 @@
+// Encodeur QR (proto/qr.jsx) : information de format (table de la norme),
+// correction Reed-Solomon (syndromes nuls), motifs fixes, et relecture
+// complète d'un code (démasquage, zigzag, désentrelacement, mode octet).
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installStubs, loadDist } = require('./helpers/stub-globals');
+
+installStubs();
+loadDist('i18n', 'shared', 'qr');
+
+const { qrEncode, qrErrorCorrection, qrFormatBits } = global;
+
+function gfMul(x, y) {
+  let z = 0;
+  for (let i = 0; i < 8; i++) {
+    if ((y >>> i) & 1) z ^= x;
+    x = (x << 1) ^ ((x >>> 7) * 0x11D);
+  }
+  return z;
+}
+
+test('information de format — niveau M, les 8 masques de la norme', () => {
+  assert.deepEqual([0, 1, 2, 3, 4, 5, 6, 7].map((m) => qrFormatBits(m).toString(2)), [
+    '101010000010010', '101000100100101', '101111001111100', '101101101001011',
+    '100010111111001', '100000011001110', '100111110010111', '100101010100000',
+  ]);
+});
+
+test('Reed-Solomon — le mot de code s’annule aux racines α^0 … α^(n-1)', () => {
+  const data = [0x40, 0x12, 0x41, 0x4C, 0x43, 0x4F, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11];
+  const ec = qrErrorCorrection(data, 10);
+  assert.equal(ec.length, 10);
+  const word = data.concat(ec);
+  let root = 1;
+  for (let i = 0; i < 10; i++) {
+    const value = word.reduce((acc, c) => gfMul(acc, root) ^ c, 0);
+    assert.equal(value, 0, `syndrome ${i}`);
+    root = gfMul(root, 2);
+  }
+});
+
+// Relecture indépendante de l'encodeur : format lu dans la première copie,
+// modules de fonction recalculés, zigzag, désentrelacement (syndromes de
+// chaque bloc), mode octet.
+const BLOCKS = { 1: [1, 16, 10], 2: [1, 28, 16], 3: [1, 44, 26], 4: [2, 32, 18], 5: [2, 43, 24], 6: [4, 27, 16] };
+const ALIGN = { 2: 18, 3: 22, 4: 26, 5: 30, 6: 34 };
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0, (x, y) => y % 2 === 0, (x, y) => x % 3 === 0, (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0, (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0, (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+function readQr({ modules }) {
+  const size = modules.length;
+  const version = (size - 17) / 4;
+  let format = 0;
+  const coords = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+  coords.forEach(([x, y], i) => { if (modules[y][x]) format |= 1 << i; });
+  const mask = (format ^ 0x5412) >>> 10;
+  assert.equal((format ^ 0x5412) >>> 13, 0, 'niveau M');
+
+  const isFn = (x, y) => {
+    if (x === 6 || y === 6) return true;
+    if ((x < 9 && y < 9) || (x >= size - 8 && y < 9) || (x < 9 && y >= size - 8)) return true;
+    const a = ALIGN[version];
+    return !!a && Math.abs(x - a) <= 2 && Math.abs(y - a) <= 2;
+  };
+  const bits = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+        if (!isFn(x, y)) bits.push(modules[y][x] !== MASKS[mask](x, y) ? 1 : 0);
+      }
+    }
+  }
+  const [nBlocks, perBlock, ecLen] = BLOCKS[version];
+  const codewords = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0));
+  const data = [];
+  for (let b = 0; b < nBlocks; b++) {
+    const block = [];
+    for (let i = 0; i < perBlock; i++) block.push(codewords[i * nBlocks + b]);
+    for (let i = 0; i < ecLen; i++) block.push(codewords[nBlocks * perBlock + i * nBlocks + b]);
+    let root = 1;
+    for (let i = 0; i < ecLen; i++) {
+      assert.equal(block.reduce((acc, c) => gfMul(acc, root) ^ c, 0), 0, `bloc ${b}, syndrome ${i}`);
+      root = gfMul(root, 2);
+    }
+    data.push(...block.slice(0, perBlock));
+  }
+
+  const stream = data.flatMap((c) => [7, 6, 5, 4, 3, 2, 1, 0].map((s) => (c >>> s) & 1));
+  const take = (n) => stream.splice(0, n).reduce((a, b) => (a << 1) | b, 0);
+  assert.equal(take(4), 0b0100, 'mode octet');
+  const len = take(8);
+  const bytes = [];
+  for (let i = 0; i < len; i++) bytes.push(take(8));
+  return { mask, text: Buffer.from(bytes).toString('utf8') };
+}
+
+test('qrEncode — plus petite version, motifs fixes, relecture du texte', () => {
+  const invite = qrEncode('ALCONOTE:ABCD-EF23');
+  assert.deepEqual([invite.version, invite.size], [2, 25]);
+  const m = invite.modules;
+  assert.deepEqual(m[0].slice(0, 8).map(Number), [1, 1, 1, 1, 1, 1, 1, 0], 'repère haut gauche + séparateur');
+  assert.deepEqual(m[6].slice(8, 17).map(Number), [1, 0, 1, 0, 1, 0, 1, 0, 1], 'ligne de synchronisation');
+  assert.equal(m[invite.size - 8][8], true, 'module sombre');
+  const read = readQr(invite);
+  assert.deepEqual(read, { mask: invite.mask, text: 'ALCONOTE:ABCD-EF23' });
+
+  // Deux blocs entrelacés (version 4) et UTF-8.
+  const long = 'https://alconote.app/?join=ABCD-EF23&nom=Zoé&groupe=soirée';
+  const v4 = qrEncode(long);
+  assert.equal(v4.version, 4);
+  assert.equal(readQr(v4).text, long);
+  assert.throws(() => qrEncode('x'.repeat(200)), /trop long/);
+});
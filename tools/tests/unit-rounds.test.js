@@ -0,0 +1,50 @@
+// Tournées (proto/rounds.jsx) : validation, payloads d'ajout (un par verre,
+// part « pour moi seulement » sur quantité et prix, prix de référence),
+// libellés.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installStubs, loadDist } = require('./helpers/stub-globals');
+
+installStubs();
+loadDist('i18n', 'shared', 'data', 'rounds');
+
+const { normalizeRound, roundDrinkPayloads, roundSummary, fmtRoundShare, roundItemFromFamily, setLocale } = global;
+
+const PINTE = { name: 'Pinte', category: 'Bière', quantity: 50, unit: 'cL', alcoholContent: 5, count: 2, share: 1, price: null };
+const PICHET = { name: 'Pichet', category: 'Bière', quantity: 1.5, unit: 'L', alcoholContent: 5, count: 1, share: 1 / 3, price: 18 };
+
+test('normalizeRound — nom, nombre de verres, part, prix', () => {
+  assert.deepEqual(normalizeRound({ name: ' Vendredi ', items: [{ ...PINTE, count: '2', price: '' }] }),
+    { name: 'Vendredi', items: [PINTE] });
+  assert.throws(() => normalizeRound({ name: ' ', items: [PINTE] }), /nom/);
+  assert.throws(() => normalizeRound({ name: 'X', items: [] }), /au moins une boisson/);
+  assert.throws(() => normalizeRound({ name: 'X', items: [{ ...PINTE, count: 0 }] }), /Nombre de verres/);
+  assert.throws(() => normalizeRound({ name: 'X', items: [{ ...PINTE, count: 1.5 }] }), /Nombre de verres/);
+  assert.throws(() => normalizeRound({ name: 'X', items: [{ ...PINTE, share: 0 }] }), /Part/);
+  assert.throws(() => normalizeRound({ name: 'X', items: [{ ...PINTE, price: NaN }] }), /Prix/);
+});
+
+test('roundDrinkPayloads — un payload par verre, même date / heure, part appliquée', () => {
+  const fams = [{ name: 'Pinte', quantity: 50, unit: 'cL', alcohol: 5, referencePrice: 7 }];
+  const out = roundDrinkPayloads({ name: 'R', items: [PINTE, PICHET] }, { families: fams, date: '2025-05-10', time: '21:15' });
+  assert.equal(out.length, 3);
+  assert.ok(out.every((p) => p.date === '2025-05-10' && p.time === '21:15'));
+  assert.deepEqual(out.slice(0, 2).map((p) => [p.quantity, p.price, p.priceIsCustom]), [[50, 7, false], [50, 7, false]],
+    'prix de référence, non personnalisé');
+  assert.deepEqual([out[2].name, out[2].quantity, out[2].unit, out[2].price, out[2].priceIsCustom], ['Pichet', 0.5, 'L', 6, true],
+    '1/3 du pichet : quantité et prix');
+  const noRef = roundDrinkPayloads({ items: [{ ...PINTE, count: 1, share: 0.5 }] }, {});
+  assert.deepEqual([noRef[0].quantity, noRef[0].price, noRef[0].priceIsCustom], [25, null, false], 'sans prix connu');
+});
+
+test('libellés — part, résumé, ligne depuis une famille', () => {
+  assert.deepEqual([1, 1 / 2, 1 / 3, 1 / 4, 0.4].map(fmtRoundShare), ['Tout', '1/2', '1/3', '1/4', '40 %']);
+  assert.equal(roundSummary({ items: [PINTE, PICHET] }), '2 × Pinte + 1 × Pichet (1/3)');
+  setLocale('en');
+  assert.equal(fmtRoundShare(1), 'All');
+  assert.throws(() => normalizeRound({ name: 'X', items: [] }), /Add at least one drink/, 'erreur affichée traduite');
+  setLocale('fr');
+  assert.deepEqual(roundItemFromFamily({ name: 'Shot', category: 'Spiritueux', quantity: 4, unit: 'cL', alcohol: 40 }),
+    { name: 'Shot', category: 'Spiritueux', quantity: 4, unit: 'cL', alcoholContent: 40, count: 1, share: 1, price: null });
+});
@@ -13,7 +13,7 @@ global.dbManager = {
   getAllSettings: async () => ({}),
 };
 global.SHARE_CONFIG = { TRANSPORT: 'mock', PULL_INTERVAL_MS: 600000 };
-loadDist('shared', 'data', 'stats', 'share');
+loadDist('i18n', 'shared', 'data', 'goals', 'audit', 'stats', 'share');
 
 const { localDrinkToShared, tsFromDateTime } = global;
 
@@ -36,6 +36,18 @@ test('localDrinkToShared — payload minimisé : jamais de GPS / barcode / prix'
   assert.equal(shared.deleted, false);
 });
 
+test('localDrinkToShared — code-barres publié seulement avec « Partager mon catalogue »', () => {
+  const { shareEngine } = global;
+  const d = { uid: 'uid-3', name: 'Triple', date: '2026-06-09', time: '22:00', quantity: 33, unit: 'cL', barcode: 5410000000013 };
+  shareEngine.state.shareCatalog = true;
+  try {
+    assert.equal(localDrinkToShared(d, 0).barcode, '5410000000013');
+    assert.ok(!('barcode' in localDrinkToShared({ ...d, barcode: null }, 0)), 'boisson sans code : clé absente');
+  } finally {
+    shareEngine.state.shareCatalog = false;
+  }
+});
+
 test('localDrinkToShared — watermark d’ENVOI = maintenant, pas le updatedAt du drink', () => {
   // Régression re-join : un drink modifié il y a longtemps doit repartir
   // avec un updated_at QUI DÉPASSE le cursor des autres membres, sinon la
@@ -7,7 +7,7 @@ const assert = require('node:assert/strict');
 const { installStubs, loadDist } = require('./helpers/stub-globals');
 
 installStubs();
-loadDist('shared');
+loadDist('i18n', 'shared');
 
 const {
   canonicalCat, parseDecimal, toCl,
@@ -49,6 +49,23 @@ test('toCl — conversions d’unités', () => {
   assert.equal(toCl(25, null), 25, 'unité absente → passthrough');
 });
 
+test('registre d’unités — toCl / findUnit / drinkCl suivent applyUnits', () => {
+  const { applyUnits, getUnits, findUnit, drinkCl, DEFAULT_UNITS } = global;
+  assert.equal(toCl(250, 'mL'), 25, 'arrondi : pas de 25.000000000000004');
+  try {
+    applyUnits([...DEFAULT_UNITS, { id: 9, name: 'Pinte UK', cl: 56.8, icon: 'Pinte' }], { persist: false });
+    assert.equal(toCl(2, 'pinte uk'), 113.6, 'facteur du registre, nom sans casse');
+    assert.equal(findUnit('PINTE UK').name, 'Pinte UK');
+    assert.equal(toCl(2, 'Magnum'), 2, 'unité inconnue → passthrough');
+    assert.equal(drinkCl({ quantity: 1, unit: 'Magnum', quantityInCL: 150 }), 150, 'unité d’un ami : quantityInCL stocké');
+    assert.equal(drinkCl({ quantity: 1, unit: 'Pinte UK', quantityInCL: 50 }), 56.8, 'unité connue : le registre fait foi');
+    applyUnits([], { persist: false });
+    assert.deepEqual(getUnits().map((u) => u.name), ['cL', 'L', 'EcoCup', 'mL'], 'liste vide → graines');
+  } finally {
+    applyUnits(DEFAULT_UNITS, { persist: false });
+  }
+});
+
 test('ethanolGrams / drinkAlcoholGrams — masse d’alcool pur', () => {
   assert.equal(ETHANOL_DENSITY_G_PER_ML, 0.789);
   assert.equal(Math.round(ethanolGrams(50, 5) * 10) / 10, 19.7, '50cL @ 5% ≈ 19.7 g');
@@ -178,3 +195,86 @@ test('wheelOffsetForIndex / wheelIndexForOffset — aller-retour + clamp', () =>
   assert.equal(wheelIndexForOffset(-100, 36, 24), 0, 'clamp bas');
   assert.equal(wheelIndexForOffset(99999, 36, 24), 23, 'clamp haut (count-1)');
 });
+
+// ── Profil de conduite & unité BAC ──────────────────────────────────
+
+test('normalizeBacDisplay — défauts France / mg/L, JSON et valeurs hors bornes', () => {
+  const { normalizeBacDisplay } = global;
+  assert.deepEqual(normalizeBacDisplay(null), { profile: 'fr', customLimit: 500, unit: 'mgL' });
+  assert.deepEqual(normalizeBacDisplay('{"profile":"uk","unit":"pct"}'),
+    { profile: 'uk', customLimit: 500, unit: 'pct' });
+  assert.deepEqual(normalizeBacDisplay({ profile: 'mars', customLimit: -3, unit: 'oz' }),
+    { profile: 'fr', customLimit: 500, unit: 'mgL' }, 'valeurs inconnues → défauts');
+  assert.equal(normalizeBacDisplay({ customLimit: 99999 }).customLimit, 2000, 'plafonné');
+  assert.equal(normalizeBacDisplay('pas du json').profile, 'fr');
+});
+
+test('bacLegalLimit — presets, jeune conducteur, tolérance zéro, personnalisé', () => {
+  const { bacLegalLimit } = global;
+  assert.equal(bacLegalLimit({ profile: 'fr', customLimit: 0 }), 500);
+  assert.equal(bacLegalLimit({ profile: 'fr-young', customLimit: 0 }), 200);
+  assert.equal(bacLegalLimit({ profile: 'us', customLimit: 0 }), 800);
+  assert.equal(bacLegalLimit({ profile: 'zero', customLimit: 300 }), 0);
+  assert.equal(bacLegalLimit({ profile: 'custom', customLimit: 300 }), 300);
+});
+
+test('fmtBac / bacFromUnit — conversions mg/L ↔ g/L, ‰, % BAC', () => {
+  const { fmtBac, bacFromUnit, bacUnitLabel } = global;
+  assert.equal(fmtBac(512.4, 'mgL'), '512', 'mg/L : entier arrondi, comme avant');
+  assert.equal(fmtBac(1234, 'mgL'), '1234', 'pas de séparateur de milliers');
+  assert.equal(fmtBac(500, 'gL'), '0,5');
+  assert.equal(fmtBac(512, 'permille'), '0,51');
+  assert.equal(fmtBac(800, 'pct'), '0,08');
+  assert.equal(bacUnitLabel('pct'), '% BAC');
+  assert.equal(bacFromUnit('0,2', 'gL'), 200);
+  assert.equal(bacFromUnit(0.08, 'pct'), 800);
+  assert.ok(Number.isNaN(bacFromUnit('abc', 'gL')));
+});
+
+test('applyBacDisplay — fusion partielle et notification des abonnés', () => {
+  const { applyBacDisplay, getBacDisplay, bacLegalLimit } = global;
+  let calls = 0;
+  const f = () => { calls++; };
+  window.__bacDisplayListeners.add(f);
+  try {
+    applyBacDisplay({ profile: 'fr-young' });
+    applyBacDisplay({ unit: 'gL' });
+    assert.deepEqual(getBacDisplay(), { profile: 'fr-young', customLimit: 500, unit: 'gL' });
+    assert.equal(bacLegalLimit(), 200);
+    assert.equal(calls, 2);
+  } finally {
+    window.__bacDisplayListeners.delete(f);
+    applyBacDisplay({ profile: 'fr', customLimit: 500, unit: 'mgL' });
+  }
+});
+
+test('verre standard — France 10 g par défaut, unit britannique, abonnés notifiés', () => {
+  const { getStandardDrink, applyStandardDrink, normalizeStandardDrink, fmtStdDrinks, stdDrinkUnitLabel } = global;
+  assert.equal(getStandardDrink().id, 'fr');
+  assert.equal(fmtStdDrinks(19.725), '2', 'une pinte à 5 % ≈ 2 verres standard');
+  assert.equal(stdDrinkUnitLabel(2), 'verres std');
+  assert.equal(stdDrinkUnitLabel(1, { long: true }), 'verre standard');
+  assert.equal(normalizeStandardDrink('mars').id, 'fr', 'id inconnu → France');
+  let calls = 0;
+  const f = () => { calls++; };
+  window.__stdDrinkListeners.add(f);
+  try {
+    applyStandardDrink('uk');
+    assert.equal(fmtStdDrinks(19.725), '2,5');
+    assert.equal(stdDrinkUnitLabel(2.5), 'unités');
+    applyStandardDrink('us');
+    assert.equal(fmtStdDrinks(19.725), '1,4');
+    assert.equal(calls, 2);
+  } finally {
+    window.__stdDrinkListeners.delete(f);
+    applyStandardDrink('fr');
+  }
+});
+
+test('bacFromReading — air expiré ×2000, sang g/L ×1000, saisie FR', () => {
+  const { bacFromReading } = global;
+  assert.equal(bacFromReading(0.25, 'air'), 500, '0,25 mg/L d\'air ≙ 0,5 g/L');
+  assert.equal(bacFromReading('0,5', 'blood'), 500);
+  assert.ok(Number.isNaN(bacFromReading('abc', 'air')));
+  assert.ok(Number.isNaN(bacFromReading(-1, 'blood')));
+});
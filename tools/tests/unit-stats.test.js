@@ -1,12 +1,13 @@
 // Logique stats/BAC de proto/stats.jsx : périodes, agrégats, moteur Widmark
-// (sessions + courbe temps réel), streaks, formatage de durées.
+// (sessions + courbe temps réel), calibrage par éthylotest, alertes BAC,
+// streaks, formatage de durées.
 'use strict';
 const test = require('node:test');
 const assert = require('node:assert/strict');
 const { installStubs, loadDist } = require('./helpers/stub-globals');
 
 installStubs();
-loadDist('shared', 'data', 'stats');
+loadDist('i18n', 'shared', 'data', 'goals', 'audit', 'stats');
 
 const {
   getPeriodRange, shiftAnchor, periodLabel, filterDrinksInRange,
@@ -15,8 +16,11 @@ const {
   computeMonthlyTrends, computeRollingDaily, computeSessionDurationBuckets,
   bucketDailyAlcohol, buildHeatmapCells, buildSessionList, buildSessionPeakHistogram,
   buildCumulativeComparison, bucketSpend,
-  BAC_ELIM_RATE, BAC_ABSORPTION_H, BAC_LEGAL_LIMIT, DEFAULT_WEIGHT_KG, widmarkR,
+  BAC_ELIM_RATE, BAC_ABSORPTION_H, DEFAULT_WEIGHT_KG, widmarkR,
   localDate, localTime, drinkAlcoholGrams,
+  makeBacModel, bacModelFromSettings, fitBacCalibration, parseBacCalibration,
+  planBacNotifications, bacPeakWarning, bacUpcomingPeak, isQuietTime, quietHoursFromSettings,
+  BAC_NOTIFY_TAGS,
 } = global;
 
 const HOUR = 3600_000;
@@ -129,9 +133,10 @@ const beer = (date, time) => ({
   name: 'Pils', category: 'Bière', quantity: 50, unit: 'cL', alcoholContent: 5, date, time,
 });
 const P = (19.725 * 1000) / (70 * 0.68);
+const widmark = (weight, gender) => makeBacModel({ weight, gender });
 
 test('computeBACSessions — pic, fin de session et bornes exactes', () => {
-  const sessions = computeBACSessions([beer('2026-06-01', '20:00')], 70, 'male');
+  const sessions = computeBACSessions([beer('2026-06-01', '20:00')], widmark(70, 'male'));
   assert.equal(sessions.length, 1);
   const s = sessions[0];
   const t0 = new Date('2026-06-01T20:00').getTime();
@@ -152,20 +157,20 @@ test('computeBACSessions — pic, fin de session et bornes exactes', () => {
 
 test('computeBACSessions — 2 boissons espacées de 12 h → 2 sessions', () => {
   const sessions = computeBACSessions(
-    [beer('2026-06-01', '20:00'), beer('2026-06-02', '08:00')], 70, 'male'
+    [beer('2026-06-01', '20:00'), beer('2026-06-02', '08:00')], widmark(70, 'male')
   );
   assert.equal(sessions.length, 2);
   assert.ok(sessions[0].endTs < sessions[1].startTs, 'la 1re session se clôt avant la 2e');
 });
 
 test('computeBACSessions — femme (r=0.55) > homme, entrées invalides exclues', () => {
-  const m = computeBACSessions([beer('2026-06-01', '20:00')], 70, 'male')[0];
-  const f = computeBACSessions([beer('2026-06-01', '20:00')], 70, 'female')[0];
+  const m = computeBACSessions([beer('2026-06-01', '20:00')], widmark(70, 'male'))[0];
+  const f = computeBACSessions([beer('2026-06-01', '20:00')], widmark(70, 'female'))[0];
   assert.ok(f.peakBac > m.peakBac, 'facteur de distribution plus faible → pic plus haut');
   assert.equal(widmarkR('female'), 0.55);
   assert.equal(widmarkR('male'), 0.68);
-  assert.deepEqual(computeBACSessions([], 70, 'male'), []);
-  assert.deepEqual(computeBACSessions([{ name: 'X', quantity: 33 }], 70, 'male'), [],
+  assert.deepEqual(computeBACSessions([], widmark(70, 'male')), []);
+  assert.deepEqual(computeBACSessions([{ name: 'X', quantity: 33 }], widmark(70, 'male')), [],
     'sans date/heure → exclu');
 });
 
@@ -174,7 +179,7 @@ test('computeBACSessions — femme (r=0.55) > homme, entrées invalides exclues'
 test('computeBacOverTime — pas d’élimination avant la 1re boisson, courbe bornée', () => {
   const twoHoursAgo = new Date(Date.now() - 2 * HOUR);
   const d = beer(localDate(twoHoursAgo), localTime(twoHoursAgo));
-  const out = computeBacOverTime([d], 70, 'male');
+  const out = computeBacOverTime([d], widmark(70, 'male'));
 
   assert.equal(out.points[0].bac, 0, 'la courbe démarre à 0 à la 1re boisson');
   assert.ok(Math.abs(out.points[0].t - out.firstT) < 1e-3);
@@ -200,12 +205,12 @@ test('computeBacOverTime — lookback 48 h et boissons futures exclues', () => {
   const future = new Date(Date.now() + 2 * HOUR);
   const out = computeBacOverTime(
     [beer(localDate(tooOld), localTime(tooOld)), beer(localDate(future), localTime(future))],
-    70, 'male'
+    widmark(70, 'male')
   );
   assert.equal(out.drinks.length, 0);
   assert.equal(out.current, 0);
   assert.deepEqual(out.points, []);
-  const empty = computeBacOverTime([], 70, 'male');
+  const empty = computeBacOverTime([], widmark(70, 'male'));
   assert.equal(empty.current, 0);
   assert.deepEqual(empty.points, []);
 });
@@ -215,15 +220,15 @@ test('computeBacOverTime — lookback 48 h : une boisson à 30 h est incluse', (
   // bien prise en compte (drinks length = 1). Le taux courant est 0 (déjà
   // éliminée) mais la boisson reste comptée dans la fenêtre.
   const at30h = new Date(Date.now() - 30 * HOUR);
-  const out = computeBacOverTime([beer(localDate(at30h), localTime(at30h))], 70, 'male');
+  const out = computeBacOverTime([beer(localDate(at30h), localTime(at30h))], widmark(70, 'male'));
   assert.equal(out.drinks.length, 1, 'boisson à 30 h incluse dans la fenêtre 48 h');
 });
 
 test('computeBacOverTime — poids/genre par défaut', () => {
   const oneHourAgo = new Date(Date.now() - 1 * HOUR);
   const d = beer(localDate(oneHourAgo), localTime(oneHourAgo));
-  const def = computeBacOverTime([d], null, undefined); // → 70 kg homme
-  const heavy = computeBacOverTime([d], 100, 'male');
+  const def = computeBacOverTime([d]); // → Widmark, 70 kg homme
+  const heavy = computeBacOverTime([d], widmark(100, 'male'));
   assert.ok(def.current > heavy.current, 'poids plus élevé → BAC plus bas');
   assert.equal(DEFAULT_WEIGHT_KG, 70);
 });
@@ -237,7 +242,7 @@ test('computeBacOverTime — deux épisodes : l\'élimination s\'arrête à zér
   const oneHourAgo = new Date(Date.now() - 1 * HOUR);
   const old = beer(localDate(lastNight), localTime(lastNight));
   const fresh = beer(localDate(oneHourAgo), localTime(oneHourAgo));
-  const out = computeBacOverTime([old, fresh], 70, 'male');
+  const out = computeBacOverTime([old, fresh], widmark(70, 'male'), { legalLimit: 500 });
 
   // Le taux courant ne dépend QUE de l'épisode en cours (la veille est éliminée).
   const ts = new Date(`${fresh.date}T${fresh.time}`).getTime();
@@ -264,7 +269,7 @@ test('computeBacOverTime — deux épisodes : l\'élimination s\'arrête à zér
 test('computeBacOverTime — soberInH compte la montée d\'absorption restante', () => {
   const justNow = new Date(Date.now() - 6 * 60_000); // il y a ~6 min
   const d = beer(localDate(justNow), localTime(justNow));
-  const out = computeBacOverTime([d], 70, 'male');
+  const out = computeBacOverTime([d], widmark(70, 'male'));
   const naive = out.current / BAC_ELIM_RATE;
   assert.ok(out.soberInH > naive + 0.3,
     `soberInH ${out.soberInH} doit dépasser largement la division naïve ${naive}`);
@@ -273,14 +278,14 @@ test('computeBacOverTime — soberInH compte la montée d\'absorption restante',
   assert.ok(Math.abs(out.sobrietyT - (out.firstT + P / BAC_ELIM_RATE)) < 1e-6);
 });
 
-// legalInH : heures avant de repasser sous BAC_LEGAL_LIMIT (500 mg/L).
+// legalInH : heures avant de repasser sous le seuil du profil France (500 mg/L).
 test('computeBacOverTime — legalInH au-dessus du seuil légal', () => {
-  const { BAC_LEGAL_LIMIT } = global;
+  const BAC_LEGAL_LIMIT = global.BAC_PROFILES.find((p) => p.id === 'fr').limit;
   assert.equal(BAC_LEGAL_LIMIT, 500);
   const twoHoursAgo = new Date(Date.now() - 2 * HOUR);
   const d1 = beer(localDate(twoHoursAgo), localTime(twoHoursAgo));
   const d2 = beer(localDate(twoHoursAgo), localTime(twoHoursAgo));
-  const out = computeBacOverTime([d1, d2], 70, 'male');
+  const out = computeBacOverTime([d1, d2], widmark(70, 'male'), { legalLimit: BAC_LEGAL_LIMIT });
   const ts = new Date(`${d1.date}T${d1.time}`).getTime();
   const elapsedH = (Date.now() - ts) / HOUR;
   const bacNow = 2 * P - elapsedH * BAC_ELIM_RATE; // absorption finie depuis longtemps
@@ -291,12 +296,29 @@ test('computeBacOverTime — legalInH au-dessus du seuil légal', () => {
   assert.ok(Math.abs(out.soberInH - bacNow / BAC_ELIM_RATE) < 0.02);
 });
 
+// Seuil du profil de conduite (jeune conducteur, 200 mg/L) : même courbe,
+// seule l'échéance « Conduite » recule.
+test('computeBacOverTime — legalInH suit le seuil passé en paramètre', () => {
+  const oneHourAgo = new Date(Date.now() - HOUR);
+  const d = beer(localDate(oneHourAgo), localTime(oneHourAgo));
+  const fr = computeBacOverTime([d], widmark(70, 'male'), { legalLimit: 500 });
+  const young = computeBacOverTime([d], widmark(70, 'male'), { legalLimit: 200 });
+  assert.equal(young.current, fr.current);
+  assert.equal(fr.legalInH, 0, 'une bière reste sous 500 mg/L');
+  assert.ok(young.current > 200, 'précondition : au-dessus de 200 mg/L');
+  assert.ok(Math.abs(young.legalInH - (young.current - 200) / BAC_ELIM_RATE) < 0.02,
+    `legalInH ${young.legalInH}`);
+  const zero = computeBacOverTime([d], widmark(70, 'male'), { legalLimit: 0 });
+  assert.ok(Math.abs(zero.legalInH - zero.soberInH) < 1e-6, 'tolérance zéro = sobriété');
+  assert.equal(computeBacOverTime([d], widmark(70, 'male')).legalInH, null, 'pas de seuil implicite');
+});
+
 // Épisode terminé depuis longtemps : sobre, et la courbe n'étire plus une
 // ligne plate de plusieurs heures jusqu'à « maintenant ».
 test('computeBacOverTime — sobre depuis longtemps : courbe bornée à l\'épisode', () => {
   const tenHoursAgo = new Date(Date.now() - 10 * HOUR);
   const d = beer(localDate(tenHoursAgo), localTime(tenHoursAgo));
-  const out = computeBacOverTime([d], 70, 'male');
+  const out = computeBacOverTime([d], widmark(70, 'male'), { legalLimit: 500 });
   assert.equal(out.current, 0);
   assert.equal(out.soberInH, 0);
   assert.equal(out.legalInH, 0);
@@ -411,7 +433,7 @@ test('ETA horloge = localTime(now + soberInH) — cohérence sobriété', () =>
   // localTime(now + soberInH h) à la minute près.
   const now = new Date();
   const d = beer(localDate(now), localTime(now));
-  const out = computeBacOverTime([d], 70, 'male');
+  const out = computeBacOverTime([d], widmark(70, 'male'));
   assert.ok(out.soberInH > 0, 'pas encore sobre');
   const eta = new Date(Date.now() + out.soberInH * HOUR);
   // Reconstruit comme le composant : localTime(new Date(now + h*3600_000)).
@@ -602,6 +624,10 @@ test('buildSessionPeakHistogram — tranches de pic', () => {
   assert.equal(h[0].v, 1, '<200');
   assert.equal(h[1].v, 2, '200-400');
   assert.equal(h[5].v, 1, '1k+');
+  assert.deepEqual(h.map(b => b.label), ['<200', '200-400', '400-600', '600-800', '800-1k', '1k+']);
+  const gl = buildSessionPeakHistogram(sess, 'gL');
+  assert.deepEqual(gl.map(b => b.label), ['<0,2', '0,2-0,4', '0,4-0,6', '0,6-0,8', '0,8-1', '1+']);
+  assert.deepEqual(gl.map(b => b.v), h.map(b => b.v), 'mêmes tranches, seuls les libellés changent');
 });
 
 // ── buildCumulativeComparison ───────────────────────────────────────
@@ -632,10 +658,10 @@ const mkNow = (msAgo, qty = 50, abv = 5) => {
 
 test('computeBacForecast — continuité à t=0 avec la courbe de projection', () => {
   const drinks = [mkNow(2 * HOUR), mkNow(1 * HOUR), mkNow(10 * 60 * 1000)];
-  const bac = computeBacOverTime(drinks, 70, 'male');
-  const sessions = computeBACSessions(drinks, 70, 'male');
+  const bac = computeBacOverTime(drinks, widmark(70, 'male'));
+  const sessions = computeBACSessions(drinks, widmark(70, 'male'));
   const future = bac.points.filter(p => p.t >= -1e-9);
-  const fc = computeBacForecast(bac.current, sessions, 70, 'male', Date.now(), future);
+  const fc = computeBacForecast(bac.current, sessions, widmark(70, 'male'), Date.now(), future);
   assert.ok(fc.hasCurrentSession, 'session en cours');
   assert.ok(fc.projectedPoints.length > 0);
   // Le 1er point projeté = taux courant (continuité avec la jauge / projection).
@@ -646,20 +672,20 @@ test('computeBacForecast — verre récent : la courbe MONTE d’abord (absorpti
   // Un seul verre il y a 4 min : l'absorption (30 min) n'est pas finie → la
   // prévision doit d'abord grimper au-dessus du taux courant, pas plonger.
   const drinks = [mkNow(4 * 60 * 1000)];
-  const bac = computeBacOverTime(drinks, 70, 'male');
-  const sessions = computeBACSessions(drinks, 70, 'male');
+  const bac = computeBacOverTime(drinks, widmark(70, 'male'));
+  const sessions = computeBACSessions(drinks, widmark(70, 'male'));
   const future = bac.points.filter(p => p.t >= -1e-9);
-  const fc = computeBacForecast(bac.current, sessions, 70, 'male', Date.now(), future);
+  const fc = computeBacForecast(bac.current, sessions, widmark(70, 'male'), Date.now(), future);
   const maxProj = Math.max(...fc.projectedPoints.map(p => p.bac));
   assert.ok(maxProj > bac.current + 5, 'la projection grimpe (absorption restante comptée)');
 });
 
 test('computeBacForecast — la courbe redescend jusqu’à 0 (non tronquée)', () => {
   const drinks = [mkNow(30 * 60 * 1000), mkNow(10 * 60 * 1000)];
-  const bac = computeBacOverTime(drinks, 70, 'male');
-  const sessions = computeBACSessions(drinks, 70, 'male');
+  const bac = computeBacOverTime(drinks, widmark(70, 'male'));
+  const sessions = computeBACSessions(drinks, widmark(70, 'male'));
   const future = bac.points.filter(p => p.t >= -1e-9);
-  const fc = computeBacForecast(bac.current, sessions, 70, 'male', Date.now(), future);
+  const fc = computeBacForecast(bac.current, sessions, widmark(70, 'male'), Date.now(), future);
   const last = fc.projectedPoints[fc.projectedPoints.length - 1];
   // Le dernier échantillon (pas de 1 min) tombe au plus une marche
   // d'élimination (150 mg/L/h × 1/60 h ≈ 2,5 mg/L) avant le zéro exact.
@@ -667,7 +693,7 @@ test('computeBacForecast — la courbe redescend jusqu’à 0 (non tronquée)',
 });
 
 test('computeBacForecast — pas de session en cours → vide', () => {
-  const fc = computeBacForecast(0, [], 70, 'male', Date.now(), []);
+  const fc = computeBacForecast(0, [], widmark(70, 'male'), Date.now(), []);
   assert.equal(fc.hasCurrentSession, false);
   assert.deepEqual(fc.projectedPoints, []);
   assert.equal(fc.truncated, false);
@@ -680,7 +706,7 @@ test('computeBacForecast — pas de session en cours → vide', () => {
 test('STATS_PERIOD_MATRIX — couverture, validité et décisions clés', () => {
   const { STATS_PERIOD_MATRIX, ALL_PERIODS } = global;
   const ids = Object.keys(STATS_PERIOD_MATRIX);
-  assert.equal(ids.length, 11, 'les 11 sections déclarées');
+  assert.equal(ids.length, 13, 'les 13 sections déclarées');
   const valid = new Set(['today', 'week', 'month', 'year', 'school', 'all']);
   for (const [id, m] of Object.entries(STATS_PERIOD_MATRIX)) {
     assert.ok(m.periods.length > 0, `${id} : au moins une période`);
@@ -695,8 +721,138 @@ test('STATS_PERIOD_MATRIX — couverture, validité et décisions clés', () =>
   // Les contenus en direct / globaux survivent à une période vide.
   assert.deepEqual(STATS_PERIOD_MATRIX.bac.keepWhenEmpty, ALL_PERIODS);
   assert.deepEqual(STATS_PERIOD_MATRIX.map.keepWhenEmpty, ALL_PERIODS);
+  assert.deepEqual(STATS_PERIOD_MATRIX.goals.keepWhenEmpty, ALL_PERIODS);
+  assert.deepEqual(STATS_PERIOD_MATRIX.audit.keepWhenEmpty, ALL_PERIODS);
   // Les sections purement période-scopées disparaissent sur période vide.
   for (const id of ['general', 'temporal', 'category', 'top', 'sessions', 'spending', 'heatmap']) {
     assert.deepEqual(STATS_PERIOD_MATRIX[id].keepWhenEmpty, [], `${id} : période-scopée`);
   }
 });
+
+// ── Calibrage par éthylotest ───────────────────────────────────────
+// Un litre de bière à 5 % (39,45 g) à 20:00, 70 kg : après l'absorption,
+// taux = pic − élimination·t. Mesures tirées d'un « vrai » r = 0,6 et
+// d'une élimination de 120 mg/L/h.
+
+test('fitBacCalibration — retrouve r et élimination, minimum de mesures, `since`', () => {
+  const at = new Date(2026, 0, 10, 20, 0);
+  const drinks = [{ name: 'Bière', quantity: 100, unit: 'cL', alcoholContent: 5,
+    date: localDate(at), time: localTime(at) }];
+  const peak = (drinkAlcoholGrams(drinks[0]) * 1000) / (70 * 0.6);
+  const reading = (h) => ({ ts: at.getTime() + h * HOUR, bac: peak - 120 * h });
+  const base = makeBacModel({ weight: 70, gender: 'male' });
+
+  assert.equal(fitBacCalibration([reading(1), reading(2)], drinks, base), null, 'moins de 3 mesures');
+  const fit = fitBacCalibration([reading(1), reading(2), reading(3)], drinks, base);
+  assert.equal(fit.r, 0.6);
+  assert.equal(fit.elimRate, 120);
+  assert.equal(fit.n, 3);
+  assert.equal(fit.rmse, 0);
+  assert.equal(fit.confidence, 'low', 'peu de mesures → confiance faible');
+
+  // Mesure sans verre dans les 24 h précédentes : ignorée.
+  const lonely = { ts: at.getTime() - 3 * 24 * HOUR, bac: 300 };
+  assert.equal(fitBacCalibration([reading(1), reading(2), lonely], drinks, base), null);
+  // Réinitialisation : seules les mesures postérieures comptent.
+  assert.equal(fitBacCalibration([reading(1), reading(2), reading(3)], drinks, base,
+    { since: at.getTime() + 1.5 * HOUR }), null);
+});
+
+test('calibrage — remplace r et l\'élimination du modèle, réinitialisation = défauts', () => {
+  const settings = { userWeight: 70, userGender: 'male',
+    bacCalibration: JSON.stringify({ r: 0.6, elimRate: 120, n: 3, since: 0 }) };
+  const model = bacModelFromSettings(settings);
+  assert.equal(model.r, 0.6);
+  assert.equal(model.elimRate, 120);
+  assert.equal(model.calibrated, true);
+
+  const at = new Date(2026, 0, 10, 20, 0);
+  const d = { name: 'Bière', quantity: 50, unit: 'cL', alcoholContent: 5, date: localDate(at), time: localTime(at) };
+  const [s] = computeBACSessions([d], model);
+  const peak = (drinkAlcoholGrams(d) * 1000) / (70 * 0.6);
+  assert.ok(Math.abs(s.peakBac - (peak - 120 * BAC_ABSORPTION_H)) < 1e-9);
+  assert.ok(Math.abs((s.endTs - s.startTs) / HOUR - peak / 120) < 1e-9, 'sobriété à l\'élimination calibrée');
+
+  const reset = bacModelFromSettings({ ...settings, bacCalibration: JSON.stringify({ since: Date.now() }) });
+  assert.equal(reset.r, widmarkR('male'));
+  assert.equal(reset.elimRate, BAC_ELIM_RATE);
+  assert.equal(parseBacCalibration('{pas du json'), null);
+});
+
+// ── Repères de risque hebdomadaires ─────────────────────────────────
+
+test('weeklyRiskBands — repère SPF (100 g/sem.) et niveaux OMS selon le sexe', () => {
+  const { weeklyRiskBands } = global;
+  assert.deepEqual(weeklyRiskBands(0), { weeklyGrams: 0, dailyGrams: 0, spf: 'within', who: 'none' });
+  const ten = weeklyRiskBands(100);
+  assert.equal(ten.spf, 'within', '10 verres de 10 g : limite incluse');
+  assert.equal(ten.who, 'low');
+  assert.equal(weeklyRiskBands(101).spf, 'above');
+  // 350 g/sem. = 50 g/jour : modéré chez un homme, élevé chez une femme.
+  assert.equal(weeklyRiskBands(350, 'male').who, 'medium');
+  assert.equal(weeklyRiskBands(350, 'female').who, 'high');
+  assert.equal(weeklyRiskBands(800, 'male').who, 'veryHigh');
+});
+
+test('weeklyGramsForPeriod — total tel quel sur une semaine, moyenne au-delà, jours futurs exclus', () => {
+  const { weeklyGramsForPeriod } = global;
+  const week = getPeriodRange('week', new Date(2026, 2, 11));
+  assert.equal(weeklyGramsForPeriod(120, week, new Date(2026, 2, 11, 15)), 120);
+  const month = getPeriodRange('month', new Date(2026, 2, 11));
+  // Mars, vu le 14 : 14 jours écoulés → 2 semaines.
+  assert.equal(weeklyGramsForPeriod(280, month, new Date(2026, 2, 14, 9)), 140);
+  // Mois passé : ses 31 jours.
+  assert.ok(Math.abs(weeklyGramsForPeriod(310, month, new Date(2026, 5, 1)) - 70) < 1e-9);
+});
+
+// ── Alertes BAC (notifications locales) ────────────────────────────
+
+test('isQuietTime — plage simple, plage à cheval sur minuit, plage absente', () => {
+  const at = (h, m = 0) => new Date(2026, 0, 10, h, m).getTime();
+  const night = { start: '23:00', end: '07:00' };
+  assert.equal(isQuietTime(at(2, 40), night), true);
+  assert.equal(isQuietTime(at(23, 0), night), true, 'début inclus');
+  assert.equal(isQuietTime(at(7, 0), night), false, 'fin exclue');
+  assert.equal(isQuietTime(at(18, 0), night), false);
+  assert.equal(isQuietTime(at(13, 30), { start: '13:00', end: '14:00' }), true);
+  assert.equal(isQuietTime(at(2, 40), { start: '23:00', end: null }), false, 'plage incomplète');
+  assert.equal(isQuietTime(at(2, 40), quietHoursFromSettings({})), false);
+});
+
+test('planBacNotifications — seuil puis sobriété, plage silencieuse, seuil à 0', () => {
+  const now = new Date(2026, 0, 10, 0, 40).getTime();
+  const info = { legalInH: 2, soberInH: 5.5, points: [] };
+  const plan = planBacNotifications(info, { legalLimit: 500, unit: 'mgL', now });
+  assert.deepEqual(plan.map(n => n.tag), [BAC_NOTIFY_TAGS.legal, BAC_NOTIFY_TAGS.sober]);
+  assert.equal(plan[0].at, now + 2 * HOUR);
+  assert.equal(plan[0].body, 'Tu repasses sous 500 mg/L à 02:40');
+  assert.equal(plan[1].body, 'Sobre à 06:10');
+
+  // 23:00 → 07:00 couvre 02:40 et 06:10 : rien n'est programmé ;
+  // 01:00 → 04:00 ne laisse que la sobriété.
+  assert.deepEqual(planBacNotifications(info, { legalLimit: 500, unit: 'mgL', now,
+    quiet: { start: '23:00', end: '07:00' } }), []);
+  assert.deepEqual(planBacNotifications(info, { legalLimit: 500, unit: 'mgL', now,
+    quiet: { start: '01:00', end: '04:00' } }).map(n => n.tag), [BAC_NOTIFY_TAGS.sober]);
+
+  // Déjà sous le seuil : plus que la sobriété. Sobre : rien.
+  assert.deepEqual(planBacNotifications({ legalInH: 0, soberInH: 1 }, { now }).map(n => n.tag),
+    [BAC_NOTIFY_TAGS.sober]);
+  assert.deepEqual(planBacNotifications({ legalInH: 0, soberInH: 0 }, { now }), []);
+  // Zéro tolérance : « sous le seuil » = « sobre », une seule alerte.
+  assert.deepEqual(planBacNotifications({ legalInH: 5.5, soberInH: 5.5 }, { legalLimit: 0, now })
+    .map(n => n.tag), [BAC_NOTIFY_TAGS.sober]);
+});
+
+test('bacPeakWarning — seulement quand le pic à venir FRANCHIT le seuil', () => {
+  const now = new Date(2026, 0, 10, 22, 0).getTime();
+  const curve = (peak) => ({ points: [{ t: -1, bac: 900 }, { t: 0, bac: peak - 50 }, { t: 0.5, bac: peak }, { t: 1, bac: 0 }] });
+  const w = bacPeakWarning(curve(400), curve(620), { legalLimit: 500, unit: 'mgL', now });
+  assert.equal(w.tag, BAC_NOTIFY_TAGS.peak);
+  assert.equal(w.body, 'Pic prévu à 620 mg/L vers 22:30 : au-dessus du seuil de conduite');
+  assert.equal(bacPeakWarning(curve(600), curve(700), { legalLimit: 500, now }), null, 'déjà au-dessus');
+  assert.equal(bacPeakWarning(curve(300), curve(450), { legalLimit: 500, now }), null, 'reste sous le seuil');
+  assert.ok(bacPeakWarning({ points: [] }, curve(520), { legalLimit: 500, now }), 'premier verre');
+  // Le passé (t < 0) ne compte pas : 900 mg/L il y a une heure.
+  assert.equal(bacUpcomingPeak(curve(400)).bac, 400);
+});